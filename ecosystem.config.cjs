@@ -8,5 +8,9 @@ module.exports = {
       name: 'scheduler',
       script: 'src/jobs/reminderJob.js',
     },
+    {
+      name: 'worker',
+      script: 'src/jobs/worker.js',
+    },
   ],
 };
\ No newline at end of file
@@ -119,7 +119,10 @@ const getAllPermissionCodesFromService = () => {
       view: 'VIEW_LANDLORDS',
       create: 'CREATE_LANDLORD',
       edit: 'EDIT_LANDLORD',
-      delete: 'DELETE_LANDLORD'
+      delete: 'DELETE_LANDLORD',
+      viewStatements: 'VIEW_LANDLORD_STATEMENTS',
+      generateStatements: 'GENERATE_LANDLORD_STATEMENTS',
+      markRemittancePaid: 'MARK_REMITTANCE_PAID'
     },
     // Service provider permissions
     serviceProvider: {
@@ -143,6 +146,24 @@ const getAllPermissionCodesFromService = () => {
       process: 'PROCESS_COMMISSIONS',
       approve: 'APPROVE_COMMISSIONS'
     },
+    // Ledger permissions
+    ledger: {
+      view: 'VIEW_LEDGER',
+      post: 'POST_JOURNAL_ENTRIES',
+      reverse: 'REVERSE_JOURNAL_ENTRIES',
+      manageAccounts: 'MANAGE_LEDGER_ACCOUNTS'
+    },
+    // M-Pesa permissions
+    mpesa: {
+      view: 'VIEW_MPESA_TRANSACTIONS',
+      assign: 'ASSIGN_MPESA_TRANSACTIONS',
+      stkPush: 'INITIATE_STK_PUSH'
+    },
+    // Bank reconciliation permissions
+    reconciliation: {
+      view: 'VIEW_BANK_RECONCILIATION',
+      manage: 'MANAGE_BANK_RECONCILIATION'
+    },
     // User management permissions
     user: {
       view: 'VIEW_ALL_USERS',
@@ -280,6 +301,9 @@ const PERMISSIONS = [
   { code: 'CREATE_LANDLORD', name: 'Create Landlord', category: 'LANDLORD', scope: 'PROPERTY' },
   { code: 'EDIT_LANDLORD', name: 'Edit Landlord', category: 'LANDLORD', scope: 'PROPERTY' },
   { code: 'DELETE_LANDLORD', name: 'Delete Landlord', category: 'LANDLORD', scope: 'PROPERTY' },
+  { code: 'VIEW_LANDLORD_STATEMENTS', name: 'View Landlord Statements', category: 'LANDLORD', scope: 'PROPERTY' },
+  { code: 'GENERATE_LANDLORD_STATEMENTS', name: 'Generate Landlord Statements', category: 'LANDLORD', scope: 'PROPERTY' },
+  { code: 'MARK_REMITTANCE_PAID', name: 'Mark Landlord Remittance Paid', category: 'LANDLORD', scope: 'PROPERTY' },
   
   // Service Provider permissions
   { code: 'VIEW_SERVICE_PROVIDERS', name: 'View Service Providers', category: 'SERVICE_PROVIDER', scope: 'PROPERTY' },
@@ -300,6 +324,21 @@ const PERMISSIONS = [
   { code: 'PROCESS_COMMISSIONS', name: 'Process Commissions', category: 'COMMISSION', scope: 'PROPERTY' },
   { code: 'APPROVE_COMMISSIONS', name: 'Approve Commissions', category: 'COMMISSION', scope: 'PROPERTY' },
   
+  // Ledger permissions
+  { code: 'VIEW_LEDGER', name: 'View General Ledger', category: 'LEDGER', scope: 'GLOBAL' },
+  { code: 'POST_JOURNAL_ENTRIES', name: 'Post Journal Entries', category: 'LEDGER', scope: 'GLOBAL' },
+  { code: 'REVERSE_JOURNAL_ENTRIES', name: 'Reverse Journal Entries', category: 'LEDGER', scope: 'GLOBAL' },
+  { code: 'MANAGE_LEDGER_ACCOUNTS', name: 'Manage Ledger Accounts', category: 'LEDGER', scope: 'GLOBAL' },
+  
+  // M-Pesa permissions
+  { code: 'VIEW_MPESA_TRANSACTIONS', name: 'View M-Pesa Transactions', category: 'MPESA', scope: 'PROPERTY' },
+  { code: 'ASSIGN_MPESA_TRANSACTIONS', name: 'Assign M-Pesa Transactions', category: 'MPESA', scope: 'PROPERTY' },
+  { code: 'INITIATE_STK_PUSH', name: 'Initiate STK Push', category: 'MPESA', scope: 'PROPERTY' },
+  
+  // Bank reconciliation permissions
+  { code: 'VIEW_BANK_RECONCILIATION', name: 'View Bank Reconciliation', category: 'RECONCILIATION', scope: 'PROPERTY' },
+  { code: 'MANAGE_BANK_RECONCILIATION', name: 'Manage Bank Reconciliation', category: 'RECONCILIATION', scope: 'PROPERTY' },
+  
   // User management permissions
   { code: 'VIEW_ALL_USERS', name: 'View All Users', category: 'USER_MANAGEMENT', scope: 'GLOBAL' },
   { code: 'CREATE_USER', name: 'Create User', category: 'USER_MANAGEMENT', scope: 'GLOBAL' },
@@ -0,0 +1,112 @@
+-- CreateEnum
+CREATE TYPE "MaintenanceCategory" AS ENUM ('PLUMBING', 'ELECTRICAL', 'STRUCTURAL', 'APPLIANCE', 'HVAC', 'PAINTING', 'CARPENTRY', 'PEST_CONTROL', 'CLEANING', 'SECURITY', 'GENERAL');
+
+-- CreateEnum
+CREATE TYPE "MaintenanceStatus" AS ENUM ('OPEN', 'ASSIGNED', 'IN_PROGRESS', 'RESOLVED', 'CLOSED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "MaintenanceCostBearer" AS ENUM ('LANDLORD', 'TENANT', 'MANAGEMENT');
+
+-- CreateTable
+CREATE TABLE "MaintenanceRequest" (
+    "id" TEXT NOT NULL,
+    "requestNumber" TEXT NOT NULL,
+    "propertyId" TEXT NOT NULL,
+    "unitId" TEXT,
+    "tenantId" TEXT,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "category" "MaintenanceCategory" NOT NULL DEFAULT 'GENERAL',
+    "priority" "TaskPriority" NOT NULL DEFAULT 'MEDIUM',
+    "status" "MaintenanceStatus" NOT NULL DEFAULT 'OPEN',
+    "location" TEXT,
+    "reportedById" TEXT NOT NULL,
+    "assignedProviderId" TEXT,
+    "assignedUserId" TEXT,
+    "assignedAt" TIMESTAMP(3),
+    "startedAt" TIMESTAMP(3),
+    "resolvedAt" TIMESTAMP(3),
+    "closedAt" TIMESTAMP(3),
+    "resolutionNotes" TEXT,
+    "estimatedCost" DOUBLE PRECISION,
+    "actualCost" DOUBLE PRECISION,
+    "costBorneBy" "MaintenanceCostBearer" NOT NULL DEFAULT 'LANDLORD',
+    "costNotes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MaintenanceRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "MaintenanceRequestPhoto" (
+    "id" TEXT NOT NULL,
+    "maintenanceRequestId" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "fileUrl" TEXT NOT NULL,
+    "fileType" TEXT NOT NULL,
+    "fileSize" INTEGER NOT NULL,
+    "caption" TEXT,
+    "stage" TEXT,
+    "uploadedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "uploadedById" TEXT NOT NULL,
+
+    CONSTRAINT "MaintenanceRequestPhoto_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MaintenanceRequest_requestNumber_key" ON "MaintenanceRequest"("requestNumber");
+
+-- CreateIndex
+CREATE INDEX "MaintenanceRequest_propertyId_idx" ON "MaintenanceRequest"("propertyId");
+
+-- CreateIndex
+CREATE INDEX "MaintenanceRequest_unitId_idx" ON "MaintenanceRequest"("unitId");
+
+-- CreateIndex
+CREATE INDEX "MaintenanceRequest_tenantId_idx" ON "MaintenanceRequest"("tenantId");
+
+-- CreateIndex
+CREATE INDEX "MaintenanceRequest_status_idx" ON "MaintenanceRequest"("status");
+
+-- CreateIndex
+CREATE INDEX "MaintenanceRequest_priority_idx" ON "MaintenanceRequest"("priority");
+
+-- CreateIndex
+CREATE INDEX "MaintenanceRequest_assignedProviderId_idx" ON "MaintenanceRequest"("assignedProviderId");
+
+-- CreateIndex
+CREATE INDEX "MaintenanceRequest_assignedUserId_idx" ON "MaintenanceRequest"("assignedUserId");
+
+-- CreateIndex
+CREATE INDEX "MaintenanceRequest_createdAt_idx" ON "MaintenanceRequest"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "MaintenanceRequestPhoto_maintenanceRequestId_idx" ON "MaintenanceRequestPhoto"("maintenanceRequestId");
+
+-- CreateIndex
+CREATE INDEX "MaintenanceRequestPhoto_uploadedById_idx" ON "MaintenanceRequestPhoto"("uploadedById");
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceRequest" ADD CONSTRAINT "MaintenanceRequest_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceRequest" ADD CONSTRAINT "MaintenanceRequest_unitId_fkey" FOREIGN KEY ("unitId") REFERENCES "Unit"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceRequest" ADD CONSTRAINT "MaintenanceRequest_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceRequest" ADD CONSTRAINT "MaintenanceRequest_reportedById_fkey" FOREIGN KEY ("reportedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceRequest" ADD CONSTRAINT "MaintenanceRequest_assignedProviderId_fkey" FOREIGN KEY ("assignedProviderId") REFERENCES "ServiceProvider"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceRequest" ADD CONSTRAINT "MaintenanceRequest_assignedUserId_fkey" FOREIGN KEY ("assignedUserId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceRequestPhoto" ADD CONSTRAINT "MaintenanceRequestPhoto_maintenanceRequestId_fkey" FOREIGN KEY ("maintenanceRequestId") REFERENCES "MaintenanceRequest"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceRequestPhoto" ADD CONSTRAINT "MaintenanceRequestPhoto_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
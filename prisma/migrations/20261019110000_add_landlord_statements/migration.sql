@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "RemittanceStatus" AS ENUM ('PENDING', 'PAID');
+
+-- CreateTable
+CREATE TABLE "LandlordStatement" (
+    "id" TEXT NOT NULL,
+    "statementNumber" TEXT NOT NULL,
+    "landlordId" TEXT NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "periodEnd" TIMESTAMP(3) NOT NULL,
+    "rentCollected" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "serviceChargeCollected" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "vatCollected" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "grossCollections" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "commissionDeductions" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "serviceProviderCharges" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "billsPaidOnBehalf" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "otherDeductions" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "totalDeductions" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "netRemittance" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "details" JSONB NOT NULL,
+    "remittanceStatus" "RemittanceStatus" NOT NULL DEFAULT 'PENDING',
+    "remittedAt" TIMESTAMP(3),
+    "remittanceMethod" "PaymentMethod",
+    "remittanceReference" TEXT,
+    "remittedById" TEXT,
+    "pdfUrl" TEXT,
+    "notes" TEXT,
+    "generatedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LandlordStatement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LandlordStatement_statementNumber_key" ON "LandlordStatement"("statementNumber");
+
+-- CreateIndex
+CREATE INDEX "LandlordStatement_landlordId_idx" ON "LandlordStatement"("landlordId");
+
+-- CreateIndex
+CREATE INDEX "LandlordStatement_remittanceStatus_idx" ON "LandlordStatement"("remittanceStatus");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LandlordStatement_landlordId_periodStart_periodEnd_key" ON "LandlordStatement"("landlordId", "periodStart", "periodEnd");
+
+-- AddForeignKey
+ALTER TABLE "LandlordStatement" ADD CONSTRAINT "LandlordStatement_landlordId_fkey" FOREIGN KEY ("landlordId") REFERENCES "Landlord"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LandlordStatement" ADD CONSTRAINT "LandlordStatement_generatedById_fkey" FOREIGN KEY ("generatedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LandlordStatement" ADD CONSTRAINT "LandlordStatement_remittedById_fkey" FOREIGN KEY ("remittedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
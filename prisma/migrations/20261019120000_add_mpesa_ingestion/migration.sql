@@ -0,0 +1,103 @@
+-- CreateEnum
+CREATE TYPE "MpesaTransactionSource" AS ENUM ('C2B', 'STK_PUSH');
+
+-- CreateEnum
+CREATE TYPE "MpesaTransactionStatus" AS ENUM ('RECEIVED', 'ALLOCATED', 'SUSPENSE', 'FAILED', 'IGNORED');
+
+-- CreateEnum
+CREATE TYPE "MpesaStkStatus" AS ENUM ('PENDING', 'COMPLETED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "MpesaTransaction" (
+    "id" TEXT NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "source" "MpesaTransactionSource" NOT NULL,
+    "transactionType" TEXT,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "businessShortCode" TEXT,
+    "billRefNumber" TEXT,
+    "msisdn" TEXT,
+    "payerName" TEXT,
+    "transactionTime" TIMESTAMP(3) NOT NULL,
+    "rawPayload" JSONB NOT NULL,
+    "status" "MpesaTransactionStatus" NOT NULL DEFAULT 'RECEIVED',
+    "matchedBy" TEXT,
+    "tenantId" TEXT,
+    "paymentReportId" TEXT,
+    "allocation" JSONB,
+    "statusReason" TEXT,
+    "processedAt" TIMESTAMP(3),
+    "assignedById" TEXT,
+    "assignedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MpesaTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "MpesaStkRequest" (
+    "id" TEXT NOT NULL,
+    "merchantRequestId" TEXT,
+    "checkoutRequestId" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "invoiceId" TEXT,
+    "billInvoiceId" TEXT,
+    "phoneNumber" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "accountReference" TEXT NOT NULL,
+    "status" "MpesaStkStatus" NOT NULL DEFAULT 'PENDING',
+    "resultCode" INTEGER,
+    "resultDesc" TEXT,
+    "mpesaTransactionId" TEXT,
+    "initiatedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MpesaStkRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MpesaTransaction_transactionId_key" ON "MpesaTransaction"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "MpesaTransaction_status_idx" ON "MpesaTransaction"("status");
+
+-- CreateIndex
+CREATE INDEX "MpesaTransaction_tenantId_idx" ON "MpesaTransaction"("tenantId");
+
+-- CreateIndex
+CREATE INDEX "MpesaTransaction_billRefNumber_idx" ON "MpesaTransaction"("billRefNumber");
+
+-- CreateIndex
+CREATE INDEX "MpesaTransaction_transactionTime_idx" ON "MpesaTransaction"("transactionTime");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MpesaStkRequest_checkoutRequestId_key" ON "MpesaStkRequest"("checkoutRequestId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MpesaStkRequest_mpesaTransactionId_key" ON "MpesaStkRequest"("mpesaTransactionId");
+
+-- CreateIndex
+CREATE INDEX "MpesaStkRequest_tenantId_idx" ON "MpesaStkRequest"("tenantId");
+
+-- CreateIndex
+CREATE INDEX "MpesaStkRequest_status_idx" ON "MpesaStkRequest"("status");
+
+-- AddForeignKey
+ALTER TABLE "MpesaTransaction" ADD CONSTRAINT "MpesaTransaction_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MpesaTransaction" ADD CONSTRAINT "MpesaTransaction_paymentReportId_fkey" FOREIGN KEY ("paymentReportId") REFERENCES "PaymentReport"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MpesaTransaction" ADD CONSTRAINT "MpesaTransaction_assignedById_fkey" FOREIGN KEY ("assignedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MpesaStkRequest" ADD CONSTRAINT "MpesaStkRequest_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MpesaStkRequest" ADD CONSTRAINT "MpesaStkRequest_mpesaTransactionId_fkey" FOREIGN KEY ("mpesaTransactionId") REFERENCES "MpesaTransaction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MpesaStkRequest" ADD CONSTRAINT "MpesaStkRequest_initiatedById_fkey" FOREIGN KEY ("initiatedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
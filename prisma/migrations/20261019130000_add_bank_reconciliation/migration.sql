@@ -0,0 +1,141 @@
+-- CreateEnum
+CREATE TYPE "BankStatementFormat" AS ENUM ('CSV', 'MT940', 'CAMT053');
+
+-- CreateEnum
+CREATE TYPE "BankLineDirection" AS ENUM ('CREDIT', 'DEBIT');
+
+-- CreateEnum
+CREATE TYPE "BankLineStatus" AS ENUM ('UNMATCHED', 'PROPOSED', 'PARTIALLY_MATCHED', 'MATCHED', 'IGNORED');
+
+-- CreateEnum
+CREATE TYPE "BankMatchType" AS ENUM ('PAYMENT_REPORT', 'OTHER_INCOME', 'SALARY_PAYMENT');
+
+-- CreateEnum
+CREATE TYPE "BankMatchStatus" AS ENUM ('PROPOSED', 'CONFIRMED');
+
+-- CreateTable
+CREATE TABLE "BankStatement" (
+    "id" TEXT NOT NULL,
+    "propertyId" TEXT NOT NULL,
+    "accountNo" TEXT,
+    "bank" TEXT,
+    "format" "BankStatementFormat" NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "fileHash" TEXT NOT NULL,
+    "statementRef" TEXT,
+    "periodStart" TIMESTAMP(3),
+    "periodEnd" TIMESTAMP(3),
+    "openingBalance" DOUBLE PRECISION,
+    "closingBalance" DOUBLE PRECISION,
+    "currency" TEXT NOT NULL DEFAULT 'KES',
+    "totalCredits" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "totalDebits" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "uploadedById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BankStatement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BankStatementLine" (
+    "id" TEXT NOT NULL,
+    "statementId" TEXT NOT NULL,
+    "lineNumber" INTEGER NOT NULL,
+    "valueDate" TIMESTAMP(3) NOT NULL,
+    "bookingDate" TIMESTAMP(3),
+    "amount" DOUBLE PRECISION NOT NULL,
+    "direction" "BankLineDirection" NOT NULL,
+    "description" TEXT,
+    "reference" TEXT,
+    "bankReference" TEXT,
+    "status" "BankLineStatus" NOT NULL DEFAULT 'UNMATCHED',
+    "matchedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "reconciledById" TEXT,
+    "reconciledAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BankStatementLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BankReconciliationMatch" (
+    "id" TEXT NOT NULL,
+    "lineId" TEXT NOT NULL,
+    "matchType" "BankMatchType" NOT NULL,
+    "paymentReportId" TEXT,
+    "otherIncomeId" TEXT,
+    "salaryPaymentId" TEXT,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "status" "BankMatchStatus" NOT NULL DEFAULT 'PROPOSED',
+    "confidence" DOUBLE PRECISION,
+    "reason" TEXT,
+    "createdById" TEXT,
+    "confirmedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BankReconciliationMatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BankStatement_propertyId_fileHash_key" ON "BankStatement"("propertyId", "fileHash");
+
+-- CreateIndex
+CREATE INDEX "BankStatement_propertyId_idx" ON "BankStatement"("propertyId");
+
+-- CreateIndex
+CREATE INDEX "BankStatement_periodStart_idx" ON "BankStatement"("periodStart");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BankStatementLine_statementId_lineNumber_key" ON "BankStatementLine"("statementId", "lineNumber");
+
+-- CreateIndex
+CREATE INDEX "BankStatementLine_status_idx" ON "BankStatementLine"("status");
+
+-- CreateIndex
+CREATE INDEX "BankStatementLine_valueDate_idx" ON "BankStatementLine"("valueDate");
+
+-- CreateIndex
+CREATE INDEX "BankReconciliationMatch_lineId_idx" ON "BankReconciliationMatch"("lineId");
+
+-- CreateIndex
+CREATE INDEX "BankReconciliationMatch_status_idx" ON "BankReconciliationMatch"("status");
+
+-- CreateIndex
+CREATE INDEX "BankReconciliationMatch_paymentReportId_idx" ON "BankReconciliationMatch"("paymentReportId");
+
+-- CreateIndex
+CREATE INDEX "BankReconciliationMatch_otherIncomeId_idx" ON "BankReconciliationMatch"("otherIncomeId");
+
+-- CreateIndex
+CREATE INDEX "BankReconciliationMatch_salaryPaymentId_idx" ON "BankReconciliationMatch"("salaryPaymentId");
+
+-- AddForeignKey
+ALTER TABLE "BankStatement" ADD CONSTRAINT "BankStatement_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankStatement" ADD CONSTRAINT "BankStatement_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankStatementLine" ADD CONSTRAINT "BankStatementLine_statementId_fkey" FOREIGN KEY ("statementId") REFERENCES "BankStatement"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankStatementLine" ADD CONSTRAINT "BankStatementLine_reconciledById_fkey" FOREIGN KEY ("reconciledById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankReconciliationMatch" ADD CONSTRAINT "BankReconciliationMatch_lineId_fkey" FOREIGN KEY ("lineId") REFERENCES "BankStatementLine"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankReconciliationMatch" ADD CONSTRAINT "BankReconciliationMatch_paymentReportId_fkey" FOREIGN KEY ("paymentReportId") REFERENCES "PaymentReport"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankReconciliationMatch" ADD CONSTRAINT "BankReconciliationMatch_otherIncomeId_fkey" FOREIGN KEY ("otherIncomeId") REFERENCES "OtherIncome"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankReconciliationMatch" ADD CONSTRAINT "BankReconciliationMatch_salaryPaymentId_fkey" FOREIGN KEY ("salaryPaymentId") REFERENCES "SalaryPayment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BankReconciliationMatch" ADD CONSTRAINT "BankReconciliationMatch_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
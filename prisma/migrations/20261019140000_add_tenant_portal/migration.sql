@@ -0,0 +1,47 @@
+-- DropForeignKey
+ALTER TABLE "MaintenanceRequest" DROP CONSTRAINT "MaintenanceRequest_reportedById_fkey";
+
+-- AlterTable
+ALTER TABLE "Attachment" ADD COLUMN     "uploadedByTenantAccountId" TEXT,
+ALTER COLUMN "uploadedById" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "MaintenanceRequest" ADD COLUMN     "reportedByTenantAccountId" TEXT,
+ALTER COLUMN "reportedById" DROP NOT NULL;
+
+-- CreateTable
+CREATE TABLE "TenantAccount" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "password" TEXT NOT NULL,
+    "mustChangePassword" BOOLEAN NOT NULL DEFAULT true,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastLoginAt" TIMESTAMP(3),
+    "passwordChangedAt" TIMESTAMP(3),
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TenantAccount_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TenantAccount_tenantId_key" ON "TenantAccount"("tenantId");
+
+-- CreateIndex
+CREATE INDEX "MaintenanceRequest_reportedByTenantAccountId_idx" ON "MaintenanceRequest"("reportedByTenantAccountId");
+
+-- AddForeignKey
+ALTER TABLE "TenantAccount" ADD CONSTRAINT "TenantAccount_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TenantAccount" ADD CONSTRAINT "TenantAccount_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Attachment" ADD CONSTRAINT "Attachment_uploadedByTenantAccountId_fkey" FOREIGN KEY ("uploadedByTenantAccountId") REFERENCES "TenantAccount"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceRequest" ADD CONSTRAINT "MaintenanceRequest_reportedById_fkey" FOREIGN KEY ("reportedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceRequest" ADD CONSTRAINT "MaintenanceRequest_reportedByTenantAccountId_fkey" FOREIGN KEY ("reportedByTenantAccountId") REFERENCES "TenantAccount"("id") ON DELETE SET NULL ON UPDATE CASCADE;
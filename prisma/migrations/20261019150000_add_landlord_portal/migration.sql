@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "LandlordAccount" (
+    "id" TEXT NOT NULL,
+    "landlordId" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "password" TEXT NOT NULL,
+    "mustChangePassword" BOOLEAN NOT NULL DEFAULT true,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastLoginAt" TIMESTAMP(3),
+    "passwordChangedAt" TIMESTAMP(3),
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LandlordAccount_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LandlordAccount_landlordId_key" ON "LandlordAccount"("landlordId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LandlordAccount_email_key" ON "LandlordAccount"("email");
+
+-- AddForeignKey
+ALTER TABLE "LandlordAccount" ADD CONSTRAINT "LandlordAccount_landlordId_fkey" FOREIGN KEY ("landlordId") REFERENCES "Landlord"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LandlordAccount" ADD CONSTRAINT "LandlordAccount_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,139 @@
+-- CreateEnum
+CREATE TYPE "TenantStatus" AS ENUM ('ACTIVE', 'MOVED_OUT');
+
+-- CreateEnum
+CREATE TYPE "LeaseStatus" AS ENUM ('ACTIVE', 'NOTICE_GIVEN', 'RENEWED', 'TERMINATED', 'EXPIRED');
+
+-- CreateEnum
+CREATE TYPE "LeaseNoticeParty" AS ENUM ('TENANT', 'LANDLORD');
+
+-- CreateEnum
+CREATE TYPE "DepositRefundStatus" AS ENUM ('PENDING', 'REFUNDED', 'NOT_APPLICABLE');
+
+-- DropForeignKey
+ALTER TABLE "Tenant" DROP CONSTRAINT "Tenant_unitId_fkey";
+
+-- AlterTable
+ALTER TABLE "Tenant" ALTER COLUMN "unitId" DROP NOT NULL,
+ADD COLUMN     "status" "TenantStatus" NOT NULL DEFAULT 'ACTIVE',
+ADD COLUMN     "movedOutAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "Lease" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "unitId" TEXT NOT NULL,
+    "propertyId" TEXT NOT NULL,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3) NOT NULL,
+    "noticePeriodDays" INTEGER NOT NULL DEFAULT 30,
+    "rent" DOUBLE PRECISION NOT NULL,
+    "deposit" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "escalationRate" DOUBLE PRECISION,
+    "escalationFrequency" "EscalationFrequency",
+    "status" "LeaseStatus" NOT NULL DEFAULT 'ACTIVE',
+    "previousLeaseId" TEXT,
+    "noticeDate" TIMESTAMP(3),
+    "noticeGivenBy" "LeaseNoticeParty",
+    "terminationDate" TIMESTAMP(3),
+    "terminationReason" TEXT,
+    "notes" TEXT,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Lease_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "TenantMoveOut" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "leaseId" TEXT,
+    "unitId" TEXT NOT NULL,
+    "propertyId" TEXT NOT NULL,
+    "moveOutDate" TIMESTAMP(3) NOT NULL,
+    "depositHeld" DOUBLE PRECISION NOT NULL,
+    "creditBalance" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "outstandingRent" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "outstandingBills" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "damages" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "otherDeductions" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "deductionItems" JSONB,
+    "totalDeductions" DOUBLE PRECISION NOT NULL,
+    "refundAmount" DOUBLE PRECISION NOT NULL,
+    "amountDue" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "refundStatus" "DepositRefundStatus" NOT NULL DEFAULT 'PENDING',
+    "refundedAt" TIMESTAMP(3),
+    "refundMethod" "PaymentMethod",
+    "refundReference" TEXT,
+    "notes" TEXT,
+    "processedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TenantMoveOut_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Lease_previousLeaseId_key" ON "Lease"("previousLeaseId");
+
+-- CreateIndex
+CREATE INDEX "Lease_tenantId_idx" ON "Lease"("tenantId");
+
+-- CreateIndex
+CREATE INDEX "Lease_unitId_idx" ON "Lease"("unitId");
+
+-- CreateIndex
+CREATE INDEX "Lease_propertyId_idx" ON "Lease"("propertyId");
+
+-- CreateIndex
+CREATE INDEX "Lease_status_idx" ON "Lease"("status");
+
+-- CreateIndex
+CREATE INDEX "Lease_endDate_idx" ON "Lease"("endDate");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TenantMoveOut_leaseId_key" ON "TenantMoveOut"("leaseId");
+
+-- CreateIndex
+CREATE INDEX "TenantMoveOut_tenantId_idx" ON "TenantMoveOut"("tenantId");
+
+-- CreateIndex
+CREATE INDEX "TenantMoveOut_propertyId_idx" ON "TenantMoveOut"("propertyId");
+
+-- CreateIndex
+CREATE INDEX "TenantMoveOut_refundStatus_idx" ON "TenantMoveOut"("refundStatus");
+
+-- AddForeignKey
+ALTER TABLE "Tenant" ADD CONSTRAINT "Tenant_unitId_fkey" FOREIGN KEY ("unitId") REFERENCES "Unit"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Lease" ADD CONSTRAINT "Lease_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Lease" ADD CONSTRAINT "Lease_unitId_fkey" FOREIGN KEY ("unitId") REFERENCES "Unit"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Lease" ADD CONSTRAINT "Lease_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Lease" ADD CONSTRAINT "Lease_previousLeaseId_fkey" FOREIGN KEY ("previousLeaseId") REFERENCES "Lease"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Lease" ADD CONSTRAINT "Lease_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TenantMoveOut" ADD CONSTRAINT "TenantMoveOut_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TenantMoveOut" ADD CONSTRAINT "TenantMoveOut_leaseId_fkey" FOREIGN KEY ("leaseId") REFERENCES "Lease"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TenantMoveOut" ADD CONSTRAINT "TenantMoveOut_unitId_fkey" FOREIGN KEY ("unitId") REFERENCES "Unit"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TenantMoveOut" ADD CONSTRAINT "TenantMoveOut_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TenantMoveOut" ADD CONSTRAINT "TenantMoveOut_processedById_fkey" FOREIGN KEY ("processedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,89 @@
+-- CreateEnum
+CREATE TYPE "BillingRunTrigger" AS ENUM ('MANUAL', 'SCHEDULED');
+
+-- CreateEnum
+CREATE TYPE "BillingRunStatus" AS ENUM ('RUNNING', 'COMPLETED', 'COMPLETED_WITH_ERRORS', 'FAILED');
+
+-- CreateEnum
+CREATE TYPE "BillingRunItemOutcome" AS ENUM ('CREATED', 'SKIPPED', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "Invoice" ADD COLUMN     "billingPeriodStart" TIMESTAMP(3),
+ADD COLUMN     "billingRunId" TEXT;
+
+-- CreateTable
+CREATE TABLE "BillingRun" (
+    "id" TEXT NOT NULL,
+    "propertyId" TEXT NOT NULL,
+    "paymentPolicy" "PaymentPolicy",
+    "periodMonth" TIMESTAMP(3) NOT NULL,
+    "trigger" "BillingRunTrigger" NOT NULL DEFAULT 'MANUAL',
+    "status" "BillingRunStatus" NOT NULL DEFAULT 'RUNNING',
+    "tenantsConsidered" INTEGER NOT NULL DEFAULT 0,
+    "invoicesCreated" INTEGER NOT NULL DEFAULT 0,
+    "skippedCount" INTEGER NOT NULL DEFAULT 0,
+    "failedCount" INTEGER NOT NULL DEFAULT 0,
+    "totalInvoiced" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "errorMessage" TEXT,
+    "triggeredById" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "BillingRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BillingRunItem" (
+    "id" TEXT NOT NULL,
+    "runId" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "invoiceId" TEXT,
+    "paymentPolicy" "PaymentPolicy" NOT NULL,
+    "periodStart" TIMESTAMP(3),
+    "periodLabel" TEXT,
+    "amount" DOUBLE PRECISION,
+    "outcome" "BillingRunItemOutcome" NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BillingRunItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Invoice_billingRunId_idx" ON "Invoice"("billingRunId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_tenantId_billingPeriodStart_key" ON "Invoice"("tenantId", "billingPeriodStart");
+
+-- CreateIndex
+CREATE INDEX "BillingRun_propertyId_idx" ON "BillingRun"("propertyId");
+
+-- CreateIndex
+CREATE INDEX "BillingRun_periodMonth_idx" ON "BillingRun"("periodMonth");
+
+-- CreateIndex
+CREATE INDEX "BillingRun_status_idx" ON "BillingRun"("status");
+
+-- CreateIndex
+CREATE INDEX "BillingRunItem_runId_idx" ON "BillingRunItem"("runId");
+
+-- CreateIndex
+CREATE INDEX "BillingRunItem_tenantId_idx" ON "BillingRunItem"("tenantId");
+
+-- CreateIndex
+CREATE INDEX "BillingRunItem_outcome_idx" ON "BillingRunItem"("outcome");
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_billingRunId_fkey" FOREIGN KEY ("billingRunId") REFERENCES "BillingRun"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BillingRun" ADD CONSTRAINT "BillingRun_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BillingRun" ADD CONSTRAINT "BillingRun_triggeredById_fkey" FOREIGN KEY ("triggeredById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BillingRunItem" ADD CONSTRAINT "BillingRunItem_runId_fkey" FOREIGN KEY ("runId") REFERENCES "BillingRun"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BillingRunItem" ADD CONSTRAINT "BillingRunItem_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,106 @@
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "JournalSourceType" ADD VALUE 'LATE_FEE';
+ALTER TYPE "JournalSourceType" ADD VALUE 'LATE_FEE_PAYMENT';
+
+-- CreateEnum
+CREATE TYPE "LateFeeType" AS ENUM ('FLAT', 'PERCENTAGE', 'DAILY_INTEREST');
+
+-- CreateEnum
+CREATE TYPE "LateFeeStatus" AS ENUM ('OUTSTANDING', 'PARTIAL', 'PAID', 'WAIVED');
+
+-- AlterTable
+ALTER TABLE "DemandLetter" ADD COLUMN     "penaltyAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "LateFeePolicy" (
+    "id" TEXT NOT NULL,
+    "propertyId" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "gracePeriodDays" INTEGER NOT NULL DEFAULT 5,
+    "feeType" "LateFeeType" NOT NULL,
+    "flatAmount" DOUBLE PRECISION,
+    "percentage" DOUBLE PRECISION,
+    "dailyInterestRate" DOUBLE PRECISION,
+    "maxFeeAmount" DOUBLE PRECISION,
+    "maxFeePercent" DOUBLE PRECISION,
+    "applyToBillInvoices" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LateFeePolicy_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LateFee" (
+    "id" TEXT NOT NULL,
+    "assessmentKey" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "propertyId" TEXT NOT NULL,
+    "invoiceId" TEXT,
+    "billInvoiceId" TEXT,
+    "feeType" "LateFeeType" NOT NULL,
+    "description" TEXT NOT NULL,
+    "basisAmount" DOUBLE PRECISION NOT NULL,
+    "rate" DOUBLE PRECISION,
+    "accruedFrom" TIMESTAMP(3),
+    "accruedThrough" TIMESTAMP(3),
+    "amount" DOUBLE PRECISION NOT NULL,
+    "amountPaid" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "waivedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "balance" DOUBLE PRECISION NOT NULL,
+    "status" "LateFeeStatus" NOT NULL DEFAULT 'OUTSTANDING',
+    "assessedDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "waivedAt" TIMESTAMP(3),
+    "waivedById" TEXT,
+    "waiverReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LateFee_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LateFeePolicy_propertyId_key" ON "LateFeePolicy"("propertyId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LateFee_assessmentKey_key" ON "LateFee"("assessmentKey");
+
+-- CreateIndex
+CREATE INDEX "LateFee_tenantId_idx" ON "LateFee"("tenantId");
+
+-- CreateIndex
+CREATE INDEX "LateFee_propertyId_idx" ON "LateFee"("propertyId");
+
+-- CreateIndex
+CREATE INDEX "LateFee_invoiceId_idx" ON "LateFee"("invoiceId");
+
+-- CreateIndex
+CREATE INDEX "LateFee_billInvoiceId_idx" ON "LateFee"("billInvoiceId");
+
+-- CreateIndex
+CREATE INDEX "LateFee_status_idx" ON "LateFee"("status");
+
+-- AddForeignKey
+ALTER TABLE "LateFeePolicy" ADD CONSTRAINT "LateFeePolicy_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LateFee" ADD CONSTRAINT "LateFee_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LateFee" ADD CONSTRAINT "LateFee_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LateFee" ADD CONSTRAINT "LateFee_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "Invoice"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LateFee" ADD CONSTRAINT "LateFee_billInvoiceId_fkey" FOREIGN KEY ("billInvoiceId") REFERENCES "BillInvoice"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LateFee" ADD CONSTRAINT "LateFee_waivedById_fkey" FOREIGN KEY ("waivedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,71 @@
+-- CreateEnum
+CREATE TYPE "DunningStage" AS ENUM ('REMINDER', 'DEMAND_LETTER', 'ESCALATION');
+
+-- AlterTable
+ALTER TABLE "DemandLetter" ADD COLUMN     "escalatedAt" TIMESTAMP(3),
+ADD COLUMN     "sentAt" TIMESTAMP(3),
+ADD COLUMN     "sentTo" TEXT,
+ADD COLUMN     "settledAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "DunningPolicy" (
+    "id" TEXT NOT NULL,
+    "propertyId" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "reminderAfterDays" INTEGER NOT NULL DEFAULT 3,
+    "demandLetterAfterDays" INTEGER NOT NULL DEFAULT 14,
+    "escalateAfterDays" INTEGER NOT NULL DEFAULT 30,
+    "demandPeriod" TEXT NOT NULL DEFAULT '7 days',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DunningPolicy_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DunningAction" (
+    "id" TEXT NOT NULL,
+    "invoiceId" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "propertyId" TEXT NOT NULL,
+    "stage" "DunningStage" NOT NULL,
+    "daysOverdue" INTEGER NOT NULL,
+    "amountDue" DOUBLE PRECISION NOT NULL,
+    "demandLetterId" TEXT,
+    "sentTo" TEXT,
+    "delivered" BOOLEAN NOT NULL DEFAULT false,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DunningAction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DunningPolicy_propertyId_key" ON "DunningPolicy"("propertyId");
+
+-- CreateIndex
+CREATE INDEX "DunningAction_tenantId_idx" ON "DunningAction"("tenantId");
+
+-- CreateIndex
+CREATE INDEX "DunningAction_propertyId_idx" ON "DunningAction"("propertyId");
+
+-- CreateIndex
+CREATE INDEX "DunningAction_stage_idx" ON "DunningAction"("stage");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DunningAction_invoiceId_stage_key" ON "DunningAction"("invoiceId", "stage");
+
+-- AddForeignKey
+ALTER TABLE "DunningPolicy" ADD CONSTRAINT "DunningPolicy_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DunningAction" ADD CONSTRAINT "DunningAction_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "Invoice"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DunningAction" ADD CONSTRAINT "DunningAction_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DunningAction" ADD CONSTRAINT "DunningAction_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DunningAction" ADD CONSTRAINT "DunningAction_demandLetterId_fkey" FOREIGN KEY ("demandLetterId") REFERENCES "DemandLetter"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,78 @@
+-- CreateEnum
+CREATE TYPE "MessageChannel" AS ENUM ('EMAIL');
+
+-- CreateEnum
+CREATE TYPE "MessageCategory" AS ENUM ('DEMAND_LETTER', 'INVOICE', 'BILL_INVOICE', 'RECEIPT', 'PAYMENT_REMINDER');
+
+-- CreateEnum
+CREATE TYPE "MessageStatus" AS ENUM ('QUEUED', 'SENT', 'FAILED', 'BOUNCED');
+
+-- AlterTable
+ALTER TABLE "DunningAction" ADD COLUMN     "messageId" TEXT;
+
+-- CreateTable
+CREATE TABLE "OutboundMessage" (
+    "id" TEXT NOT NULL,
+    "channel" "MessageChannel" NOT NULL DEFAULT 'EMAIL',
+    "category" "MessageCategory" NOT NULL,
+    "status" "MessageStatus" NOT NULL DEFAULT 'QUEUED',
+    "recipient" TEXT NOT NULL,
+    "subject" TEXT,
+    "html" TEXT,
+    "body" TEXT,
+    "attachments" JSONB,
+    "provider" TEXT,
+    "providerMessageId" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "nextAttemptAt" TIMESTAMP(3),
+    "sentAt" TIMESTAMP(3),
+    "bouncedAt" TIMESTAMP(3),
+    "tenantId" TEXT,
+    "propertyId" TEXT,
+    "demandLetterId" TEXT,
+    "invoiceId" TEXT,
+    "billInvoiceId" TEXT,
+    "paymentReportId" TEXT,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OutboundMessage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OutboundMessage_status_nextAttemptAt_idx" ON "OutboundMessage"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "OutboundMessage_tenantId_idx" ON "OutboundMessage"("tenantId");
+
+-- CreateIndex
+CREATE INDEX "OutboundMessage_propertyId_idx" ON "OutboundMessage"("propertyId");
+
+-- CreateIndex
+CREATE INDEX "OutboundMessage_providerMessageId_idx" ON "OutboundMessage"("providerMessageId");
+
+-- AddForeignKey
+ALTER TABLE "DunningAction" ADD CONSTRAINT "DunningAction_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "OutboundMessage"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OutboundMessage" ADD CONSTRAINT "OutboundMessage_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OutboundMessage" ADD CONSTRAINT "OutboundMessage_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OutboundMessage" ADD CONSTRAINT "OutboundMessage_demandLetterId_fkey" FOREIGN KEY ("demandLetterId") REFERENCES "DemandLetter"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OutboundMessage" ADD CONSTRAINT "OutboundMessage_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "Invoice"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OutboundMessage" ADD CONSTRAINT "OutboundMessage_billInvoiceId_fkey" FOREIGN KEY ("billInvoiceId") REFERENCES "BillInvoice"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OutboundMessage" ADD CONSTRAINT "OutboundMessage_paymentReportId_fkey" FOREIGN KEY ("paymentReportId") REFERENCES "PaymentReport"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OutboundMessage" ADD CONSTRAINT "OutboundMessage_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
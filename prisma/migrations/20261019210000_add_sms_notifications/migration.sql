@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "MessageChannel" ADD VALUE 'SMS';
+
+-- AlterEnum
+ALTER TYPE "MessageCategory" ADD VALUE 'PAYMENT_DUE';
+
+-- AlterTable
+ALTER TABLE "Tenant" ADD COLUMN     "smsOptOut" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "smsOptOutAt" TIMESTAMP(3);
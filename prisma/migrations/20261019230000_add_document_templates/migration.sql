@@ -0,0 +1,42 @@
+-- CreateEnum
+CREATE TYPE "TemplateScope" AS ENUM ('GLOBAL', 'PROPERTY', 'LANDLORD');
+
+-- CreateTable
+CREATE TABLE "DocumentTemplate" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "scope" "TemplateScope" NOT NULL DEFAULT 'GLOBAL',
+    "propertyId" TEXT,
+    "landlordId" TEXT,
+    "scopeKey" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "body" TEXT NOT NULL,
+    "notes" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT false,
+    "activatedAt" TIMESTAMP(3),
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DocumentTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DocumentTemplate_key_scopeKey_isActive_idx" ON "DocumentTemplate"("key", "scopeKey", "isActive");
+
+-- CreateIndex
+CREATE INDEX "DocumentTemplate_propertyId_idx" ON "DocumentTemplate"("propertyId");
+
+-- CreateIndex
+CREATE INDEX "DocumentTemplate_landlordId_idx" ON "DocumentTemplate"("landlordId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DocumentTemplate_key_scopeKey_version_key" ON "DocumentTemplate"("key", "scopeKey", "version");
+
+-- AddForeignKey
+ALTER TABLE "DocumentTemplate" ADD CONSTRAINT "DocumentTemplate_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DocumentTemplate" ADD CONSTRAINT "DocumentTemplate_landlordId_fkey" FOREIGN KEY ("landlordId") REFERENCES "Landlord"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DocumentTemplate" ADD CONSTRAINT "DocumentTemplate_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
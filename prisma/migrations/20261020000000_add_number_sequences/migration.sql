@@ -0,0 +1,45 @@
+-- CreateEnum
+CREATE TYPE "SequenceDocumentType" AS ENUM ('INVOICE', 'BILL_INVOICE', 'OTHER_INCOME_INVOICE', 'COMMISSION_INVOICE', 'LANDLORD_STATEMENT', 'DEMAND_LETTER', 'JOURNAL_ENTRY');
+
+-- CreateEnum
+CREATE TYPE "SequenceReset" AS ENUM ('NEVER', 'YEARLY', 'FISCAL_YEAR', 'MONTHLY');
+
+-- CreateTable
+CREATE TABLE "NumberSequence" (
+    "id" TEXT NOT NULL,
+    "documentType" "SequenceDocumentType" NOT NULL,
+    "propertyId" TEXT,
+    "scopeKey" TEXT NOT NULL,
+    "pattern" TEXT NOT NULL,
+    "resetPolicy" "SequenceReset" NOT NULL DEFAULT 'MONTHLY',
+    "fiscalYearStartMonth" INTEGER NOT NULL DEFAULT 1,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "NumberSequence_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SequenceCounter" (
+    "id" TEXT NOT NULL,
+    "documentType" "SequenceDocumentType" NOT NULL,
+    "scopeKey" TEXT NOT NULL,
+    "period" TEXT NOT NULL,
+    "lastValue" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SequenceCounter_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "NumberSequence_propertyId_idx" ON "NumberSequence"("propertyId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NumberSequence_documentType_scopeKey_key" ON "NumberSequence"("documentType", "scopeKey");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SequenceCounter_documentType_scopeKey_period_key" ON "SequenceCounter"("documentType", "scopeKey", "period");
+
+-- AddForeignKey
+ALTER TABLE "NumberSequence" ADD CONSTRAINT "NumberSequence_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE CASCADE ON UPDATE CASCADE;
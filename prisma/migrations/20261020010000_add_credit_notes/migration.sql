@@ -0,0 +1,74 @@
+-- CreateEnum
+CREATE TYPE "CreditNoteType" AS ENUM ('CREDIT', 'VOID');
+
+-- AlterEnum
+ALTER TYPE "JournalSourceType" ADD VALUE 'CREDIT_NOTE';
+
+-- AlterEnum
+ALTER TYPE "SequenceDocumentType" ADD VALUE 'CREDIT_NOTE';
+
+-- AlterTable
+ALTER TABLE "Invoice" ADD COLUMN     "creditedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "voidReason" TEXT,
+ADD COLUMN     "voidedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "BillInvoice" ADD COLUMN     "creditedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "voidReason" TEXT,
+ADD COLUMN     "voidedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Bill" ADD COLUMN     "creditedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "CreditNote" (
+    "id" TEXT NOT NULL,
+    "creditNoteNumber" TEXT NOT NULL,
+    "type" "CreditNoteType" NOT NULL DEFAULT 'CREDIT',
+    "invoiceId" TEXT,
+    "billInvoiceId" TEXT,
+    "tenantId" TEXT NOT NULL,
+    "propertyId" TEXT,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "vatAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "reason" TEXT NOT NULL,
+    "issueDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "pdfUrl" TEXT,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CreditNote_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CreditNote_creditNoteNumber_key" ON "CreditNote"("creditNoteNumber");
+
+-- CreateIndex
+CREATE INDEX "CreditNote_invoiceId_idx" ON "CreditNote"("invoiceId");
+
+-- CreateIndex
+CREATE INDEX "CreditNote_billInvoiceId_idx" ON "CreditNote"("billInvoiceId");
+
+-- CreateIndex
+CREATE INDEX "CreditNote_tenantId_idx" ON "CreditNote"("tenantId");
+
+-- CreateIndex
+CREATE INDEX "CreditNote_propertyId_idx" ON "CreditNote"("propertyId");
+
+-- CreateIndex
+CREATE INDEX "CreditNote_issueDate_idx" ON "CreditNote"("issueDate");
+
+-- AddForeignKey
+ALTER TABLE "CreditNote" ADD CONSTRAINT "CreditNote_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "Invoice"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CreditNote" ADD CONSTRAINT "CreditNote_billInvoiceId_fkey" FOREIGN KEY ("billInvoiceId") REFERENCES "BillInvoice"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CreditNote" ADD CONSTRAINT "CreditNote_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CreditNote" ADD CONSTRAINT "CreditNote_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CreditNote" ADD CONSTRAINT "CreditNote_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,91 @@
+-- CreateEnum
+CREATE TYPE "DepositTransactionType" AS ENUM ('RECEIPT', 'TOP_UP', 'DEDUCTION', 'INTEREST', 'REFUND');
+
+-- CreateEnum
+CREATE TYPE "DepositDeductionCategory" AS ENUM ('RENT_ARREARS', 'BILL_ARREARS', 'DAMAGES', 'OTHER');
+
+-- AlterEnum
+ALTER TYPE "JournalSourceType" ADD VALUE 'DEPOSIT';
+
+-- AlterEnum
+ALTER TYPE "SequenceDocumentType" ADD VALUE 'DEPOSIT_RECEIPT';
+
+-- AlterTable
+ALTER TABLE "Property" ADD COLUMN     "depositInterestRate" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "Tenant" ADD COLUMN     "depositBalance" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "DepositTransaction" (
+    "id" TEXT NOT NULL,
+    "receiptNumber" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "propertyId" TEXT,
+    "type" "DepositTransactionType" NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "balanceAfter" DOUBLE PRECISION NOT NULL,
+    "deductionCategory" "DepositDeductionCategory",
+    "description" TEXT NOT NULL,
+    "method" "PaymentMethod",
+    "reference" TEXT,
+    "invoiceId" TEXT,
+    "billInvoiceId" TEXT,
+    "moveOutId" TEXT,
+    "periodStart" TIMESTAMP(3),
+    "periodEnd" TIMESTAMP(3),
+    "transactionDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "pdfUrl" TEXT,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DepositTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DepositTransaction_receiptNumber_key" ON "DepositTransaction"("receiptNumber");
+
+-- CreateIndex
+CREATE INDEX "DepositTransaction_tenantId_idx" ON "DepositTransaction"("tenantId");
+
+-- CreateIndex
+CREATE INDEX "DepositTransaction_propertyId_idx" ON "DepositTransaction"("propertyId");
+
+-- CreateIndex
+CREATE INDEX "DepositTransaction_type_idx" ON "DepositTransaction"("type");
+
+-- CreateIndex
+CREATE INDEX "DepositTransaction_transactionDate_idx" ON "DepositTransaction"("transactionDate");
+
+-- CreateIndex
+CREATE INDEX "DepositTransaction_moveOutId_idx" ON "DepositTransaction"("moveOutId");
+
+-- AddForeignKey
+ALTER TABLE "DepositTransaction" ADD CONSTRAINT "DepositTransaction_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "Tenant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DepositTransaction" ADD CONSTRAINT "DepositTransaction_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "Property"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DepositTransaction" ADD CONSTRAINT "DepositTransaction_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "Invoice"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DepositTransaction" ADD CONSTRAINT "DepositTransaction_billInvoiceId_fkey" FOREIGN KEY ("billInvoiceId") REFERENCES "BillInvoice"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DepositTransaction" ADD CONSTRAINT "DepositTransaction_moveOutId_fkey" FOREIGN KEY ("moveOutId") REFERENCES "TenantMoveOut"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DepositTransaction" ADD CONSTRAINT "DepositTransaction_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Carry deposits held by current tenants into the sub-ledger as opening receipts
+-- (no journal entry: the cash was received before deposits were tracked)
+INSERT INTO "DepositTransaction" ("id", "receiptNumber", "tenantId", "propertyId", "type", "amount", "balanceAfter", "description", "transactionDate")
+SELECT 'opening-' || t."id", 'DEP-OPENING-' || t."id", t."id", u."propertyId", 'RECEIPT', t."deposit", t."deposit",
+       'Deposit held before the deposit ledger', t."termStart"
+FROM "Tenant" t
+LEFT JOIN "Unit" u ON u."id" = t."unitId"
+WHERE t."status" <> 'MOVED_OUT' AND t."deposit" > 0;
+
+UPDATE "Tenant" SET "depositBalance" = "deposit"
+WHERE "status" <> 'MOVED_OUT' AND "deposit" > 0;
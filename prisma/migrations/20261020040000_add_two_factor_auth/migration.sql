@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "twoFactorEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "twoFactorEnabledAt" TIMESTAMP(3),
+ADD COLUMN     "twoFactorLastUsedStep" INTEGER,
+ADD COLUMN     "twoFactorRecoveryCodes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "twoFactorSecret" TEXT;
@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE "LoginThrottle" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "scope" TEXT NOT NULL,
+    "failedCount" INTEGER NOT NULL DEFAULT 0,
+    "lockoutCount" INTEGER NOT NULL DEFAULT 0,
+    "lockedUntil" TIMESTAMP(3),
+    "lastFailedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LoginThrottle_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AuthAuditLog" (
+    "id" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "userId" TEXT,
+    "email" TEXT,
+    "changes" JSONB,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuthAuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LoginThrottle_key_key" ON "LoginThrottle"("key");
+
+-- CreateIndex
+CREATE INDEX "LoginThrottle_lockedUntil_idx" ON "LoginThrottle"("lockedUntil");
+
+-- CreateIndex
+CREATE INDEX "AuthAuditLog_userId_idx" ON "AuthAuditLog"("userId");
+
+-- CreateIndex
+CREATE INDEX "AuthAuditLog_email_idx" ON "AuthAuditLog"("email");
+
+-- CreateIndex
+CREATE INDEX "AuthAuditLog_ipAddress_idx" ON "AuthAuditLog"("ipAddress");
+
+-- CreateIndex
+CREATE INDEX "AuthAuditLog_action_idx" ON "AuthAuditLog"("action");
+
+-- CreateIndex
+CREATE INDEX "AuthAuditLog_createdAt_idx" ON "AuthAuditLog"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "AuthAuditLog" ADD CONSTRAINT "AuthAuditLog_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
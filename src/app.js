@@ -28,12 +28,37 @@ import rbacRoutes from './routes/rbac.routes.js';
 import employeeRoutes from './routes/employee.routes.js';
 import otherIncomeRoutes from './routes/otherIncome.routes.js';
 import analyticsRoutes from './routes/analytics.routes.js';
+import maintenanceRoutes from './routes/maintenance.routes.js';
+import ledgerRoutes from './routes/ledger.routes.js';
+import mpesaRoutes from './routes/mpesa.routes.js';
+import reconciliationRoutes from './routes/reconciliation.routes.js';
+import tenantPortalRoutes from './routes/tenantPortal.routes.js';
+import landlordPortalRoutes from './routes/landlordPortal.routes.js';
+import leaseRoutes from './routes/lease.routes.js';
+import billingRunRoutes from './routes/billingRun.routes.js';
+import lateFeeRoutes from './routes/lateFee.routes.js';
+import dunningRoutes from './routes/dunning.routes.js';
+import notificationRoutes from './routes/notification.routes.js';
+import jobRoutes from './routes/job.routes.js';
+import documentTemplateRoutes from './routes/documentTemplate.routes.js';
+import numberSequenceRoutes from './routes/numberSequence.routes.js';
+import creditNoteRoutes from './routes/creditNote.routes.js';
+import depositRoutes from './routes/deposit.routes.js';
+import fileRoutes from './routes/file.routes.js';
+import { protect } from './middleware/authMiddleware.js';
+import { requireUploadAccess } from './middleware/propertyAccessMiddleware.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 
+// Behind a reverse proxy, TRUST_PROXY (number of proxy hops) makes req.ip the
+// client's address; login throttling and the auth audit log key on it
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || 1);
+}
+
 // Middleware
 const allowedOrigins = [
   "https://interpark-property-system-frontend-chi.vercel.app",
@@ -67,11 +92,20 @@ app.use((req, res, next) => {
   }
   next();
 });
-app.use(express.json());
+// Keep the raw body of provider webhooks for signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/notifications/webhooks')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: false }));
 
-// Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Serve uploaded files to staff only: with a bearer token, or from a signed
+// link (POST /api/files/signed-url) when opened in a new tab, and only to users
+// with access to the property of the record the file belongs to
+app.use('/uploads', protect, requireUploadAccess(), express.static(path.join(__dirname, '../uploads'), { index: false }));
 
 
 // Routes
@@ -98,6 +132,23 @@ app.use('/api/rbac', rbacRoutes);
 app.use('/api/employees', employeeRoutes);
 app.use('/api/other-income', otherIncomeRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/maintenance-requests', maintenanceRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/mpesa', mpesaRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/tenant-portal', tenantPortalRoutes);
+app.use('/api/landlord-portal', landlordPortalRoutes);
+app.use('/api/leases', leaseRoutes);
+app.use('/api/billing-runs', billingRunRoutes);
+app.use('/api/late-fees', lateFeeRoutes);
+app.use('/api/dunning', dunningRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/document-templates', documentTemplateRoutes);
+app.use('/api/number-sequences', numberSequenceRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/deposits', depositRoutes);
+app.use('/api/files', fileRoutes);
 // Basic route for health check
 app.get('/api/health', (req, res) => {
   res.json({ message: 'Property Management API is running!' });
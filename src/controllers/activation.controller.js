@@ -1,8 +1,9 @@
 import prisma from "../lib/prisma.js";
 import { generatePDF } from '../utils/pdfGenerator.js';
 import { uploadToStorage, generateFileName } from '../utils/storage.js';
-import { generateActivationPDF as generateActivationPDFTemplate } from '../utils/activationTemplate.js';
+import { renderDocumentPdf } from '../services/templateService.js';
 import permissionService from "../services/permissionService.js";
+import { enqueueJob, jobSummary, permanentJobError } from "../services/jobQueue.js";
 
 // Helper function to check activation request permissions
 const checkActivationPermission = async (userId, userRole, propertyId, operation) => {
@@ -806,34 +807,18 @@ export const generateActivationPDFController = async (req, res) => {
       });
     }
 
-    // Calculate VAT details to pass to template
-    const vatDetails = calculateVATDetails(
-      activation.proposedBudget || activation.licenseFeePerDay || 0,
-      activation.vat,
-      activation.vatType
-    );
-
-    // Generate PDF using new template with all fields including VAT
-    const pdfBuffer = await generateActivationPDFTemplate({
-      ...activation,
-      vatDetails
-    });
+    // Unless the file is wanted in this response, the worker renders it
+    if (req.query.download !== 'true' && req.query.includeBuffer !== 'true') {
+      const job = await enqueueJob('activation.pdf', { activationId: id }, { createdById: userId });
 
-    // Upload to storage
-    const fileName = generateFileName(`activation_${activation.requestNumber}`);
-    const documentUrl = await uploadToStorage(pdfBuffer, fileName, 'activations');
+      return res.status(202).json({
+        success: true,
+        message: 'PDF generation queued',
+        data: jobSummary(job)
+      });
+    }
 
-    // Update activation with document URL
-    const updatedActivation = await prisma.activationRequest.update({
-      where: { id },
-      data: { 
-        documentUrl
-      },
-      include: {
-        property: true,
-        manager: true
-      }
-    });
+    const { pdfBuffer, fileName, documentUrl, activation: updatedActivation } = await renderActivationPdf(id);
 
     // Optional: Also return PDF directly for download
     if (req.query.download === 'true') {
@@ -860,6 +845,45 @@ export const generateActivationPDFController = async (req, res) => {
   }
 };
 
+/**
+ * Render an activation request PDF, store it and record its URL
+ * (activation.pdf job, or directly when the caller downloads it)
+ *
+ * @param {string} activationId
+ * @returns {Promise<{ documentUrl: string, fileName: string, pdfBuffer: Buffer, activation: object }>}
+ */
+export async function renderActivationPdf(activationId) {
+  const activation = await prisma.activationRequest.findUnique({
+    where: { id: activationId },
+    include: {
+      property: true
+    }
+  });
+  if (!activation) {
+    throw permanentJobError(`Activation request ${activationId} not found`);
+  }
+
+  const pdfBuffer = await renderDocumentPdf('activation', activation, { propertyId: activation.propertyId });
+
+  // Upload to storage
+  const fileName = generateFileName(`activation_${activation.requestNumber}`);
+  const documentUrl = await uploadToStorage(pdfBuffer, fileName, 'activations');
+
+  // Update activation with document URL
+  const updatedActivation = await prisma.activationRequest.update({
+    where: { id: activationId },
+    data: { 
+      documentUrl
+    },
+    include: {
+      property: true,
+      manager: true
+    }
+  });
+
+  return { documentUrl, fileName, pdfBuffer, activation: updatedActivation };
+}
+
 /**
  * Submit activation request for review
  * POST /api/activations/:id/submit
@@ -935,18 +959,7 @@ export const submitActivationRequest = async (req, res) => {
     let pdfBuffer = null;
 
     if (!documentUrl) {
-      // Calculate VAT details
-      const vatDetails = calculateVATDetails(
-        activation.proposedBudget || activation.licenseFeePerDay || 0,
-        activation.vat,
-        activation.vatType
-      );
-
-      // Generate PDF with all fields including VAT
-      pdfBuffer = await generateActivationPDFTemplate({
-        ...activation,
-        vatDetails
-      });
+      pdfBuffer = await renderDocumentPdf('activation', activation, { propertyId: activation.propertyId });
       const fileName = generateFileName(`activation_${activation.requestNumber}`);
       documentUrl = await uploadToStorage(pdfBuffer, fileName, 'activations');
     }
@@ -1098,18 +1111,7 @@ export const downloadActivationPDF = async (req, res) => {
 
     // If no PDF buffer yet (either no documentUrl or fetch failed), generate fresh
     if (!pdfBuffer) {
-      // Calculate VAT details
-      const vatDetails = calculateVATDetails(
-        activation.proposedBudget || activation.licenseFeePerDay || 0,
-        activation.vat,
-        activation.vatType
-      );
-
-      // Use the new PDF generation function that includes all fields including VAT
-      pdfBuffer = await generateActivationPDFTemplate({
-        ...activation,
-        vatDetails
-      });
+      pdfBuffer = await renderDocumentPdf('activation', activation, { propertyId: activation.propertyId });
       
       // Optionally update the documentUrl in database
       if (req.query.updateUrl === 'true') {
@@ -48,4 +48,7 @@ export const getTenantLifecycleAnalytics = execute('getTenantLifecycleAnalytics'
 export const getLeadAnalytics = execute('getLeadAnalytics');
 export const getDataQualityAnalytics = execute('getDataQualityAnalytics');
 export const getPerformanceAnalytics = execute('getPerformanceAnalytics');
-export const getVATAnalytics = execute('getVATAnalytics');
\ No newline at end of file
+export const getVATAnalytics = execute('getVATAnalytics');
+
+// ========== FINANCIAL STATEMENTS ==========
+export const getFinancialStatements = execute('getFinancialStatements');
\ No newline at end of file
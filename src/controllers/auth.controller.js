@@ -1,8 +1,64 @@
 import prisma from "../lib/prisma.js";
 import { hashPassword, comparePassword } from '../utils/hashPassword.js';
-import generateToken from '../utils/generateToken.js';
 import permissionService from "../services/permissionService.js";
+import {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions
+} from '../services/sessionService.js';
+import {
+  isTwoFactorRequired,
+  twoFactorStatus,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createLoginChallenge,
+  verifyLoginChallenge
+} from '../services/twoFactorService.js';
+import {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  logAuthEvent,
+  listLockouts,
+  unlockLogin,
+  unlockAccount
+} from '../services/loginSecurityService.js';
+import { sendEmail, passwordResetEmail } from '../utils/emailService.js';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Reset links expire after PASSWORD_RESET_EXPIRES_MINUTES (default one hour)
+const resetTokenLifetimeMinutes = () => parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+// Reset links point at the frontend; without a valid FRONTEND_URL no link is sent
+const frontendUrl = () => {
+  try {
+    const url = new URL(process.env.FRONTEND_URL);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href.replace(/\/$/, '') : null;
+  } catch {
+    return null;
+  }
+};
+
+// Only a SHA-256 hash of a reset token is stored, so the database never holds a usable link
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Session and two-factor services throw errors carrying the status to reply with
+function sendAuthError(res, error, label) {
+  if (error.statusCode) {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ message: `${label} failed` });
+}
 
 // Helper function to get user's accessible properties
 async function getUserAccessibleProperties(userId, userRole) {
@@ -87,8 +143,8 @@ export const registerFirstAdmin = async (req, res) => {
       }
     });
 
-    // Generate token for immediate login
-    const token = generateToken(user.id, user.role);
+    // Start a session for immediate login
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -100,7 +156,7 @@ export const registerFirstAdmin = async (req, res) => {
         role: user.role,
         isApproved: user.isApproved
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
@@ -165,6 +221,44 @@ export const registerAdmin = async (req, res) => {
   }
 };
 
+// Last step of a login, once the password (and code, with two-factor on) checked out
+async function completeLogin(user, req, res, { method = 'PASSWORD' } = {}) {
+  // Check if this is first login for managed users
+  const isFirstLogin = user.isManagedUser && !user.lastLoginAt;
+
+  // Update last login
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLoginAt: new Date() }
+  });
+
+  // Get accessible properties and permissions
+  const accessibleProperties = await getUserAccessibleProperties(user.id, user.role);
+  const permissions = await permissionService.getUserPermissions(user.id);
+
+  await recordLoginSuccess(user, req, { method });
+  const tokens = await createSession(user, req);
+
+  return res.json({
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    isApproved: user.isApproved,
+    isManagedUser: user.isManagedUser,
+    managedBy: user.createdByManager ? {
+      id: user.createdByManager.id,
+      name: user.createdByManager.name,
+      role: user.createdByManager.role
+    } : null,
+    accessibleProperties,
+    permissions,
+    requiresPasswordChange: isFirstLogin,
+    twoFactor: twoFactorStatus(user),
+    ...tokens
+  });
+}
+
 // @desc    Authenticate user (supports regular and managed users)
 // @route   POST /api/auth/login
 // @access  Public
@@ -172,6 +266,8 @@ export const loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    await assertLoginAllowed(email, req);
+
     const user = await prisma.user.findUnique({
       where: { email },
       include: {
@@ -213,6 +309,7 @@ export const loginUser = async (req, res) => {
         
         // Check if creator exists and has valid role (MANAGER or ADMIN)
         if (!creator) {
+          await logAuthEvent({ action: 'LOGIN_FAILED', user, req, changes: { reason: 'CREATOR_ACCESS_REVOKED' } });
           return res.status(401).json({ 
             error: "Account access revoked - creator account no longer exists" 
           });
@@ -220,6 +317,7 @@ export const loginUser = async (req, res) => {
         
         // Allow both MANAGER and ADMIN roles
         if (creator.role !== 'MANAGER' && creator.role !== 'ADMIN') {
+          await logAuthEvent({ action: 'LOGIN_FAILED', user, req, changes: { reason: 'CREATOR_ACCESS_REVOKED' } });
           return res.status(401).json({ 
             error: "Account access revoked - invalid creator role" 
           });
@@ -229,6 +327,7 @@ export const loginUser = async (req, res) => {
         if (creator.role === 'MANAGER') {
           // Check if manager is still approved and can manage users
           if (!creator.isApproved) {
+            await logAuthEvent({ action: 'LOGIN_FAILED', user, req, changes: { reason: 'CREATOR_ACCESS_REVOKED' } });
             return res.status(401).json({ 
               error: "Account access revoked - manager account is no longer approved" 
             });
@@ -236,6 +335,7 @@ export const loginUser = async (req, res) => {
           
           // Optional: Check if manager can still login
           if (!creator.canManagerLogin) {
+            await logAuthEvent({ action: 'LOGIN_FAILED', user, req, changes: { reason: 'CREATOR_ACCESS_REVOKED' } });
             return res.status(401).json({ 
               error: "Account access revoked - manager account has been disabled" 
             });
@@ -247,6 +347,7 @@ export const loginUser = async (req, res) => {
       
       // Check if user can login
       if (!user.canManagerLogin) {
+        await logAuthEvent({ action: 'LOGIN_FAILED', user, req, changes: { reason: 'ACCOUNT_DISABLED' } });
         return res.status(401).json({ 
           message: 'Your account has been disabled. Please contact your manager or admin.' 
         });
@@ -254,47 +355,36 @@ export const loginUser = async (req, res) => {
       
       // Check if user is approved (for MANAGERS only)
       if (user.role === 'MANAGER' && !user.isApproved) {
+        await logAuthEvent({ action: 'LOGIN_FAILED', user, req, changes: { reason: 'PENDING_APPROVAL' } });
         return res.status(403).json({ 
           message: 'Your account is pending admin approval.' 
         });
       }
       
-      // Check if this is first login for managed users
-      const isFirstLogin = user.isManagedUser && !user.lastLoginAt;
-      
-      // Update last login
-      await prisma.user.update({
-        where: { id: user.id },
-        data: { lastLoginAt: new Date() }
-      });
-      
-      // Get accessible properties and permissions
-      const accessibleProperties = await getUserAccessibleProperties(user.id, user.role);
-      const permissions = await permissionService.getUserPermissions(user.id);
-      
-      const token = generateToken(user.id, user.role);
-      
-      res.json({
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        isApproved: user.isApproved,
-        isManagedUser: user.isManagedUser,
-        managedBy: user.createdByManager ? {
-          id: user.createdByManager.id,
-          name: user.createdByManager.name,
-          role: user.createdByManager.role
-        } : null,
-        accessibleProperties,
-        permissions,
-        requiresPasswordChange: isFirstLogin,
-        token
-      });
+      // With two-factor on, the password only earns a challenge for the code
+      if (user.twoFactorEnabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user.id),
+          message: 'Enter the code from your authenticator app'
+        });
+      }
+
+      return completeLogin(user, req, res);
     } else {
+      // Unknown emails count too, so the replies never show which accounts exist
+      const locked = await recordLoginFailure({
+        email,
+        user,
+        req,
+        reason: user ? 'INVALID_PASSWORD' : 'UNKNOWN_EMAIL'
+      });
+      if (locked) return sendAuthError(res, locked, 'Login');
+
       res.status(401).json({ message: 'Invalid email or password' });
     }
   } catch (error) {
+    if (error.statusCode) return sendAuthError(res, error, 'Login');
     console.error('Login error:', error);
     res.status(400).json({ message: error.message });
   }
@@ -317,15 +407,20 @@ export const getProfile = async (req, res) => {
         createdByManagerId: true,
         canManagerLogin: true,
         lastLoginAt: true,
-        createdAt: true 
+        createdAt: true,
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: true,
+        twoFactorRecoveryCodes: true
       }
     });
     
     const accessibleProperties = await getUserAccessibleProperties(req.user.id, user.role);
     const permissions = await permissionService.getUserPermissions(req.user.id);
+    const { twoFactorEnabled, twoFactorEnabledAt, twoFactorRecoveryCodes, ...profile } = user;
     
     res.json({
-      ...user,
+      ...profile,
+      twoFactor: twoFactorStatus(user),
       accessibleProperties,
       permissions
     });
@@ -341,6 +436,14 @@ export const changePassword = async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
     const userId = req.user.id;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current password and new password are required' });
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
     
     const user = await prisma.user.findUnique({
       where: { id: userId }
@@ -361,11 +464,486 @@ export const changePassword = async (req, res) => {
       where: { id: userId },
       data: { 
         password: hashedPassword,
-        passwordChangedAt: new Date()
+        passwordChangedAt: new Date(),
+        passwordResetToken: null,
+        passwordResetExpires: null
       }
     });
     
-    res.json({ message: 'Password changed successfully' });
+    // The change signs out every device; this one gets a fresh session
+    await revokeUserSessions(user.id, 'PASSWORD_CHANGED');
+    const tokens = await createSession(user, req);
+
+    res.json({ message: 'Password changed successfully', ...tokens });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Store a new reset token for the user and email them the link
+const issuePasswordReset = async (user, baseUrl) => {
+  // A new request replaces any earlier link
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = resetTokenLifetimeMinutes();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      passwordResetToken: hashResetToken(token),
+      passwordResetExpires: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+    }
+  });
+
+  const resetUrl = `${baseUrl}/reset-password?token=${token}`;
+  const result = await sendEmail({
+    to: user.email,
+    ...passwordResetEmail({ name: user.name, resetUrl, expiresInMinutes })
+  });
+
+  if (!result.success) {
+    console.error(`Password reset email to ${user.email} failed: ${result.error}`);
+  }
+};
+
+// @desc    Email a password reset link. The response is the same, and as quick,
+//          whether or not the email belongs to an account, so it cannot be used
+//          to find users: the link is issued after the response is sent.
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  const message = 'If an account exists for that email, a password reset link has been sent.';
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const baseUrl = frontendUrl();
+    if (!baseUrl) {
+      console.error('Password reset requested but FRONTEND_URL is not a valid http(s) URL');
+      return res.status(500).json({ message: 'Password reset is not available right now' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: String(email).trim() },
+      select: { id: true, name: true, email: true }
+    });
+
+    if (user) {
+      issuePasswordReset(user, baseUrl).catch(error => {
+        console.error(`Password reset for ${user.email} failed:`, error);
+      });
+    }
+
+    res.json({ message });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Failed to process password reset request' });
+  }
+};
+
+// @desc    Set a new password with the token from a reset link. The token works
+//          once; sessions issued before the reset are revoked.
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ message: 'Token and new password are required' });
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const tokenHash = hashResetToken(token);
+    const user = await prisma.user.findFirst({
+      where: { passwordResetToken: tokenHash, passwordResetExpires: { gt: new Date() } },
+      select: { id: true }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    // Guarded on the token so two requests with the same link cannot both succeed
+    const updated = await prisma.user.updateMany({
+      where: { id: user.id, passwordResetToken: tokenHash },
+      data: {
+        password: await hashPassword(newPassword),
+        passwordChangedAt: new Date(),
+        passwordResetToken: null,
+        passwordResetExpires: null
+      }
+    });
+
+    if (updated.count === 0) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    await revokeUserSessions(user.id, 'PASSWORD_RESET');
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Failed to reset password' });
+  }
+};
+
+// @desc    Exchange a refresh token for a new access token and refresh token.
+//          The refresh token used is spent; presenting it again revokes the session.
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const tokens = await refreshSession(req.body.refreshToken, req);
+    res.json(tokens);
+  } catch (error) {
+    sendAuthError(res, error, 'Session refresh');
+  }
+};
+
+// @desc    Log out this device
+// @route   POST /api/auth/logout
+// @access  Private
+export const logout = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'LOGOUT');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// @desc    Log out every device, including this one
+// @route   POST /api/auth/logout-all
+// @access  Private
+export const logoutAll = async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user.id, 'LOGOUT_ALL');
+    res.json({ message: `Logged out of ${count} session(s)` });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// @desc    Devices the user is signed in on
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+    res.json(sessions.map(session => ({ ...session, current: session.id === req.sessionId })));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// @desc    Log out one of the user's devices
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const deleteSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, 'LOGOUT', { userId: req.user.id });
+
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found or already ended' });
+    }
+
+    res.json({ message: 'Session ended' });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// @desc    Log a user out of every device (Admin only)
+// @route   DELETE /api/auth/users/:id/sessions
+// @access  Private/Admin
+export const revokeUserSessionsByAdmin = async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.params.id, 'REVOKED_BY_ADMIN');
+    res.json({ message: `Ended ${count} session(s)` });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// =============================================
+// TWO-FACTOR AUTHENTICATION
+// =============================================
+
+// @desc    Second step of a login with two-factor on: the code from the
+//          authenticator app (or a recovery code) for the challenge from /login
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token)
+export const verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const userId = verifyLoginChallenge(challengeToken);
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      include: {
+        createdByManager: {
+          select: { id: true, name: true, email: true, role: true }
+        }
+      }
+    });
+
+    if (!user || !user.canManagerLogin) {
+      return res.status(401).json({ message: 'Your account has been disabled. Please contact your manager or admin.' });
+    }
+    if (user.role === 'MANAGER' && !user.isApproved) {
+      return res.status(403).json({ message: 'Your account is pending admin approval.' });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    await assertLoginAllowed(user.email, req);
+
+    let verified;
+    try {
+      verified = await verifyTwoFactor(user, { code, recoveryCode });
+    } catch (error) {
+      if (error.statusCode !== 401) throw error;
+      const locked = await recordLoginFailure({ email: user.email, user, req, reason: 'INVALID_TWO_FACTOR_CODE' });
+      throw locked || error;
+    }
+
+    // The login reply reports the recovery codes left after this one
+    user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.slice(0, verified.recoveryCodesRemaining);
+
+    return completeLogin(user, req, res, { method: verified.method });
+  } catch (error) {
+    sendAuthError(res, error, 'Two-factor login');
+  }
+};
+
+// @desc    Two-factor status of the current user
+// @route   GET /api/auth/2fa
+// @access  Private
+export const getTwoFactor = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    res.json(twoFactorStatus(user));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// @desc    Start two-factor enrolment; returns the secret and otpauth:// URL
+//          for the authenticator app's QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (!(await comparePassword(req.body.password, user.password))) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    const setup = await beginTwoFactorSetup(user);
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm a code to turn two-factor on',
+      ...setup
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Two-factor setup');
+  }
+};
+
+// @desc    Confirm enrolment with a code from the app; returns the recovery
+//          codes (shown once) and logs out the user's other devices
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+export const enableTwoFactorAuth = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    const recoveryCodes = await enableTwoFactor(user, req.body.code);
+
+    await revokeUserSessions(user.id, 'TWO_FACTOR_ENABLED', { exceptSessionId: req.sessionId });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Keep these recovery codes somewhere safe; each works once.',
+      recoveryCodes
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Two-factor enable');
+  }
+};
+
+// @desc    Turn two-factor off (`password` and `code` or `recoveryCode`).
+//          Not allowed for roles that require two-factor.
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactorAuth = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (isTwoFactorRequired(user.role)) {
+      return res.status(403).json({ message: `Two-factor authentication is required for ${user.role} accounts` });
+    }
+    if (!(await comparePassword(password, user.password))) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    await verifyTwoFactor(user, { code, recoveryCode });
+    await disableTwoFactor(user.id);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    sendAuthError(res, error, 'Two-factor disable');
+  }
+};
+
+// @desc    Replace the recovery codes (`code` from the app); the old ones stop working
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateTwoFactorRecoveryCodes = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    await verifyTwoFactor(user, { code: req.body.code });
+    const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+    res.json({ message: 'New recovery codes generated', recoveryCodes });
+  } catch (error) {
+    sendAuthError(res, error, 'Recovery code generation');
+  }
+};
+
+// @desc    Reset a user's two-factor after a lost device (Admin only). The user
+//          is logged out everywhere and can enrol again.
+// @route   DELETE /api/auth/users/:id/2fa
+// @access  Private/Admin
+export const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.user.id) {
+      return res.status(400).json({ message: 'Use /api/auth/2fa/disable for your own account' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id }, select: { id: true, name: true } });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await disableTwoFactor(user.id);
+    await revokeUserSessions(user.id, 'TWO_FACTOR_RESET');
+
+    res.json({ message: `Two-factor authentication reset for ${user.name}` });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// =============================================
+// LOGIN SECURITY
+// =============================================
+
+// @desc    Accounts and IP addresses currently locked out of login (Admin only)
+// @route   GET /api/auth/lockouts
+// @access  Private/Admin
+export const getLockouts = async (req, res) => {
+  try {
+    res.json(await listLockouts());
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// @desc    Lift an account or IP lockout (Admin only)
+// @route   DELETE /api/auth/lockouts/:id
+// @access  Private/Admin
+export const deleteLockout = async (req, res) => {
+  try {
+    const throttle = await unlockLogin({ id: req.params.id }, { performedBy: req.user.id, req });
+
+    if (!throttle) {
+      return res.status(404).json({ message: 'Lockout not found' });
+    }
+
+    res.json({ message: `${throttle.scope === 'IP' ? 'IP address' : 'Account'} unlocked` });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// @desc    Unlock a user's account after too many failed logins (Admin only)
+// @route   POST /api/auth/users/:id/unlock
+// @access  Private/Admin
+export const unlockUser = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, name: true, email: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const throttle = await unlockAccount(user, { performedBy: req.user.id, req });
+
+    res.json({
+      message: throttle ? `${user.name} can log in again` : `${user.name} has no failed logins to clear`
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// @desc    Login and account-security events (Admin only)
+// @route   GET /api/auth/audit-logs
+// @access  Private/Admin
+export const getAuthAuditLogs = async (req, res) => {
+  try {
+    const { userId, email, action, ipAddress, from, to, page = 1, limit = 50 } = req.query;
+
+    const createdAt = {};
+    if (from) createdAt.gte = new Date(from);
+    if (to) createdAt.lte = new Date(to);
+    if (Object.values(createdAt).some(date => isNaN(date.getTime()))) {
+      return res.status(400).json({ message: 'Invalid from or to date' });
+    }
+
+    const where = {
+      ...(userId && { userId }),
+      ...(email && { email: String(email).trim().toLowerCase() }),
+      ...(action && { action }),
+      ...(ipAddress && { ipAddress }),
+      ...((from || to) && { createdAt })
+    };
+
+    const take = Math.min(parseInt(limit) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [logs, total] = await Promise.all([
+      prisma.authAuditLog.findMany({
+        where,
+        include: { user: { select: { id: true, name: true, email: true, role: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.authAuditLog.count({ where })
+    ]);
+
+    res.json({
+      logs,
+      pagination: {
+        page: parseInt(page) || 1,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
@@ -1,8 +1,8 @@
 import prisma from "../lib/prisma.js";
 import { generateBillInvoiceNumber } from '../utils/invoiceHelpers.js';
-import { uploadToStorage } from '../utils/storage.js';
 import permissionService from "../services/permissionService.js";
-import { generateBillInvoicePDF } from "./billinvoice.controller.js";
+import { postBillPayment } from "../services/ledgerService.js";
+import { enqueueJob, jobSummary } from "../services/jobQueue.js";
 
 // ======================================================
 // PERMISSION HELPER FUNCTIONS
@@ -767,14 +767,19 @@ export const payBill = async (req, res) => {
     });
 
     if (!bill) return res.status(404).json({ error: "Bill not found" });
+    if (bill.status === "CANCELLED") {
+      return res.status(409).json({ error: "Cannot pay a bill whose invoice was voided" });
+    }
 
     const roundTo2 = (num) => Math.round(num * 100) / 100;
     const newAmountPaid = roundTo2(bill.amountPaid + amount);
     const grandTotal = roundTo2(bill.grandTotal);
-    const remainingBalance = roundTo2(grandTotal - bill.amountPaid);
+    // Credit notes against the bill's invoices reduce what is payable
+    const payable = roundTo2(grandTotal - bill.creditedAmount);
+    const remainingBalance = roundTo2(payable - bill.amountPaid);
     const now = new Date();
 
-    if (newAmountPaid > grandTotal + 0.01) {
+    if (newAmountPaid > payable + 0.01) {
       return res.status(400).json({
         error: `Payment exceeds bill total. Maximum: Ksh ${remainingBalance.toLocaleString()}`
       });
@@ -783,7 +788,7 @@ export const payBill = async (req, res) => {
     let newStatus = bill.status;
     let paidAt = bill.paidAt;
 
-    if (newAmountPaid >= grandTotal) {
+    if (newAmountPaid >= payable) {
       newStatus = "PAID";
       paidAt = now;
     } else if (newAmountPaid > 0) {
@@ -812,9 +817,9 @@ export const payBill = async (req, res) => {
         }
       });
 
-      const balance = roundTo2(grandTotal - newAmountPaid);
+      const balance = roundTo2(payable - newAmountPaid);
       let invoiceStatus = "UNPAID";
-      if (newAmountPaid >= grandTotal) invoiceStatus = "PAID";
+      if (newAmountPaid >= payable) invoiceStatus = "PAID";
       else if (newAmountPaid > 0) invoiceStatus = "PARTIAL";
 
       if (bill.dueDate && now > bill.dueDate && invoiceStatus !== "PAID") {
@@ -839,7 +844,10 @@ export const payBill = async (req, res) => {
           }
         });
       } else {
-        const invoiceNumber = await generateBillInvoiceNumber();
+        const invoiceNumber = await generateBillInvoiceNumber({
+          propertyId: bill.tenant?.unit?.propertyId,
+          client: tx
+        });
         const billReferenceNumber = `BILL-${bill.type}-${bill.id.substring(0, 8).toUpperCase()}`;
 
         invoice = await tx.billInvoice.create({
@@ -868,24 +876,26 @@ export const payBill = async (req, res) => {
         });
       }
 
+      await postBillPayment(tx, {
+        bill: updatedBill,
+        amount,
+        propertyId: bill.tenant?.unit?.propertyId,
+        sourceId: invoice.id,
+        createdById: userId
+      });
+
       return { updatedBill, invoice };
     }, {
       maxWait: 15000,
       timeout: 30000,
     });
 
-    let pdfUrl = null;
+    let pdfJob = null;
     if (invoice) {
       try {
-        const pdfBuffer = await generateBillInvoicePDF(invoice);
-        pdfUrl = await uploadToStorage(pdfBuffer, `${invoice.invoiceNumber}.pdf`);
-        
-        await prisma.billInvoice.update({
-          where: { id: invoice.id },
-          data: { pdfUrl }
-        });
-      } catch (pdfError) {
-        console.error("Invoice PDF generation failed:", pdfError);
+        pdfJob = await enqueueJob("billInvoice.pdf", { billInvoiceId: invoice.id }, { createdById: userId });
+      } catch (jobError) {
+        console.error("Queueing invoice PDF generation failed:", jobError);
       }
     }
 
@@ -893,7 +903,8 @@ export const payBill = async (req, res) => {
       success: true,
       data: {
         bill: updatedBill,
-        invoice: { ...invoice, pdfUrl }
+        invoice,
+        pdfJob: pdfJob && jobSummary(pdfJob)
       },
       message: "Payment recorded and invoice updated successfully"
     });
@@ -0,0 +1,251 @@
+import prisma from "../lib/prisma.js";
+import permissionService from "../services/permissionService.js";
+import {
+  VALID_PAYMENT_POLICIES,
+  parseBillingPeriod,
+  previewBillingRun as buildBillingRunPreview,
+  executeBillingRun
+} from "../services/billingRunService.js";
+import { httpError } from "../utils/httpError.js";
+
+const VALID_RUN_STATUSES = ['RUNNING', 'COMPLETED', 'COMPLETED_WITH_ERRORS', 'FAILED'];
+
+const runInclude = {
+  property: { select: { id: true, name: true } },
+  triggeredBy: { select: { id: true, name: true } }
+};
+
+// ======================================================
+// PERMISSION HELPER FUNCTIONS
+// ======================================================
+
+// Billing runs raise invoices, so they follow the invoice permissions
+// (view for run logs, create for previews and runs)
+const checkBillingPermission = async (userId, userRole, propertyId, operation) => {
+  if (userRole === 'ADMIN') {
+    return true;
+  }
+
+  if (userRole === 'MANAGER') {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { managerId: true }
+    });
+    return property?.managerId === userId;
+  }
+
+  return permissionService.checkPermission(userId, 'invoice', operation, propertyId);
+};
+
+// Property filter for run listings
+const getBillingRunPropertyScope = async (userId, userRole) => {
+  if (userRole === 'ADMIN') {
+    return {};
+  }
+
+  if (userRole === 'MANAGER') {
+    return { property: { managerId: userId } };
+  }
+
+  const accessiblePropertyIds = await permissionService.getAccessiblePropertyIds(userId, userRole);
+  const propertiesWithPermission = [];
+  for (const propertyId of accessiblePropertyIds) {
+    if (await permissionService.checkPermission(userId, 'invoice', 'view', propertyId)) {
+      propertiesWithPermission.push(propertyId);
+    }
+  }
+
+  return { propertyId: { in: propertiesWithPermission } };
+};
+
+const handleError = (res, error, label, operation = 'create') => {
+  if (error.statusCode === 403) {
+    return res.status(403).json({
+      success: false,
+      message: operation === 'create'
+        ? 'You do not have permission to run billing for this property'
+        : 'You do not have permission to view billing runs for this property',
+      requiredPermission: operation === 'create' ? 'CREATE_INVOICES' : 'VIEW_INVOICES'
+    });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, message: `Failed to ${label.toLowerCase()}`, error: error.message });
+};
+
+// Validate { propertyId, paymentPolicy, period, dueInDays } and check the caller may bill the property
+const parseRunRequest = async (req) => {
+  const { propertyId, paymentPolicy, period, dueInDays } = req.body;
+
+  if (!propertyId) {
+    throw httpError(400, 'propertyId is required');
+  }
+
+  if (paymentPolicy && !VALID_PAYMENT_POLICIES.includes(paymentPolicy)) {
+    throw httpError(400, `Invalid paymentPolicy. Must be one of: ${VALID_PAYMENT_POLICIES.join(', ')}`);
+  }
+
+  let dueDays = 0;
+  if (dueInDays !== undefined && dueInDays !== null && dueInDays !== '') {
+    dueDays = parseInt(dueInDays);
+    if (isNaN(dueDays) || dueDays < 0) {
+      throw httpError(400, 'dueInDays must be a non-negative number');
+    }
+  }
+
+  const property = await prisma.property.findUnique({
+    where: { id: propertyId },
+    select: { id: true }
+  });
+
+  if (!property) {
+    throw httpError(404, 'Property not found');
+  }
+
+  if (!(await checkBillingPermission(req.user.id, req.user.role, propertyId, 'create'))) {
+    throw httpError(403, null);
+  }
+
+  return {
+    propertyId,
+    paymentPolicy: paymentPolicy || null,
+    periodMonth: parseBillingPeriod(period),
+    dueInDays: dueDays
+  };
+};
+
+// ======================================================
+// BILLING RUNS
+// ======================================================
+
+// @desc    Dry run: list the invoices a billing run would raise, without saving anything
+// @route   POST /api/billing-runs/preview
+// @access  Private (ADMIN, MANAGER, USER with CREATE_INVOICES)
+export const previewBillingRun = async (req, res) => {
+  try {
+    const options = await parseRunRequest(req);
+    const preview = await buildBillingRunPreview(options);
+
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    handleError(res, error, 'Preview billing run');
+  }
+};
+
+// @desc    Run billing for a property: invoice every active tenant whose billing
+//          period opens in the given month (defaults to next month)
+// @route   POST /api/billing-runs
+// @access  Private (ADMIN, MANAGER, USER with CREATE_INVOICES)
+export const createBillingRun = async (req, res) => {
+  try {
+    const options = await parseRunRequest(req);
+    const run = await executeBillingRun({
+      ...options,
+      trigger: 'MANUAL',
+      triggeredById: req.user.id
+    });
+
+    res.status(run.status === 'FAILED' ? 500 : 201).json({
+      success: run.status !== 'FAILED',
+      data: run,
+      message: run.status === 'FAILED'
+        ? `Billing run failed: ${run.errorMessage}`
+        : `Billing run complete: ${run.invoicesCreated} invoice(s) created, ${run.skippedCount} skipped, ${run.failedCount} failed`
+    });
+  } catch (error) {
+    handleError(res, error, 'Run billing');
+  }
+};
+
+// @desc    List billing runs
+// @route   GET /api/billing-runs?propertyId=&status=&period=YYYY-MM&page=&limit=
+// @access  Private (ADMIN, MANAGER, USER with VIEW_INVOICES)
+export const getBillingRuns = async (req, res) => {
+  try {
+    const { propertyId, status, period, page = 1, limit = 20 } = req.query;
+
+    if (status && !VALID_RUN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${VALID_RUN_STATUSES.join(', ')}`
+      });
+    }
+
+    const where = {
+      ...(await getBillingRunPropertyScope(req.user.id, req.user.role)),
+      ...(status && { status }),
+      ...(period && { periodMonth: parseBillingPeriod(period) })
+    };
+
+    if (propertyId) {
+      if (!(await checkBillingPermission(req.user.id, req.user.role, propertyId, 'view'))) {
+        throw httpError(403, null);
+      }
+      where.propertyId = propertyId;
+    }
+
+    const take = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [runs, total] = await Promise.all([
+      prisma.billingRun.findMany({
+        where,
+        include: runInclude,
+        orderBy: { startedAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.billingRun.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: runs,
+      pagination: {
+        page: parseInt(page) || 1,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get billing runs', 'view');
+  }
+};
+
+// @desc    Get a billing run with the outcome for each tenant
+// @route   GET /api/billing-runs/:id
+// @access  Private (ADMIN, MANAGER, USER with VIEW_INVOICES)
+export const getBillingRun = async (req, res) => {
+  try {
+    const run = await prisma.billingRun.findUnique({
+      where: { id: req.params.id },
+      include: {
+        ...runInclude,
+        items: {
+          include: {
+            tenant: { select: { id: true, fullName: true, unit: { select: { unitNo: true } } } }
+          },
+          orderBy: { createdAt: 'asc' }
+        },
+        invoices: {
+          select: { id: true, invoiceNumber: true, tenantId: true, totalDue: true, balance: true, status: true }
+        }
+      }
+    });
+
+    if (!run) {
+      return res.status(404).json({ success: false, message: 'Billing run not found' });
+    }
+
+    if (!(await checkBillingPermission(req.user.id, req.user.role, run.propertyId, 'view'))) {
+      throw httpError(403, null);
+    }
+
+    res.json({ success: true, data: run });
+  } catch (error) {
+    handleError(res, error, 'Get billing run', 'view');
+  }
+};
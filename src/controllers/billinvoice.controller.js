@@ -1,16 +1,15 @@
 import prisma from "../lib/prisma.js";
-import PDFDocument from 'pdfkit';
 import { uploadToStorage } from '../utils/storage.js';
 import { generateBillInvoiceNumber } from '../utils/invoiceHelpers.js';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import sizeOf from 'image-size';
 import permissionService from "../services/permissionService.js";
-
-// Create __dirname equivalent for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { postBillCharge, postBillPayment } from "../services/ledgerService.js";
+import { queueEmail, deliverySummary } from "../services/notificationService.js";
+import { invoiceEmail } from "../utils/emailService.js";
+import { enqueueJob, jobSummary, permanentJobError } from "../services/jobQueue.js";
+import { renderDocumentPdf } from "../services/templateService.js";
+import { creditBillInvoice as issueBillInvoiceCredit, voidBillInvoice as voidBillInvoiceRecord } from "../services/creditNoteService.js";
 
 // ======================================================
 // PERMISSION HELPER FUNCTIONS
@@ -178,8 +177,8 @@ export const generateBillInvoice = async (req, res) => {
       });
     }
 
-    // Calculate current remaining balance
-    const remainingBalance = bill.grandTotal - bill.amountPaid;
+    // Calculate current remaining balance (credit notes already reduced it)
+    const remainingBalance = bill.grandTotal - bill.amountPaid - bill.creditedAmount;
     
     if (remainingBalance <= 0) {
       return res.status(400).json({ 
@@ -189,7 +188,7 @@ export const generateBillInvoice = async (req, res) => {
     }
 
     // Generate unique invoice number
-    const invoiceNumber = await generateBillInvoiceNumber();
+    const invoiceNumber = await generateBillInvoiceNumber({ propertyId });
 
     // Generate bill reference number
     const billReferenceNumber = `BILL-${bill.type}-${bill.id.substring(0, 8).toUpperCase()}`;
@@ -204,59 +203,58 @@ export const generateBillInvoice = async (req, res) => {
     }
 
     // Create bill invoice record for the CURRENT BALANCE
-    const billInvoice = await prisma.billInvoice.create({
-      data: {
-        invoiceNumber,
-        billId: bill.id,
-        billReferenceNumber,
-        billReferenceDate: bill.issuedAt,
-        tenantId: bill.tenantId,
-        issueDate: new Date(),
-        dueDate: due,
-        billType: bill.type, 
-        previousReading: Number(bill.previousReading) || 0,
-        currentReading: Number(bill.currentReading) || 0,
-        units: Number(bill.units) || 0,
-        chargePerUnit: Number(bill.chargePerUnit) || 0,
-        totalAmount: Number(bill.totalAmount) || 0,
-        vatRate: bill.vatRate ? Number(bill.vatRate) : null,
-        vatAmount: bill.vatAmount ? Number(bill.vatAmount) : null,
-        grandTotal: remainingBalance,
-        amountPaid: 0,
-        balance: remainingBalance,
-        status,
-        notes: notes || `Invoice generated for remaining balance of Ksh ${remainingBalance.toLocaleString()}`
-      },
-      include: {
-        tenant: {
-          include: {
-            unit: {
-              include: {
-                property: true
+    const billInvoice = await prisma.$transaction(async (tx) => {
+      const created = await tx.billInvoice.create({
+        data: {
+          invoiceNumber,
+          billId: bill.id,
+          billReferenceNumber,
+          billReferenceDate: bill.issuedAt,
+          tenantId: bill.tenantId,
+          issueDate: new Date(),
+          dueDate: due,
+          billType: bill.type, 
+          previousReading: Number(bill.previousReading) || 0,
+          currentReading: Number(bill.currentReading) || 0,
+          units: Number(bill.units) || 0,
+          chargePerUnit: Number(bill.chargePerUnit) || 0,
+          totalAmount: Number(bill.totalAmount) || 0,
+          vatRate: bill.vatRate ? Number(bill.vatRate) : null,
+          vatAmount: bill.vatAmount ? Number(bill.vatAmount) : null,
+          grandTotal: remainingBalance,
+          amountPaid: 0,
+          balance: remainingBalance,
+          status,
+          notes: notes || `Invoice generated for remaining balance of Ksh ${remainingBalance.toLocaleString()}`
+        },
+        include: {
+          tenant: {
+            include: {
+              unit: {
+                include: {
+                  property: true
+                }
               }
             }
-          }
-        },
-        bill: true
-      }
-    });
+          },
+          bill: true
+        }
+      });
 
-    // Generate PDF
-    const pdfBuffer = await generateBillInvoicePDF(billInvoice, bill.description);
-    
-    // Upload PDF to storage
-    const pdfUrl = await uploadToStorage(pdfBuffer, `${invoiceNumber}.pdf`);
+      // The ledger carries the whole bill once; later invoices for the same bill
+      // only restate its remaining balance and post nothing new
+      await postBillCharge(tx, bill, { propertyId, createdById: userId });
 
-    // Update invoice with PDF URL
-    const updatedInvoice = await prisma.billInvoice.update({
-      where: { id: billInvoice.id },
-      data: { pdfUrl }
+      return created;
     });
 
+    // The PDF is rendered by the worker; pdfUrl is set when the job completes
+    const pdfJob = await enqueueJob('billInvoice.pdf', { billInvoiceId: billInvoice.id }, { createdById: userId });
+
     res.status(201).json({
       success: true,
-      data: updatedInvoice,
-      message: 'Bill invoice generated successfully for remaining balance'
+      data: { ...billInvoice, pdfJob: jobSummary(pdfJob) },
+      message: 'Bill invoice generated successfully for remaining balance; the PDF is being prepared'
     });
   } catch (error) {
     console.error('Error generating bill invoice:', error);
@@ -511,7 +509,8 @@ export const getBillInvoiceById = async (req, res) => {
             }
           }
         },
-        bill: true
+        bill: true,
+        creditNotes: { orderBy: { issueDate: 'asc' } }
       }
     });
 
@@ -583,11 +582,19 @@ export const updateBillInvoicePayment = async (req, res) => {
       });
     }
 
+    if (billInvoice.status === 'CANCELLED') {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Cannot record a payment against a voided bill invoice' 
+      });
+    }
+
+    // Credit notes reduce what the tenant owes
+    const payable = billInvoice.grandTotal - billInvoice.creditedAmount;
     const newAmountPaid = billInvoice.amountPaid + amountPaid;
-    const newBalance = billInvoice.grandTotal - newAmountPaid;
     
     let newStatus = billInvoice.status;
-    if (newAmountPaid >= billInvoice.grandTotal) {
+    if (newAmountPaid >= payable) {
       newStatus = 'PAID';
     } else if (newAmountPaid > 0) {
       newStatus = 'PARTIAL';
@@ -600,51 +607,176 @@ export const updateBillInvoicePayment = async (req, res) => {
     }
 
     // Prevent over-payment
-    const totalPaid = Math.min(newAmountPaid, billInvoice.grandTotal);
-    const finalBalance = Math.max(0, billInvoice.grandTotal - totalPaid);
+    const totalPaid = Math.min(newAmountPaid, payable);
+    const finalBalance = Math.max(0, payable - totalPaid);
+
+    const updatedInvoice = await prisma.$transaction(async (tx) => {
+      const invoice = await tx.billInvoice.update({
+        where: { id },
+        data: {
+          amountPaid: totalPaid,
+          balance: finalBalance,
+          status: newStatus
+        },
+        include: {
+          tenant: {
+            select: {
+              fullName: true,
+              unit: {
+                select: {
+                  unitNo: true,
+                  property: { select: { name: true } }
+                }
+              }
+            }
+          }
+        }
+      });
+
+      // Also update the original bill
+      const bill = await tx.bill.update({
+        where: { id: billInvoice.billId },
+        data: {
+          amountPaid: totalPaid,
+          status: newStatus === 'PAID' ? 'PAID' : newStatus === 'PARTIAL' ? 'PARTIAL' : 'UNPAID',
+          paidAt: newStatus === 'PAID' ? new Date() : null
+        },
+        include: {
+          tenant: { select: { unit: { select: { propertyId: true } } } }
+        }
+      });
+
+      const amountReceived = totalPaid - billInvoice.amountPaid;
+      if (amountReceived > 0) {
+        await postBillPayment(tx, {
+          bill,
+          amount: amountReceived,
+          propertyId: bill.tenant?.unit?.propertyId,
+          sourceId: invoice.id,
+          createdById: userId
+        });
+      }
+
+      return invoice;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: updatedInvoice,
+      message: 'Payment recorded successfully'
+    });
+  } catch (error) {
+    console.error('Error updating bill invoice payment:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+};
 
-    const updatedInvoice = await prisma.billInvoice.update({
+// Helper: Apply a payment to a bill invoice and its bill, post the cash to the
+// ledger and regenerate the invoice PDF. Shared by manual entry and payment ingestion.
+// `billInvoice` must include `bill`, and `tenant.unit` for the ledger property.
+export async function applyBillInvoicePayment(billInvoice, { amountPaid, parsedPaymentDate, notes, recordedById = null }) {
+  const { id } = billInvoice;
+
+  // Calculate new cumulative payment & balance for THIS invoice
+  // (credit notes reduce what is payable)
+  const newAmountPaid = billInvoice.amountPaid + amountPaid;
+  const invoicePayable = Number(billInvoice.grandTotal) - Number(billInvoice.creditedAmount || 0);
+  const finalAmountPaid = Math.min(newAmountPaid, invoicePayable);
+  const newBalance = Math.max(0, invoicePayable - finalAmountPaid);
+
+  // Determine new status for THIS invoice
+  let newInvoiceStatus = billInvoice.status;
+  if (finalAmountPaid >= invoicePayable) {
+    newInvoiceStatus = 'PAID';
+  } else if (finalAmountPaid > 0) {
+    newInvoiceStatus = 'PARTIAL';
+  }
+
+  const now = new Date();
+  if (now > new Date(billInvoice.dueDate) && newInvoiceStatus !== 'PAID') {
+    newInvoiceStatus = 'OVERDUE';
+  }
+
+  // Start transaction: update invoice + update bill
+  const [updatedInvoice, updatedBill] = await prisma.$transaction(async (tx) => {
+    // 1. Update this invoice with cumulative payment information
+    const paymentNote = notes 
+      ? `${notes} - Payment of Ksh ${amountPaid.toLocaleString()} recorded on ${parsedPaymentDate.toLocaleDateString()}`
+      : `Payment of Ksh ${amountPaid.toLocaleString()} recorded on ${parsedPaymentDate.toLocaleDateString()}`;
+    
+    const updatedInvoice = await tx.billInvoice.update({
       where: { id },
       data: {
-        amountPaid: totalPaid,
-        balance: finalBalance,
-        status: newStatus
+        amountPaid: finalAmountPaid,
+        balance: newBalance,
+        status: newInvoiceStatus,
+        notes: billInvoice.notes 
+          ? `${billInvoice.notes}\n${paymentNote}`
+          : paymentNote,
+        updatedAt: new Date()
       },
       include: {
         tenant: {
           select: {
             fullName: true,
             unit: {
-              select: {
-                unitNo: true,
-                property: { select: { name: true } }
-              }
+              select: { unitNo: true, property: { select: { name: true } } }
             }
           }
         }
       }
     });
 
-    // Also update the original bill
-    await prisma.bill.update({
+    // 2. Update original bill for consistency
+    const billNewAmountPaid = billInvoice.bill.amountPaid + amountPaid;
+    const billPayable = Number(billInvoice.bill.grandTotal) - Number(billInvoice.bill.creditedAmount || 0);
+    const billFinalAmountPaid = Math.min(billNewAmountPaid, billPayable);
+
+    let billNewStatus = billInvoice.bill.status;
+    if (billFinalAmountPaid >= billPayable) {
+      billNewStatus = 'PAID';
+    } else if (billFinalAmountPaid > 0) {
+      billNewStatus = 'PARTIAL';
+    }
+
+    if (billInvoice.bill.dueDate && now > new Date(billInvoice.bill.dueDate) && billNewStatus !== 'PAID') {
+      billNewStatus = 'OVERDUE';
+    }
+
+    const updatedBill = await tx.bill.update({
       where: { id: billInvoice.billId },
       data: {
-        amountPaid: totalPaid,
-        status: newStatus === 'PAID' ? 'PAID' : newStatus === 'PARTIAL' ? 'PARTIAL' : 'UNPAID',
-        paidAt: newStatus === 'PAID' ? new Date() : null
+        amountPaid: billFinalAmountPaid,
+        status: billNewStatus,
+        paidAt: billNewStatus === 'PAID' ? new Date() : billInvoice.bill.paidAt
       }
     });
 
-    res.status(200).json({
-      success: true,
-      data: updatedInvoice,
-      message: 'Payment recorded successfully'
-    });
-  } catch (error) {
-    console.error('Error updating bill invoice payment:', error);
-    res.status(500).json({ success: false, error: 'Internal Server Error' });
+    // 3. Post the cash actually applied to the bill to the general ledger
+    const amountReceived = billFinalAmountPaid - billInvoice.bill.amountPaid;
+    if (amountReceived > 0) {
+      await postBillPayment(tx, {
+        bill: updatedBill,
+        amount: amountReceived,
+        propertyId: billInvoice.tenant?.unit?.propertyId,
+        sourceId: updatedInvoice.id,
+        createdById: recordedById
+      });
+    }
+
+    return [updatedInvoice, updatedBill];
+  });
+
+  // 4. Regenerate PDF with updated payment information (in the worker)
+  let pdfJob = null;
+  try {
+    pdfJob = await enqueueJob('billInvoice.pdf', { billInvoiceId: updatedInvoice.id }, { createdById: recordedById });
+  } catch (jobError) {
+    console.error('Queueing invoice PDF regeneration failed:', jobError);
   }
-};
+
+  return { updatedInvoice, updatedBill, pdfJob };
+}
 
 // @desc    Record a new payment for a bill invoice (idempotent-friendly)
 // @route   POST /api/bill-invoices/:id/record-payment
@@ -715,105 +847,26 @@ export const recordBillInvoicePayment = async (req, res) => {
       });
     }
 
-    // Calculate new cumulative payment & balance for THIS invoice
-    const newAmountPaid = billInvoice.amountPaid + amountPaid;
-    const invoiceGrandTotal = Number(billInvoice.grandTotal);
-    const finalAmountPaid = Math.min(newAmountPaid, invoiceGrandTotal);
-    const newBalance = Math.max(0, invoiceGrandTotal - finalAmountPaid);
-
-    // Determine new status for THIS invoice
-    let newInvoiceStatus = billInvoice.status;
-    if (finalAmountPaid >= invoiceGrandTotal) {
-      newInvoiceStatus = 'PAID';
-    } else if (finalAmountPaid > 0) {
-      newInvoiceStatus = 'PARTIAL';
-    }
-
-    const now = new Date();
-    if (now > new Date(billInvoice.dueDate) && newInvoiceStatus !== 'PAID') {
-      newInvoiceStatus = 'OVERDUE';
-    }
-
-    // Start transaction: update invoice + update bill
-    const [updatedInvoice, updatedBill] = await prisma.$transaction(async (tx) => {
-      // 1. Update this invoice with cumulative payment information
-      const paymentNote = notes 
-        ? `${notes} - Payment of Ksh ${amountPaid.toLocaleString()} recorded on ${parsedPaymentDate.toLocaleDateString()}`
-        : `Payment of Ksh ${amountPaid.toLocaleString()} recorded on ${parsedPaymentDate.toLocaleDateString()}`;
-      
-      const updatedInvoice = await tx.billInvoice.update({
-        where: { id },
-        data: {
-          amountPaid: finalAmountPaid,
-          balance: newBalance,
-          status: newInvoiceStatus,
-          notes: billInvoice.notes 
-            ? `${billInvoice.notes}\n${paymentNote}`
-            : paymentNote,
-          updatedAt: new Date()
-        },
-        include: {
-          tenant: {
-            select: {
-              fullName: true,
-              unit: {
-                select: { unitNo: true, property: { select: { name: true } } }
-              }
-            }
-          }
-        }
-      });
-
-      // 2. Update original bill for consistency
-      const billNewAmountPaid = billInvoice.bill.amountPaid + amountPaid;
-      const billGrandTotal = Number(billInvoice.bill.grandTotal);
-      const billFinalAmountPaid = Math.min(billNewAmountPaid, billGrandTotal);
-
-      let billNewStatus = billInvoice.bill.status;
-      if (billFinalAmountPaid >= billGrandTotal) {
-        billNewStatus = 'PAID';
-      } else if (billFinalAmountPaid > 0) {
-        billNewStatus = 'PARTIAL';
-      }
-
-      if (billInvoice.bill.dueDate && now > new Date(billInvoice.bill.dueDate) && billNewStatus !== 'PAID') {
-        billNewStatus = 'OVERDUE';
-      }
-
-      const updatedBill = await tx.bill.update({
-        where: { id: billInvoice.billId },
-        data: {
-          amountPaid: billFinalAmountPaid,
-          status: billNewStatus,
-          paidAt: billNewStatus === 'PAID' ? new Date() : billInvoice.bill.paidAt
-        }
+    if (billInvoice.status === 'CANCELLED') {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot record a payment against a voided bill invoice'
       });
+    }
 
-      return [updatedInvoice, updatedBill];
+    const { updatedInvoice, updatedBill, pdfJob } = await applyBillInvoicePayment(billInvoice, {
+      amountPaid,
+      parsedPaymentDate,
+      notes,
+      recordedById: userId
     });
 
-    // 3. Regenerate PDF with updated payment information
-    let pdfUrl = null;
-    try {
-      const pdfBuffer = await generateBillInvoicePDF(updatedInvoice, billInvoice.bill.description);
-      pdfUrl = await uploadToStorage(pdfBuffer, `${updatedInvoice.invoiceNumber}.pdf`);
-      
-      await prisma.billInvoice.update({
-        where: { id: updatedInvoice.id },
-        data: { pdfUrl }
-      });
-    } catch (pdfError) {
-      console.error('Invoice PDF regeneration failed:', pdfError);
-    }
-
     res.status(200).json({
       success: true,
       data: {
-        invoice: {
-          ...updatedInvoice,
-          pdfUrl: pdfUrl || updatedInvoice.pdfUrl
-        },
-        bill: updatedBill
+        invoice: updatedInvoice,
+        bill: updatedBill,
+        pdfJob: pdfJob && jobSummary(pdfJob)
       },
       message: 'Payment recorded successfully and invoice updated'
     });
@@ -884,919 +937,233 @@ export const downloadBillInvoice = async (req, res) => {
   }
 };
 
-// @desc    Delete bill invoice and associated PDF
-// @route   DELETE /api/bill-invoices/:id
-// @access  Private (Admin only or users with DELETE_BILL_INVOICE permission)
-export const deleteBillInvoice = async (req, res) => {
+// @desc    Email a bill invoice PDF to the tenant
+// @route   POST /api/bill-invoices/:id/send
+// @access  Private (ADMIN, MANAGER, USER with DOWNLOAD_BILL_INVOICE permission)
+export const sendBillInvoice = async (req, res) => {
   try {
     const userId = req.user.id;
     const userRole = req.user.role;
     const { id } = req.params;
-    const { 
-      deletePaymentReport = false, 
-      deleteLinkedInvoices = false,
-      force = false 
-    } = req.body;
-    
-    // Check DELETE_BILL_INVOICE permission
-    const hasDeletePermission = await checkBillInvoiceWriteAccess(userId, userRole, id, 'delete');
-    
-    if (!hasDeletePermission) {
-      return res.status(403).json({ 
-        success: false,
-        error: 'Access denied',
-        message: 'You do not have permission to delete this bill invoice.',
-        requiredPermission: 'DELETE_BILL_INVOICE'
-      });
-    }
-    
-    // Find bill invoice with payment report and all linked invoices info
+    const { email } = req.body;
+
     const billInvoice = await prisma.billInvoice.findUnique({
       where: { id },
       include: {
-        paymentReport: {
-          include: {
-            billInvoices: {
-              select: {
-                id: true,
-                invoiceNumber: true,
-                pdfUrl: true,
-                createdAt: true,
-                tenant: {
-                  select: {
-                    fullName: true
-                  }
-                }
-              }
-            },
-            _count: {
-              select: { billInvoices: true }
-            }
-          }
-        },
         tenant: {
-          select: {
-            id: true,
-            fullName: true,
-            contact: true,
+          include: {
             unit: {
-              select: {
-                unitNo: true,
-                property: {
-                  select: { 
-                    name: true,
-                    address: true 
-                  }
-                }
+              include: {
+                property: true
               }
             }
           }
         },
-        bill: {
-          select: {
-            id: true,
-            type: true,
-            status: true,
-            grandTotal: true,
-            amountPaid: true
-          }
-        }
+        bill: true
       }
     });
-    
+
     if (!billInvoice) {
       return res.status(404).json({ 
         success: false, 
         error: 'Bill invoice not found.' 
       });
     }
+
+    const propertyId = billInvoice.tenant?.unit?.propertyId;
     
-    // Check if invoice is within allowed deletion period
-    const invoiceAge = Date.now() - new Date(billInvoice.createdAt).getTime();
-    const maxAgeForDeletion = 60 * 24 * 60 * 60 * 1000; // 60 days
+    // Sending shares the DOWNLOAD_BILL_INVOICE permission
+    const hasDownloadPermission = await checkBillInvoicePermission(userId, userRole, propertyId, 'download');
     
-    if (!force && invoiceAge > maxAgeForDeletion) {
-      return res.status(400).json({
+    if (!hasDownloadPermission) {
+      return res.status(403).json({ 
         success: false,
-        message: `Bill invoice is older than 60 days. Use force=true to delete older invoices.`,
-        invoiceDate: billInvoice.createdAt,
-        ageInDays: Math.floor(invoiceAge / (24 * 60 * 60 * 1000)),
-        allowed: false
+        error: 'Access denied',
+        message: 'You do not have permission to send this bill invoice.',
+        requiredPermission: 'DOWNLOAD_BILL_INVOICE'
       });
     }
-    
-    const result = {
-      billInvoiceDeleted: false,
-      paymentReportDeleted: false,
-      linkedBillInvoicesDeleted: 0,
-      totalPdfsDeleted: 0,
-      invoiceInfo: {
-        id: billInvoice.id,
-        invoiceNumber: billInvoice.invoiceNumber,
-        tenantName: billInvoice.tenant.fullName,
-        propertyName: billInvoice.tenant.unit?.property?.name || 'N/A',
-        billType: billInvoice.billType,
-        grandTotal: billInvoice.grandTotal,
-        balance: billInvoice.balance,
-        createdAt: billInvoice.createdAt
-      }
-    };
-    
-    // Track linked bill invoices info
-    let linkedBillInvoices = [];
-    if (billInvoice.paymentReport) {
-      result.paymentReportInfo = {
-        id: billInvoice.paymentReportId,
-        status: billInvoice.paymentReport.status,
-        totalLinkedBillInvoices: billInvoice.paymentReport._count.billInvoices,
-        linkedBillInvoices: billInvoice.paymentReport.billInvoices.map(inv => ({
-          id: inv.id,
-          invoiceNumber: inv.invoiceNumber,
-          tenantName: inv.tenant.fullName,
-          createdAt: inv.createdAt
-        }))
-      };
-      linkedBillInvoices = billInvoice.paymentReport.billInvoices;
-    }
-    
-    // Array to store all delete operations
-    const deleteOperations = [];
-    const deletedBillInvoiceIds = new Set();
-    
-    // Function to delete bill invoice and its PDF
-    const deleteBillInvoiceAndPDF = async (invoiceToDelete, isMainInvoice = false) => {
-      // Delete PDF file if exists
-      let pdfDeleted = false;
-      if (invoiceToDelete.pdfUrl) {
-        try {
-          const filePath = path.join(
-            process.cwd(), 
-            'uploads', 
-            'bill-invoices',
-            path.basename(invoiceToDelete.pdfUrl)
-          );
-          
-          if (fs.existsSync(filePath)) {
-            await fs.promises.unlink(filePath);
-            pdfDeleted = true;
-            result.totalPdfsDeleted++;
-            console.log(`Deleted PDF: ${invoiceToDelete.invoiceNumber}`);
-          }
-        } catch (fileError) {
-          console.warn(`Could not delete PDF for ${invoiceToDelete.invoiceNumber}:`, fileError.message);
-        }
-      }
-      
-      // Add to delete operations
-      deleteOperations.push(
-        prisma.billInvoice.delete({
-          where: { id: invoiceToDelete.id }
-        }).then(() => {
-          deletedBillInvoiceIds.add(invoiceToDelete.id);
-          
-          if (isMainInvoice) {
-            result.billInvoiceDeleted = true;
-          } else {
-            result.linkedBillInvoicesDeleted++;
-          }
-          
-          console.log(`Deleted bill invoice: ${invoiceToDelete.invoiceNumber}`);
-        })
-      );
-      
-      return pdfDeleted;
-    };
-    
-    // Case 1: Delete linked invoices + payment report
-    if (deleteLinkedInvoices && deletePaymentReport && billInvoice.paymentReportId) {
-      for (const linkedInvoice of linkedBillInvoices) {
-        await deleteBillInvoiceAndPDF(linkedInvoice, linkedInvoice.id === id);
-      }
-      
-      deleteOperations.push(
-        prisma.paymentReport.delete({
-          where: { id: billInvoice.paymentReportId }
-        }).then(() => {
-          result.paymentReportDeleted = true;
-          console.log(`Deleted PaymentReport: ${billInvoice.paymentReportId}`);
-        })
-      );
-      
-    } 
-    // Case 2: Delete linked invoices only (keep payment report)
-    else if (deleteLinkedInvoices && billInvoice.paymentReportId) {
-      for (const linkedInvoice of linkedBillInvoices) {
-        await deleteBillInvoiceAndPDF(linkedInvoice, linkedInvoice.id === id);
-      }
-      result.paymentReportRemains = true;
-      
-    }
-    // Case 3: Delete payment report only if it has 1 invoice
-    else if (deletePaymentReport && billInvoice.paymentReportId) {
-      const paymentReport = billInvoice.paymentReport;
-      
-      if (paymentReport && paymentReport._count.billInvoices === 1) {
-        await deleteBillInvoiceAndPDF(billInvoice, true);
-        
-        deleteOperations.push(
-          prisma.paymentReport.delete({
-            where: { id: billInvoice.paymentReportId }
-          }).then(() => {
-            result.paymentReportDeleted = true;
-            console.log(`Deleted PaymentReport: ${billInvoice.paymentReportId}`);
-          })
-        );
-      } else if (paymentReport) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot delete payment report as it has other bill invoices linked to it.',
-          linkedBillInvoiceCount: paymentReport._count.billInvoices,
-          linkedBillInvoices: paymentReport.billInvoices
-            .filter(inv => inv.id !== id)
-            .map(inv => ({
-              id: inv.id,
-              invoiceNumber: inv.invoiceNumber,
-              tenantName: inv.tenant.fullName
-            })),
-          suggestion: 'Use deleteLinkedInvoices=true to delete all linked bill invoices'
-        });
-      }
-    }
-    // Case 4: Delete only this bill invoice (default behavior)
-    else {
-      await deleteBillInvoiceAndPDF(billInvoice, true);
-    }
-    
-    // Execute all delete operations
-    if (deleteOperations.length > 0) {
-      await Promise.all(deleteOperations);
-    }
-    
-    // Update the original bill's amountPaid if this invoice had payments
-    if (billInvoice.amountPaid > 0) {
-      try {
-        const currentBill = await prisma.bill.findUnique({
-          where: { id: billInvoice.billId }
-        });
-        
-        if (currentBill) {
-          const newBillAmountPaid = Math.max(0, currentBill.amountPaid - billInvoice.amountPaid);
-          const newBillBalance = currentBill.grandTotal - newBillAmountPaid;
-          
-          let newBillStatus = currentBill.status;
-          if (newBillAmountPaid >= currentBill.grandTotal) {
-            newBillStatus = 'PAID';
-          } else if (newBillAmountPaid > 0) {
-            newBillStatus = 'PARTIAL';
-          } else {
-            newBillStatus = 'UNPAID';
-          }
-          
-          await prisma.bill.update({
-            where: { id: billInvoice.billId },
-            data: {
-              amountPaid: newBillAmountPaid,
-              status: newBillStatus,
-              paidAt: newBillStatus === 'PAID' ? currentBill.paidAt : null
-            }
-          });
-          
-          result.billUpdated = {
-            id: billInvoice.billId,
-            previousAmountPaid: currentBill.amountPaid,
-            newAmountPaid: newBillAmountPaid,
-            newStatus: newBillStatus
-          };
-        }
-      } catch (billError) {
-        console.warn('Could not update bill amounts:', billError.message);
-      }
-    }
-    
-    // Prepare response message
-    let message = 'Bill invoice deleted successfully';
-    if (result.linkedBillInvoicesDeleted > 0) {
-      message += ` along with ${result.linkedBillInvoicesDeleted} linked bill invoice(s)`;
-    }
-    if (result.paymentReportDeleted) {
-      message += ' and its payment report';
-    }
-    if (result.billUpdated) {
-      message += `. Original bill payment amounts have been adjusted.`;
+
+    const recipient = email || billInvoice.tenant?.email;
+    if (!recipient) {
+      return res.status(400).json({ success: false, message: 'Tenant has no email address; provide one to send the bill invoice' });
     }
-    message += '.';
-    
-    res.status(200).json({
+
+    // Rendering and sending happen in the worker; the job result holds the delivery details
+    const job = await enqueueJob('billInvoice.send', { billInvoiceId: id, to: recipient }, { createdById: userId });
+
+    res.status(202).json({
       success: true,
-      data: result,
-      message: message
+      data: jobSummary(job),
+      message: `Bill invoice queued for sending to ${recipient}`
     });
-    
   } catch (error) {
-    console.error('Error deleting bill invoice:', error);
-    
-    if (error.code === 'P2003') {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot delete bill invoice due to database constraints.',
-        suggestion: 'Try deleting linked records first or use deletePaymentReport=true',
-        errorCode: error.code
-      });
-    }
+    console.error('Error sending bill invoice:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+};
+
+// @desc    Void a bill invoice with no payments (invoices are never deleted)
+// @route   POST /api/bill-invoices/:id/void
+// @route   DELETE /api/bill-invoices/:id
+// @access  Private (Admin only or users with DELETE_BILL_INVOICE permission)
+export const voidBillInvoice = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    // Check DELETE_BILL_INVOICE permission
+    const hasDeletePermission = await checkBillInvoiceWriteAccess(userId, userRole, id, 'delete');
     
-    if (error.code === 'P2025') {
-      return res.status(404).json({
+    if (!hasDeletePermission) {
+      return res.status(403).json({ 
         success: false,
-        message: 'Record not found. It may have been already deleted.',
-        errorCode: error.code
+        error: 'Access denied',
+        message: 'You do not have permission to void this bill invoice.',
+        requiredPermission: 'DELETE_BILL_INVOICE'
       });
     }
-    
-    res.status(500).json({ 
-      success: false, 
-      error: error.message,
-      errorCode: error.code
+
+    const creditNote = await voidBillInvoiceRecord(id, { reason, createdById: userId });
+
+    res.json({
+      success: true,
+      data: creditNote,
+      message: `Bill invoice ${creditNote.billInvoice.invoiceNumber} voided with credit note ${creditNote.creditNoteNumber}`
     });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error voiding bill invoice:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error' });
   }
 };
 
+// @desc    Issue a credit note reducing a bill invoice's unpaid balance
+// @route   POST /api/bill-invoices/:id/credit-notes
+// @access  Private (requires EDIT_BILL_INVOICE_PAYMENT permission)
+export const creditBillInvoice = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { id } = req.params;
+    const { amount, reason } = req.body;
 
-// Helper function to generate Bill Invoice PDF
-export async function generateBillInvoicePDF(billInvoice, billDescription) {
-  return new Promise((resolve, reject) => {
-    try {
-      const doc = new PDFDocument({ 
-        margin: 40,
-        size: 'A4'
+    // Check EDIT_BILL_INVOICE_PAYMENT permission
+    const hasEditPermission = await checkBillInvoiceWriteAccess(userId, userRole, id, 'edit');
+    
+    if (!hasEditPermission) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Access denied',
+        message: 'You do not have permission to credit this bill invoice.',
+        requiredPermission: 'EDIT_BILL_INVOICE_PAYMENT'
       });
-      const chunks = [];
-
-      doc.on('data', (chunk) => chunks.push(chunk));
-      doc.on('end', () => resolve(Buffer.concat(chunks)));
-      doc.on('error', reject);
-
-      /* =====================================================
-         LETTERHEAD IMAGE HANDLING (SAFE & SERVER-READY)
-      ====================================================== */
-
-      const projectRoot = process.cwd();
-      const possiblePaths = [
-        path.join(projectRoot, 'src', 'letterHeads', 'letterhead.png'),
-        path.join(__dirname, 'letterHeads', 'letterhead.png'),
-        path.join(__dirname, '..', 'letterHeads', 'letterhead.png'),
-        path.join(__dirname, '..', 'src', 'letterHeads', 'letterhead.png'),
-        '/root/Interpark-property-system-backend/src/letterHeads/letterhead.png',
-        '/home/ubuntu/Interpark-property-system-backend/src/letterHeads/letterhead.png',
-        '/var/www/Interpark-property-system-backend/src/letterHeads/letterhead.png',
-      ];
-
-      let letterheadPath = null;
-      let imageLoaded = false;
-      const startY = 120;
-
-      for (const possiblePath of possiblePaths) {
-        if (fs.existsSync(possiblePath)) {
-          const stats = fs.statSync(possiblePath);
-          if (stats.size > 0) {
-            letterheadPath = possiblePath;
-            console.log(`✓ Letterhead found: ${possiblePath}`);
-            break;
-          }
-        }
-      }
-
-      if (letterheadPath) {
-        try {
-          const imageBuffer = fs.readFileSync(letterheadPath);
-          const dimensions = sizeOf(imageBuffer);
-
-          // Max usable width (page width minus margins)
-          const maxWidth = doc.page.width - 100;
-
-          // Calculate proportional height
-          const scale = maxWidth / dimensions.width;
-          const scaledHeight = dimensions.height * scale;
-
-          // Optional: cap height if image is extremely tall
-          const finalHeight = Math.min(scaledHeight, 120);
-
-          // Recalculate width if height was capped
-          const finalWidth =
-            finalHeight !== scaledHeight
-              ? (dimensions.width * finalHeight) / dimensions.height
-              : maxWidth;
+    }
 
-          const xPosition = 50 + (maxWidth - finalWidth) / 2;
+    const creditNote = await issueBillInvoiceCredit(id, {
+      amount: parseFloat(amount),
+      reason,
+      createdById: userId
+    });
 
-          doc.image(imageBuffer, xPosition, 30, {
-            width: finalWidth,
-          });
+    res.status(201).json({
+      success: true,
+      data: creditNote,
+      message: `Credit note ${creditNote.creditNoteNumber} issued against ${creditNote.billInvoice.invoiceNumber}`
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error crediting bill invoice:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+};
 
-          doc.y = 30 + finalHeight + 20;
-          imageLoaded = true;
 
-          console.log('✓ Letterhead rendered with correct proportions');
-        } catch (err) {
-          console.warn('✗ Letterhead failed to load:', err.message);
-        }
-      }
-      // Fallback if no image loaded
-      if (!imageLoaded) {
-        console.warn('Using fallback text header');
-        doc.y = 40;
-        doc.fontSize(18)
-          .fillColor('#2563eb')
-          .font('Helvetica-Bold')
-          .text('INTERPARK ENTERPRISES LIMITED', { 
-            align: 'center'
-          });
-        doc.moveDown(0.5);
-      }
+// ======================================================
+// BACKGROUND JOBS
+// ======================================================
 
-      console.log('=== End Debug Info ===\n');
-      // Safe number formatting functions
-      const safeNum = (val) => {
-        const num = Number(val);
-        return isNaN(num) ? 0 : num;
-      };
-      
-      const safeStr = (val) => safeNum(val).toFixed(2);
-      const formatCurrency = (val) => `Ksh ${safeNum(val).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-
-      // Helper function to move down with overflow check (simplified for single page)
-      const moveDownWithCheck = (lines = 1) => {
-        const lineHeight = doc.currentLineHeight();
-        const newY = doc.y + (lineHeight * lines);
-        
-        // Check if we're near the bottom of the page
-        if (newY > doc.page.height - 80) {
-          // Try to compress content instead of adding new page
-          doc.moveDown(lines * 0.7); // Reduce spacing
-          return;
+const billInvoiceDocumentInclude = {
+  tenant: {
+    include: {
+      unit: {
+        include: {
+          property: true
         }
-        
-        doc.moveDown(lines);
-      };
-
-      // Extract safe values
-      const previousReading = safeNum(billInvoice.previousReading);
-      const currentReading = safeNum(billInvoice.currentReading);
-      const units = safeNum(billInvoice.units);
-      const chargePerUnit = safeNum(billInvoice.chargePerUnit);
-      const totalAmount = safeNum(billInvoice.totalAmount);
-      const vatRate = safeNum(billInvoice.vatRate);
-      const vatAmount = safeNum(billInvoice.vatAmount);
-      const grandTotal = safeNum(billInvoice.grandTotal);
-      const amountPaid = safeNum(billInvoice.amountPaid);
-      const balance = safeNum(billInvoice.balance);
-      const status = billInvoice.status || 'UNPAID';
-      const description = billDescription || null;
-
-      // ===========================================
-      // INVOICE TITLE
-      // ===========================================
-      
-      doc.fontSize(20)
-         .fillColor('#1e293b')
-         .font('Helvetica-Bold')
-         .text('UTILITY BILL INVOICE', { 
-           align: 'center'
-         })
-         .moveDown(0.3);
-      
-      // Property name below the title (bold but smaller)
-      const propertyName = billInvoice.tenant?.unit?.property?.name || 'N/A';
-      doc.fontSize(14)
-         .fillColor('#005478') // Using the blue color from your design
-         .font('Helvetica-Bold')
-         .text(propertyName, { align: 'center' })
-         .font('Helvetica') // Reset to regular font
-         .moveDown(1);
-
-      // ===========================================
-      // DESCRIPTION (if available)
-      // ===========================================
-      
-      if (description) {
-        doc.fillColor('#374151')
-           .fontSize(11)
-           .font('Helvetica-Bold')
-           .text('Description:', { 
-             align: 'center',
-             width: 510
-           })
-           .moveDown(0.2);
-        
-        doc.fillColor('#4b5563')
-           .fontSize(10)
-           .font('Helvetica')
-           .text(description, { 
-             align: 'center',
-             width: 510
-           })
-           .moveDown(0.5);
       }
+    }
+  },
+  bill: true
+};
 
-      // ===========================================
-      // INVOICE DETAILS & BILLED TO - SIDE BY SIDE
-      // ===========================================
-      
-      const infoTop = doc.y;
-      
-      // Left Column - Invoice Details
-      doc.fontSize(9)
-         .fillColor('#374151')
-         .font('Helvetica-Bold')
-         .text('INVOICE DETAILS:', 40, infoTop, { underline: true });
-      
-      // Adjust Y positions based on whether description was added
-      let invoiceDetailsY = infoTop + 12;
-      const lineHeight = 12;
-      
-      doc.font('Helvetica')
-         .fontSize(8.5)
-         .text(`Invoice No: ${billInvoice.invoiceNumber || 'N/A'}`, 40, invoiceDetailsY);
-      
-      invoiceDetailsY += lineHeight;
-      doc.text(`Issue Date: ${billInvoice.issueDate ? new Date(billInvoice.issueDate).toLocaleDateString('en-US') : 'N/A'}`, 40, invoiceDetailsY);
-      
-      invoiceDetailsY += lineHeight;
-      doc.text(`Due Date: ${billInvoice.dueDate ? new Date(billInvoice.dueDate).toLocaleDateString('en-US') : 'N/A'}`, 40, invoiceDetailsY);
-      
-      // MOVED UP: Bill Ref now immediately follows Due Date (no blank space)
-      invoiceDetailsY += lineHeight;
-      doc.text(`Bill Ref: ${billInvoice.billReferenceNumber || 'N/A'}`, 40, invoiceDetailsY);
-      
-      invoiceDetailsY += lineHeight;
-      doc.text(`Bill Date: ${billInvoice.billReferenceDate ? new Date(billInvoice.billReferenceDate).toLocaleDateString('en-US') : 'N/A'}`, 40, invoiceDetailsY);
-
-      // Right Column - Billed To (with KRA Pin)
-      const billedToTop = infoTop;
-      doc.fontSize(9)
-         .fillColor('#374151')
-         .font('Helvetica-Bold')
-         .text('BILLED TO:', 280, billedToTop, { underline: true });
-      
-      let billedToY = billedToTop + 12;
-      doc.font('Helvetica')
-         .fontSize(8.5)
-         .text(billInvoice.tenant?.fullName || 'N/A', 280, billedToY);
-      
-      billedToY += lineHeight;
-      doc.text(`Contact: ${billInvoice.tenant?.contact || 'N/A'}`, 280, billedToY);
-      
-      billedToY += lineHeight;
-      doc.text(`KRA Pin: ${billInvoice.tenant?.KRAPin || 'N/A'}`, 280, billedToY);
-      
-      billedToY += lineHeight;
-      doc.text(`Unit: ${billInvoice.tenant?.unit?.unitNo || 'N/A'}`, 280, billedToY);
-      
-      // Update Y position to after the invoice details section
-      doc.y = Math.max(invoiceDetailsY + lineHeight, billedToY + lineHeight);
-      
-      moveDownWithCheck(0.3);
-
-      // ===========================================
-      // BILL TYPE & METER READINGS
-      // ===========================================
-      // Reset position to ensure clean centering
-      doc.x = 40; // Set x to left margin
-      
-      // BILL TYPE - Centered
-      doc.fillColor('#2563eb')
-         .fontSize(12)
-         .font('Helvetica-Bold')
-         .text(`BILL TYPE: ${billInvoice.billType || 'N/A'}`, { 
-           align: 'center',
-           width: 510,
-           underline: true 
-         });
-      
-      moveDownWithCheck(0.5);
-
-      // Meter Readings Table - Aligned left
-      const readingsTop = doc.y;
-      
-      doc.fillColor('#1e293b')
-         .fontSize(11)
-         .font('Helvetica-Bold')
-         .text('METER READING DETAILS', 40, readingsTop, { 
-           underline: true 
-         });
-      
-      moveDownWithCheck(0.3);
-
-      // Table headers
-      const tableRowHeight = 18;
-      let currentRowY = doc.y;
-      
-      doc.fillColor('#1e293b')
-         .fontSize(9)
-         .font('Helvetica-Bold')
-         .text('Description', 40, currentRowY)
-         .text('Reading', 250, currentRowY)
-         .text('Unit', 400, currentRowY);
-
-      // Separator line
-      currentRowY += 12;
-      doc.rect(40, currentRowY, 510, 0.5).fillAndStroke('#cbd5e1', '#cbd5e1');
-      
-      // Previous Reading
-      currentRowY += 8;
-      doc.fillColor('#374151')
-         .fontSize(8.5)
-         .font('Helvetica')
-         .text('Previous Reading', 40, currentRowY)
-         .text(safeStr(previousReading), 250, currentRowY)
-         .text(billInvoice.billType === 'ELECTRICITY' ? 'kWh' : 'm³', 400, currentRowY);
-
-      // Current Reading
-      currentRowY += tableRowHeight;
-      doc.fillColor('#374151')
-         .text('Current Reading', 40, currentRowY)
-         .text(safeStr(currentReading), 250, currentRowY)
-         .text(billInvoice.billType === 'ELECTRICITY' ? 'kWh' : 'm³', 400, currentRowY);
-
-      // Separator line
-      currentRowY += 12;
-      doc.rect(40, currentRowY, 510, 0.5).fillAndStroke('#cbd5e1', '#cbd5e1');
-      
-      // Total Units Consumed
-      currentRowY += 8;
-      doc.fillColor('#1e293b')
-         .fontSize(9.5)
-         .font('Helvetica-Bold')
-         .text('Total Units Consumed', 40, currentRowY)
-         .text(safeStr(units), 250, currentRowY)
-         .text(billInvoice.billType === 'ELECTRICITY' ? 'kWh' : 'm³', 400, currentRowY);
-
-      // Update doc.y to continue after the table
-      doc.y = currentRowY + tableRowHeight + 10;
-      moveDownWithCheck(0.5);
-
-      // ===========================================
-      // BILL CALCULATION & CHARGES
-      // ===========================================
-      
-      // BILL CALCULATION - Aligned left
-      doc.fillColor('#1e293b')
-         .fontSize(11)
-         .font('Helvetica-Bold')
-         .text('BILL CALCULATION', 40, doc.y, { 
-           underline: true 
-         });
-      
-      moveDownWithCheck(0.3);
-
-      const chargesTop = doc.y;
-      currentRowY = chargesTop;
-      
-      // Table headers
-      doc.fillColor('#1e293b')
-         .fontSize(9)
-         .font('Helvetica-Bold')
-         .text('Description', 40, currentRowY)
-         .text('Rate/Amount', 300, currentRowY)
-         .text('Amount (Ksh)', 450, currentRowY);
-
-      // Separator line
-      currentRowY += 12;
-      doc.rect(40, currentRowY, 510, 0.5).fillAndStroke('#cbd5e1', '#cbd5e1');
-      
-      currentRowY += 8;
-
-      // Units Charge
-      doc.fillColor('#374151')
-         .fontSize(8.5)
-         .font('Helvetica')
-         .text(`${safeStr(units)} units consumed`, 40, currentRowY)
-         .text(`@ Ksh ${safeStr(chargePerUnit)} per unit`, 300, currentRowY)
-         .text(formatCurrency(totalAmount), 450, currentRowY);
-
-      currentRowY += tableRowHeight;
-
-      // VAT (if applicable)
-      if (vatAmount > 0 && vatRate > 0) {
-        doc.text(`VAT (${safeStr(vatRate)}%)`, 40, currentRowY)
-           .text('', 300, currentRowY)
-           .text(formatCurrency(vatAmount), 450, currentRowY);
-        currentRowY += tableRowHeight;
-      }
+/**
+ * Render a bill invoice PDF, store it and record its URL (billInvoice.pdf job)
+ * @param {string} billInvoiceId
+ * @returns {Promise<{ pdfUrl: string }>}
+ */
+export async function renderBillInvoicePdf(billInvoiceId) {
+  const billInvoice = await prisma.billInvoice.findUnique({
+    where: { id: billInvoiceId },
+    include: billInvoiceDocumentInclude
+  });
+  if (!billInvoice) {
+    throw permanentJobError(`Bill invoice ${billInvoiceId} not found`);
+  }
 
-      // Separator line before total
-      currentRowY += 5;
-      doc.rect(40, currentRowY, 510, 0.5).fillAndStroke('#cbd5e1', '#cbd5e1');
-      currentRowY += 10;
-
-      // Grand Total
-      doc.fillColor('#1e293b')
-         .fontSize(11)
-         .font('Helvetica-Bold')
-         .text('GRAND TOTAL', 40, currentRowY)
-         .text(formatCurrency(grandTotal), 450, currentRowY);
-
-      currentRowY += tableRowHeight + 8;
-
-      // Amount Paid (if any)
-      if (amountPaid > 0) {
-        doc.fillColor('#10b981')
-           .fontSize(9)
-           .font('Helvetica-Bold')
-           .text('Amount Paid', 40, currentRowY)
-           .text(formatCurrency(amountPaid), 450, currentRowY);
-        currentRowY += tableRowHeight + 5;
-      }
+  const pdfBuffer = await generateBillInvoicePDF(billInvoice, billInvoice.bill?.description);
+  const pdfUrl = await uploadToStorage(pdfBuffer, `${billInvoice.invoiceNumber}.pdf`);
+  await prisma.billInvoice.update({ where: { id: billInvoiceId }, data: { pdfUrl } });
 
-      // Balance Due
-      const balanceColor = balance === 0 ? '#10b981' : 
-                          status === 'OVERDUE' ? '#dc2626' : '#ef4444';
-      
-      doc.fillColor(balanceColor)
-         .fontSize(11)
-         .font('Helvetica-Bold')
-         .text('BALANCE DUE', 40, currentRowY)
-         .text(formatCurrency(balance), 450, currentRowY);
-
-      // Update doc.y to continue after the calculations table
-      doc.y = currentRowY + tableRowHeight + 10;
-      moveDownWithCheck(0.5);
-
-      // ===========================================
-      // PAYMENT INSTRUCTIONS (only for unpaid invoices)
-      // ===========================================
-
-      if (['UNPAID', 'PARTIAL', 'OVERDUE'].includes(status)) {
-        // PAYMENT INSTRUCTIONS - Aligned left
-        doc.fillColor('#1e293b')
-          .fontSize(10)
-          .font('Helvetica-Bold')
-          .text('PAYMENT INSTRUCTIONS', 40, doc.y, { 
-            underline: true 
-          });
-        
-        moveDownWithCheck(0.3);
-
-        // Get property payment details
-        const property = billInvoice.tenant?.unit?.property;
-        
-        // Due date
-        doc.fillColor('#374151')
-          .fontSize(9)
-          .font('Helvetica')
-          .text(`Please pay by: ${billInvoice.dueDate ? new Date(billInvoice.dueDate).toLocaleDateString('en-US') : 'N/A'}`, 40, doc.y);
-        
-        moveDownWithCheck(0.5);
-
-        // Bank Transfer Details (if available)
-        if (property && (property.accountName || property.accountNo || property.bank)) {
-          doc.fillColor('#1e293b')
-            .fontSize(9)
-            .font('Helvetica-Bold')
-            .text('Bank Transfer Details:', 40, doc.y);
-          
-          moveDownWithCheck(0.3);
-          
-          let bankDetailsY = doc.y;
-          
-          if (property.accountName) {
-            doc.fillColor('#374151')
-              .fontSize(8.5)
-              .font('Helvetica')
-              .text(`Account Name: ${property.accountName}`, 40, bankDetailsY);
-            bankDetailsY += 15;
-          }
-          
-          if (property.accountNo) {
-            doc.fillColor('#374151')
-              .fontSize(8.5)
-              .font('Helvetica')
-              .text(`Account Number: ${property.accountNo}`, 40, bankDetailsY);
-            bankDetailsY += 15;
-          }
-          
-          if (property.bank) {
-            doc.fillColor('#374151')
-              .fontSize(8.5)
-              .font('Helvetica')
-              .text(`Bank: ${property.bank}`, 40, bankDetailsY);
-            bankDetailsY += 15;
-          }
-          
-          if (property.branch) {
-            doc.fillColor('#374151')
-              .fontSize(8.5)
-              .font('Helvetica')
-              .text(`Branch: ${property.branch}`, 40, bankDetailsY);
-            bankDetailsY += 15;
-          }
-          
-          if (property.branchCode) {
-            doc.fillColor('#374151')
-              .fontSize(8.5)
-              .font('Helvetica')
-              .text(`Branch Code: ${property.branchCode}`, 40, bankDetailsY);
-            bankDetailsY += 15;
-          }
-          
-          doc.y = bankDetailsY;
-          moveDownWithCheck(0.5);
-        } else {
-          // Default payment methods if no bank details
-          doc.fillColor('#374151')
-            .fontSize(9)
-            .font('Helvetica')
-            .text('Payment Methods: Bank Transfer, Mobile Money, or Cash', 40, doc.y);
-          
-          moveDownWithCheck(0.5);
-        }
+  return { pdfUrl };
+}
 
-        // Contact information
-        doc.fillColor('#374151')
-          .fontSize(9)
-          .font('Helvetica')
-          .text('For assistance, contact property management', 40, doc.y);
-        
-        moveDownWithCheck(0.5);
-      }
+/**
+ * Email a bill invoice with a freshly rendered PDF (billInvoice.send job)
+ * @param {string} billInvoiceId
+ * @param {object} options - { to, createdById }
+ * @returns {Promise<object>} Delivery summary of the queued email
+ */
+export async function emailBillInvoice(billInvoiceId, { to, createdById = null }) {
+  const { pdfUrl } = await renderBillInvoicePdf(billInvoiceId);
+  const billInvoice = await prisma.billInvoice.findUnique({
+    where: { id: billInvoiceId },
+    include: billInvoiceDocumentInclude
+  });
 
-      // ===========================================
-      // NOTES SECTION (combined notes and payment policy)
-      // ===========================================
-      
-      // Create combined notes array
-      const notesArray = [];
-      
-      // Add custom notes if available
-      if (billInvoice.notes) {
-        notesArray.push(billInvoice.notes);
-      }
-      
-      // Always add payment policy note for utility bills
-      const paymentPolicyNote = 'This is a monthly utility invoice. Bills are generated monthly based on consumption.';
-      notesArray.push(paymentPolicyNote);
-      
-      // Display combined notes if we have any
-      if (notesArray.length > 0) {
-        // NOTES - Aligned left
-        doc.fillColor('#1e293b')
-           .fontSize(10)
-           .font('Helvetica-Bold')
-           .text('NOTES', 40, doc.y, { 
-             underline: true 
-           });
-        
-        moveDownWithCheck(0.3);
-
-        // Join notes with line breaks
-        const combinedNotes = notesArray.join('\n\n');
-        
-        doc.fillColor('#374151')
-           .fontSize(9)
-           .font('Helvetica')
-           .text(combinedNotes, 40, doc.y, { 
-             width: 510,
-             align: 'left',
-             lineGap: 4
-           });
-        
-        moveDownWithCheck(0.5);
-      }
+  const message = await queueEmail({
+    to,
+    category: 'BILL_INVOICE',
+    ...invoiceEmail({
+      tenantName: billInvoice.tenant.fullName,
+      propertyName: billInvoice.tenant.unit?.property?.name || 'your unit',
+      invoiceNumber: billInvoice.invoiceNumber,
+      description: `${billInvoice.billType.toLowerCase()} charges`,
+      amountDue: billInvoice.balance,
+      dueDate: billInvoice.dueDate
+    }),
+    attachments: [{ filename: `${billInvoice.invoiceNumber}.pdf`, path: pdfUrl }],
+    links: {
+      tenantId: billInvoice.tenantId,
+      propertyId: billInvoice.tenant.unit?.propertyId || null,
+      billInvoiceId: billInvoice.id
+    },
+    createdById
+  });
 
-      // ===========================================
-      // FOOTER
-      // ===========================================
-
-      // Add significant space before footer to make it look like a proper footer
-      // First, check if we're near the bottom of the page
-      if (doc.y < doc.page.height - 100) {
-        // Add more space to push footer to bottom
-        doc.y = doc.page.height - 60; // Position footer 60px from bottom
-      } else {
-        // If we're already near bottom, just add some space
-        moveDownWithCheck(3); // Add 3 lines of space
-      }
+  return deliverySummary(message);
+}
 
-      // Footer separator
-      doc.rect(40, doc.y, 510, 0.5).fillAndStroke('#e5e7eb', '#e5e7eb');
-            
-      moveDownWithCheck(0.5);
-
-      // FOOTER - Left aligned
-      doc.fillColor('#6b7280')
-         .fontSize(8)
-         .font('Helvetica')
-         .text('Interpark Enterprises Limited | Tel: 0110 060 088 | Email: info@interparkenterprises.co.ke | Website: www.interparkenterprises.co.ke', 40, doc.y, {
-           align: 'left',
-           width: 510
-         });
-
-      moveDownWithCheck(0.3);
-
-      doc.end();
-    } catch (error) {
-      console.error('PDF Generation Error:', error);
-      reject(error);
-    }
+// Helper function to generate Bill Invoice PDF
+export async function generateBillInvoicePDF(billInvoice, billDescription) {
+  return renderDocumentPdf('billInvoice', { ...billInvoice, description: billDescription || null }, {
+    propertyId: billInvoice.tenant?.unit?.propertyId || null,
+    landlordId: billInvoice.tenant?.unit?.property?.landlordId || null
   });
 }
 
@@ -1,12 +1,13 @@
 import prisma from "../lib/prisma.js";
-import { generatePDF } from "../utils/pdfGenerator.js";
 import { uploadToStorage } from "../utils/storage.js";
 import { generateCommissionInvoiceNumber } from "../utils/commissionInvoiceHelpers.js";
-import { commissionInvoiceHTML } from "../utils/commissionInvoiceTemplate.js";
+import { renderDocumentPdf } from "../services/templateService.js";
 import fs from 'fs';
 import fsPromises from 'fs/promises';
 import path from 'path';
 import permissionService from "../services/permissionService.js";
+import { postCommissionPayment } from "../services/ledgerService.js";
+import { enqueueJob, jobSummary, permanentJobError } from "../services/jobQueue.js";
 
 /**
  * Calculate VAT-exclusive amount from a payment for commission purposes
@@ -449,22 +450,31 @@ export const updateCommissionStatus = async (req, res) => {
       updateData.paidDate = paidDate ? new Date(paidDate) : new Date();
     }
 
-    const updatedCommission = await prisma.managerCommission.update({
-      where: { id },
-      data: updateData,
-      include: {
-        property: {
-          select: {
-            name: true
-          }
-        },
-        manager: {
-          select: {
-            name: true,
-            email: true
+    const updatedCommission = await prisma.$transaction(async (tx) => {
+      const commission = await tx.managerCommission.update({
+        where: { id },
+        data: updateData,
+        include: {
+          property: {
+            select: {
+              name: true
+            }
+          },
+          manager: {
+            select: {
+              name: true,
+              email: true
+            }
           }
         }
+      });
+
+      // Settling through the status endpoint posts the same ledger entry as markAsPaid
+      if (status === 'PAID') {
+        await postCommissionPayment(tx, commission, { createdById: req.user.id });
       }
+
+      return commission;
     });
 
     res.json({
@@ -761,26 +771,33 @@ export const markAsPaid = async (req, res) => {
       });
     }
 
-    const updatedCommission = await prisma.managerCommission.update({
-      where: { id },
-      data: {
-        status: 'PAID',
-        paidDate: new Date(),
-        notes: existingCommission.notes ? `${existingCommission.notes}\nMarked as paid by ${req.user.name || req.user.email} on ${new Date().toLocaleDateString()}` : `Marked as paid by ${req.user.name || req.user.email} on ${new Date().toLocaleDateString()}`
-      },
-      include: {
-        property: {
-          select: {
-            name: true
-          }
+    const updatedCommission = await prisma.$transaction(async (tx) => {
+      const paidCommission = await tx.managerCommission.update({
+        where: { id },
+        data: {
+          status: 'PAID',
+          paidDate: new Date(),
+          notes: existingCommission.notes ? `${existingCommission.notes}\nMarked as paid by ${req.user.name || req.user.email} on ${new Date().toLocaleDateString()}` : `Marked as paid by ${req.user.name || req.user.email} on ${new Date().toLocaleDateString()}`
         },
-        manager: {
-          select: {
-            name: true,
-            email: true
+        include: {
+          property: {
+            select: {
+              name: true
+            }
+          },
+          manager: {
+            select: {
+              name: true,
+              email: true
+            }
           }
         }
-      }
+      });
+
+      // Settle the accrued payable in the general ledger
+      await postCommissionPayment(tx, paidCommission, { createdById: req.user.id });
+
+      return paidCommission;
     });
 
     res.json({
@@ -993,13 +1010,13 @@ export const generateCommissionInvoice = async (req, res) => {
     const totalAmount = commissionAmount;
 
     // Generate invoice number
-    const invoiceNumber = await generateCommissionInvoiceNumber();
+    const invoiceNumber = await generateCommissionInvoiceNumber({ propertyId: commission.propertyId });
 
     const invoiceDate = new Date();
     const invoiceDateText = invoiceDate.toLocaleDateString("en-GB");
 
-    // Generate HTML for PDF
-    const html = commissionInvoiceHTML({
+    // Template input for the PDF, rendered by the commissionInvoice.pdf job
+    const document = {
       propertyName: commission.property?.name || "",
       lrNumber,
       invoiceDateText,
@@ -1023,15 +1040,7 @@ export const generateCommissionInvoice = async (req, res) => {
       bankCode,
       swiftCode,
       currency
-    });
-
-    // Generate PDF buffer
-    const pdfBuffer = await generatePDF(html);
-
-    // Upload PDF to storage
-    const safeInvoiceNumber = invoiceNumber.replaceAll("/", "-");
-    const fileName = `commission_invoice_${safeInvoiceNumber}.pdf`;
-    const pdfUrl = await uploadToStorage(pdfBuffer, fileName, "commission-invoice");
+    };
 
     // Transaction with timeout configuration
     const result = await prisma.$transaction(async (tx) => {
@@ -1058,8 +1067,7 @@ export const generateCommissionInvoice = async (req, res) => {
           branch: branch || null,
           bankCode: bankCode || null,
           swiftCode: swiftCode || null,
-          currency,
-          pdfUrl
+          currency
         }
       });
 
@@ -1075,6 +1083,12 @@ export const generateCommissionInvoice = async (req, res) => {
       timeout: 30000,
     });
 
+    const pdfJob = await enqueueJob(
+      "commissionInvoice.pdf",
+      { commissionInvoiceId: result.createdInvoice.id, document },
+      { createdById: req.user.id }
+    );
+
     // Invalidate permission cache for this user
     await permissionService.invalidateUserCache(req.user.id);
 
@@ -1086,6 +1100,7 @@ export const generateCommissionInvoice = async (req, res) => {
       data: {
         invoice: result.createdInvoice,
         commission: result.updatedCommission,
+        pdfJob: jobSummary(pdfJob),
         vatDetails: {
           originalAmount: originalIncomeAmount,
           vatExclusiveBase: collectionAmount,
@@ -1127,6 +1142,136 @@ export const generateCommissionInvoice = async (req, res) => {
   }
 };
 
+/**
+ * Render a commission invoice PDF, store it and record its URL (commissionInvoice.pdf job)
+ * @param {string} commissionInvoiceId
+ * @param {object} document - commissionInvoice template input captured when the invoice was created
+ * @returns {Promise<{ pdfUrl: string }>}
+ */
+export async function renderCommissionInvoicePdf(commissionInvoiceId, document) {
+  const invoice = await prisma.commissionInvoice.findUnique({
+    where: { id: commissionInvoiceId },
+    select: { id: true, invoiceNumber: true, commission: { select: { propertyId: true } } }
+  });
+  if (!invoice) {
+    throw permanentJobError(`Commission invoice ${commissionInvoiceId} not found`);
+  }
+
+  const pdfBuffer = await renderDocumentPdf("commissionInvoice", document, {
+    propertyId: invoice.commission.propertyId
+  });
+
+  const safeInvoiceNumber = invoice.invoiceNumber.replaceAll("/", "-");
+  const fileName = `commission_invoice_${safeInvoiceNumber}.pdf`;
+  const pdfUrl = await uploadToStorage(pdfBuffer, fileName, "commission-invoice");
+
+  await prisma.commissionInvoice.update({
+    where: { id: invoice.id },
+    data: { pdfUrl }
+  });
+
+  return { pdfUrl };
+}
+
+/**
+ * Stream the stored PDF for a commission invoice (shared with the landlord portal)
+ */
+export const sendCommissionInvoicePdf = async (res, invoice) => {
+  const pdfUrl = invoice.pdfUrl;
+  if (!pdfUrl) {
+    return res.status(404).json({
+      success: false,
+      message: 'PDF file not found for this invoice'
+    });
+  }
+
+  // Extract the filename from the URL
+  const fileName = pdfUrl.split(/[/\\]/).pop();
+  
+  if (!fileName) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invalid file URL'
+    });
+  }
+
+  // Determine the file path
+  const filePath = path.resolve(
+    process.cwd(),
+    'uploads',
+    'commission-invoice',
+    fileName
+  );
+
+  // Check if file exists
+  try {
+    await fsPromises.access(filePath, fs.constants.R_OK);
+    console.log('File exists and is readable at path:', filePath);
+    
+    const stats = await fsPromises.stat(filePath);
+    console.log('File stats:', {
+      size: stats.size,
+      created: stats.birthtime,
+      modified: stats.mtime
+    });
+  } catch (error) {
+    console.error('File not found or not accessible at path:', filePath);
+    console.error('Error details:', error.message);
+    
+    try {
+      const dirPath = path.join(process.cwd(), 'uploads', 'commission-invoice');
+      console.log('Attempting to list directory:', dirPath);
+      
+      const files = await fsPromises.readdir(dirPath);
+      console.log('Files in directory:', files);
+      
+      const fileExists = files.some(file => 
+        file.toLowerCase() === fileName.toLowerCase()
+      );
+      
+      if (fileExists) {
+        console.log('File exists with different case. Actual files:');
+        files.forEach(file => {
+          if (file.toLowerCase() === fileName.toLowerCase()) {
+            console.log(`Found: "${file}" (looking for: "${fileName}")`);
+          }
+        });
+      }
+    } catch (dirError) {
+      console.error('Could not read directory:', dirError.message);
+    }
+    
+    return res.status(404).json({
+      success: false,
+      message: 'PDF file not found on server',
+      details: 'File path may be incorrect or permissions issue'
+    });
+  }
+
+  // Set headers for file download
+  const safeFileName = `commission_invoice_${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+  
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${safeFileName}"`);
+  res.setHeader('Cache-Control', 'no-cache');
+  
+  // Stream the file with error handling
+  const fileStream = fs.createReadStream(filePath);
+  
+  fileStream.on('error', (streamError) => {
+    console.error('File stream error:', streamError);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error streaming file',
+        error: streamError.message
+      });
+    }
+  });
+  
+  fileStream.pipe(res);
+};
+
 /**
  * Download commission invoice PDF by invoice number
  * Required Permissions: VIEW_COMMISSIONS or GENERATE_COMMISSION_INVOICES
@@ -1173,99 +1318,7 @@ export const downloadCommissionInvoice = async (req, res) => {
       });
     }
 
-    const pdfUrl = invoice.pdfUrl;
-    if (!pdfUrl) {
-      return res.status(404).json({
-        success: false,
-        message: 'PDF file not found for this invoice'
-      });
-    }
-
-    // Extract the filename from the URL
-    const fileName = pdfUrl.split(/[/\\]/).pop();
-    
-    if (!fileName) {
-      return res.status(404).json({
-        success: false,
-        message: 'Invalid file URL'
-      });
-    }
-
-    // Determine the file path
-    const filePath = path.resolve(
-      process.cwd(),
-      'uploads',
-      'commission-invoice',
-      fileName
-    );
-
-    // Check if file exists
-    try {
-      await fsPromises.access(filePath, fs.constants.R_OK);
-      console.log('File exists and is readable at path:', filePath);
-      
-      const stats = await fsPromises.stat(filePath);
-      console.log('File stats:', {
-        size: stats.size,
-        created: stats.birthtime,
-        modified: stats.mtime
-      });
-    } catch (error) {
-      console.error('File not found or not accessible at path:', filePath);
-      console.error('Error details:', error.message);
-      
-      try {
-        const dirPath = path.join(process.cwd(), 'uploads', 'commission-invoice');
-        console.log('Attempting to list directory:', dirPath);
-        
-        const files = await fsPromises.readdir(dirPath);
-        console.log('Files in directory:', files);
-        
-        const fileExists = files.some(file => 
-          file.toLowerCase() === fileName.toLowerCase()
-        );
-        
-        if (fileExists) {
-          console.log('File exists with different case. Actual files:');
-          files.forEach(file => {
-            if (file.toLowerCase() === fileName.toLowerCase()) {
-              console.log(`Found: "${file}" (looking for: "${fileName}")`);
-            }
-          });
-        }
-      } catch (dirError) {
-        console.error('Could not read directory:', dirError.message);
-      }
-      
-      return res.status(404).json({
-        success: false,
-        message: 'PDF file not found on server',
-        details: 'File path may be incorrect or permissions issue'
-      });
-    }
-
-    // Set headers for file download
-    const safeFileName = `commission_invoice_${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
-    
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${safeFileName}"`);
-    res.setHeader('Cache-Control', 'no-cache');
-    
-    // Stream the file with error handling
-    const fileStream = fs.createReadStream(filePath);
-    
-    fileStream.on('error', (streamError) => {
-      console.error('File stream error:', streamError);
-      if (!res.headersSent) {
-        return res.status(500).json({
-          success: false,
-          message: 'Error streaming file',
-          error: streamError.message
-        });
-      }
-    });
-    
-    fileStream.pipe(res);
+    return sendCommissionInvoicePdf(res, invoice);
 
   } catch (error) {
     console.error('Error downloading commission invoice:', error);
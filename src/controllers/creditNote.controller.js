@@ -0,0 +1,196 @@
+import prisma from "../lib/prisma.js";
+import permissionService from "../services/permissionService.js";
+import { CREDIT_NOTE_TYPES, creditNoteInclude, generateCreditNotePDF } from "../services/creditNoteService.js";
+import { httpError } from "../utils/httpError.js";
+
+const handleError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, message: `Failed to ${label.toLowerCase()}`, error: error.message });
+};
+
+const toValidDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// ======================================================
+// PERMISSION HELPER FUNCTIONS
+// ======================================================
+
+// Credit notes follow the permissions of the document they credit
+// (invoice permissions for rent invoices, bill invoice permissions for bill invoices)
+const creditNoteResource = (creditNote) => (creditNote.billInvoiceId ? 'billInvoice' : 'invoice');
+
+const checkCreditNotePermission = async (userId, userRole, creditNote, operation) => {
+  if (userRole === 'ADMIN') {
+    return true;
+  }
+
+  if (userRole === 'MANAGER') {
+    if (!creditNote.propertyId) return false;
+    const property = await prisma.property.findUnique({
+      where: { id: creditNote.propertyId },
+      select: { managerId: true }
+    });
+    return property?.managerId === userId;
+  }
+
+  return permissionService.checkPermission(userId, creditNoteResource(creditNote), operation, creditNote.propertyId);
+};
+
+// Property filter for credit note listings
+const getCreditNoteScope = async (userId, userRole) => {
+  if (userRole === 'ADMIN') {
+    return {};
+  }
+
+  if (userRole === 'MANAGER') {
+    return { property: { is: { managerId: userId } } };
+  }
+
+  const accessiblePropertyIds = await permissionService.getAccessiblePropertyIds(userId, userRole);
+  const invoiceProperties = [];
+  const billInvoiceProperties = [];
+  for (const propertyId of accessiblePropertyIds) {
+    if (await permissionService.checkPermission(userId, 'invoice', 'view', propertyId)) {
+      invoiceProperties.push(propertyId);
+    }
+    if (await permissionService.checkPermission(userId, 'billInvoice', 'view', propertyId)) {
+      billInvoiceProperties.push(propertyId);
+    }
+  }
+
+  return {
+    OR: [
+      { invoiceId: { not: null }, propertyId: { in: invoiceProperties } },
+      { billInvoiceId: { not: null }, propertyId: { in: billInvoiceProperties } }
+    ]
+  };
+};
+
+// ======================================================
+// CREDIT NOTES
+// ======================================================
+
+// @desc    List credit notes
+// @route   GET /api/credit-notes?tenantId=&propertyId=&type=&invoiceId=&billInvoiceId=&from=&to=
+// @access  Private (ADMIN, MANAGER, USER with VIEW_INVOICES or VIEW_BILL_INVOICES)
+export const getCreditNotes = async (req, res) => {
+  try {
+    const { tenantId, propertyId, type, invoiceId, billInvoiceId, from, to, page = 1, limit = 20 } = req.query;
+
+    if (type && !CREDIT_NOTE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type. Must be one of: ${CREDIT_NOTE_TYPES.join(', ')}`
+      });
+    }
+
+    const issueDate = {};
+    if (from) {
+      issueDate.gte = toValidDate(from);
+      if (!issueDate.gte) throw httpError(400, 'Invalid from date');
+    }
+    if (to) {
+      issueDate.lte = toValidDate(to);
+      if (!issueDate.lte) throw httpError(400, 'Invalid to date');
+    }
+
+    const where = {
+      ...(await getCreditNoteScope(req.user.id, req.user.role)),
+      ...(tenantId && { tenantId }),
+      ...(propertyId && { propertyId }),
+      ...(type && { type }),
+      ...(invoiceId && { invoiceId }),
+      ...(billInvoiceId && { billInvoiceId }),
+      ...((from || to) && { issueDate })
+    };
+
+    const take = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [creditNotes, total, totals] = await Promise.all([
+      prisma.creditNote.findMany({
+        where,
+        include: creditNoteInclude,
+        orderBy: { issueDate: 'desc' },
+        skip,
+        take
+      }),
+      prisma.creditNote.count({ where }),
+      prisma.creditNote.aggregate({ where, _sum: { amount: true, vatAmount: true } })
+    ]);
+
+    res.json({
+      success: true,
+      data: creditNotes,
+      summary: {
+        totalCredited: totals._sum.amount || 0,
+        totalVat: totals._sum.vatAmount || 0
+      },
+      pagination: {
+        page: parseInt(page) || 1,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get credit notes');
+  }
+};
+
+// @desc    Get a credit note
+// @route   GET /api/credit-notes/:id
+// @access  Private (ADMIN, MANAGER, USER with VIEW_INVOICES or VIEW_BILL_INVOICES)
+export const getCreditNoteById = async (req, res) => {
+  try {
+    const creditNote = await prisma.creditNote.findUnique({
+      where: { id: req.params.id },
+      include: creditNoteInclude
+    });
+
+    if (!creditNote) {
+      return res.status(404).json({ success: false, message: 'Credit note not found' });
+    }
+
+    if (!(await checkCreditNotePermission(req.user.id, req.user.role, creditNote, 'view'))) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to view this credit note' });
+    }
+
+    res.json({ success: true, data: creditNote });
+  } catch (error) {
+    handleError(res, error, 'Get credit note');
+  }
+};
+
+// @desc    Download a credit note PDF
+// @route   GET /api/credit-notes/:id/download
+// @access  Private (ADMIN, MANAGER, USER with DOWNLOAD_INVOICES or DOWNLOAD_BILL_INVOICE)
+export const downloadCreditNote = async (req, res) => {
+  try {
+    const creditNote = await prisma.creditNote.findUnique({
+      where: { id: req.params.id },
+      include: creditNoteInclude
+    });
+
+    if (!creditNote) {
+      return res.status(404).json({ success: false, message: 'Credit note not found' });
+    }
+
+    if (!(await checkCreditNotePermission(req.user.id, req.user.role, creditNote, 'download'))) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to download this credit note' });
+    }
+
+    const pdfBuffer = await generateCreditNotePDF(creditNote);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${creditNote.creditNoteNumber}.pdf"`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    handleError(res, error, 'Download credit note');
+  }
+};
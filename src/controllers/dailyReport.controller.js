@@ -2,6 +2,65 @@ import prisma from "../lib/prisma.js";
 import { uploadToStorage, generateFileName } from '../utils/storage.js';
 import { DailyReportHelper } from '../utils/dailyReportHelper.js';
 import permissionService from "../services/permissionService.js";
+import { enqueueJob, jobSummary, permanentJobError } from "../services/jobQueue.js";
+
+/**
+ * Render a daily report PDF and attach it to the report (dailyReport.pdf job).
+ * The first PDF becomes the primary attachment; later ones are added as updated versions.
+ *
+ * @param {string} reportId
+ * @param {object} [options] - { updated }
+ * @returns {Promise<{ pdfUrl: string, fileName: string }>}
+ */
+export async function renderDailyReportPdf(reportId, { updated = false } = {}) {
+  const report = await prisma.dailyReport.findUnique({
+    where: { id: reportId },
+    include: {
+      property: {
+        include: {
+          landlord: true
+        }
+      },
+      manager: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          role: true
+        }
+      }
+    }
+  });
+  if (!report) {
+    throw permanentJobError(`Daily report ${reportId} not found`);
+  }
+
+  const pdfBuffer = await DailyReportHelper.generateReportPDF(report);
+
+  const propertyName = report.property.name.replace(/\s+/g, '_');
+  const fileName = updated
+    ? generateFileName(`daily_report_updated_${propertyName}_${new Date().getTime()}`)
+    : generateFileName(`daily_report_${propertyName}_${new Date(report.reportDate).getTime()}`);
+  const pdfUrl = await uploadToStorage(pdfBuffer, fileName, 'reports');
+
+  const attachment = {
+    type: 'PDF',
+    fileName,
+    fileUrl: pdfUrl,
+    uploadedAt: new Date(),
+    ...(updated && { version: 'updated' }),
+    isPrimary: !updated
+  };
+
+  await prisma.dailyReport.update({
+    where: { id: reportId },
+    data: {
+      attachments: updated ? [...(report.attachments || []), attachment] : [attachment]
+    }
+  });
+
+  return { pdfUrl, fileName };
+}
 
 export class DailyReportController {
   // Create daily report with PDF generation
@@ -116,52 +175,13 @@ export class DailyReportController {
         }
       });
 
-      // 7. Generate PDF
-      const pdfBuffer = await DailyReportHelper.generateReportPDF(report);
-      
-      // 8. Upload PDF to storage
-      const fileName = generateFileName(`daily_report_${property.name.replace(/\s+/g, '_')}_${reportDateObj.getTime()}`);
-      const pdfUrl = await uploadToStorage(pdfBuffer, fileName, 'reports');
-
-      // 9. Create attachment object
-      const attachment = {
-        type: 'PDF',
-        fileName,
-        fileUrl: pdfUrl,
-        uploadedAt: new Date(),
-        isPrimary: true
-      };
-
-      // 10. Update report with attachment
-      const updatedReport = await prisma.dailyReport.update({
-        where: { id: report.id },
-        data: {
-          attachments: [attachment]
-        },
-        include: {
-          property: {
-            include: {
-              landlord: true
-            }
-          },
-          manager: {
-            select: {
-              id: true,
-              name: true,
-              email: true,
-              role: true
-            }
-          }
-        }
-      });
-
-      // Add PDF URL to the response for backward compatibility
-      updatedReport.pdfUrl = pdfUrl;
+      // 7. Queue the PDF; the worker attaches it to the report
+      const pdfJob = await enqueueJob('dailyReport.pdf', { reportId: report.id }, { createdById: userId });
 
       res.status(201).json({
         success: true,
-        message: 'Daily report created successfully',
-        data: updatedReport
+        message: 'Daily report created successfully; the PDF is being generated',
+        data: { ...report, pdfJob: jobSummary(pdfJob) }
       });
 
     } catch (error) {
@@ -335,43 +355,10 @@ export class DailyReportController {
         }
       });
 
-      // Regenerate PDF if needed
+      // Regenerate PDF if needed (in the worker)
       if (Object.keys(updateData).length > 0) {
-        // Generate PDF
-        const pdfBuffer = await DailyReportHelper.generateReportPDF(updatedReport);
-        
-        // Upload PDF to storage
-        const fileName = generateFileName(`daily_report_updated_${existingReport.property.name.replace(/\s+/g, '_')}_${new Date().getTime()}`);
-        const pdfUrl = await uploadToStorage(pdfBuffer, fileName, 'reports');
-
-        // Get existing attachments or create new array
-        const reportWithAttachments = await prisma.dailyReport.findUnique({
-          where: { id },
-          select: { attachments: true }
-        });
-
-        const existingAttachments = reportWithAttachments?.attachments || [];
-        
-        // Create new attachment object
-        const newAttachment = {
-          type: 'PDF',
-          fileName,
-          fileUrl: pdfUrl,
-          uploadedAt: new Date(),
-          version: 'updated',
-          isPrimary: false
-        };
-
-        // Update with new attachments array
-        await prisma.dailyReport.update({
-          where: { id },
-          data: {
-            attachments: [...existingAttachments, newAttachment]
-          }
-        });
-
-        // Add PDF URL to the response
-        updatedReport.pdfUrl = pdfUrl;
+        const pdfJob = await enqueueJob('dailyReport.pdf', { reportId: id, updated: true }, { createdById: userId });
+        updatedReport.pdfJob = jobSummary(pdfJob);
       }
 
       res.status(200).json({
@@ -1,9 +1,10 @@
 // controllers/demandLetter.controller.js
 import prisma from '../lib/prisma.js';
-import { generateDemandLetterPDF } from '../utils/demandLetterTemplate.js';
-import { uploadDocument } from '../utils/uploadHelper.js';
-import { generateFileName } from '../utils/storage.js';
 import permissionService from "../services/permissionService.js";
+import { createDemandLetter, issueDemandLetter, emailDemandLetter, demandLetterTenantInclude } from "../services/demandLetterService.js";
+import { enqueueJob, enqueueBatch, jobSummary, permanentJobError } from "../services/jobQueue.js";
+import { deliverySummary } from "../services/notificationService.js";
+import { smsDemandLetter } from "../services/tenantSmsService.js";
 import fs from 'fs';
 import path from 'path';
 // ======================================================
@@ -145,48 +146,6 @@ function deduplicateInvoices(invoices) {
   return result;
 }
 
-/**
- * Helper function to generate unique letter number
- */
-async function generateLetterNumber() {
-  const year = new Date().getFullYear();
-  const prefix = `DL-${year}`;
-  
-  // Get the latest letter number for this year
-  const latestLetter = await prisma.demandLetter.findFirst({
-    where: {
-      letterNumber: {
-        startsWith: prefix
-      }
-    },
-    orderBy: {
-      letterNumber: 'desc'
-    }
-  });
-
-  if (!latestLetter) {
-    return `${prefix}-0001`;
-  }
-
-  // Extract the sequence number and increment
-  const lastNumber = parseInt(latestLetter.letterNumber.split('-')[2]);
-  const newNumber = (lastNumber + 1).toString().padStart(4, '0');
-
-  return `${prefix}-${newNumber}`;
-}
-
-/**
- * Format payment policy for display
- */
-function formatPaymentPolicy(policy) {
-  const policies = {
-    'MONTHLY': 'Monthly',
-    'QUARTERLY': 'Quarterly',
-    'ANNUAL': 'Annually'
-  };
-  return policies[policy] || policy;
-}
-
 // ======================================================
 // DEMAND LETTER GENERATION FUNCTIONS
 // ======================================================
@@ -244,7 +203,14 @@ export const generateDemandLetter = async (req, res) => {
       });
     }
 
-    const propertyId = tenant.unit?.propertyId;
+    if (!tenant.unit) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tenant has moved out; outstanding amounts are recorded on the move-out settlement'
+      });
+    }
+
+    const propertyId = tenant.unit.propertyId;
 
     // CHECK PERMISSION TO CREATE DEMAND LETTER
     if (userRole !== 'ADMIN') {
@@ -278,143 +244,27 @@ export const generateDemandLetter = async (req, res) => {
       });
     }
 
-    const property = tenant.unit.property;
-    const landlord = property.landlord;
-    const unit = tenant.unit;
-
-    // Generate unique letter number
-    const letterNumber = await generateLetterNumber();
-
-    // Create demand letter record
-    const demandLetter = await prisma.demandLetter.create({
-      data: {
-        letterNumber,
-        tenantId,
-        propertyId: property.id,
-        landlordId: landlord.id,
-        unitId: unit.id,
-        invoiceId: invoiceId || null,
-        generatedById: req.user.id,
-        issueDate: new Date(),
-        outstandingAmount: parseFloat(outstandingAmount),
-        rentalPeriod,
-        dueDate: new Date(dueDate),
-        demandPeriod,
-        partialPayment: partialPayment ? parseFloat(partialPayment) : 0,
-        partialPaymentDate: partialPaymentDate ? new Date(partialPaymentDate) : null,
-        referenceNumber: referenceNumber || letterNumber,
-        previousInvoiceRef: invoice?.invoiceNumber || null,
-        paymentPolicy: tenant.paymentPolicy,
-        landlordContact: landlord.phone || landlord.email,
-        tenantContact: tenant.contact || tenant.email,
-        status: 'DRAFT',
-        notes
-      }
-    });
-
-    // Prepare data for PDF generation
-    const pdfData = {
-      // Property Information
-      propertyName: property.name,
-      propertyAddress: property.address,
-      propertyLRNumber: property.lrNumber,
-      
-      // Landlord Information
-      landlordName: landlord.name,
-      landlordPOBox: landlord.address || 'P.O. Box …………….',
-      landlordPhone: landlord.phone || '……………………',
-      landlordEmail: landlord.email || '…………………………',
-      
-      // Tenant Information
-      tenantName: tenant.fullName,
-      tenantPOBox: tenant.POBox || '………………………',
-      tenantContact: tenant.contact,
-      tenantEmail: tenant.email,
-      
-      // Letter Details
-      letterNumber,
-      issueDate: new Date().toLocaleDateString('en-GB', {
-        day: 'numeric',
-        month: 'long',
-        year: 'numeric'
-      }),
-      referenceNumber: demandLetter.referenceNumber,
-      
-      // Financial Information
-      outstandingAmount: parseFloat(outstandingAmount).toLocaleString('en-KE', {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-      }),
+    const demandLetter = await createDemandLetter({
+      tenant,
+      invoice,
+      outstandingAmount,
       rentalPeriod,
-      rentAmount: tenant.rent.toLocaleString('en-KE', {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-      }),
-      paymentPolicy: formatPaymentPolicy(tenant.paymentPolicy),
-      dueDate: new Date(dueDate).toLocaleDateString('en-GB', {
-        day: 'numeric',
-        month: 'long',
-        year: 'numeric'
-      }),
+      dueDate,
       demandPeriod,
-      
-      // Unit Information
-      unitNo: unit.unitNo || 'N/A',
-      
-      // Optional fields
-      partialPayment: partialPayment ? parseFloat(partialPayment).toLocaleString('en-KE', {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-      }) : null,
-      partialPaymentDate: partialPaymentDate ? new Date(partialPaymentDate).toLocaleDateString('en-GB', {
-        day: 'numeric',
-        month: 'long',
-        year: 'numeric'
-      }) : null,
-      
-      notes
-    };
-
-    // Generate PDF
-    const pdfBuffer = await generateDemandLetterPDF(pdfData);
-
-    // Generate filename and upload
-    const fileName = generateFileName(`demand_letter_${letterNumber}`);
-    const filePath = `demand-letters/${fileName}`;
-    const uploadResult = await uploadDocument(pdfBuffer, filePath);
-
-    //  FIX: Extract just the URL string
-    const documentUrl = uploadResult.url;
-
-    // Update demand letter with document URL and status
-    const updatedDemandLetter = await prisma.demandLetter.update({
-      where: { id: demandLetter.id },
-      data: {
-        documentUrl,  // Now this is a string
-        status: 'GENERATED',
-        generatedAt: new Date()
-      },
-      include: {
-        tenant: true,
-        property: true,
-        landlord: true,
-        unit: true,
-        invoice: true,
-        generatedBy: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            role: true
-          }
-        }
-      }
+      partialPayment,
+      partialPaymentDate,
+      referenceNumber,
+      notes,
+      generatedById: req.user.id
     });
 
+    // The letter stays DRAFT until the worker has rendered its PDF
+    const pdfJob = await enqueueJob('demandLetter.pdf', { demandLetterId: demandLetter.id }, { createdById: userId });
+
     res.status(201).json({
       success: true,
-      message: 'Demand letter generated successfully',
-      data: updatedDemandLetter
+      message: 'Demand letter created; the PDF is being generated',
+      data: { ...demandLetter, pdfJob: jobSummary(pdfJob) }
     });
 
   } catch (error) {
@@ -587,130 +437,17 @@ export const batchGenerateDemandLetters = async (req, res) => {
       }
     }
 
-    const results = {
-      success: [],
-      failed: []
-    };
-
-    // Process each tenant
-    for (const tenantId of tenantIds) {
-      try {
-        // Fetch tenant with overdue invoices
-        const tenant = await prisma.tenant.findUnique({
-          where: { id: tenantId },
-          include: {
-            unit: {
-              include: {
-                property: true
-              }
-            },
-            invoices: {
-              where: {
-                status: {
-                  in: ['UNPAID', 'OVERDUE', 'PARTIAL']
-                }
-              },
-              orderBy: {
-                dueDate: 'asc'
-              },
-              include: {
-                paymentReport: {
-                  select: {
-                    id: true
-                  }
-                }
-              }
-            }
-          }
-        });
-
-        if (!tenant) {
-          results.failed.push({
-            tenantId,
-            reason: 'Tenant not found'
-          });
-          continue;
-        }
-
-        if (!tenant.invoices || tenant.invoices.length === 0) {
-          results.failed.push({
-            tenantId,
-            reason: 'No overdue invoices found'
-          });
-          continue;
-        }
-
-        // Deduplicate invoices
-        const deduplicatedInvoices = deduplicateInvoices(tenant.invoices);
-        
-        if (deduplicatedInvoices.length === 0) {
-          results.failed.push({
-            tenantId,
-            reason: 'No valid overdue invoices found after deduplication'
-          });
-          continue;
-        }
-
-        // Calculate outstanding amount
-        const outstandingAmount = deduplicatedInvoices.reduce((sum, invoice) => sum + invoice.balance, 0);
-        const oldestInvoice = deduplicatedInvoices[0];
-
-        // Generate demand letter data
-        const demandLetterData = {
-          tenantId,
-          invoiceId: oldestInvoice.id,
-          outstandingAmount,
-          rentalPeriod: oldestInvoice.paymentPeriod,
-          dueDate: oldestInvoice.dueDate,
-          demandPeriod,
-          referenceNumber: oldestInvoice.invoiceNumber,
-          notes: notes || `Batch generated demand letter for ${deduplicatedInvoices.length} overdue invoice(s) (after deduplication)`
-        };
-
-        // Simulate the generation process
-        const demandLetter = await prisma.demandLetter.create({
-          data: {
-            letterNumber: await generateLetterNumber(),
-            tenantId,
-            propertyId: tenant.unit?.propertyId || 'unknown',
-            landlordId: 'unknown',
-            unitId: tenant.unitId || 'unknown',
-            invoiceId: oldestInvoice.id,
-            generatedById: req.user.id,
-            issueDate: new Date(),
-            outstandingAmount,
-            rentalPeriod: oldestInvoice.paymentPeriod,
-            dueDate: oldestInvoice.dueDate,
-            demandPeriod,
-            referenceNumber: oldestInvoice.invoiceNumber,
-            paymentPolicy: tenant.paymentPolicy,
-            status: 'GENERATED',
-            notes: notes || `Batch generated demand letter for ${deduplicatedInvoices.length} overdue invoice(s)`
-          }
-        });
+    // One job per tenant; progress is followed with GET /api/jobs/batches/:batchId
+    const { batchId, count } = await enqueueBatch(
+      'demandLetter.generate',
+      [...new Set(tenantIds)].map(tenantId => ({ tenantId, demandPeriod, notes })),
+      { createdById: userId }
+    );
 
-        results.success.push({
-          tenantId,
-          tenantName: tenant.fullName,
-          demandLetterId: demandLetter.id,
-          letterNumber: demandLetter.letterNumber,
-          outstandingAmount,
-          invoiceCount: deduplicatedInvoices.length,
-          deduplicationApplied: deduplicatedInvoices.length !== tenant.invoices.length
-        });
-
-      } catch (error) {
-        results.failed.push({
-          tenantId,
-          reason: error.message
-        });
-      }
-    }
-
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Batch generation completed. ${results.success.length} succeeded, ${results.failed.length} failed`,
-      data: results
+      message: `Demand letters queued for ${count} tenant(s)`,
+      data: { batchId, count }
     });
 
   } catch (error) {
@@ -723,6 +460,71 @@ export const batchGenerateDemandLetters = async (req, res) => {
   }
 };
 
+/**
+ * Issue a demand letter for a tenant's overdue invoices (demandLetter.generate job,
+ * one per tenant in a batch). Tenants with nothing overdue fail without retrying.
+ *
+ * @param {string} tenantId
+ * @param {object} options - { demandPeriod, notes, generatedById }
+ * @returns {Promise<object>} Summary of the GENERATED letter
+ */
+export async function generateOverdueDemandLetter(tenantId, { demandPeriod = '7 days', notes, generatedById = null }) {
+  const tenant = await prisma.tenant.findUnique({
+    where: { id: tenantId },
+    include: {
+      ...demandLetterTenantInclude,
+      invoices: {
+        where: {
+          status: {
+            in: ['UNPAID', 'OVERDUE', 'PARTIAL']
+          }
+        },
+        orderBy: {
+          dueDate: 'asc'
+        }
+      }
+    }
+  });
+
+  if (!tenant) {
+    throw permanentJobError('Tenant not found');
+  }
+  if (!tenant.unit) {
+    throw permanentJobError('Tenant has moved out');
+  }
+
+  const deduplicatedInvoices = deduplicateInvoices(tenant.invoices);
+  if (deduplicatedInvoices.length === 0) {
+    throw permanentJobError('No overdue invoices found');
+  }
+
+  const outstandingAmount = deduplicatedInvoices.reduce((sum, invoice) => sum + invoice.balance, 0);
+  const oldestInvoice = deduplicatedInvoices[0];
+
+  const demandLetter = await issueDemandLetter({
+    tenant,
+    invoice: oldestInvoice,
+    outstandingAmount,
+    rentalPeriod: oldestInvoice.paymentPeriod,
+    dueDate: oldestInvoice.dueDate,
+    demandPeriod,
+    referenceNumber: oldestInvoice.invoiceNumber,
+    notes: notes || `Batch generated demand letter for ${deduplicatedInvoices.length} overdue invoice(s)`,
+    generatedById
+  });
+
+  return {
+    tenantId,
+    tenantName: tenant.fullName,
+    demandLetterId: demandLetter.id,
+    letterNumber: demandLetter.letterNumber,
+    outstandingAmount: demandLetter.outstandingAmount,
+    penaltyAmount: demandLetter.penaltyAmount,
+    invoiceCount: deduplicatedInvoices.length,
+    deduplicationApplied: deduplicatedInvoices.length !== tenant.invoices.length
+  };
+}
+
 // ======================================================
 // DEMAND LETTER VIEWING FUNCTIONS
 // ======================================================
@@ -1405,24 +1207,32 @@ export const sendDemandLetter = async (req, res) => {
       }
     }
 
-    // Here you would implement actual email/SMS sending logic
-    // For now, just update the status to SENT and record delivery method
-
-    const sentTo = [];
-    if (email || demandLetter.tenant.email) {
-      sentTo.push(email || demandLetter.tenant.email);
+    if (!demandLetter.documentUrl) {
+      return res.status(400).json({
+        success: false,
+        message: 'Demand letter has no generated document to send'
+      });
     }
-    if (phone || demandLetter.tenant.contact) {
-      sentTo.push(phone || demandLetter.tenant.contact);
+
+    const recipient = email || demandLetter.tenant.email;
+    if (!recipient) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tenant has no email address; provide one to send the demand letter'
+      });
     }
 
+    // Emailed with the PDF attached; the letter is marked SENT once delivered,
+    // and failed deliveries are retried automatically
+    const message = await emailDemandLetter(demandLetter, { to: recipient, createdById: userId });
+
+    // SMS notice of the letter, unless the tenant opted out (an explicit phone is always texted)
+    const smsMessage = await smsDemandLetter(demandLetter, { to: phone, createdById: userId });
+
     const updatedDemandLetter = await prisma.demandLetter.update({
       where: { id },
       data: {
-        status: 'SENT',
-        sentAt: new Date(),
-        sentTo: sentTo.join(', '),
-        notes: notes || `Demand letter sent to ${sentTo.join(', ')}`,
+        ...(notes && { notes }),
         updatedAt: new Date()
       },
       include: {
@@ -1441,10 +1251,16 @@ export const sendDemandLetter = async (req, res) => {
       }
     });
 
-    res.json({
+    const delivered = message.status === 'SENT';
+
+    res.status(delivered ? 200 : 202).json({
       success: true,
-      message: 'Demand letter sent successfully',
-      data: updatedDemandLetter
+      message: delivered
+        ? `Demand letter sent to ${recipient}`
+        : `Demand letter could not be delivered yet (${message.lastError}); it will be retried automatically`,
+      data: updatedDemandLetter,
+      delivery: deliverySummary(message),
+      smsDelivery: smsMessage ? deliverySummary(smsMessage) : null
     });
 
   } catch (error) {
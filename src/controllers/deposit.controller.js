@@ -0,0 +1,439 @@
+import prisma from "../lib/prisma.js";
+import permissionService from "../services/permissionService.js";
+import {
+  DEPOSIT_TRANSACTION_TYPES,
+  depositTransactionInclude,
+  recordDepositReceipt,
+  deductFromDeposit,
+  accrueDepositInterest,
+  accruePropertyDepositInterest,
+  refundDeposit,
+  getTenantDepositSummary,
+  buildDepositLiabilityReport,
+  generateDepositReceiptPDF
+} from "../services/depositService.js";
+import { httpError } from "../utils/httpError.js";
+
+const handleError = (res, error, label, operation = 'edit') => {
+  if (error.statusCode === 403) {
+    return res.status(403).json({
+      success: false,
+      message: operation === 'edit'
+        ? 'You do not have permission to manage deposits for this property'
+        : 'You do not have permission to view deposits for this property',
+      requiredPermission: operation === 'edit' ? 'EDIT_TENANT' : 'VIEW_TENANTS'
+    });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, message: `Failed to ${label.toLowerCase()}`, error: error.message });
+};
+
+const toValidDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// ======================================================
+// PERMISSION HELPER FUNCTIONS
+// ======================================================
+
+// Deposits are part of the tenant record, so they follow the tenant permissions
+// (view for balances and reports, edit for recording movements)
+const checkDepositPermission = async (userId, userRole, propertyId, operation) => {
+  if (userRole === 'ADMIN') {
+    return true;
+  }
+
+  if (!propertyId) {
+    return false;
+  }
+
+  if (userRole === 'MANAGER') {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { managerId: true }
+    });
+    return property?.managerId === userId;
+  }
+
+  if (userRole === 'USER') {
+    return permissionService.checkTenantPermission(userId, propertyId, operation);
+  }
+
+  return false;
+};
+
+// Property filter for deposit transaction listings
+const getDepositPropertyScope = async (userId, userRole) => {
+  if (userRole === 'ADMIN') {
+    return {};
+  }
+
+  if (userRole === 'MANAGER') {
+    return { property: { is: { managerId: userId } } };
+  }
+
+  const accessiblePropertyIds = await permissionService.getAccessiblePropertyIds(userId, userRole);
+  const propertiesWithPermission = [];
+  for (const propertyId of accessiblePropertyIds) {
+    if (await permissionService.checkTenantPermission(userId, propertyId, 'view')) {
+      propertiesWithPermission.push(propertyId);
+    }
+  }
+
+  return { propertyId: { in: propertiesWithPermission } };
+};
+
+// Check access to a tenant's deposit through the property it is held for:
+// the tenant's unit, or the last lease once they have moved out
+const assertTenantAccess = async (req, tenantId, operation) => {
+  const tenant = await prisma.tenant.findUnique({
+    where: { id: tenantId },
+    select: {
+      id: true,
+      unit: { select: { propertyId: true } },
+      leases: { orderBy: { startDate: 'desc' }, take: 1, select: { propertyId: true } }
+    }
+  });
+
+  if (!tenant) {
+    throw httpError(404, 'Tenant not found');
+  }
+
+  const propertyId = tenant.unit?.propertyId || tenant.leases[0]?.propertyId || null;
+  if (!(await checkDepositPermission(req.user.id, req.user.role, propertyId, operation))) {
+    throw httpError(403, null);
+  }
+};
+
+// ======================================================
+// TENANT DEPOSITS
+// ======================================================
+
+// @desc    Deposit position of a tenant: agreed, required (after escalations),
+//          held and top-up due, with every movement
+// @route   GET /api/deposits/tenants/:tenantId
+// @access  Private (ADMIN, MANAGER, USER with VIEW_TENANTS)
+export const getTenantDeposit = async (req, res) => {
+  try {
+    await assertTenantAccess(req, req.params.tenantId, 'view');
+
+    const summary = await getTenantDepositSummary(req.params.tenantId);
+
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    handleError(res, error, 'Get tenant deposit', 'view');
+  }
+};
+
+// @desc    Record deposit money received (type RECEIPT for the initial deposit,
+//          TOP_UP after a rent escalation)
+// @route   POST /api/deposits/tenants/:tenantId/receipts
+// @access  Private (ADMIN, MANAGER, USER with EDIT_TENANT)
+export const createDepositReceipt = async (req, res) => {
+  try {
+    await assertTenantAccess(req, req.params.tenantId, 'edit');
+    const { type, amount, method, reference, description, transactionDate } = req.body;
+
+    const transaction = await recordDepositReceipt(req.params.tenantId, {
+      type,
+      amount,
+      method,
+      reference,
+      description,
+      transactionDate,
+      createdById: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: transaction,
+      message: `${transaction.type === 'TOP_UP' ? 'Deposit top-up' : 'Deposit'} ${transaction.receiptNumber} recorded`
+    });
+  } catch (error) {
+    handleError(res, error, 'Record deposit receipt');
+  }
+};
+
+// @desc    Deduct from a deposit: against an unpaid invoice or bill invoice
+//          (invoiceId / billInvoiceId), or for DAMAGES / OTHER with a description
+// @route   POST /api/deposits/tenants/:tenantId/deductions
+// @access  Private (ADMIN, MANAGER, USER with EDIT_TENANT)
+export const createDepositDeduction = async (req, res) => {
+  try {
+    await assertTenantAccess(req, req.params.tenantId, 'edit');
+    const { amount, category, invoiceId, billInvoiceId, description, transactionDate } = req.body;
+
+    const transaction = await deductFromDeposit(req.params.tenantId, {
+      amount,
+      category,
+      invoiceId,
+      billInvoiceId,
+      description,
+      transactionDate,
+      createdById: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: transaction,
+      message: `Deduction ${transaction.receiptNumber} recorded. Deposit held: Ksh ${transaction.balanceAfter.toFixed(2)}.`
+    });
+  } catch (error) {
+    handleError(res, error, 'Record deposit deduction');
+  }
+};
+
+// @desc    Credit interest on a tenant's deposit for a period
+// @route   POST /api/deposits/tenants/:tenantId/interest
+// @access  Private (ADMIN, MANAGER, USER with EDIT_TENANT)
+export const createDepositInterest = async (req, res) => {
+  try {
+    await assertTenantAccess(req, req.params.tenantId, 'edit');
+    const { periodStart, periodEnd, annualRate, amount, description } = req.body;
+
+    const transaction = await accrueDepositInterest(req.params.tenantId, {
+      periodStart,
+      periodEnd,
+      annualRate,
+      amount,
+      description,
+      createdById: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: transaction,
+      message: `Interest of Ksh ${transaction.amount.toFixed(2)} credited (${transaction.receiptNumber})`
+    });
+  } catch (error) {
+    handleError(res, error, 'Credit deposit interest');
+  }
+};
+
+// @desc    Refund a tenant's deposit outside a move-out (amount defaults to
+//          the whole deposit held). Move-out refunds are recorded on the move-out.
+// @route   POST /api/deposits/tenants/:tenantId/refunds
+// @access  Private (ADMIN, MANAGER, USER with EDIT_TENANT)
+export const createDepositRefund = async (req, res) => {
+  try {
+    await assertTenantAccess(req, req.params.tenantId, 'edit');
+    const { amount, method, reference, description, transactionDate } = req.body;
+
+    const transaction = await refundDeposit(req.params.tenantId, {
+      amount,
+      method,
+      reference,
+      description,
+      transactionDate,
+      createdById: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: transaction,
+      message: `Refund ${transaction.receiptNumber} of Ksh ${transaction.amount.toFixed(2)} recorded`
+    });
+  } catch (error) {
+    handleError(res, error, 'Record deposit refund');
+  }
+};
+
+// ======================================================
+// PROPERTY DEPOSITS
+// ======================================================
+
+// @desc    Credit deposit interest for a period to every current tenant of a property
+// @route   POST /api/deposits/properties/:propertyId/interest
+// @access  Private (ADMIN, MANAGER, USER with EDIT_TENANT)
+export const createPropertyDepositInterest = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+    if (!(await checkDepositPermission(req.user.id, req.user.role, propertyId, 'edit'))) {
+      throw httpError(403, null);
+    }
+
+    const { periodStart, periodEnd, annualRate } = req.body;
+    const result = await accruePropertyDepositInterest(propertyId, {
+      periodStart,
+      periodEnd,
+      annualRate,
+      createdById: req.user.id
+    });
+
+    const total = result.accrued.reduce((sum, transaction) => sum + transaction.amount, 0);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: `Interest of Ksh ${total.toFixed(2)} credited to ${result.accrued.length} tenant(s); ${result.skipped.length} skipped`
+    });
+  } catch (error) {
+    handleError(res, error, 'Credit property deposit interest');
+  }
+};
+
+// @desc    Deposit liability report for a property: deposit held per tenant at
+//          asOf, movements since from, and top-ups due
+// @route   GET /api/deposits/report?propertyId=&from=&asOf=
+// @access  Private (ADMIN, MANAGER, USER with VIEW_TENANTS)
+export const getDepositLiabilityReport = async (req, res) => {
+  try {
+    const { propertyId, from, asOf } = req.query;
+
+    if (!propertyId) {
+      return res.status(400).json({ success: false, message: 'propertyId is required' });
+    }
+
+    if (!(await checkDepositPermission(req.user.id, req.user.role, propertyId, 'view'))) {
+      throw httpError(403, null);
+    }
+
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { id: true, name: true, depositInterestRate: true }
+    });
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+
+    const fromDate = from ? toValidDate(from) : null;
+    const asOfDate = asOf ? toValidDate(asOf) : new Date();
+    if ((from && !fromDate) || !asOfDate) {
+      return res.status(400).json({ success: false, message: 'Invalid from or asOf date' });
+    }
+
+    const report = await buildDepositLiabilityReport(propertyId, { from: fromDate, asOf: asOfDate });
+
+    res.json({ success: true, data: { property, ...report } });
+  } catch (error) {
+    handleError(res, error, 'Get deposit liability report', 'view');
+  }
+};
+
+// ======================================================
+// DEPOSIT TRANSACTIONS
+// ======================================================
+
+// @desc    List deposit movements
+// @route   GET /api/deposits/transactions?tenantId=&propertyId=&type=&moveOutId=&from=&to=&page=&limit=
+// @access  Private (ADMIN, MANAGER, USER with VIEW_TENANTS)
+export const getDepositTransactions = async (req, res) => {
+  try {
+    const { tenantId, propertyId, type, moveOutId, from, to, page = 1, limit = 20 } = req.query;
+
+    if (type && !DEPOSIT_TRANSACTION_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type. Must be one of: ${DEPOSIT_TRANSACTION_TYPES.join(', ')}`
+      });
+    }
+
+    const transactionDate = {};
+    if (from) {
+      transactionDate.gte = toValidDate(from);
+      if (!transactionDate.gte) throw httpError(400, 'Invalid from date');
+    }
+    if (to) {
+      transactionDate.lte = toValidDate(to);
+      if (!transactionDate.lte) throw httpError(400, 'Invalid to date');
+    }
+
+    const where = {
+      ...(await getDepositPropertyScope(req.user.id, req.user.role)),
+      ...(tenantId && { tenantId }),
+      ...(type && { type }),
+      ...(moveOutId && { moveOutId }),
+      ...((from || to) && { transactionDate })
+    };
+
+    if (propertyId) {
+      if (!(await checkDepositPermission(req.user.id, req.user.role, propertyId, 'view'))) {
+        throw httpError(403, null);
+      }
+      where.propertyId = propertyId;
+    }
+
+    const take = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [transactions, total] = await Promise.all([
+      prisma.depositTransaction.findMany({
+        where,
+        include: depositTransactionInclude,
+        orderBy: [{ transactionDate: 'desc' }, { createdAt: 'desc' }],
+        skip,
+        take
+      }),
+      prisma.depositTransaction.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: transactions,
+      pagination: {
+        page: parseInt(page) || 1,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get deposit transactions', 'view');
+  }
+};
+
+// @desc    Get a deposit movement
+// @route   GET /api/deposits/transactions/:id
+// @access  Private (ADMIN, MANAGER, USER with VIEW_TENANTS)
+export const getDepositTransactionById = async (req, res) => {
+  try {
+    const transaction = await prisma.depositTransaction.findUnique({
+      where: { id: req.params.id },
+      include: depositTransactionInclude
+    });
+
+    if (!transaction) {
+      return res.status(404).json({ success: false, message: 'Deposit transaction not found' });
+    }
+
+    if (!(await checkDepositPermission(req.user.id, req.user.role, transaction.propertyId, 'view'))) {
+      throw httpError(403, null);
+    }
+
+    res.json({ success: true, data: transaction });
+  } catch (error) {
+    handleError(res, error, 'Get deposit transaction', 'view');
+  }
+};
+
+// @desc    Download the receipt for a deposit movement
+// @route   GET /api/deposits/transactions/:id/download
+// @access  Private (ADMIN, MANAGER, USER with VIEW_TENANTS)
+export const downloadDepositReceipt = async (req, res) => {
+  try {
+    const transaction = await prisma.depositTransaction.findUnique({
+      where: { id: req.params.id },
+      include: depositTransactionInclude
+    });
+
+    if (!transaction) {
+      return res.status(404).json({ success: false, message: 'Deposit transaction not found' });
+    }
+
+    if (!(await checkDepositPermission(req.user.id, req.user.role, transaction.propertyId, 'view'))) {
+      throw httpError(403, null);
+    }
+
+    const pdfBuffer = await generateDepositReceiptPDF(transaction);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${transaction.receiptNumber}.pdf"`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    handleError(res, error, 'Download deposit receipt', 'view');
+  }
+};
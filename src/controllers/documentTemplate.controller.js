@@ -0,0 +1,251 @@
+import prisma from "../lib/prisma.js";
+import { generatePDF } from "../utils/pdfGenerator.js";
+import { DOCUMENT_TEMPLATES, getDocumentDefinition, getDefaultTemplateBody } from "../template/documentTemplates.js";
+import {
+  TEMPLATE_SCOPES,
+  createTemplateVersion,
+  activateTemplateVersion,
+  deactivateTemplateVersion,
+  previewTemplate as renderPreview
+} from "../services/templateService.js";
+
+const handleError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, message: `Failed to ${label.toLowerCase()}`, error: error.message });
+};
+
+// Version lists leave out the body, which can be large
+const versionSelect = {
+  id: true,
+  key: true,
+  scope: true,
+  propertyId: true,
+  landlordId: true,
+  version: true,
+  notes: true,
+  isActive: true,
+  activatedAt: true,
+  createdAt: true,
+  property: { select: { id: true, name: true } },
+  landlord: { select: { id: true, name: true } },
+  createdBy: { select: { id: true, name: true, email: true } }
+};
+
+// ======================================================
+// DOCUMENT TYPES
+// ======================================================
+
+// @desc    List document types with the number of active overrides of each
+// @route   GET /api/document-templates/types
+// @access  Private (Admin, Manager)
+export const getDocumentTypes = async (req, res) => {
+  try {
+    const active = await prisma.documentTemplate.groupBy({
+      by: ['key', 'scope'],
+      where: { isActive: true },
+      _count: { _all: true }
+    });
+
+    const data = DOCUMENT_TEMPLATES.map(({ key, name, description }) => {
+      const counts = Object.fromEntries(TEMPLATE_SCOPES.map(scope => [scope, 0]));
+      active
+        .filter(row => row.key === key)
+        .forEach(row => { counts[row.scope] = row._count._all; });
+
+      return { key, name, description, activeOverrides: counts };
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    handleError(res, error, 'Get document types');
+  }
+};
+
+// @desc    Built-in template of a document type, with the sample data it is previewed against
+// @route   GET /api/document-templates/types/:key/default
+// @access  Private (Admin, Manager)
+export const getDefaultTemplate = async (req, res) => {
+  try {
+    const definition = getDocumentDefinition(req.params.key);
+    if (!definition) {
+      return res.status(404).json({ success: false, message: 'Unknown document type' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        key: definition.key,
+        name: definition.name,
+        body: getDefaultTemplateBody(definition.key),
+        sampleData: definition.sampleData
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get default template');
+  }
+};
+
+// ======================================================
+// TEMPLATE VERSIONS
+// ======================================================
+
+// @desc    List template versions
+// @route   GET /api/document-templates?key=&scope=&propertyId=&landlordId=&isActive=&page=&limit=
+// @access  Private (Admin, Manager)
+export const getTemplates = async (req, res) => {
+  try {
+    const { key, scope, propertyId, landlordId, isActive, page = 1, limit = 20 } = req.query;
+
+    if (scope && !TEMPLATE_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scope. Must be one of: ${TEMPLATE_SCOPES.join(', ')}`
+      });
+    }
+
+    const where = {
+      ...(key && { key }),
+      ...(scope && { scope }),
+      ...(propertyId && { propertyId }),
+      ...(landlordId && { landlordId }),
+      ...(isActive !== undefined && { isActive: isActive === 'true' })
+    };
+
+    const take = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [templates, total] = await Promise.all([
+      prisma.documentTemplate.findMany({
+        where,
+        select: versionSelect,
+        orderBy: [{ key: 'asc' }, { scopeKey: 'asc' }, { version: 'desc' }],
+        skip,
+        take
+      }),
+      prisma.documentTemplate.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: templates,
+      pagination: {
+        page: parseInt(page) || 1,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get templates');
+  }
+};
+
+// @desc    Get one template version with its body
+// @route   GET /api/document-templates/:id
+// @access  Private (Admin, Manager)
+export const getTemplate = async (req, res) => {
+  try {
+    const template = await prisma.documentTemplate.findUnique({
+      where: { id: req.params.id },
+      select: { ...versionSelect, body: true }
+    });
+
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Template not found' });
+    }
+
+    res.json({ success: true, data: template });
+  } catch (error) {
+    handleError(res, error, 'Get template');
+  }
+};
+
+// @desc    Save a new template version (checked against the sample data first)
+// @route   POST /api/document-templates
+// @access  Private (Admin only)
+export const createTemplate = async (req, res) => {
+  try {
+    const { key, scope, propertyId, landlordId, body, notes, activate } = req.body;
+
+    const template = await createTemplateVersion({
+      key,
+      scope,
+      propertyId,
+      landlordId,
+      body,
+      notes,
+      activate: activate === true || activate === 'true',
+      createdById: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template,
+      message: template.isActive
+        ? `Version ${template.version} saved and activated`
+        : `Version ${template.version} saved`
+    });
+  } catch (error) {
+    handleError(res, error, 'Create template');
+  }
+};
+
+// @desc    Use this version for its document type and scope
+// @route   POST /api/document-templates/:id/activate
+// @access  Private (Admin only)
+export const activateTemplate = async (req, res) => {
+  try {
+    const template = await activateTemplateVersion(req.params.id);
+
+    res.json({ success: true, data: template, message: `Version ${template.version} activated` });
+  } catch (error) {
+    handleError(res, error, 'Activate template');
+  }
+};
+
+// @desc    Stop using this version; documents fall back to the next template up
+// @route   POST /api/document-templates/:id/deactivate
+// @access  Private (Admin only)
+export const deactivateTemplate = async (req, res) => {
+  try {
+    const template = await deactivateTemplateVersion(req.params.id);
+
+    res.json({ success: true, data: template, message: `Version ${template.version} deactivated` });
+  } catch (error) {
+    handleError(res, error, 'Deactivate template');
+  }
+};
+
+// ======================================================
+// PREVIEW
+// ======================================================
+
+// @desc    Render a draft body, a saved version or the template in use against sample data
+// @route   POST /api/document-templates/preview?format=html|pdf
+// @access  Private (Admin, Manager)
+export const previewTemplate = async (req, res) => {
+  try {
+    const { key, body, templateId, propertyId, landlordId, data } = req.body;
+
+    if (!key) {
+      return res.status(400).json({ success: false, message: 'key is required' });
+    }
+
+    const preview = await renderPreview({ key, body, templateId, propertyId, landlordId, data });
+
+    if (req.query.format === 'pdf') {
+      // Draft bodies and saved versions are user-written HTML
+      const pdfBuffer = await generatePDF(preview.html, preview.pdfOptions, { isolated: true });
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${key}-preview.pdf"`);
+      return res.send(pdfBuffer);
+    }
+
+    res.json({ success: true, data: { html: preview.html, source: preview.source } });
+  } catch (error) {
+    handleError(res, error, 'Preview template');
+  }
+};
@@ -0,0 +1,314 @@
+import prisma from "../lib/prisma.js";
+import permissionService from "../services/permissionService.js";
+import { getOutstandingLateFees } from "../services/lateFeeService.js";
+import { runDunning as runDunningSteps, validateDunningSteps, daysPastDue } from "../services/dunningService.js";
+import { httpError } from "../utils/httpError.js";
+
+const VALID_DUNNING_STAGES = ['REMINDER', 'DEMAND_LETTER', 'ESCALATION'];
+
+const dunningActionInclude = {
+  tenant: { select: { id: true, fullName: true, unit: { select: { unitNo: true } } } },
+  property: { select: { id: true, name: true } },
+  invoice: { select: { id: true, invoiceNumber: true, paymentPeriod: true, status: true, balance: true } },
+  demandLetter: { select: { id: true, letterNumber: true, status: true, documentUrl: true } }
+};
+
+// Required non-negative whole number of days (falls back to the current value when omitted)
+const parseDays = (value, field, current) => {
+  if (value === undefined || value === null || value === '') return current;
+  const days = parseInt(value);
+  if (isNaN(days) || days < 0) {
+    throw httpError(400, `${field} must be a non-negative number`);
+  }
+  return days;
+};
+
+// ======================================================
+// PERMISSION HELPER FUNCTIONS
+// ======================================================
+
+// Dunning issues demand letters automatically, so it follows the demand letter
+// permissions (view to read, autoGenerate for policies)
+const checkDunningPermission = async (userId, userRole, propertyId, operation) => {
+  if (userRole === 'ADMIN') {
+    return true;
+  }
+
+  if (userRole === 'MANAGER') {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { managerId: true }
+    });
+    return property?.managerId === userId;
+  }
+
+  return permissionService.checkPermission(userId, 'demandLetter', operation, propertyId);
+};
+
+// Property filter for dunning listings
+const getDunningPropertyScope = async (userId, userRole) => {
+  if (userRole === 'ADMIN') {
+    return {};
+  }
+
+  if (userRole === 'MANAGER') {
+    return { property: { managerId: userId } };
+  }
+
+  const accessiblePropertyIds = await permissionService.getAccessiblePropertyIds(userId, userRole);
+  const propertiesWithPermission = [];
+  for (const propertyId of accessiblePropertyIds) {
+    if (await permissionService.checkPermission(userId, 'demandLetter', 'view', propertyId)) {
+      propertiesWithPermission.push(propertyId);
+    }
+  }
+
+  return { propertyId: { in: propertiesWithPermission } };
+};
+
+const handleError = (res, error, label, operation = 'autoGenerate') => {
+  if (error.statusCode === 403) {
+    return res.status(403).json({
+      success: false,
+      message: operation === 'autoGenerate'
+        ? 'You do not have permission to manage dunning for this property'
+        : 'You do not have permission to view dunning for this property',
+      requiredPermission: operation === 'autoGenerate' ? 'AUTO_GENERATE_DEMAND_LETTER' : 'VIEW_DEMAND_LETTERS'
+    });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, message: `Failed to ${label.toLowerCase()}`, error: error.message });
+};
+
+// ======================================================
+// DUNNING POLICIES
+// ======================================================
+
+// @desc    Get a property's dunning policy
+// @route   GET /api/dunning/policies/:propertyId
+// @access  Private (ADMIN, MANAGER, USER with VIEW_DEMAND_LETTERS)
+export const getDunningPolicy = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+
+    if (!(await checkDunningPermission(req.user.id, req.user.role, propertyId, 'view'))) {
+      throw httpError(403, null);
+    }
+
+    const policy = await prisma.dunningPolicy.findUnique({ where: { propertyId } });
+
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    handleError(res, error, 'Get dunning policy', 'view');
+  }
+};
+
+// @desc    Create or update a property's dunning policy
+// @route   PUT /api/dunning/policies/:propertyId
+// @access  Private (ADMIN, MANAGER, USER with AUTO_GENERATE_DEMAND_LETTER)
+export const upsertDunningPolicy = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+    const { isActive, reminderAfterDays, demandLetterAfterDays, escalateAfterDays, demandPeriod } = req.body;
+
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { id: true, dunningPolicy: true }
+    });
+
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+
+    if (!(await checkDunningPermission(req.user.id, req.user.role, propertyId, 'autoGenerate'))) {
+      throw httpError(403, null);
+    }
+
+    const current = property.dunningPolicy;
+    const data = {
+      reminderAfterDays: parseDays(reminderAfterDays, 'reminderAfterDays', current?.reminderAfterDays ?? 3),
+      demandLetterAfterDays: parseDays(demandLetterAfterDays, 'demandLetterAfterDays', current?.demandLetterAfterDays ?? 14),
+      escalateAfterDays: parseDays(escalateAfterDays, 'escalateAfterDays', current?.escalateAfterDays ?? 30)
+    };
+    validateDunningSteps(data);
+
+    if (demandPeriod !== undefined) {
+      const period = String(demandPeriod).trim();
+      if (!period) {
+        return res.status(400).json({ success: false, message: 'demandPeriod cannot be empty' });
+      }
+      data.demandPeriod = period;
+    }
+    if (isActive !== undefined) data.isActive = Boolean(isActive);
+
+    const policy = await prisma.dunningPolicy.upsert({
+      where: { propertyId },
+      create: { propertyId, ...data },
+      update: data
+    });
+
+    res.json({ success: true, data: policy, message: 'Dunning policy saved' });
+  } catch (error) {
+    handleError(res, error, 'Save dunning policy');
+  }
+};
+
+// ======================================================
+// DUNNING ACTIONS
+// ======================================================
+
+// @desc    List dunning steps taken (reminders, demand letters, escalations)
+// @route   GET /api/dunning/actions?tenantId=&propertyId=&invoiceId=&stage=&page=&limit=
+// @access  Private (ADMIN, MANAGER, USER with VIEW_DEMAND_LETTERS)
+export const getDunningActions = async (req, res) => {
+  try {
+    const { tenantId, propertyId, invoiceId, stage, page = 1, limit = 20 } = req.query;
+
+    if (stage && !VALID_DUNNING_STAGES.includes(stage)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid stage. Must be one of: ${VALID_DUNNING_STAGES.join(', ')}`
+      });
+    }
+
+    const where = {
+      ...(await getDunningPropertyScope(req.user.id, req.user.role)),
+      ...(tenantId && { tenantId }),
+      ...(invoiceId && { invoiceId }),
+      ...(stage && { stage })
+    };
+
+    if (propertyId) {
+      if (!(await checkDunningPermission(req.user.id, req.user.role, propertyId, 'view'))) {
+        throw httpError(403, null);
+      }
+      where.propertyId = propertyId;
+    }
+
+    const take = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [actions, total] = await Promise.all([
+      prisma.dunningAction.findMany({
+        where,
+        include: dunningActionInclude,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.dunningAction.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: actions,
+      pagination: {
+        page: parseInt(page) || 1,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get dunning actions', 'view');
+  }
+};
+
+// @desc    Escalation list for legal hand-off: escalated demand letters still unpaid
+// @route   GET /api/dunning/escalations?propertyId=
+// @access  Private (ADMIN, MANAGER, USER with VIEW_DEMAND_LETTERS)
+export const getEscalations = async (req, res) => {
+  try {
+    const { propertyId } = req.query;
+
+    const where = {
+      ...(await getDunningPropertyScope(req.user.id, req.user.role)),
+      status: 'ESCALATED'
+    };
+
+    if (propertyId) {
+      if (!(await checkDunningPermission(req.user.id, req.user.role, propertyId, 'view'))) {
+        throw httpError(403, null);
+      }
+      where.propertyId = propertyId;
+    }
+
+    const letters = await prisma.demandLetter.findMany({
+      where,
+      include: {
+        tenant: { select: { id: true, fullName: true, contact: true, email: true, POBox: true, KRAPin: true } },
+        property: { select: { id: true, name: true, address: true, lrNumber: true } },
+        landlord: { select: { id: true, name: true, phone: true, email: true } },
+        unit: { select: { unitNo: true } },
+        invoice: { select: { id: true, invoiceNumber: true, paymentPeriod: true, totalDue: true, amountPaid: true, balance: true, dueDate: true, status: true } },
+        dunningActions: { select: { stage: true, createdAt: true, sentTo: true, delivered: true }, orderBy: { createdAt: 'asc' } }
+      },
+      orderBy: { escalatedAt: 'asc' }
+    });
+
+    const today = new Date();
+    const escalations = [];
+    for (const letter of letters) {
+      // Current arrears: what is left on the invoice plus unpaid late fees
+      const lateFees = await getOutstandingLateFees(letter.tenantId);
+      const rentBalance = letter.invoice ? letter.invoice.balance : letter.outstandingAmount;
+      const penaltyBalance = Math.round(lateFees.reduce((sum, fee) => sum + fee.balance, 0) * 100) / 100;
+
+      escalations.push({
+        demandLetterId: letter.id,
+        letterNumber: letter.letterNumber,
+        documentUrl: letter.documentUrl,
+        issueDate: letter.issueDate,
+        sentAt: letter.sentAt,
+        sentTo: letter.sentTo,
+        escalatedAt: letter.escalatedAt,
+        tenant: letter.tenant,
+        unitNo: letter.unit?.unitNo || null,
+        property: letter.property,
+        landlord: letter.landlord,
+        invoice: letter.invoice,
+        daysOverdue: daysPastDue(letter.invoice?.dueDate || letter.dueDate, today),
+        rentBalance,
+        penaltyBalance,
+        totalOutstanding: Math.round((rentBalance + penaltyBalance) * 100) / 100,
+        history: letter.dunningActions
+      });
+    }
+
+    res.json({
+      success: true,
+      data: escalations,
+      totals: {
+        count: escalations.length,
+        outstanding: Math.round(escalations.reduce((sum, e) => sum + e.totalOutstanding, 0) * 100) / 100
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get escalations', 'view');
+  }
+};
+
+// @desc    Run the dunning job now (normally nightly)
+// @route   POST /api/dunning/run
+// @access  Private (ADMIN only)
+export const runDunning = async (req, res) => {
+  try {
+    const asOf = req.body.asOf ? new Date(req.body.asOf) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid asOf date' });
+    }
+
+    const result = await runDunningSteps(asOf);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.reminders} reminder(s), ${result.demandLetters} demand letter(s), ${result.escalations} escalation(s)`
+    });
+  } catch (error) {
+    handleError(res, error, 'Run dunning');
+  }
+};
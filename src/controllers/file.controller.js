@@ -0,0 +1,44 @@
+import { createSignedUrl, STAFF_DOWNLOAD_ROUTES } from "../services/signedUrlService.js";
+import { canAccessUpload } from "../services/uploadAccessService.js";
+
+// ======================================================
+// DOWNLOAD LINKS
+// ======================================================
+
+// @desc    Short-lived link for opening a document in a new tab, where no
+//          Authorization header can be sent. `path` is an API download route
+//          (e.g. /api/invoices/<id>/download) or a stored /uploads/... file.
+//          The link only opens that path, only for this session, and the
+//          route still checks the user's permissions when it is opened.
+//          Links to stored files are only given to users who may open them.
+// @route   POST /api/files/signed-url
+// @access  Private
+export const createDownloadLink = async (req, res) => {
+  try {
+    const { path } = req.body;
+
+    if (typeof path === 'string' && path.startsWith('/uploads/')) {
+      const fileUrl = decodeURIComponent(new URL(path, 'http://localhost').pathname);
+      if (!(await canAccessUpload(req.user, fileUrl))) {
+        return res.status(403).json({ success: false, message: "You don't have access to this file" });
+      }
+    }
+
+    const data = createSignedUrl(
+      path,
+      `user:${req.user.id}:${req.sessionId}`,
+      STAFF_DOWNLOAD_ROUTES
+    );
+
+    res.json({ success: true, data });
+  } catch (error) {
+    if (error instanceof URIError) {
+      return res.status(400).json({ success: false, message: 'Invalid file path' });
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Create download link error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create download link' });
+  }
+};
@@ -1,18 +1,19 @@
 import prisma from '../lib/prisma.js';
-import PDFDocument from 'pdfkit';
 import { uploadToStorage } from '../utils/storage.js';
 import { generateInvoiceNumber } from '../utils/invoiceHelpers.js';
 import fs from 'fs';
 import path from 'path';
 import { existsSync } from 'fs';
-import { fileURLToPath } from 'url';
-import sizeOf from 'image-size';
 import { addBillingPeriod, calculateChargeByPolicy, calculateEscalatedRent } from '../services/rentCalculation.js';
 import permissionService from "../services/permissionService.js";
-
-// Create __dirname equivalent for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { postInvoiceCharge } from '../services/ledgerService.js';
+import { settlePaidDemandLetters } from '../services/dunningService.js';
+import { queueEmail, deliverySummary } from '../services/notificationService.js';
+import { invoiceEmail } from '../utils/emailService.js';
+import { smsInvoiceIssued } from '../services/tenantSmsService.js';
+import { enqueueJob, jobSummary, permanentJobError } from '../services/jobQueue.js';
+import { renderDocumentPdf } from '../services/templateService.js';
+import { creditInvoice as issueInvoiceCredit, voidInvoice as voidInvoiceRecord } from '../services/creditNoteService.js';
 
 // ======================================================
 // PERMISSION HELPER FUNCTIONS
@@ -192,26 +193,6 @@ function calculateInvoiceAmountsFromTenant(tenant, billingDate = new Date()) {
   };
 }
 
-// Helper function to delete file from storage
-async function deleteFromStorage(fileUrl) {
-  if (!fileUrl) return;
-  
-  try {
-    const filename = fileUrl.split('/').pop();
-    const filePath = path.join(process.cwd(), 'uploads', filename);
-    
-    // Use the imported existsSync
-    if (existsSync(filePath)) {
-      await fs.unlink(filePath);
-      console.log(`Deleted file: ${filename}`);
-    }
-    
-  } catch (error) {
-    console.error('Error deleting file from storage:', error);
-    throw error;
-  }
-}
-
 // @desc    Generate invoice for tenant
 // @route   POST /api/invoices/generate
 // @access  Private (requires CREATE_INVOICES permission)
@@ -281,52 +262,60 @@ export const generateInvoice = async (req, res) => {
     const calculated = calculateInvoiceAmountsFromTenant(tenant, billingDate);
     const amountPaid = roundMoney(paymentReport?.amountPaid || 0);
     const balance = roundMoney(calculated.totalDue - amountPaid);
-    const invoiceNumber = await generateInvoiceNumber();
+    const invoiceNumber = await generateInvoiceNumber({ propertyId });
     const paymentPeriod = buildPaymentPeriodLabel(billingDate, paymentPolicy);
 
-    const invoice = await prisma.invoice.create({
-      data: {
-        invoiceNumber,
-        tenantId,
-        paymentReportId: paymentReportId || null,
-        issueDate: new Date(),
-        dueDate: dueDate ? new Date(dueDate) : new Date(),
-        paymentPeriod,
-        rent: calculated.rent,
-        serviceCharge: calculated.serviceCharge,
-        vat: calculated.vat,
-        totalDue: calculated.totalDue,
-        amountPaid,
-        balance,
-        status: amountPaid >= calculated.totalDue ? 'PAID' : amountPaid > 0 ? 'PARTIAL' : 'UNPAID',
-        notes,
-        paymentPolicy
-      },
-      include: {
-        tenant: {
-          include: {
-            unit: {
-              include: {
-                property: true
+    const invoice = await prisma.$transaction(async (tx) => {
+      const created = await tx.invoice.create({
+        data: {
+          invoiceNumber,
+          tenantId,
+          paymentReportId: paymentReportId || null,
+          issueDate: new Date(),
+          dueDate: dueDate ? new Date(dueDate) : new Date(),
+          paymentPeriod,
+          rent: calculated.rent,
+          serviceCharge: calculated.serviceCharge,
+          vat: calculated.vat,
+          totalDue: calculated.totalDue,
+          amountPaid,
+          balance,
+          status: amountPaid >= calculated.totalDue ? 'PAID' : amountPaid > 0 ? 'PARTIAL' : 'UNPAID',
+          notes,
+          paymentPolicy
+        },
+        include: {
+          tenant: {
+            include: {
+              unit: {
+                include: {
+                  property: true
+                }
               }
             }
           }
         }
-      }
-    });
+      });
 
-    const pdfBuffer = await generateInvoicePDF(invoice, tenant);
-    const pdfUrl = await uploadToStorage(pdfBuffer, `${invoiceNumber}.pdf`);
+      // Post the charge to the general ledger alongside the invoice
+      await postInvoiceCharge(tx, created, {
+        propertyId,
+        prepaidAmount: amountPaid,
+        createdById: userId
+      });
 
-    const updatedInvoice = await prisma.invoice.update({
-      where: { id: invoice.id },
-      data: { pdfUrl }
+      return created;
     });
 
+    // The PDF is rendered by the worker; pdfUrl is set when the job completes
+    const pdfJob = await enqueueJob('invoice.pdf', { invoiceId: invoice.id }, { createdById: userId });
+
+    await smsInvoiceIssued(tenant, invoice, userId);
+
     res.status(201).json({
       success: true,
-      data: updatedInvoice,
-      message: 'Invoice generated successfully'
+      data: { ...invoice, pdfJob: jobSummary(pdfJob) },
+      message: 'Invoice generated successfully; the PDF is being prepared'
     });
   } catch (error) {
     console.error('Error generating invoice:', error);
@@ -590,7 +579,8 @@ export const getInvoiceById = async (req, res) => {
             }
           }
         },
-        paymentReport: true
+        paymentReport: true,
+        creditNotes: { orderBy: { issueDate: 'asc' } }
       }
     });
 
@@ -638,6 +628,13 @@ export const updateInvoiceStatus = async (req, res) => {
     const { id } = req.params;
     const { status, amountPaid } = req.body;
 
+    if (status === 'CANCELLED') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoices are cancelled by voiding them with a reason (POST /api/invoices/:id/void)'
+      });
+    }
+
     const invoice = await prisma.invoice.findUnique({
       where: { id },
       include: {
@@ -683,13 +680,19 @@ export const updateInvoiceStatus = async (req, res) => {
       }
     }
 
+    if (invoice.status === 'CANCELLED') {
+      return res.status(400).json({ success: false, message: 'A voided invoice cannot be changed' });
+    }
+
     const updateData = { status };
-    
+
     if (amountPaid !== undefined) {
+      // Credit notes already reduced what is owed
+      const payable = invoice.totalDue - invoice.creditedAmount;
       updateData.amountPaid = amountPaid;
-      updateData.balance = invoice.totalDue - amountPaid;
+      updateData.balance = payable - amountPaid;
       
-      if (amountPaid >= invoice.totalDue) {
+      if (amountPaid >= payable) {
         updateData.status = 'PAID';
       } else if (amountPaid > 0) {
         updateData.status = 'PARTIAL';
@@ -701,6 +704,10 @@ export const updateInvoiceStatus = async (req, res) => {
       data: updateData
     });
 
+    if (updatedInvoice.status === 'PAID') {
+      await settlePaidDemandLetters(updatedInvoice.tenantId);
+    }
+
     res.json({
       success: true,
       data: updatedInvoice,
@@ -764,7 +771,7 @@ export const downloadInvoice = async (req, res) => {
     }
 
     // Generate PDF if not exists or regenerate
-    const pdfBuffer = await generateInvoicePDF(invoice, invoice.tenant);
+    const pdfBuffer = await generateInvoicePDF(invoice);
 
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
@@ -775,6 +782,76 @@ export const downloadInvoice = async (req, res) => {
   }
 };
 
+// @desc    Email an invoice PDF to the tenant
+// @route   POST /api/invoices/:id/send
+// @access  Private (requires DOWNLOAD_INVOICES permission)
+export const sendInvoice = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { id } = req.params;
+    const { email } = req.body;
+
+    const invoice = await prisma.invoice.findUnique({
+      where: { id },
+      include: {
+        tenant: {
+          include: {
+            unit: {
+              include: {
+                property: true
+              }
+            }
+          }
+        }
+      }
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ success: false, message: 'Invoice not found' });
+    }
+
+    if (userRole !== 'ADMIN') {
+      const canAccess = await canAccessInvoice(userId, userRole, id);
+      if (!canAccess) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'You do not have permission to send this invoice' 
+        });
+      }
+      
+      const hasViewPermission = await permissionService.hasPermission(
+        userId, 
+        'DOWNLOAD_INVOICES'
+      );
+      
+      if (!hasViewPermission && userRole !== 'MANAGER') {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'You do not have permission to send invoices' 
+        });
+      }
+    }
+
+    const recipient = email || invoice.tenant.email;
+    if (!recipient) {
+      return res.status(400).json({ success: false, message: 'Tenant has no email address; provide one to send the invoice' });
+    }
+
+    // Rendering and sending happen in the worker; the job result holds the delivery details
+    const job = await enqueueJob('invoice.send', { invoiceId: id, to: recipient }, { createdById: userId });
+
+    res.status(202).json({
+      success: true,
+      data: jobSummary(job),
+      message: `Invoice queued for sending to ${recipient}`
+    });
+  } catch (error) {
+    console.error('Error sending invoice:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
 // @desc    Generate invoice for partial payment balance
 // @route   POST /api/invoices/generate-from-partial
 // @access  Private (requires CREATE_INVOICES permission)
@@ -867,7 +944,7 @@ export const generateInvoiceFromPartialPayment = async (req, res) => {
     const balance = paymentReport.arrears;
 
     // Generate unique invoice number
-    const invoiceNumber = await generateInvoiceNumber();
+    const invoiceNumber = await generateInvoiceNumber({ propertyId });
 
     // FIX: Convert paymentPeriod to a string
     // If paymentReport.paymentPeriod is a Date, format it to a readable string
@@ -884,7 +961,9 @@ export const generateInvoiceFromPartialPayment = async (req, res) => {
       paymentPeriod = buildPaymentPeriodLabel(new Date(), tenant.paymentPolicy || 'MONTHLY');
     }
 
-    // Create invoice record for the balance with paymentPolicy
+    // Create invoice record for the balance with paymentPolicy.
+    // No ledger posting here: the arrears are already carried in Rent Receivable
+    // by the original invoices this balance is re-billing.
     const invoice = await prisma.invoice.create({
       data: {
         invoiceNumber,
@@ -918,7 +997,7 @@ export const generateInvoiceFromPartialPayment = async (req, res) => {
     });
 
     // Generate PDF
-    const pdfBuffer = await generatePartialPaymentInvoicePDF(invoice, tenant, paymentReport);
+    const pdfBuffer = await generatePartialPaymentInvoicePDF(invoice, paymentReport);
     
     // Upload PDF to storage
     const pdfUrl = await uploadToStorage(pdfBuffer, `${invoiceNumber}.pdf`);
@@ -1160,301 +1239,126 @@ export const updateInvoicePaymentPolicy = async (req, res) => {
   }
 };
 
-// @desc    Delete invoice with all related data (comprehensive cleanup)
-// @route   DELETE /api/invoices/:id
+// @desc    Void an invoice that has no payments. It stays on record as
+//          CANCELLED, with a credit note for its balance and the reason.
+// @route   POST /api/invoices/:id/void (DELETE /api/invoices/:id does the same)
 // @access  Private (requires DELETE_INVOICES permission)
-export const deleteInvoice = async (req, res) => {
+export const voidInvoice = async (req, res) => {
   try {
     const userId = req.user.id;
     const userRole = req.user.role;
     const { id } = req.params;
-    const { 
-      deletePaymentReport = true,
-      deleteRelatedInvoices = true, 
-      deleteBillInvoices = true,
-      deleteIncome = true,
-      deleteCommissions = true,
-      cascadeDelete = true, 
-      force = false 
-    } = req.body;
-    
-    // Find invoice with comprehensive related data
+    const { reason } = req.body || {};
+
     const invoice = await prisma.invoice.findUnique({
       where: { id },
-      include: {
-        paymentReport: {
-          include: {
-            invoices: {
-              select: {
-                id: true,
-                invoiceNumber: true,
-                totalDue: true,
-                amountPaid: true,
-                balance: true,
-                status: true,
-                createdAt: true,
-                tenantId: true,
-                paymentPeriod: true,
-                paymentPolicy: true,
-                pdfUrl: true
-              }
-            },
-            billInvoices: true,
-            tenant: {
-              select: {
-                id: true,
-                fullName: true
-              }
-            }
-          }
-        },
-        tenant: {
-          select: {
-            id: true,
-            fullName: true,
-            unit: {
-              select: {
-                property: {
-                  select: { 
-                    id: true,
-                    name: true 
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
+      select: { id: true, tenant: { select: { unit: { select: { propertyId: true } } } } }
     });
-    
+
     if (!invoice) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Invoice not found' 
-      });
+      return res.status(404).json({ success: false, message: 'Invoice not found' });
     }
 
-    const propertyId = invoice.tenant?.unit?.property?.id;
-
-    // Check permission to delete invoice
+    // Check permission to void invoice
     if (userRole !== 'ADMIN') {
       const canAccess = await canAccessInvoice(userId, userRole, id);
       if (!canAccess) {
         return res.status(403).json({ 
           success: false, 
-          message: 'You do not have permission to delete this invoice' 
+          message: 'You do not have permission to void this invoice' 
         });
       }
       
       const hasDeletePermission = await permissionService.hasPermission(
         userId, 
         'DELETE_INVOICES', 
-        propertyId
+        invoice.tenant?.unit?.propertyId
       );
       
       if (!hasDeletePermission) {
         return res.status(403).json({ 
           success: false, 
-          message: 'You do not have permission to delete invoices' 
+          message: 'You do not have permission to void invoices' 
         });
       }
     }
-    
-    // Check age for safety
-    const invoiceAge = Date.now() - new Date(invoice.createdAt).getTime();
-    const maxAge = 60 * 24 * 60 * 60 * 1000; // 60 days
-    
-    if (!force && invoiceAge > maxAge && userRole !== 'ADMIN') {
-      return res.status(400).json({
-        success: false,
-        message: `Invoice is older than 60 days. Use force=true to delete.`,
-        ageInDays: Math.floor(invoiceAge / (24 * 60 * 60 * 1000))
-      });
+
+    const creditNote = await voidInvoiceRecord(id, { reason, createdById: userId });
+
+    res.json({
+      success: true,
+      data: creditNote,
+      message: `Invoice ${creditNote.invoice.invoiceNumber} voided with credit note ${creditNote.creditNoteNumber}`
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
     }
-    
-    const result = {
-      deletedInvoice: {
-        id: invoice.id,
-        invoiceNumber: invoice.invoiceNumber,
-        totalDue: invoice.totalDue,
-        amountPaid: invoice.amountPaid,
-        status: invoice.status
-      },
-      deletedRelatedInvoices: [],
-      deletedBillInvoices: [],
-      deletedPaymentReport: null,
-      deletedIncome: null,
-      deletedCommissions: [],
-      adjustedCreditBalance: false,
-      adjustedOverpayment: false,
-      deletedPdfs: 0,
-      cascadedDeletions: 0,
-      receiptDeleted: false,
-      unlinkedRecords: 0
-    };
-    
-    // Start transaction for comprehensive cleanup
-    await prisma.$transaction(async (tx) => {
-      // 1. Delete the main invoice PDF
-      if (invoice.pdfUrl) {
-        try {
-          const fileName = invoice.pdfUrl.split('/').pop();
-          const filePath = path.join(process.cwd(), 'uploads', 'invoices', fileName);
-          
-          if (existsSync(filePath)) {
-            await fs.promises.unlink(filePath);
-            result.deletedPdfs++;
-            console.log(`Deleted invoice PDF: ${filePath}`);
-          }
-        } catch (fileError) {
-          console.warn(`PDF delete failed for ${invoice.invoiceNumber}:`, fileError.message);
-        }
+    console.error('Error voiding invoice:', error);
+    res.status(500).json({ success: false, message: 'Failed to void invoice' });
+  }
+};
+
+// @desc    Issue a credit note reducing an invoice's unpaid balance
+// @route   POST /api/invoices/:id/credit-notes
+// @access  Private (requires EDIT_INVOICES permission)
+export const creditInvoice = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+
+    const invoice = await prisma.invoice.findUnique({
+      where: { id },
+      select: { id: true, tenant: { select: { unit: { select: { propertyId: true } } } } }
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ success: false, message: 'Invoice not found' });
+    }
+
+    // Check permission to credit invoice
+    if (userRole !== 'ADMIN') {
+      const canAccess = await canAccessInvoice(userId, userRole, id);
+      if (!canAccess) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'You do not have permission to credit this invoice' 
+        });
       }
       
-      // 2. Handle payment report and related data
-      if (invoice.paymentReportId && invoice.paymentReport && (deletePaymentReport || cascadeDelete)) {
-        const paymentReport = invoice.paymentReport;
-        
-        // 2a. Delete receipt PDF
-        if (paymentReport.receiptUrl) {
-          try {
-            await deleteFromStorage(paymentReport.receiptUrl);
-            result.deletedPdfs++;
-            result.receiptDeleted = true;
-          } catch (error) {
-            console.warn('Failed to delete receipt PDF:', error.message);
-          }
-        }
-        
-        // 2b. Delete related income records
-        if (deleteIncome || cascadeDelete) {
-          const incomeRecords = await tx.income.findMany({
-            where: { 
-              tenantId: invoice.tenantId,
-              createdAt: {
-                gte: new Date(invoice.createdAt.getTime() - 24 * 60 * 60 * 1000),
-                lte: new Date(invoice.createdAt.getTime() + 24 * 60 * 60 * 1000)
-              }
-            }
-          });
-          
-          if (incomeRecords.length > 0) {
-            let incomeToDelete = incomeRecords.find(inc => 
-              inc.amount === invoice.amountPaid || 
-              Math.abs(inc.amount - invoice.amountPaid) < 0.01
-            ) || incomeRecords[0];
-            
-            if (incomeToDelete) {
-              await tx.income.delete({
-                where: { id: incomeToDelete.id }
-              });
-              
-              result.deletedIncome = {
-                id: incomeToDelete.id,
-                amount: incomeToDelete.amount
-              };
-            }
-          }
-        }
-        
-        // 2c. Delete commission records
-        if (deleteCommissions || cascadeDelete) {
-          await tx.managerCommission.deleteMany({
-            where: {
-              OR: [
-                { notes: { contains: invoice.invoiceNumber } },
-                { notes: { contains: paymentReport.id } }
-              ]
-            }
-          });
-        }
-        
-        // 2d. Delete related bill invoices
-        if ((deleteBillInvoices || cascadeDelete) && paymentReport.billInvoices.length > 0) {
-          for (const billInvoice of paymentReport.billInvoices) {
-            if (billInvoice.pdfUrl) {
-              try {
-                const fileName = billInvoice.pdfUrl.split('/').pop();
-                const filePath = path.join(process.cwd(), 'uploads', fileName);
-                if (existsSync(filePath)) {
-                  await fs.promises.unlink(filePath);
-                  result.deletedPdfs++;
-                }
-              } catch (fileError) {
-                console.warn(`PDF delete failed for bill invoice:`, fileError.message);
-              }
-            }
-            
-            await tx.billInvoice.delete({
-              where: { id: billInvoice.id }
-            });
-            
-            result.deletedBillInvoices.push({
-              id: billInvoice.id,
-              invoiceNumber: billInvoice.invoiceNumber
-            });
-          }
-        }
-        
-        // 2e. Delete related invoices
-        if ((deleteRelatedInvoices || cascadeDelete) && paymentReport.invoices.length > 0) {
-          for (const relatedInvoice of paymentReport.invoices) {
-            if (relatedInvoice.id !== invoice.id) {
-              if (relatedInvoice.pdfUrl) {
-                try {
-                  const fileName = relatedInvoice.pdfUrl.split('/').pop();
-                  const filePath = path.join(process.cwd(), 'uploads', 'invoices', fileName);
-                  if (existsSync(filePath)) {
-                    await fs.promises.unlink(filePath);
-                    result.deletedPdfs++;
-                  }
-                } catch (fileError) {
-                  console.warn(`PDF delete failed for related invoice:`, fileError.message);
-                }
-              }
-              
-              await tx.invoice.delete({
-                where: { id: relatedInvoice.id }
-              });
-              
-              result.deletedRelatedInvoices.push({
-                id: relatedInvoice.id,
-                invoiceNumber: relatedInvoice.invoiceNumber
-              });
-            }
-          }
-        }
-        
-        // 2f. Delete payment report
-        await tx.paymentReport.delete({
-          where: { id: paymentReport.id }
+      const hasEditPermission = await permissionService.hasPermission(
+        userId, 
+        'EDIT_INVOICES', 
+        invoice.tenant?.unit?.propertyId
+      );
+      
+      if (!hasEditPermission) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'You do not have permission to credit invoices' 
         });
-        
-        result.deletedPaymentReport = {
-          id: paymentReport.id,
-          amountPaid: paymentReport.amountPaid,
-          status: paymentReport.status
-        };
       }
-      
-      // 3. Delete the main invoice
-      await tx.invoice.delete({
-        where: { id }
-      });
+    }
+
+    const creditNote = await issueInvoiceCredit(id, {
+      amount: parseFloat(amount),
+      reason,
+      createdById: userId
     });
-    
-    res.json({
+
+    res.status(201).json({
       success: true,
-      data: result,
-      message: `Invoice ${invoice.invoiceNumber} deleted successfully`
+      data: creditNote,
+      message: `Credit note ${creditNote.creditNoteNumber} issued against invoice ${creditNote.invoice.invoiceNumber}`
     });
-    
   } catch (error) {
-    console.error('Error in comprehensive invoice deletion:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: error.message || 'Failed to delete invoice' 
-    });
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error issuing credit note:', error);
+    res.status(500).json({ success: false, message: 'Failed to issue credit note' });
   }
 };
 
@@ -1554,372 +1458,96 @@ export const deleteInvoicePDF = async (req, res) => {
 };
 
 // ======================================================
-// PDF GENERATION FUNCTIONS
+// BACKGROUND JOBS
 // ======================================================
 
-// Helper function to generate Invoice PDF
-async function generateInvoicePDF(invoice, tenant) {
-  return new Promise((resolve, reject) => {
-    try {
-      const doc = new PDFDocument({ margin: 50, size: 'A4' });
-      const chunks = [];
-
-      doc.on('data', (chunk) => chunks.push(chunk));
-      doc.on('end', () => resolve(Buffer.concat(chunks)));
-      doc.on('error', reject);
-
-      // Letterhead image handling
-      const projectRoot = process.cwd();
-      const possiblePaths = [
-        path.join(projectRoot, 'src', 'letterHeads', 'letterhead.png'),
-        path.join(__dirname, 'letterHeads', 'letterhead.png'),
-        path.join(__dirname, '..', 'letterHeads', 'letterhead.png'),
-        path.join(__dirname, '..', 'src', 'letterHeads', 'letterhead.png'),
-      ];
-
-      let letterheadPath = null;
-      let imageLoaded = false;
-
-      for (const possiblePath of possiblePaths) {
-        if (fs.existsSync(possiblePath)) {
-          const stats = fs.statSync(possiblePath);
-          if (stats.size > 0) {
-            letterheadPath = possiblePath;
-            console.log(`✓ Letterhead found: ${possiblePath}`);
-            break;
-          }
-        }
-      }
-
-      if (letterheadPath) {
-        try {
-          const imageBuffer = fs.readFileSync(letterheadPath);
-          const dimensions = sizeOf(imageBuffer);
-          const maxWidth = doc.page.width - 100;
-          const scale = maxWidth / dimensions.width;
-          const scaledHeight = dimensions.height * scale;
-          const finalHeight = Math.min(scaledHeight, 120);
-          const finalWidth = finalHeight !== scaledHeight
-            ? (dimensions.width * finalHeight) / dimensions.height
-            : maxWidth;
-          const xPosition = 50 + (maxWidth - finalWidth) / 2;
-
-          doc.image(imageBuffer, xPosition, 30, { width: finalWidth });
-          doc.y = 30 + finalHeight + 20;
-          imageLoaded = true;
-        } catch (err) {
-          console.warn('✗ Letterhead failed to load:', err.message);
+const invoiceDocumentInclude = {
+  tenant: {
+    include: {
+      unit: {
+        include: {
+          property: true
         }
       }
+    }
+  }
+};
 
-      if (!imageLoaded) {
-        doc.y = 100;
-        doc.fontSize(20)
-          .fillColor('#1e293b')
-          .text('INTERPARK ENTERPRISES LIMITED', 50, 50, { align: 'center' });
-      }
-
-      doc.moveDown(2);
-      
-      doc.fontSize(28)
-        .fillColor('#1e293b')
-        .text('Pro Forma Invoice', { align: 'center' })
-        .moveDown(0.3);
-      
-      const propertyName = invoice.tenant.unit?.property?.name || 'N/A';
-      doc.fontSize(14)
-        .fillColor('#005478')
-        .font('Helvetica-Bold')
-        .text(propertyName, { align: 'center' })
-        .font('Helvetica')
-        .moveDown(1);
-
-      const topY = doc.y;
-      
-      doc.fontSize(12)
-        .fillColor('#1e293b')
-        .text('BILL TO:', 50, topY, { underline: true });
-
-      doc.fontSize(10)
-        .fillColor('#374151')
-        .text(invoice.tenant.fullName, 50, topY + 25)
-        .text(`Contact: ${invoice.tenant.contact}`, 50, topY + 40)
-        .text(`KRA Pin: ${tenant.KRAPin || 'N/A'}`, 50, topY + 55)
-        .text(`Unit: ${invoice.tenant.unit?.type || 'N/A'}`, 50, topY + 70);
-
-      const invoiceDetailsX = 300;
-      
-      doc.fontSize(10)
-        .fillColor('#1e293b')
-        .text(`Invoice Number: ${invoice.invoiceNumber}`, invoiceDetailsX, topY)
-        .text(`Issue Date: ${new Date(invoice.issueDate).toLocaleDateString('en-US')}`, invoiceDetailsX, topY + 15)
-        .text(`Due Date: ${new Date(invoice.dueDate).toLocaleDateString('en-US')}`, invoiceDetailsX, topY + 30)
-        .text(`Payment Period: ${invoice.paymentPeriod}`, invoiceDetailsX, topY + 45)
-        .text(`Payment Policy: ${toTitleCase(invoice.paymentPolicy)}`, invoiceDetailsX, topY + 60);
-
-      if (tenant.vatRate > 0 && tenant.vatType !== 'NOT_APPLICABLE') {
-        doc.text(`VAT Rate: ${tenant.vatRate}% (${tenant.vatType})`, invoiceDetailsX, topY + 75);
-      }
+/**
+ * Render an invoice PDF, store it and record its URL (invoice.pdf job)
+ * @param {string} invoiceId
+ * @returns {Promise<{ pdfUrl: string }>}
+ */
+export async function renderInvoicePdf(invoiceId) {
+  const invoice = await prisma.invoice.findUnique({
+    where: { id: invoiceId },
+    include: invoiceDocumentInclude
+  });
+  if (!invoice) {
+    throw permanentJobError(`Invoice ${invoiceId} not found`);
+  }
 
-      doc.moveDown(6);
-      const tableTop = doc.y;
-      const itemX = 50;
-      const descX = 200;
-      const amountX = 450;
-      const rowHeight = 25;
-
-      doc.rect(itemX, tableTop, 500, rowHeight).fill('#005478');
-      doc.fillColor('#fff')
-        .fontSize(11)
-        .text('Item', itemX + 10, tableTop + 8)
-        .text('Description', descX, tableTop + 8)
-        .text('Amount', amountX, tableTop + 8, { width: 80, align: 'right' });
-
-      let currentY = tableTop + rowHeight;
-      doc.fillColor('#1e293b')
-        .fontSize(10)
-        .text('Rent', itemX + 10, currentY + 8)
-        .text(`${toTitleCase(invoice.paymentPolicy)} rent for ${invoice.paymentPeriod}`, descX, currentY + 8)
-        .text(invoice.rent.toLocaleString('en-US', { minimumFractionDigits: 2 }), amountX, currentY + 8, { width: 80, align: 'right' });
-
-      currentY += rowHeight;
-
-      if (invoice.serviceCharge > 0) {
-        doc.text('Service Charge', itemX + 10, currentY + 8)
-          .text(`${toTitleCase(invoice.paymentPolicy)} service charge for ${invoice.paymentPeriod}`, descX, currentY + 8)
-          .text(invoice.serviceCharge.toLocaleString('en-US', { minimumFractionDigits: 2 }), amountX, currentY + 8, { width: 80, align: 'right' });
-        currentY += rowHeight;
-      }
+  const pdfBuffer = await generateInvoicePDF(invoice);
+  const pdfUrl = await uploadToStorage(pdfBuffer, `${invoice.invoiceNumber}.pdf`);
+  await prisma.invoice.update({ where: { id: invoiceId }, data: { pdfUrl } });
 
-      const subtotal = invoice.rent + (invoice.serviceCharge || 0);
-      doc.moveDown(1);
-      doc.text('Subtotal:', descX, currentY + 5)
-        .text(`Ksh ${subtotal.toLocaleString('en-US', { minimumFractionDigits: 2 })}`, amountX, currentY + 5, { width: 80, align: 'right' });
+  return { pdfUrl };
+}
 
-      if (invoice.vat > 0 && tenant.vatType !== 'NOT_APPLICABLE') {
-        currentY += 25;
-        doc.text(`VAT (${tenant.vatRate}%):`, descX, currentY)
-          .text(`Ksh ${invoice.vat.toLocaleString('en-US', { minimumFractionDigits: 2 })}`, amountX, currentY, { width: 80, align: 'right' });
-      }
+/**
+ * Email an invoice with a freshly rendered PDF, so the attachment matches
+ * the current balance (invoice.send job)
+ *
+ * @param {string} invoiceId
+ * @param {object} options - { to, createdById }
+ * @returns {Promise<object>} Delivery summary of the queued email
+ */
+export async function emailInvoice(invoiceId, { to, createdById = null }) {
+  const { pdfUrl } = await renderInvoicePdf(invoiceId);
+  const invoice = await prisma.invoice.findUnique({
+    where: { id: invoiceId },
+    include: invoiceDocumentInclude
+  });
 
-      currentY += 35;
-      doc.rect(itemX, currentY, 500, 35).fill('#f8fafc');
-      doc.fontSize(14)
-        .fillColor('#1e293b')
-        .text('TOTAL DUE:', descX, currentY + 10)
-        .fontSize(12)
-        .text(`Ksh ${invoice.totalDue.toLocaleString('en-US', { minimumFractionDigits: 2 })}`, amountX - 20, currentY + 10, { width: 100, align: 'right' });
-
-      const footerY = doc.page.height - 100;
-      doc.rect(50, footerY - 10, 500, 1).fill('#e5e7eb');
-      doc.fontSize(8)
-        .fillColor('#6b7280')
-        .text(
-          'Interpark Enterprises Limited | Tel: 0110 060 088 | Email: info@interparkenterprises.co.ke | Website: www.interparkenterprises.co.ke',
-          50, footerY, { align: 'center', width: 500 }
-        );
-
-      doc.end();
-    } catch (err) {
-      reject(err);
-    }
+  const message = await queueEmail({
+    to,
+    category: 'INVOICE',
+    ...invoiceEmail({
+      tenantName: invoice.tenant.fullName,
+      propertyName: invoice.tenant.unit?.property?.name || 'your unit',
+      invoiceNumber: invoice.invoiceNumber,
+      description: invoice.paymentPeriod,
+      amountDue: invoice.balance,
+      dueDate: invoice.dueDate
+    }),
+    attachments: [{ filename: `${invoice.invoiceNumber}.pdf`, path: pdfUrl }],
+    links: {
+      tenantId: invoice.tenantId,
+      propertyId: invoice.tenant.unit?.propertyId || null,
+      invoiceId: invoice.id
+    },
+    createdById
   });
-}
 
-// Helper function to generate PDF for partial payment balance invoice
-async function generatePartialPaymentInvoicePDF(invoice, tenant, paymentReport) {
-  return new Promise((resolve, reject) => {
-    try {
-      const doc = new PDFDocument({ margin: 50, size: 'A4' });
-      const chunks = [];
-
-      doc.on('data', (chunk) => chunks.push(chunk));
-      doc.on('end', () => resolve(Buffer.concat(chunks)));
-      doc.on('error', reject);
-
-      // Letterhead image handling
-      const projectRoot = process.cwd();
-      const possiblePaths = [
-        path.join(projectRoot, 'src', 'letterHeads', 'letterhead.png'),
-        path.join(__dirname, 'letterHeads', 'letterhead.png'),
-        path.join(__dirname, '..', 'letterHeads', 'letterhead.png'),
-        path.join(__dirname, '..', 'src', 'letterHeads', 'letterhead.png'),
-      ];
-
-      let letterheadPath = null;
-      let imageLoaded = false;
-
-      for (const possiblePath of possiblePaths) {
-        if (fs.existsSync(possiblePath)) {
-          const stats = fs.statSync(possiblePath);
-          if (stats.size > 0) {
-            letterheadPath = possiblePath;
-            break;
-          }
-        }
-      }
+  return deliverySummary(message);
+}
 
-      if (letterheadPath) {
-        try {
-          const imageBuffer = fs.readFileSync(letterheadPath);
-          const dimensions = sizeOf(imageBuffer);
-          const maxWidth = doc.page.width - 100;
-          const scale = maxWidth / dimensions.width;
-          const scaledHeight = dimensions.height * scale;
-          const finalHeight = Math.min(scaledHeight, 120);
-          const finalWidth = finalHeight !== scaledHeight
-            ? (dimensions.width * finalHeight) / dimensions.height
-            : maxWidth;
-          const xPosition = 50 + (maxWidth - finalWidth) / 2;
-
-          doc.image(imageBuffer, xPosition, 30, { width: finalWidth });
-          doc.y = 30 + finalHeight + 20;
-          imageLoaded = true;
-        } catch (err) {
-          console.warn('Letterhead failed to load:', err.message);
-        }
-      }
+// ======================================================
+// PDF GENERATION FUNCTIONS
+// ======================================================
 
-      if (!imageLoaded) {
-        doc.y = 100;
-      }
+// Template overrides are looked up by the tenant's property and its landlord
+const invoiceTemplateScope = (invoice) => ({
+  propertyId: invoice.tenant?.unit?.propertyId || null,
+  landlordId: invoice.tenant?.unit?.property?.landlordId || null
+});
 
-      doc.moveDown(2);
-      doc.fontSize(28)
-        .fillColor('#dc2626')
-        .text('BALANCE INVOICE', { align: 'center' })
-        .moveDown(0.3);
-      
-      const propertyName = invoice.tenant.unit?.property?.name || 'N/A';
-      doc.fontSize(14)
-        .fillColor('#dc2626')
-        .font('Helvetica-Bold')
-        .text(propertyName, { align: 'center' })
-        .font('Helvetica')
-        .moveDown(0.5);
-
-      const topY = doc.y;
-      
-      doc.fontSize(12)
-        .fillColor('#1e293b')
-        .text('BILL TO:', 50, topY, { underline: true });
-
-      doc.fontSize(10)
-        .fillColor('#374151')
-        .text(invoice.tenant.fullName, 50, topY + 25)
-        .text(`Contact: ${invoice.tenant.contact}`, 50, topY + 40)
-        .text(`KRA Pin: ${tenant.KRAPin || 'N/A'}`, 50, topY + 55)
-        .text(`Unit: ${invoice.tenant.unit?.type || 'N/A'}`, 50, topY + 70);
-
-      const invoiceDetailsX = 300;
-      
-      doc.fontSize(10)
-        .fillColor('#1e293b')
-        .text(`Invoice Number: ${invoice.invoiceNumber}`, invoiceDetailsX, topY)
-        .text(`Issue Date: ${new Date(invoice.issueDate).toLocaleDateString('en-US')}`, invoiceDetailsX, topY + 15)
-        .text(`Due Date: ${new Date(invoice.dueDate).toLocaleDateString('en-US')}`, invoiceDetailsX, topY + 30)
-        .text(`Original Payment Period: ${invoice.paymentPeriod}`, invoiceDetailsX, topY + 45)
-        .text(`Payment Policy: ${toTitleCase(invoice.paymentPolicy)}`, invoiceDetailsX, topY + 60);
-
-      const statusWidth = 100;
-      const statusX = invoiceDetailsX + 150;
-      doc.rect(statusX, topY, statusWidth, 25).fillAndStroke('#dc2626', '#dc2626');
-      doc.fillColor('#fff')
-        .fontSize(12)
-        .text('UNPAID', statusX, topY + 7, { width: statusWidth, align: 'center' });
-
-      doc.moveDown(6);
-      const alertY = doc.y;
-      doc.rect(50, alertY, 500, 50).fillAndStroke('#fef3c7', '#f59e0b');
-      doc.fontSize(10)
-        .fillColor('#92400e')
-        .text('⚠️  BALANCE INVOICE - OUTSTANDING PAYMENT', 60, alertY + 8, { bold: true })
-        .text('This invoice represents the outstanding balance from a partial payment.', 60, alertY + 23)
-        .text(`Original Payment Period: ${invoice.paymentPeriod}`, 60, alertY + 38);
-
-      doc.moveDown(3);
-      const summaryY = doc.y;
-      doc.fontSize(12)
-        .fillColor('#1e293b')
-        .text('PAYMENT SUMMARY', { underline: true })
-        .moveDown(0.5);
-
-      doc.rect(50, summaryY + 25, 500, 100).fillAndStroke('#f8fafc', '#e2e8f0');
-      const summaryContentY = summaryY + 45;
-      
-      doc.fontSize(11)
-        .fillColor('#374151')
-        .text('Original Total Due:', 70, summaryContentY)
-        .text(`Ksh ${paymentReport.totalDue.toLocaleString('en-US', { minimumFractionDigits: 2 })}`, 450, summaryContentY, { width: 80, align: 'right' });
-
-      doc.fillColor('#10b981')
-        .text('Amount Previously Paid:', 70, summaryContentY + 25)
-        .text(`Ksh ${paymentReport.amountPaid.toLocaleString('en-US', { minimumFractionDigits: 2 })}`, 450, summaryContentY + 25, { width: 80, align: 'right' });
-
-      doc.fillColor('#dc2626')
-        .fontSize(12)
-        .text('OUTSTANDING BALANCE:', 70, summaryContentY + 50, { bold: true })
-        .text(`Ksh ${paymentReport.arrears.toLocaleString('en-US', { minimumFractionDigits: 2 })}`, 450, summaryContentY + 50, { width: 80, align: 'right', bold: true });
-
-      doc.moveDown(5);
-      const tableTop = doc.y;
-      const itemX = 50;
-      const descX = 200;
-      const amountX = 450;
-      const rowHeight = 25;
-
-      doc.rect(itemX, tableTop, 500, rowHeight).fillAndStroke('#005478', '#005478');
-      doc.fillColor('#fff')
-        .fontSize(11)
-        .text('Item', itemX + 10, tableTop + 8)
-        .text('Description', descX, tableTop + 8)
-        .text('Amount (Ksh)', amountX, tableTop + 8, { width: 80, align: 'right' });
-
-      let currentY = tableTop + rowHeight;
-      doc.fillColor('#1e293b')
-        .fontSize(10)
-        .text('Balance Due', itemX + 10, currentY + 8)
-        .text(`Outstanding amount for ${invoice.paymentPeriod} (${invoice.paymentPolicy})`, descX, currentY + 8)
-        .text(`Ksh ${invoice.balance.toLocaleString('en-US', { minimumFractionDigits: 2 })}`, amountX, currentY + 8, { width: 80, align: 'right' });
-
-      currentY += rowHeight + 15;
-      doc.rect(itemX, currentY, 500, 40).fillAndStroke('#fee2e2', '#dc2626');
-      doc.fontSize(16)
-        .fillColor('#dc2626')
-        .text('TOTAL BALANCE DUE', descX, currentY + 12, { bold: true })
-        .text(`Ksh ${invoice.balance.toLocaleString('en-US', { minimumFractionDigits: 2 })}`, amountX - 10, currentY + 12, { width: 90, align: 'right', bold: true });
-
-      currentY += 60;
-      if (invoice.notes) {
-        doc.fontSize(10)
-          .fillColor('#374151')
-          .text('Notes:', 50, currentY)
-          .moveDown(0.3)
-          .text(invoice.notes, { width: 500, indent: 10 });
-        currentY = doc.y + 20;
-      }
+// Helper function to generate Invoice PDF
+async function generateInvoicePDF(invoice) {
+  return renderDocumentPdf('invoice', invoice, invoiceTemplateScope(invoice));
+}
 
-      doc.rect(50, currentY, 500, 40).fillAndStroke('#fef3c7', '#d97706');
-      doc.fontSize(11)
-        .fillColor('#92400e')
-        .text('⚠️  IMPORTANT NOTICE', 60, currentY + 8, { bold: true })
-        .text(`Please settle this ${invoice.paymentPolicy.toLowerCase()} outstanding balance by the due date to avoid additional charges.`, 60, currentY + 25, { width: 480 });
-
-      const footerY = doc.page.height - 100;
-      doc.rect(50, footerY - 10, 500, 1).fillAndStroke('#e5e7eb', '#e5e7eb');
-      doc.fontSize(9)
-        .fillColor('#6b7280')
-        .text('Thank you for your business!', 50, footerY, { align: 'center', width: 500 })
-        .moveDown(0.5)
-        .fontSize(8)
-        .text(
-          'Interpark Enterprises Limited | Tel: 0110 060 088 | Email: info@interparkenterprises.co.ke | Website: www.interparkenterprises.co.ke',
-          { align: 'center', width: 500 }
-        );
-
-      doc.end();
-    } catch (error) {
-      reject(error);
-    }
-  });
-}
\ No newline at end of file
+// Helper function to generate PDF for partial payment balance invoice
+async function generatePartialPaymentInvoicePDF(invoice, paymentReport) {
+  return renderDocumentPdf('balanceInvoice', { ...invoice, paymentReport }, invoiceTemplateScope(invoice));
+}
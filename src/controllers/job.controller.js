@@ -0,0 +1,156 @@
+import prisma from "../lib/prisma.js";
+import { getBatchSummary, retryJob as requeueJob, cancelJob as cancelQueuedJob } from "../services/jobQueue.js";
+
+const VALID_JOB_STATUSES = ['QUEUED', 'RUNNING', 'COMPLETED', 'FAILED', 'CANCELLED'];
+
+// Staff follow the jobs they started; admins see every job
+const getJobScope = (user) =>
+  user.role === 'ADMIN' ? {} : { createdById: user.id };
+
+const handleError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, message: `Failed to ${label.toLowerCase()}`, error: error.message });
+};
+
+// Load a job the user may see, or null
+const findScopedJob = (id, user) =>
+  prisma.job.findFirst({ where: { id, ...getJobScope(user) }, select: { id: true } });
+
+// ======================================================
+// JOBS
+// ======================================================
+
+// @desc    List background jobs (PDF generation, document emails)
+// @route   GET /api/jobs?status=&type=&batchId=&page=&limit=
+// @access  Private
+export const getJobs = async (req, res) => {
+  try {
+    const { status, type, batchId, page = 1, limit = 20 } = req.query;
+
+    if (status && !VALID_JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${VALID_JOB_STATUSES.join(', ')}`
+      });
+    }
+
+    const where = {
+      ...getJobScope(req.user),
+      ...(status && { status }),
+      ...(type && { type }),
+      ...(batchId && { batchId })
+    };
+
+    const take = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [jobs, total] = await Promise.all([
+      prisma.job.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.job.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: jobs,
+      pagination: {
+        page: parseInt(page) || 1,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get jobs');
+  }
+};
+
+// @desc    Progress of a batch (e.g. batch demand letters): counts per status
+// @route   GET /api/jobs/batches/:batchId
+// @access  Private
+export const getBatch = async (req, res) => {
+  try {
+    const summary = await getBatchSummary(req.params.batchId, getJobScope(req.user));
+
+    if (!summary) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+
+    // Failures are listed so they can be fixed and retried
+    const failed = summary.FAILED > 0
+      ? await prisma.job.findMany({
+          where: { batchId: req.params.batchId, status: 'FAILED', ...getJobScope(req.user) },
+          select: { id: true, payload: true, error: true, attempts: true, completedAt: true }
+        })
+      : [];
+
+    res.json({ success: true, data: { ...summary, failedJobs: failed } });
+  } catch (error) {
+    handleError(res, error, 'Get batch');
+  }
+};
+
+// @desc    Get one job with its result or error
+// @route   GET /api/jobs/:id
+// @access  Private
+export const getJob = async (req, res) => {
+  try {
+    const job = await prisma.job.findFirst({
+      where: { id: req.params.id, ...getJobScope(req.user) },
+      include: {
+        createdBy: { select: { id: true, name: true, email: true } }
+      }
+    });
+
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    res.json({ success: true, data: job });
+  } catch (error) {
+    handleError(res, error, 'Get job');
+  }
+};
+
+// @desc    Run a failed or cancelled job again
+// @route   POST /api/jobs/:id/retry
+// @access  Private
+export const retryJob = async (req, res) => {
+  try {
+    const existing = await findScopedJob(req.params.id, req.user);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    const job = await requeueJob(existing.id);
+
+    res.status(202).json({ success: true, data: job, message: 'Job queued again' });
+  } catch (error) {
+    handleError(res, error, 'Retry job');
+  }
+};
+
+// @desc    Cancel a job that has not started yet
+// @route   POST /api/jobs/:id/cancel
+// @access  Private
+export const cancelJob = async (req, res) => {
+  try {
+    const existing = await findScopedJob(req.params.id, req.user);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    const job = await cancelQueuedJob(existing.id);
+
+    res.json({ success: true, data: job, message: 'Job cancelled' });
+  } catch (error) {
+    handleError(res, error, 'Cancel job');
+  }
+};
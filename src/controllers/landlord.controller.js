@@ -1,5 +1,7 @@
 import prisma from "../lib/prisma.js";
 import permissionService from "../services/permissionService.js";
+import { hashPassword } from '../utils/hashPassword.js';
+import { generateSecurePassword, sendWelcomeEmail } from '../utils/emailService.js';
 
 // Helper function to check landlord permissions
 const checkLandlordPermission = async (userId, userRole, landlordId, operation) => {
@@ -583,4 +585,136 @@ export const deleteLandlord = async (req, res) => {
       message: error.message 
     });
   }
-};
\ No newline at end of file
+};
+
+// ======================================================
+// LANDLORD PORTAL ACCESS
+// ======================================================
+
+// @desc    Enable landlord portal access, or reset the portal password
+// @route   POST /api/landlords/:id/portal-access
+// @access  Private (ADMIN, MANAGER)
+export const enableLandlordPortalAccess = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { id } = req.params;
+
+    const landlord = await prisma.landlord.findUnique({ where: { id } });
+
+    if (!landlord) {
+      return res.status(404).json({ success: false, message: 'Landlord not found' });
+    }
+
+    if (!(await checkLandlordWriteAccess(userId, userRole, id, 'edit'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to manage portal access for this landlord.'
+      });
+    }
+
+    const existing = await prisma.landlordAccount.findUnique({ where: { landlordId: id } });
+
+    // Login email defaults to the landlord's email and can be overridden
+    const email = (req.body.email || existing?.email || landlord.email || '').trim().toLowerCase();
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'An email address is required for portal access. Add one to the landlord or pass email.'
+      });
+    }
+
+    const emailTaken = await prisma.landlordAccount.findFirst({
+      where: { email, landlordId: { not: id } }
+    });
+    if (emailTaken) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email is already used by another landlord portal account'
+      });
+    }
+
+    const tempPassword = generateSecurePassword();
+    const hashedPassword = await hashPassword(tempPassword);
+
+    // Resetting also revokes existing portal sessions (passwordChangedAt > token iat)
+    const account = await prisma.landlordAccount.upsert({
+      where: { landlordId: id },
+      create: {
+        landlordId: id,
+        email,
+        password: hashedPassword,
+        mustChangePassword: true,
+        isActive: true,
+        passwordChangedAt: new Date(),
+        createdById: userId
+      },
+      update: {
+        email,
+        password: hashedPassword,
+        mustChangePassword: true,
+        isActive: true,
+        passwordChangedAt: new Date()
+      },
+      select: {
+        id: true,
+        landlordId: true,
+        email: true,
+        isActive: true,
+        mustChangePassword: true,
+        lastLoginAt: true,
+        createdAt: true
+      }
+    });
+
+    sendWelcomeEmail({
+      email,
+      name: landlord.name,
+      temporaryPassword: tempPassword,
+      role: 'LANDLORD',
+      loginUrl: `${process.env.FRONTEND_URL}/landlord-portal/login`,
+      createdBy: req.user.name || req.user.email
+    }).catch(err => console.error('Landlord portal welcome email failed:', err.message));
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      data: account,
+      message: existing
+        ? 'Landlord portal password reset successfully'
+        : 'Landlord portal access enabled successfully'
+    });
+  } catch (error) {
+    console.error('Enable landlord portal access error:', error);
+    res.status(500).json({ success: false, message: 'Failed to enable landlord portal access', error: error.message });
+  }
+};
+
+// @desc    Disable landlord portal access
+// @route   DELETE /api/landlords/:id/portal-access
+// @access  Private (ADMIN, MANAGER)
+export const disableLandlordPortalAccess = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await checkLandlordWriteAccess(req.user.id, req.user.role, id, 'edit'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to manage portal access for this landlord.'
+      });
+    }
+
+    const result = await prisma.landlordAccount.updateMany({
+      where: { landlordId: id },
+      data: { isActive: false }
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ success: false, message: 'Landlord does not have portal access' });
+    }
+
+    res.json({ success: true, message: 'Landlord portal access disabled successfully' });
+  } catch (error) {
+    console.error('Disable landlord portal access error:', error);
+    res.status(500).json({ success: false, message: 'Failed to disable landlord portal access', error: error.message });
+  }
+};
@@ -0,0 +1,515 @@
+import prisma from "../lib/prisma.js";
+import { hashPassword, comparePassword } from '../utils/hashPassword.js';
+import { generatePortalToken } from '../utils/generateToken.js';
+import { AnalyticsService } from '../services/analytics/analytics.service.js';
+import { calculateOccupancy } from '../services/analytics/analyticsCalculations.service.js';
+import { normalizeAnalyticsFilters } from '../services/analytics/analyticsFilter.service.js';
+import { buildPropertyArrears } from './paymentReport.controller.js';
+import { buildDepositLiabilityReport } from '../services/depositService.js';
+import { sendCommissionInvoicePdf } from './commission.controller.js';
+import { sendLandlordStatementPdf } from './landlordStatement.controller.js';
+import { createSignedUrl, LANDLORD_PORTAL_DOWNLOAD_ROUTES } from '../services/signedUrlService.js';
+import { assertLoginAllowed, recordLoginFailure, recordLoginSuccess, logAuthEvent } from '../services/loginSecurityService.js';
+
+// Landlord portal controllers - read-only, every query is scoped to the properties
+// owned by req.landlord (set by protectLandlord)
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const getLandlordPropertyIds = async (landlordId) => {
+  const properties = await prisma.property.findMany({
+    where: { landlordId },
+    select: { id: true }
+  });
+  return properties.map(p => p.id);
+};
+
+// Analytics scoped to the landlord's own properties: the service resolves its
+// property scope through the injected permissions object
+const landlordAnalytics = new AnalyticsService(prisma, {
+  getAccessiblePropertyIds: getLandlordPropertyIds
+});
+
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const take = Math.min(parseInt(query.limit) || 20, 100);
+  return { page, take, skip: (page - 1) * take };
+};
+
+// Run a landlord-scoped analytics method, mapping filter/access errors like the analytics controller
+const runAnalytics = async (req, res, serviceMethod) => {
+  try {
+    const filters = normalizeAnalyticsFilters(req.query);
+    const result = await landlordAnalytics[serviceMethod]({ id: req.landlord.id, role: 'LANDLORD' }, filters);
+    return res.json(result);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.field ? { field: error.field } : {})
+      });
+    }
+    console.error(`Landlord portal ${serviceMethod} error:`, error);
+    return res.status(500).json({ success: false, message: 'Failed to load analytics' });
+  }
+};
+
+// Load a property only if it belongs to the logged-in landlord
+const getOwnedProperty = async (req, propertyId) => {
+  return prisma.property.findFirst({
+    where: { id: propertyId, landlordId: req.landlord.id },
+    select: { id: true, name: true, address: true }
+  });
+};
+
+// ======================================================
+// AUTHENTICATION
+// ======================================================
+
+// Lockouts come back as 429 errors carrying the seconds to wait
+const sendLoginLocked = (res, error) => {
+  res.set('Retry-After', String(error.retryAfter));
+  return res.status(error.statusCode).json({ success: false, message: error.message });
+};
+
+// @desc    Landlord portal login
+// @route   POST /api/landlord-portal/auth/login
+// @access  Public
+export const landlordLogin = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ success: false, message: 'Email and password are required' });
+    }
+
+    const loginEmail = email.trim().toLowerCase();
+    await assertLoginAllowed(loginEmail, req, { portal: 'landlord' });
+
+    const account = await prisma.landlordAccount.findUnique({
+      where: { email: loginEmail },
+      include: {
+        landlord: { select: { id: true, name: true, email: true, phone: true } }
+      }
+    });
+
+    if (!account || !(await comparePassword(password, account.password))) {
+      const locked = await recordLoginFailure({
+        email: loginEmail,
+        req,
+        reason: account ? 'INVALID_PASSWORD' : 'UNKNOWN_EMAIL',
+        portal: 'landlord'
+      });
+      if (locked) return sendLoginLocked(res, locked);
+
+      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+    }
+
+    if (!account.isActive) {
+      await logAuthEvent({
+        action: 'LOGIN_FAILED',
+        email: loginEmail,
+        req,
+        changes: { portal: 'landlord', accountId: account.id, reason: 'ACCOUNT_DISABLED' }
+      });
+      return res.status(403).json({
+        success: false,
+        message: 'Portal access has been disabled. Please contact your property manager.'
+      });
+    }
+
+    await prisma.landlordAccount.update({
+      where: { id: account.id },
+      data: { lastLoginAt: new Date() }
+    });
+    await recordLoginSuccess({ id: account.id, email: loginEmail }, req, null, { portal: 'landlord' });
+
+    res.json({
+      success: true,
+      data: {
+        landlord: account.landlord,
+        requiresPasswordChange: account.mustChangePassword,
+        token: generatePortalToken(account.id, 'landlord')
+      }
+    });
+  } catch (error) {
+    if (error.statusCode === 429) return sendLoginLocked(res, error);
+    console.error('Landlord portal login error:', error);
+    res.status(500).json({ success: false, message: 'Login failed' });
+  }
+};
+
+// @desc    Change landlord portal password
+// @route   POST /api/landlord-portal/auth/change-password
+// @access  Landlord
+export const landlordChangePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ success: false, message: 'Current and new password are required' });
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const account = await prisma.landlordAccount.findUnique({
+      where: { id: req.landlordAccount.id }
+    });
+
+    const isValid = await comparePassword(currentPassword, account.password);
+    if (!isValid) {
+      return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+    }
+
+    const updated = await prisma.landlordAccount.update({
+      where: { id: account.id },
+      data: {
+        password: await hashPassword(newPassword),
+        mustChangePassword: false,
+        passwordChangedAt: new Date()
+      }
+    });
+
+    // Older tokens are revoked by the password change - hand back a fresh one
+    res.json({
+      success: true,
+      data: { token: generatePortalToken(updated.id, 'landlord') },
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    console.error('Landlord portal change password error:', error);
+    res.status(500).json({ success: false, message: 'Failed to change password' });
+  }
+};
+
+// @desc    Get the logged-in landlord's profile
+// @route   GET /api/landlord-portal/me
+// @access  Landlord
+export const getLandlordProfile = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...req.landlord,
+      account: {
+        email: req.landlordAccount.email,
+        mustChangePassword: req.landlordAccount.mustChangePassword,
+        lastLoginAt: req.landlordAccount.lastLoginAt
+      }
+    }
+  });
+};
+
+// ======================================================
+// PROPERTY PERFORMANCE
+// ======================================================
+
+// @desc    List the landlord's properties with occupancy
+// @route   GET /api/landlord-portal/properties
+// @access  Landlord
+export const getLandlordProperties = async (req, res) => {
+  try {
+    const properties = await prisma.property.findMany({
+      where: { landlordId: req.landlord.id },
+      select: {
+        id: true,
+        name: true,
+        address: true,
+        lrNumber: true,
+        form: true,
+        usage: true,
+        commissionFee: true,
+        image: true,
+        manager: { select: { id: true, name: true, email: true } },
+        units: { select: { id: true, status: true } }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      count: properties.length,
+      data: properties.map(({ units, ...property }) => ({
+        ...property,
+        occupancy: calculateOccupancy(units)
+      }))
+    });
+  } catch (error) {
+    console.error('Get landlord properties error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch properties' });
+  }
+};
+
+// @desc    Portfolio overview (receivables, occupancy, tenants) - accepts analytics filters
+// @route   GET /api/landlord-portal/overview
+// @access  Landlord
+export const getLandlordOverview = (req, res) => runAnalytics(req, res, 'getOverview');
+
+// @desc    Occupancy summary - accepts analytics filters (e.g. propertyId)
+// @route   GET /api/landlord-portal/occupancy
+// @access  Landlord
+export const getLandlordOccupancy = (req, res) => runAnalytics(req, res, 'getOccupancySummary');
+
+// @desc    Collections trend - accepts analytics filters (propertyId, date range, grain)
+// @route   GET /api/landlord-portal/collections
+// @access  Landlord
+export const getLandlordCollections = (req, res) => runAnalytics(req, res, 'getCollectionsTrend');
+
+// @desc    Arrears for one of the landlord's properties
+// @route   GET /api/landlord-portal/properties/:propertyId/arrears
+// @access  Landlord
+export const getLandlordPropertyArrears = async (req, res) => {
+  try {
+    const property = await getOwnedProperty(req, req.params.propertyId);
+
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+
+    const { arrears, summary } = await buildPropertyArrears(property.id);
+
+    // Landlords see who owes what, not tenant contact details
+    res.json({
+      success: true,
+      data: {
+        property,
+        arrears: arrears.map(({ tenantContact, ...item }) => item),
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Get landlord property arrears error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch arrears data' });
+  }
+};
+
+// @desc    Tenant deposits held on one of the landlord's properties
+// @route   GET /api/landlord-portal/properties/:propertyId/deposits?from=&asOf=
+// @access  Landlord
+export const getLandlordPropertyDeposits = async (req, res) => {
+  try {
+    const property = await getOwnedProperty(req, req.params.propertyId);
+
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if ((from && isNaN(from.getTime())) || isNaN(asOf.getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid from or asOf date' });
+    }
+
+    const report = await buildDepositLiabilityReport(property.id, { from, asOf });
+
+    res.json({ success: true, data: { property, ...report } });
+  } catch (error) {
+    console.error('Get landlord property deposits error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch deposit data' });
+  }
+};
+
+// ======================================================
+// COMMISSION INVOICES
+// ======================================================
+
+// @desc    Commission invoices raised on the landlord's properties
+// @route   GET /api/landlord-portal/commission-invoices
+// @access  Landlord
+export const getLandlordCommissionInvoices = async (req, res) => {
+  try {
+    const { propertyId } = req.query;
+    const { page, take, skip } = getPagination(req.query);
+
+    const where = {
+      commission: {
+        property: {
+          landlordId: req.landlord.id,
+          ...(propertyId && { id: propertyId })
+        }
+      }
+    };
+
+    const [invoices, total] = await Promise.all([
+      prisma.commissionInvoice.findMany({
+        where,
+        include: {
+          commission: {
+            select: {
+              id: true,
+              propertyId: true,
+              periodStart: true,
+              periodEnd: true,
+              status: true,
+              paidDate: true
+            }
+          }
+        },
+        orderBy: { invoiceDate: 'desc' },
+        skip,
+        take
+      }),
+      prisma.commissionInvoice.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: invoices.map(({ pdfUrl, ...invoice }) => ({
+        ...invoice,
+        downloadUrl: `/api/landlord-portal/commission-invoices/${invoice.id}/download`
+      })),
+      pagination: { page, limit: take, total, pages: Math.ceil(total / take) }
+    });
+  } catch (error) {
+    console.error('Get landlord commission invoices error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch commission invoices' });
+  }
+};
+
+// @desc    Download a commission invoice PDF
+// @route   GET /api/landlord-portal/commission-invoices/:id/download
+// @access  Landlord
+export const downloadLandlordCommissionInvoice = async (req, res) => {
+  try {
+    const invoice = await prisma.commissionInvoice.findFirst({
+      where: {
+        id: req.params.id,
+        commission: { property: { landlordId: req.landlord.id } }
+      }
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ success: false, message: 'Commission invoice not found' });
+    }
+
+    return sendCommissionInvoicePdf(res, invoice);
+  } catch (error) {
+    console.error('Download landlord commission invoice error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Failed to download commission invoice' });
+    }
+  }
+};
+
+// ======================================================
+// OWNER STATEMENTS
+// ======================================================
+
+// @desc    List the landlord's owner statements
+// @route   GET /api/landlord-portal/statements
+// @access  Landlord
+export const getLandlordPortalStatements = async (req, res) => {
+  try {
+    const { page, take, skip } = getPagination(req.query);
+    const where = { landlordId: req.landlord.id };
+
+    const [statements, total] = await Promise.all([
+      prisma.landlordStatement.findMany({
+        where,
+        select: {
+          id: true,
+          statementNumber: true,
+          periodStart: true,
+          periodEnd: true,
+          grossCollections: true,
+          totalDeductions: true,
+          netRemittance: true,
+          remittanceStatus: true,
+          remittedAt: true,
+          remittanceMethod: true,
+          remittanceReference: true,
+          createdAt: true
+        },
+        orderBy: { periodStart: 'desc' },
+        skip,
+        take
+      }),
+      prisma.landlordStatement.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: statements.map(statement => ({
+        ...statement,
+        downloadUrl: `/api/landlord-portal/statements/${statement.id}/pdf`
+      })),
+      pagination: { page, limit: take, total, pages: Math.ceil(total / take) }
+    });
+  } catch (error) {
+    console.error('Get landlord portal statements error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch statements' });
+  }
+};
+
+// @desc    Get one owner statement with its breakdown
+// @route   GET /api/landlord-portal/statements/:id
+// @access  Landlord
+export const getLandlordPortalStatement = async (req, res) => {
+  try {
+    const statement = await prisma.landlordStatement.findFirst({
+      where: { id: req.params.id, landlordId: req.landlord.id }
+    });
+
+    if (!statement) {
+      return res.status(404).json({ success: false, message: 'Statement not found' });
+    }
+
+    // Internal notes and staff references stay out of the portal
+    const { notes, generatedById, remittedById, ...data } = statement;
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Get landlord portal statement error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch statement' });
+  }
+};
+
+// @desc    Download an owner statement PDF
+// @route   GET /api/landlord-portal/statements/:id/pdf
+// @access  Landlord
+export const downloadLandlordPortalStatement = async (req, res) => {
+  try {
+    const statement = await prisma.landlordStatement.findFirst({
+      where: { id: req.params.id, landlordId: req.landlord.id },
+      include: {
+        landlord: { select: { id: true, name: true, email: true, phone: true, address: true } }
+      }
+    });
+
+    if (!statement) {
+      return res.status(404).json({ success: false, message: 'Statement not found' });
+    }
+
+    await sendLandlordStatementPdf(res, statement);
+  } catch (error) {
+    console.error('Download landlord portal statement error:', error);
+    res.status(500).json({ success: false, message: 'Failed to download statement' });
+  }
+};
+
+// @desc    Short-lived link for opening a commission invoice or statement PDF in
+//          a new tab (`path`, e.g. /api/landlord-portal/statements/<id>/pdf)
+// @route   POST /api/landlord-portal/signed-url
+// @access  Landlord
+export const createLandlordSignedUrl = async (req, res) => {
+  try {
+    const data = createSignedUrl(
+      req.body.path,
+      `landlord-portal:${req.landlordAccount.id}`,
+      LANDLORD_PORTAL_DOWNLOAD_ROUTES
+    );
+
+    res.json({ success: true, data });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Create landlord signed URL error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create download link' });
+  }
+};
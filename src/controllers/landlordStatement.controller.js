@@ -0,0 +1,425 @@
+import prisma from "../lib/prisma.js";
+import permissionService from "../services/permissionService.js";
+import { buildLandlordStatement, generateStatementNumber } from "../services/landlordStatementService.js";
+import { renderDocumentPdf } from "../services/templateService.js";
+import { uploadToStorage } from "../utils/storage.js";
+
+const VALID_REMITTANCE_STATUSES = ['PENDING', 'PAID'];
+const VALID_PAYMENT_METHODS = ['CASH', 'BANK_TRANSFER', 'MPESA', 'CHEQUE'];
+
+const statementInclude = {
+  landlord: { select: { id: true, name: true, email: true, phone: true, address: true } },
+  generatedBy: { select: { id: true, name: true, email: true } },
+  remittedBy: { select: { id: true, name: true, email: true } }
+};
+
+// ======================================================
+// PERMISSION HELPER FUNCTIONS
+// ======================================================
+
+// A statement covers every property of the landlord, so non-admins need access
+// to all of them (managers must manage them, users need the permission plus property access)
+const checkStatementAccess = async (userId, userRole, landlordId, operation) => {
+  if (userRole === 'ADMIN') {
+    return true;
+  }
+
+  const properties = await prisma.property.findMany({
+    where: { landlordId },
+    select: { id: true, managerId: true }
+  });
+
+  if (properties.length === 0) {
+    return false;
+  }
+
+  if (userRole === 'MANAGER') {
+    return properties.every(p => p.managerId === userId);
+  }
+
+  if (userRole === 'USER') {
+    const permissionCode = permissionService.getPermissionCode('landlord', operation);
+    const hasPermission = await permissionService.hasPermission(userId, permissionCode);
+    if (!hasPermission) return false;
+
+    const accessiblePropertyIds = await permissionService.getAccessiblePropertyIds(userId, userRole);
+    return properties.every(p => accessiblePropertyIds.includes(p.id));
+  }
+
+  return false;
+};
+
+// Parse a YYYY-MM-DD (or ISO) date, returning null when invalid
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Render a statement with the landlord's template (or the global one)
+const renderStatementPdf = (statement) =>
+  renderDocumentPdf('landlordStatement', { ...statement, generatedAt: statement.updatedAt }, {
+    landlordId: statement.landlordId
+  });
+
+// Render the statement to PDF and store it, returning the stored URL
+const storeStatementPdf = async (statement) => {
+  const pdfBuffer = await renderStatementPdf(statement);
+  const fileName = `landlord_statement_${statement.statementNumber}.pdf`;
+  return await uploadToStorage(pdfBuffer, fileName, 'landlord-statements');
+};
+
+// Render a statement and send it as a PDF download (shared with the landlord portal)
+export const sendLandlordStatementPdf = async (res, statement) => {
+  const pdfBuffer = await renderStatementPdf(statement);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="landlord_statement_${statement.statementNumber}.pdf"`
+  );
+
+  res.send(pdfBuffer);
+};
+
+// ======================================================
+// LANDLORD STATEMENTS
+// ======================================================
+
+// @desc    List statements for a landlord
+// @route   GET /api/landlords/:id/statements
+// @access  Private (Requires VIEW_LANDLORD_STATEMENTS permission)
+export const getLandlordStatements = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { remittanceStatus } = req.query;
+
+    if (!(await checkStatementAccess(req.user.id, req.user.role, id, 'viewStatements'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to view statements for this landlord.',
+        requiredPermission: 'VIEW_LANDLORD_STATEMENTS'
+      });
+    }
+
+    if (remittanceStatus && !VALID_REMITTANCE_STATUSES.includes(remittanceStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `remittanceStatus must be one of: ${VALID_REMITTANCE_STATUSES.join(', ')}`
+      });
+    }
+
+    const statements = await prisma.landlordStatement.findMany({
+      where: {
+        landlordId: id,
+        ...(remittanceStatus && { remittanceStatus })
+      },
+      select: {
+        id: true,
+        statementNumber: true,
+        periodStart: true,
+        periodEnd: true,
+        grossCollections: true,
+        totalDeductions: true,
+        netRemittance: true,
+        remittanceStatus: true,
+        remittedAt: true,
+        remittanceReference: true,
+        pdfUrl: true,
+        createdAt: true
+      },
+      orderBy: { periodStart: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: statements
+    });
+  } catch (error) {
+    console.error('Get landlord statements error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a single landlord statement with its breakdown
+// @route   GET /api/landlords/:id/statements/:statementId
+// @access  Private (Requires VIEW_LANDLORD_STATEMENTS permission)
+export const getLandlordStatement = async (req, res) => {
+  try {
+    const { id, statementId } = req.params;
+
+    if (!(await checkStatementAccess(req.user.id, req.user.role, id, 'viewStatements'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to view statements for this landlord.',
+        requiredPermission: 'VIEW_LANDLORD_STATEMENTS'
+      });
+    }
+
+    const statement = await prisma.landlordStatement.findFirst({
+      where: { id: statementId, landlordId: id },
+      include: statementInclude
+    });
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Get landlord statement error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Generate (or regenerate) a landlord statement for a period
+// @route   POST /api/landlords/:id/statements
+// @access  Private (Requires GENERATE_LANDLORD_STATEMENTS permission)
+export const generateLandlordStatement = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { periodStart, periodEnd, adjustments = [], notes } = req.body;
+
+    if (!(await checkStatementAccess(req.user.id, req.user.role, id, 'generateStatements'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to generate statements for this landlord.',
+        requiredPermission: 'GENERATE_LANDLORD_STATEMENTS'
+      });
+    }
+
+    const start = parseDate(periodStart);
+    const end = parseDate(periodEnd);
+    if (!start || !end) {
+      return res.status(400).json({
+        success: false,
+        message: 'periodStart and periodEnd are required valid dates'
+      });
+    }
+    if (start > end) {
+      return res.status(400).json({
+        success: false,
+        message: 'periodStart must be on or before periodEnd'
+      });
+    }
+
+    if (!Array.isArray(adjustments) || adjustments.some(a => (
+      !a?.description || !Number.isFinite(Number(a.amount)) || Number(a.amount) <= 0
+    ))) {
+      return res.status(400).json({
+        success: false,
+        message: 'adjustments must be a list of { description, amount } with positive amounts'
+      });
+    }
+
+    const details = await buildLandlordStatement(id, {
+      periodStart: start,
+      periodEnd: end,
+      adjustments: adjustments.map(a => ({
+        description: String(a.description),
+        amount: Number(a.amount),
+        propertyId: a.propertyId || null
+      }))
+    });
+
+    const existing = await prisma.landlordStatement.findUnique({
+      where: {
+        landlordId_periodStart_periodEnd: {
+          landlordId: id,
+          periodStart: details.periodStart,
+          periodEnd: details.periodEnd
+        }
+      }
+    });
+
+    if (existing?.remittanceStatus === 'PAID') {
+      return res.status(409).json({
+        success: false,
+        message: `Statement ${existing.statementNumber} for this period has already been remitted and cannot be regenerated`
+      });
+    }
+
+    const data = {
+      ...details.summary,
+      details,
+      notes: notes ?? existing?.notes ?? null,
+      generatedById: req.user.id
+    };
+
+    let statement = existing
+      ? await prisma.landlordStatement.update({
+          where: { id: existing.id },
+          data,
+          include: statementInclude
+        })
+      : await prisma.landlordStatement.create({
+          data: {
+            ...data,
+            statementNumber: await generateStatementNumber(),
+            landlordId: id,
+            periodStart: details.periodStart,
+            periodEnd: details.periodEnd
+          },
+          include: statementInclude
+        });
+
+    const pdfUrl = await storeStatementPdf(statement);
+    statement = await prisma.landlordStatement.update({
+      where: { id: statement.id },
+      data: { pdfUrl },
+      include: statementInclude
+    });
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'Landlord statement regenerated successfully' : 'Landlord statement generated successfully',
+      data: statement
+    });
+  } catch (error) {
+    console.error('Generate landlord statement error:', error);
+    res.status(error.message === 'Landlord not found' ? 404 : 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Record (or undo) payment of a statement's net remittance to the landlord
+// @route   PATCH /api/landlords/:id/statements/:statementId/remittance
+// @access  Private (Requires MARK_REMITTANCE_PAID permission)
+export const updateStatementRemittance = async (req, res) => {
+  try {
+    const { id, statementId } = req.params;
+    const { status = 'PAID', remittedAt, remittanceMethod, remittanceReference } = req.body;
+
+    if (!(await checkStatementAccess(req.user.id, req.user.role, id, 'markRemittancePaid'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to record landlord remittances.',
+        requiredPermission: 'MARK_REMITTANCE_PAID'
+      });
+    }
+
+    if (!VALID_REMITTANCE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${VALID_REMITTANCE_STATUSES.join(', ')}`
+      });
+    }
+
+    if (remittanceMethod && !VALID_PAYMENT_METHODS.includes(remittanceMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `remittanceMethod must be one of: ${VALID_PAYMENT_METHODS.join(', ')}`
+      });
+    }
+
+    const paidDate = remittedAt ? parseDate(remittedAt) : new Date();
+    if (!paidDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'remittedAt must be a valid date'
+      });
+    }
+
+    const existing = await prisma.landlordStatement.findFirst({
+      where: { id: statementId, landlordId: id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement not found'
+      });
+    }
+
+    let statement = await prisma.landlordStatement.update({
+      where: { id: statementId },
+      data: status === 'PAID'
+        ? {
+            remittanceStatus: 'PAID',
+            remittedAt: paidDate,
+            remittanceMethod: remittanceMethod || null,
+            remittanceReference: remittanceReference || null,
+            remittedById: req.user.id
+          }
+        : {
+            remittanceStatus: 'PENDING',
+            remittedAt: null,
+            remittanceMethod: null,
+            remittanceReference: null,
+            remittedById: null
+          },
+      include: statementInclude
+    });
+
+    // Keep the stored PDF in step with the remittance status it prints
+    const pdfUrl = await storeStatementPdf(statement);
+    statement = await prisma.landlordStatement.update({
+      where: { id: statementId },
+      data: { pdfUrl },
+      include: statementInclude
+    });
+
+    res.json({
+      success: true,
+      message: status === 'PAID' ? 'Remittance marked as paid' : 'Remittance marked as pending',
+      data: statement
+    });
+  } catch (error) {
+    console.error('Update statement remittance error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Download a landlord statement as PDF
+// @route   GET /api/landlords/:id/statements/:statementId/pdf
+// @access  Private (Requires VIEW_LANDLORD_STATEMENTS permission)
+export const downloadLandlordStatementPDF = async (req, res) => {
+  try {
+    const { id, statementId } = req.params;
+
+    if (!(await checkStatementAccess(req.user.id, req.user.role, id, 'viewStatements'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to view statements for this landlord.',
+        requiredPermission: 'VIEW_LANDLORD_STATEMENTS'
+      });
+    }
+
+    const statement = await prisma.landlordStatement.findFirst({
+      where: { id: statementId, landlordId: id },
+      include: statementInclude
+    });
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement not found'
+      });
+    }
+
+    await sendLandlordStatementPdf(res, statement);
+  } catch (error) {
+    console.error('Download landlord statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,350 @@
+import prisma from "../lib/prisma.js";
+import permissionService from "../services/permissionService.js";
+import {
+  VALID_LATE_FEE_TYPES,
+  runOverdueAndLateFees,
+  recordLateFeePayment as applyLateFeePayment,
+  waiveLateFee as applyLateFeeWaiver
+} from "../services/lateFeeService.js";
+import { httpError } from "../utils/httpError.js";
+
+const VALID_LATE_FEE_STATUSES = ['OUTSTANDING', 'PARTIAL', 'PAID', 'WAIVED'];
+
+const lateFeeInclude = {
+  tenant: { select: { id: true, fullName: true, unit: { select: { unitNo: true } } } },
+  property: { select: { id: true, name: true } },
+  invoice: { select: { id: true, invoiceNumber: true, paymentPeriod: true, status: true } },
+  billInvoice: { select: { id: true, invoiceNumber: true, billType: true, status: true } },
+  waivedBy: { select: { id: true, name: true } }
+};
+
+// Optional non-negative number from the request body (null when blank)
+const parseOptionalAmount = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = parseFloat(value);
+  if (isNaN(amount) || amount < 0) {
+    throw httpError(400, `${field} must be a non-negative number`);
+  }
+  return amount;
+};
+
+// ======================================================
+// PERMISSION HELPER FUNCTIONS
+// ======================================================
+
+// Late fees are charged on invoices, so they follow the invoice permissions
+// (view to read, edit for policies, payments and waivers)
+const checkLateFeePermission = async (userId, userRole, propertyId, operation) => {
+  if (userRole === 'ADMIN') {
+    return true;
+  }
+
+  if (userRole === 'MANAGER') {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { managerId: true }
+    });
+    return property?.managerId === userId;
+  }
+
+  return permissionService.checkPermission(userId, 'invoice', operation, propertyId);
+};
+
+// Property filter for late fee listings
+const getLateFeePropertyScope = async (userId, userRole) => {
+  if (userRole === 'ADMIN') {
+    return {};
+  }
+
+  if (userRole === 'MANAGER') {
+    return { property: { managerId: userId } };
+  }
+
+  const accessiblePropertyIds = await permissionService.getAccessiblePropertyIds(userId, userRole);
+  const propertiesWithPermission = [];
+  for (const propertyId of accessiblePropertyIds) {
+    if (await permissionService.checkPermission(userId, 'invoice', 'view', propertyId)) {
+      propertiesWithPermission.push(propertyId);
+    }
+  }
+
+  return { propertyId: { in: propertiesWithPermission } };
+};
+
+// Load a late fee, enforcing access to its property
+const loadLateFee = async (req, feeId, operation) => {
+  const fee = await prisma.lateFee.findUnique({
+    where: { id: feeId },
+    select: { id: true, propertyId: true }
+  });
+
+  if (!fee) {
+    throw httpError(404, 'Late fee not found');
+  }
+
+  if (!(await checkLateFeePermission(req.user.id, req.user.role, fee.propertyId, operation))) {
+    throw httpError(403, null);
+  }
+
+  return fee;
+};
+
+const handleError = (res, error, label, operation = 'edit') => {
+  if (error.statusCode === 403) {
+    return res.status(403).json({
+      success: false,
+      message: operation === 'edit'
+        ? 'You do not have permission to manage late fees for this property'
+        : 'You do not have permission to view late fees for this property',
+      requiredPermission: operation === 'edit' ? 'EDIT_INVOICES' : 'VIEW_INVOICES'
+    });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, message: `Failed to ${label.toLowerCase()}`, error: error.message });
+};
+
+// ======================================================
+// LATE FEE POLICIES
+// ======================================================
+
+// @desc    Get a property's late fee policy
+// @route   GET /api/late-fees/policies/:propertyId
+// @access  Private (ADMIN, MANAGER, USER with VIEW_INVOICES)
+export const getLateFeePolicy = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+
+    if (!(await checkLateFeePermission(req.user.id, req.user.role, propertyId, 'view'))) {
+      throw httpError(403, null);
+    }
+
+    const policy = await prisma.lateFeePolicy.findUnique({ where: { propertyId } });
+
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    handleError(res, error, 'Get late fee policy', 'view');
+  }
+};
+
+// @desc    Create or update a property's late fee policy
+// @route   PUT /api/late-fees/policies/:propertyId
+// @access  Private (ADMIN, MANAGER, USER with EDIT_INVOICES)
+export const upsertLateFeePolicy = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+    const {
+      isActive,
+      gracePeriodDays,
+      feeType,
+      flatAmount,
+      percentage,
+      dailyInterestRate,
+      maxFeeAmount,
+      maxFeePercent,
+      applyToBillInvoices
+    } = req.body;
+
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { id: true }
+    });
+
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+
+    if (!(await checkLateFeePermission(req.user.id, req.user.role, propertyId, 'edit'))) {
+      throw httpError(403, null);
+    }
+
+    if (!VALID_LATE_FEE_TYPES.includes(feeType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid feeType. Must be one of: ${VALID_LATE_FEE_TYPES.join(', ')}`
+      });
+    }
+
+    const data = {
+      feeType,
+      flatAmount: parseOptionalAmount(flatAmount, 'flatAmount'),
+      percentage: parseOptionalAmount(percentage, 'percentage'),
+      dailyInterestRate: parseOptionalAmount(dailyInterestRate, 'dailyInterestRate'),
+      maxFeeAmount: parseOptionalAmount(maxFeeAmount, 'maxFeeAmount'),
+      maxFeePercent: parseOptionalAmount(maxFeePercent, 'maxFeePercent')
+    };
+
+    // The rate for the chosen fee type is required
+    const rateField = { FLAT: 'flatAmount', PERCENTAGE: 'percentage', DAILY_INTEREST: 'dailyInterestRate' }[feeType];
+    if (!(data[rateField] > 0)) {
+      return res.status(400).json({ success: false, message: `${rateField} is required for ${feeType} late fees` });
+    }
+
+    if (gracePeriodDays !== undefined) {
+      const days = parseInt(gracePeriodDays);
+      if (isNaN(days) || days < 0) {
+        return res.status(400).json({ success: false, message: 'gracePeriodDays must be a non-negative number' });
+      }
+      data.gracePeriodDays = days;
+    }
+    if (isActive !== undefined) data.isActive = Boolean(isActive);
+    if (applyToBillInvoices !== undefined) data.applyToBillInvoices = Boolean(applyToBillInvoices);
+
+    const policy = await prisma.lateFeePolicy.upsert({
+      where: { propertyId },
+      create: { propertyId, ...data },
+      update: data
+    });
+
+    res.json({ success: true, data: policy, message: 'Late fee policy saved' });
+  } catch (error) {
+    handleError(res, error, 'Save late fee policy');
+  }
+};
+
+// ======================================================
+// LATE FEES
+// ======================================================
+
+// @desc    List late fees
+// @route   GET /api/late-fees?tenantId=&propertyId=&invoiceId=&status=&page=&limit=
+// @access  Private (ADMIN, MANAGER, USER with VIEW_INVOICES)
+export const getLateFees = async (req, res) => {
+  try {
+    const { tenantId, propertyId, invoiceId, status, page = 1, limit = 20 } = req.query;
+
+    if (status && !VALID_LATE_FEE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${VALID_LATE_FEE_STATUSES.join(', ')}`
+      });
+    }
+
+    const where = {
+      ...(await getLateFeePropertyScope(req.user.id, req.user.role)),
+      ...(tenantId && { tenantId }),
+      ...(invoiceId && { OR: [{ invoiceId }, { billInvoiceId: invoiceId }] }),
+      ...(status && { status })
+    };
+
+    if (propertyId) {
+      if (!(await checkLateFeePermission(req.user.id, req.user.role, propertyId, 'view'))) {
+        throw httpError(403, null);
+      }
+      where.propertyId = propertyId;
+    }
+
+    const take = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [lateFees, total, totals] = await Promise.all([
+      prisma.lateFee.findMany({
+        where,
+        include: lateFeeInclude,
+        orderBy: { assessedDate: 'desc' },
+        skip,
+        take
+      }),
+      prisma.lateFee.count({ where }),
+      prisma.lateFee.aggregate({
+        where,
+        _sum: { amount: true, amountPaid: true, waivedAmount: true, balance: true }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: lateFees,
+      totals: {
+        charged: totals._sum.amount || 0,
+        paid: totals._sum.amountPaid || 0,
+        waived: totals._sum.waivedAmount || 0,
+        outstanding: totals._sum.balance || 0
+      },
+      pagination: {
+        page: parseInt(page) || 1,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get late fees', 'view');
+  }
+};
+
+// @desc    Record a payment against a late fee
+// @route   POST /api/late-fees/:id/payments
+// @access  Private (ADMIN, MANAGER, USER with EDIT_INVOICES)
+export const recordLateFeePayment = async (req, res) => {
+  try {
+    await loadLateFee(req, req.params.id, 'edit');
+
+    const amount = parseFloat(req.body.amount);
+    if (isNaN(amount) || amount <= 0) {
+      return res.status(400).json({ success: false, message: 'amount must be a positive number' });
+    }
+
+    const paidAt = req.body.paidAt ? new Date(req.body.paidAt) : new Date();
+    if (isNaN(paidAt.getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid paidAt' });
+    }
+
+    const fee = await applyLateFeePayment(req.params.id, {
+      amount,
+      paidAt,
+      recordedById: req.user.id
+    });
+
+    res.json({ success: true, data: fee, message: 'Late fee payment recorded' });
+  } catch (error) {
+    handleError(res, error, 'Record late fee payment');
+  }
+};
+
+// @desc    Waive the unpaid balance of a late fee
+// @route   POST /api/late-fees/:id/waive
+// @access  Private (ADMIN, MANAGER, USER with EDIT_INVOICES)
+export const waiveLateFee = async (req, res) => {
+  try {
+    await loadLateFee(req, req.params.id, 'edit');
+
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required to waive a late fee' });
+    }
+
+    const fee = await applyLateFeeWaiver(req.params.id, {
+      reason,
+      waivedById: req.user.id
+    });
+
+    res.json({ success: true, data: fee, message: 'Late fee waived' });
+  } catch (error) {
+    handleError(res, error, 'Waive late fee');
+  }
+};
+
+// @desc    Run overdue marking and late fee assessment now (normally nightly)
+// @route   POST /api/late-fees/run
+// @access  Private (ADMIN only)
+export const runLateFees = async (req, res) => {
+  try {
+    const asOf = req.body.asOf ? new Date(req.body.asOf) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid asOf date' });
+    }
+
+    const result = await runOverdueAndLateFees(asOf);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.marked.invoices + result.marked.billInvoices} invoice(s) marked overdue, ${result.fees.feesCharged} late fee(s) charged`
+    });
+  } catch (error) {
+    handleError(res, error, 'Run late fees');
+  }
+};
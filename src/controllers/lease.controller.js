@@ -0,0 +1,820 @@
+import prisma from "../lib/prisma.js";
+import permissionService from "../services/permissionService.js";
+import { calculateEscalatedRent } from "../services/rentCalculation.js";
+import {
+  CURRENT_LEASE_STATUSES,
+  parseLeaseTermMonths,
+  leaseEndDate,
+  describeLeaseTerm,
+  monthsBetween,
+  addDays,
+  earliestTerminationDate,
+  calculateMoveOutSettlement
+} from "../services/leaseService.js";
+import {
+  applyDepositOnMoveOut,
+  refundDepositOnMoveOut,
+  queueDepositReceipts
+} from "../services/depositService.js";
+import { httpError } from "../utils/httpError.js";
+import { roundMoney } from "../utils/money.js";
+
+const VALID_LEASE_STATUSES = ['ACTIVE', 'NOTICE_GIVEN', 'RENEWED', 'TERMINATED', 'EXPIRED'];
+const VALID_NOTICE_PARTIES = ['TENANT', 'LANDLORD'];
+const VALID_REFUND_STATUSES = ['PENDING', 'REFUNDED', 'NOT_APPLICABLE'];
+const VALID_REFUND_METHODS = ['CASH', 'BANK_TRANSFER', 'MPESA', 'CHEQUE'];
+
+const leaseInclude = {
+  tenant: { select: { id: true, fullName: true, email: true, contact: true, status: true } },
+  unit: { select: { id: true, unitNo: true, status: true } },
+  property: { select: { id: true, name: true } },
+  previousLease: { select: { id: true, startDate: true, endDate: true, rent: true, status: true } },
+  renewal: { select: { id: true, startDate: true, endDate: true, rent: true, status: true } },
+  moveOut: true,
+  createdBy: { select: { id: true, name: true } }
+};
+
+const moveOutInclude = {
+  tenant: { select: { id: true, fullName: true, email: true, contact: true } },
+  unit: { select: { id: true, unitNo: true } },
+  property: { select: { id: true, name: true } },
+  lease: { select: { id: true, startDate: true, endDate: true, status: true } },
+  processedBy: { select: { id: true, name: true } }
+};
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw httpError(400, `Invalid ${field}`);
+  }
+  return date;
+};
+
+const parseAmount = (value, field) => {
+  const amount = parseFloat(value);
+  if (isNaN(amount) || amount < 0) {
+    throw httpError(400, `${field} must be a non-negative number`);
+  }
+  return roundMoney(amount);
+};
+
+const parseNoticePeriod = (value) => {
+  const days = parseInt(value);
+  if (isNaN(days) || days < 0) {
+    throw httpError(400, 'noticePeriodDays must be a non-negative number');
+  }
+  return days;
+};
+
+// Itemised deductions: [{ description, amount }] with a description and a positive amount
+const validateDeductionItems = (items, field) => {
+  if (items === undefined || items === null) return [];
+  if (!Array.isArray(items)) {
+    throw httpError(400, `${field} must be an array of { description, amount }`);
+  }
+  for (const item of items) {
+    const amount = parseFloat(item?.amount);
+    if (!item?.description || !String(item.description).trim() || isNaN(amount) || amount <= 0) {
+      throw httpError(400, `Each ${field} item needs a description and a positive amount`);
+    }
+  }
+  return items;
+};
+
+// ======================================================
+// PERMISSION HELPER FUNCTIONS
+// ======================================================
+
+// Leases are part of the tenant record, so they follow the tenant permissions
+// (view for reads, edit for lease changes and move-outs)
+const checkLeasePermission = async (userId, userRole, propertyId, operation) => {
+  if (userRole === 'ADMIN') {
+    return true;
+  }
+
+  if (userRole === 'MANAGER') {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { managerId: true }
+    });
+    return property?.managerId === userId;
+  }
+
+  if (userRole === 'USER') {
+    return permissionService.checkTenantPermission(userId, propertyId, operation);
+  }
+
+  return false;
+};
+
+// Property filter for lease and move-out listings
+const getLeasePropertyScope = async (userId, userRole) => {
+  if (userRole === 'ADMIN') {
+    return {};
+  }
+
+  if (userRole === 'MANAGER') {
+    return { property: { managerId: userId } };
+  }
+
+  const accessiblePropertyIds = await permissionService.getAccessiblePropertyIds(userId, userRole);
+  const propertiesWithPermission = [];
+  for (const propertyId of accessiblePropertyIds) {
+    if (await permissionService.checkTenantPermission(userId, propertyId, 'view')) {
+      propertiesWithPermission.push(propertyId);
+    }
+  }
+
+  return { propertyId: { in: propertiesWithPermission } };
+};
+
+// Load a lease, enforcing access to its property
+const loadLease = async (req, leaseId, operation) => {
+  const lease = await prisma.lease.findUnique({
+    where: { id: leaseId },
+    include: {
+      tenant: true,
+      moveOut: { select: { id: true } }
+    }
+  });
+
+  if (!lease) {
+    throw httpError(404, 'Lease not found');
+  }
+
+  if (!(await checkLeasePermission(req.user.id, req.user.role, lease.propertyId, operation))) {
+    throw httpError(403, null);
+  }
+
+  return lease;
+};
+
+const handleError = (res, error, label, operation = 'edit') => {
+  if (error.statusCode === 403) {
+    return res.status(403).json({
+      success: false,
+      message: operation === 'edit'
+        ? 'You do not have permission to manage leases for this property'
+        : 'You do not have permission to view leases for this property',
+      requiredPermission: operation === 'edit' ? 'EDIT_TENANT' : 'VIEW_TENANTS'
+    });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, message: `Failed to ${label.toLowerCase()}`, error: error.message });
+};
+
+// ======================================================
+// LEASES
+// ======================================================
+
+// @desc    List leases (filter by tenant, property, status or leases ending soon)
+// @route   GET /api/leases?tenantId=&propertyId=&status=&expiringWithinDays=&page=&limit=
+// @access  Private (ADMIN, MANAGER, USER with VIEW_TENANTS)
+export const getLeases = async (req, res) => {
+  try {
+    const { tenantId, propertyId, status, expiringWithinDays, page = 1, limit = 20 } = req.query;
+
+    if (status && !VALID_LEASE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${VALID_LEASE_STATUSES.join(', ')}`
+      });
+    }
+
+    const where = {
+      ...(await getLeasePropertyScope(req.user.id, req.user.role)),
+      ...(tenantId && { tenantId }),
+      ...(status && { status })
+    };
+
+    if (propertyId) {
+      if (!(await checkLeasePermission(req.user.id, req.user.role, propertyId, 'view'))) {
+        throw httpError(403, null);
+      }
+      where.propertyId = propertyId;
+    }
+
+    // Running leases whose end date falls within the next N days
+    if (expiringWithinDays !== undefined) {
+      const days = parseInt(expiringWithinDays);
+      if (isNaN(days) || days < 0) {
+        return res.status(400).json({ success: false, message: 'expiringWithinDays must be a non-negative number' });
+      }
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      where.endDate = { gte: today, lt: addDays(today, days + 1) };
+      if (!status) where.status = { in: CURRENT_LEASE_STATUSES };
+    }
+
+    const take = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [leases, total] = await Promise.all([
+      prisma.lease.findMany({
+        where,
+        include: leaseInclude,
+        orderBy: { endDate: 'asc' },
+        skip,
+        take
+      }),
+      prisma.lease.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: leases,
+      pagination: {
+        page: parseInt(page) || 1,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get leases', 'view');
+  }
+};
+
+// @desc    Get a lease with its renewal chain and move-out settlement
+// @route   GET /api/leases/:id
+// @access  Private (ADMIN, MANAGER, USER with VIEW_TENANTS)
+export const getLease = async (req, res) => {
+  try {
+    await loadLease(req, req.params.id, 'view');
+
+    const lease = await prisma.lease.findUnique({
+      where: { id: req.params.id },
+      include: leaseInclude
+    });
+
+    res.json({ success: true, data: lease });
+  } catch (error) {
+    handleError(res, error, 'Get lease', 'view');
+  }
+};
+
+// @desc    Record the current lease for a tenant (e.g. tenants created before
+//          leases were tracked). Defaults come from the tenant record.
+// @route   POST /api/leases
+// @access  Private (ADMIN, MANAGER, USER with EDIT_TENANT)
+export const createLease = async (req, res) => {
+  try {
+    const { tenantId, startDate, endDate, noticePeriodDays, rent, deposit, notes } = req.body;
+
+    if (!tenantId) {
+      return res.status(400).json({ success: false, message: 'tenantId is required' });
+    }
+
+    const tenant = await prisma.tenant.findUnique({
+      where: { id: tenantId },
+      include: { unit: { select: { id: true, propertyId: true } } }
+    });
+
+    if (!tenant) {
+      return res.status(404).json({ success: false, message: 'Tenant not found' });
+    }
+
+    if (tenant.status === 'MOVED_OUT' || !tenant.unit) {
+      return res.status(400).json({ success: false, message: 'Tenant has moved out and no longer occupies a unit' });
+    }
+
+    if (!(await checkLeasePermission(req.user.id, req.user.role, tenant.unit.propertyId, 'edit'))) {
+      throw httpError(403, null);
+    }
+
+    const currentLease = await prisma.lease.findFirst({
+      where: { tenantId, status: { in: CURRENT_LEASE_STATUSES } }
+    });
+
+    if (currentLease) {
+      return res.status(409).json({
+        success: false,
+        message: 'Tenant already has a current lease. Renew it instead.',
+        data: { leaseId: currentLease.id }
+      });
+    }
+
+    const start = startDate ? parseDate(startDate, 'startDate') : new Date(tenant.termStart);
+
+    let end;
+    if (endDate) {
+      end = parseDate(endDate, 'endDate');
+    } else {
+      const termMonths = parseLeaseTermMonths(tenant.leaseTerm);
+      if (!termMonths) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot read the lease term "${tenant.leaseTerm}". Please provide endDate.`
+        });
+      }
+      end = leaseEndDate(start, termMonths);
+    }
+
+    if (end <= start) {
+      return res.status(400).json({ success: false, message: 'endDate must be after startDate' });
+    }
+
+    const lease = await prisma.lease.create({
+      data: {
+        tenantId,
+        unitId: tenant.unit.id,
+        propertyId: tenant.unit.propertyId,
+        startDate: start,
+        endDate: end,
+        noticePeriodDays: noticePeriodDays !== undefined ? parseNoticePeriod(noticePeriodDays) : 30,
+        rent: rent !== undefined ? parseAmount(rent, 'rent') : calculateEscalatedRent(tenant, start).currentRent,
+        deposit: deposit !== undefined ? parseAmount(deposit, 'deposit') : tenant.deposit,
+        escalationRate: tenant.escalationRate,
+        escalationFrequency: tenant.escalationFrequency,
+        notes: notes || null,
+        createdById: req.user.id
+      },
+      include: leaseInclude
+    });
+
+    res.status(201).json({ success: true, data: lease, message: 'Lease recorded successfully' });
+  } catch (error) {
+    handleError(res, error, 'Create lease');
+  }
+};
+
+// @desc    Renew a lease. The new lease starts the day after the current one ends,
+//          runs for the same term unless termMonths/endDate is given, and carries
+//          forward the escalation rate and frequency.
+// @route   POST /api/leases/:id/renew
+// @access  Private (ADMIN, MANAGER, USER with EDIT_TENANT)
+export const renewLease = async (req, res) => {
+  try {
+    const lease = await loadLease(req, req.params.id, 'edit');
+    const { startDate, endDate, termMonths, rent, deposit, noticePeriodDays, notes } = req.body;
+
+    if (lease.status !== 'ACTIVE') {
+      return res.status(400).json({
+        success: false,
+        message: lease.status === 'NOTICE_GIVEN'
+          ? 'Notice has been given on this lease. Withdraw the notice before renewing.'
+          : `Only an active lease can be renewed (this lease is ${lease.status})`
+      });
+    }
+
+    const start = startDate ? parseDate(startDate, 'startDate') : addDays(lease.endDate, 1);
+    if (start <= lease.startDate) {
+      return res.status(400).json({ success: false, message: 'The renewal must start after the current lease starts' });
+    }
+
+    let months;
+    let end;
+    if (endDate) {
+      end = parseDate(endDate, 'endDate');
+      months = monthsBetween(start, end);
+    } else {
+      months = termMonths !== undefined ? parseInt(termMonths) : monthsBetween(lease.startDate, lease.endDate);
+      if (isNaN(months) || months <= 0) {
+        return res.status(400).json({ success: false, message: 'termMonths must be a positive number' });
+      }
+      end = leaseEndDate(start, months);
+    }
+
+    if (end <= start) {
+      return res.status(400).json({ success: false, message: 'endDate must be after startDate' });
+    }
+
+    // Rent in force when the renewal starts, with escalations applied on the
+    // tenant's existing schedule, unless a renegotiated rent is given
+    const tenant = lease.tenant;
+    const scheduledRent = calculateEscalatedRent(tenant, start);
+    let renewalRent = scheduledRent.currentRent;
+    let rebasedTenantRent;
+
+    if (rent !== undefined) {
+      renewalRent = parseAmount(rent, 'rent');
+      // Rent is escalated from Tenant.rentStart on the fly, so store the base rent
+      // that escalates to the renegotiated amount at the renewal start
+      rebasedTenantRent = roundMoney(
+        renewalRent / Math.pow(1 + (tenant.escalationRate || 0) / 100, scheduledRent.escalationsApplied)
+      );
+    }
+
+    const renewalDeposit = deposit !== undefined ? parseAmount(deposit, 'deposit') : lease.deposit;
+    const renewalNoticePeriod = noticePeriodDays !== undefined ? parseNoticePeriod(noticePeriodDays) : lease.noticePeriodDays;
+
+    const renewal = await prisma.$transaction(async (tx) => {
+      await tx.lease.update({
+        where: { id: lease.id },
+        data: { status: 'RENEWED' }
+      });
+
+      const created = await tx.lease.create({
+        data: {
+          tenantId: lease.tenantId,
+          unitId: lease.unitId,
+          propertyId: lease.propertyId,
+          startDate: start,
+          endDate: end,
+          noticePeriodDays: renewalNoticePeriod,
+          rent: renewalRent,
+          deposit: renewalDeposit,
+          escalationRate: lease.escalationRate,
+          escalationFrequency: lease.escalationFrequency,
+          previousLeaseId: lease.id,
+          notes: notes || null,
+          createdById: req.user.id
+        },
+        include: leaseInclude
+      });
+
+      await tx.tenant.update({
+        where: { id: lease.tenantId },
+        data: {
+          leaseTerm: describeLeaseTerm(months),
+          deposit: renewalDeposit,
+          ...(rebasedTenantRent !== undefined && { rent: rebasedTenantRent })
+        }
+      });
+
+      if (rent !== undefined) {
+        await tx.unit.update({
+          where: { id: lease.unitId },
+          data: { rentAmount: renewalRent }
+        });
+      }
+
+      return created;
+    });
+
+    res.status(201).json({ success: true, data: renewal, message: 'Lease renewed successfully' });
+  } catch (error) {
+    handleError(res, error, 'Renew lease');
+  }
+};
+
+// @desc    Give notice on a lease. terminationDate defaults to the end of the notice
+//          period; an earlier date (early termination) needs waiveNoticePeriod.
+// @route   POST /api/leases/:id/notice
+// @access  Private (ADMIN, MANAGER, USER with EDIT_TENANT)
+export const giveLeaseNotice = async (req, res) => {
+  try {
+    const lease = await loadLease(req, req.params.id, 'edit');
+    const { noticeDate, givenBy, terminationDate, reason, waiveNoticePeriod } = req.body;
+
+    if (lease.status !== 'ACTIVE') {
+      return res.status(400).json({ success: false, message: `Notice can only be given on an active lease (this lease is ${lease.status})` });
+    }
+
+    if (!givenBy || !VALID_NOTICE_PARTIES.includes(givenBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `givenBy is required and must be one of: ${VALID_NOTICE_PARTIES.join(', ')}`
+      });
+    }
+
+    const noticeOn = noticeDate ? parseDate(noticeDate, 'noticeDate') : new Date();
+    const earliest = earliestTerminationDate(noticeOn, lease.noticePeriodDays);
+    const endOn = terminationDate ? parseDate(terminationDate, 'terminationDate') : earliest;
+
+    if (endOn < noticeOn) {
+      return res.status(400).json({ success: false, message: 'terminationDate cannot be before the notice date' });
+    }
+
+    if (endOn < earliest && waiveNoticePeriod !== true) {
+      return res.status(400).json({
+        success: false,
+        message: `The lease requires ${lease.noticePeriodDays} days notice; the earliest termination date is ${earliest.toISOString().slice(0, 10)}. Set waiveNoticePeriod to terminate earlier.`
+      });
+    }
+
+    const updated = await prisma.lease.update({
+      where: { id: lease.id },
+      data: {
+        status: 'NOTICE_GIVEN',
+        noticeDate: noticeOn,
+        noticeGivenBy: givenBy,
+        terminationDate: endOn,
+        terminationReason: reason || null
+      },
+      include: leaseInclude
+    });
+
+    res.json({
+      success: true,
+      data: updated,
+      message: endOn < lease.endDate
+        ? 'Notice recorded. The lease will end early on the termination date.'
+        : 'Notice recorded.'
+    });
+  } catch (error) {
+    handleError(res, error, 'Give lease notice');
+  }
+};
+
+// @desc    Withdraw notice given on a lease
+// @route   DELETE /api/leases/:id/notice
+// @access  Private (ADMIN, MANAGER, USER with EDIT_TENANT)
+export const withdrawLeaseNotice = async (req, res) => {
+  try {
+    const lease = await loadLease(req, req.params.id, 'edit');
+
+    if (lease.status !== 'NOTICE_GIVEN') {
+      return res.status(400).json({ success: false, message: 'No notice has been given on this lease' });
+    }
+
+    const updated = await prisma.lease.update({
+      where: { id: lease.id },
+      data: {
+        status: 'ACTIVE',
+        noticeDate: null,
+        noticeGivenBy: null,
+        terminationDate: null,
+        terminationReason: null
+      },
+      include: leaseInclude
+    });
+
+    res.json({ success: true, data: updated, message: 'Notice withdrawn' });
+  } catch (error) {
+    handleError(res, error, 'Withdraw lease notice');
+  }
+};
+
+// ======================================================
+// MOVE-OUT
+// ======================================================
+
+// @desc    Preview the deposit settlement for a move-out without saving it
+// @route   POST /api/leases/:id/move-out/preview
+// @access  Private (ADMIN, MANAGER, USER with EDIT_TENANT)
+export const previewMoveOut = async (req, res) => {
+  try {
+    const lease = await loadLease(req, req.params.id, 'edit');
+    const damages = validateDeductionItems(req.body.damages, 'damages');
+    const otherDeductions = validateDeductionItems(req.body.otherDeductions, 'otherDeductions');
+
+    const settlement = await calculateMoveOutSettlement(lease.tenant, { damages, otherDeductions });
+    delete settlement.creditRecordId;
+
+    res.json({ success: true, data: settlement });
+  } catch (error) {
+    handleError(res, error, 'Preview move-out');
+  }
+};
+
+// @desc    Move a tenant out: settle the deposit against unpaid invoices, bills and
+//          damages, end the lease, free the unit and keep the tenant as MOVED_OUT.
+//          The deposit is applied as ledger deductions (invoices oldest first, then
+//          bill invoices, damages and other deductions) until it runs out.
+// @route   POST /api/leases/:id/move-out
+// @access  Private (ADMIN, MANAGER, USER with EDIT_TENANT)
+export const moveOutTenant = async (req, res) => {
+  try {
+    const lease = await loadLease(req, req.params.id, 'edit');
+    const { moveOutDate, notes } = req.body;
+
+    if (!CURRENT_LEASE_STATUSES.includes(lease.status) || lease.moveOut) {
+      return res.status(400).json({ success: false, message: `This lease has already ended (${lease.status})` });
+    }
+
+    if (lease.tenant.unitId !== lease.unitId) {
+      return res.status(400).json({ success: false, message: 'Tenant no longer occupies the unit on this lease' });
+    }
+
+    const damages = validateDeductionItems(req.body.damages, 'damages');
+    const otherDeductions = validateDeductionItems(req.body.otherDeductions, 'otherDeductions');
+    const moveOutOn = moveOutDate
+      ? parseDate(moveOutDate, 'moveOutDate')
+      : (lease.terminationDate || new Date());
+
+    const result = await prisma.$transaction(async (tx) => {
+      const settlement = await calculateMoveOutSettlement(lease.tenant, { damages, otherDeductions }, tx);
+
+      const moveOut = await tx.tenantMoveOut.create({
+        data: {
+          tenantId: lease.tenantId,
+          leaseId: lease.id,
+          unitId: lease.unitId,
+          propertyId: lease.propertyId,
+          moveOutDate: moveOutOn,
+          depositHeld: settlement.depositHeld,
+          creditBalance: settlement.creditBalance,
+          outstandingRent: settlement.outstandingRent,
+          outstandingBills: settlement.outstandingBills,
+          damages: settlement.damages,
+          otherDeductions: settlement.otherDeductions,
+          deductionItems: settlement.deductionItems,
+          totalDeductions: settlement.totalDeductions,
+          refundAmount: settlement.refundAmount,
+          amountDue: settlement.amountDue,
+          refundStatus: settlement.refundAmount > 0 ? 'PENDING' : 'NOT_APPLICABLE',
+          notes: notes || null,
+          processedById: req.user.id
+        },
+        include: moveOutInclude
+      });
+
+      const depositDeductions = await applyDepositOnMoveOut(tx, lease.tenantId, settlement, {
+        moveOutId: moveOut.id,
+        transactionDate: moveOutOn,
+        createdById: req.user.id
+      });
+
+      // Leaving before the lease end date is an early termination
+      const endedEarly = moveOutOn < lease.endDate;
+      await tx.lease.update({
+        where: { id: lease.id },
+        data: {
+          status: endedEarly ? 'TERMINATED' : 'EXPIRED',
+          terminationDate: moveOutOn,
+          ...(!lease.terminationReason && endedEarly && { terminationReason: 'Tenant moved out before the lease end date' })
+        }
+      });
+
+      await tx.unit.update({
+        where: { id: lease.unitId },
+        data: { status: 'VACANT' }
+      });
+
+      await tx.tenant.update({
+        where: { id: lease.tenantId },
+        data: {
+          status: 'MOVED_OUT',
+          movedOutAt: moveOutOn,
+          unitId: null
+        }
+      });
+
+      // The overpayment credit is paid out with the deposit refund
+      if (settlement.creditRecordId && settlement.creditBalance > 0) {
+        await tx.paymentReport.update({
+          where: { id: settlement.creditRecordId },
+          data: {
+            amountPaid: 0,
+            notes: `Credit balance of Ksh ${settlement.creditBalance.toFixed(2)} settled on move-out`
+          }
+        });
+      }
+
+      await tx.tenantAccount.updateMany({
+        where: { tenantId: lease.tenantId },
+        data: { isActive: false }
+      });
+
+      return {
+        moveOut,
+        depositDeductions,
+        openInvoices: settlement.openInvoices,
+        openBillInvoices: settlement.openBillInvoices
+      };
+    });
+
+    await queueDepositReceipts(result.depositDeductions, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: result.moveOut.amountDue > 0
+        ? `Tenant moved out. Deductions exceed the deposit by Ksh ${result.moveOut.amountDue.toFixed(2)}.`
+        : `Tenant moved out. Deposit refund due: Ksh ${result.moveOut.refundAmount.toFixed(2)}.`
+    });
+  } catch (error) {
+    handleError(res, error, 'Move out tenant');
+  }
+};
+
+// ======================================================
+// DEPOSIT REFUNDS
+// ======================================================
+
+// @desc    List move-out settlements (e.g. ?refundStatus=PENDING for refunds to pay)
+// @route   GET /api/leases/move-outs?propertyId=&tenantId=&refundStatus=&page=&limit=
+// @access  Private (ADMIN, MANAGER, USER with VIEW_TENANTS)
+export const getMoveOuts = async (req, res) => {
+  try {
+    const { propertyId, tenantId, refundStatus, page = 1, limit = 20 } = req.query;
+
+    if (refundStatus && !VALID_REFUND_STATUSES.includes(refundStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid refundStatus. Must be one of: ${VALID_REFUND_STATUSES.join(', ')}`
+      });
+    }
+
+    const where = {
+      ...(await getLeasePropertyScope(req.user.id, req.user.role)),
+      ...(tenantId && { tenantId }),
+      ...(refundStatus && { refundStatus })
+    };
+
+    if (propertyId) {
+      if (!(await checkLeasePermission(req.user.id, req.user.role, propertyId, 'view'))) {
+        throw httpError(403, null);
+      }
+      where.propertyId = propertyId;
+    }
+
+    const take = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [moveOuts, total] = await Promise.all([
+      prisma.tenantMoveOut.findMany({
+        where,
+        include: moveOutInclude,
+        orderBy: { moveOutDate: 'desc' },
+        skip,
+        take
+      }),
+      prisma.tenantMoveOut.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: moveOuts,
+      pagination: {
+        page: parseInt(page) || 1,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get move-outs', 'view');
+  }
+};
+
+// @desc    Record that a deposit refund has been paid out. The deposit left after
+//          the move-out deductions is refunded on the deposit ledger.
+// @route   PATCH /api/leases/move-outs/:moveOutId/refund
+// @access  Private (ADMIN, MANAGER, USER with EDIT_TENANT)
+export const recordDepositRefund = async (req, res) => {
+  try {
+    const { refundMethod, refundReference, refundedAt } = req.body;
+
+    const moveOut = await prisma.tenantMoveOut.findUnique({
+      where: { id: req.params.moveOutId }
+    });
+
+    if (!moveOut) {
+      return res.status(404).json({ success: false, message: 'Move-out not found' });
+    }
+
+    if (!(await checkLeasePermission(req.user.id, req.user.role, moveOut.propertyId, 'edit'))) {
+      throw httpError(403, null);
+    }
+
+    if (moveOut.refundStatus !== 'PENDING') {
+      return res.status(400).json({
+        success: false,
+        message: moveOut.refundStatus === 'REFUNDED'
+          ? 'The deposit refund has already been recorded'
+          : 'No deposit refund is due for this move-out'
+      });
+    }
+
+    if (!refundMethod || !VALID_REFUND_METHODS.includes(refundMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `refundMethod is required and must be one of: ${VALID_REFUND_METHODS.join(', ')}`
+      });
+    }
+
+    const refundedOn = refundedAt ? parseDate(refundedAt, 'refundedAt') : new Date();
+
+    const { updated, depositRefund } = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.tenantMoveOut.updateMany({
+        where: { id: moveOut.id, refundStatus: 'PENDING' },
+        data: {
+          refundStatus: 'REFUNDED',
+          refundMethod,
+          refundReference: refundReference || null,
+          refundedAt: refundedOn
+        }
+      });
+      if (claimed.count === 0) {
+        throw httpError(409, 'The deposit refund has already been recorded');
+      }
+
+      const depositRefund = await refundDepositOnMoveOut(tx, moveOut, {
+        method: refundMethod,
+        reference: refundReference,
+        transactionDate: refundedOn,
+        createdById: req.user.id
+      });
+
+      const updated = await tx.tenantMoveOut.findUnique({
+        where: { id: moveOut.id },
+        include: moveOutInclude
+      });
+
+      return { updated, depositRefund };
+    });
+
+    if (depositRefund) {
+      await queueDepositReceipts([depositRefund], req.user.id);
+    }
+
+    res.json({ success: true, data: { ...updated, depositRefund }, message: 'Deposit refund recorded' });
+  } catch (error) {
+    handleError(res, error, 'Record deposit refund');
+  }
+};
@@ -0,0 +1,573 @@
+import prisma from "../lib/prisma.js";
+import permissionService from "../services/permissionService.js";
+import {
+  ensureDefaultAccounts,
+  postJournalEntry,
+  reverseJournalEntry as postReversal,
+  getTrialBalance as getLedgerTrialBalance,
+  DEBIT_NORMAL_TYPES
+} from "../services/ledgerService.js";
+import { roundMoney } from "../utils/money.js";
+
+const VALID_ACCOUNT_TYPES = ['ASSET', 'LIABILITY', 'EQUITY', 'INCOME', 'EXPENSE'];
+const VALID_SOURCE_TYPES = [
+  'INVOICE', 'PAYMENT', 'BILL', 'BILL_PAYMENT', 'COMMISSION',
+  'COMMISSION_PAYMENT', 'SALARY_PAYMENT', 'MANUAL', 'REVERSAL'
+];
+
+const journalEntryInclude = {
+  postings: {
+    include: {
+      account: { select: { id: true, code: true, name: true, type: true } }
+    }
+  },
+  property: { select: { id: true, name: true } },
+  tenant: { select: { id: true, fullName: true } },
+  createdBy: { select: { id: true, name: true, email: true } },
+  reversalOf: { select: { id: true, entryNumber: true } },
+  reversedBy: { select: { id: true, entryNumber: true } }
+};
+
+// ======================================================
+// PERMISSION HELPER FUNCTIONS
+// ======================================================
+
+// Check a ledger operation (post, reverse, manageAccounts)
+const checkLedgerPermission = async (userId, userRole, operation) => {
+  if (userRole === 'ADMIN') {
+    return true;
+  }
+
+  return await permissionService.checkLedgerPermission(userId, operation);
+};
+
+// Work out which part of the ledger the user may read:
+// null = whole ledger, array = entries tagged with those properties, false = no access
+const getLedgerScope = async (userId, userRole) => {
+  if (userRole === 'ADMIN') {
+    return null;
+  }
+
+  if (await permissionService.checkLedgerPermission(userId, 'view')) {
+    return null;
+  }
+
+  if (userRole === 'MANAGER') {
+    const properties = await prisma.property.findMany({
+      where: { managerId: userId },
+      select: { id: true }
+    });
+    return properties.map(p => p.id);
+  }
+
+  return false;
+};
+
+// Parse an optional date query parameter (returns undefined when absent, null when invalid)
+const parseDate = (value, endOfDay = false) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// ======================================================
+// CHART OF ACCOUNTS
+// ======================================================
+
+// @desc    Get chart of accounts
+// @route   GET /api/ledger/accounts
+// @access  Private (ADMIN, VIEW_LEDGER, or MANAGER)
+export const getLedgerAccounts = async (req, res) => {
+  try {
+    const scope = await getLedgerScope(req.user.id, req.user.role);
+    if (scope === false) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to view the ledger' });
+    }
+
+    const { type, includeInactive } = req.query;
+
+    await ensureDefaultAccounts();
+
+    const where = {};
+    if (type) where.type = type;
+    if (includeInactive !== 'true') where.isActive = true;
+
+    const accounts = await prisma.ledgerAccount.findMany({
+      where,
+      orderBy: { code: 'asc' }
+    });
+
+    res.json({ success: true, data: accounts });
+  } catch (error) {
+    console.error('Get ledger accounts error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Create a ledger account
+// @route   POST /api/ledger/accounts
+// @access  Private (ADMIN or MANAGE_LEDGER_ACCOUNTS)
+export const createLedgerAccount = async (req, res) => {
+  try {
+    const hasPermission = await checkLedgerPermission(req.user.id, req.user.role, 'manageAccounts');
+    if (!hasPermission) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to manage ledger accounts' });
+    }
+
+    const { code, name, type, description } = req.body;
+
+    if (!code || !name || !type) {
+      return res.status(400).json({ success: false, message: 'code, name and type are required' });
+    }
+    if (!VALID_ACCOUNT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid account type. Must be one of: ${VALID_ACCOUNT_TYPES.join(', ')}`
+      });
+    }
+
+    const account = await prisma.ledgerAccount.create({
+      data: {
+        code: String(code).trim(),
+        name: name.trim(),
+        type,
+        description: description || null
+      }
+    });
+
+    res.status(201).json({ success: true, data: account, message: 'Ledger account created successfully' });
+  } catch (error) {
+    console.error('Create ledger account error:', error);
+    if (error.code === 'P2002') {
+      return res.status(409).json({ success: false, message: 'An account with this code already exists' });
+    }
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Update a ledger account (name, description, active flag)
+// @route   PATCH /api/ledger/accounts/:id
+// @access  Private (ADMIN or MANAGE_LEDGER_ACCOUNTS)
+export const updateLedgerAccount = async (req, res) => {
+  try {
+    const hasPermission = await checkLedgerPermission(req.user.id, req.user.role, 'manageAccounts');
+    if (!hasPermission) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to manage ledger accounts' });
+    }
+
+    const { id } = req.params;
+    const { name, description, isActive } = req.body;
+
+    const account = await prisma.ledgerAccount.findUnique({ where: { id } });
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'Ledger account not found' });
+    }
+
+    if (account.isSystem && isActive === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'System accounts are used by automatic postings and cannot be deactivated'
+      });
+    }
+
+    // Code and type stay fixed so existing postings keep their meaning
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (description !== undefined) updateData.description = description;
+    if (isActive !== undefined) updateData.isActive = Boolean(isActive);
+
+    const updated = await prisma.ledgerAccount.update({
+      where: { id },
+      data: updateData
+    });
+
+    res.json({ success: true, data: updated, message: 'Ledger account updated successfully' });
+  } catch (error) {
+    console.error('Update ledger account error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Get postings for one account with a running balance
+// @route   GET /api/ledger/accounts/:id/postings
+// @access  Private (ADMIN, VIEW_LEDGER, or MANAGER for their properties)
+export const getAccountPostings = async (req, res) => {
+  try {
+    const scope = await getLedgerScope(req.user.id, req.user.role);
+    if (scope === false) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to view the ledger' });
+    }
+
+    const { id } = req.params;
+    const { propertyId, tenantId, from, to, page = 1, limit = 50 } = req.query;
+
+    const account = await prisma.ledgerAccount.findUnique({ where: { id } });
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'Ledger account not found' });
+    }
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to, true);
+    if (fromDate === null || toDate === null) {
+      return res.status(400).json({ success: false, message: 'Invalid from/to date' });
+    }
+
+    if (propertyId && scope !== null && !scope.includes(propertyId)) {
+      return res.status(403).json({ success: false, message: 'Access denied to this property' });
+    }
+
+    const entryWhere = {};
+    if (scope !== null) entryWhere.propertyId = { in: scope };
+    if (propertyId) entryWhere.propertyId = propertyId;
+    if (tenantId) entryWhere.tenantId = tenantId;
+
+    const periodWhere = { ...entryWhere };
+    if (fromDate || toDate) {
+      periodWhere.entryDate = {};
+      if (fromDate) periodWhere.entryDate.gte = fromDate;
+      if (toDate) periodWhere.entryDate.lte = toDate;
+    }
+
+    const take = Math.min(parseInt(limit) || 50, 200);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+    const orderBy = [{ journalEntry: { entryDate: 'asc' } }, { createdAt: 'asc' }];
+
+    const [postings, total, opening] = await Promise.all([
+      prisma.ledgerPosting.findMany({
+        where: { accountId: id, journalEntry: periodWhere },
+        include: {
+          journalEntry: {
+            select: {
+              id: true,
+              entryNumber: true,
+              entryDate: true,
+              description: true,
+              sourceType: true,
+              sourceId: true,
+              propertyId: true,
+              tenantId: true
+            }
+          }
+        },
+        orderBy,
+        skip,
+        take
+      }),
+      prisma.ledgerPosting.count({ where: { accountId: id, journalEntry: periodWhere } }),
+      fromDate
+        ? prisma.ledgerPosting.aggregate({
+            where: { accountId: id, journalEntry: { ...entryWhere, entryDate: { lt: fromDate } } },
+            _sum: { debit: true, credit: true }
+          })
+        : null
+    ]);
+
+    // Balance carried into this page: everything before `from` plus earlier pages
+    const sign = DEBIT_NORMAL_TYPES.includes(account.type) ? 1 : -1;
+    let runningBalance = opening ? sign * ((opening._sum.debit || 0) - (opening._sum.credit || 0)) : 0;
+
+    if (skip > 0) {
+      const earlier = await prisma.ledgerPosting.findMany({
+        where: { accountId: id, journalEntry: periodWhere },
+        select: { debit: true, credit: true },
+        orderBy,
+        take: skip
+      });
+      runningBalance += earlier.reduce((sum, p) => sum + sign * (p.debit - p.credit), 0);
+    }
+
+    const openingBalance = roundMoney(runningBalance);
+    const rows = postings.map(posting => {
+      runningBalance += sign * (posting.debit - posting.credit);
+      return { ...posting, runningBalance: roundMoney(runningBalance) };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        account,
+        openingBalance,
+        postings: rows
+      },
+      pagination: {
+        page: Math.floor(skip / take) + 1,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    console.error('Get account postings error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// ======================================================
+// JOURNAL ENTRIES
+// ======================================================
+
+// @desc    Get journal entries
+// @route   GET /api/ledger/journal-entries
+// @access  Private (ADMIN, VIEW_LEDGER, or MANAGER for their properties)
+export const getJournalEntries = async (req, res) => {
+  try {
+    const scope = await getLedgerScope(req.user.id, req.user.role);
+    if (scope === false) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to view the ledger' });
+    }
+
+    const { sourceType, sourceId, propertyId, tenantId, from, to, page = 1, limit = 20 } = req.query;
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to, true);
+    if (fromDate === null || toDate === null) {
+      return res.status(400).json({ success: false, message: 'Invalid from/to date' });
+    }
+
+    if (propertyId && scope !== null && !scope.includes(propertyId)) {
+      return res.status(403).json({ success: false, message: 'Access denied to this property' });
+    }
+
+    const sourceTypes = sourceType ? sourceType.split(',') : [];
+    const invalidSourceType = sourceTypes.find(type => !VALID_SOURCE_TYPES.includes(type));
+    if (invalidSourceType) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sourceType. Must be one of: ${VALID_SOURCE_TYPES.join(', ')}`
+      });
+    }
+
+    const where = {};
+    if (scope !== null) where.propertyId = { in: scope };
+    if (propertyId) where.propertyId = propertyId;
+    if (tenantId) where.tenantId = tenantId;
+    if (sourceTypes.length > 0) where.sourceType = { in: sourceTypes };
+    if (sourceId) where.sourceId = sourceId;
+    if (fromDate || toDate) {
+      where.entryDate = {};
+      if (fromDate) where.entryDate.gte = fromDate;
+      if (toDate) where.entryDate.lte = toDate;
+    }
+
+    const take = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [entries, total] = await Promise.all([
+      prisma.journalEntry.findMany({
+        where,
+        include: journalEntryInclude,
+        orderBy: [{ entryDate: 'desc' }, { entryNumber: 'desc' }],
+        skip,
+        take
+      }),
+      prisma.journalEntry.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page: Math.floor(skip / take) + 1,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    console.error('Get journal entries error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Get single journal entry
+// @route   GET /api/ledger/journal-entries/:id
+// @access  Private (ADMIN, VIEW_LEDGER, or MANAGER for their properties)
+export const getJournalEntry = async (req, res) => {
+  try {
+    const scope = await getLedgerScope(req.user.id, req.user.role);
+    if (scope === false) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to view the ledger' });
+    }
+
+    const entry = await prisma.journalEntry.findUnique({
+      where: { id: req.params.id },
+      include: journalEntryInclude
+    });
+
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Journal entry not found' });
+    }
+    if (scope !== null && !scope.includes(entry.propertyId)) {
+      return res.status(403).json({ success: false, message: 'Access denied to this journal entry' });
+    }
+
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    console.error('Get journal entry error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Post a manual journal entry (adjustments, opening balances, expenses)
+// @route   POST /api/ledger/journal-entries
+// @access  Private (ADMIN or POST_JOURNAL_ENTRIES)
+export const createJournalEntry = async (req, res) => {
+  try {
+    const hasPermission = await checkLedgerPermission(req.user.id, req.user.role, 'post');
+    if (!hasPermission) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to post journal entries' });
+    }
+
+    const { description, entryDate, propertyId, tenantId, lines } = req.body;
+
+    if (!description) {
+      return res.status(400).json({ success: false, message: 'description is required' });
+    }
+    if (!Array.isArray(lines) || lines.length < 2) {
+      return res.status(400).json({ success: false, message: 'A journal entry needs at least two lines' });
+    }
+
+    const parsedDate = entryDate ? new Date(entryDate) : new Date();
+    if (isNaN(parsedDate.getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid entryDate' });
+    }
+
+    // Resolve accounts by id or code and reject inactive ones
+    const accountIds = lines.filter(line => line.accountId).map(line => line.accountId);
+    const accountCodes = lines.filter(line => !line.accountId && line.accountCode).map(line => String(line.accountCode));
+    const accounts = await prisma.ledgerAccount.findMany({
+      where: { OR: [{ id: { in: accountIds } }, { code: { in: accountCodes } }] }
+    });
+
+    const postingLines = [];
+    for (const [index, line] of lines.entries()) {
+      const account = accounts.find(a => a.id === line.accountId || (!line.accountId && a.code === String(line.accountCode)));
+      if (!account) {
+        return res.status(400).json({ success: false, message: `Line ${index + 1}: account not found` });
+      }
+      if (!account.isActive) {
+        return res.status(400).json({ success: false, message: `Line ${index + 1}: account ${account.code} is inactive` });
+      }
+
+      const debit = parseFloat(line.debit || 0);
+      const credit = parseFloat(line.credit || 0);
+      if (isNaN(debit) || isNaN(credit) || debit < 0 || credit < 0 || (debit > 0) === (credit > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: `Line ${index + 1}: enter a positive debit or a positive credit, not both`
+        });
+      }
+
+      postingLines.push({ accountId: account.id, debit, credit, memo: line.memo });
+    }
+
+    const entry = await prisma.$transaction(async (tx) => {
+      const posted = await postJournalEntry(tx, {
+        description,
+        sourceType: 'MANUAL',
+        propertyId: propertyId || null,
+        tenantId: tenantId || null,
+        entryDate: parsedDate,
+        createdById: req.user.id,
+        lines: postingLines
+      });
+
+      return tx.journalEntry.findUnique({
+        where: { id: posted.id },
+        include: journalEntryInclude
+      });
+    });
+
+    res.status(201).json({ success: true, data: entry, message: 'Journal entry posted successfully' });
+  } catch (error) {
+    console.error('Create journal entry error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Reverse a journal entry by posting its mirror image
+// @route   POST /api/ledger/journal-entries/:id/reverse
+// @access  Private (ADMIN or REVERSE_JOURNAL_ENTRIES)
+export const reverseJournalEntry = async (req, res) => {
+  try {
+    const hasPermission = await checkLedgerPermission(req.user.id, req.user.role, 'reverse');
+    if (!hasPermission) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to reverse journal entries' });
+    }
+
+    const { reason } = req.body;
+
+    const existing = await prisma.journalEntry.findUnique({ where: { id: req.params.id } });
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Journal entry not found' });
+    }
+
+    const entry = await prisma.$transaction(async (tx) => {
+      const reversal = await postReversal(tx, existing.id, {
+        createdById: req.user.id,
+        description: reason ? `Reversal of ${existing.entryNumber}: ${reason}` : null
+      });
+
+      return tx.journalEntry.findUnique({
+        where: { id: reversal.id },
+        include: journalEntryInclude
+      });
+    });
+
+    res.status(201).json({ success: true, data: entry, message: 'Journal entry reversed successfully' });
+  } catch (error) {
+    console.error('Reverse journal entry error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// ======================================================
+// REPORTS
+// ======================================================
+
+// @desc    Trial balance (per-account debit/credit balances)
+// @route   GET /api/ledger/trial-balance
+// @access  Private (ADMIN, VIEW_LEDGER, or MANAGER for their properties)
+export const getTrialBalance = async (req, res) => {
+  try {
+    const scope = await getLedgerScope(req.user.id, req.user.role);
+    if (scope === false) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to view the ledger' });
+    }
+
+    const { propertyId, from, to } = req.query;
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to, true);
+    if (fromDate === null || toDate === null) {
+      return res.status(400).json({ success: false, message: 'Invalid from/to date' });
+    }
+
+    if (propertyId && scope !== null && !scope.includes(propertyId)) {
+      return res.status(403).json({ success: false, message: 'Access denied to this property' });
+    }
+
+    const trialBalance = await getLedgerTrialBalance({
+      from: fromDate,
+      to: toDate,
+      propertyIds: propertyId ? [propertyId] : scope
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...trialBalance,
+        from: fromDate || null,
+        to: toDate || null,
+        propertyId: propertyId || null
+      }
+    });
+  } catch (error) {
+    console.error('Get trial balance error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,848 @@
+import prisma from "../lib/prisma.js";
+import fs from 'fs/promises';
+import path from 'path';
+import permissionService from "../services/permissionService.js";
+import { uploadDocument, deleteDocument } from "../utils/uploadHelper.js";
+
+// ======================================================
+// WORKFLOW CONFIGURATION
+// ======================================================
+
+// Allowed status transitions: open → assigned → in progress → resolved → closed
+const STATUS_TRANSITIONS = {
+  OPEN: ['ASSIGNED', 'IN_PROGRESS', 'CANCELLED'],
+  ASSIGNED: ['IN_PROGRESS', 'OPEN', 'CANCELLED'],
+  IN_PROGRESS: ['RESOLVED', 'ASSIGNED', 'CANCELLED'],
+  RESOLVED: ['CLOSED', 'IN_PROGRESS'],
+  CLOSED: [],
+  CANCELLED: []
+};
+
+export const VALID_CATEGORIES = [
+  'PLUMBING', 'ELECTRICAL', 'STRUCTURAL', 'APPLIANCE', 'HVAC', 'PAINTING',
+  'CARPENTRY', 'PEST_CONTROL', 'CLEANING', 'SECURITY', 'GENERAL'
+];
+const VALID_PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+const VALID_COST_BEARERS = ['LANDLORD', 'TENANT', 'MANAGEMENT'];
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+
+const maintenanceInclude = {
+  property: { select: { id: true, name: true, address: true } },
+  unit: { select: { id: true, unitNo: true, floor: true } },
+  tenant: { select: { id: true, fullName: true, contact: true, email: true } },
+  reportedBy: { select: { id: true, name: true, email: true } },
+  reportedByTenant: { select: { id: true, tenantId: true } },
+  assignedProvider: { select: { id: true, name: true, contact: true } },
+  assignedUser: { select: { id: true, name: true, email: true } },
+  photos: { orderBy: { uploadedAt: 'desc' } }
+};
+
+// ======================================================
+// PERMISSION HELPER FUNCTIONS
+// ======================================================
+
+// Check maintenance permission for a property
+const checkMaintenancePermission = async (userId, userRole, propertyId, operation) => {
+  if (userRole === 'ADMIN') {
+    return true;
+  }
+
+  if (userRole === 'MANAGER') {
+    const property = await prisma.property.findFirst({
+      where: { id: propertyId, managerId: userId }
+    });
+    return !!property;
+  }
+
+  if (userRole === 'USER') {
+    return await permissionService.checkMaintenancePermission(userId, propertyId, operation);
+  }
+
+  return false;
+};
+
+// Load a maintenance request and check the caller may perform the operation on it
+const getRequestWithAccess = async (id, userId, userRole, operation = 'view') => {
+  const request = await prisma.maintenanceRequest.findUnique({
+    where: { id },
+    include: maintenanceInclude
+  });
+
+  if (!request) {
+    return { error: 'Maintenance request not found', status: 404 };
+  }
+
+  // Staff assigned to the job can always view and progress it
+  const isAssignee = request.assignedUserId === userId;
+  if (isAssignee && (operation === 'view' || operation === 'edit')) {
+    return { request };
+  }
+
+  const hasAccess = await checkMaintenancePermission(userId, userRole, request.propertyId, operation);
+  if (!hasAccess) {
+    return { error: 'Access denied to this maintenance request', status: 403 };
+  }
+
+  return { request };
+};
+
+// Get property IDs the user can view maintenance requests for
+const getAccessiblePropertyIds = async (userId, userRole) => {
+  if (userRole === 'ADMIN') {
+    return null; // No restriction
+  }
+
+  if (userRole === 'MANAGER') {
+    const properties = await prisma.property.findMany({
+      where: { managerId: userId },
+      select: { id: true }
+    });
+    return properties.map(p => p.id);
+  }
+
+  const accessiblePropertyIds = await permissionService.getAccessiblePropertyIds(userId, userRole);
+  const propertiesWithPermission = [];
+  for (const propertyId of accessiblePropertyIds) {
+    const hasPermission = await permissionService.checkMaintenancePermission(userId, propertyId, 'view');
+    if (hasPermission) {
+      propertiesWithPermission.push(propertyId);
+    }
+  }
+  return propertiesWithPermission;
+};
+
+// ======================================================
+// GENERAL HELPERS
+// ======================================================
+
+/**
+ * Generate unique maintenance request number (MR-YYYY-0001)
+ */
+export async function generateRequestNumber() {
+  const year = new Date().getFullYear();
+  const prefix = `MR-${year}`;
+
+  const latestRequest = await prisma.maintenanceRequest.findFirst({
+    where: {
+      requestNumber: {
+        startsWith: prefix
+      }
+    },
+    orderBy: {
+      requestNumber: 'desc'
+    },
+    select: { requestNumber: true }
+  });
+
+  if (!latestRequest) {
+    return `${prefix}-0001`;
+  }
+
+  const lastNumber = parseInt(latestRequest.requestNumber.split('-')[2]);
+  const newNumber = (lastNumber + 1).toString().padStart(4, '0');
+
+  return `${prefix}-${newNumber}`;
+}
+
+const parseCost = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? NaN : parsed;
+};
+
+// Store uploaded photos for a request and return the created photo records
+const savePhotos = async (requestId, files, userId, { caption, stage } = {}) => {
+  const photos = [];
+
+  for (const file of files) {
+    const fileBuffer = await fs.readFile(file.path);
+    const fileExtension = path.extname(file.originalname);
+    const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}${fileExtension}`;
+    const filePath = `maintenance-requests/${requestId}/${fileName}`;
+
+    const { url } = await uploadDocument(fileBuffer, filePath);
+
+    try {
+      await fs.unlink(file.path);
+    } catch (unlinkError) {
+      console.warn('Failed to delete temporary file:', unlinkError);
+    }
+
+    const photo = await prisma.maintenanceRequestPhoto.create({
+      data: {
+        maintenanceRequestId: requestId,
+        fileName: file.originalname,
+        fileUrl: url,
+        fileType: fileExtension.substring(1).toUpperCase() || 'UNKNOWN',
+        fileSize: file.size,
+        caption: caption || null,
+        stage: stage || null,
+        uploadedById: userId
+      }
+    });
+    photos.push(photo);
+  }
+
+  return photos;
+};
+
+// Remove temp files multer wrote when we reject the request before storing them
+const discardTempFiles = async (files = []) => {
+  for (const file of files) {
+    try {
+      await fs.unlink(file.path);
+    } catch (error) {
+      console.warn('Failed to delete temporary file:', error);
+    }
+  }
+};
+
+// ======================================================
+// MAINTENANCE REQUEST CRUD
+// ======================================================
+
+// @desc    Get maintenance requests (filtered by accessible properties)
+// @route   GET /api/maintenance-requests
+// @access  Private
+export const getMaintenanceRequests = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const {
+      propertyId,
+      unitId,
+      tenantId,
+      status,
+      priority,
+      category,
+      assignedProviderId,
+      assignedToMe,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const where = {};
+
+    const accessiblePropertyIds = await getAccessiblePropertyIds(userId, userRole);
+
+    if (assignedToMe === 'true') {
+      where.assignedUserId = userId;
+    } else if (accessiblePropertyIds !== null) {
+      // Users also see jobs assigned to them on properties they can't otherwise browse
+      where.OR = [
+        { propertyId: { in: accessiblePropertyIds } },
+        { assignedUserId: userId }
+      ];
+    }
+
+    if (propertyId) where.propertyId = propertyId;
+    if (unitId) where.unitId = unitId;
+    if (tenantId) where.tenantId = tenantId;
+    if (status) where.status = { in: status.split(',') };
+    if (priority) where.priority = priority;
+    if (category) where.category = category;
+    if (assignedProviderId) where.assignedProviderId = assignedProviderId;
+
+    const take = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [requests, total] = await Promise.all([
+      prisma.maintenanceRequest.findMany({
+        where,
+        include: maintenanceInclude,
+        orderBy: [{ createdAt: 'desc' }],
+        skip,
+        take
+      }),
+      prisma.maintenanceRequest.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: requests,
+      pagination: {
+        page: Math.floor(skip / take) + 1,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    console.error('Get maintenance requests error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Get maintenance summary (counts by status and priority, cost totals)
+// @route   GET /api/maintenance-requests/summary
+// @access  Private
+export const getMaintenanceSummary = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { propertyId } = req.query;
+
+    const where = {};
+    const accessiblePropertyIds = await getAccessiblePropertyIds(userId, userRole);
+    if (accessiblePropertyIds !== null) {
+      where.propertyId = { in: accessiblePropertyIds };
+    }
+    if (propertyId) {
+      if (accessiblePropertyIds !== null && !accessiblePropertyIds.includes(propertyId)) {
+        return res.status(403).json({ success: false, message: 'Access denied to this property' });
+      }
+      where.propertyId = propertyId;
+    }
+
+    const [byStatus, byPriority, costs] = await Promise.all([
+      prisma.maintenanceRequest.groupBy({
+        by: ['status'],
+        where,
+        _count: { _all: true }
+      }),
+      prisma.maintenanceRequest.groupBy({
+        by: ['priority'],
+        where: { ...where, status: { notIn: ['CLOSED', 'CANCELLED'] } },
+        _count: { _all: true }
+      }),
+      prisma.maintenanceRequest.aggregate({
+        where,
+        _sum: { estimatedCost: true, actualCost: true }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        byStatus: Object.fromEntries(byStatus.map(s => [s.status, s._count._all])),
+        openByPriority: Object.fromEntries(byPriority.map(p => [p.priority, p._count._all])),
+        totalEstimatedCost: costs._sum.estimatedCost || 0,
+        totalActualCost: costs._sum.actualCost || 0
+      }
+    });
+  } catch (error) {
+    console.error('Get maintenance summary error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Get single maintenance request
+// @route   GET /api/maintenance-requests/:id
+// @access  Private
+export const getMaintenanceRequest = async (req, res) => {
+  try {
+    const result = await getRequestWithAccess(req.params.id, req.user.id, req.user.role, 'view');
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, data: result.request });
+  } catch (error) {
+    console.error('Get maintenance request error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Create maintenance request (optionally with photos)
+// @route   POST /api/maintenance-requests
+// @access  Private
+export const createMaintenanceRequest = async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const {
+      unitId,
+      tenantId,
+      title,
+      description,
+      category,
+      priority,
+      location,
+      estimatedCost
+    } = req.body;
+    let { propertyId } = req.body;
+
+    if (!title) {
+      await discardTempFiles(files);
+      return res.status(400).json({ success: false, message: 'title is required' });
+    }
+
+    // Resolve the unit (and through it the property/tenant) when given
+    let unit = null;
+    if (unitId) {
+      unit = await prisma.unit.findUnique({
+        where: { id: unitId },
+        include: { tenant: { select: { id: true } } }
+      });
+      if (!unit) {
+        await discardTempFiles(files);
+        return res.status(404).json({ success: false, message: 'Unit not found' });
+      }
+      if (propertyId && propertyId !== unit.propertyId) {
+        await discardTempFiles(files);
+        return res.status(400).json({ success: false, message: 'Unit does not belong to the specified property' });
+      }
+      propertyId = unit.propertyId;
+    }
+
+    let resolvedTenantId = tenantId || unit?.tenant?.id || null;
+    if (tenantId) {
+      const tenant = await prisma.tenant.findUnique({
+        where: { id: tenantId },
+        include: { unit: { select: { id: true, propertyId: true } } }
+      });
+      if (!tenant) {
+        await discardTempFiles(files);
+        return res.status(404).json({ success: false, message: 'Tenant not found' });
+      }
+      if (!tenant.unit) {
+        await discardTempFiles(files);
+        return res.status(400).json({ success: false, message: 'Tenant has moved out and no longer occupies a unit' });
+      }
+      if (propertyId && tenant.unit.propertyId !== propertyId) {
+        await discardTempFiles(files);
+        return res.status(400).json({ success: false, message: 'Tenant does not belong to the specified property' });
+      }
+      propertyId = tenant.unit.propertyId;
+      unit = unit || { id: tenant.unit.id };
+      resolvedTenantId = tenant.id;
+    }
+
+    if (!propertyId) {
+      await discardTempFiles(files);
+      return res.status(400).json({ success: false, message: 'propertyId, unitId or tenantId is required' });
+    }
+
+    const property = await prisma.property.findUnique({ where: { id: propertyId } });
+    if (!property) {
+      await discardTempFiles(files);
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+
+    const hasPermission = await checkMaintenancePermission(userId, userRole, propertyId, 'create');
+    if (!hasPermission) {
+      await discardTempFiles(files);
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to create maintenance requests for this property.',
+        requiredPermission: 'CREATE_MAINTENANCE_REQUESTS'
+      });
+    }
+
+    if (category && !VALID_CATEGORIES.includes(category)) {
+      await discardTempFiles(files);
+      return res.status(400).json({ success: false, message: `Invalid category. Must be one of: ${VALID_CATEGORIES.join(', ')}` });
+    }
+    if (priority && !VALID_PRIORITIES.includes(priority)) {
+      await discardTempFiles(files);
+      return res.status(400).json({ success: false, message: `Invalid priority. Must be one of: ${VALID_PRIORITIES.join(', ')}` });
+    }
+
+    const parsedEstimate = parseCost(estimatedCost);
+    if (Number.isNaN(parsedEstimate) || parsedEstimate < 0) {
+      await discardTempFiles(files);
+      return res.status(400).json({ success: false, message: 'estimatedCost must be a non-negative number' });
+    }
+
+    const requestNumber = await generateRequestNumber();
+
+    const request = await prisma.maintenanceRequest.create({
+      data: {
+        requestNumber,
+        propertyId,
+        unitId: unit?.id || null,
+        tenantId: resolvedTenantId,
+        title,
+        description: description || null,
+        category: category || undefined,
+        priority: priority || undefined,
+        location: location || null,
+        estimatedCost: parsedEstimate ?? null,
+        reportedById: userId
+      }
+    });
+
+    if (files.length > 0) {
+      await savePhotos(request.id, files, userId, { stage: 'BEFORE' });
+    }
+
+    const created = await prisma.maintenanceRequest.findUnique({
+      where: { id: request.id },
+      include: maintenanceInclude
+    });
+
+    res.status(201).json({
+      success: true,
+      data: created,
+      message: 'Maintenance request created successfully'
+    });
+  } catch (error) {
+    console.error('Create maintenance request error:', error);
+    await discardTempFiles(files);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Update maintenance request details
+// @route   PUT /api/maintenance-requests/:id
+// @access  Private
+export const updateMaintenanceRequest = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { title, description, category, priority, location } = req.body;
+
+    const result = await getRequestWithAccess(req.params.id, userId, userRole, 'edit');
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    if (['CLOSED', 'CANCELLED'].includes(result.request.status)) {
+      return res.status(400).json({ success: false, message: `Cannot edit a ${result.request.status.toLowerCase()} maintenance request` });
+    }
+
+    if (category && !VALID_CATEGORIES.includes(category)) {
+      return res.status(400).json({ success: false, message: `Invalid category. Must be one of: ${VALID_CATEGORIES.join(', ')}` });
+    }
+    if (priority && !VALID_PRIORITIES.includes(priority)) {
+      return res.status(400).json({ success: false, message: `Invalid priority. Must be one of: ${VALID_PRIORITIES.join(', ')}` });
+    }
+
+    const request = await prisma.maintenanceRequest.update({
+      where: { id: req.params.id },
+      data: {
+        title,
+        description,
+        category,
+        priority,
+        location
+      },
+      include: maintenanceInclude
+    });
+
+    res.json({ success: true, data: request, message: 'Maintenance request updated successfully' });
+  } catch (error) {
+    console.error('Update maintenance request error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Move a maintenance request through its workflow
+// @route   PATCH /api/maintenance-requests/:id/status
+// @access  Private
+export const updateMaintenanceStatus = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { status, resolutionNotes, actualCost } = req.body;
+
+    if (!status || !STATUS_TRANSITIONS[status]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${Object.keys(STATUS_TRANSITIONS).join(', ')}`
+      });
+    }
+
+    const result = await getRequestWithAccess(req.params.id, userId, userRole, 'edit');
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    const current = result.request;
+    if (!STATUS_TRANSITIONS[current.status].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change status from ${current.status} to ${status}`,
+        allowedTransitions: STATUS_TRANSITIONS[current.status]
+      });
+    }
+
+    // Only managers (or users with the update permission) may close or cancel jobs
+    if (['CLOSED', 'CANCELLED'].includes(status)) {
+      const canFinalize = await checkMaintenancePermission(userId, userRole, current.propertyId, 'edit');
+      if (!canFinalize) {
+        return res.status(403).json({ success: false, message: `You do not have permission to mark this request ${status}` });
+      }
+    }
+
+    if (status === 'ASSIGNED' && !current.assignedProviderId && !current.assignedUserId) {
+      return res.status(400).json({ success: false, message: 'Assign a service provider or staff member first' });
+    }
+
+    const parsedActualCost = parseCost(actualCost);
+    if (Number.isNaN(parsedActualCost) || parsedActualCost < 0) {
+      return res.status(400).json({ success: false, message: 'actualCost must be a non-negative number' });
+    }
+
+    const now = new Date();
+    const data = { status };
+
+    if (status === 'IN_PROGRESS' && !current.startedAt) data.startedAt = now;
+    if (status === 'RESOLVED') {
+      data.resolvedAt = now;
+      if (resolutionNotes !== undefined) data.resolutionNotes = resolutionNotes;
+    }
+    if (status === 'IN_PROGRESS' && current.status === 'RESOLVED') {
+      // Reopened - clear the resolution so it is captured again
+      data.resolvedAt = null;
+    }
+    if (status === 'CLOSED' || status === 'CANCELLED') data.closedAt = now;
+    if (status === 'OPEN') {
+      data.assignedProviderId = null;
+      data.assignedUserId = null;
+      data.assignedAt = null;
+    }
+    if (parsedActualCost !== undefined) data.actualCost = parsedActualCost;
+
+    const request = await prisma.maintenanceRequest.update({
+      where: { id: current.id },
+      data,
+      include: maintenanceInclude
+    });
+
+    res.json({
+      success: true,
+      data: request,
+      message: `Maintenance request marked as ${status}`
+    });
+  } catch (error) {
+    console.error('Update maintenance status error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Assign a maintenance request to a service provider and/or staff user
+// @route   PATCH /api/maintenance-requests/:id/assign
+// @access  Private
+export const assignMaintenanceRequest = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { serviceProviderId, assignedUserId } = req.body;
+
+    if (!serviceProviderId && !assignedUserId) {
+      return res.status(400).json({ success: false, message: 'serviceProviderId or assignedUserId is required' });
+    }
+
+    const result = await getRequestWithAccess(req.params.id, userId, userRole, 'assign');
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    const current = result.request;
+    if (['RESOLVED', 'CLOSED', 'CANCELLED'].includes(current.status)) {
+      return res.status(400).json({ success: false, message: `Cannot assign a ${current.status.toLowerCase()} maintenance request` });
+    }
+
+    if (serviceProviderId) {
+      const provider = await prisma.serviceProvider.findUnique({ where: { id: serviceProviderId } });
+      if (!provider) {
+        return res.status(404).json({ success: false, message: 'Service provider not found' });
+      }
+      if (provider.propertyId !== current.propertyId) {
+        return res.status(400).json({ success: false, message: 'Service provider is not engaged for this property' });
+      }
+    }
+
+    if (assignedUserId) {
+      const assignee = await prisma.user.findUnique({
+        where: { id: assignedUserId },
+        select: { id: true, role: true, isApproved: true }
+      });
+      if (!assignee || assignee.isApproved === false) {
+        return res.status(404).json({ success: false, message: 'Assignee not found or not approved' });
+      }
+      if (assignee.role === 'USER') {
+        const canAccess = await permissionService.checkPropertyAccess(assignedUserId, current.propertyId, 'canView');
+        if (!canAccess) {
+          return res.status(400).json({ success: false, message: 'Assignee does not have access to this property' });
+        }
+      }
+    }
+
+    const request = await prisma.maintenanceRequest.update({
+      where: { id: current.id },
+      data: {
+        assignedProviderId: serviceProviderId || null,
+        assignedUserId: assignedUserId || null,
+        assignedAt: new Date(),
+        // Keep in-progress jobs in progress when they are handed over
+        status: current.status === 'IN_PROGRESS' ? 'IN_PROGRESS' : 'ASSIGNED'
+      },
+      include: maintenanceInclude
+    });
+
+    res.json({ success: true, data: request, message: 'Maintenance request assigned successfully' });
+  } catch (error) {
+    console.error('Assign maintenance request error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Capture estimated/actual cost for a maintenance request
+// @route   PATCH /api/maintenance-requests/:id/cost
+// @access  Private
+export const updateMaintenanceCost = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { estimatedCost, actualCost, costBorneBy, costNotes } = req.body;
+
+    const result = await getRequestWithAccess(req.params.id, userId, userRole, 'edit');
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    if (result.request.status === 'CANCELLED') {
+      return res.status(400).json({ success: false, message: 'Cannot record costs on a cancelled maintenance request' });
+    }
+
+    const parsedEstimate = parseCost(estimatedCost);
+    const parsedActual = parseCost(actualCost);
+    if (Number.isNaN(parsedEstimate) || Number.isNaN(parsedActual) || parsedEstimate < 0 || parsedActual < 0) {
+      return res.status(400).json({ success: false, message: 'Costs must be non-negative numbers' });
+    }
+
+    if (costBorneBy && !VALID_COST_BEARERS.includes(costBorneBy)) {
+      return res.status(400).json({ success: false, message: `Invalid costBorneBy. Must be one of: ${VALID_COST_BEARERS.join(', ')}` });
+    }
+
+    const request = await prisma.maintenanceRequest.update({
+      where: { id: result.request.id },
+      data: {
+        estimatedCost: parsedEstimate,
+        actualCost: parsedActual,
+        costBorneBy,
+        costNotes
+      },
+      include: maintenanceInclude
+    });
+
+    res.json({ success: true, data: request, message: 'Maintenance cost updated successfully' });
+  } catch (error) {
+    console.error('Update maintenance cost error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Delete maintenance request
+// @route   DELETE /api/maintenance-requests/:id
+// @access  Private
+export const deleteMaintenanceRequest = async (req, res) => {
+  try {
+    const result = await getRequestWithAccess(req.params.id, req.user.id, req.user.role, 'delete');
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    for (const photo of result.request.photos) {
+      try {
+        await deleteDocument(photo.fileUrl.replace(/^\/uploads\//, ''));
+      } catch (error) {
+        console.warn(`Failed to delete photo file: ${photo.fileUrl}`, error);
+      }
+    }
+
+    // Cascade removes photo records
+    await prisma.maintenanceRequest.delete({ where: { id: result.request.id } });
+
+    res.json({
+      success: true,
+      message: 'Maintenance request deleted successfully',
+      photosDeleted: result.request.photos.length
+    });
+  } catch (error) {
+    console.error('Delete maintenance request error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// ======================================================
+// PHOTOS
+// ======================================================
+
+// @desc    Upload photos for a maintenance request
+// @route   POST /api/maintenance-requests/:id/photos
+// @access  Private
+export const uploadMaintenancePhotos = async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { caption, stage } = req.body;
+
+    if (files.length === 0) {
+      return res.status(400).json({ success: false, message: 'No photos uploaded' });
+    }
+
+    const invalid = files.find(f => !IMAGE_MIME_TYPES.includes(f.mimetype));
+    if (invalid) {
+      await discardTempFiles(files);
+      return res.status(400).json({ success: false, message: `File ${invalid.originalname} is not an image` });
+    }
+
+    const result = await getRequestWithAccess(req.params.id, userId, userRole, 'edit');
+    if (result.error) {
+      await discardTempFiles(files);
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    const photos = await savePhotos(result.request.id, files, userId, { caption, stage });
+
+    res.status(201).json({
+      success: true,
+      data: photos,
+      message: `${photos.length} photo(s) uploaded successfully`
+    });
+  } catch (error) {
+    console.error('Upload maintenance photos error:', error);
+    await discardTempFiles(files);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Delete a maintenance photo
+// @route   DELETE /api/maintenance-requests/photos/:photoId
+// @access  Private
+export const deleteMaintenancePhoto = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { photoId } = req.params;
+
+    const photo = await prisma.maintenanceRequestPhoto.findUnique({
+      where: { id: photoId },
+      include: { maintenanceRequest: { select: { id: true, propertyId: true } } }
+    });
+
+    if (!photo) {
+      return res.status(404).json({ success: false, message: 'Photo not found' });
+    }
+
+    const isUploader = photo.uploadedById === userId;
+    const hasAccess = isUploader || await checkMaintenancePermission(
+      userId, userRole, photo.maintenanceRequest.propertyId, 'edit'
+    );
+    if (!hasAccess) {
+      return res.status(403).json({ success: false, message: 'Access denied. You do not have permission to delete this photo.' });
+    }
+
+    try {
+      await deleteDocument(photo.fileUrl.replace(/^\/uploads\//, ''));
+    } catch (error) {
+      console.warn(`Failed to delete file from storage: ${photo.fileUrl}`, error);
+    }
+
+    await prisma.maintenanceRequestPhoto.delete({ where: { id: photoId } });
+
+    res.json({ success: true, message: 'Photo deleted successfully' });
+  } catch (error) {
+    console.error('Delete maintenance photo error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,854 @@
+import prisma from "../lib/prisma.js";
+import permissionService from "../services/permissionService.js";
+import { recordTenantPayment } from "./paymentReport.controller.js";
+import { applyBillInvoicePayment } from "./billinvoice.controller.js";
+import {
+  isValidCallbackToken,
+  parseDarajaTimestamp,
+  normalizePhoneNumber,
+  initiateStkPush,
+  registerC2BUrls
+} from "../services/mpesaService.js";
+import { roundMoney } from "../utils/money.js";
+
+const OPEN_INVOICE_STATUSES = ['UNPAID', 'PARTIAL', 'OVERDUE'];
+const ASSIGNABLE_STATUSES = ['SUSPENSE', 'FAILED'];
+const VALID_TRANSACTION_STATUSES = ['RECEIVED', 'ALLOCATED', 'SUSPENSE', 'FAILED', 'IGNORED'];
+
+// Same shape createPaymentReport loads, as required by recordTenantPayment
+const tenantPaymentInclude = {
+  unit: {
+    include: {
+      property: {
+        select: {
+          id: true,
+          name: true,
+          managerId: true,
+          commissionFee: true
+        }
+      }
+    }
+  },
+  serviceCharge: true
+};
+
+const transactionInclude = {
+  tenant: {
+    select: {
+      id: true,
+      fullName: true,
+      KRAPin: true,
+      unit: { select: { id: true, unitNo: true, property: { select: { id: true, name: true } } } }
+    }
+  },
+  paymentReport: { select: { id: true, amountPaid: true, status: true, receiptUrl: true } },
+  assignedBy: { select: { id: true, name: true, email: true } },
+  stkRequest: { select: { id: true, checkoutRequestId: true, phoneNumber: true, initiatedById: true } }
+};
+
+// ======================================================
+// PERMISSION HELPER FUNCTIONS
+// ======================================================
+
+// Check an M-Pesa operation (view, assign, stkPush), optionally for a property
+const checkMpesaPermission = async (userId, userRole, operation, propertyId = null) => {
+  if (userRole === 'ADMIN') {
+    return true;
+  }
+
+  if (userRole === 'MANAGER') {
+    if (!propertyId) return true;
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { managerId: true }
+    });
+    return property?.managerId === userId;
+  }
+
+  return permissionService.checkPermission(userId, 'mpesa', operation, propertyId);
+};
+
+// ======================================================
+// MATCHING & ALLOCATION
+// ======================================================
+
+// Resolve the payer's account reference to a tenant: invoice number, bill invoice
+// number, KRA PIN, then unit number (only when exactly one occupied unit matches)
+const matchAccountReference = async (reference) => {
+  const trimmed = String(reference || '').trim();
+  if (!trimmed) {
+    return { reason: 'No account reference supplied' };
+  }
+
+  const candidates = [...new Set([trimmed, trimmed.replace(/\s+/g, '')])];
+  const matchesAny = (field) => ({
+    OR: candidates.map(value => ({ [field]: { equals: value, mode: 'insensitive' } }))
+  });
+
+  const invoice = await prisma.invoice.findFirst({
+    where: matchesAny('invoiceNumber'),
+    select: { id: true, tenantId: true }
+  });
+  if (invoice) {
+    return { tenantId: invoice.tenantId, matchedBy: 'INVOICE_NUMBER', invoiceId: invoice.id };
+  }
+
+  const billInvoice = await prisma.billInvoice.findFirst({
+    where: matchesAny('invoiceNumber'),
+    select: { id: true, tenantId: true }
+  });
+  if (billInvoice) {
+    return { tenantId: billInvoice.tenantId, matchedBy: 'BILL_INVOICE_NUMBER', billInvoiceId: billInvoice.id };
+  }
+
+  const tenant = await prisma.tenant.findFirst({
+    where: matchesAny('KRAPin'),
+    select: { id: true }
+  });
+  if (tenant) {
+    return { tenantId: tenant.id, matchedBy: 'KRA_PIN' };
+  }
+
+  const units = await prisma.unit.findMany({
+    where: { ...matchesAny('unitNo'), tenant: { isNot: null } },
+    select: { tenant: { select: { id: true } } }
+  });
+  if (units.length === 1) {
+    return { tenantId: units[0].tenant.id, matchedBy: 'UNIT_NUMBER' };
+  }
+  if (units.length > 1) {
+    return { reason: `Unit number "${trimmed}" matches ${units.length} occupied units` };
+  }
+
+  return { reason: `No invoice, tenant or unit matches account reference "${trimmed}"` };
+};
+
+// Sum of what earlier (partially failed) attempts already applied
+const amountAlreadyApplied = (allocation) => roundMoney(
+  (allocation?.billInvoices || []).reduce((sum, item) => sum + item.amountApplied, 0) +
+  (allocation?.rent?.amountApplied || 0)
+);
+
+// Apply a transaction to the tenant's open bill invoices and rent invoices.
+// A bill invoice reference pays that bill first; a rent invoice reference pays rent
+// first; otherwise rent invoices are settled before utility bills. Whatever is left
+// goes through the normal overpayment handling (prepaid periods / credit balance).
+const allocateTransaction = async (transaction, { tenantId, matchedBy, invoiceId = null, billInvoiceId = null }, recordedById = null) => {
+  const tenant = await prisma.tenant.findUnique({
+    where: { id: tenantId },
+    include: tenantPaymentInclude
+  });
+  if (!tenant) {
+    throw new Error('Tenant not found');
+  }
+
+  const allocation = {
+    billInvoices: [...(transaction.allocation?.billInvoices || [])],
+    rent: transaction.allocation?.rent || null
+  };
+  let remaining = roundMoney(transaction.amount - amountAlreadyApplied(transaction.allocation));
+  const notes = `M-Pesa ${transaction.transactionId}${transaction.msisdn ? ` from ${transaction.msisdn}` : ''}`;
+
+  try {
+    // 1. Utility bill invoices
+    const openBillInvoices = await prisma.billInvoice.findMany({
+      where: {
+        tenantId,
+        status: { in: OPEN_INVOICE_STATUSES },
+        balance: { gt: 0 },
+        ...(billInvoiceId ? { id: billInvoiceId } : {})
+      },
+      include: { bill: true, tenant: { include: { unit: true } } },
+      orderBy: { dueDate: 'asc' }
+    });
+    const billBalance = openBillInvoices.reduce((sum, inv) => sum + inv.balance, 0);
+
+    let billShare = 0;
+    if (billInvoiceId) {
+      billShare = Math.min(remaining, billBalance);
+    } else if (!invoiceId) {
+      const rentBalance = await prisma.invoice.aggregate({
+        where: { tenantId, status: { in: OPEN_INVOICE_STATUSES } },
+        _sum: { balance: true }
+      });
+      billShare = Math.min(Math.max(remaining - (rentBalance._sum.balance || 0), 0), billBalance);
+    }
+
+    for (const billInvoice of openBillInvoices) {
+      if (billShare < 0.01 || allocation.rent) break;
+
+      const amountPaid = roundMoney(Math.min(billInvoice.balance, billShare));
+      const { updatedInvoice } = await applyBillInvoicePayment(billInvoice, {
+        amountPaid,
+        parsedPaymentDate: transaction.transactionTime,
+        notes,
+        recordedById
+      });
+
+      allocation.billInvoices.push({
+        billInvoiceId: updatedInvoice.id,
+        invoiceNumber: updatedInvoice.invoiceNumber,
+        amountApplied: amountPaid,
+        newBalance: updatedInvoice.balance,
+        newStatus: updatedInvoice.status
+      });
+      billShare = roundMoney(billShare - amountPaid);
+      remaining = roundMoney(remaining - amountPaid);
+    }
+
+    // 2. Rent invoices via the standard payment allocation
+    let paymentReportId = transaction.paymentReportId || null;
+    if (remaining >= 0.01) {
+      const selectedInvoiceOpen = invoiceId && await prisma.invoice.count({
+        where: { id: invoiceId, tenantId, status: { in: OPEN_INVOICE_STATUSES } }
+      });
+
+      const { transactionResult, receiptResult } = await recordTenantPayment({
+        tenant,
+        amountPaid: remaining,
+        invoiceIds: selectedInvoiceOpen ? [invoiceId] : [],
+        notes,
+        createMissingInvoices: true,
+        datePaid: transaction.transactionTime,
+        recordedById
+      });
+
+      paymentReportId = transactionResult.report.id;
+      allocation.rent = {
+        paymentReportId,
+        amountApplied: remaining,
+        invoices: transactionResult.updatedInvoices.map(inv => ({
+          invoiceId: inv.id,
+          invoiceNumber: inv.invoiceNumber,
+          amountApplied: inv.paymentApplied,
+          newStatus: inv.newStatus
+        })),
+        overpayment: transactionResult.overpaymentAmount,
+        creditUsed: transactionResult.creditUsed,
+        receiptNumber: receiptResult?.receiptNumber || null
+      };
+    }
+
+    return await prisma.mpesaTransaction.update({
+      where: { id: transaction.id },
+      data: {
+        status: 'ALLOCATED',
+        tenantId,
+        matchedBy,
+        paymentReportId,
+        allocation,
+        statusReason: null,
+        processedAt: new Date()
+      },
+      include: transactionInclude
+    });
+  } catch (error) {
+    error.allocation = allocation;
+    throw error;
+  }
+};
+
+// Match and allocate a stored transaction, parking it in suspense (no match) or
+// marking it FAILED (allocation error) so it can be assigned manually
+const ingestTransaction = async (transaction, match, recordedById = null) => {
+  if (!match.tenantId) {
+    return await prisma.mpesaTransaction.update({
+      where: { id: transaction.id },
+      data: {
+        status: 'SUSPENSE',
+        statusReason: match.reason,
+        processedAt: new Date()
+      },
+      include: transactionInclude
+    });
+  }
+
+  try {
+    return await allocateTransaction(transaction, match, recordedById);
+  } catch (error) {
+    console.error(`M-Pesa allocation error for ${transaction.transactionId}:`, error);
+    return await prisma.mpesaTransaction.update({
+      where: { id: transaction.id },
+      data: {
+        status: 'FAILED',
+        tenantId: match.tenantId,
+        matchedBy: match.matchedBy,
+        allocation: error.allocation || transaction.allocation || undefined,
+        statusReason: error.message,
+        processedAt: new Date()
+      },
+      include: transactionInclude
+    });
+  }
+};
+
+// ======================================================
+// DARAJA CALLBACKS (PUBLIC, TOKEN-CHECKED)
+// ======================================================
+
+// @desc    C2B validation callback - accept any positive amount; unmatched
+//          references are parked in suspense after confirmation
+// @route   POST /api/mpesa/c2b/validation
+// @access  Public (Daraja)
+export const c2bValidation = async (req, res) => {
+  if (!isValidCallbackToken(req.query.token)) {
+    return res.status(401).json({ ResultCode: 'C2B00016', ResultDesc: 'Rejected' });
+  }
+
+  const amount = parseFloat(req.body?.TransAmount);
+  if (!(amount > 0)) {
+    return res.json({ ResultCode: 'C2B00013', ResultDesc: 'Rejected' });
+  }
+
+  res.json({ ResultCode: '0', ResultDesc: 'Accepted' });
+};
+
+// @desc    C2B confirmation callback - store the raw transaction, then match and allocate it
+// @route   POST /api/mpesa/c2b/confirmation
+// @access  Public (Daraja)
+export const c2bConfirmation = async (req, res) => {
+  try {
+    if (!isValidCallbackToken(req.query.token)) {
+      return res.status(401).json({ ResultCode: 1, ResultDesc: 'Invalid callback token' });
+    }
+
+    const payload = req.body || {};
+    const amount = parseFloat(payload.TransAmount);
+    if (!payload.TransID || !(amount > 0)) {
+      return res.status(400).json({ ResultCode: 1, ResultDesc: 'TransID and a positive TransAmount are required' });
+    }
+
+    const existing = await prisma.mpesaTransaction.findUnique({
+      where: { transactionId: payload.TransID }
+    });
+    if (existing) {
+      return res.json({ ResultCode: 0, ResultDesc: 'Already received' });
+    }
+
+    const payerName = [payload.FirstName, payload.MiddleName, payload.LastName].filter(Boolean).join(' ');
+    const transaction = await prisma.mpesaTransaction.create({
+      data: {
+        transactionId: payload.TransID,
+        source: 'C2B',
+        transactionType: payload.TransactionType || null,
+        amount: roundMoney(amount),
+        businessShortCode: payload.BusinessShortCode ? String(payload.BusinessShortCode) : null,
+        billRefNumber: payload.BillRefNumber ? String(payload.BillRefNumber).trim() : null,
+        msisdn: payload.MSISDN ? String(payload.MSISDN) : null,
+        payerName: payerName || null,
+        transactionTime: parseDarajaTimestamp(payload.TransTime),
+        rawPayload: payload
+      }
+    });
+
+    // Acknowledge straight away - allocation (and receipt PDFs) can outlast Daraja's timeout
+    res.json({ ResultCode: 0, ResultDesc: 'Success' });
+
+    await ingestTransaction(transaction, await matchAccountReference(transaction.billRefNumber));
+  } catch (error) {
+    console.error('M-Pesa C2B confirmation error:', error);
+    if (!res.headersSent) {
+      if (error.code === 'P2002') {
+        return res.json({ ResultCode: 0, ResultDesc: 'Already received' });
+      }
+      res.status(500).json({ ResultCode: 1, ResultDesc: 'Failed to record transaction' });
+    }
+  }
+};
+
+// @desc    STK push result callback
+// @route   POST /api/mpesa/stk/callback
+// @access  Public (Daraja)
+export const stkCallback = async (req, res) => {
+  try {
+    if (!isValidCallbackToken(req.query.token)) {
+      return res.status(401).json({ ResultCode: 1, ResultDesc: 'Invalid callback token' });
+    }
+
+    const callback = req.body?.Body?.stkCallback;
+    if (!callback?.CheckoutRequestID) {
+      return res.status(400).json({ ResultCode: 1, ResultDesc: 'CheckoutRequestID is required' });
+    }
+
+    const stkRequest = await prisma.mpesaStkRequest.findUnique({
+      where: { checkoutRequestId: callback.CheckoutRequestID }
+    });
+    if (!stkRequest || stkRequest.status !== 'PENDING') {
+      return res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    }
+
+    if (Number(callback.ResultCode) !== 0) {
+      await prisma.mpesaStkRequest.update({
+        where: { id: stkRequest.id },
+        data: {
+          status: 'FAILED',
+          resultCode: Number(callback.ResultCode),
+          resultDesc: callback.ResultDesc || null
+        }
+      });
+      return res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    }
+
+    const items = Object.fromEntries(
+      (callback.CallbackMetadata?.Item || []).map(item => [item.Name, item.Value])
+    );
+    const receiptNumber = items.MpesaReceiptNumber;
+    if (!receiptNumber) {
+      return res.status(400).json({ ResultCode: 1, ResultDesc: 'MpesaReceiptNumber is required' });
+    }
+
+    // The same receipt may already have arrived through the C2B confirmation URL
+    let transaction = await prisma.mpesaTransaction.findUnique({
+      where: { transactionId: String(receiptNumber) }
+    });
+    const isNew = !transaction;
+
+    if (isNew) {
+      transaction = await prisma.mpesaTransaction.create({
+        data: {
+          transactionId: String(receiptNumber),
+          source: 'STK_PUSH',
+          transactionType: 'CustomerPayBillOnline',
+          amount: roundMoney(items.Amount ?? stkRequest.amount),
+          billRefNumber: stkRequest.accountReference,
+          msisdn: items.PhoneNumber ? String(items.PhoneNumber) : stkRequest.phoneNumber,
+          transactionTime: parseDarajaTimestamp(items.TransactionDate),
+          rawPayload: req.body
+        }
+      });
+    }
+
+    await prisma.mpesaStkRequest.update({
+      where: { id: stkRequest.id },
+      data: {
+        status: 'COMPLETED',
+        resultCode: 0,
+        resultDesc: callback.ResultDesc || null,
+        mpesaTransactionId: transaction.id
+      }
+    });
+
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+
+    if (isNew) {
+      await ingestTransaction(transaction, {
+        tenantId: stkRequest.tenantId,
+        matchedBy: 'STK_REQUEST',
+        invoiceId: stkRequest.invoiceId,
+        billInvoiceId: stkRequest.billInvoiceId
+      }, stkRequest.initiatedById);
+    }
+  } catch (error) {
+    console.error('M-Pesa STK callback error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ ResultCode: 1, ResultDesc: 'Failed to process callback' });
+    }
+  }
+};
+
+// ======================================================
+// STK PUSH
+// ======================================================
+
+// @desc    Prompt a tenant to pay via STK push
+// @route   POST /api/mpesa/stk/push
+// @access  Private (ADMIN, MANAGER, or USER with INITIATE_STK_PUSH)
+export const initiateStkPayment = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { tenantId, amount, phoneNumber, invoiceId, billInvoiceId } = req.body;
+
+    if (!tenantId) {
+      return res.status(400).json({ success: false, message: 'tenantId is required' });
+    }
+
+    const parsedAmount = Math.ceil(parseFloat(amount));
+    if (!(parsedAmount > 0)) {
+      return res.status(400).json({ success: false, message: 'A positive amount is required' });
+    }
+
+    const tenant = await prisma.tenant.findUnique({
+      where: { id: tenantId },
+      include: { unit: { select: { unitNo: true, propertyId: true } } }
+    });
+    if (!tenant) {
+      return res.status(404).json({ success: false, message: 'Tenant not found' });
+    }
+
+    if (!(await checkMpesaPermission(userId, userRole, 'stkPush', tenant.unit?.propertyId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to request payments for this tenant',
+        requiredPermission: 'INITIATE_STK_PUSH'
+      });
+    }
+
+    const phone = normalizePhoneNumber(phoneNumber || tenant.contact);
+    if (!phone) {
+      return res.status(400).json({ success: false, message: 'A valid Kenyan phone number is required' });
+    }
+
+    // The account reference shows on the payer's prompt and statement
+    let accountReference = tenant.unit?.unitNo || tenant.KRAPin;
+    if (invoiceId) {
+      const invoice = await prisma.invoice.findFirst({ where: { id: invoiceId, tenantId } });
+      if (!invoice) {
+        return res.status(404).json({ success: false, message: 'Invoice not found for this tenant' });
+      }
+      accountReference = invoice.invoiceNumber;
+    } else if (billInvoiceId) {
+      const billInvoice = await prisma.billInvoice.findFirst({ where: { id: billInvoiceId, tenantId } });
+      if (!billInvoice) {
+        return res.status(404).json({ success: false, message: 'Bill invoice not found for this tenant' });
+      }
+      accountReference = billInvoice.invoiceNumber;
+    }
+
+    const response = await initiateStkPush({
+      phoneNumber: phone,
+      amount: parsedAmount,
+      accountReference,
+      description: 'Rent payment'
+    });
+
+    const stkRequest = await prisma.mpesaStkRequest.create({
+      data: {
+        merchantRequestId: response.MerchantRequestID || null,
+        checkoutRequestId: response.CheckoutRequestID,
+        tenantId,
+        invoiceId: invoiceId || null,
+        billInvoiceId: invoiceId ? null : (billInvoiceId || null),
+        phoneNumber: phone,
+        amount: parsedAmount,
+        accountReference,
+        initiatedById: userId
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: response.CustomerMessage || 'Payment prompt sent to tenant',
+      data: stkRequest
+    });
+  } catch (error) {
+    console.error('Initiate STK push error:', error);
+    res.status(502).json({
+      success: false,
+      message: error.message || 'Failed to initiate STK push'
+    });
+  }
+};
+
+// @desc    Get an STK push request (poll for completion)
+// @route   GET /api/mpesa/stk/:id
+// @access  Private
+export const getStkRequest = async (req, res) => {
+  try {
+    const stkRequest = await prisma.mpesaStkRequest.findUnique({
+      where: { id: req.params.id },
+      include: {
+        tenant: { select: { id: true, fullName: true, unit: { select: { propertyId: true } } } },
+        mpesaTransaction: { select: { id: true, transactionId: true, status: true, amount: true } }
+      }
+    });
+
+    if (!stkRequest) {
+      return res.status(404).json({ success: false, message: 'STK request not found' });
+    }
+
+    if (!(await checkMpesaPermission(req.user.id, req.user.role, 'view', stkRequest.tenant?.unit?.propertyId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this STK request',
+        requiredPermission: 'VIEW_MPESA_TRANSACTIONS'
+      });
+    }
+
+    res.json({ success: true, data: stkRequest });
+  } catch (error) {
+    console.error('Get STK request error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Register the C2B validation/confirmation URLs with Daraja
+// @route   POST /api/mpesa/c2b/register-urls
+// @access  Private (ADMIN)
+export const registerUrls = async (req, res) => {
+  try {
+    const response = await registerC2BUrls();
+    res.json({
+      success: true,
+      message: response.ResponseDescription || 'C2B URLs registered',
+      data: response
+    });
+  } catch (error) {
+    console.error('Register C2B URLs error:', error);
+    res.status(502).json({ success: false, message: error.message });
+  }
+};
+
+// ======================================================
+// TRANSACTIONS & SUSPENSE QUEUE
+// ======================================================
+
+// @desc    List M-Pesa transactions (status=SUSPENSE for the suspense queue)
+// @route   GET /api/mpesa/transactions
+// @access  Private (ADMIN, MANAGER, or USER with VIEW_MPESA_TRANSACTIONS)
+export const getMpesaTransactions = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { status, tenantId, search, dateFrom, dateTo, page = 1, limit = 20 } = req.query;
+
+    if (!(await checkMpesaPermission(userId, userRole, 'view'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view M-Pesa transactions',
+        requiredPermission: 'VIEW_MPESA_TRANSACTIONS'
+      });
+    }
+
+    const where = { AND: [] };
+
+    // Non-admins see matched transactions for their properties plus the unmatched queue
+    if (userRole !== 'ADMIN') {
+      const accessiblePropertyIds = await permissionService.getAccessiblePropertyIds(userId, userRole);
+      where.AND.push({
+        OR: [
+          { tenantId: null },
+          { tenant: { unit: { propertyId: { in: accessiblePropertyIds } } } }
+        ]
+      });
+    }
+
+    if (status) {
+      const statuses = status.split(',');
+      if (statuses.some(s => !VALID_TRANSACTION_STATUSES.includes(s))) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${VALID_TRANSACTION_STATUSES.join(', ')}`
+        });
+      }
+      where.AND.push({ status: { in: statuses } });
+    }
+    if (tenantId) where.AND.push({ tenantId });
+    if (search) {
+      where.AND.push({
+        OR: [
+          { transactionId: { contains: search, mode: 'insensitive' } },
+          { billRefNumber: { contains: search, mode: 'insensitive' } },
+          { msisdn: { contains: search } },
+          { payerName: { contains: search, mode: 'insensitive' } }
+        ]
+      });
+    }
+    if (dateFrom || dateTo) {
+      where.AND.push({
+        transactionTime: {
+          ...(dateFrom && { gte: new Date(dateFrom) }),
+          ...(dateTo && { lte: new Date(dateTo) })
+        }
+      });
+    }
+
+    const take = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [transactions, total] = await Promise.all([
+      prisma.mpesaTransaction.findMany({
+        where,
+        include: transactionInclude,
+        orderBy: { transactionTime: 'desc' },
+        skip,
+        take
+      }),
+      prisma.mpesaTransaction.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: transactions,
+      pagination: {
+        page: Math.floor(skip / take) + 1,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    console.error('Get M-Pesa transactions error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Get a single M-Pesa transaction with its raw payload and allocation
+// @route   GET /api/mpesa/transactions/:id
+// @access  Private (ADMIN, MANAGER, or USER with VIEW_MPESA_TRANSACTIONS)
+export const getMpesaTransaction = async (req, res) => {
+  try {
+    const transaction = await prisma.mpesaTransaction.findUnique({
+      where: { id: req.params.id },
+      include: transactionInclude
+    });
+
+    if (!transaction) {
+      return res.status(404).json({ success: false, message: 'Transaction not found' });
+    }
+
+    const propertyId = transaction.tenant?.unit?.property?.id || null;
+    if (!(await checkMpesaPermission(req.user.id, req.user.role, 'view', propertyId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this transaction',
+        requiredPermission: 'VIEW_MPESA_TRANSACTIONS'
+      });
+    }
+
+    res.json({ success: true, data: transaction });
+  } catch (error) {
+    console.error('Get M-Pesa transaction error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Assign a suspense (or failed) transaction to a tenant and allocate it
+// @route   POST /api/mpesa/transactions/:id/assign
+// @access  Private (ADMIN, MANAGER, or USER with ASSIGN_MPESA_TRANSACTIONS)
+export const assignMpesaTransaction = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { id } = req.params;
+    const { invoiceId, billInvoiceId } = req.body;
+
+    const transaction = await prisma.mpesaTransaction.findUnique({ where: { id } });
+    if (!transaction) {
+      return res.status(404).json({ success: false, message: 'Transaction not found' });
+    }
+
+    if (!ASSIGNABLE_STATUSES.includes(transaction.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${ASSIGNABLE_STATUSES.join(' or ')} transactions can be assigned (current status: ${transaction.status})`
+      });
+    }
+
+    // A failed allocation can be retried against the tenant it was matched to
+    const tenantId = req.body.tenantId || transaction.tenantId;
+    if (!tenantId) {
+      return res.status(400).json({ success: false, message: 'tenantId is required' });
+    }
+
+    const tenant = await prisma.tenant.findUnique({
+      where: { id: tenantId },
+      select: { id: true, unit: { select: { propertyId: true } } }
+    });
+    if (!tenant) {
+      return res.status(404).json({ success: false, message: 'Tenant not found' });
+    }
+
+    if (!(await checkMpesaPermission(userId, userRole, 'assign', tenant.unit?.propertyId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to assign payments for this tenant',
+        requiredPermission: 'ASSIGN_MPESA_TRANSACTIONS'
+      });
+    }
+
+    if (invoiceId && !(await prisma.invoice.count({ where: { id: invoiceId, tenantId } }))) {
+      return res.status(404).json({ success: false, message: 'Invoice not found for this tenant' });
+    }
+    if (billInvoiceId && !(await prisma.billInvoice.count({ where: { id: billInvoiceId, tenantId } }))) {
+      return res.status(404).json({ success: false, message: 'Bill invoice not found for this tenant' });
+    }
+
+    // Claim the transaction so a concurrent assignment cannot allocate it twice
+    const claimed = await prisma.mpesaTransaction.updateMany({
+      where: { id, status: { in: ASSIGNABLE_STATUSES } },
+      data: { status: 'RECEIVED', assignedById: userId, assignedAt: new Date() }
+    });
+    if (claimed.count === 0) {
+      return res.status(409).json({ success: false, message: 'Transaction is already being processed' });
+    }
+
+    const result = await ingestTransaction(transaction, {
+      tenantId,
+      matchedBy: transaction.status === 'FAILED' && !req.body.tenantId ? transaction.matchedBy : 'MANUAL',
+      invoiceId: invoiceId || null,
+      billInvoiceId: invoiceId ? null : (billInvoiceId || null)
+    }, userId);
+
+    if (result.status !== 'ALLOCATED') {
+      return res.status(422).json({
+        success: false,
+        message: `Allocation failed: ${result.statusReason}`,
+        data: result
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Transaction assigned and allocated successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Assign M-Pesa transaction error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+// @desc    Dismiss a suspense transaction that is not a tenant payment
+// @route   PATCH /api/mpesa/transactions/:id/ignore
+// @access  Private (ADMIN, MANAGER, or USER with ASSIGN_MPESA_TRANSACTIONS)
+export const ignoreMpesaTransaction = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!(await checkMpesaPermission(userId, req.user.role, 'assign'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to manage M-Pesa transactions',
+        requiredPermission: 'ASSIGN_MPESA_TRANSACTIONS'
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'reason is required' });
+    }
+
+    const updated = await prisma.mpesaTransaction.updateMany({
+      where: { id, status: 'SUSPENSE' },
+      data: {
+        status: 'IGNORED',
+        statusReason: reason,
+        assignedById: userId,
+        assignedAt: new Date()
+      }
+    });
+
+    if (updated.count === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only transactions in suspense can be ignored'
+      });
+    }
+
+    const transaction = await prisma.mpesaTransaction.findUnique({
+      where: { id },
+      include: transactionInclude
+    });
+
+    res.json({
+      success: true,
+      message: 'Transaction marked as ignored',
+      data: transaction
+    });
+  } catch (error) {
+    console.error('Ignore M-Pesa transaction error:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
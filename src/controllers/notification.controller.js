@@ -0,0 +1,237 @@
+import prisma from "../lib/prisma.js";
+import { resendMessage, recordBounce, optOutPhoneNumber } from "../services/notificationService.js";
+import { verifyResendWebhook } from "../utils/emailService.js";
+import { isValidSmsCallbackToken } from "../utils/smsService.js";
+
+const VALID_MESSAGE_STATUSES = ['QUEUED', 'SENT', 'FAILED', 'BOUNCED'];
+const VALID_MESSAGE_CHANNELS = ['EMAIL', 'SMS'];
+const VALID_MESSAGE_CATEGORIES = ['DEMAND_LETTER', 'INVOICE', 'BILL_INVOICE', 'RECEIPT', 'PAYMENT_REMINDER', 'PAYMENT_DUE'];
+
+// Provider events that mean the email never reached the tenant
+const UNDELIVERED_EVENTS = ['email.bounced', 'email.failed'];
+
+// SMS delivery report statuses that mean the message never reached the phone
+const UNDELIVERED_SMS_STATUSES = ['Failed', 'Rejected'];
+
+// Message bodies are left out of listings; they are returned by GET /:id
+const messageListSelect = {
+  id: true,
+  channel: true,
+  category: true,
+  status: true,
+  recipient: true,
+  subject: true,
+  provider: true,
+  attempts: true,
+  lastError: true,
+  nextAttemptAt: true,
+  sentAt: true,
+  bouncedAt: true,
+  createdAt: true,
+  tenant: { select: { id: true, fullName: true } },
+  property: { select: { id: true, name: true } },
+  demandLetterId: true,
+  invoiceId: true,
+  billInvoiceId: true,
+  paymentReportId: true
+};
+
+// Managers see messages about the properties they manage
+const getMessageScope = (user) =>
+  user.role === 'ADMIN' ? {} : { property: { managerId: user.id } };
+
+const handleError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, message: `Failed to ${label.toLowerCase()}`, error: error.message });
+};
+
+// ======================================================
+// OUTBOUND MESSAGES
+// ======================================================
+
+// @desc    List outbound emails and SMS with their delivery status
+// @route   GET /api/notifications?status=&channel=&category=&tenantId=&propertyId=&invoiceId=&page=&limit=
+// @access  Private (ADMIN, MANAGER)
+export const getMessages = async (req, res) => {
+  try {
+    const { status, channel, category, tenantId, propertyId, invoiceId, page = 1, limit = 20 } = req.query;
+
+    if (status && !VALID_MESSAGE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${VALID_MESSAGE_STATUSES.join(', ')}`
+      });
+    }
+    if (channel && !VALID_MESSAGE_CHANNELS.includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid channel. Must be one of: ${VALID_MESSAGE_CHANNELS.join(', ')}`
+      });
+    }
+    if (category && !VALID_MESSAGE_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid category. Must be one of: ${VALID_MESSAGE_CATEGORIES.join(', ')}`
+      });
+    }
+
+    const where = {
+      ...getMessageScope(req.user),
+      ...(status && { status }),
+      ...(channel && { channel }),
+      ...(category && { category }),
+      ...(tenantId && { tenantId }),
+      ...(propertyId && { propertyId }),
+      ...(invoiceId && { invoiceId })
+    };
+
+    const take = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [messages, total] = await Promise.all([
+      prisma.outboundMessage.findMany({
+        where,
+        select: messageListSelect,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.outboundMessage.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: messages,
+      pagination: {
+        page: parseInt(page) || 1,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get messages');
+  }
+};
+
+// @desc    Get one outbound message, including its content
+// @route   GET /api/notifications/:id
+// @access  Private (ADMIN, MANAGER)
+export const getMessage = async (req, res) => {
+  try {
+    const message = await prisma.outboundMessage.findFirst({
+      where: { id: req.params.id, ...getMessageScope(req.user) },
+      include: {
+        tenant: { select: { id: true, fullName: true, email: true } },
+        property: { select: { id: true, name: true } },
+        createdBy: { select: { id: true, name: true, email: true } }
+      }
+    });
+
+    if (!message) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+
+    res.json({ success: true, data: message });
+  } catch (error) {
+    handleError(res, error, 'Get message');
+  }
+};
+
+// @desc    Send a failed or bounced message again, optionally to a corrected address or number
+// @route   POST /api/notifications/:id/resend
+// @access  Private (ADMIN, MANAGER)
+export const retryMessage = async (req, res) => {
+  try {
+    const { email, phone } = req.body;
+
+    const existing = await prisma.outboundMessage.findFirst({
+      where: { id: req.params.id, ...getMessageScope(req.user) },
+      select: { id: true }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+
+    const message = await resendMessage(existing.id, { to: email || phone });
+    const sent = message.status === 'SENT';
+
+    res.status(sent ? 200 : 202).json({
+      success: true,
+      data: message,
+      message: sent
+        ? `Message sent to ${message.recipient}`
+        : `Message to ${message.recipient} could not be sent and will be retried: ${message.lastError}`
+    });
+  } catch (error) {
+    handleError(res, error, 'Resend message');
+  }
+};
+
+// ======================================================
+// PROVIDER WEBHOOKS
+// ======================================================
+
+// @desc    Delivery events from Resend (bounces and failures)
+// @route   POST /api/notifications/webhooks/resend
+// @access  Public (signed with RESEND_WEBHOOK_SECRET)
+export const resendWebhook = async (req, res) => {
+  try {
+    if (!verifyResendWebhook(req.rawBody, req.headers)) {
+      return res.status(401).json({ success: false, message: 'Invalid webhook signature' });
+    }
+
+    const { type, data } = req.body;
+
+    if (UNDELIVERED_EVENTS.includes(type) && data?.email_id) {
+      const reason = data.bounce?.message || data.failed?.reason || type;
+      await recordBounce(data.email_id, reason);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    handleError(res, error, 'Process email webhook');
+  }
+};
+
+// @desc    SMS delivery reports from the gateway (Africa's Talking)
+// @route   POST /api/notifications/webhooks/sms/delivery?token=
+// @access  Public (SMS_CALLBACK_TOKEN)
+export const smsDeliveryReport = async (req, res) => {
+  try {
+    if (!isValidSmsCallbackToken(req.query.token)) {
+      return res.status(401).json({ success: false, message: 'Invalid callback token' });
+    }
+
+    const { id, status, failureReason } = req.body;
+
+    if (id && UNDELIVERED_SMS_STATUSES.includes(status)) {
+      await recordBounce(id, failureReason || status);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    handleError(res, error, 'Process SMS delivery report');
+  }
+};
+
+// @desc    Numbers that replied STOP to our sender ID
+// @route   POST /api/notifications/webhooks/sms/opt-out?token=
+// @access  Public (SMS_CALLBACK_TOKEN)
+export const smsOptOutCallback = async (req, res) => {
+  try {
+    if (!isValidSmsCallbackToken(req.query.token)) {
+      return res.status(401).json({ success: false, message: 'Invalid callback token' });
+    }
+
+    const optedOut = req.body.phoneNumber ? await optOutPhoneNumber(req.body.phoneNumber) : 0;
+
+    res.json({ success: true, data: { optedOut } });
+  } catch (error) {
+    handleError(res, error, 'Process SMS opt-out');
+  }
+};
@@ -0,0 +1,160 @@
+import prisma from "../lib/prisma.js";
+import {
+  SEQUENCE_DOCUMENT_TYPES,
+  SEQUENCE_RESET_POLICIES,
+  resolveSequence,
+  saveSequence,
+  deleteSequence,
+  peekNextNumber,
+  getSequenceGaps
+} from "../services/sequenceService.js";
+
+const handleError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, message: `Failed to ${label.toLowerCase()}`, error: error.message });
+};
+
+const toValidDate = (value) => {
+  if (!value) return new Date();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// ======================================================
+// DOCUMENT TYPES
+// ======================================================
+
+// @desc    List numbered document types with the global numbering in force for each
+// @route   GET /api/number-sequences/types
+// @access  Private (Admin, Manager)
+export const getSequenceTypes = async (req, res) => {
+  try {
+    const data = await Promise.all(
+      Object.entries(SEQUENCE_DOCUMENT_TYPES).map(async ([documentType, type]) => ({
+        documentType,
+        name: type.name,
+        perProperty: type.perProperty,
+        default: { pattern: type.pattern, resetPolicy: type.resetPolicy },
+        current: await resolveSequence(documentType)
+      }))
+    );
+
+    res.json({ success: true, data, resetPolicies: SEQUENCE_RESET_POLICIES });
+  } catch (error) {
+    handleError(res, error, 'Get sequence types');
+  }
+};
+
+// ======================================================
+// SEQUENCES
+// ======================================================
+
+// @desc    List configured sequences
+// @route   GET /api/number-sequences?documentType=&propertyId=
+// @access  Private (Admin, Manager)
+export const getSequences = async (req, res) => {
+  try {
+    const { documentType, propertyId } = req.query;
+
+    if (documentType && !SEQUENCE_DOCUMENT_TYPES[documentType]) {
+      return res.status(400).json({ success: false, message: 'Unknown document type' });
+    }
+
+    const sequences = await prisma.numberSequence.findMany({
+      where: {
+        ...(documentType && { documentType }),
+        ...(propertyId && { propertyId })
+      },
+      include: { property: { select: { id: true, name: true } } },
+      orderBy: [{ documentType: 'asc' }, { scopeKey: 'asc' }]
+    });
+
+    res.json({ success: true, data: sequences });
+  } catch (error) {
+    handleError(res, error, 'Get sequences');
+  }
+};
+
+// @desc    Set the numbering of a document type, globally or for a property
+// @route   PUT /api/number-sequences/:documentType
+// @access  Private (Admin only)
+export const saveNumberSequence = async (req, res) => {
+  try {
+    const { propertyId, pattern, resetPolicy, fiscalYearStartMonth } = req.body;
+
+    const sequence = await saveSequence({
+      documentType: req.params.documentType,
+      propertyId,
+      pattern,
+      resetPolicy,
+      fiscalYearStartMonth
+    });
+
+    const { number } = await peekNextNumber(sequence.documentType, { propertyId: sequence.propertyId });
+
+    res.json({
+      success: true,
+      data: sequence,
+      message: `Numbering saved. The next number will be ${number}`
+    });
+  } catch (error) {
+    handleError(res, error, 'Save sequence');
+  }
+};
+
+// @desc    Remove a configured sequence; numbering falls back to the global sequence or the default
+// @route   DELETE /api/number-sequences/:id
+// @access  Private (Admin only)
+export const deleteNumberSequence = async (req, res) => {
+  try {
+    const sequence = await deleteSequence(req.params.id);
+
+    res.json({ success: true, data: sequence, message: 'Number sequence removed' });
+  } catch (error) {
+    handleError(res, error, 'Delete sequence');
+  }
+};
+
+// ======================================================
+// PREVIEW & AUDIT
+// ======================================================
+
+// @desc    The number the next document would get, without using it up
+// @route   GET /api/number-sequences/:documentType/next?propertyId=&date=
+// @access  Private (Admin, Manager)
+export const getNextNumber = async (req, res) => {
+  try {
+    const date = toValidDate(req.query.date);
+    if (!date) {
+      return res.status(400).json({ success: false, message: 'Invalid date' });
+    }
+
+    const next = await peekNextNumber(req.params.documentType, {
+      propertyId: req.query.propertyId || null,
+      date
+    });
+
+    res.json({ success: true, data: next });
+  } catch (error) {
+    handleError(res, error, 'Get next number');
+  }
+};
+
+// @desc    Gap report: numbers the counter issued that no document carries
+// @route   GET /api/number-sequences/:documentType/gaps?propertyId=&period=
+// @access  Private (Admin, Manager)
+export const getGapReport = async (req, res) => {
+  try {
+    const report = await getSequenceGaps(req.params.documentType, {
+      propertyId: req.query.propertyId || null,
+      period: req.query.period || null
+    });
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    handleError(res, error, 'Get gap report');
+  }
+};
@@ -1,7 +1,5 @@
 import prisma from "../lib/prisma.js";
-import { generateCommercialOfferLetter } from '../template/commercialOfferTemplate.js';
-import { generateResidentialOfferLetter } from '../template/residentialOfferTemplate.js';
-import { generatePDF } from '../utils/pdfGenerator.js';
+import { renderDocumentPdf } from '../services/templateService.js';
 import { uploadDocument } from '../utils/uploadHelper.js';
 
 //const prisma = new PrismaClient();
@@ -551,8 +549,9 @@ export const generateOfferLetterPDF = async (req, res) => {
       additionalTerms: offerLetter.additionalTerms
     };
 
-    // Generate HTML based on letter type
-    let htmlContent;
+    // Render the letter type's template (property and landlord overrides apply)
+    const templateScope = { propertyId: offerLetter.propertyId, landlordId: offerLetter.landlordId };
+    let pdfBuffer;
     
     if (offerLetter.letterType === 'COMMERCIAL') {
       const commercialData = {
@@ -588,7 +587,7 @@ export const generateOfferLetterPDF = async (req, res) => {
         separateWaterElectricity: true
       };
       
-      htmlContent = generateCommercialOfferLetter(commercialData);
+      pdfBuffer = await renderDocumentPdf('commercialOffer', commercialData, templateScope);
     } else {
       // RESIDENTIAL - FIXED field mappings and DATE FIXES
       const residentialData = {
@@ -603,12 +602,9 @@ export const generateOfferLetterPDF = async (req, res) => {
         escalationFrequency: metadata.escalationFrequency || 'ANNUALLY'
       };
       
-      htmlContent = generateResidentialOfferLetter(residentialData);
+      pdfBuffer = await renderDocumentPdf('residentialOffer', residentialData, templateScope);
     }
 
-    // Generate PDF
-    const pdfBuffer = await generatePDF(htmlContent);
-
     // Upload to storage
     const documentUrl = await uploadDocument(
       pdfBuffer,
@@ -698,8 +694,9 @@ export const downloadOfferLetterPDF = async (req, res) => {
       additionalTerms: offerLetter.additionalTerms
     };
 
-    // Generate HTML based on letter type
-    let htmlContent;
+    // Render the letter type's template (property and landlord overrides apply)
+    const templateScope = { propertyId: offerLetter.propertyId, landlordId: offerLetter.landlordId };
+    let pdfBuffer;
     
     if (offerLetter.letterType === 'COMMERCIAL') {
       const commercialData = {
@@ -726,7 +723,7 @@ export const downloadOfferLetterPDF = async (req, res) => {
         separateWaterElectricity: true
       };
       
-      htmlContent = generateCommercialOfferLetter(commercialData);
+      pdfBuffer = await renderDocumentPdf('commercialOffer', commercialData, templateScope);
     } else {
       // RESIDENTIAL - FIXED with proper date handling
       const residentialData = {
@@ -738,12 +735,9 @@ export const downloadOfferLetterPDF = async (req, res) => {
         escalationFrequency: metadata.escalationFrequency || 'ANNUALLY'
       };
       
-      htmlContent = generateResidentialOfferLetter(residentialData);
+      pdfBuffer = await renderDocumentPdf('residentialOffer', residentialData, templateScope);
     }
 
-    // Generate PDF
-    const pdfBuffer = await generatePDF(htmlContent);
-
     // Set response headers
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader(
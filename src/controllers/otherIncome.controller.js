@@ -2,7 +2,7 @@ import prisma from '../lib/prisma.js';
 import { generateOtherIncomeInvoiceNumber } from '../utils/invoiceHelpers.js';
 import { uploadToStorage, generateFileName } from '../utils/storage.js';
 import { uploadDocument, deleteDocument, fileExists } from '../utils/uploadHelper.js';
-import PDFDocument from 'pdfkit';
+import { renderDocumentPdf } from '../services/templateService.js';
 import { Readable } from 'stream';
 import fs from 'fs/promises';
 import path from 'path';
@@ -1096,112 +1096,5 @@ async function generateOtherIncomePDF(income) {
 
 // Helper function to generate PDF buffer
 async function generateOtherIncomePDFBuffer(income) {
-  return new Promise((resolve, reject) => {
-    try {
-      const doc = new PDFDocument({ margin: 50, size: 'A4' });
-      const chunks = [];
-      
-      doc.on('data', chunk => chunks.push(chunk));
-      doc.on('end', () => resolve(Buffer.concat(chunks)));
-      doc.on('error', reject);
-
-      // Header
-      doc.fontSize(20).text('INVOICE', { align: 'center' });
-      doc.moveDown();
-
-      // Invoice details
-      doc.fontSize(10);
-      doc.text(`Invoice Number: ${income.invoiceNumber}`, { align: 'right' });
-      doc.text(`Date: ${new Date(income.issueDate).toLocaleDateString()}`, { align: 'right' });
-      if (income.dueDate) {
-        doc.text(`Due Date: ${new Date(income.dueDate).toLocaleDateString()}`, { align: 'right' });
-      }
-      doc.moveDown();
-
-      // Bill To
-      doc.fontSize(12).text('Bill To:', { underline: true });
-      doc.fontSize(10);
-      doc.text(income.clientName);
-      if (income.clientCompany) doc.text(income.clientCompany);
-      if (income.clientAddress) doc.text(income.clientAddress);
-      if (income.clientEmail) doc.text(`Email: ${income.clientEmail}`);
-      if (income.clientPhone) doc.text(`Phone: ${income.clientPhone}`);
-      doc.moveDown();
-
-      // Invoice items
-      const tableTop = doc.y;
-      doc.fontSize(10);
-      
-      // Table headers
-      const headers = ['Description', 'Amount', 'VAT', 'Total'];
-      const colWidths = [250, 100, 80, 100];
-      const xPositions = [50, 300, 400, 480];
-      
-      doc.font('Helvetica-Bold');
-      headers.forEach((header, i) => {
-        doc.text(header, xPositions[i], tableTop, { width: colWidths[i] });
-      });
-      
-      doc.moveDown();
-      const lineY = doc.y;
-      doc.moveTo(50, lineY).lineTo(550, lineY).stroke();
-      doc.moveDown();
-      
-      // Item row
-      doc.font('Helvetica');
-      const desc = income.description || income.title;
-      doc.text(desc, 50, doc.y, { width: 250 });
-      doc.text(`KES ${income.amount.toFixed(2)}`, 300, doc.y, { width: 100, align: 'right' });
-      
-      const vatText = income.vatType !== 'NOT_APPLICABLE' 
-        ? `${income.vatRate}% (KES ${(income.vatAmount || 0).toFixed(2)})`
-        : 'N/A';
-      doc.text(vatText, 400, doc.y, { width: 80 });
-      doc.text(`KES ${income.totalAmount.toFixed(2)}`, 480, doc.y, { width: 100, align: 'right' });
-      
-      doc.moveDown(2);
-      
-      // Total
-      const totalY = doc.y;
-      doc.moveTo(350, totalY).lineTo(550, totalY).stroke();
-      doc.moveDown();
-      
-      doc.font('Helvetica-Bold');
-      doc.text('Total Amount:', 350, doc.y, { width: 100, align: 'right' });
-      doc.text(`KES ${income.totalAmount.toFixed(2)}`, 480, doc.y, { width: 100, align: 'right' });
-      
-      // VAT Summary
-      if (income.vatType !== 'NOT_APPLICABLE') {
-        doc.moveDown();
-        doc.font('Helvetica');
-        doc.fontSize(9);
-        doc.text(`VAT (${income.vatRate}%): KES ${(income.vatAmount || 0).toFixed(2)}`, 350, doc.y, { align: 'right' });
-        doc.text(`VAT Type: ${income.vatType}`, 350, doc.y, { align: 'right' });
-      }
-      
-      doc.moveDown(2);
-      
-      // Payment Information
-      if (income.bankName || income.accountName) {
-        doc.fontSize(10).text('Payment Information:', { underline: true });
-        if (income.bankName) doc.text(`Bank: ${income.bankName}`);
-        if (income.accountName) doc.text(`Account Name: ${income.accountName}`);
-        if (income.accountNumber) doc.text(`Account Number: ${income.accountNumber}`);
-        if (income.branch) doc.text(`Branch: ${income.branch}`);
-        if (income.bankCode) doc.text(`Bank Code: ${income.bankCode}`);
-        if (income.swiftCode) doc.text(`SWIFT Code: ${income.swiftCode}`);
-      }
-      
-      doc.moveDown();
-      
-      // Footer
-      doc.fontSize(8);
-      doc.text('Thank you for your business!', { align: 'center' });
-      doc.text(`Generated by ${income.manager?.name || 'System'}`, { align: 'center' });
-
-      doc.end();
-    } catch (error) {
-      reject(error);
-    }
-  });
-}
\ No newline at end of file
+  return renderDocumentPdf('otherIncomeInvoice', income);
+}
@@ -1,14 +1,20 @@
 import prisma from "../lib/prisma.js";
-import { generatePDF } from '../utils/pdfGenerator.js';
+import { renderDocumentPdf } from '../services/templateService.js';
 import { processCommissionForIncome } from '../services/commissionService.js';
+import { postInvoiceCharge, postTenantPayment, postCommissionAccrual } from '../services/ledgerService.js';
+import { settlePaidDemandLetters } from '../services/dunningService.js';
+import { queueEmail, deliverySummary } from '../services/notificationService.js';
+import { receiptEmail } from '../utils/emailService.js';
+import { smsPaymentReceived } from '../services/tenantSmsService.js';
 import { generateInvoiceNumber } from '../utils/invoiceHelpers.js';
-import { generateReceiptHTML } from '../utils/receiptTemplate.js';
 import { uploadToStorage } from '../utils/storage.js';
 import { getPolicyMonths, addBillingPeriod, getBaseRent } from '../services/rentCalculation.js';
 import path from 'path';
 import fs from 'fs/promises';
 import { existsSync } from 'fs';
 import permissionService from "../services/permissionService.js";
+import { enqueueJob, jobSummary, permanentJobError } from '../services/jobQueue.js';
+import { httpError } from '../utils/httpError.js';
 
 // Helper: Compute expected rent & service charge for a tenant at a given period
 async function computeExpectedCharges(tenantId, periodStart = null) {
@@ -547,8 +553,12 @@ function calculateCoveredBillingPeriods(overpaymentAmount, billingPeriodTotal) {
   };
 }
 
+// Helper: Receipt numbers are assigned when the receipt is queued, so callers can quote them straight away
+const generateReceiptNumber = (paymentReportId) =>
+  `RCP-${Date.now()}-${paymentReportId.slice(-6).toUpperCase()}`;
+
 // Helper: Generate and upload receipt PDF
-async function generateAndUploadReceipt(paymentReport, tenant, invoices, overpaymentAmount = 0, creditUsed = 0) {
+async function generateAndUploadReceipt(paymentReport, tenant, invoices, overpaymentAmount = 0, creditUsed = 0, receiptNumber = generateReceiptNumber(paymentReport.id)) {
   try {
     // Get fresh invoices with their current state to ensure accuracy
     const freshInvoices = await prisma.invoice.findMany({
@@ -661,9 +671,6 @@ async function generateAndUploadReceipt(paymentReport, tenant, invoices, overpay
       });
     }
 
-    // Generate receipt number
-    const receiptNumber = `RCP-${Date.now()}-${paymentReport.id.slice(-6).toUpperCase()}`;
-
     // Prepare complete receipt data with corrected monthly amounts
     const receiptData = {
       receiptNumber,
@@ -702,8 +709,10 @@ async function generateAndUploadReceipt(paymentReport, tenant, invoices, overpay
     });
 
     // Generate receipt
-    const receiptHTML = generateReceiptHTML(receiptData);
-    const pdfBuffer = await generatePDF(receiptHTML);
+    const pdfBuffer = await renderDocumentPdf('receipt', receiptData, {
+      propertyId: tenant.unit?.propertyId,
+      landlordId: tenant.unit?.property?.landlordId
+    });
 
     // Upload to storage
     const receiptFileName = `${receiptNumber}.pdf`;
@@ -813,10 +822,13 @@ async function updateExistingInvoicesForPayment(tx, tenantId, paymentPeriodStr,
       });
 
       for (const invoice of remainingUnpaidInvoices) {
+        // Credit notes already cover part of the invoice
+        const payable = invoice.totalDue - invoice.creditedAmount;
+
         await tx.invoice.update({
           where: { id: invoice.id },
           data: {
-            amountPaid: invoice.totalDue,
+            amountPaid: payable,
             balance: 0,
             status: 'PAID',
             paymentReportId: paymentReportId,
@@ -830,7 +842,7 @@ async function updateExistingInvoicesForPayment(tx, tenantId, paymentPeriodStr,
           previousBalance: invoice.balance,
           previousAmountPaid: invoice.amountPaid,
           paymentApplied: invoice.balance,
-          newAmountPaid: invoice.totalDue,
+          newAmountPaid: payable,
           newBalance: 0,
           newStatus: 'PAID',
           previousStatus: invoice.status,
@@ -2087,186 +2099,107 @@ export const getOutstandingInvoices = async (req, res) => {
   }
 };
 
-// @desc    Create payment report (Invoice-based, RENT ONLY)
-// @route   POST /api/payments
-// @access  Private (ADMIN, MANAGER, or USER with RECORD_PAYMENTS permission)
-export const createPaymentReport = async (req, res) => {
-  let transactionResult = null;
-  
-  try {
-    const userId = req.user.id;
-    const userRole = req.user.role;
-    const { 
-      tenantId, 
-      amountPaid,
-      invoiceIds = [],
-      notes,
-      paymentPeriod,
-      createMissingInvoices = false,
-      updateExistingInvoices = true,
-      handleOverpayment = true
-    } = req.body;
-
-    if (!tenantId) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'tenantId is required' 
-      });
-    }
+// Helper: Apply a tenant payment to open invoices (selected, period-matched, then FIFO),
+// handle credit and overpayment, create income/commission, post to the ledger and
+// issue the receipt. Shared by manual payment entry and automatic payment ingestion.
+export async function recordTenantPayment({
+  tenant,
+  amountPaid: parsedAmountPaid,
+  invoiceIds = [],
+  notes,
+  paymentPeriodDate = null,
+  createMissingInvoices = false,
+  updateExistingInvoices = true,
+  handleOverpayment = true,
+  datePaid = new Date(),
+  recordedById = null
+}) {
+  const tenantId = tenant.id;
+
+  if (!tenant.unit) {
+    throw httpError(400, 'Tenant has moved out. Outstanding amounts are settled through the move-out deposit settlement.');
+  }
 
-    if (amountPaid == null || isNaN(amountPaid) || parseFloat(amountPaid) < 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Valid non-negative amountPaid is required' 
-      });
+  let existingCredit = 0;
+  if (handleOverpayment) {
+    existingCredit = await getTenantCreditBalance(prisma, tenantId);
+    if (existingCredit > 0) {
+      console.log(`Found existing credit balance for tenant: ${existingCredit}`);
     }
+  }
 
-    const parsedAmountPaid = parseFloat(amountPaid);
+  let invoicesToProcess = [];
+  let totalInvoiceBalance = 0;
+  let paymentPolicy = tenant.paymentPolicy;
+  let paymentPeriodStr = paymentPeriodDate ? 
+    paymentPeriodDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }) : 
+    new Date().toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
 
-    const tenant = await prisma.tenant.findUnique({
-      where: { id: tenantId },
-      include: {
-        unit: {
-          include: {
-            property: {
-              select: { 
-                id: true, 
-                name: true, 
-                managerId: true,
-                commissionFee: true 
-              }
-            }
-          }
-        },
-        serviceCharge: true
-      }
+  // =============================================
+  // Get invoices to process
+  // =============================================
+  if (invoiceIds && invoiceIds.length > 0) {
+    invoicesToProcess = await prisma.invoice.findMany({
+      where: {
+        id: { in: invoiceIds },
+        tenantId: tenantId,
+        status: {
+          in: ['UNPAID', 'PARTIAL', 'OVERDUE']
+        }
+      },
+      orderBy: { dueDate: 'asc' }
     });
 
-    if (!tenant) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Tenant not found' 
-      });
-    }
-
-    const propertyId = tenant.unit?.propertyId;
-
-    if (userRole !== 'ADMIN') {
-      const canRecordPayment = await canManagePaymentForProperty(userId, userRole, propertyId);
-      if (!canRecordPayment) {
-        return res.status(403).json({ 
-          success: false, 
-          message: 'You do not have permission to record payments for this property' 
-        });
-      }
-      
-      const hasRecordPermission = await permissionService.hasPermission(
-        userId, 
-        'RECORD_PAYMENTS', 
-        propertyId
-      );
-      
-      if (!hasRecordPermission && userRole !== 'MANAGER') {
-        return res.status(403).json({ 
-          success: false, 
-          message: 'You do not have permission to record payments' 
-        });
-      }
-    }
-
-    let paymentPeriodDate = null;
-    if (paymentPeriod) {
-      paymentPeriodDate = new Date(paymentPeriod);
-      if (isNaN(paymentPeriodDate.getTime())) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Invalid paymentPeriod date format' 
-        });
-      }
-    }
-
-    let existingCredit = 0;
-    if (handleOverpayment) {
-      existingCredit = await getTenantCreditBalance(prisma, tenantId);
-      if (existingCredit > 0) {
-        console.log(`Found existing credit balance for tenant: ${existingCredit}`);
-      }
+    if (invoicesToProcess.length === 0) {
+      throw httpError(404, 'No unpaid/partial invoices found for the provided IDs');
     }
 
-    let invoicesToProcess = [];
-    let totalInvoiceBalance = 0;
-    let paymentPolicy = tenant.paymentPolicy;
-    let paymentPeriodStr = paymentPeriodDate ? 
-      paymentPeriodDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }) : 
-      new Date().toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
-
-    // =============================================
-    // Get invoices to process
-    // =============================================
-    if (invoiceIds && invoiceIds.length > 0) {
-      invoicesToProcess = await prisma.invoice.findMany({
-        where: {
-          id: { in: invoiceIds },
-          tenantId: tenantId,
-          status: {
-            in: ['UNPAID', 'PARTIAL', 'OVERDUE']
-          }
-        },
-        orderBy: { dueDate: 'asc' }
-      });
-
-      if (invoicesToProcess.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'No unpaid/partial invoices found for the provided IDs'
-        });
-      }
-
-      totalInvoiceBalance = invoicesToProcess.reduce((sum, inv) => sum + inv.balance, 0);
-      paymentPolicy = invoicesToProcess[0].paymentPolicy || tenant.paymentPolicy;
-      paymentPeriodStr = invoicesToProcess[0].paymentPeriod || paymentPeriodStr;
-      
-      console.log(`Processing ${invoicesToProcess.length} selected invoices with total balance: ${totalInvoiceBalance}`);
-    } else {
-      invoicesToProcess = await prisma.invoice.findMany({
-        where: {
-          tenantId: tenantId,
-          status: {
-            in: ['UNPAID', 'PARTIAL', 'OVERDUE']
-          }
-        },
-        orderBy: { dueDate: 'asc' }
-      });
+    totalInvoiceBalance = invoicesToProcess.reduce((sum, inv) => sum + inv.balance, 0);
+    paymentPolicy = invoicesToProcess[0].paymentPolicy || tenant.paymentPolicy;
+    paymentPeriodStr = invoicesToProcess[0].paymentPeriod || paymentPeriodStr;
+    
+    console.log(`Processing ${invoicesToProcess.length} selected invoices with total balance: ${totalInvoiceBalance}`);
+  } else {
+    invoicesToProcess = await prisma.invoice.findMany({
+      where: {
+        tenantId: tenantId,
+        status: {
+          in: ['UNPAID', 'PARTIAL', 'OVERDUE']
+        }
+      },
+      orderBy: { dueDate: 'asc' }
+    });
 
-      totalInvoiceBalance = invoicesToProcess.reduce((sum, inv) => sum + inv.balance, 0);
-      
-      if (invoicesToProcess.length === 0) {
-        if (createMissingInvoices) {
-          const expected = await computeExpectedChargesForPolicy(
-            tenantId,
-            paymentPeriodDate,
-            tenant.paymentPolicy || 'MONTHLY'
-          );
-          
-          const invoiceNumber = await generateInvoiceNumber();
-          
-          const rentAmount = typeof expected.rent === 'object' 
-            ? expected.rent.amount || expected.rent.monthly || 0
-            : expected.rent || 0;
-          
-          const serviceChargeAmount = typeof expected.serviceCharge === 'object'
-            ? expected.serviceCharge.amount || expected.serviceCharge.monthly || 0
-            : expected.serviceCharge || 0;
-          
-          const vatAmount = typeof expected.vat === 'object'
-            ? expected.vat.total || expected.vat.monthlyTotal || 0
-            : expected.vat || 0;
-          
-          const totalDueAmount = expected.totalDue || 0;
-          const totalDueWithoutWithholding = expected.totalDueWithoutWithholding || totalDueAmount;
-          const totalWithheld = expected.withholdingTax?.totalWithheld || 0;
-          
-          const newInvoice = await prisma.invoice.create({
+    totalInvoiceBalance = invoicesToProcess.reduce((sum, inv) => sum + inv.balance, 0);
+    
+    if (invoicesToProcess.length === 0) {
+      if (createMissingInvoices) {
+        const expected = await computeExpectedChargesForPolicy(
+          tenantId,
+          paymentPeriodDate,
+          tenant.paymentPolicy || 'MONTHLY'
+        );
+        
+        const invoiceNumber = await generateInvoiceNumber({ propertyId: tenant.unit.propertyId });
+        
+        const rentAmount = typeof expected.rent === 'object' 
+          ? expected.rent.amount || expected.rent.monthly || 0
+          : expected.rent || 0;
+        
+        const serviceChargeAmount = typeof expected.serviceCharge === 'object'
+          ? expected.serviceCharge.amount || expected.serviceCharge.monthly || 0
+          : expected.serviceCharge || 0;
+        
+        const vatAmount = typeof expected.vat === 'object'
+          ? expected.vat.total || expected.vat.monthlyTotal || 0
+          : expected.vat || 0;
+        
+        const totalDueAmount = expected.totalDue || 0;
+        const totalDueWithoutWithholding = expected.totalDueWithoutWithholding || totalDueAmount;
+        const totalWithheld = expected.withholdingTax?.totalWithheld || 0;
+        
+        const newInvoice = await prisma.$transaction(async (tx) => {
+          const created = await tx.invoice.create({
             data: {
               invoiceNumber,
               tenantId,
@@ -2288,50 +2221,61 @@ export const createPaymentReport = async (req, res) => {
                      (expected.withholdingTax?.isExempt ? ' (Tenant exempt from withholding tax)' : '')
             }
           });
-          
-          invoicesToProcess = [newInvoice];
-          totalInvoiceBalance = totalDueAmount;
-          paymentPeriodStr = newInvoice.paymentPeriod;
-          console.log(`Created new ${tenant.paymentPolicy || 'MONTHLY'} invoice for payment: ${newInvoice.invoiceNumber}`);
-        } else {
-          return res.status(400).json({
-            success: false,
-            message: 'No invoices found for this tenant. Either create an invoice first, set createMissingInvoices to true, or provide specific invoiceIds.',
+
+          await postInvoiceCharge(tx, created, {
+            propertyId: tenant.unit?.propertyId,
+            createdById: recordedById
+          });
+
+          return created;
+        });
+        
+        invoicesToProcess = [newInvoice];
+        totalInvoiceBalance = totalDueAmount;
+        paymentPeriodStr = newInvoice.paymentPeriod;
+        console.log(`Created new ${tenant.paymentPolicy || 'MONTHLY'} invoice for payment: ${newInvoice.invoiceNumber}`);
+      } else {
+        throw httpError(
+          400,
+          'No invoices found for this tenant. Either create an invoice first, set createMissingInvoices to true, or provide specific invoiceIds.',
+          {
             data: {
               tenantId,
               createMissingInvoices,
               invoiceIdsProvided: invoiceIds.length
             }
-          });
-        }
-      } else {
-        paymentPolicy = invoicesToProcess[0].paymentPolicy || tenant.paymentPolicy;
-        paymentPeriodStr = invoicesToProcess[0].paymentPeriod || paymentPeriodStr;
-        console.log(`Using FIFO: Processing ${invoicesToProcess.length} oldest invoices with total balance: ${totalInvoiceBalance}`);
+          }
+        );
       }
+    } else {
+      paymentPolicy = invoicesToProcess[0].paymentPolicy || tenant.paymentPolicy;
+      paymentPeriodStr = invoicesToProcess[0].paymentPeriod || paymentPeriodStr;
+      console.log(`Using FIFO: Processing ${invoicesToProcess.length} oldest invoices with total balance: ${totalInvoiceBalance}`);
     }
+  }
 
-    const totalAvailable = parsedAmountPaid + existingCredit;
+  const totalAvailable = parsedAmountPaid + existingCredit;
+  
+  let overpaymentAmount = 0;
+  let commissionBaseAmount = 0;
+  let actualPaymentForCurrentPeriod = parsedAmountPaid;
+
+  if (totalAvailable > totalInvoiceBalance) {
+    overpaymentAmount = totalAvailable - totalInvoiceBalance;
+    commissionBaseAmount = Math.min(totalInvoiceBalance, parsedAmountPaid);
+    actualPaymentForCurrentPeriod = Math.max(0, totalInvoiceBalance - existingCredit);
     
-    let overpaymentAmount = 0;
-    let commissionBaseAmount = 0;
-    let actualPaymentForCurrentPeriod = parsedAmountPaid;
-
-    if (totalAvailable > totalInvoiceBalance) {
-      overpaymentAmount = totalAvailable - totalInvoiceBalance;
-      commissionBaseAmount = Math.min(totalInvoiceBalance, parsedAmountPaid);
-      actualPaymentForCurrentPeriod = Math.max(0, totalInvoiceBalance - existingCredit);
-      
-      console.log(`Overpayment detected: ${overpaymentAmount}`);
-      console.log(`Commission base amount: ${commissionBaseAmount}`);
-    } else {
-      commissionBaseAmount = parsedAmountPaid;
-    }
+    console.log(`Overpayment detected: ${overpaymentAmount}`);
+    console.log(`Commission base amount: ${commissionBaseAmount}`);
+  } else {
+    commissionBaseAmount = parsedAmountPaid;
+  }
 
-    if (!handleOverpayment && totalAvailable > totalInvoiceBalance) {
-      return res.status(400).json({
-        success: false,
-        message: `Payment amount (${parsedAmountPaid}) plus existing credit (${existingCredit}) exceeds total invoice balance (${totalInvoiceBalance}). Enable handleOverpayment to accept overpayments.`,
+  if (!handleOverpayment && totalAvailable > totalInvoiceBalance) {
+    throw httpError(
+      400,
+      `Payment amount (${parsedAmountPaid}) plus existing credit (${existingCredit}) exceeds total invoice balance (${totalInvoiceBalance}). Enable handleOverpayment to accept overpayments.`,
+      {
         data: {
           totalInvoiceBalance,
           paymentAmount: parsedAmountPaid,
@@ -2339,428 +2283,610 @@ export const createPaymentReport = async (req, res) => {
           totalAvailable,
           difference: totalAvailable - totalInvoiceBalance
         }
-      });
-    }
+      }
+    );
+  }
 
-    let frequency = 'MONTHLY';
-    switch (paymentPolicy) {
-      case 'QUARTERLY':
-        frequency = 'QUARTERLY';
-        break;
-      case 'ANNUAL':
-        frequency = 'ANNUAL';
-        break;
-      case 'MONTHLY':
-      default:
-        frequency = 'MONTHLY';
+  let frequency = 'MONTHLY';
+  switch (paymentPolicy) {
+    case 'QUARTERLY':
+      frequency = 'QUARTERLY';
+      break;
+    case 'ANNUAL':
+      frequency = 'ANNUAL';
+      break;
+    case 'MONTHLY':
+    default:
+      frequency = 'MONTHLY';
+  }
+
+  const transactionResult = await prisma.$transaction(async (tx) => {
+    let creditUsed = 0;
+    if (existingCredit > 0) {
+      creditUsed = Math.min(existingCredit, totalInvoiceBalance);
+      const remainingCredit = existingCredit - creditUsed;
+      await updateTenantCreditBalance(tx, tenantId, Math.max(0, remainingCredit));
+      console.log(`Applied ${creditUsed} from existing credit, remaining: ${Math.max(0, remainingCredit)}`);
     }
 
-    transactionResult = await prisma.$transaction(async (tx) => {
-      let creditUsed = 0;
-      if (existingCredit > 0) {
-        creditUsed = Math.min(existingCredit, totalInvoiceBalance);
-        const remainingCredit = existingCredit - creditUsed;
-        await updateTenantCreditBalance(tx, tenantId, Math.max(0, remainingCredit));
-        console.log(`Applied ${creditUsed} from existing credit, remaining: ${Math.max(0, remainingCredit)}`);
+    const paymentNotes = [];
+    if (notes) paymentNotes.push(notes);
+    if (creditUsed > 0) paymentNotes.push(`Applied Ksh ${creditUsed.toFixed(2)} from credit balance`);
+    if (overpaymentAmount > 0) paymentNotes.push(`Overpayment: Ksh ${overpaymentAmount.toFixed(2)}`);
+
+    // Calculate totals from invoices
+    const totalRent = invoicesToProcess.reduce((sum, inv) => {
+      const rentValue = typeof inv.rent === 'number' ? inv.rent : 0;
+      return sum + rentValue;
+    }, 0);
+    
+    const totalServiceCharge = invoicesToProcess.reduce((sum, inv) => {
+      const scValue = typeof inv.serviceCharge === 'number' ? inv.serviceCharge : 0;
+      return sum + scValue;
+    }, 0);
+    
+    const totalVat = invoicesToProcess.reduce((sum, inv) => {
+      const vatValue = typeof inv.vat === 'number' ? inv.vat : 0;
+      return sum + vatValue;
+    }, 0);
+    
+    const totalDue = invoicesToProcess.reduce((sum, inv) => {
+      const dueValue = typeof inv.totalDue === 'number' ? inv.totalDue : 0;
+      return sum + dueValue;
+    }, 0);
+
+    const report = await tx.paymentReport.create({
+      data: {
+        tenantId,
+        rent: totalRent,
+        serviceCharge: totalServiceCharge,
+        vat: totalVat,
+        totalDue: totalDue,
+        amountPaid: totalAvailable,
+        arrears: Math.max(0, totalInvoiceBalance - totalAvailable),
+        status: totalAvailable >= totalInvoiceBalance ? 'PAID' : 
+                totalAvailable > 0 ? 'PARTIAL' : 'UNPAID',
+        paymentPeriod: paymentPeriodDate || new Date(),
+        datePaid,
+        notes: paymentNotes.join('. ') || null,
+        receiptUrl: null
       }
+    });
 
-      const paymentNotes = [];
-      if (notes) paymentNotes.push(notes);
-      if (creditUsed > 0) paymentNotes.push(`Applied Ksh ${creditUsed.toFixed(2)} from credit balance`);
-      if (overpaymentAmount > 0) paymentNotes.push(`Overpayment: Ksh ${overpaymentAmount.toFixed(2)}`);
+    let invoiceUpdateResult = null;
+    let remainingPayment = totalAvailable;
+    const updatedInvoices = [];
 
-      // Calculate totals from invoices
-      const totalRent = invoicesToProcess.reduce((sum, inv) => {
-        const rentValue = typeof inv.rent === 'number' ? inv.rent : 0;
-        return sum + rentValue;
-      }, 0);
+    if (updateExistingInvoices && invoiceIds.length === 0 && totalAvailable > 0) {
+      invoiceUpdateResult = await updateExistingInvoicesForPayment(
+        tx,
+        tenantId,
+        paymentPeriodStr,
+        totalAvailable,
+        report.id,
+        paymentPeriodDate || new Date(),
+        totalAvailable >= totalInvoiceBalance ? 'PAID' : 
+          totalAvailable > 0 ? 'PARTIAL' : 'UNPAID'
+      );
       
-      const totalServiceCharge = invoicesToProcess.reduce((sum, inv) => {
-        const scValue = typeof inv.serviceCharge === 'number' ? inv.serviceCharge : 0;
-        return sum + scValue;
-      }, 0);
+      if (invoiceUpdateResult.updatedInvoices.length > 0) {
+        updatedInvoices.push(...invoiceUpdateResult.updatedInvoices.map(inv => ({
+          ...inv,
+          wasAutoPaid: true,
+          selectionType: 'AUTO_PERIOD_MATCH'
+        })));
+      }
       
-      const totalVat = invoicesToProcess.reduce((sum, inv) => {
-        const vatValue = typeof inv.vat === 'number' ? inv.vat : 0;
-        return sum + vatValue;
-      }, 0);
+      remainingPayment = invoiceUpdateResult.remainingPayment;
       
-      const totalDue = invoicesToProcess.reduce((sum, inv) => {
-        const dueValue = typeof inv.totalDue === 'number' ? inv.totalDue : 0;
-        return sum + dueValue;
-      }, 0);
+      console.log(`Auto-updated ${invoiceUpdateResult.updatedInvoices.length} invoices for period ${paymentPeriodStr}, applied ${invoiceUpdateResult.totalApplied}`);
+    } else {
+      remainingPayment = totalAvailable;
+    }
 
-      const report = await tx.paymentReport.create({
-        data: {
-          tenantId,
-          rent: totalRent,
-          serviceCharge: totalServiceCharge,
-          vat: totalVat,
-          totalDue: totalDue,
-          amountPaid: totalAvailable,
-          arrears: Math.max(0, totalInvoiceBalance - totalAvailable),
-          status: totalAvailable >= totalInvoiceBalance ? 'PAID' : 
-                  totalAvailable > 0 ? 'PARTIAL' : 'UNPAID',
-          paymentPeriod: paymentPeriodDate || new Date(),
-          datePaid: new Date(),
-          notes: paymentNotes.join('. ') || null,
-          receiptUrl: null
-        }
+    let overpaymentRecords = [];
+    let remainingOverpayment = overpaymentAmount;
+    
+    if (overpaymentAmount > 0 && handleOverpayment) {
+      console.log(`Handling overpayment of ${overpaymentAmount} with FIFO allocation`);
+      
+      const otherUnpaidInvoices = await tx.invoice.findMany({
+        where: {
+          tenantId: tenantId,
+          status: {
+            in: ['UNPAID', 'PARTIAL', 'OVERDUE']
+          },
+          id: {
+            notIn: invoicesToProcess.map(inv => inv.id)
+          }
+        },
+        orderBy: { dueDate: 'asc' }
       });
 
-      let invoiceUpdateResult = null;
-      let remainingPayment = totalAvailable;
-      const updatedInvoices = [];
-
-      if (updateExistingInvoices && invoiceIds.length === 0 && totalAvailable > 0) {
-        invoiceUpdateResult = await updateExistingInvoicesForPayment(
-          tx,
-          tenantId,
-          paymentPeriodStr,
-          totalAvailable,
-          report.id,
-          paymentPeriodDate || new Date(),
-          totalAvailable >= totalInvoiceBalance ? 'PAID' : 
-            totalAvailable > 0 ? 'PARTIAL' : 'UNPAID'
-        );
-        
-        if (invoiceUpdateResult.updatedInvoices.length > 0) {
-          updatedInvoices.push(...invoiceUpdateResult.updatedInvoices.map(inv => ({
-            ...inv,
-            wasAutoPaid: true,
-            selectionType: 'AUTO_PERIOD_MATCH'
-          })));
-        }
-        
-        remainingPayment = invoiceUpdateResult.remainingPayment;
+      for (const invoice of otherUnpaidInvoices) {
+        if (remainingOverpayment <= 0) break;
         
-        console.log(`Auto-updated ${invoiceUpdateResult.updatedInvoices.length} invoices for period ${paymentPeriodStr}, applied ${invoiceUpdateResult.totalApplied}`);
-      } else {
-        remainingPayment = totalAvailable;
-      }
+        const paymentToApply = Math.min(invoice.balance, remainingOverpayment);
+        if (paymentToApply > 0) {
+          const newAmountPaid = invoice.amountPaid + paymentToApply;
+          const newBalance = invoice.balance - paymentToApply;
+          let newStatus = invoice.status;
+          
+          if (newBalance <= 0.01) {
+            newStatus = 'PAID';
+          } else if (paymentToApply > 0) {
+            newStatus = 'PARTIAL';
+          }
 
-      let overpaymentRecords = [];
-      let remainingOverpayment = overpaymentAmount;
-      
-      if (overpaymentAmount > 0 && handleOverpayment) {
-        console.log(`Handling overpayment of ${overpaymentAmount} with FIFO allocation`);
-        
-        const otherUnpaidInvoices = await tx.invoice.findMany({
-          where: {
-            tenantId: tenantId,
-            status: {
-              in: ['UNPAID', 'PARTIAL', 'OVERDUE']
-            },
-            id: {
-              notIn: invoicesToProcess.map(inv => inv.id)
+          await tx.invoice.update({
+            where: { id: invoice.id },
+            data: {
+              amountPaid: newAmountPaid,
+              balance: newBalance,
+              status: newStatus,
+              paymentReportId: report.id,
+              updatedAt: new Date(),
+              notes: `Paid from overpayment of transaction #${report.id}`
             }
-          },
-          orderBy: { dueDate: 'asc' }
-        });
+          });
 
-        for (const invoice of otherUnpaidInvoices) {
-          if (remainingOverpayment <= 0) break;
-          
-          const paymentToApply = Math.min(invoice.balance, remainingOverpayment);
-          if (paymentToApply > 0) {
-            const newAmountPaid = invoice.amountPaid + paymentToApply;
-            const newBalance = invoice.balance - paymentToApply;
-            let newStatus = invoice.status;
-            
-            if (newBalance <= 0.01) {
-              newStatus = 'PAID';
-            } else if (paymentToApply > 0) {
-              newStatus = 'PARTIAL';
-            }
-
-            await tx.invoice.update({
-              where: { id: invoice.id },
-              data: {
-                amountPaid: newAmountPaid,
-                balance: newBalance,
-                status: newStatus,
-                paymentReportId: report.id,
-                updatedAt: new Date(),
-                notes: `Paid from overpayment of transaction #${report.id}`
-              }
-            });
-
-            overpaymentRecords.push({
-              type: 'FUTURE_INVOICE',
-              invoiceId: invoice.id,
-              invoiceNumber: invoice.invoiceNumber,
-              period: invoice.paymentPeriod,
-              amountApplied: paymentToApply,
-              commissionApplicable: false
-            });
+          overpaymentRecords.push({
+            type: 'FUTURE_INVOICE',
+            invoiceId: invoice.id,
+            invoiceNumber: invoice.invoiceNumber,
+            period: invoice.paymentPeriod,
+            amountApplied: paymentToApply,
+            commissionApplicable: false
+          });
 
-            updatedInvoices.push({
-              id: invoice.id,
-              invoiceNumber: invoice.invoiceNumber,
-              previousBalance: invoice.balance,
-              previousAmountPaid: invoice.amountPaid,
-              paymentApplied: paymentToApply,
-              newAmountPaid: newAmountPaid,
-              newBalance: newBalance,
-              newStatus: newStatus,
-              previousStatus: invoice.status,
-              wasAutoPaid: true,
-              paymentPolicy: invoice.paymentPolicy,
-              selectionType: 'AUTO_FIFO_OVERPAYMENT'
-            });
+          updatedInvoices.push({
+            id: invoice.id,
+            invoiceNumber: invoice.invoiceNumber,
+            previousBalance: invoice.balance,
+            previousAmountPaid: invoice.amountPaid,
+            paymentApplied: paymentToApply,
+            newAmountPaid: newAmountPaid,
+            newBalance: newBalance,
+            newStatus: newStatus,
+            previousStatus: invoice.status,
+            wasAutoPaid: true,
+            paymentPolicy: invoice.paymentPolicy,
+            selectionType: 'AUTO_FIFO_OVERPAYMENT'
+          });
 
-            remainingOverpayment -= paymentToApply;
-            console.log(`Allocated ${paymentToApply} to future invoice ${invoice.invoiceNumber}`);
-          }
-        }
-
-        if (remainingOverpayment > 0) {
-          const currentPolicyCharges = await computeExpectedChargesForPolicy(
-            tenantId,
-            paymentPeriodDate || new Date(),
-            paymentPolicy
-          );
-
-          const { periods, remainder } = calculateCoveredBillingPeriods(
-            remainingOverpayment,
-            currentPolicyCharges.totalDue
-          );
-          
-          let futureDate = new Date(
-            currentPolicyCharges.periodStart.getFullYear(),
-            currentPolicyCharges.periodStart.getMonth(),
-            1
-          );
-          
-          for (let i = 1; i <= periods; i++) {
-            futureDate = addBillingPeriod(futureDate, paymentPolicy);
-            const expected = await computeExpectedChargesForPolicy(tenantId, futureDate, paymentPolicy);
-            
-            const futureReport = await tx.paymentReport.create({
-              data: {
-                tenantId,
-                rent: expected.rent.amount || expected.rent || 0,
-                serviceCharge: expected.serviceCharge.amount || expected.serviceCharge || 0,
-                vat: expected.vat.total || expected.vat || 0,
-                totalDue: expected.totalDue,
-                amountPaid: 0,
-                arrears: 0,
-                status: 'PREPAID',
-                paymentPeriod: expected.periodStart,
-                datePaid: new Date(),
-                notes: `Covered by overpayment from ${paymentPeriodStr}. Prepaid ${paymentPolicy} period: ${expected.paymentPeriodLabel}. ` +
-                       `Original payment: ${parsedAmountPaid}. ` +
-                       `Withholding tax applied: ${expected.withholdingTax?.totalWithheld?.toFixed(2) || '0.00'}`
-              }
-            });
-            
-            overpaymentRecords.push({
-              type: 'PREPAID_PERIOD',
-              period: expected.paymentPeriodLabel,
-              reportId: futureReport.id,
-              amountCovered: expected.totalDue,
-              commissionApplicable: false
-            });
-          }
-          
-          if (remainder > 0) {
-            await updateTenantCreditBalance(tx, tenantId, remainder);
-            overpaymentRecords.push({
-              type: 'CREDIT_BALANCE',
-              amount: remainder,
-              commissionApplicable: false
-            });
-          }
-          
-          console.log(`Created ${periods} prepaid ${paymentPolicy} records, credit balance: ${remainder}`);
+          remainingOverpayment -= paymentToApply;
+          console.log(`Allocated ${paymentToApply} to future invoice ${invoice.invoiceNumber}`);
         }
       }
 
-      // =============================================
-      // FIXED: Process invoices with proper status updates
-      // =============================================
-      for (const invoice of invoicesToProcess) {
-        if (remainingPayment <= 0) break;
+      if (remainingOverpayment > 0) {
+        const currentPolicyCharges = await computeExpectedChargesForPolicy(
+          tenantId,
+          paymentPeriodDate || new Date(),
+          paymentPolicy
+        );
+
+        const { periods, remainder } = calculateCoveredBillingPeriods(
+          remainingOverpayment,
+          currentPolicyCharges.totalDue
+        );
         
-        const alreadyUpdated = invoiceUpdateResult?.updatedInvoices?.find(
-          ui => ui.id === invoice.id
+        let futureDate = new Date(
+          currentPolicyCharges.periodStart.getFullYear(),
+          currentPolicyCharges.periodStart.getMonth(),
+          1
         );
         
-        if (alreadyUpdated) {
-          continue;
+        for (let i = 1; i <= periods; i++) {
+          futureDate = addBillingPeriod(futureDate, paymentPolicy);
+          const expected = await computeExpectedChargesForPolicy(tenantId, futureDate, paymentPolicy);
+          
+          const futureReport = await tx.paymentReport.create({
+            data: {
+              tenantId,
+              rent: expected.rent.amount || expected.rent || 0,
+              serviceCharge: expected.serviceCharge.amount || expected.serviceCharge || 0,
+              vat: expected.vat.total || expected.vat || 0,
+              totalDue: expected.totalDue,
+              amountPaid: 0,
+              arrears: 0,
+              status: 'PREPAID',
+              paymentPeriod: expected.periodStart,
+              datePaid: new Date(),
+              notes: `Covered by overpayment from ${paymentPeriodStr}. Prepaid ${paymentPolicy} period: ${expected.paymentPeriodLabel}. ` +
+                     `Original payment: ${parsedAmountPaid}. ` +
+                     `Withholding tax applied: ${expected.withholdingTax?.totalWithheld?.toFixed(2) || '0.00'}`
+            }
+          });
+          
+          overpaymentRecords.push({
+            type: 'PREPAID_PERIOD',
+            period: expected.paymentPeriodLabel,
+            reportId: futureReport.id,
+            amountCovered: expected.totalDue,
+            commissionApplicable: false
+          });
         }
         
-        const paymentToApply = Math.min(invoice.balance, remainingPayment);
-        const newAmountPaid = invoice.amountPaid + paymentToApply;
-        const newBalance = invoice.balance - paymentToApply;
-        
-        // =============================================
-        // FIXED: Determine new status based on balance
-        // =============================================
-        let newStatus = invoice.status;
-        if (newBalance <= 0.01) {
-          // Fully paid - even if it was previously partial
-          newStatus = 'PAID';
-        } else if (paymentToApply > 0 && invoice.status === 'UNPAID') {
-          newStatus = 'PARTIAL';
-        } else if (paymentToApply > 0 && invoice.status === 'PARTIAL' && newBalance > 0.01) {
-          newStatus = 'PARTIAL';
-        } else if (paymentToApply > 0 && invoice.status === 'OVERDUE' && newBalance > 0.01) {
-          newStatus = 'PARTIAL';
+        if (remainder > 0) {
+          await updateTenantCreditBalance(tx, tenantId, remainder);
+          overpaymentRecords.push({
+            type: 'CREDIT_BALANCE',
+            amount: remainder,
+            commissionApplicable: false
+          });
         }
+        
+        console.log(`Created ${periods} prepaid ${paymentPolicy} records, credit balance: ${remainder}`);
+      }
+    }
 
-        const updatedInvoice = await tx.invoice.update({
-          where: { id: invoice.id },
-          data: {
-            amountPaid: newAmountPaid,
-            balance: newBalance,
-            status: newStatus,
-            paymentReportId: report.id,
-            updatedAt: new Date()
-          }
-        });
-
-        updatedInvoices.push({
-          id: updatedInvoice.id,
-          invoiceNumber: updatedInvoice.invoiceNumber,
-          previousBalance: invoice.balance,
-          previousAmountPaid: invoice.amountPaid,
-          paymentApplied: paymentToApply,
-          newAmountPaid: updatedInvoice.amountPaid,
-          newBalance: updatedInvoice.balance,
-          newStatus: updatedInvoice.status,
-          previousStatus: invoice.status,
-          wasAutoPaid: false,
-          paymentPolicy: updatedInvoice.paymentPolicy,
-          selectionType: invoiceIds.length > 0 ? 'USER_SELECTED' : 'FIFO_ALLOCATION',
-          isFullyPaidNow: newStatus === 'PAID'
-        });
-
-        remainingPayment -= paymentToApply;
+    // =============================================
+    // FIXED: Process invoices with proper status updates
+    // =============================================
+    for (const invoice of invoicesToProcess) {
+      if (remainingPayment <= 0) break;
+      
+      const alreadyUpdated = invoiceUpdateResult?.updatedInvoices?.find(
+        ui => ui.id === invoice.id
+      );
+      
+      if (alreadyUpdated) {
+        continue;
+      }
+      
+      const paymentToApply = Math.min(invoice.balance, remainingPayment);
+      const newAmountPaid = invoice.amountPaid + paymentToApply;
+      const newBalance = invoice.balance - paymentToApply;
+      
+      // =============================================
+      // FIXED: Determine new status based on balance
+      // =============================================
+      let newStatus = invoice.status;
+      if (newBalance <= 0.01) {
+        // Fully paid - even if it was previously partial
+        newStatus = 'PAID';
+      } else if (paymentToApply > 0 && invoice.status === 'UNPAID') {
+        newStatus = 'PARTIAL';
+      } else if (paymentToApply > 0 && invoice.status === 'PARTIAL' && newBalance > 0.01) {
+        newStatus = 'PARTIAL';
+      } else if (paymentToApply > 0 && invoice.status === 'OVERDUE' && newBalance > 0.01) {
+        newStatus = 'PARTIAL';
       }
 
-      // Create income record
-      const income = await tx.income.create({
+      const updatedInvoice = await tx.invoice.update({
+        where: { id: invoice.id },
         data: {
-          property: {
-            connect: { id: tenant.unit.propertyId }
-          },
-          tenant: {
-            connect: { id: tenantId }
-          },
-          amount: parsedAmountPaid,
-          frequency: frequency
+          amountPaid: newAmountPaid,
+          balance: newBalance,
+          status: newStatus,
+          paymentReportId: report.id,
+          updatedAt: new Date()
         }
       });
 
-      // Create commission if applicable
-      let commission = null;
-      if (tenant.unit?.property?.commissionFee && 
-          tenant.unit?.property?.commissionFee > 0 && 
-          commissionBaseAmount > 0) {
-        
-        const propertyManagerId = tenant.unit?.property?.managerId;
+      updatedInvoices.push({
+        id: updatedInvoice.id,
+        invoiceNumber: updatedInvoice.invoiceNumber,
+        previousBalance: invoice.balance,
+        previousAmountPaid: invoice.amountPaid,
+        paymentApplied: paymentToApply,
+        newAmountPaid: updatedInvoice.amountPaid,
+        newBalance: updatedInvoice.balance,
+        newStatus: updatedInvoice.status,
+        previousStatus: invoice.status,
+        wasAutoPaid: false,
+        paymentPolicy: updatedInvoice.paymentPolicy,
+        selectionType: invoiceIds.length > 0 ? 'USER_SELECTED' : 'FIFO_ALLOCATION',
+        isFullyPaidNow: newStatus === 'PAID'
+      });
+
+      remainingPayment -= paymentToApply;
+    }
+
+    // Create income record
+    const income = await tx.income.create({
+      data: {
+        property: {
+          connect: { id: tenant.unit.propertyId }
+        },
+        tenant: {
+          connect: { id: tenantId }
+        },
+        amount: parsedAmountPaid,
+        frequency: frequency
+      }
+    });
+
+    // Create commission if applicable
+    let commission = null;
+    if (tenant.unit?.property?.commissionFee && 
+        tenant.unit?.property?.commissionFee > 0 && 
+        commissionBaseAmount > 0) {
+      
+      const propertyManagerId = tenant.unit?.property?.managerId;
+      
+      if (propertyManagerId) {
+        const manager = await tx.user.findUnique({
+          where: { id: propertyManagerId },
+          select: { id: true, role: true, name: true, email: true }
+        });
         
-        if (propertyManagerId) {
-          const manager = await tx.user.findUnique({
-            where: { id: propertyManagerId },
-            select: { id: true, role: true, name: true, email: true }
-          });
+        if (manager && ['ADMIN', 'MANAGER'].includes(manager.role)) {
+          let vatExclusiveCommissionBase = commissionBaseAmount;
+          const tenantVatType = tenant.vatType || 'NOT_APPLICABLE';
+          const tenantVatRate = tenant.vatRate || 0;
           
-          if (manager && ['ADMIN', 'MANAGER'].includes(manager.role)) {
-            let vatExclusiveCommissionBase = commissionBaseAmount;
-            const tenantVatType = tenant.vatType || 'NOT_APPLICABLE';
-            const tenantVatRate = tenant.vatRate || 0;
-            
-            if (tenantVatType === 'INCLUSIVE' && tenantVatRate > 0) {
-              vatExclusiveCommissionBase = commissionBaseAmount / (1 + (tenantVatRate / 100));
-            } else if (tenantVatType === 'EXCLUSIVE') {
-              vatExclusiveCommissionBase = commissionBaseAmount / (1 + (tenantVatRate / 100));
-            }
-            
-            const commissionAmount = (vatExclusiveCommissionBase * tenant.unit.property.commissionFee) / 100;
-            
-            const periodStart = new Date();
-            let periodEnd = new Date();
-            
-            switch (frequency) {
-              case 'QUARTERLY':
-                periodEnd.setMonth(periodEnd.getMonth() + 3);
-                break;
-              case 'ANNUAL':
-                periodEnd.setFullYear(periodEnd.getFullYear() + 1);
-                break;
-              default:
-                periodEnd.setMonth(periodEnd.getMonth() + 1);
+          if (tenantVatType === 'INCLUSIVE' && tenantVatRate > 0) {
+            vatExclusiveCommissionBase = commissionBaseAmount / (1 + (tenantVatRate / 100));
+          } else if (tenantVatType === 'EXCLUSIVE') {
+            vatExclusiveCommissionBase = commissionBaseAmount / (1 + (tenantVatRate / 100));
+          }
+          
+          const commissionAmount = (vatExclusiveCommissionBase * tenant.unit.property.commissionFee) / 100;
+          
+          const periodStart = new Date();
+          let periodEnd = new Date();
+          
+          switch (frequency) {
+            case 'QUARTERLY':
+              periodEnd.setMonth(periodEnd.getMonth() + 3);
+              break;
+            case 'ANNUAL':
+              periodEnd.setFullYear(periodEnd.getFullYear() + 1);
+              break;
+            default:
+              periodEnd.setMonth(periodEnd.getMonth() + 1);
+          }
+
+          commission = await tx.managerCommission.create({
+            data: {
+              propertyId: tenant.unit.propertyId,
+              managerId: propertyManagerId,
+              commissionFee: tenant.unit.property.commissionFee,
+              incomeAmount: vatExclusiveCommissionBase,
+              originalIncomeAmount: parsedAmountPaid,
+              commissionAmount: commissionAmount,
+              periodStart: periodStart,
+              periodEnd: periodEnd,
+              status: 'PENDING',
+              notes: `Commission for ${manager.role}: ${manager.name} (${manager.email}). VAT Type: ${tenantVatType}, VAT Rate: ${tenantVatRate}%, Credit used: ${creditUsed}. Payment recorded by: ${recordedById || 'SYSTEM'}`
             }
+          });
+          
+          await postCommissionAccrual(tx, commission, { createdById: recordedById });
 
-            commission = await tx.managerCommission.create({
-              data: {
-                propertyId: tenant.unit.propertyId,
-                managerId: propertyManagerId,
-                commissionFee: tenant.unit.property.commissionFee,
-                incomeAmount: vatExclusiveCommissionBase,
-                originalIncomeAmount: parsedAmountPaid,
-                commissionAmount: commissionAmount,
-                periodStart: periodStart,
-                periodEnd: periodEnd,
-                status: 'PENDING',
-                notes: `Commission for ${manager.role}: ${manager.name} (${manager.email}). VAT Type: ${tenantVatType}, VAT Rate: ${tenantVatRate}%, Credit used: ${creditUsed}. Payment recorded by: ${req.user.id}`
-              }
-            });
-            
-            console.log(`Commission created for ${manager.role}: ${manager.name} - Amount: ${commissionAmount}`);
-          }
+          console.log(`Commission created for ${manager.role}: ${manager.name} - Amount: ${commissionAmount}`);
         }
       }
+    }
 
-      return {
-        report,
-        income,
-        commission,
-        updatedInvoices,
-        invoiceUpdateResult,
-        tenant,
-        overpaymentRecords,
-        overpaymentAmount,
-        commissionBaseAmount,
-        actualPaymentForCurrentPeriod,
-        creditUsed,
-        parsedAmountPaid,
-        totalInvoiceBalance,
-        totalAvailable,
-        paymentPeriodStr
-      };
-    }, {
-      maxWait: 20000,
-      timeout: 60000,
+    // Post the receipt to the general ledger: cash and credit used against
+    // the invoice balances cleared, anything left over held as tenant credit
+    await postTenantPayment(tx, {
+      report,
+      tenantId,
+      propertyId: tenant.unit.propertyId,
+      amountReceived: parsedAmountPaid,
+      creditUsed,
+      receivableApplied: updatedInvoices.reduce((sum, inv) => sum + (inv.paymentApplied || 0), 0),
+      createdById: recordedById
     });
 
-    // Generate receipt
-    let receiptResult = null;
-    try {
-      const freshInvoices = await prisma.invoice.findMany({
-        where: { paymentReportId: transactionResult.report.id }
+    // Demand letters for invoices this payment cleared are settled
+    await settlePaidDemandLetters(tenantId, tx);
+
+    return {
+      report,
+      income,
+      commission,
+      updatedInvoices,
+      invoiceUpdateResult,
+      tenant,
+      overpaymentRecords,
+      overpaymentAmount,
+      commissionBaseAmount,
+      actualPaymentForCurrentPeriod,
+      creditUsed,
+      parsedAmountPaid,
+      totalInvoiceBalance,
+      totalAvailable,
+      paymentPeriodStr
+    };
+  }, {
+    maxWait: 20000,
+    timeout: 60000,
+  });
+
+  // Queue the receipt; the worker renders it and sets receiptUrl
+  let receiptResult = null;
+  try {
+    receiptResult = await queueReceipt(transactionResult.report.id, {
+      overpaymentAmount: transactionResult.overpaymentAmount,
+      creditUsed: transactionResult.creditUsed,
+      createdById: recordedById
+    });
+  } catch (receiptError) {
+    console.error('Failed to queue receipt (non-critical):', receiptError);
+  }
+
+  return { transactionResult, receiptResult };
+}
+
+// Helper: Queue a receipt.pdf job under a new receipt number
+async function queueReceipt(paymentReportId, { overpaymentAmount = 0, creditUsed = 0, createdById = null }) {
+  const receiptNumber = generateReceiptNumber(paymentReportId);
+  const job = await enqueueJob(
+    'receipt.pdf',
+    { paymentReportId, receiptNumber, overpaymentAmount, creditUsed },
+    { createdById }
+  );
+
+  return { receiptNumber, receiptUrl: null, job: jobSummary(job) };
+}
+
+/**
+ * Render a payment receipt, store it and record its URL (receipt.pdf job)
+ * @param {string} paymentReportId
+ * @param {object} options - { receiptNumber, overpaymentAmount, creditUsed }
+ * @returns {Promise<{ receiptUrl: string, receiptNumber: string }>}
+ */
+export async function renderPaymentReceipt(paymentReportId, { receiptNumber, overpaymentAmount = 0, creditUsed = 0 }) {
+  const paymentReport = await prisma.paymentReport.findUnique({
+    where: { id: paymentReportId },
+    include: {
+      tenant: {
+        include: {
+          unit: {
+            include: {
+              property: true
+            }
+          }
+        }
+      }
+    }
+  });
+  if (!paymentReport) {
+    throw permanentJobError(`Payment report ${paymentReportId} not found`);
+  }
+
+  const invoices = await prisma.invoice.findMany({
+    where: { paymentReportId }
+  });
+
+  const receiptResult = await generateAndUploadReceipt(
+    paymentReport,
+    paymentReport.tenant,
+    invoices,
+    overpaymentAmount,
+    creditUsed,
+    receiptNumber
+  );
+  if (!receiptResult.receiptUrl) {
+    throw new Error(receiptResult.error || 'Receipt could not be generated');
+  }
+
+  await prisma.paymentReport.update({
+    where: { id: paymentReportId },
+    data: { receiptUrl: receiptResult.receiptUrl }
+  });
+
+  return { receiptUrl: receiptResult.receiptUrl, receiptNumber: receiptResult.receiptNumber };
+}
+
+// @desc    Create payment report (Invoice-based, RENT ONLY)
+// @route   POST /api/payments
+// @access  Private (ADMIN, MANAGER, or USER with RECORD_PAYMENTS permission)
+export const createPaymentReport = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { 
+      tenantId, 
+      amountPaid,
+      invoiceIds = [],
+      notes,
+      paymentPeriod,
+      createMissingInvoices = false,
+      updateExistingInvoices = true,
+      handleOverpayment = true
+    } = req.body;
+
+    if (!tenantId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'tenantId is required' 
       });
+    }
 
-      receiptResult = await generateAndUploadReceipt(
-        transactionResult.report,
-        transactionResult.tenant,
-        freshInvoices,
-        transactionResult.overpaymentAmount,
-        transactionResult.creditUsed
-      );
+    if (amountPaid == null || isNaN(amountPaid) || parseFloat(amountPaid) < 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Valid non-negative amountPaid is required' 
+      });
+    }
+
+    const parsedAmountPaid = parseFloat(amountPaid);
 
-      await prisma.paymentReport.update({
-        where: { id: transactionResult.report.id },
-        data: { receiptUrl: receiptResult.receiptUrl }
+    const tenant = await prisma.tenant.findUnique({
+      where: { id: tenantId },
+      include: {
+        unit: {
+          include: {
+            property: {
+              select: { 
+                id: true, 
+                name: true, 
+                managerId: true,
+                commissionFee: true 
+              }
+            }
+          }
+        },
+        serviceCharge: true
+      }
+    });
+
+    if (!tenant) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Tenant not found' 
       });
+    }
 
-      console.log(`Receipt generated successfully: ${receiptResult.receiptNumber}`);
-    } catch (receiptError) {
-      console.error('Failed to generate receipt (non-critical):', receiptError);
+    const propertyId = tenant.unit?.propertyId;
+
+    if (userRole !== 'ADMIN') {
+      const canRecordPayment = await canManagePaymentForProperty(userId, userRole, propertyId);
+      if (!canRecordPayment) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'You do not have permission to record payments for this property' 
+        });
+      }
+      
+      const hasRecordPermission = await permissionService.hasPermission(
+        userId, 
+        'RECORD_PAYMENTS', 
+        propertyId
+      );
+      
+      if (!hasRecordPermission && userRole !== 'MANAGER') {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'You do not have permission to record payments' 
+        });
+      }
+    }
+
+    let paymentPeriodDate = null;
+    if (paymentPeriod) {
+      paymentPeriodDate = new Date(paymentPeriod);
+      if (isNaN(paymentPeriodDate.getTime())) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid paymentPeriod date format' 
+        });
+      }
     }
 
+    const { transactionResult, receiptResult } = await recordTenantPayment({
+      tenant,
+      amountPaid: parsedAmountPaid,
+      invoiceIds,
+      notes,
+      paymentPeriodDate,
+      createMissingInvoices,
+      updateExistingInvoices,
+      handleOverpayment,
+      recordedById: req.user.id
+    });
+
+    await smsPaymentReceived(tenant, transactionResult.report, {
+      receiptNumber: receiptResult?.receiptNumber,
+      createdById: req.user.id
+    });
+
     res.status(201).json({
       success: true,
       data: {
@@ -2820,7 +2946,7 @@ export const createPaymentReport = async (req, res) => {
         receipt: receiptResult ? {
           receiptNumber: receiptResult.receiptNumber,
           receiptUrl: receiptResult.receiptUrl,
-          generatedAt: new Date()
+          job: receiptResult.job
         } : null
       },
       message: 'Payment recorded successfully' + 
@@ -2831,13 +2957,21 @@ export const createPaymentReport = async (req, res) => {
           ` (Overpayment of ${transactionResult.overpaymentAmount} allocated using FIFO)` : '') +
         (transactionResult.creditUsed > 0 ? 
           ` (${transactionResult.creditUsed} credit applied)` : '') +
-        (receiptResult ? ' (Receipt generated)' : '') +
+        (receiptResult ? ' (Receipt queued)' : '') +
         (transactionResult.commission ? ` (Commission: ${transactionResult.commission.commissionAmount})` : '')
     });
 
   } catch (error) {
     console.error('Error creating payment report:', error);
     
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.data ? { data: error.data } : {})
+      });
+    }
+    
     if (error.code === 'P2028') {
       return res.status(408).json({ 
         success: false, 
@@ -3348,7 +3482,7 @@ export const updatePaymentReportWithIncome = async (req, res) => {
       const income = await tx.income.findFirst({
         where: {
           tenantId: existingReport.tenantId,
-          propertyId: existingReport.tenant.unit.propertyId,
+          propertyId: existingReport.tenant.unit?.propertyId,
           createdAt: {
             gte: new Date(existingReport.paymentPeriod.getTime() - 60000),
             lt: new Date(existingReport.paymentPeriod.getTime() + 60000)
@@ -3374,18 +3508,6 @@ export const updatePaymentReportWithIncome = async (req, res) => {
     let receiptResult = null;
     if (regenerateReceipt || paymentPeriod) {
       try {
-        // Get fresh data for receipt generation
-        const freshInvoices = await prisma.invoice.findMany({
-          where: { paymentReportId: result.updatedReport.id }
-        });
-
-        const freshBillInvoices = await prisma.billInvoice.findMany({
-          where: { paymentReportId: result.updatedReport.id }
-        });
-
-        // Combine both types of invoices for receipt
-        const allInvoices = [...freshInvoices, ...freshBillInvoices];
-
         // Get overpayment and credit info from the report notes
         let overpaymentAmount = 0;
         let creditUsed = 0;
@@ -3400,28 +3522,14 @@ export const updatePaymentReportWithIncome = async (req, res) => {
           }
         }
 
-        // Generate new receipt
-        receiptResult = await generateAndUploadReceipt(
-          result.updatedReport,
-          result.updatedReport.tenant,
-          allInvoices,
+        // The worker renders the new receipt and replaces receiptUrl
+        receiptResult = await queueReceipt(result.updatedReport.id, {
           overpaymentAmount,
-          creditUsed
-        );
-
-        // Update the payment report with new receipt URL
-        if (receiptResult.receiptUrl) {
-          await prisma.paymentReport.update({
-            where: { id: result.updatedReport.id },
-            data: { 
-              receiptUrl: receiptResult.receiptUrl 
-            }
-          });
-        }
-
-        console.log(`Receipt regenerated successfully: ${receiptResult.receiptNumber}`);
+          creditUsed,
+          createdById: userId
+        });
       } catch (receiptError) {
-        console.error('Failed to regenerate receipt:', receiptError);
+        console.error('Failed to queue receipt regeneration:', receiptError);
         // Don't fail the whole update if receipt regeneration fails
       }
     }
@@ -3431,13 +3539,13 @@ export const updatePaymentReportWithIncome = async (req, res) => {
       data: {
         paymentReport: {
           ...result.updatedReport,
-          receiptUrl: receiptResult?.receiptUrl || result.updatedReport.receiptUrl,
+          receiptUrl: result.updatedReport.receiptUrl,
           receiptNumber: receiptResult?.receiptNumber || null
         },
         income: result.updatedIncome,
         receipt: receiptResult ? {
           receiptNumber: receiptResult.receiptNumber,
-          receiptUrl: receiptResult.receiptUrl,
+          job: receiptResult.job,
           regenerated: true
         } : null,
         message: paymentPeriod 
@@ -3455,6 +3563,34 @@ export const updatePaymentReportWithIncome = async (req, res) => {
   }
 };
 
+// Stream the stored receipt PDF for a payment report (shared with the tenant portal)
+export const sendPaymentReceipt = async (res, paymentReport) => {
+  if (!paymentReport.receiptUrl) {
+    return res.status(404).json({
+      success: false,
+      message: 'Receipt not found for this payment. It may still be generating or failed to generate.'
+    });
+  }
+
+  const fileName = path.basename(paymentReport.receiptUrl);
+  const filePath = path.join(process.cwd(), 'uploads', 'receipts', fileName);
+
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    return res.status(404).json({
+      success: false,
+      message: 'Receipt file not found on server. It may have been deleted or moved.'
+    });
+  }
+
+  const fileBuffer = await fs.readFile(filePath);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="receipt-${fileName}"`);
+  res.send(fileBuffer);
+};
+
 // @desc    Download payment receipt PDF
 // @route   GET /api/payments/:id/receipt
 // @access  Private (requires DOWNLOAD_PAYMENT_RECEIPT permission)
@@ -3511,40 +3647,302 @@ export const downloadPaymentReceipt = async (req, res) => {
       }
     }
 
-    if (!paymentReport.receiptUrl) {
+    return sendPaymentReceipt(res, paymentReport);
+  } catch (error) {
+    console.error('Error downloading receipt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download receipt'
+    });
+  }
+};
+
+// @desc    Email the payment receipt PDF to the tenant
+// @route   POST /api/payments/:id/send-receipt
+// @access  Private (requires DOWNLOAD_PAYMENT_RECEIPT permission)
+export const sendPaymentReceiptEmail = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { id } = req.params;
+    const { email } = req.body;
+
+    const paymentReport = await prisma.paymentReport.findUnique({
+      where: { id },
+      include: {
+        tenant: {
+          include: {
+            unit: {
+              include: {
+                property: true
+              }
+            }
+          }
+        }
+      }
+    });
+
+    if (!paymentReport) {
       return res.status(404).json({
         success: false,
-        message: 'Receipt not found for this payment. It may still be generating or failed to generate.'
+        message: 'Payment report not found'
       });
     }
 
-    const fileName = path.basename(paymentReport.receiptUrl);
-    const filePath = path.join(process.cwd(), 'uploads', 'receipts', fileName);
+    const propertyId = paymentReport.tenant?.unit?.propertyId;
 
-    try {
-      await fs.access(filePath);
-    } catch (error) {
+    if (userRole !== 'ADMIN') {
+      const canView = await canViewPaymentsForProperty(userId, userRole, propertyId);
+      if (!canView) {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'You do not have permission to send receipts for this property' 
+        });
+      }
+      
+      const hasDownloadPermission = await permissionService.hasPermission(
+        userId, 
+        'DOWNLOAD_PAYMENT_RECEIPT', 
+        propertyId
+      );
+      
+      if (!hasDownloadPermission && userRole !== 'MANAGER') {
+        return res.status(403).json({ 
+          success: false, 
+          message: 'You do not have permission to send payment receipts' 
+        });
+      }
+    }
+
+    if (!paymentReport.receiptUrl) {
       return res.status(404).json({
         success: false,
-        message: 'Receipt file not found on server. It may have been deleted or moved.'
+        message: 'Receipt not found for this payment. It may still be generating or failed to generate.'
       });
     }
 
-    const fileBuffer = await fs.readFile(filePath);
-    
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="receipt-${fileName}"`);
-    res.send(fileBuffer);
+    const recipient = email || paymentReport.tenant.email;
+    if (!recipient) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tenant has no email address; provide one to send the receipt'
+      });
+    }
 
+    const message = await queueEmail({
+      to: recipient,
+      category: 'RECEIPT',
+      ...receiptEmail({
+        tenantName: paymentReport.tenant.fullName,
+        propertyName: paymentReport.tenant.unit?.property?.name || 'your unit',
+        amountPaid: paymentReport.amountPaid,
+        datePaid: paymentReport.datePaid,
+        paymentPeriod: formatMonthYear(paymentReport.paymentPeriod)
+      }),
+      attachments: [{ filename: `receipt-${path.basename(paymentReport.receiptUrl)}`, path: paymentReport.receiptUrl }],
+      links: {
+        tenantId: paymentReport.tenantId,
+        propertyId: propertyId || null,
+        paymentReportId: paymentReport.id
+      },
+      createdById: userId
+    });
+
+    const delivered = message.status === 'SENT';
+
+    res.status(delivered ? 200 : 202).json({
+      success: true,
+      data: deliverySummary(message),
+      message: delivered
+        ? `Receipt sent to ${recipient}`
+        : `Receipt could not be delivered yet (${message.lastError}); it will be retried automatically`
+    });
   } catch (error) {
-    console.error('Error downloading receipt:', error);
+    console.error('Error sending receipt:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to download receipt'
+      message: 'Failed to send receipt'
     });
   }
 };
 
+// Outstanding rent and bill invoices for the occupied units of a property
+// (shared with the landlord portal)
+export async function buildPropertyArrears(propertyId) {
+  const units = await prisma.unit.findMany({
+    where: {
+      propertyId: propertyId,
+      status: 'OCCUPIED',
+      tenant: {
+        isNot: null
+      }
+    },
+    include: {
+      tenant: {
+        include: {
+          invoices: {
+            where: {
+              status: {
+                in: ['UNPAID', 'PARTIAL', 'OVERDUE']
+              }
+            },
+            orderBy: {
+              dueDate: 'asc'
+            }
+          },
+          billInvoices: {
+            where: {
+              status: {
+                in: ['UNPAID', 'PARTIAL', 'OVERDUE']
+              }
+            },
+            orderBy: {
+              dueDate: 'asc'
+            }
+          },
+          paymentReports: {
+            orderBy: {
+              paymentPeriod: 'desc'
+            }
+          }
+        }
+      },
+      property: {
+        select: {
+          name: true
+        }
+      }
+    }
+  });
+
+  const arrearsData = [];
+
+  for (const unit of units) {
+    if (!unit.tenant) continue;
+
+    const tenant = unit.tenant;
+    
+    const creditBalance = await getTenantCreditBalance(prisma, tenant.id);
+    
+    // =============================================
+    // FIXED: Only include invoices with balance > 0
+    // =============================================
+    for (const invoice of tenant.invoices) {
+      // CRITICAL FIX: Only include invoices with balance > 0
+      // Credit notes reduce what the tenant is expected to pay
+      const expectedAmount = invoice.totalDue - invoice.creditedAmount;
+      const balance = invoice.balance ?? (expectedAmount - invoice.amountPaid);
+      
+      // Use small epsilon to avoid floating point issues
+      if (balance > 0.01) {
+        arrearsData.push({
+          id: `invoice-${invoice.id}`,
+          tenantId: tenant.id,
+          tenantName: tenant.fullName,
+          tenantContact: tenant.contact,
+          unitType: unit.type || 'Unit',
+          unitNo: unit.unitNo || 'N/A',
+          floor: unit.floor || 'N/A',
+          invoiceNumber: invoice.invoiceNumber,
+          invoiceType: 'RENT',
+          expectedAmount: expectedAmount,
+          creditedAmount: invoice.creditedAmount,
+          paidAmount: invoice.amountPaid,
+          balance: balance,
+          dueDate: invoice.dueDate,
+          status: invoice.status,
+          description: `Rent for ${unit.property.name} - ${unit.type || 'Unit'} ${unit.unitNo || ''}`,
+          invoiceId: invoice.id,
+          paymentPeriod: invoice.paymentPeriod,
+          hasCreditBalance: creditBalance > 0,
+          creditBalance: creditBalance,
+          isFullyPaid: false, // Not fully paid since balance > 0
+          daysOverdue: Math.max(0, Math.ceil((new Date() - new Date(invoice.dueDate)) / (1000 * 60 * 60 * 24)))
+        });
+      }
+    }
+
+    // =============================================
+    // FIXED: Only include bill invoices with balance > 0
+    // =============================================
+    for (const billInvoice of tenant.billInvoices) {
+      const expectedAmount = billInvoice.grandTotal - billInvoice.creditedAmount;
+      const balance = billInvoice.balance ?? (expectedAmount - billInvoice.amountPaid);
+      
+      if (balance > 0.01) {
+        arrearsData.push({
+          id: `bill-invoice-${billInvoice.id}`,
+          tenantId: tenant.id,
+          tenantName: tenant.fullName,
+          tenantContact: tenant.contact,
+          unitType: unit.type || 'Unit',
+          unitNo: unit.unitNo || 'N/A',
+          floor: unit.floor || 'N/A',
+          invoiceNumber: billInvoice.invoiceNumber,
+          invoiceType: 'BILL',
+          billType: billInvoice.billType,
+          expectedAmount: expectedAmount,
+          creditedAmount: billInvoice.creditedAmount,
+          paidAmount: billInvoice.amountPaid,
+          balance: balance,
+          dueDate: billInvoice.dueDate,
+          status: billInvoice.status,
+          description: `${billInvoice.billType} charge - ${billInvoice.billReferenceNumber || ''}`,
+          billInvoiceId: billInvoice.id,
+          billReferenceNumber: billInvoice.billReferenceNumber,
+          isFullyPaid: false,
+          daysOverdue: Math.max(0, Math.ceil((new Date() - new Date(billInvoice.dueDate)) / (1000 * 60 * 60 * 24)))
+        });
+      }
+    }
+  }
+
+  // Sort arrears by due date (oldest first) and then by balance
+  arrearsData.sort((a, b) => {
+    const dateDiff = new Date(a.dueDate) - new Date(b.dueDate);
+    if (dateDiff !== 0) return dateDiff;
+    return b.balance - a.balance;
+  });
+
+  const totalArrears = arrearsData.reduce((sum, item) => sum + item.balance, 0);
+  const totalExpected = arrearsData.reduce((sum, item) => sum + item.expectedAmount, 0);
+  const totalPaid = arrearsData.reduce((sum, item) => sum + item.paidAmount, 0);
+  const totalCredited = arrearsData.reduce((sum, item) => sum + item.creditedAmount, 0);
+  const totalCreditAvailable = arrearsData.reduce((sum, item) => sum + (item.creditBalance || 0), 0);
+  
+  // Calculate summary statistics
+  const totalInvoices = arrearsData.length;
+  const rentInvoices = arrearsData.filter(item => item.invoiceType === 'RENT').length;
+  const billInvoices = arrearsData.filter(item => item.invoiceType === 'BILL').length;
+  
+  // Categorize by overdue days
+  const overdueCategories = {
+    '0-30': arrearsData.filter(item => item.daysOverdue <= 30).length,
+    '31-60': arrearsData.filter(item => item.daysOverdue > 30 && item.daysOverdue <= 60).length,
+    '61-90': arrearsData.filter(item => item.daysOverdue > 60 && item.daysOverdue <= 90).length,
+    '91+': arrearsData.filter(item => item.daysOverdue > 90).length
+  };
+
+  return {
+    arrears: arrearsData,
+    summary: {
+      totalArrears: parseFloat(totalArrears.toFixed(2)),
+      totalExpected: parseFloat(totalExpected.toFixed(2)),
+      totalPaid: parseFloat(totalPaid.toFixed(2)),
+      totalCredited: parseFloat(totalCredited.toFixed(2)),
+      totalCreditAvailable: parseFloat(totalCreditAvailable.toFixed(2)),
+      itemCount: totalInvoices,
+      rentInvoices: rentInvoices,
+      billInvoices: billInvoices,
+      tenantsWithCredit: arrearsData.filter(item => item.hasCreditBalance).length,
+      overdueCategories: overdueCategories,
+      averageOverdueDays: totalInvoices > 0 
+        ? parseFloat((arrearsData.reduce((sum, item) => sum + item.daysOverdue, 0) / totalInvoices).toFixed(0))
+        : 0
+    }
+  };
+}
+
 // @desc    Get arrears for a property
 // @route   GET /api/payments/arrears/:propertyId
 // @access  Private (requires VIEW_ARREARS permission)
@@ -3581,173 +3979,11 @@ export async function getPropertyArrears(req, res) {
       }
     }
 
-    const units = await prisma.unit.findMany({
-      where: {
-        propertyId: propertyId,
-        status: 'OCCUPIED',
-        tenant: {
-          isNot: null
-        }
-      },
-      include: {
-        tenant: {
-          include: {
-            invoices: {
-              where: {
-                status: {
-                  in: ['UNPAID', 'PARTIAL', 'OVERDUE']
-                }
-              },
-              orderBy: {
-                dueDate: 'asc'
-              }
-            },
-            billInvoices: {
-              where: {
-                status: {
-                  in: ['UNPAID', 'PARTIAL', 'OVERDUE']
-                }
-              },
-              orderBy: {
-                dueDate: 'asc'
-              }
-            },
-            paymentReports: {
-              orderBy: {
-                paymentPeriod: 'desc'
-              }
-            }
-          }
-        },
-        property: {
-          select: {
-            name: true
-          }
-        }
-      }
-    });
-
-    const arrearsData = [];
-
-    for (const unit of units) {
-      if (!unit.tenant) continue;
-
-      const tenant = unit.tenant;
-      
-      const creditBalance = await getTenantCreditBalance(prisma, tenant.id);
-      
-      // =============================================
-      // FIXED: Only include invoices with balance > 0
-      // =============================================
-      for (const invoice of tenant.invoices) {
-        // CRITICAL FIX: Only include invoices with balance > 0
-        const balance = invoice.balance || (invoice.totalDue - invoice.amountPaid);
-        
-        // Use small epsilon to avoid floating point issues
-        if (balance > 0.01) {
-          arrearsData.push({
-            id: `invoice-${invoice.id}`,
-            tenantId: tenant.id,
-            tenantName: tenant.fullName,
-            tenantContact: tenant.contact,
-            unitType: unit.type || 'Unit',
-            unitNo: unit.unitNo || 'N/A',
-            floor: unit.floor || 'N/A',
-            invoiceNumber: invoice.invoiceNumber,
-            invoiceType: 'RENT',
-            expectedAmount: invoice.totalDue,
-            paidAmount: invoice.amountPaid,
-            balance: balance,
-            dueDate: invoice.dueDate,
-            status: invoice.status,
-            description: `Rent for ${unit.property.name} - ${unit.type || 'Unit'} ${unit.unitNo || ''}`,
-            invoiceId: invoice.id,
-            paymentPeriod: invoice.paymentPeriod,
-            hasCreditBalance: creditBalance > 0,
-            creditBalance: creditBalance,
-            isFullyPaid: false, // Not fully paid since balance > 0
-            daysOverdue: Math.max(0, Math.ceil((new Date() - new Date(invoice.dueDate)) / (1000 * 60 * 60 * 24)))
-          });
-        }
-      }
-
-      // =============================================
-      // FIXED: Only include bill invoices with balance > 0
-      // =============================================
-      for (const billInvoice of tenant.billInvoices) {
-        const balance = billInvoice.balance || (billInvoice.grandTotal - billInvoice.amountPaid);
-        
-        if (balance > 0.01) {
-          arrearsData.push({
-            id: `bill-invoice-${billInvoice.id}`,
-            tenantId: tenant.id,
-            tenantName: tenant.fullName,
-            tenantContact: tenant.contact,
-            unitType: unit.type || 'Unit',
-            unitNo: unit.unitNo || 'N/A',
-            floor: unit.floor || 'N/A',
-            invoiceNumber: billInvoice.invoiceNumber,
-            invoiceType: 'BILL',
-            billType: billInvoice.billType,
-            expectedAmount: billInvoice.grandTotal,
-            paidAmount: billInvoice.amountPaid,
-            balance: balance,
-            dueDate: billInvoice.dueDate,
-            status: billInvoice.status,
-            description: `${billInvoice.billType} charge - ${billInvoice.billReferenceNumber || ''}`,
-            billInvoiceId: billInvoice.id,
-            billReferenceNumber: billInvoice.billReferenceNumber,
-            isFullyPaid: false,
-            daysOverdue: Math.max(0, Math.ceil((new Date() - new Date(billInvoice.dueDate)) / (1000 * 60 * 60 * 24)))
-          });
-        }
-      }
-    }
-
-    // Sort arrears by due date (oldest first) and then by balance
-    arrearsData.sort((a, b) => {
-      const dateDiff = new Date(a.dueDate) - new Date(b.dueDate);
-      if (dateDiff !== 0) return dateDiff;
-      return b.balance - a.balance;
-    });
-
-    const totalArrears = arrearsData.reduce((sum, item) => sum + item.balance, 0);
-    const totalExpected = arrearsData.reduce((sum, item) => sum + item.expectedAmount, 0);
-    const totalPaid = arrearsData.reduce((sum, item) => sum + item.paidAmount, 0);
-    const totalCreditAvailable = arrearsData.reduce((sum, item) => sum + (item.creditBalance || 0), 0);
-    
-    // Calculate summary statistics
-    const totalInvoices = arrearsData.length;
-    const rentInvoices = arrearsData.filter(item => item.invoiceType === 'RENT').length;
-    const billInvoices = arrearsData.filter(item => item.invoiceType === 'BILL').length;
-    
-    // Categorize by overdue days
-    const overdueCategories = {
-      '0-30': arrearsData.filter(item => item.daysOverdue <= 30).length,
-      '31-60': arrearsData.filter(item => item.daysOverdue > 30 && item.daysOverdue <= 60).length,
-      '61-90': arrearsData.filter(item => item.daysOverdue > 60 && item.daysOverdue <= 90).length,
-      '91+': arrearsData.filter(item => item.daysOverdue > 90).length
-    };
+    const data = await buildPropertyArrears(propertyId);
 
     return res.status(200).json({
       success: true,
-      data: {
-        arrears: arrearsData,
-        summary: {
-          totalArrears: parseFloat(totalArrears.toFixed(2)),
-          totalExpected: parseFloat(totalExpected.toFixed(2)),
-          totalPaid: parseFloat(totalPaid.toFixed(2)),
-          totalCreditAvailable: parseFloat(totalCreditAvailable.toFixed(2)),
-          itemCount: totalInvoices,
-          rentInvoices: rentInvoices,
-          billInvoices: billInvoices,
-          tenantsWithCredit: arrearsData.filter(item => item.hasCreditBalance).length,
-          overdueCategories: overdueCategories,
-          averageOverdueDays: totalInvoices > 0 
-            ? parseFloat((arrearsData.reduce((sum, item) => sum + item.daysOverdue, 0) / totalInvoices).toFixed(0))
-            : 0
-        }
-      }
+      data
     });
 
   } catch (error) {
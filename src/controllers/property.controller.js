@@ -157,6 +157,7 @@ export const createProperty = async (req, res) => {
       landlord, 
       managerId, 
       commissionFee,
+      depositInterestRate,
       accountNo,
       accountName,
       bank,
@@ -206,6 +207,12 @@ export const createProperty = async (req, res) => {
       });
     }
 
+    if (depositInterestRate && (depositInterestRate < 0 || depositInterestRate > 100)) {
+      return res.status(400).json({
+        message: 'Deposit interest rate must be between 0 and 100 percent.'
+      });
+    }
+
     if (currentUser.role === 'MANAGER' && !landlordId && !landlord) {
       return res.status(400).json({
         message: 'A landlord (ID or details) is required when creating a property.'
@@ -219,6 +226,7 @@ export const createProperty = async (req, res) => {
       form: formattedForm,
       usage: formattedUsage,
       commissionFee: commissionFee ? parseFloat(commissionFee) : null,
+      depositInterestRate: depositInterestRate ? parseFloat(depositInterestRate) : null,
       accountNo: accountNo || null,
       accountName: accountName || null,
       bank: bank || null,
@@ -323,6 +331,7 @@ export const updateProperty = async (req, res) => {
       landlordId, 
       managerId, 
       commissionFee,
+      depositInterestRate,
       accountNo,
       accountName,
       bank,
@@ -421,6 +430,15 @@ export const updateProperty = async (req, res) => {
       });
     }
 
+    if (depositInterestRate && (depositInterestRate < 0 || depositInterestRate > 100)) {
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({
+        message: 'Deposit interest rate must be between 0 and 100 percent.'
+      });
+    }
+
     let imagePath = existingProperty.image;
     if (req.file) {
       if (existingProperty.image && fs.existsSync(existingProperty.image)) {
@@ -436,6 +454,9 @@ export const updateProperty = async (req, res) => {
       form: formattedForm,
       usage: formattedUsage,
       commissionFee: commissionFee !== undefined ? parseFloat(commissionFee) : undefined,
+      depositInterestRate: depositInterestRate !== undefined
+        ? (depositInterestRate === null || depositInterestRate === '' ? null : parseFloat(depositInterestRate))
+        : undefined,
       image: imagePath,
       accountNo: accountNo !== undefined ? accountNo : undefined,
       accountName: accountName !== undefined ? accountName : undefined,
@@ -3,6 +3,7 @@ import { hashPassword } from '../utils/hashPassword.js';
 import { generateSecurePassword, sendWelcomeEmail } from '../utils/emailService.js';
 import permissionService from "../services/permissionService.js";
 import cacheService from "../services/cacheService.js";
+import { revokeUserSessions } from "../services/sessionService.js";
 
 // ======================================================
 // HELPER FUNCTIONS FOR CACHE INVALIDATION
@@ -1102,6 +1103,11 @@ export const updateManagedUserAccess = async (req, res) => {
         });
       }
     }, { timeout: 15000 });
+
+    // A disabled user is logged out of every device straight away
+    if (isActive === false) {
+      await revokeUserSessions(targetUserId, 'ACCOUNT_DISABLED');
+    }
     
     // Log audit
     await prisma.rBACAuditLog.create({
@@ -1589,6 +1595,9 @@ export const disableManagedUser = async (req, res) => {
       })
     ]);
 
+    // Existing access tokens stop working on their next request
+    await revokeUserSessions(targetUserId, 'ACCOUNT_DISABLED');
+
     await prisma.rBACAuditLog.create({
       data: {
         action: 'DISABLE_MANAGED_USER',
@@ -0,0 +1,762 @@
+import crypto from 'crypto';
+import prisma from "../lib/prisma.js";
+import permissionService from "../services/permissionService.js";
+import EmployeeService from "../services/employee.service.js";
+import { parseBankStatement } from "../services/bankStatementParser.js";
+import {
+  MATCH_DIRECTIONS,
+  entityField,
+  getConfirmedAmounts,
+  refreshLineStatus,
+  findMatchCandidates,
+  proposeMatches,
+  summarizeStatement
+} from "../services/reconciliationService.js";
+import { recordTenantPayment } from "./paymentReport.controller.js";
+import { httpError } from "../utils/httpError.js";
+import { roundMoney } from "../utils/money.js";
+
+const employeeService = new EmployeeService();
+
+const VALID_FORMATS = ['CSV', 'MT940', 'CAMT053'];
+const VALID_MATCH_TYPES = Object.keys(MATCH_DIRECTIONS);
+
+const matchInclude = {
+  paymentReport: {
+    select: {
+      id: true,
+      amountPaid: true,
+      datePaid: true,
+      paymentPeriod: true,
+      status: true,
+      tenant: { select: { id: true, fullName: true, unit: { select: { unitNo: true } } } }
+    }
+  },
+  otherIncome: {
+    select: { id: true, invoiceNumber: true, clientName: true, title: true, totalAmount: true, status: true }
+  },
+  salaryPayment: {
+    select: {
+      id: true,
+      amount: true,
+      paymentDate: true,
+      paymentPeriod: true,
+      employee: { select: { id: true, name: true } }
+    }
+  },
+  createdBy: { select: { id: true, name: true } }
+};
+
+// ======================================================
+// PERMISSION HELPER FUNCTIONS
+// ======================================================
+
+// Check a reconciliation operation (view, manage) for a property
+const checkReconciliationPermission = async (userId, userRole, operation, propertyId) => {
+  if (userRole === 'ADMIN') {
+    return true;
+  }
+
+  if (userRole === 'MANAGER') {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { managerId: true }
+    });
+    return property?.managerId === userId;
+  }
+
+  return permissionService.checkPermission(userId, 'reconciliation', operation, propertyId);
+};
+
+const permissionDenied = (res, operation) => res.status(403).json({
+  success: false,
+  message: operation === 'manage'
+    ? 'You do not have permission to reconcile bank statements for this property'
+    : 'You do not have permission to view bank statements for this property',
+  requiredPermission: operation === 'manage' ? 'MANAGE_BANK_RECONCILIATION' : 'VIEW_BANK_RECONCILIATION'
+});
+
+// Load a statement line with its statement, enforcing access to the statement's property
+const loadLine = async (req, lineId, operation) => {
+  const line = await prisma.bankStatementLine.findUnique({
+    where: { id: lineId },
+    include: {
+      statement: { select: { id: true, propertyId: true } },
+      matches: true
+    }
+  });
+
+  if (!line) {
+    throw httpError(404, 'Statement line not found');
+  }
+
+  if (!(await checkReconciliationPermission(req.user.id, req.user.role, operation, line.statement.propertyId))) {
+    throw httpError(403, null);
+  }
+
+  return line;
+};
+
+const handleError = (res, error, label, operation = 'manage') => {
+  if (error.statusCode === 403) {
+    return permissionDenied(res, operation);
+  }
+  console.error(`${label} error:`, error);
+  res.status(error.statusCode || 400).json({
+    success: false,
+    message: error.message,
+    ...(error.data && { data: error.data })
+  });
+};
+
+// Account numbers are compared on digits only; IBAN-style numbers may embed the local one
+const sameAccount = (statementAccount, propertyAccount) => {
+  const a = String(statementAccount || '').replace(/\D/g, '');
+  const b = String(propertyAccount || '').replace(/\D/g, '');
+  return !a || !b || a.endsWith(b) || b.endsWith(a);
+};
+
+// ======================================================
+// STATEMENTS
+// ======================================================
+
+// @desc    Upload and parse a bank statement, then propose matches
+// @route   POST /api/reconciliation/statements
+// @access  Private (Requires MANAGE_BANK_RECONCILIATION permission)
+export const uploadBankStatement = async (req, res) => {
+  try {
+    const { propertyId, format, force } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'A statement file is required' });
+    }
+    if (!propertyId) {
+      return res.status(400).json({ success: false, message: 'propertyId is required' });
+    }
+    if (format && !VALID_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${VALID_FORMATS.join(', ')}`
+      });
+    }
+
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { id: true, name: true, accountNo: true, bank: true }
+    });
+    if (!property) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+
+    if (!(await checkReconciliationPermission(req.user.id, req.user.role, 'manage', propertyId))) {
+      return permissionDenied(res, 'manage');
+    }
+
+    let parsed;
+    try {
+      parsed = parseBankStatement(req.file.buffer, { format, fileName: req.file.originalname });
+    } catch (parseError) {
+      return res.status(422).json({
+        success: false,
+        message: `Could not read statement: ${parseError.message}`
+      });
+    }
+
+    if (!sameAccount(parsed.accountNo, property.accountNo) && String(force) !== 'true') {
+      return res.status(409).json({
+        success: false,
+        message: `Statement account ${parsed.accountNo} does not match ${property.name}'s account ${property.accountNo}. Resubmit with force=true to import anyway.`
+      });
+    }
+
+    const fileHash = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+    const existing = await prisma.bankStatement.findUnique({
+      where: { propertyId_fileHash: { propertyId, fileHash } },
+      select: { id: true }
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'This statement file has already been imported for this property',
+        data: { statementId: existing.id }
+      });
+    }
+
+    const totals = parsed.lines.reduce((sum, line) => {
+      sum[line.direction === 'CREDIT' ? 'credits' : 'debits'] += line.amount;
+      return sum;
+    }, { credits: 0, debits: 0 });
+
+    const statement = await prisma.bankStatement.create({
+      data: {
+        propertyId,
+        accountNo: parsed.accountNo || property.accountNo,
+        bank: property.bank,
+        format: parsed.format,
+        fileName: req.file.originalname,
+        fileHash,
+        statementRef: parsed.statementRef,
+        periodStart: parsed.periodStart,
+        periodEnd: parsed.periodEnd,
+        openingBalance: parsed.openingBalance,
+        closingBalance: parsed.closingBalance,
+        currency: parsed.currency || 'KES',
+        totalCredits: roundMoney(totals.credits),
+        totalDebits: roundMoney(totals.debits),
+        uploadedById: req.user.id,
+        lines: { create: parsed.lines }
+      }
+    });
+
+    const matching = await proposeMatches(statement.id, { user: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${parsed.lines.length} transactions; ${matching.proposed} matches proposed`,
+      data: {
+        ...statement,
+        matching
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Upload bank statement');
+  }
+};
+
+// @desc    List imported bank statements
+// @route   GET /api/reconciliation/statements
+// @access  Private (Requires VIEW_BANK_RECONCILIATION permission)
+export const getBankStatements = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { propertyId, page = 1, limit = 20 } = req.query;
+
+    const where = {};
+    if (propertyId) {
+      if (!(await checkReconciliationPermission(userId, userRole, 'view', propertyId))) {
+        return permissionDenied(res, 'view');
+      }
+      where.propertyId = propertyId;
+    } else if (userRole !== 'ADMIN') {
+      const accessiblePropertyIds = await permissionService.getAccessiblePropertyIds(userId, userRole);
+      const permitted = [];
+      for (const id of accessiblePropertyIds) {
+        if (await checkReconciliationPermission(userId, userRole, 'view', id)) permitted.push(id);
+      }
+      where.propertyId = { in: permitted };
+    }
+
+    const take = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+
+    const [statements, total] = await Promise.all([
+      prisma.bankStatement.findMany({
+        where,
+        include: {
+          property: { select: { id: true, name: true } },
+          uploadedBy: { select: { id: true, name: true } },
+          _count: { select: { lines: true } }
+        },
+        orderBy: [{ periodStart: 'desc' }, { createdAt: 'desc' }],
+        skip,
+        take
+      }),
+      prisma.bankStatement.count({ where })
+    ]);
+
+    // Reconciliation progress per statement
+    const progress = await prisma.bankStatementLine.groupBy({
+      by: ['statementId', 'status'],
+      where: { statementId: { in: statements.map(s => s.id) } },
+      _count: { _all: true }
+    });
+
+    res.json({
+      success: true,
+      data: statements.map(statement => ({
+        ...statement,
+        lineStatusCounts: Object.fromEntries(
+          progress
+            .filter(row => row.statementId === statement.id)
+            .map(row => [row.status, row._count._all])
+        )
+      })),
+      pagination: {
+        page: Math.floor(skip / take) + 1,
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get bank statements', 'view');
+  }
+};
+
+// @desc    Get a statement with its lines, matches and reconciliation summary
+// @route   GET /api/reconciliation/statements/:id
+// @access  Private (Requires VIEW_BANK_RECONCILIATION permission)
+export const getBankStatement = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const statement = await prisma.bankStatement.findUnique({
+      where: { id: req.params.id },
+      include: {
+        property: { select: { id: true, name: true, accountNo: true, bank: true } },
+        uploadedBy: { select: { id: true, name: true } },
+        lines: {
+          include: {
+            matches: { include: matchInclude, orderBy: { createdAt: 'asc' } },
+            reconciledBy: { select: { id: true, name: true } }
+          },
+          orderBy: { lineNumber: 'asc' }
+        }
+      }
+    });
+
+    if (!statement) {
+      return res.status(404).json({ success: false, message: 'Bank statement not found' });
+    }
+
+    if (!(await checkReconciliationPermission(req.user.id, req.user.role, 'view', statement.propertyId))) {
+      return permissionDenied(res, 'view');
+    }
+
+    // Tenant payments recorded in the statement period that no bank line accounts
+    // for (M-Pesa receipts are settled separately and are left out)
+    let unreconciledPayments = [];
+    if (statement.periodStart && statement.periodEnd) {
+      unreconciledPayments = await prisma.paymentReport.findMany({
+        where: {
+          status: { not: 'CREDIT' },
+          tenant: { unit: { propertyId: statement.propertyId } },
+          datePaid: {
+            gte: statement.periodStart,
+            lt: new Date(statement.periodEnd.getTime() + 24 * 60 * 60 * 1000)
+          },
+          bankMatches: { none: { status: 'CONFIRMED' } },
+          mpesaTransactions: { none: {} }
+        },
+        select: {
+          id: true,
+          amountPaid: true,
+          datePaid: true,
+          notes: true,
+          tenant: { select: { id: true, fullName: true, unit: { select: { unitNo: true } } } }
+        },
+        orderBy: { datePaid: 'asc' }
+      });
+    }
+
+    const { lines, ...rest } = statement;
+
+    res.json({
+      success: true,
+      data: {
+        ...rest,
+        summary: summarizeStatement(lines),
+        lines: status ? lines.filter(line => status.split(',').includes(line.status)) : lines,
+        unreconciledPayments
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get bank statement', 'view');
+  }
+};
+
+// @desc    Delete an imported statement (book entries are not touched)
+// @route   DELETE /api/reconciliation/statements/:id
+// @access  Private (Requires MANAGE_BANK_RECONCILIATION permission)
+export const deleteBankStatement = async (req, res) => {
+  try {
+    const statement = await prisma.bankStatement.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, propertyId: true }
+    });
+
+    if (!statement) {
+      return res.status(404).json({ success: false, message: 'Bank statement not found' });
+    }
+
+    if (!(await checkReconciliationPermission(req.user.id, req.user.role, 'manage', statement.propertyId))) {
+      return permissionDenied(res, 'manage');
+    }
+
+    await prisma.bankStatement.delete({ where: { id: statement.id } });
+
+    res.json({ success: true, message: 'Bank statement deleted' });
+  } catch (error) {
+    handleError(res, error, 'Delete bank statement');
+  }
+};
+
+// @desc    Re-run automatic matching for the statement's open lines
+// @route   POST /api/reconciliation/statements/:id/auto-match
+// @access  Private (Requires MANAGE_BANK_RECONCILIATION permission)
+export const autoMatchStatement = async (req, res) => {
+  try {
+    const statement = await prisma.bankStatement.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, propertyId: true }
+    });
+
+    if (!statement) {
+      return res.status(404).json({ success: false, message: 'Bank statement not found' });
+    }
+
+    if (!(await checkReconciliationPermission(req.user.id, req.user.role, 'manage', statement.propertyId))) {
+      return permissionDenied(res, 'manage');
+    }
+
+    const result = await proposeMatches(statement.id, { user: req.user });
+
+    res.json({
+      success: true,
+      message: `${result.proposed} matches proposed for ${result.linesChecked} open lines`,
+      data: result
+    });
+  } catch (error) {
+    handleError(res, error, 'Auto-match statement');
+  }
+};
+
+// ======================================================
+// LINES
+// ======================================================
+
+// @desc    Book entries that could match a statement line
+// @route   GET /api/reconciliation/lines/:lineId/candidates
+// @access  Private (Requires VIEW_BANK_RECONCILIATION permission)
+export const getLineCandidates = async (req, res) => {
+  try {
+    const line = await loadLine(req, req.params.lineId, 'view');
+    const candidates = await findMatchCandidates(line, {
+      propertyId: line.statement.propertyId,
+      user: req.user
+    });
+
+    res.json({ success: true, data: candidates });
+  } catch (error) {
+    handleError(res, error, 'Get line candidates', 'view');
+  }
+};
+
+// Validate and create confirmed matches for a line inside a transaction
+const confirmLineMatches = async (tx, line, matches, userId) => {
+  const alreadyMatched = roundMoney(
+    line.matches.filter(m => m.status === 'CONFIRMED').reduce((sum, m) => sum + m.amount, 0)
+  );
+  const total = roundMoney(matches.reduce((sum, m) => sum + m.amount, 0));
+  if (alreadyMatched + total > line.amount + 0.01) {
+    throw httpError(400, `Matches total ${roundMoney(alreadyMatched + total)} but the line is only ${line.amount}`);
+  }
+
+  for (const match of matches) {
+    if (MATCH_DIRECTIONS[match.matchType] !== line.direction) {
+      throw httpError(400, `${match.matchType} entries can only be matched to ${MATCH_DIRECTIONS[match.matchType].toLowerCase()} lines`);
+    }
+
+    const field = entityField(match.matchType);
+    let entryAmount;
+    if (match.matchType === 'PAYMENT_REPORT') {
+      const payment = await tx.paymentReport.findUnique({
+        where: { id: match.id },
+        select: { amountPaid: true, tenant: { select: { unit: { select: { propertyId: true } } } } }
+      });
+      if (!payment || payment.tenant.unit?.propertyId !== line.statement.propertyId) {
+        throw httpError(404, `Payment ${match.id} not found for this property`);
+      }
+      entryAmount = payment.amountPaid;
+    } else if (match.matchType === 'OTHER_INCOME') {
+      const income = await tx.otherIncome.findUnique({ where: { id: match.id }, select: { totalAmount: true } });
+      if (!income) throw httpError(404, `Other income ${match.id} not found`);
+      entryAmount = income.totalAmount;
+    } else {
+      const salary = await tx.salaryPayment.findUnique({ where: { id: match.id }, select: { amount: true } });
+      if (!salary) throw httpError(404, `Salary payment ${match.id} not found`);
+      entryAmount = salary.amount;
+    }
+
+    const confirmed = await getConfirmedAmounts(match.matchType, [match.id], tx);
+    const available = roundMoney(entryAmount - (confirmed.get(match.id) || 0));
+    if (match.amount > available + 0.01) {
+      throw httpError(400, `Only ${available} of ${match.matchType} ${match.id} is left to reconcile`);
+    }
+
+    await tx.bankReconciliationMatch.create({
+      data: {
+        lineId: line.id,
+        matchType: match.matchType,
+        [field]: match.id,
+        amount: match.amount,
+        status: 'CONFIRMED',
+        reason: match.reason || null,
+        confidence: match.confidence ?? null,
+        createdById: userId,
+        confirmedAt: new Date()
+      }
+    });
+  }
+
+  // Confirming replaces whatever was proposed for the line
+  await tx.bankReconciliationMatch.deleteMany({ where: { lineId: line.id, status: 'PROPOSED' } });
+  return refreshLineStatus(tx, line.id, { reconciledById: userId });
+};
+
+const lineWithMatches = (lineId) => prisma.bankStatementLine.findUnique({
+  where: { id: lineId },
+  include: { matches: { include: matchInclude } }
+});
+
+// @desc    Confirm the proposed match, or match/split the line against given entries
+// @route   POST /api/reconciliation/lines/:lineId/confirm
+// @access  Private (Requires MANAGE_BANK_RECONCILIATION permission)
+export const confirmLineMatch = async (req, res) => {
+  try {
+    const line = await loadLine(req, req.params.lineId, 'manage');
+    const { matches } = req.body;
+
+    if (line.status === 'IGNORED') {
+      return res.status(400).json({ success: false, message: 'Restore the line before matching it' });
+    }
+
+    let requested;
+    if (matches === undefined) {
+      requested = line.matches
+        .filter(m => m.status === 'PROPOSED')
+        .map(m => ({
+          matchType: m.matchType,
+          id: m[entityField(m.matchType)],
+          amount: m.amount,
+          confidence: m.confidence,
+          reason: m.reason
+        }));
+      if (requested.length === 0) {
+        return res.status(400).json({ success: false, message: 'There is no proposed match to confirm; provide matches' });
+      }
+    } else {
+      if (!Array.isArray(matches) || matches.length === 0) {
+        return res.status(400).json({ success: false, message: 'matches must be a non-empty list of { matchType, id, amount }' });
+      }
+      const remaining = roundMoney(line.amount - line.matchedAmount);
+      requested = matches.map(m => ({
+        matchType: m.matchType,
+        id: m.id,
+        amount: roundMoney(m.amount ?? (matches.length === 1 ? remaining : NaN))
+      }));
+      if (requested.some(m => !VALID_MATCH_TYPES.includes(m.matchType) || !m.id || !(m.amount > 0))) {
+        return res.status(400).json({
+          success: false,
+          message: `Each match needs matchType (${VALID_MATCH_TYPES.join(', ')}), id and a positive amount (optional for a single match)`
+        });
+      }
+    }
+
+    await prisma.$transaction(tx => confirmLineMatches(tx, line, requested, req.user.id));
+
+    res.json({
+      success: true,
+      message: requested.length > 1 ? 'Line split across matches' : 'Match confirmed',
+      data: await lineWithMatches(line.id)
+    });
+  } catch (error) {
+    handleError(res, error, 'Confirm line match');
+  }
+};
+
+// @desc    Record the payment a line represents when it is missing from the books, and match it
+// @route   POST /api/reconciliation/lines/:lineId/create-payment
+// @access  Private (Requires MANAGE_BANK_RECONCILIATION permission)
+export const createPaymentFromLine = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const line = await loadLine(req, req.params.lineId, 'manage');
+    const { matchType, tenantId, invoiceIds, otherIncomeId, employeeId, paymentPeriod, notes } = req.body;
+
+    if (!VALID_MATCH_TYPES.includes(matchType)) {
+      return res.status(400).json({
+        success: false,
+        message: `matchType must be one of: ${VALID_MATCH_TYPES.join(', ')}`
+      });
+    }
+    if (MATCH_DIRECTIONS[matchType] !== line.direction) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${line.direction.toLowerCase()} line cannot be recorded as ${matchType}`
+      });
+    }
+    if (line.status === 'IGNORED') {
+      return res.status(400).json({ success: false, message: 'Restore the line before matching it' });
+    }
+
+    const remaining = roundMoney(line.amount - line.matchedAmount);
+    const amount = roundMoney(req.body.amount ?? remaining);
+    if (!(amount > 0) || amount > remaining + 0.01) {
+      return res.status(400).json({
+        success: false,
+        message: `amount must be positive and no more than the unmatched ${remaining}`
+      });
+    }
+
+    const bankRef = line.reference || line.bankReference;
+    const paymentNotes = notes || `Bank ${bankRef || `statement line ${line.lineNumber}`}`;
+    let entryId;
+
+    if (matchType === 'PAYMENT_REPORT') {
+      if (!tenantId) {
+        return res.status(400).json({ success: false, message: 'tenantId is required' });
+      }
+      const tenant = await prisma.tenant.findUnique({
+        where: { id: tenantId },
+        include: {
+          unit: {
+            include: {
+              property: { select: { id: true, name: true, managerId: true, commissionFee: true } }
+            }
+          },
+          serviceCharge: true
+        }
+      });
+      if (!tenant || tenant.unit?.propertyId !== line.statement.propertyId) {
+        return res.status(404).json({ success: false, message: 'Tenant not found in this property' });
+      }
+
+      const { transactionResult } = await recordTenantPayment({
+        tenant,
+        amountPaid: amount,
+        invoiceIds: Array.isArray(invoiceIds) ? invoiceIds : [],
+        notes: paymentNotes,
+        createMissingInvoices: true,
+        datePaid: line.valueDate,
+        recordedById: userId
+      });
+      entryId = transactionResult.report.id;
+    } else if (matchType === 'OTHER_INCOME') {
+      if (!otherIncomeId) {
+        return res.status(400).json({ success: false, message: 'otherIncomeId is required' });
+      }
+      const income = await prisma.otherIncome.findUnique({ where: { id: otherIncomeId } });
+      if (!income || (req.user.role !== 'ADMIN' && income.managerId !== userId)) {
+        return res.status(404).json({ success: false, message: 'Other income not found' });
+      }
+      if (['PAID', 'CANCELLED'].includes(income.status)) {
+        return res.status(400).json({ success: false, message: `Income is already ${income.status.toLowerCase()}` });
+      }
+
+      const confirmed = await getConfirmedAmounts('OTHER_INCOME', [income.id]);
+      const settled = roundMoney((confirmed.get(income.id) || 0) + amount) >= income.totalAmount - 0.01;
+      await prisma.otherIncome.update({
+        where: { id: income.id },
+        data: {
+          status: settled ? 'PAID' : 'PARTIAL',
+          paidDate: settled ? line.valueDate : income.paidDate,
+          paymentMethod: 'BANK_TRANSFER',
+          transactionRef: bankRef || income.transactionRef
+        }
+      });
+      entryId = income.id;
+    } else {
+      if (!employeeId) {
+        return res.status(400).json({ success: false, message: 'employeeId is required' });
+      }
+      const payment = await employeeService.recordSalaryPayment({
+        employeeId,
+        amount,
+        paymentPeriod,
+        paymentMethod: 'BANK_TRANSFER',
+        transactionRef: bankRef,
+        notes: paymentNotes,
+        paymentDate: line.valueDate
+      }, userId, req.user.role);
+      entryId = payment.id;
+    }
+
+    const freshLine = await loadLine(req, line.id, 'manage');
+    await prisma.$transaction(tx => confirmLineMatches(tx, freshLine, [{
+      matchType,
+      id: entryId,
+      amount,
+      reason: 'Recorded from bank statement'
+    }], userId));
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded and matched to the statement line',
+      data: await lineWithMatches(line.id)
+    });
+  } catch (error) {
+    handleError(res, error, 'Create payment from line');
+  }
+};
+
+// @desc    Remove a proposed or confirmed match from a line
+// @route   DELETE /api/reconciliation/lines/:lineId/matches/:matchId
+// @access  Private (Requires MANAGE_BANK_RECONCILIATION permission)
+export const removeLineMatch = async (req, res) => {
+  try {
+    const line = await loadLine(req, req.params.lineId, 'manage');
+    const match = line.matches.find(m => m.id === req.params.matchId);
+
+    if (!match) {
+      return res.status(404).json({ success: false, message: 'Match not found on this line' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.bankReconciliationMatch.delete({ where: { id: match.id } });
+      await refreshLineStatus(tx, line.id);
+    });
+
+    res.json({
+      success: true,
+      message: 'Match removed',
+      data: await lineWithMatches(line.id)
+    });
+  } catch (error) {
+    handleError(res, error, 'Remove line match');
+  }
+};
+
+// @desc    Ignore a line that is not a business transaction (bank charges, transfers), or restore it
+// @route   PATCH /api/reconciliation/lines/:lineId/ignore
+// @access  Private (Requires MANAGE_BANK_RECONCILIATION permission)
+export const ignoreStatementLine = async (req, res) => {
+  try {
+    const line = await loadLine(req, req.params.lineId, 'manage');
+    const { ignore = true, reason } = req.body;
+
+    if (ignore) {
+      if (line.matches.some(m => m.status === 'CONFIRMED')) {
+        return res.status(400).json({ success: false, message: 'Remove the confirmed matches before ignoring the line' });
+      }
+      if (!reason) {
+        return res.status(400).json({ success: false, message: 'reason is required' });
+      }
+
+      await prisma.$transaction([
+        prisma.bankReconciliationMatch.deleteMany({ where: { lineId: line.id } }),
+        prisma.bankStatementLine.update({
+          where: { id: line.id },
+          data: { status: 'IGNORED', notes: reason, reconciledById: req.user.id, reconciledAt: new Date() }
+        })
+      ]);
+    } else {
+      await prisma.$transaction(async (tx) => {
+        await tx.bankStatementLine.update({
+          where: { id: line.id },
+          data: { status: 'UNMATCHED', notes: null }
+        });
+        await refreshLineStatus(tx, line.id);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: ignore ? 'Line ignored' : 'Line restored',
+      data: await lineWithMatches(line.id)
+    });
+  } catch (error) {
+    handleError(res, error, 'Ignore statement line');
+  }
+};
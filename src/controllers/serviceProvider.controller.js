@@ -4,6 +4,7 @@ import permissionService from "../services/permissionService.js";
 import { uploadDocument, deleteDocument, fileExists } from "../utils/uploadHelper.js";
 import path from 'path';
 import { createReadStream } from 'fs';
+import { createSignedUrl, STAFF_DOWNLOAD_ROUTES } from "../services/signedUrlService.js";
 
 // Helper function to check if user has access to a property
 const checkPropertyAccess = async (userId, userRole, propertyId, requiredPermission = 'canView') => {
@@ -849,10 +850,15 @@ export const getAttachmentUrl = async (req, res) => {
       return res.status(403).json({ message: 'Access denied to this attachment' });
     }
 
-    // Generate a temporary download URL (you can add expiry time if needed)
+    // Signed links that open in a new tab for a few minutes, for this session only
     const baseUrl = process.env.BASE_URL || 'http://localhost:5000';
-    const downloadUrl = `${baseUrl}/api/service-providers/attachments/${attachmentId}/download`;
-    const previewUrl = `${baseUrl}/api/service-providers/attachments/${attachmentId}/preview`;
+    const signedLink = (action) => baseUrl + createSignedUrl(
+      `/api/service-providers/attachments/${attachmentId}/${action}`,
+      `user:${userId}:${req.sessionId}`,
+      STAFF_DOWNLOAD_ROUTES
+    ).url;
+    const downloadUrl = signedLink('download');
+    const previewUrl = signedLink('preview');
 
     res.json({
       success: true,
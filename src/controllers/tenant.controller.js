@@ -14,6 +14,16 @@ import {
   getPolicyMonths
 } from '../services/rentCalculation.js';
 import { getPaymentSummary } from '../services/paymentScheduling.js';
+import { hashPassword } from '../utils/hashPassword.js';
+import { generateSecurePassword, sendWelcomeEmail } from '../utils/emailService.js';
+import { buildTenantStatement } from '../services/tenantStatementService.js';
+import { renderDocumentPdf } from '../services/templateService.js';
+import { DEPOSIT_PAYMENT_METHODS, recordDepositReceipt } from '../services/depositService.js';
+import {
+  CURRENT_LEASE_STATUSES,
+  parseLeaseTermMonths,
+  leaseEndDate
+} from '../services/leaseService.js';
 
 // Helper function to check tenant-specific permissions
 const checkTenantPermission = async (userId, userRole, propertyId, operation) => {
@@ -35,6 +45,35 @@ const checkTenantPermission = async (userId, userRole, propertyId, operation) =>
   return false;
 };
 
+// Moved-out tenants no longer hold a unit; their property is taken from the latest lease
+const latestLeaseInclude = {
+  select: { propertyId: true, property: { select: { managerId: true } } },
+  orderBy: { startDate: 'desc' },
+  take: 1
+};
+
+const getTenantProperty = (tenant) =>
+  tenant.unit?.property || tenant.leases?.[0]?.property || null;
+
+const getTenantPropertyId = (tenant) =>
+  tenant.unit?.propertyId || tenant.leases?.[0]?.propertyId || null;
+
+// Tenants belong to a property through their unit, or through their lease history once moved out
+const tenantPropertyWhere = (propertyWhere) => ({
+  OR: [
+    { unit: { property: propertyWhere } },
+    { leases: { some: { property: propertyWhere } } }
+  ]
+});
+
+// Tenant listings show current tenants unless ?status=MOVED_OUT or ?status=ALL is requested
+const VALID_TENANT_LIST_STATUSES = ['ACTIVE', 'MOVED_OUT', 'ALL'];
+
+const tenantStatusWhere = (status) => {
+  const normalized = (status || 'ACTIVE').toUpperCase();
+  return normalized === 'ALL' ? {} : { status: normalized };
+};
+
 // Helper function to check if user has access to tenant
 const checkUserTenantAccess = async (userId, userRole, tenantId, requiredOperation = 'view') => {
   const tenant = await prisma.tenant.findUnique({
@@ -44,7 +83,8 @@ const checkUserTenantAccess = async (userId, userRole, tenantId, requiredOperati
         include: {
           property: true
         }
-      }
+      },
+      leases: latestLeaseInclude
     }
   });
 
@@ -57,15 +97,16 @@ const checkUserTenantAccess = async (userId, userRole, tenantId, requiredOperati
   }
   
   if (userRole === 'MANAGER') {
-    const hasAccess = tenant.unit.property.managerId === userId;
+    const hasAccess = getTenantProperty(tenant)?.managerId === userId;
     return { hasAccess, tenant };
   }
   
   if (userRole === 'USER') {
-    const hasAccess = await checkTenantPermission(
+    const propertyId = getTenantPropertyId(tenant);
+    const hasAccess = !!propertyId && await checkTenantPermission(
       userId, 
       userRole, 
-      tenant.unit.propertyId, 
+      propertyId, 
       requiredOperation
     );
     return { hasAccess, tenant };
@@ -92,10 +133,11 @@ const checkUserWriteAccess = async (userId, userRole, tenantId = null, operation
     if (tenantId) {
       const tenant = await prisma.tenant.findUnique({
         where: { id: tenantId },
-        include: { unit: true }
+        include: { unit: true, leases: latestLeaseInclude }
       });
-      if (tenant) {
-        return await checkTenantPermission(userId, userRole, tenant.unit.propertyId, operation);
+      const propertyId = tenant && getTenantPropertyId(tenant);
+      if (propertyId) {
+        return await checkTenantPermission(userId, userRole, propertyId, operation);
       }
       return false;
     }
@@ -106,17 +148,25 @@ const checkUserWriteAccess = async (userId, userRole, tenantId = null, operation
 };
 
 // @desc    Get all tenants
-// @route   GET /api/tenants
+// @route   GET /api/tenants?status=ACTIVE|MOVED_OUT|ALL
 // @access  Private
 export const getTenants = async (req, res) => {
   try {
     const userId = req.user.id;
     const userRole = req.user.role;
 
+    if (req.query.status && !VALID_TENANT_LIST_STATUSES.includes(req.query.status.toUpperCase())) {
+      return res.status(400).json({
+        message: `Invalid status. Must be one of: ${VALID_TENANT_LIST_STATUSES.join(", ")}`
+      });
+    }
+    const statusWhere = tenantStatusWhere(req.query.status);
+
     let tenants;
 
     if (userRole === 'ADMIN') {
       tenants = await prisma.tenant.findMany({
+        where: statusWhere,
         include: {
           unit: {
             include: {
@@ -132,11 +182,8 @@ export const getTenants = async (req, res) => {
     } else if (userRole === 'MANAGER') {
       tenants = await prisma.tenant.findMany({
         where: {
-          unit: {
-            property: {
-              managerId: userId
-            }
-          }
+          ...statusWhere,
+          ...tenantPropertyWhere({ managerId: userId })
         },
         include: {
           unit: {
@@ -173,11 +220,8 @@ export const getTenants = async (req, res) => {
       
       tenants = await prisma.tenant.findMany({
         where: {
-          unit: {
-            property: {
-              id: { in: propertiesWithPermission }
-            }
-          }
+          ...statusWhere,
+          ...tenantPropertyWhere({ id: { in: propertiesWithPermission } })
         },
         include: {
           unit: {
@@ -276,7 +320,12 @@ export const getTenant = async (req, res) => {
         },
         paymentReports: { orderBy: { datePaid: 'desc' } },
         serviceCharge: true,
-        incomes: true
+        incomes: true,
+        leases: {
+          include: { unit: { select: { id: true, unitNo: true } } },
+          orderBy: { startDate: 'desc' }
+        },
+        moveOuts: { orderBy: { moveOutDate: 'desc' } }
       }
     });
 
@@ -309,7 +358,7 @@ export const getTenant = async (req, res) => {
 };
 
 // @desc    Get tenants by property ID
-// @route   GET /api/tenants/property/:propertyId
+// @route   GET /api/tenants/property/:propertyId?status=ACTIVE|MOVED_OUT|ALL
 // @access  Private
 export const getTenantsByProperty = async (req, res) => {
   try {
@@ -339,12 +388,17 @@ export const getTenantsByProperty = async (req, res) => {
       });
     }
 
+    if (req.query.status && !VALID_TENANT_LIST_STATUSES.includes(req.query.status.toUpperCase())) {
+      return res.status(400).json({
+        message: `Invalid status. Must be one of: ${VALID_TENANT_LIST_STATUSES.join(", ")}`
+      });
+    }
+
     // Fetch tenants for this property
     const tenants = await prisma.tenant.findMany({
       where: {
-        unit: {
-          propertyId: propertyId
-        }
+        ...tenantStatusWhere(req.query.status),
+        ...tenantPropertyWhere({ id: propertyId })
       },
       include: {
         unit: {
@@ -1367,6 +1421,12 @@ export const createTenant = async (req, res) => {
       vatRate,
       vatType,
       serviceCharge,
+      // Lease fields (lease end defaults to termStart + leaseTerm)
+      leaseEndDate: requestedLeaseEnd,
+      noticePeriodDays,
+      // Deposit paid on signing, recorded on the deposit ledger
+      depositPaymentMethod,
+      depositReference,
       // Withholding tax fields
       withholdingTaxRate,
       withholdingVatRate,
@@ -1392,6 +1452,12 @@ export const createTenant = async (req, res) => {
       });
     }
 
+    if (depositPaymentMethod && !DEPOSIT_PAYMENT_METHODS.includes(depositPaymentMethod)) {
+      return res.status(400).json({
+        message: `Invalid depositPaymentMethod. Must be one of: ${DEPOSIT_PAYMENT_METHODS.join(", ")}`,
+      });
+    }
+
     // Check email uniqueness
     const existingEmail = await prisma.tenant.findUnique({
       where: { email },
@@ -1496,6 +1562,27 @@ export const createTenant = async (req, res) => {
 
     const parsedRent = parseFloat(rent);
 
+    // Resolve the initial lease end date; a free-text lease term that cannot be
+    // read just skips the lease, which can be added later via POST /api/leases
+    let initialLeaseEnd = null;
+    if (requestedLeaseEnd) {
+      initialLeaseEnd = new Date(requestedLeaseEnd);
+      if (isNaN(initialLeaseEnd.getTime()) || initialLeaseEnd <= new Date(termStart)) {
+        return res.status(400).json({ message: "leaseEndDate must be a valid date after termStart" });
+      }
+    } else {
+      const termMonths = parseLeaseTermMonths(leaseTerm);
+      if (termMonths) initialLeaseEnd = leaseEndDate(new Date(termStart), termMonths);
+    }
+
+    let parsedNoticePeriod = 30;
+    if (noticePeriodDays !== undefined && noticePeriodDays !== null) {
+      parsedNoticePeriod = parseInt(noticePeriodDays);
+      if (isNaN(parsedNoticePeriod) || parsedNoticePeriod < 0) {
+        return res.status(400).json({ message: "noticePeriodDays must be a non-negative number" });
+      }
+    }
+
     // Build tenant data
     const tenantData = {
       fullName,
@@ -1538,6 +1625,37 @@ export const createTenant = async (req, res) => {
       },
     });
 
+    // Create the initial lease
+    if (initialLeaseEnd) {
+      await prisma.lease.create({
+        data: {
+          tenantId: tenant.id,
+          unitId,
+          propertyId: unit.propertyId,
+          startDate: tenantData.termStart,
+          endDate: initialLeaseEnd,
+          noticePeriodDays: parsedNoticePeriod,
+          rent: parsedRent,
+          deposit: tenantData.deposit,
+          escalationRate: tenantData.escalationRate,
+          escalationFrequency: normalizedEscalationFrequency,
+          createdById: userId
+        }
+      });
+    }
+
+    // A deposit paid on signing opens the tenant's deposit ledger; otherwise it
+    // is receipted later through /api/deposits
+    if (depositPaymentMethod && tenantData.deposit > 0) {
+      await recordDepositReceipt(tenant.id, {
+        amount: tenantData.deposit,
+        method: depositPaymentMethod,
+        reference: depositReference,
+        transactionDate: tenantData.termStart,
+        createdById: userId
+      });
+    }
+
     // =============================================
     // HANDLE SERVICE CHARGE - UPDATED WITH VAT SUPPORT
     // =============================================
@@ -1649,7 +1767,8 @@ export const updateTenant = async (req, res) => {
       // Withholding tax fields
       withholdingTaxRate,
       withholdingVatRate,
-      isWithholdingTaxExempt
+      isWithholdingTaxExempt,
+      smsOptOut
     } = req.body;
 
     // Fetch existing tenant
@@ -1669,6 +1788,12 @@ export const updateTenant = async (req, res) => {
       return res.status(404).json({ message: "Tenant not found" });
     }
 
+    if (existingTenant.status === 'MOVED_OUT' && unitId) {
+      return res.status(400).json({
+        message: "This tenant has moved out and cannot be assigned a unit. Create a new tenant for a new tenancy."
+      });
+    }
+
     // =============================================
     // HANDLE UNIT TRANSFER
     // =============================================
@@ -1932,6 +2057,12 @@ export const updateTenant = async (req, res) => {
       isWithholdingTaxExempt: isExempt,
     };
 
+    // SMS opt-out (the tenant can also opt out from the portal or by replying STOP)
+    if (smsOptOut !== undefined && (smsOptOut === true) !== existingTenant.smsOptOut) {
+      updateData.smsOptOut = smsOptOut === true;
+      updateData.smsOptOutAt = smsOptOut === true ? new Date() : null;
+    }
+
     // If unit is being changed, update the unitId in tenant data
     if (unitId && unitId !== existingTenant.unitId) {
       updateData.unitId = unitId;
@@ -2006,6 +2137,12 @@ export const updateTenant = async (req, res) => {
           });
         }
 
+        // 5. The current lease follows the tenant to the new unit
+        await tx.lease.updateMany({
+          where: { tenantId: req.params.id, status: { in: CURRENT_LEASE_STATUSES } },
+          data: { unitId: targetUnit.id }
+        });
+
         return updated;
       });
     } else {
@@ -2020,7 +2157,7 @@ export const updateTenant = async (req, res) => {
       });
 
       // Update unit rent if changed and no unit change
-      if (rent !== undefined && parsedRent !== existingTenant.rent) {
+      if (rent !== undefined && parsedRent !== existingTenant.rent && existingTenant.unitId) {
         await prisma.unit.update({
           where: { id: existingTenant.unitId },
           data: { rentAmount: parsedRent },
@@ -2191,7 +2328,8 @@ export const updateTenant = async (req, res) => {
   }
 };
 
-// @desc    Delete tenant
+// @desc    Delete tenant (only tenants captured in error - tenants with financial
+//          history leave through the lease move-out flow so their records are kept)
 // @route   DELETE /api/tenants/:id
 // @access  Private (ADMIN, MANAGER, and USER with DELETE_TENANT permission)
 export const deleteTenant = async (req, res) => {
@@ -2212,7 +2350,17 @@ export const deleteTenant = async (req, res) => {
       where: { id: req.params.id },
       include: { 
         unit: true,
-        serviceCharge: true
+        serviceCharge: true,
+        _count: {
+          select: {
+            invoices: true,
+            billInvoices: true,
+            paymentReports: true,
+            demandLetters: true,
+            journalEntries: true,
+            moveOuts: true
+          }
+        }
       }
     });
 
@@ -2220,8 +2368,16 @@ export const deleteTenant = async (req, res) => {
       return res.status(404).json({ message: 'Tenant not found' });
     }
 
-    // Store the unit's original rent amount before tenant deletion
-    const originalUnitRent = tenant.unit.rentAmount;
+    // Deleting would cascade away invoices, payments and ledger entries
+    const hasHistory = Object.values(tenant._count).some(count => count > 0);
+    if (hasHistory) {
+      return res.status(400).json({
+        message: tenant.status === 'MOVED_OUT'
+          ? 'This tenant has moved out and their history is kept for the records. It cannot be deleted.'
+          : 'This tenant has invoices, payments or other financial history and cannot be deleted. Use the lease move-out flow to end the tenancy.',
+        history: tenant._count
+      });
+    }
 
     // Delete service charge if exists
     if (tenant.serviceCharge) {
@@ -2231,13 +2387,15 @@ export const deleteTenant = async (req, res) => {
     }
 
     // Update unit status to vacant and restore original rent amount
-    await prisma.unit.update({
-      where: { id: tenant.unitId },
-      data: { 
-        status: 'VACANT',
-        rentAmount: originalUnitRent
-      }
-    });
+    if (tenant.unit) {
+      await prisma.unit.update({
+        where: { id: tenant.unitId },
+        data: { 
+          status: 'VACANT',
+          rentAmount: tenant.unit.rentAmount
+        }
+      });
+    }
 
     await prisma.tenant.delete({
       where: { id: req.params.id }
@@ -2400,6 +2558,52 @@ export const removeServiceCharge = async (req, res) => {
   }
 };
 
+// Build the financial summary for a tenant (shared with the tenant portal)
+export const buildTenantFinancials = async (tenantId) => {
+  const financials = await prisma.tenant.findUnique({
+    where: { id: tenantId },
+    include: {
+      paymentReports: {
+        orderBy: { datePaid: 'desc' }
+      },
+      incomes: {
+        orderBy: { createdAt: 'desc' }
+      },
+      invoices: {
+        orderBy: { createdAt: 'desc' }
+      }
+    }
+  });
+
+  if (!financials) return null;
+
+  // Calculate summary
+  const totalPaid = financials.paymentReports.reduce((sum, p) => sum + p.amountPaid, 0);
+  const totalInvoiced = financials.invoices.reduce((sum, inv) => sum + inv.totalDue, 0);
+
+  // The account statement's closing balance, so credit notes count here as on the statement
+  const statement = await buildTenantStatement(tenantId);
+  const outstandingBalance = statement.closingBalance;
+
+  return {
+    tenant: {
+      id: financials.id,
+      fullName: financials.fullName,
+      email: financials.email
+    },
+    summary: {
+      totalPaid,
+      totalInvoiced,
+      outstandingBalance,
+      paymentCount: financials.paymentReports.length,
+      invoiceCount: financials.invoices.length
+    },
+    paymentHistory: financials.paymentReports,
+    invoiceHistory: financials.invoices,
+    incomeHistory: financials.incomes
+  };
+};
+
 // @desc    Get tenant financials (requires VIEW_TENANT_FINANCIALS permission)
 // @route   GET /api/tenants/:id/financials
 // @access  Private
@@ -2422,47 +2626,240 @@ export const getTenantFinancials = async (req, res) => {
       return res.status(404).json({ message: 'Tenant not found' });
     }
 
-    // Fetch financial data
-    const financials = await prisma.tenant.findUnique({
-      where: { id: req.params.id },
-      include: {
-        paymentReports: {
-          orderBy: { datePaid: 'desc' }
-        },
-        incomes: {
-          orderBy: { createdAt: 'desc' }
-        },
-        invoices: {
-          orderBy: { createdAt: 'desc' }
-        }
+    const financials = await buildTenantFinancials(req.params.id);
+
+    res.json(financials);
+  } catch (error) {
+    console.error('Get tenant financials error:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// =============================================
+// TENANT ACCOUNT STATEMENT
+// =============================================
+
+// Parse statement ?from&to query dates, returning an error message when invalid
+export const parseStatementRange = (query) => {
+  const parse = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+  };
+
+  const from = parse(query.from);
+  const to = parse(query.to);
+
+  if (from === undefined || to === undefined) {
+    return { error: 'Invalid date. Use YYYY-MM-DD for from and to.' };
+  }
+  if (from && to && from > to) {
+    return { error: 'from must be on or before to' };
+  }
+
+  return { from, to };
+};
+
+// Send a tenant statement as a PDF download (shared with the tenant portal)
+export const sendTenantStatementPdf = async (res, statement) => {
+  const property = statement.tenant.property;
+  const pdfBuffer = await renderDocumentPdf('tenantStatement', statement, {
+    propertyId: property?.id,
+    landlordId: property?.landlordId
+  });
+  const safeName = statement.tenant.fullName.replace(/[^a-zA-Z0-9]+/g, '_');
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="statement_${safeName}.pdf"`);
+  res.send(pdfBuffer);
+};
+
+// @desc    Get tenant account statement (running ledger with opening/closing balance)
+// @route   GET /api/tenants/:id/statement?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private (requires VIEW_TENANT_FINANCIALS permission)
+export const getTenantStatement = async (req, res) => {
+  try {
+    const { hasAccess, tenant } = await checkUserTenantAccess(req.user.id, req.user.role, req.params.id, 'viewFinancials');
+
+    if (!tenant) {
+      return res.status(404).json({ success: false, message: 'Tenant not found' });
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to view financials for this tenant.',
+        requiredPermission: 'VIEW_TENANT_FINANCIALS'
+      });
+    }
+
+    const { from, to, error } = parseStatementRange(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const statement = await buildTenantStatement(tenant.id, { from, to });
+
+    res.json({ success: true, data: statement });
+  } catch (error) {
+    console.error('Get tenant statement error:', error);
+    res.status(500).json({ success: false, message: 'Failed to build tenant statement', error: error.message });
+  }
+};
+
+// @desc    Download tenant account statement as PDF
+// @route   GET /api/tenants/:id/statement/pdf?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private (requires VIEW_TENANT_FINANCIALS permission)
+export const downloadTenantStatementPDF = async (req, res) => {
+  try {
+    const { hasAccess, tenant } = await checkUserTenantAccess(req.user.id, req.user.role, req.params.id, 'viewFinancials');
+
+    if (!tenant) {
+      return res.status(404).json({ success: false, message: 'Tenant not found' });
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to view financials for this tenant.',
+        requiredPermission: 'VIEW_TENANT_FINANCIALS'
+      });
+    }
+
+    const { from, to, error } = parseStatementRange(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const statement = await buildTenantStatement(tenant.id, { from, to });
+
+    await sendTenantStatementPdf(res, statement);
+  } catch (error) {
+    console.error('Download tenant statement error:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate statement PDF', error: error.message });
+  }
+};
+
+// =============================================
+// TENANT PORTAL ACCESS
+// =============================================
+
+// @desc    Enable tenant portal access, or reset the portal password
+// @route   POST /api/tenants/:id/portal-access
+// @access  Private (ADMIN, MANAGER)
+export const enableTenantPortalAccess = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+
+    const { hasAccess, tenant } = await checkUserTenantAccess(userId, userRole, req.params.id, 'edit');
+
+    if (!tenant) {
+      return res.status(404).json({ success: false, message: 'Tenant not found' });
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to manage portal access for this tenant.'
+      });
+    }
+
+    const tempPassword = generateSecurePassword();
+    const hashedPassword = await hashPassword(tempPassword);
+
+    const existing = await prisma.tenantAccount.findUnique({ where: { tenantId: tenant.id } });
+
+    // Resetting also revokes existing portal sessions (passwordChangedAt > token iat)
+    const account = await prisma.tenantAccount.upsert({
+      where: { tenantId: tenant.id },
+      create: {
+        tenantId: tenant.id,
+        password: hashedPassword,
+        mustChangePassword: true,
+        isActive: true,
+        passwordChangedAt: new Date(),
+        createdById: userId
+      },
+      update: {
+        password: hashedPassword,
+        mustChangePassword: true,
+        isActive: true,
+        passwordChangedAt: new Date()
+      },
+      select: {
+        id: true,
+        tenantId: true,
+        isActive: true,
+        mustChangePassword: true,
+        lastLoginAt: true,
+        createdAt: true
       }
     });
 
-    // Calculate summary
-    const totalPaid = financials.paymentReports.reduce((sum, p) => sum + p.amountPaid, 0);
-    const totalInvoiced = financials.invoices.reduce((sum, inv) => sum + inv.amount, 0);
-    const outstandingBalance = totalInvoiced - totalPaid;
+    if (tenant.email) {
+      sendWelcomeEmail({
+        email: tenant.email,
+        name: tenant.fullName,
+        temporaryPassword: tempPassword,
+        role: 'TENANT',
+        loginUrl: `${process.env.FRONTEND_URL}/tenant-portal/login`,
+        createdBy: req.user.name || req.user.email
+      }).catch(err => console.error('Tenant portal welcome email failed:', err.message));
+    }
 
-    res.json({
-      tenant: {
-        id: financials.id,
-        fullName: financials.fullName,
-        email: financials.email
-      },
-      summary: {
-        totalPaid,
-        totalInvoiced,
-        outstandingBalance,
-        paymentCount: financials.paymentReports.length,
-        invoiceCount: financials.invoices.length
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      data: {
+        ...account,
+        loginId: tenant.email || tenant.contact,
+        // Tenants without an email address get the password handed over by staff
+        temporaryPassword: tenant.email ? undefined : tempPassword
       },
-      paymentHistory: financials.paymentReports,
-      invoiceHistory: financials.invoices,
-      incomeHistory: financials.incomes
+      message: existing
+        ? 'Tenant portal password reset successfully'
+        : 'Tenant portal access enabled successfully'
     });
   } catch (error) {
-    console.error('Get tenant financials error:', error);
-    res.status(400).json({ message: error.message });
+    console.error('Enable tenant portal access error:', error);
+    res.status(500).json({ success: false, message: 'Failed to enable tenant portal access', error: error.message });
+  }
+};
+
+// @desc    Disable tenant portal access
+// @route   DELETE /api/tenants/:id/portal-access
+// @access  Private (ADMIN, MANAGER)
+export const disableTenantPortalAccess = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+
+    const { hasAccess, tenant } = await checkUserTenantAccess(userId, userRole, req.params.id, 'edit');
+
+    if (!tenant) {
+      return res.status(404).json({ success: false, message: 'Tenant not found' });
+    }
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You do not have permission to manage portal access for this tenant.'
+      });
+    }
+
+    const result = await prisma.tenantAccount.updateMany({
+      where: { tenantId: tenant.id },
+      data: { isActive: false }
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ success: false, message: 'Tenant does not have portal access' });
+    }
+
+    res.json({ success: true, message: 'Tenant portal access disabled successfully' });
+  } catch (error) {
+    console.error('Disable tenant portal access error:', error);
+    res.status(500).json({ success: false, message: 'Failed to disable tenant portal access', error: error.message });
   }
 };
 
@@ -2671,8 +3068,8 @@ export const previewAttachment = async (req, res) => {
       res.setHeader('Content-Disposition', `inline; filename="${attachment.name}"`);
       return res.sendFile(fullPath); // Now fullPath is absolute
     } else {
-      // For all other files, redirect to download
-      return res.redirect(`${process.env.BASE_URL || 'http://localhost:5000'}/api/tenants/attachments/${attachmentId}/download`);
+      // For all other files, download instead (a redirect would drop a signed link's signature)
+      return res.download(fullPath, attachment.name);
     }
   } catch (error) {
     console.error('Error previewing attachment:', error);
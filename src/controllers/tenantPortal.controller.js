@@ -0,0 +1,665 @@
+import prisma from "../lib/prisma.js";
+import fs from 'fs';
+import path from 'path';
+import { hashPassword, comparePassword } from '../utils/hashPassword.js';
+import { generatePortalToken } from '../utils/generateToken.js';
+import { buildTenantFinancials, parseStatementRange, sendTenantStatementPdf } from './tenant.controller.js';
+import { buildTenantStatement } from '../services/tenantStatementService.js';
+import { sendPaymentReceipt } from './paymentReport.controller.js';
+import { generateRequestNumber, VALID_CATEGORIES } from './maintenance.controller.js';
+import { createSignedUrl, TENANT_PORTAL_DOWNLOAD_ROUTES } from '../services/signedUrlService.js';
+import { assertLoginAllowed, recordLoginFailure, recordLoginSuccess, logAuthEvent } from '../services/loginSecurityService.js';
+
+// Tenant portal controllers - every query is scoped to req.tenant (set by protectTenant),
+// so ids in the URL can never reach another tenant's records
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const complaintSelect = {
+  id: true,
+  requestNumber: true,
+  title: true,
+  description: true,
+  category: true,
+  priority: true,
+  status: true,
+  location: true,
+  resolutionNotes: true,
+  resolvedAt: true,
+  closedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const take = Math.min(parseInt(query.limit) || 20, 100);
+  return { page, take, skip: (page - 1) * take };
+};
+
+const getUploadDir = () => process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads');
+
+// Attachments are written to uploads/attachments, older ones sit directly in uploads/
+const resolveAttachmentPath = (attachment) => {
+  let fileName = attachment.fileName || attachment.url;
+  fileName = fileName.replace(/\\/g, '/').split('/').pop();
+
+  const uploadDir = getUploadDir();
+  const candidates = [
+    path.resolve(uploadDir, 'attachments', fileName),
+    path.resolve(uploadDir, fileName)
+  ];
+
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+};
+
+const formatAttachment = (attachment, tenantAccountId) => ({
+  id: attachment.id,
+  name: attachment.name,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  uploadedAt: attachment.uploadedAt,
+  uploadedByMe: attachment.uploadedByTenantAccountId === tenantAccountId,
+  downloadUrl: `/api/tenant-portal/documents/${attachment.id}/download`
+});
+
+// ======================================================
+// AUTHENTICATION
+// ======================================================
+
+// Lockouts come back as 429 errors carrying the seconds to wait
+const sendLoginLocked = (res, error) => {
+  res.set('Retry-After', String(error.retryAfter));
+  return res.status(error.statusCode).json({ success: false, message: error.message });
+};
+
+// @desc    Tenant portal login (email or phone number + password)
+// @route   POST /api/tenant-portal/auth/login
+// @access  Public
+export const tenantLogin = async (req, res) => {
+  try {
+    const { email, phone, password } = req.body;
+    const identifier = (email || phone || '').toString().trim();
+
+    if (!identifier || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email or phone number and password are required'
+      });
+    }
+
+    await assertLoginAllowed(identifier, req, { portal: 'tenant' });
+
+    const accounts = await prisma.tenantAccount.findMany({
+      where: email
+        ? { tenant: { email: { equals: identifier, mode: 'insensitive' } } }
+        : { tenant: { contact: identifier } },
+      include: {
+        tenant: {
+          select: { id: true, fullName: true, email: true, contact: true }
+        }
+      }
+    });
+
+    // Phone numbers are not unique across tenants - match on the password as well
+    let account = null;
+    for (const candidate of accounts) {
+      if (await comparePassword(password, candidate.password)) {
+        account = candidate;
+        break;
+      }
+    }
+
+    if (!account) {
+      const locked = await recordLoginFailure({
+        email: identifier,
+        req,
+        reason: accounts.length > 0 ? 'INVALID_PASSWORD' : 'UNKNOWN_ACCOUNT',
+        portal: 'tenant'
+      });
+      if (locked) return sendLoginLocked(res, locked);
+
+      return res.status(401).json({ success: false, message: 'Invalid login details' });
+    }
+
+    if (!account.isActive) {
+      await logAuthEvent({
+        action: 'LOGIN_FAILED',
+        email: identifier,
+        req,
+        changes: { portal: 'tenant', accountId: account.id, reason: 'ACCOUNT_DISABLED' }
+      });
+      return res.status(403).json({
+        success: false,
+        message: 'Portal access has been disabled. Please contact your property manager.'
+      });
+    }
+
+    await prisma.tenantAccount.update({
+      where: { id: account.id },
+      data: { lastLoginAt: new Date() }
+    });
+    await recordLoginSuccess({ id: account.id, email: identifier }, req, null, { portal: 'tenant' });
+
+    res.json({
+      success: true,
+      data: {
+        tenant: account.tenant,
+        requiresPasswordChange: account.mustChangePassword,
+        token: generatePortalToken(account.id, 'tenant')
+      }
+    });
+  } catch (error) {
+    if (error.statusCode === 429) return sendLoginLocked(res, error);
+    console.error('Tenant portal login error:', error);
+    res.status(500).json({ success: false, message: 'Login failed' });
+  }
+};
+
+// @desc    Change tenant portal password
+// @route   POST /api/tenant-portal/auth/change-password
+// @access  Tenant
+export const tenantChangePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ success: false, message: 'Current and new password are required' });
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const account = await prisma.tenantAccount.findUnique({
+      where: { id: req.tenantAccount.id }
+    });
+
+    const isValid = await comparePassword(currentPassword, account.password);
+    if (!isValid) {
+      return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+    }
+
+    const updated = await prisma.tenantAccount.update({
+      where: { id: account.id },
+      data: {
+        password: await hashPassword(newPassword),
+        mustChangePassword: false,
+        passwordChangedAt: new Date()
+      }
+    });
+
+    // Older tokens are revoked by the password change - hand back a fresh one
+    res.json({
+      success: true,
+      data: { token: generatePortalToken(updated.id, 'tenant') },
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    console.error('Tenant portal change password error:', error);
+    res.status(500).json({ success: false, message: 'Failed to change password' });
+  }
+};
+
+// @desc    Get the logged-in tenant's profile and lease details
+// @route   GET /api/tenant-portal/me
+// @access  Tenant
+export const getTenantProfile = async (req, res) => {
+  try {
+    const tenant = req.tenant;
+
+    res.json({
+      success: true,
+      data: {
+        id: tenant.id,
+        fullName: tenant.fullName,
+        email: tenant.email,
+        contact: tenant.contact,
+        KRAPin: tenant.KRAPin,
+        leaseTerm: tenant.leaseTerm,
+        termStart: tenant.termStart,
+        rentStart: tenant.rentStart,
+        rent: tenant.rent,
+        deposit: tenant.deposit,
+        depositHeld: tenant.depositBalance,
+        paymentPolicy: tenant.paymentPolicy,
+        smsOptOut: tenant.smsOptOut,
+        unit: tenant.unit,
+        account: {
+          mustChangePassword: req.tenantAccount.mustChangePassword,
+          lastLoginAt: req.tenantAccount.lastLoginAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get tenant profile error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch profile' });
+  }
+};
+
+// @desc    Turn SMS notifications on or off
+// @route   PUT /api/tenant-portal/me/notifications
+// @access  Tenant
+export const updateTenantNotificationPreferences = async (req, res) => {
+  try {
+    const { smsOptOut } = req.body;
+
+    if (typeof smsOptOut !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'smsOptOut must be true or false' });
+    }
+
+    const tenant = await prisma.tenant.update({
+      where: { id: req.tenant.id },
+      data: { smsOptOut, smsOptOutAt: smsOptOut ? new Date() : null },
+      select: { smsOptOut: true, smsOptOutAt: true }
+    });
+
+    res.json({
+      success: true,
+      data: tenant,
+      message: smsOptOut ? 'You will no longer receive SMS notifications' : 'SMS notifications turned on'
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update notification preferences' });
+  }
+};
+
+// ======================================================
+// INVOICES, PAYMENTS & STATEMENT
+// ======================================================
+
+// @desc    Get the tenant's rent invoices
+// @route   GET /api/tenant-portal/invoices
+// @access  Tenant
+export const getTenantInvoices = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { page, take, skip } = getPagination(req.query);
+
+    const where = { tenantId: req.tenant.id };
+    if (status) where.status = status;
+
+    const [invoices, total] = await Promise.all([
+      prisma.invoice.findMany({
+        where,
+        orderBy: { issueDate: 'desc' },
+        skip,
+        take
+      }),
+      prisma.invoice.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: invoices,
+      pagination: { page, limit: take, total, pages: Math.ceil(total / take) }
+    });
+  } catch (error) {
+    console.error('Get tenant invoices error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch invoices' });
+  }
+};
+
+// @desc    Get the tenant's utility bill invoices
+// @route   GET /api/tenant-portal/bill-invoices
+// @access  Tenant
+export const getTenantBillInvoices = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { page, take, skip } = getPagination(req.query);
+
+    const where = { tenantId: req.tenant.id };
+    if (status) where.status = status;
+
+    const [billInvoices, total] = await Promise.all([
+      prisma.billInvoice.findMany({
+        where,
+        orderBy: { issueDate: 'desc' },
+        skip,
+        take
+      }),
+      prisma.billInvoice.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: billInvoices,
+      pagination: { page, limit: take, total, pages: Math.ceil(total / take) }
+    });
+  } catch (error) {
+    console.error('Get tenant bill invoices error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch bill invoices' });
+  }
+};
+
+// @desc    Get the tenant's payments
+// @route   GET /api/tenant-portal/payments
+// @access  Tenant
+export const getTenantPayments = async (req, res) => {
+  try {
+    const { page, take, skip } = getPagination(req.query);
+    const where = { tenantId: req.tenant.id };
+
+    const [payments, total] = await Promise.all([
+      prisma.paymentReport.findMany({
+        where,
+        orderBy: { datePaid: 'desc' },
+        skip,
+        take,
+        include: {
+          invoices: { select: { id: true, invoiceNumber: true, paymentPeriod: true } },
+          billInvoices: { select: { id: true, invoiceNumber: true, billType: true } }
+        }
+      }),
+      prisma.paymentReport.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: payments.map(payment => ({
+        ...payment,
+        receiptUrl: undefined,
+        hasReceipt: !!payment.receiptUrl,
+        receiptDownloadUrl: payment.receiptUrl
+          ? `/api/tenant-portal/payments/${payment.id}/receipt`
+          : null
+      })),
+      pagination: { page, limit: take, total, pages: Math.ceil(total / take) }
+    });
+  } catch (error) {
+    console.error('Get tenant payments error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch payments' });
+  }
+};
+
+// @desc    Download a payment receipt PDF
+// @route   GET /api/tenant-portal/payments/:id/receipt
+// @access  Tenant
+export const downloadTenantReceipt = async (req, res) => {
+  try {
+    const paymentReport = await prisma.paymentReport.findFirst({
+      where: { id: req.params.id, tenantId: req.tenant.id }
+    });
+
+    if (!paymentReport) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    return sendPaymentReceipt(res, paymentReport);
+  } catch (error) {
+    console.error('Tenant receipt download error:', error);
+    res.status(500).json({ success: false, message: 'Failed to download receipt' });
+  }
+};
+
+// @desc    Get the tenant's statement and outstanding balance
+// @route   GET /api/tenant-portal/statement
+// @access  Tenant
+export const getTenantStatement = async (req, res) => {
+  try {
+    const financials = await buildTenantFinancials(req.tenant.id);
+
+    const [openInvoices, openBillInvoices] = await Promise.all([
+      prisma.invoice.aggregate({
+        where: { tenantId: req.tenant.id, status: { in: ['UNPAID', 'PARTIAL', 'OVERDUE'] } },
+        _sum: { balance: true }
+      }),
+      prisma.billInvoice.aggregate({
+        where: { tenantId: req.tenant.id, status: { in: ['UNPAID', 'PARTIAL', 'OVERDUE'] } },
+        _sum: { balance: true }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          ...financials.summary,
+          rentBalance: openInvoices._sum.balance || 0,
+          billBalance: openBillInvoices._sum.balance || 0
+        },
+        paymentHistory: financials.paymentHistory.map(({ receiptUrl, ...payment }) => payment),
+        invoiceHistory: financials.invoiceHistory
+      }
+    });
+  } catch (error) {
+    console.error('Get tenant statement error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch statement' });
+  }
+};
+
+// @desc    Get the tenant's account statement (running ledger)
+// @route   GET /api/tenant-portal/statement/ledger?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Tenant
+export const getTenantLedgerStatement = async (req, res) => {
+  try {
+    const { from, to, error } = parseStatementRange(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const statement = await buildTenantStatement(req.tenant.id, { from, to });
+
+    res.json({ success: true, data: statement });
+  } catch (error) {
+    console.error('Get tenant ledger statement error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch statement' });
+  }
+};
+
+// @desc    Download the tenant's account statement as PDF
+// @route   GET /api/tenant-portal/statement/pdf?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Tenant
+export const downloadTenantStatement = async (req, res) => {
+  try {
+    const { from, to, error } = parseStatementRange(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const statement = await buildTenantStatement(req.tenant.id, { from, to });
+
+    await sendTenantStatementPdf(res, statement);
+  } catch (error) {
+    console.error('Download tenant statement error:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate statement PDF' });
+  }
+};
+
+// ======================================================
+// DOCUMENTS
+// ======================================================
+
+// @desc    List the tenant's documents
+// @route   GET /api/tenant-portal/documents
+// @access  Tenant
+export const getTenantDocuments = async (req, res) => {
+  try {
+    const attachments = await prisma.attachment.findMany({
+      where: { tenantId: req.tenant.id },
+      orderBy: { uploadedAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      count: attachments.length,
+      data: attachments.map(attachment => formatAttachment(attachment, req.tenantAccount.id))
+    });
+  } catch (error) {
+    console.error('Get tenant documents error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch documents' });
+  }
+};
+
+// @desc    Upload a document to the tenant's file
+// @route   POST /api/tenant-portal/documents
+// @access  Tenant
+export const uploadTenantDocument = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No file uploaded' });
+    }
+
+    const { originalname, filename, mimetype, size } = req.file;
+
+    const attachment = await prisma.attachment.create({
+      data: {
+        name: req.body.name?.trim() || originalname,
+        fileName: filename,
+        url: filename,
+        mimeType: mimetype,
+        size,
+        tenantId: req.tenant.id,
+        uploadedByTenantAccountId: req.tenantAccount.id
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatAttachment(attachment, req.tenantAccount.id),
+      message: 'Document uploaded successfully'
+    });
+  } catch (error) {
+    console.error('Upload tenant document error:', error);
+    res.status(500).json({ success: false, message: 'Failed to upload document' });
+  }
+};
+
+// @desc    Download one of the tenant's documents
+// @route   GET /api/tenant-portal/documents/:id/download
+// @access  Tenant
+export const downloadTenantDocument = async (req, res) => {
+  try {
+    const attachment = await prisma.attachment.findFirst({
+      where: { id: req.params.id, tenantId: req.tenant.id }
+    });
+
+    if (!attachment) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    const fullPath = resolveAttachmentPath(attachment);
+    if (!fullPath) {
+      return res.status(404).json({ success: false, message: 'File not found on server' });
+    }
+
+    res.download(fullPath, attachment.name);
+  } catch (error) {
+    console.error('Download tenant document error:', error);
+    res.status(500).json({ success: false, message: 'Failed to download document' });
+  }
+};
+
+// @desc    Short-lived link for opening a receipt, statement or document in a
+//          new tab (`path`, e.g. /api/tenant-portal/payments/<id>/receipt)
+// @route   POST /api/tenant-portal/signed-url
+// @access  Tenant
+export const createTenantSignedUrl = async (req, res) => {
+  try {
+    const data = createSignedUrl(
+      req.body.path,
+      `tenant-portal:${req.tenantAccount.id}`,
+      TENANT_PORTAL_DOWNLOAD_ROUTES
+    );
+
+    res.json({ success: true, data });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Create tenant signed URL error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create download link' });
+  }
+};
+
+// ======================================================
+// COMPLAINTS (MAINTENANCE REQUESTS)
+// ======================================================
+
+// @desc    List complaints logged by the tenant
+// @route   GET /api/tenant-portal/complaints
+// @access  Tenant
+export const getTenantComplaints = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { page, take, skip } = getPagination(req.query);
+
+    const where = { tenantId: req.tenant.id };
+    if (status) where.status = status;
+
+    const [complaints, total] = await Promise.all([
+      prisma.maintenanceRequest.findMany({
+        where,
+        select: complaintSelect,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.maintenanceRequest.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: complaints,
+      pagination: { page, limit: take, total, pages: Math.ceil(total / take) }
+    });
+  } catch (error) {
+    console.error('Get tenant complaints error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch complaints' });
+  }
+};
+
+// @desc    Log a complaint - lands as an OPEN maintenance request in the manager's queue
+// @route   POST /api/tenant-portal/complaints
+// @access  Tenant
+export const createTenantComplaint = async (req, res) => {
+  try {
+    const { title, description, category, location } = req.body;
+
+    if (!req.tenant.unit) {
+      return res.status(400).json({ success: false, message: 'Your tenancy has ended. Please contact your property manager.' });
+    }
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ success: false, message: 'Title is required' });
+    }
+
+    if (category && !VALID_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid category. Must be one of: ${VALID_CATEGORIES.join(', ')}`
+      });
+    }
+
+    const requestNumber = await generateRequestNumber();
+
+    // Priority is left at the default for the manager to triage
+    const complaint = await prisma.maintenanceRequest.create({
+      data: {
+        requestNumber,
+        title: title.trim(),
+        description: description || null,
+        category: category || 'GENERAL',
+        location: location || null,
+        propertyId: req.tenant.unit.propertyId,
+        unitId: req.tenant.unitId,
+        tenantId: req.tenant.id,
+        reportedByTenantAccountId: req.tenantAccount.id
+      },
+      select: complaintSelect
+    });
+
+    res.status(201).json({
+      success: true,
+      data: complaint,
+      message: 'Complaint logged successfully'
+    });
+  } catch (error) {
+    console.error('Create tenant complaint error:', error);
+    res.status(500).json({ success: false, message: 'Failed to log complaint' });
+  }
+};
@@ -0,0 +1,51 @@
+import { registerJobHandler } from '../services/jobQueue.js';
+import { renderDemandLetterPdf } from '../services/demandLetterService.js';
+import { renderInvoicePdf, emailInvoice } from '../controllers/invoice.controller.js';
+import { renderBillInvoicePdf, emailBillInvoice } from '../controllers/billinvoice.controller.js';
+import { renderPaymentReceipt } from '../controllers/paymentReport.controller.js';
+import { generateOverdueDemandLetter } from '../controllers/demandLetter.controller.js';
+import { renderActivationPdf } from '../controllers/activation.controller.js';
+import { renderCommissionInvoicePdf } from '../controllers/commission.controller.js';
+import { renderDailyReportPdf } from '../controllers/dailyReport.controller.js';
+import { renderCreditNotePdf } from '../services/creditNoteService.js';
+import { renderDepositReceiptPdf } from '../services/depositService.js';
+
+// ======================================================
+// DOCUMENT JOBS
+// ======================================================
+// Every job type the API enqueues. Payloads carry ids; each handler loads the
+// current record, so a retried job renders what is in the database then.
+
+registerJobHandler('invoice.pdf', ({ invoiceId }) => renderInvoicePdf(invoiceId));
+
+registerJobHandler('invoice.send', ({ invoiceId, to }, job) =>
+  emailInvoice(invoiceId, { to, createdById: job.createdById }));
+
+registerJobHandler('billInvoice.pdf', ({ billInvoiceId }) => renderBillInvoicePdf(billInvoiceId));
+
+registerJobHandler('billInvoice.send', ({ billInvoiceId, to }, job) =>
+  emailBillInvoice(billInvoiceId, { to, createdById: job.createdById }));
+
+registerJobHandler('creditNote.pdf', ({ creditNoteId }) => renderCreditNotePdf(creditNoteId));
+registerJobHandler('depositTransaction.pdf', ({ depositTransactionId }) => renderDepositReceiptPdf(depositTransactionId));
+
+registerJobHandler('receipt.pdf', ({ paymentReportId, receiptNumber, overpaymentAmount, creditUsed }) =>
+  renderPaymentReceipt(paymentReportId, { receiptNumber, overpaymentAmount, creditUsed }));
+
+registerJobHandler('demandLetter.pdf', async ({ demandLetterId }) => {
+  const demandLetter = await renderDemandLetterPdf(demandLetterId);
+  return { demandLetterId, letterNumber: demandLetter.letterNumber, documentUrl: demandLetter.documentUrl };
+});
+
+registerJobHandler('demandLetter.generate', ({ tenantId, demandPeriod, notes }, job) =>
+  generateOverdueDemandLetter(tenantId, { demandPeriod, notes, generatedById: job.createdById }));
+
+registerJobHandler('activation.pdf', async ({ activationId }) => {
+  const { documentUrl } = await renderActivationPdf(activationId);
+  return { documentUrl };
+});
+
+registerJobHandler('commissionInvoice.pdf', ({ commissionInvoiceId, document }) =>
+  renderCommissionInvoicePdf(commissionInvoiceId, document));
+
+registerJobHandler('dailyReport.pdf', ({ reportId, updated }) => renderDailyReportPdf(reportId, { updated }));
@@ -1,11 +1,31 @@
 import 'dotenv/config';
 import cron from 'node-cron';
 import EmployeeService from '../services/employee.service.js';
+import { runScheduledBilling } from '../services/billingRunService.js';
+import { runOverdueAndLateFees } from '../services/lateFeeService.js';
+import { runDunning } from '../services/dunningService.js';
+import { retryFailedMessages } from '../services/notificationService.js';
+import { sendUpcomingDueReminders } from '../services/tenantSmsService.js';
 
 const employeeService = new EmployeeService();
 
 const TIMEZONE = 'Africa/Nairobi';
 
+// Rent invoices for next month are raised on the 25th at 6:00 AM unless overridden
+const BILLING_RUN_CRON = process.env.BILLING_RUN_CRON || '0 6 25 * *';
+
+// Overdue marking and late fees run nightly at 1:00 AM unless overridden
+const LATE_FEE_CRON = process.env.LATE_FEE_CRON || '0 1 * * *';
+
+// Dunning (reminders, demand letters, escalation) runs daily at 7:00 AM, after late fees
+const DUNNING_CRON = process.env.DUNNING_CRON || '0 7 * * *';
+
+// Failed emails and SMS are retried every 15 minutes once their backoff has passed
+const EMAIL_RETRY_CRON = process.env.EMAIL_RETRY_CRON || '*/15 * * * *';
+
+// Tenants are texted about rent falling due daily at 8:00 AM unless overridden
+const SMS_DUE_REMINDER_CRON = process.env.SMS_DUE_REMINDER_CRON || '0 8 * * *';
+
 console.log('🚀 Payment Reminder Scheduler Started');
 console.log('=====================================');
 console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -91,10 +111,152 @@ cron.schedule(
   }
 );
 
+// Billing run: invoice next month's rent for every property
+cron.schedule(
+  BILLING_RUN_CRON,
+  async () => {
+    console.log(
+      `[${new Date().toISOString()}] 🧾 Running scheduled rent billing...`
+    );
+
+    try {
+      const results = await runScheduledBilling();
+      const created = results.reduce((sum, r) => sum + (r.invoicesCreated || 0), 0);
+      const failed = results.filter(r => r.status !== 'COMPLETED').length;
+
+      console.log(
+        `[${new Date().toISOString()}] ✅ Billing run finished: ${created} invoice(s) across ${results.length} properties` +
+        (failed ? `, ${failed} with errors` : '')
+      );
+    } catch (error) {
+      console.error(
+        `[${new Date().toISOString()}] ❌ Error running scheduled billing:`,
+        error.message
+      );
+    }
+  },
+  {
+    timezone: TIMEZONE,
+  }
+);
+
+// Nightly: mark invoices overdue after the grace period and charge late fees
+cron.schedule(
+  LATE_FEE_CRON,
+  async () => {
+    console.log(
+      `[${new Date().toISOString()}] ⏰ Running overdue marking and late fees...`
+    );
+
+    try {
+      const { marked, fees } = await runOverdueAndLateFees();
+
+      console.log(
+        `[${new Date().toISOString()}] ✅ ${marked.invoices} invoice(s) and ${marked.billInvoices} bill invoice(s) marked overdue, ` +
+        `${fees.feesCharged} late fee(s) charged (${fees.totalCharged.toFixed(2)})` +
+        (fees.failed.length ? `, ${fees.failed.length} failed` : '')
+      );
+    } catch (error) {
+      console.error(
+        `[${new Date().toISOString()}] ❌ Error running overdue marking and late fees:`,
+        error.message
+      );
+    }
+  },
+  {
+    timezone: TIMEZONE,
+  }
+);
+
+// Daily: remind tenants, serve demand letters and escalate per property dunning policy
+cron.schedule(
+  DUNNING_CRON,
+  async () => {
+    console.log(
+      `[${new Date().toISOString()}] 📨 Running dunning...`
+    );
+
+    try {
+      const result = await runDunning();
+
+      console.log(
+        `[${new Date().toISOString()}] ✅ Dunning: ${result.reminders} reminder(s), ${result.demandLetters} demand letter(s), ` +
+        `${result.escalations} escalation(s)` +
+        (result.undelivered ? `, ${result.undelivered} not delivered` : '') +
+        (result.errors.length ? `, ${result.errors.length} failed` : '')
+      );
+    } catch (error) {
+      console.error(
+        `[${new Date().toISOString()}] ❌ Error running dunning:`,
+        error.message
+      );
+    }
+  },
+  {
+    timezone: TIMEZONE,
+  }
+);
+
+// Daily: SMS tenants whose rent falls due in the next few days
+cron.schedule(
+  SMS_DUE_REMINDER_CRON,
+  async () => {
+    console.log(
+      `[${new Date().toISOString()}] 📱 Sending rent due SMS reminders...`
+    );
+
+    try {
+      const result = await sendUpcomingDueReminders();
+
+      console.log(
+        `[${new Date().toISOString()}] ✅ Rent due SMS: ${result.sent} sent` +
+        (result.failed ? `, ${result.failed} failed (will be retried)` : '')
+      );
+    } catch (error) {
+      console.error(
+        `[${new Date().toISOString()}] ❌ Error sending rent due SMS reminders:`,
+        error.message
+      );
+    }
+  },
+  {
+    timezone: TIMEZONE,
+  }
+);
+
+// Every 15 minutes: retry emails and SMS that failed to send
+cron.schedule(
+  EMAIL_RETRY_CRON,
+  async () => {
+    try {
+      const result = await retryFailedMessages();
+
+      if (result.attempted > 0) {
+        console.log(
+          `[${new Date().toISOString()}] ✅ Message retries: ${result.sent} sent, ${result.failed} still failing`
+        );
+      }
+    } catch (error) {
+      console.error(
+        `[${new Date().toISOString()}] ❌ Error retrying messages:`,
+        error.message
+      );
+    }
+  },
+  {
+    timezone: TIMEZONE,
+  }
+);
+
 console.log('Scheduled Reminders:');
 console.log('   - Daily reminder: 9:00 AM (Kenyan Time)');
 console.log('   - Urgent reminder: 12:00 PM (Kenyan Time)');
 console.log('   - Weekly summary: Monday 10:00 AM (Kenyan Time)');
+console.log(`   - Rent billing run (next month): ${BILLING_RUN_CRON} (Kenyan Time)`);
+console.log(`   - Overdue marking and late fees: ${LATE_FEE_CRON} (Kenyan Time)`);
+console.log(`   - Dunning: ${DUNNING_CRON} (Kenyan Time)`);
+console.log(`   - Rent due SMS reminders: ${SMS_DUE_REMINDER_CRON} (Kenyan Time)`);
+console.log(`   - Failed email and SMS retries: ${EMAIL_RETRY_CRON} (Kenyan Time)`);
 console.log('📌 Timezone:', TIMEZONE);
 console.log('✅ Scheduler is running. Press Ctrl+C to stop.');
 
@@ -0,0 +1,82 @@
+import 'dotenv/config';
+import './documentJobs.js';
+import { claimNextJob, runJob, requeueStaleJobs, defaultWorkerId, getRegisteredJobTypes } from '../services/jobQueue.js';
+import { closeBrowser } from '../utils/pdfGenerator.js';
+
+// Jobs run at the same time by this process (each PDF holds a Puppeteer page)
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+
+// How long an idle worker waits before checking the queue again
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+
+// Jobs left RUNNING by a worker that died are looked for every minute
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+
+const WORKER_ID = defaultWorkerId();
+
+let stopping = false;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+console.log('🛠️  Background Job Worker Started');
+console.log('=====================================');
+console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+console.log(`Worker: ${WORKER_ID}`);
+console.log(`Concurrency: ${JOB_CONCURRENCY}`);
+console.log(`Job types: ${getRegisteredJobTypes().join(', ')}`);
+console.log(`Started at: ${new Date().toISOString()}`);
+console.log('=====================================\n');
+
+// Each loop claims and runs one job at a time until the worker is stopped
+async function workLoop(slot) {
+  while (!stopping) {
+    try {
+      const job = await claimNextJob(`${WORKER_ID}#${slot}`);
+      if (!job) {
+        await sleep(JOB_POLL_INTERVAL_MS);
+        continue;
+      }
+
+      const finished = await runJob(job);
+      if (!finished) continue;
+
+      console.log(
+        `[${new Date().toISOString()}] ${finished.status === 'COMPLETED' ? '✅' : '❌'} ${job.type} ${job.id}: ${finished.status}` +
+        (finished.status === 'QUEUED' ? ` (retry at ${finished.runAt.toISOString()})` : '')
+      );
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] ❌ Worker loop error:`, error.message);
+      await sleep(JOB_POLL_INTERVAL_MS);
+    }
+  }
+}
+
+const staleTimer = setInterval(async () => {
+  try {
+    const { requeued, failed } = await requeueStaleJobs();
+    if (requeued || failed) {
+      console.log(`[${new Date().toISOString()}] ♻️  Stale jobs: ${requeued} requeued, ${failed} failed`);
+    }
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] ❌ Error requeueing stale jobs:`, error.message);
+  }
+}, STALE_CHECK_INTERVAL_MS);
+
+const loops = Array.from({ length: JOB_CONCURRENCY }, (_, slot) => workLoop(slot + 1));
+
+console.log('✅ Worker is running. Press Ctrl+C to stop.');
+
+// Graceful shutdown: finish the jobs in hand, then exit
+const shutdown = async (signal) => {
+  if (stopping) return;
+  stopping = true;
+  console.log(`🛑 ${signal} received, finishing running jobs...`);
+
+  clearInterval(staleTimer);
+  await Promise.all(loops);
+  await closeBrowser();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -1,5 +1,7 @@
 import jwt from 'jsonwebtoken';
 import { PrismaClient } from '@prisma/client';
+import { isTwoFactorRequired } from '../services/twoFactorService.js';
+import { verifySignedRequest, hasSignedUrlParams } from '../services/signedUrlService.js';
 
 const prisma = new PrismaClient();
 
@@ -7,36 +9,68 @@ export const protect = async (req, res, next) => {
   try {
     let token;
 
+    let signedClaims;
+
     // 1. Check Authorization header (Bearer token)
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       token = req.headers.authorization.split(' ')[1];
     }
-    // 2. Check query parameter (for preview and download from new tab)
-    else if (req.query && req.query.token) {
-      token = req.query.token;
-    }
-    // 3. Check cookies (if you're using cookie-based auth)
+    // 2. Check cookies (if you're using cookie-based auth)
     else if (req.cookies && req.cookies.token) {
       token = req.cookies.token;
     }
+    // 3. Signed download link (POST /api/files/signed-url) for preview and
+    //    download from a new tab; bearer tokens are no longer accepted in the URL
+    else if (hasSignedUrlParams(req)) {
+      const signed = verifySignedRequest(req);
+      const [kind, userId, sessionId] = signed ? signed.subject.split(':') : [];
+
+      if (kind !== 'user') {
+        return res.status(401).json({ message: 'Download link is invalid or has expired' });
+      }
+      signedClaims = { userId, sessionId, iat: signed.issuedAt.getTime() / 1000 };
+    }
 
     // If no token found, return unauthorized
-    if (!token) {
+    if (!token && !signedClaims) {
       return res.status(401).json({ 
         message: 'Not authorized, no token',
         debug: {
           hasAuthHeader: !!req.headers.authorization,
-          hasQueryToken: !!(req.query && req.query.token),
           hasCookie: !!(req.cookies && req.cookies.token)
         }
       });
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
+      const decoded = signedClaims || jwt.verify(token, process.env.JWT_SECRET);
+
+      // Portal (tenant/landlord) tokens are not valid for staff routes
+      if (decoded.portal) {
+        return res.status(401).json({ message: 'Not authorized, portal token' });
+      }
+
+      // Staff access tokens carry no audience; any token that does (such as a
+      // two-factor login challenge) was issued for something else
+      if (decoded.aud !== undefined) {
+        return res.status(401).json({ message: 'Not authorized, not an access token' });
+      }
+
       // Handle both userId and id from token
       const userId = decoded.userId || decoded.id;
+
+      // Access tokens name their session; logging out or revoking the session
+      // ends them before they expire. Tokens without a session are no longer issued.
+      const session = decoded.sessionId
+        ? await prisma.userSession.findUnique({
+          where: { id: decoded.sessionId },
+          select: { id: true, userId: true, revokedAt: true, expiresAt: true }
+        })
+        : null;
+
+      if (!session || session.userId !== userId || session.revokedAt || session.expiresAt <= new Date()) {
+        return res.status(401).json({ message: 'Session expired, please log in again' });
+      }
       
       // Select only fields that exist in your User model
       const user = await prisma.user.findUnique({
@@ -53,6 +87,7 @@ export const protect = async (req, res, next) => {
           updatedAt: true,
           lastLoginAt: true,
           passwordChangedAt: true,
+          twoFactorEnabled: true,
           // Remove requiresPasswordChange - it doesn't exist
         }
       });
@@ -61,12 +96,22 @@ export const protect = async (req, res, next) => {
         return res.status(401).json({ message: 'Not authorized, user not found' });
       }
 
+      // Tokens issued before the last password change/reset are revoked
+      if (user.passwordChangedAt && decoded.iat * 1000 < user.passwordChangedAt.getTime() - 1000) {
+        return res.status(401).json({ message: 'Session expired, please log in again' });
+      }
+
       // Check if user is approved
       if (user.isApproved === false) {
         return res.status(403).json({ message: 'Account is not approved. Please wait for admin approval.' });
       }
 
+      if (user.canManagerLogin === false) {
+        return res.status(401).json({ message: 'Your account has been disabled. Please contact your manager or admin.' });
+      }
+
       req.user = user;
+      req.sessionId = session.id;
       next();
     } catch (error) {
       console.error('Token verification error:', error.message);
@@ -93,6 +138,18 @@ export const adminProtect = async (req, res, next) => {
   }
 };
 
+// Roles in TWO_FACTOR_REQUIRED_ROLES (ADMIN and MANAGER by default) must have
+// two-factor on before they can use RBAC and deletion endpoints
+export const requireTwoFactor = (req, res, next) => {
+  if (req.user && isTwoFactorRequired(req.user.role) && !req.user.twoFactorEnabled) {
+    return res.status(403).json({
+      message: 'Two-factor authentication is required for this action. Set it up under /api/auth/2fa.',
+      code: 'TWO_FACTOR_REQUIRED'
+    });
+  }
+  next();
+};
+
 // Optional: Middleware to check if user has specific permissions
 export const requirePermission = (permissionCode) => {
   return async (req, res, next) => {
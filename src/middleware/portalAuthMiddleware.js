@@ -0,0 +1,143 @@
+import jwt from 'jsonwebtoken';
+import { PrismaClient } from '@prisma/client';
+import { verifySignedRequest, hasSignedUrlParams } from '../services/signedUrlService.js';
+
+const prisma = new PrismaClient();
+
+// Claims of the request's credentials: null when there are none, false when
+// they do not check out
+const getPortalClaims = (req, portal) => {
+  // 1. Authorization header (Bearer token)
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    try {
+      const token = req.headers.authorization.split(' ')[1];
+      return jwt.verify(token, process.env.JWT_SECRET, { audience: `${portal}-portal` });
+    } catch (error) {
+      return false;
+    }
+  }
+  // 2. Signed download link (POST /api/<portal>-portal/signed-url) for opening a
+  //    receipt or document in a new tab
+  if (hasSignedUrlParams(req)) {
+    const signed = verifySignedRequest(req);
+    const [kind, accountId] = signed ? signed.subject.split(':') : [];
+    return kind === `${portal}-portal` ? { accountId, iat: signed.issuedAt.getTime() / 1000 } : false;
+  }
+  return null;
+};
+
+// Tenant portal authentication - tokens are issued by POST /api/tenant-portal/auth/login
+// and are scoped to the 'tenant-portal' audience
+export const protectTenant = async (req, res, next) => {
+  try {
+    const decoded = getPortalClaims(req, 'tenant');
+
+    if (decoded === null) {
+      return res.status(401).json({ success: false, message: 'Not authorized, no token' });
+    }
+
+    if (!decoded) {
+      return res.status(401).json({ success: false, message: 'Not authorized, token failed' });
+    }
+
+    const account = await prisma.tenantAccount.findUnique({
+      where: { id: decoded.accountId },
+      include: {
+        tenant: {
+          include: {
+            unit: {
+              select: {
+                id: true,
+                unitNo: true,
+                propertyId: true,
+                property: { select: { id: true, name: true, address: true } }
+              }
+            }
+          }
+        }
+      }
+    });
+
+    if (!account || !account.tenant) {
+      return res.status(401).json({ success: false, message: 'Not authorized, account not found' });
+    }
+
+    if (!account.isActive) {
+      return res.status(403).json({ success: false, message: 'Portal access has been disabled. Please contact your property manager.' });
+    }
+
+    // Tokens issued before the last password change/reset are revoked
+    if (account.passwordChangedAt && decoded.iat * 1000 < account.passwordChangedAt.getTime() - 1000) {
+      return res.status(401).json({ success: false, message: 'Session expired, please log in again' });
+    }
+
+    const { tenant, ...tenantAccount } = account;
+    delete tenantAccount.password;
+
+    req.tenantAccount = tenantAccount;
+    req.tenant = tenant;
+    next();
+  } catch (error) {
+    console.error('Tenant portal auth error:', error);
+    res.status(500).json({ success: false, message: 'Server error in authentication' });
+  }
+};
+
+// Landlord portal authentication - tokens are issued by POST /api/landlord-portal/auth/login
+// and are scoped to the 'landlord-portal' audience
+export const protectLandlord = async (req, res, next) => {
+  try {
+    const decoded = getPortalClaims(req, 'landlord');
+
+    if (decoded === null) {
+      return res.status(401).json({ success: false, message: 'Not authorized, no token' });
+    }
+
+    if (!decoded) {
+      return res.status(401).json({ success: false, message: 'Not authorized, token failed' });
+    }
+
+    const account = await prisma.landlordAccount.findUnique({
+      where: { id: decoded.accountId },
+      include: {
+        landlord: { select: { id: true, name: true, email: true, phone: true, address: true } }
+      }
+    });
+
+    if (!account || !account.landlord) {
+      return res.status(401).json({ success: false, message: 'Not authorized, account not found' });
+    }
+
+    if (!account.isActive) {
+      return res.status(403).json({ success: false, message: 'Portal access has been disabled. Please contact your property manager.' });
+    }
+
+    // Tokens issued before the last password change/reset are revoked
+    if (account.passwordChangedAt && decoded.iat * 1000 < account.passwordChangedAt.getTime() - 1000) {
+      return res.status(401).json({ success: false, message: 'Session expired, please log in again' });
+    }
+
+    const { landlord, ...landlordAccount } = account;
+    delete landlordAccount.password;
+
+    req.landlordAccount = landlordAccount;
+    req.landlord = landlord;
+    next();
+  } catch (error) {
+    console.error('Landlord portal auth error:', error);
+    res.status(500).json({ success: false, message: 'Server error in authentication' });
+  }
+};
+
+// Blocks portal data routes until the temporary password has been replaced
+export const requirePasswordChanged = (req, res, next) => {
+  const account = req.tenantAccount || req.landlordAccount;
+  if (account?.mustChangePassword) {
+    return res.status(403).json({
+      success: false,
+      code: 'PASSWORD_CHANGE_REQUIRED',
+      message: 'Please change your temporary password to continue'
+    });
+  }
+  next();
+};
@@ -1,4 +1,5 @@
 import permissionService from "../services/permissionService.js";
+import { canAccessUpload } from "../services/uploadAccessService.js";
 
 // Middleware to check property access
 export const requirePropertyAccess = (requiredPermission = 'canView') => {
@@ -63,4 +64,28 @@ export const filterByAccessibleProperties = () => {
     
     next();
   };
-};
\ No newline at end of file
+};
+
+// Middleware for stored files under /uploads: the user needs access to the
+// property of the record the file belongs to
+export const requireUploadAccess = () => {
+  return async (req, res, next) => {
+    try {
+      const fileUrl = `/uploads${decodeURIComponent(req.path)}`;
+
+      if (!(await canAccessUpload(req.user, fileUrl))) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: "You don't have access to this file"
+        });
+      }
+
+      next();
+    } catch (error) {
+      if (error instanceof URIError) {
+        return res.status(400).json({ error: 'Bad request', message: 'Invalid file path' });
+      }
+      next(error);
+    }
+  };
+};
@@ -286,6 +286,39 @@ export const uploadFieldsMemory = (fields = []) => {
   };
 };
 
+// Bank exports come with bank-specific extensions (.sta, .940) and MIME types,
+// so statements are filtered by extension rather than by the shared allow-list
+const BANK_STATEMENT_EXTENSIONS = ['.csv', '.txt', '.sta', '.mt940', '.940', '.xml'];
+
+const bankStatementUpload = multer({
+  storage: memoryStorage,
+  limits: {
+    fileSize: 10 * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (BANK_STATEMENT_EXTENSIONS.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Unsupported statement file type. Allowed extensions: ${BANK_STATEMENT_EXTENSIONS.join(', ')}`), false);
+    }
+  }
+});
+
+/**
+ * Single bank statement upload (CSV, MT940 or CAMT.053) with memory storage
+ * @param {string} fieldName - The field name in the form
+ * @returns {Function} Express middleware
+ */
+export const uploadBankStatement = (fieldName = 'file') => {
+  return (req, res, next) => {
+    bankStatementUpload.single(fieldName)(req, res, (err) => {
+      handleMulterError(err, req, res, next, fieldName);
+    });
+  };
+};
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
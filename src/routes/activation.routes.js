@@ -11,7 +11,7 @@ import {
   getActivationStats,
   getVATSummary
 } from '../controllers/activation.controller.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 
 const router = express.Router();
@@ -61,6 +61,7 @@ router.route('/:id')
   )
   .delete(
     authorize('ADMIN', 'MANAGER', 'USER'),
+    requireTwoFactor,
     deleteActivationRequest
   );
 
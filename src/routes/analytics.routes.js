@@ -30,7 +30,9 @@ import {
   getLeadAnalytics,
   getDataQualityAnalytics,
   getPerformanceAnalytics,
-  getVATAnalytics
+  getVATAnalytics,
+  // Financial Statements
+  getFinancialStatements
 } from '../controllers/analytics.controller.js';
 
 const router = express.Router();
@@ -202,4 +204,11 @@ router.get(
   getVATAnalytics
 );
 
+// ========== FINANCIAL STATEMENTS ROUTES ==========
+router.get(
+  '/financial-statements',
+  requireAnalyticsPermissions('VIEW_LEDGER'),
+  getFinancialStatements
+);
+
 export default router;
\ No newline at end of file
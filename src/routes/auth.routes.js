@@ -9,26 +9,66 @@ import {
   approveUser,
   getPendingUsers,
   getAllUsers,
-  changePassword
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  refreshAccessToken,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  revokeUserSessionsByAdmin,
+  verifyLoginTwoFactor,
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactorAuth,
+  disableTwoFactorAuth,
+  regenerateTwoFactorRecoveryCodes,
+  resetUserTwoFactor,
+  getLockouts,
+  deleteLockout,
+  unlockUser,
+  getAuthAuditLogs
 } from '../controllers/auth.controller.js';
-import { protect, adminProtect } from '../middleware/authMiddleware.js';
+import { protect, adminProtect, requireTwoFactor } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', registerUser);
 router.post('/login', loginUser);
+router.post('/login/2fa', verifyLoginTwoFactor);
 router.post('/register-first-admin', registerFirstAdmin);  // New route for first admin
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/refresh', refreshAccessToken);
 
 // Protected routes
 router.get('/profile', protect, getProfile);
 router.post('/change-password', protect, changePassword);
+router.post('/logout', protect, logout);
+router.post('/logout-all', protect, logoutAll);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, deleteSession);
 
-// Admin only routes
-router.post('/register-admin', protect, adminProtect, registerAdmin);  // Now protected
+// Two-factor authentication
+router.get('/2fa', protect, getTwoFactor);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactorAuth);
+router.post('/2fa/disable', protect, disableTwoFactorAuth);
+router.post('/2fa/recovery-codes', protect, regenerateTwoFactorRecoveryCodes);
+
+// Admin only routes (creating users and changing roles also need two-factor)
+router.post('/register-admin', protect, adminProtect, requireTwoFactor, registerAdmin);  // Now protected
 router.get('/users', protect, adminProtect, getAllUsers);
 router.get('/users/pending', protect, adminProtect, getPendingUsers);
-router.put('/users/:id/role', protect, adminProtect, updateUserRole);
-router.put('/users/:id/approve', protect, adminProtect, approveUser);
+router.put('/users/:id/role', protect, adminProtect, requireTwoFactor, updateUserRole);
+router.put('/users/:id/approve', protect, adminProtect, requireTwoFactor, approveUser);
+router.delete('/users/:id/sessions', protect, adminProtect, revokeUserSessionsByAdmin);
+router.delete('/users/:id/2fa', protect, adminProtect, requireTwoFactor, resetUserTwoFactor);
+router.post('/users/:id/unlock', protect, adminProtect, unlockUser);
+router.get('/lockouts', protect, adminProtect, getLockouts);
+router.delete('/lockouts/:id', protect, adminProtect, deleteLockout);
+router.get('/audit-logs', protect, adminProtect, getAuthAuditLogs);
 
 export default router;
\ No newline at end of file
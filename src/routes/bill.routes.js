@@ -8,7 +8,7 @@ import {
   deleteBill,
   payBill
 } from '../controllers/bill.controller.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 
 const router = express.Router();
@@ -47,6 +47,6 @@ router.post('/:id/pay', authorize('ADMIN', 'MANAGER', 'USER'), payBill);
 
 // DELETE /bills/:id - Delete bill (ADMIN, MANAGER, USER with DELETE_BILL permission)
 // Controller will check granular permissions
-router.delete('/:id', authorize('ADMIN', 'MANAGER', 'USER'), deleteBill);
+router.delete('/:id', authorize('ADMIN', 'MANAGER', 'USER'), requireTwoFactor, deleteBill);
 
 export default router;
\ No newline at end of file
@@ -6,11 +6,13 @@ import {
   getBillInvoiceById,
   updateBillInvoicePayment,
   downloadBillInvoice,
-  deleteBillInvoice,
+  voidBillInvoice,
+  creditBillInvoice,
   recordBillInvoicePayment,
-  deleteBillInvoicePDF
+  deleteBillInvoicePDF,
+  sendBillInvoice
 } from '../controllers/billinvoice.controller.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 import { filterByAccessibleProperties } from '../middleware/propertyAccessMiddleware.js';
 
@@ -52,12 +54,22 @@ router.post('/:id/record-payment', authorize('ADMIN', 'MANAGER', 'USER'), record
 // (Controller will check granular permissions)
 router.get('/:id/download', authorize('ADMIN', 'MANAGER', 'USER'), downloadBillInvoice);
 
-// Delete bill invoice - Allow USER with DELETE_BILL_INVOICE permission
+// Email PDF to the tenant - Allow USER with DOWNLOAD_BILL_INVOICE permission
 // (Controller will check granular permissions)
-router.delete('/:id', authorize('ADMIN', 'MANAGER', 'USER'), deleteBillInvoice);
+router.post('/:id/send', authorize('ADMIN', 'MANAGER', 'USER'), sendBillInvoice);
+
+// Issue a credit note - Allow USER with EDIT_BILL_INVOICE_PAYMENT permission
+// (Controller will check granular permissions)
+router.post('/:id/credit-notes', authorize('ADMIN', 'MANAGER', 'USER'), creditBillInvoice);
+
+// Void bill invoice - Allow USER with DELETE_BILL_INVOICE permission
+// Bill invoices are never deleted; DELETE voids the invoice like POST /:id/void
+// (Controller will check granular permissions)
+router.post('/:id/void', authorize('ADMIN', 'MANAGER', 'USER'), voidBillInvoice);
+router.delete('/:id', authorize('ADMIN', 'MANAGER', 'USER'), requireTwoFactor, voidBillInvoice);
 
 // Delete bill invoice PDF - Allow USER with DELETE_BILL_INVOICE permission
 // (Controller will check granular permissions)
-router.delete('/:id/pdf', authorize('ADMIN', 'MANAGER', 'USER'), deleteBillInvoicePDF);
+router.delete('/:id/pdf', authorize('ADMIN', 'MANAGER', 'USER'), requireTwoFactor, deleteBillInvoicePDF);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  previewBillingRun,
+  createBillingRun,
+  getBillingRuns,
+  getBillingRun
+} from '../controllers/billingRun.controller.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// =============================================
+// BILLING RUN ROUTES
+// - VIEW_INVOICES: run logs
+// - CREATE_INVOICES: preview and run billing for a property
+// =============================================
+
+// Dry run (before /:id)
+router.post('/preview', authorize('ADMIN', 'MANAGER', 'USER'), previewBillingRun);
+
+router.route('/')
+  .get(authorize('ADMIN', 'MANAGER', 'USER'), getBillingRuns)
+  .post(authorize('ADMIN', 'MANAGER', 'USER'), createBillingRun);
+
+router.get('/:id', authorize('ADMIN', 'MANAGER', 'USER'), getBillingRun);
+
+export default router;
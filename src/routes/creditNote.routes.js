@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getCreditNotes,
+  getCreditNoteById,
+  downloadCreditNote
+} from '../controllers/creditNote.controller.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// =============================================
+// CREDIT NOTE ROUTES
+// - Credit notes are issued from the invoice they credit
+//   (POST /api/invoices/:id/credit-notes, POST /api/bill-invoices/:id/credit-notes)
+// - VIEW_INVOICES / VIEW_BILL_INVOICES: list and view credit notes
+// - DOWNLOAD_INVOICES / DOWNLOAD_BILL_INVOICE: download credit note PDFs
+// =============================================
+
+router.get('/', authorize('ADMIN', 'MANAGER', 'USER'), getCreditNotes);
+router.get('/:id', authorize('ADMIN', 'MANAGER', 'USER'), getCreditNoteById);
+router.get('/:id/download', authorize('ADMIN', 'MANAGER', 'USER'), downloadCreditNote);
+
+export default router;
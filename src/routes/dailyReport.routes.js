@@ -1,6 +1,6 @@
 import express from 'express';
 import DailyReportController from '../controllers/dailyReport.controller.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 import { requirePropertyAccess, filterByAccessibleProperties } from '../middleware/propertyAccessMiddleware.js';
 
@@ -86,6 +86,7 @@ router.post(
 router.delete(
   '/:id',
   authorize('ADMIN', 'MANAGER'),
+  requireTwoFactor,
   DailyReportController.deleteReport
 );
 
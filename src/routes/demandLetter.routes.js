@@ -11,7 +11,7 @@ import {
   sendDemandLetter,
   batchGenerateDemandLetters
 } from '../controllers/demandLetter.controller.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 
 const router = express.Router();
@@ -99,6 +99,7 @@ router.patch(
 router.delete(
   '/:id',
   authorize('ADMIN', 'MANAGER', 'USER'),
+  requireTwoFactor,
   deleteDemandLetter
 );
 
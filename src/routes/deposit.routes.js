@@ -0,0 +1,43 @@
+import express from 'express';
+import {
+  getTenantDeposit,
+  createDepositReceipt,
+  createDepositDeduction,
+  createDepositInterest,
+  createDepositRefund,
+  createPropertyDepositInterest,
+  getDepositLiabilityReport,
+  getDepositTransactions,
+  getDepositTransactionById,
+  downloadDepositReceipt
+} from '../controllers/deposit.controller.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// =============================================
+// DEPOSIT ROUTES
+// - Deposits follow the tenant permissions of the property they are held for
+// - VIEW_TENANTS: deposit balances, movements, receipts and the liability report
+// - EDIT_TENANT: record receipts, top-ups, deductions, interest and refunds
+// - Move-out deductions and refunds are recorded through /api/leases
+// =============================================
+
+router.get('/report', authorize('ADMIN', 'MANAGER', 'USER'), getDepositLiabilityReport);
+router.get('/transactions', authorize('ADMIN', 'MANAGER', 'USER'), getDepositTransactions);
+router.get('/transactions/:id', authorize('ADMIN', 'MANAGER', 'USER'), getDepositTransactionById);
+router.get('/transactions/:id/download', authorize('ADMIN', 'MANAGER', 'USER'), downloadDepositReceipt);
+
+router.get('/tenants/:tenantId', authorize('ADMIN', 'MANAGER', 'USER'), getTenantDeposit);
+router.post('/tenants/:tenantId/receipts', authorize('ADMIN', 'MANAGER', 'USER'), createDepositReceipt);
+router.post('/tenants/:tenantId/deductions', authorize('ADMIN', 'MANAGER', 'USER'), createDepositDeduction);
+router.post('/tenants/:tenantId/interest', authorize('ADMIN', 'MANAGER', 'USER'), createDepositInterest);
+router.post('/tenants/:tenantId/refunds', authorize('ADMIN', 'MANAGER', 'USER'), createDepositRefund);
+
+router.post('/properties/:propertyId/interest', authorize('ADMIN', 'MANAGER', 'USER'), createPropertyDepositInterest);
+
+export default router;
@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+  getDocumentTypes,
+  getDefaultTemplate,
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  activateTemplate,
+  deactivateTemplate,
+  previewTemplate
+} from '../controllers/documentTemplate.controller.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// =============================================
+// DOCUMENT TEMPLATE ROUTES
+// - Admins and managers can browse and preview templates
+// - Only admins can save or switch the versions documents are rendered with
+// =============================================
+
+router.get('/types', authorize('ADMIN', 'MANAGER'), getDocumentTypes);
+router.get('/types/:key/default', authorize('ADMIN', 'MANAGER'), getDefaultTemplate);
+router.post('/preview', authorize('ADMIN', 'MANAGER'), previewTemplate);
+
+router.get('/', authorize('ADMIN', 'MANAGER'), getTemplates);
+router.post('/', authorize('ADMIN'), createTemplate);
+router.get('/:id', authorize('ADMIN', 'MANAGER'), getTemplate);
+router.post('/:id/activate', authorize('ADMIN'), activateTemplate);
+router.post('/:id/deactivate', authorize('ADMIN'), deactivateTemplate);
+
+export default router;
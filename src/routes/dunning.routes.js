@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getDunningPolicy,
+  upsertDunningPolicy,
+  getDunningActions,
+  getEscalations,
+  runDunning
+} from '../controllers/dunning.controller.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// =============================================
+// DUNNING ROUTES
+// - VIEW_DEMAND_LETTERS: policies, dunning history and the escalation list
+// - AUTO_GENERATE_DEMAND_LETTER: set dunning policies
+// =============================================
+
+// Manual run of the nightly dunning job
+router.post('/run', authorize('ADMIN'), runDunning);
+
+router.route('/policies/:propertyId')
+  .get(authorize('ADMIN', 'MANAGER', 'USER'), getDunningPolicy)
+  .put(authorize('ADMIN', 'MANAGER', 'USER'), upsertDunningPolicy);
+
+router.get('/actions', authorize('ADMIN', 'MANAGER', 'USER'), getDunningActions);
+
+// Escalated letters for legal hand-off
+router.get('/escalations', authorize('ADMIN', 'MANAGER', 'USER'), getEscalations);
+
+export default router;
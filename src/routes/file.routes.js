@@ -0,0 +1,18 @@
+import express from 'express';
+import { createDownloadLink } from '../controllers/file.controller.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// =============================================
+// FILE ROUTES
+// - Signed, expiring links for downloads opened in a new tab; bearer tokens are
+//   not accepted in URLs and /uploads is not served without a link or a token
+// =============================================
+
+router.post('/signed-url', createDownloadLink);
+
+export default router;
@@ -7,7 +7,7 @@ import {
   updateIncome,
   deleteIncome,
 } from "../controllers/income.controller.js";
-import { protect } from "../middleware/authMiddleware.js";
+import { protect, requireTwoFactor } from "../middleware/authMiddleware.js";
 import { authorize } from '../middleware/roleMiddleware.js';
 
 const router = express.Router();
@@ -21,6 +21,6 @@ router.get("/", getAllIncomes);
 router.get("/:id", getIncomeById);
 router.put("/:id", updateIncome);
 //  Admin ONLY
-router.delete("/:id", authorize("ADMIN"), deleteIncome);
+router.delete("/:id", authorize("ADMIN"), requireTwoFactor, deleteIncome);
 
 export default router;
@@ -9,10 +9,12 @@ import {
   generateInvoiceFromPartialPayment,
   getPartialPayments,
   updateInvoicePaymentPolicy,
-  deleteInvoice,
-  deleteInvoicePDF
+  voidInvoice,
+  creditInvoice,
+  deleteInvoicePDF,
+  sendInvoice
 } from '../controllers/invoice.controller.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 
 const router = express.Router();
@@ -33,10 +35,17 @@ router.patch('/:id/status', authorize('ADMIN', 'MANAGER', 'USER'), updateInvoice
 router.patch('/:id/payment-policy', authorize('ADMIN', 'MANAGER', 'USER'), updateInvoicePaymentPolicy);
 
 // ======================================================
-// INVOICE DELETION (Requires DELETE_INVOICES permission)
+// CREDIT NOTES (Requires EDIT_INVOICES permission)
 // ======================================================
-router.delete('/:id', authorize('ADMIN', 'MANAGER', 'USER'), deleteInvoice);
-router.delete('/:id/pdf', authorize('ADMIN', 'MANAGER', 'USER'), deleteInvoicePDF);
+router.post('/:id/credit-notes', authorize('ADMIN', 'MANAGER', 'USER'), creditInvoice);
+
+// ======================================================
+// INVOICE VOIDING (Requires DELETE_INVOICES permission)
+// Invoices are never deleted; DELETE voids the invoice like POST /:id/void
+// ======================================================
+router.post('/:id/void', authorize('ADMIN', 'MANAGER', 'USER'), voidInvoice);
+router.delete('/:id', authorize('ADMIN', 'MANAGER', 'USER'), requireTwoFactor, voidInvoice);
+router.delete('/:id/pdf', authorize('ADMIN', 'MANAGER', 'USER'), requireTwoFactor, deleteInvoicePDF);
 
 // ======================================================
 // INVOICE VIEWING (Requires VIEW_INVOICES permission)
@@ -46,5 +55,6 @@ router.get('/tenant/:tenantId', authorize('ADMIN', 'MANAGER', 'USER'), getInvoic
 router.get('/partial-payments', authorize('ADMIN', 'MANAGER', 'USER'), getPartialPayments);
 router.get('/:id', authorize('ADMIN', 'MANAGER', 'USER'), getInvoiceById);
 router.get('/:id/download', authorize('ADMIN', 'MANAGER', 'USER'), downloadInvoice);
+router.post('/:id/send', authorize('ADMIN', 'MANAGER', 'USER'), sendInvoice);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getJobs,
+  getBatch,
+  getJob,
+  retryJob,
+  cancelJob
+} from '../controllers/job.controller.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// =============================================
+// JOB ROUTES
+// - Background jobs (PDFs, document emails); users see the jobs they started, admins see all
+// =============================================
+
+router.get('/', getJobs);
+router.get('/batches/:batchId', getBatch);
+router.get('/:id', getJob);
+router.post('/:id/retry', retryJob);
+router.post('/:id/cancel', cancelJob);
+
+export default router;
@@ -4,9 +4,18 @@ import {
   getLandlord,
   createLandlord,
   updateLandlord,
-  deleteLandlord
+  deleteLandlord,
+  enableLandlordPortalAccess,
+  disableLandlordPortalAccess
 } from '../controllers/landlord.controller.js';
-import { protect } from '../middleware/authMiddleware.js';
+import {
+  getLandlordStatements,
+  getLandlordStatement,
+  generateLandlordStatement,
+  updateStatementRemittance,
+  downloadLandlordStatementPDF
+} from '../controllers/landlordStatement.controller.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 
 const router = express.Router();
@@ -44,7 +53,62 @@ router.route('/:id')
   )
   .delete(
     authorize('ADMIN', 'MANAGER', 'USER'),
+    requireTwoFactor,
     deleteLandlord
   );
 
+// ======================================================
+// LANDLORD PORTAL ACCESS ROUTES
+// ======================================================
+
+// POST /api/landlords/:id/portal-access - Enable portal access / reset password
+// DELETE /api/landlords/:id/portal-access - Disable portal access
+router.route('/:id/portal-access')
+  .post(
+    authorize('ADMIN', 'MANAGER'),
+    enableLandlordPortalAccess
+  )
+  .delete(
+    authorize('ADMIN', 'MANAGER'),
+    requireTwoFactor,
+    disableLandlordPortalAccess
+  );
+
+// ======================================================
+// LANDLORD STATEMENT ROUTES
+// ======================================================
+
+// GET /api/landlords/:id/statements - List statements for a landlord
+// POST /api/landlords/:id/statements - Generate statement for a period
+router.route('/:id/statements')
+  .get(
+    authorize('ADMIN', 'MANAGER', 'USER'),
+    getLandlordStatements
+  )
+  .post(
+    authorize('ADMIN', 'MANAGER', 'USER'),
+    generateLandlordStatement
+  );
+
+// GET /api/landlords/:id/statements/:statementId - Statement with breakdown
+router.get(
+  '/:id/statements/:statementId',
+  authorize('ADMIN', 'MANAGER', 'USER'),
+  getLandlordStatement
+);
+
+// GET /api/landlords/:id/statements/:statementId/pdf - Download statement PDF
+router.get(
+  '/:id/statements/:statementId/pdf',
+  authorize('ADMIN', 'MANAGER', 'USER'),
+  downloadLandlordStatementPDF
+);
+
+// PATCH /api/landlords/:id/statements/:statementId/remittance - Mark remittance paid/pending
+router.patch(
+  '/:id/statements/:statementId/remittance',
+  authorize('ADMIN', 'MANAGER', 'USER'),
+  updateStatementRemittance
+);
+
 export default router;
\ No newline at end of file
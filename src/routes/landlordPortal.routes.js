@@ -0,0 +1,61 @@
+import express from 'express';
+import {
+  landlordLogin,
+  landlordChangePassword,
+  getLandlordProfile,
+  getLandlordProperties,
+  getLandlordOverview,
+  getLandlordOccupancy,
+  getLandlordCollections,
+  getLandlordPropertyArrears,
+  getLandlordPropertyDeposits,
+  getLandlordCommissionInvoices,
+  downloadLandlordCommissionInvoice,
+  getLandlordPortalStatements,
+  getLandlordPortalStatement,
+  downloadLandlordPortalStatement,
+  createLandlordSignedUrl
+} from '../controllers/landlordPortal.controller.js';
+import { protectLandlord, requirePasswordChanged } from '../middleware/portalAuthMiddleware.js';
+
+const router = express.Router();
+
+// =============================================
+// LANDLORD PORTAL ROUTES (read-only)
+// Landlords authenticate with their own portal token (see portalAuthMiddleware),
+// staff tokens are not accepted here
+// =============================================
+
+// Public
+router.post('/auth/login', landlordLogin);
+
+// Authenticated landlord
+router.use(protectLandlord);
+
+router.post('/auth/change-password', landlordChangePassword);
+router.get('/me', getLandlordProfile);
+
+// Everything below needs the temporary password replaced first
+router.use(requirePasswordChanged);
+
+// Property performance
+router.get('/properties', getLandlordProperties);
+router.get('/properties/:propertyId/arrears', getLandlordPropertyArrears);
+router.get('/properties/:propertyId/deposits', getLandlordPropertyDeposits);
+router.get('/overview', getLandlordOverview);
+router.get('/occupancy', getLandlordOccupancy);
+router.get('/collections', getLandlordCollections);
+
+// Commission invoices
+router.get('/commission-invoices', getLandlordCommissionInvoices);
+router.get('/commission-invoices/:id/download', downloadLandlordCommissionInvoice);
+
+// Owner statements
+router.get('/statements', getLandlordPortalStatements);
+router.get('/statements/:id', getLandlordPortalStatement);
+router.get('/statements/:id/pdf', downloadLandlordPortalStatement);
+
+// Links for opening the downloads above in a new tab
+router.post('/signed-url', createLandlordSignedUrl);
+
+export default router;
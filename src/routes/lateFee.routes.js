@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+  getLateFeePolicy,
+  upsertLateFeePolicy,
+  getLateFees,
+  recordLateFeePayment,
+  waiveLateFee,
+  runLateFees
+} from '../controllers/lateFee.controller.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// =============================================
+// LATE FEE ROUTES
+// - VIEW_INVOICES: late fee policies and charges
+// - EDIT_INVOICES: set policies, record payments and waive fees
+// =============================================
+
+// Manual run of the nightly overdue / late fee job
+router.post('/run', authorize('ADMIN'), runLateFees);
+
+router.route('/policies/:propertyId')
+  .get(authorize('ADMIN', 'MANAGER', 'USER'), getLateFeePolicy)
+  .put(authorize('ADMIN', 'MANAGER', 'USER'), upsertLateFeePolicy);
+
+router.get('/', authorize('ADMIN', 'MANAGER', 'USER'), getLateFees);
+
+router.post('/:id/payments', authorize('ADMIN', 'MANAGER', 'USER'), recordLateFeePayment);
+router.post('/:id/waive', authorize('ADMIN', 'MANAGER', 'USER'), waiveLateFee);
+
+export default router;
@@ -7,7 +7,7 @@ import {
   updateLead,
   deleteLead
 } from '../controllers/lead.controller.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 
 const router = express.Router();
@@ -52,6 +52,7 @@ router.route('/:id')
   )
   .delete(
     authorize('ADMIN', 'MANAGER', 'USER'),
+    requireTwoFactor,
     deleteLead
   );
 
@@ -0,0 +1,49 @@
+import express from 'express';
+import {
+  getLeases,
+  getLease,
+  createLease,
+  renewLease,
+  giveLeaseNotice,
+  withdrawLeaseNotice,
+  previewMoveOut,
+  moveOutTenant,
+  getMoveOuts,
+  recordDepositRefund
+} from '../controllers/lease.controller.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// =============================================
+// LEASE ROUTES
+// - VIEW_TENANTS: leases and move-out settlements
+// - EDIT_TENANT: record, renew and give notice on leases, move tenants out
+//   and record deposit refunds
+// =============================================
+
+// Move-out settlements / deposit refunds (before /:id)
+router.get('/move-outs', authorize('ADMIN', 'MANAGER', 'USER'), getMoveOuts);
+router.patch('/move-outs/:moveOutId/refund', authorize('ADMIN', 'MANAGER', 'USER'), recordDepositRefund);
+
+router.route('/')
+  .get(authorize('ADMIN', 'MANAGER', 'USER'), getLeases)
+  .post(authorize('ADMIN', 'MANAGER', 'USER'), createLease);
+
+router.get('/:id', authorize('ADMIN', 'MANAGER', 'USER'), getLease);
+
+// Renewal and notice / early termination
+router.post('/:id/renew', authorize('ADMIN', 'MANAGER', 'USER'), renewLease);
+router.route('/:id/notice')
+  .post(authorize('ADMIN', 'MANAGER', 'USER'), giveLeaseNotice)
+  .delete(authorize('ADMIN', 'MANAGER', 'USER'), requireTwoFactor, withdrawLeaseNotice);
+
+// Move-out with deposit settlement
+router.post('/:id/move-out/preview', authorize('ADMIN', 'MANAGER', 'USER'), previewMoveOut);
+router.post('/:id/move-out', authorize('ADMIN', 'MANAGER', 'USER'), moveOutTenant);
+
+export default router;
@@ -0,0 +1,48 @@
+import express from 'express';
+import {
+  getLedgerAccounts,
+  createLedgerAccount,
+  updateLedgerAccount,
+  getAccountPostings,
+  getJournalEntries,
+  getJournalEntry,
+  createJournalEntry,
+  reverseJournalEntry,
+  getTrialBalance
+} from '../controllers/ledger.controller.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// =============================================
+// GENERAL LEDGER ROUTES
+// - VIEW_LEDGER: read the whole ledger (MANAGERs without it see their own properties)
+// - POST_JOURNAL_ENTRIES: manual journal entries
+// - REVERSE_JOURNAL_ENTRIES: reverse any entry
+// - MANAGE_LEDGER_ACCOUNTS: maintain the chart of accounts
+// =============================================
+
+// Chart of accounts
+router.route('/accounts')
+  .get(authorize('ADMIN', 'MANAGER', 'USER'), getLedgerAccounts)
+  .post(authorize('ADMIN', 'MANAGER', 'USER'), createLedgerAccount);
+
+router.patch('/accounts/:id', authorize('ADMIN', 'MANAGER', 'USER'), updateLedgerAccount);
+router.get('/accounts/:id/postings', authorize('ADMIN', 'MANAGER', 'USER'), getAccountPostings);
+
+// Journal entries
+router.route('/journal-entries')
+  .get(authorize('ADMIN', 'MANAGER', 'USER'), getJournalEntries)
+  .post(authorize('ADMIN', 'MANAGER', 'USER'), createJournalEntry);
+
+router.get('/journal-entries/:id', authorize('ADMIN', 'MANAGER', 'USER'), getJournalEntry);
+router.post('/journal-entries/:id/reverse', authorize('ADMIN', 'MANAGER', 'USER'), reverseJournalEntry);
+
+// Reports
+router.get('/trial-balance', authorize('ADMIN', 'MANAGER', 'USER'), getTrialBalance);
+
+export default router;
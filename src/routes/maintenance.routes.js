@@ -0,0 +1,52 @@
+import express from 'express';
+import {
+  getMaintenanceRequests,
+  getMaintenanceSummary,
+  getMaintenanceRequest,
+  createMaintenanceRequest,
+  updateMaintenanceRequest,
+  updateMaintenanceStatus,
+  assignMaintenanceRequest,
+  updateMaintenanceCost,
+  deleteMaintenanceRequest,
+  uploadMaintenancePhotos,
+  deleteMaintenancePhoto
+} from '../controllers/maintenance.controller.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/roleMiddleware.js';
+import { uploadMultiple } from '../middleware/uploadMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// =============================================
+// MAINTENANCE REQUEST ROUTES
+// Permission checks (VIEW/CREATE/UPDATE/DELETE_MAINTENANCE_REQUESTS,
+// ASSIGN_MAINTENANCE_TASKS) are enforced per property in the controller
+// =============================================
+
+router.route('/')
+  .get(authorize('ADMIN', 'MANAGER', 'USER'), getMaintenanceRequests)
+  .post(authorize('ADMIN', 'MANAGER', 'USER'), uploadMultiple('photos', 10), createMaintenanceRequest);
+
+router.get('/summary', authorize('ADMIN', 'MANAGER', 'USER'), getMaintenanceSummary);
+
+// Photo deletion (declared before /:id routes)
+router.delete('/photos/:photoId', authorize('ADMIN', 'MANAGER', 'USER'), requireTwoFactor, deleteMaintenancePhoto);
+
+router.route('/:id')
+  .get(authorize('ADMIN', 'MANAGER', 'USER'), getMaintenanceRequest)
+  .put(authorize('ADMIN', 'MANAGER', 'USER'), updateMaintenanceRequest)
+  .delete(authorize('ADMIN', 'MANAGER', 'USER'), requireTwoFactor, deleteMaintenanceRequest);
+
+// Workflow: open → assigned → in progress → resolved → closed
+router.patch('/:id/status', authorize('ADMIN', 'MANAGER', 'USER'), updateMaintenanceStatus);
+router.patch('/:id/assign', authorize('ADMIN', 'MANAGER', 'USER'), assignMaintenanceRequest);
+router.patch('/:id/cost', authorize('ADMIN', 'MANAGER', 'USER'), updateMaintenanceCost);
+
+// Photos
+router.post('/:id/photos', authorize('ADMIN', 'MANAGER', 'USER'), uploadMultiple('photos', 10), uploadMaintenancePhotos);
+
+export default router;
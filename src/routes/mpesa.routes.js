@@ -0,0 +1,47 @@
+import express from 'express';
+import {
+  c2bValidation,
+  c2bConfirmation,
+  stkCallback,
+  initiateStkPayment,
+  getStkRequest,
+  registerUrls,
+  getMpesaTransactions,
+  getMpesaTransaction,
+  assignMpesaTransaction,
+  ignoreMpesaTransaction
+} from '../controllers/mpesa.controller.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+// =============================================
+// DARAJA CALLBACKS
+// Public - authenticated by the MPESA_CALLBACK_TOKEN query parameter
+// =============================================
+router.post('/c2b/validation', c2bValidation);
+router.post('/c2b/confirmation', c2bConfirmation);
+router.post('/stk/callback', stkCallback);
+
+// All routes below require authentication
+router.use(protect);
+
+// =============================================
+// M-PESA ROUTES
+// - VIEW_MPESA_TRANSACTIONS: transactions and the suspense queue
+// - ASSIGN_MPESA_TRANSACTIONS: assign or ignore suspense transactions
+// - INITIATE_STK_PUSH: prompt a tenant to pay
+// =============================================
+
+router.post('/c2b/register-urls', authorize('ADMIN'), registerUrls);
+
+router.post('/stk/push', authorize('ADMIN', 'MANAGER', 'USER'), initiateStkPayment);
+router.get('/stk/:id', authorize('ADMIN', 'MANAGER', 'USER'), getStkRequest);
+
+router.get('/transactions', authorize('ADMIN', 'MANAGER', 'USER'), getMpesaTransactions);
+router.get('/transactions/:id', authorize('ADMIN', 'MANAGER', 'USER'), getMpesaTransaction);
+router.post('/transactions/:id/assign', authorize('ADMIN', 'MANAGER', 'USER'), assignMpesaTransaction);
+router.patch('/transactions/:id/ignore', authorize('ADMIN', 'MANAGER', 'USER'), ignoreMpesaTransaction);
+
+export default router;
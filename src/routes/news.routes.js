@@ -6,7 +6,7 @@ import {
   updateNews,
   deleteNews
 } from '../controllers/news.controller.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 
 const router = express.Router();
@@ -20,6 +20,6 @@ router.route('/')
 router.route('/:id')
   .get(getNewsItem)
   .put(authorize('ADMIN'), updateNews)
-  .delete(authorize('ADMIN'), deleteNews);
+  .delete(authorize('ADMIN'), requireTwoFactor, deleteNews);
 
 export default router;
\ No newline at end of file
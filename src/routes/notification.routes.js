@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  getMessages,
+  getMessage,
+  retryMessage,
+  resendWebhook,
+  smsDeliveryReport,
+  smsOptOutCallback
+} from '../controllers/notification.controller.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+// Provider webhooks are verified by signature or callback token, not by login
+router.post('/webhooks/resend', resendWebhook);
+router.post('/webhooks/sms/delivery', smsDeliveryReport);
+router.post('/webhooks/sms/opt-out', smsOptOutCallback);
+
+// All other routes require authentication
+router.use(protect);
+
+// =============================================
+// NOTIFICATION ROUTES
+// - Outbound emails and SMS with delivery status; managers see their properties
+// =============================================
+
+router.get('/', authorize('ADMIN', 'MANAGER'), getMessages);
+router.get('/:id', authorize('ADMIN', 'MANAGER'), getMessage);
+router.post('/:id/resend', authorize('ADMIN', 'MANAGER'), retryMessage);
+
+export default router;
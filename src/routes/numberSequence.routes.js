@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getSequenceTypes,
+  getSequences,
+  saveNumberSequence,
+  deleteNumberSequence,
+  getNextNumber,
+  getGapReport
+} from '../controllers/numberSequence.controller.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// =============================================
+// NUMBER SEQUENCE ROUTES
+// - Admins and managers can view numbering and run gap reports
+// - Only admins can change how documents are numbered
+// =============================================
+
+router.get('/types', authorize('ADMIN', 'MANAGER'), getSequenceTypes);
+router.get('/', authorize('ADMIN', 'MANAGER'), getSequences);
+router.get('/:documentType/next', authorize('ADMIN', 'MANAGER'), getNextNumber);
+router.get('/:documentType/gaps', authorize('ADMIN', 'MANAGER'), getGapReport);
+router.put('/:documentType', authorize('ADMIN'), saveNumberSequence);
+router.delete('/:id', authorize('ADMIN'), requireTwoFactor, deleteNumberSequence);
+
+export default router;
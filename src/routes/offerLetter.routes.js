@@ -11,7 +11,7 @@ import {
   updateOfferLetterStatus,
   deleteOfferLetter
 } from '../controllers/offerLetter.controller.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 
 const router = express.Router();
@@ -34,7 +34,7 @@ router.route('/mixed-use')
 router.route('/:id')
   .get(getOfferLetter)
   .put(authorize('ADMIN', 'MANAGER'), updateOfferLetter)
-  .delete(authorize('ADMIN', 'MANAGER'), deleteOfferLetter);
+  .delete(authorize('ADMIN', 'MANAGER'), requireTwoFactor, deleteOfferLetter);
 
 // Status update
 router.patch('/:id/status', authorize('ADMIN', 'MANAGER'), updateOfferLetterStatus);
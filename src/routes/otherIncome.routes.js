@@ -13,7 +13,7 @@ import {
   downloadOtherIncomeAttachment,  // Add this
   previewOtherIncomeAttachment   // Add this
 } from '../controllers/otherIncome.controller.js';
-import { protect, managerProtect, requirePermission } from '../middleware/authMiddleware.js';
+import { protect, managerProtect, requirePermission, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 import { uploadSingleMemory } from '../middleware/uploadMiddleware.js';
 
@@ -72,7 +72,7 @@ router.put('/:id', updateOtherIncome);
  * Delete an other income
  * Access: Manager/Admin
  */
-router.delete('/:id', deleteOtherIncome);
+router.delete('/:id', requireTwoFactor, deleteOtherIncome);
 
 // ============================================
 // STATUS OPERATIONS
@@ -131,6 +131,6 @@ router.get('/attachments/:attachmentId/preview', previewOtherIncomeAttachment);
  * Delete an attachment
  * Access: Manager/Admin
  */
-router.delete('/attachments/:attachmentId', deleteOtherIncomeAttachment);
+router.delete('/attachments/:attachmentId', requireTwoFactor, deleteOtherIncomeAttachment);
 
 export default router;
\ No newline at end of file
@@ -12,9 +12,10 @@ import {
   getPropertyArrears,
   getOutstandingInvoices,
   downloadPaymentReceipt,
+  sendPaymentReceiptEmail,
   deletePaymentReport
 } from '../controllers/paymentReport.controller.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 
 const router = express.Router();
@@ -69,9 +70,12 @@ router.route('/income')
 // DELETE /api/payments/:id - Delete payment report
 router.route('/:id')
   .put(authorize('ADMIN', 'MANAGER', 'USER'), updatePaymentReportWithIncome)
-  .delete(authorize('ADMIN', 'MANAGER', 'USER'), deletePaymentReport);
+  .delete(authorize('ADMIN', 'MANAGER', 'USER'), requireTwoFactor, deletePaymentReport);
 
 // GET /api/payments/:id/receipt - Download payment receipt PDF
 router.get('/:id/receipt', authorize('ADMIN', 'MANAGER', 'USER'), downloadPaymentReceipt);
 
+// POST /api/payments/:id/send-receipt - Email the receipt PDF to the tenant
+router.post('/:id/send-receipt', authorize('ADMIN', 'MANAGER', 'USER'), sendPaymentReceiptEmail);
+
 export default router;
\ No newline at end of file
@@ -11,7 +11,7 @@ import {
   getPropertyImage,
   upload
 } from '../controllers/property.controller.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 import { requirePropertyAccess, filterByAccessibleProperties } from '../middleware/propertyAccessMiddleware.js';
 
@@ -38,7 +38,7 @@ router.route('/')
 router.route('/:id')
   .get(authorize('ADMIN', 'MANAGER', 'USER'), requirePropertyAccess('canView'), getProperty)
   .put(authorize('ADMIN', 'MANAGER'), requirePropertyAccess('canEdit'), upload.single('image'), updateProperty)
-  .delete(authorize('ADMIN'), requirePropertyAccess('canDelete'), deleteProperty);
+  .delete(authorize('ADMIN'), requireTwoFactor, requirePropertyAccess('canDelete'), deleteProperty);
 
 // ======================================================
 // MANAGER-SPECIFIC ROUTES
@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 import {
   // Permissions
@@ -37,8 +37,9 @@ import {
 
 const router = express.Router();
 
-// All routes require authentication
+// All routes require authentication, and two-factor for roles that must use it
 router.use(protect);
+router.use(requireTwoFactor);
 
 // ======================================================
 // PERMISSION ROUTES
@@ -0,0 +1,48 @@
+import express from 'express';
+import {
+  uploadBankStatement,
+  getBankStatements,
+  getBankStatement,
+  deleteBankStatement,
+  autoMatchStatement,
+  getLineCandidates,
+  confirmLineMatch,
+  createPaymentFromLine,
+  removeLineMatch,
+  ignoreStatementLine
+} from '../controllers/reconciliation.controller.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
+import { authorize } from '../middleware/roleMiddleware.js';
+import { uploadBankStatement as uploadStatementFile } from '../middleware/uploadMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// =============================================
+// BANK RECONCILIATION ROUTES
+// - VIEW_BANK_RECONCILIATION: statements, lines and match candidates
+// - MANAGE_BANK_RECONCILIATION: import statements, confirm/split/remove matches,
+//   record missing payments and ignore lines
+// =============================================
+
+// Statements
+router.route('/statements')
+  .get(authorize('ADMIN', 'MANAGER', 'USER'), getBankStatements)
+  .post(authorize('ADMIN', 'MANAGER', 'USER'), uploadStatementFile('file'), uploadBankStatement);
+
+router.route('/statements/:id')
+  .get(authorize('ADMIN', 'MANAGER', 'USER'), getBankStatement)
+  .delete(authorize('ADMIN', 'MANAGER', 'USER'), requireTwoFactor, deleteBankStatement);
+
+router.post('/statements/:id/auto-match', authorize('ADMIN', 'MANAGER', 'USER'), autoMatchStatement);
+
+// Statement lines
+router.get('/lines/:lineId/candidates', authorize('ADMIN', 'MANAGER', 'USER'), getLineCandidates);
+router.post('/lines/:lineId/confirm', authorize('ADMIN', 'MANAGER', 'USER'), confirmLineMatch);
+router.post('/lines/:lineId/create-payment', authorize('ADMIN', 'MANAGER', 'USER'), createPaymentFromLine);
+router.delete('/lines/:lineId/matches/:matchId', authorize('ADMIN', 'MANAGER', 'USER'), requireTwoFactor, removeLineMatch);
+router.patch('/lines/:lineId/ignore', authorize('ADMIN', 'MANAGER', 'USER'), ignoreStatementLine);
+
+export default router;
@@ -17,7 +17,7 @@ import {
   downloadAttachment,     // NEW
   getAttachmentUrl        // NEW
 } from '../controllers/serviceProvider.controller.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 import { uploadSingle } from '../middleware/uploadMiddleware.js';
 
@@ -42,7 +42,7 @@ router.get('/property/:propertyId', authorize('ADMIN', 'MANAGER', 'USER'), getSe
 router.route('/:id')
   .get(authorize('ADMIN', 'MANAGER', 'USER'), getServiceProvider)
   .put(authorize('ADMIN', 'MANAGER', 'USER'), updateServiceProvider)
-  .delete(authorize('ADMIN', 'MANAGER'), deleteServiceProvider);
+  .delete(authorize('ADMIN', 'MANAGER'), requireTwoFactor, deleteServiceProvider);
 
 // =============================================
 // SERVICE PROVIDER ATTACHMENT ROUTES
@@ -79,6 +79,6 @@ router.get('/attachments/:attachmentId/url', authorize('ADMIN', 'MANAGER', 'USER
 router.route('/attachments/:attachmentId')
   .get(authorize('ADMIN', 'MANAGER', 'USER'), getAttachment)
   .put(authorize('ADMIN', 'MANAGER', 'USER'), updateAttachment)
-  .delete(authorize('ADMIN', 'MANAGER', 'USER'), deleteAttachment);
+  .delete(authorize('ADMIN', 'MANAGER', 'USER'), requireTwoFactor, deleteAttachment);
 
 export default router;
\ No newline at end of file
@@ -11,6 +11,10 @@ import {
   updateServiceCharge,
   removeServiceCharge,
   getTenantFinancials,
+  getTenantStatement,
+  downloadTenantStatementPDF,
+  enableTenantPortalAccess,
+  disableTenantPortalAccess,
   // Attachment controllers
   getAttachments,
   uploadAttachment,
@@ -19,7 +23,7 @@ import {
   deleteAttachment,
   downloadAttachment
 } from '../controllers/tenant.controller.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 import upload from '../middleware/uploadMiddleware.js';
 
@@ -52,7 +56,7 @@ router.route('/overdue')
 router.route('/:id')
   .get(authorize('ADMIN', 'MANAGER', 'USER'), getTenant)
   .put(authorize('ADMIN', 'MANAGER', 'USER'), updateTenant)
-  .delete(authorize('ADMIN', 'MANAGER'), deleteTenant);
+  .delete(authorize('ADMIN', 'MANAGER'), requireTwoFactor, deleteTenant);
 
 // =============================================
 // TENANT FINANCIALS
@@ -61,13 +65,25 @@ router.route('/:id')
 router.route('/:id/financials')
   .get(authorize('ADMIN', 'MANAGER', 'USER'), getTenantFinancials);
 
+// Account statement (running ledger) - JSON and printable PDF, ?from=&to=
+router.get('/:id/statement', authorize('ADMIN', 'MANAGER', 'USER'), getTenantStatement);
+router.get('/:id/statement/pdf', authorize('ADMIN', 'MANAGER', 'USER'), downloadTenantStatementPDF);
+
 // =============================================
 // TENANT SERVICE CHARGE ROUTES
 // =============================================
 
 router.route('/:id/service-charge')
   .patch(authorize('ADMIN', 'MANAGER', 'USER'), updateServiceCharge)
-  .delete(authorize('ADMIN', 'MANAGER'), removeServiceCharge);
+  .delete(authorize('ADMIN', 'MANAGER'), requireTwoFactor, removeServiceCharge);
+
+// =============================================
+// TENANT PORTAL ACCESS ROUTES
+// =============================================
+
+router.route('/:id/portal-access')
+  .post(authorize('ADMIN', 'MANAGER'), enableTenantPortalAccess)
+  .delete(authorize('ADMIN', 'MANAGER'), requireTwoFactor, disableTenantPortalAccess);
 
 // =============================================
 // TENANT ATTACHMENT ROUTES
@@ -89,6 +105,6 @@ router.route('/attachments/:attachmentId/download')
 // Update/Delete an attachment (Admin only)
 router.route('/attachments/:attachmentId')
   .put(authorize('ADMIN'), updateAttachment)
-  .delete(authorize('ADMIN'), deleteAttachment);
+  .delete(authorize('ADMIN'), requireTwoFactor, deleteAttachment);
 
 export default router;
\ No newline at end of file
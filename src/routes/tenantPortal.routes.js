@@ -0,0 +1,69 @@
+import express from 'express';
+import {
+  tenantLogin,
+  tenantChangePassword,
+  getTenantProfile,
+  updateTenantNotificationPreferences,
+  getTenantInvoices,
+  getTenantBillInvoices,
+  getTenantPayments,
+  downloadTenantReceipt,
+  getTenantStatement,
+  getTenantLedgerStatement,
+  downloadTenantStatement,
+  getTenantDocuments,
+  uploadTenantDocument,
+  downloadTenantDocument,
+  createTenantSignedUrl,
+  getTenantComplaints,
+  createTenantComplaint
+} from '../controllers/tenantPortal.controller.js';
+import { protectTenant, requirePasswordChanged } from '../middleware/portalAuthMiddleware.js';
+import upload from '../middleware/uploadMiddleware.js';
+
+const router = express.Router();
+
+// =============================================
+// TENANT PORTAL ROUTES
+// Tenants authenticate with their own portal token (see portalAuthMiddleware),
+// staff tokens are not accepted here
+// =============================================
+
+// Public
+router.post('/auth/login', tenantLogin);
+
+// Authenticated tenant
+router.use(protectTenant);
+
+router.post('/auth/change-password', tenantChangePassword);
+router.get('/me', getTenantProfile);
+router.put('/me/notifications', updateTenantNotificationPreferences);
+
+// Everything below needs the temporary password replaced first
+router.use(requirePasswordChanged);
+
+// Invoices, payments & statement
+router.get('/invoices', getTenantInvoices);
+router.get('/bill-invoices', getTenantBillInvoices);
+router.get('/payments', getTenantPayments);
+router.get('/payments/:id/receipt', downloadTenantReceipt);
+router.get('/statement', getTenantStatement);
+router.get('/statement/ledger', getTenantLedgerStatement);
+router.get('/statement/pdf', downloadTenantStatement);
+
+// Documents
+router.route('/documents')
+  .get(getTenantDocuments)
+  .post(upload.single('file'), uploadTenantDocument);
+
+router.get('/documents/:id/download', downloadTenantDocument);
+
+// Links for opening the downloads above in a new tab
+router.post('/signed-url', createTenantSignedUrl);
+
+// Complaints
+router.route('/complaints')
+  .get(getTenantComplaints)
+  .post(createTenantComplaint);
+
+export default router;
@@ -8,7 +8,7 @@ import {
   getTodoStats,
   approveSelfCreatedTask
 } from '../controllers/todo.controller.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 
 const router = express.Router();
@@ -30,7 +30,7 @@ router.get('/stats/:userId', getTodoStats);
 router.put('/:id/approve-self-task', authorize('ADMIN', 'MANAGER'), approveSelfCreatedTask);
 
 // Delete route - only admins and managers can delete tasks
-router.delete('/:id', authorize('ADMIN', 'MANAGER'), deleteTodo);
+router.delete('/:id', authorize('ADMIN', 'MANAGER'), requireTwoFactor, deleteTodo);
 
 // Other ID routes with mixed authorization (handled in controller)
 router.route('/:id')
@@ -9,7 +9,7 @@ import {
   getVacantUnits,
   getOccupiedUnits
 } from '../controllers/unit.controller.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireTwoFactor } from '../middleware/authMiddleware.js';
 import { authorize } from '../middleware/roleMiddleware.js';
 
 const router = express.Router();
@@ -33,6 +33,6 @@ router.get('/property/:propertyId', authorize('ADMIN', 'MANAGER', 'USER'), getUn
 router.route('/:id')
   .get(authorize('ADMIN', 'MANAGER', 'USER'), getUnit)
   .put(authorize('ADMIN', 'MANAGER', 'USER'), updateUnit)
-  .delete(authorize('ADMIN', 'MANAGER', 'USER'), deleteUnit);
+  .delete(authorize('ADMIN', 'MANAGER', 'USER'), requireTwoFactor, deleteUnit);
 
 export default router;
\ No newline at end of file
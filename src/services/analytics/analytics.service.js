@@ -20,6 +20,8 @@ import {
   calculateVATAnalytics
 } from './analyticsCalculations.service.js';
 import { publicFilters, TIMEZONE } from './analyticsFilter.service.js';
+import { getAccountBalances, buildTrialBalance } from '../ledgerService.js';
+import { netOfCredits } from '../creditNoteService.js';
 
 const positive = value => Math.max(Number(value) || 0, 0);
 const amount = value => Math.max(Number(value) || 0, 0);
@@ -64,6 +66,7 @@ const invoiceSelect = {
   invoiceNumber: true,
   totalDue: true,
   amountPaid: true,
+  creditedAmount: true,
   balance: true,
   status: true,
   issueDate: true,
@@ -88,6 +91,7 @@ const billInvoiceSelect = {
   vatAmount: true,
   grandTotal: true,
   amountPaid: true,
+  creditedAmount: true,
   balance: true,
   status: true,
   issueDate: true,
@@ -139,6 +143,8 @@ export class AnalyticsService {
     return propertyIds;
   }
 
+  // Invoice amounts are reported net of credit notes; the helpers below return
+  // rows with their totals already reduced by creditedAmount
   invoicePropertyWhere(propertyIds) {
     return { tenant: { unit: { propertyId: { in: propertyIds } } } };
   }
@@ -175,7 +181,7 @@ export class AnalyticsService {
         }
       } : invoiceSelect,
       orderBy: { dueDate: 'asc' }
-    });
+    }).then(rows => rows.map(netOfCredits));
   }
 
   async openInvoices(propertyIds, filters) {
@@ -189,7 +195,7 @@ export class AnalyticsService {
     return this.prisma.invoice.findMany({
       where: whereClause,
       select: invoiceSelect
-    });
+    }).then(rows => rows.map(netOfCredits));
   }
 
   // ========== HELPER METHODS FOR BILL INVOICES ==========
@@ -217,7 +223,7 @@ export class AnalyticsService {
         }
       } : billInvoiceSelect,
       orderBy: { dueDate: 'asc' }
-    });
+    }).then(rows => rows.map(netOfCredits));
   }
 
   async openBillInvoices(propertyIds, filters) {
@@ -231,7 +237,7 @@ export class AnalyticsService {
     return this.prisma.billInvoice.findMany({
       where: whereClause,
       select: billInvoiceSelect
-    });
+    }).then(rows => rows.map(netOfCredits));
   }
 
   // ========== EXISTING METHODS ==========
@@ -594,14 +600,14 @@ export class AnalyticsService {
           ...invoiceSelect,
           paymentReport: { select: { id: true, amountPaid: true, status: true } }
         }
-      }),
+      }).then(rows => rows.map(netOfCredits)),
       this.prisma.billInvoice.findMany({
         where: billInvoiceWhereClause,
         select: {
           ...billInvoiceSelect,
           paymentReport: { select: { id: true, amountPaid: true, status: true } }
         }
-      }),
+      }).then(rows => rows.map(netOfCredits)),
       this.prisma.paymentReport.findMany({
         where: paymentWhereClause,
         select: {
@@ -681,7 +687,10 @@ export class AnalyticsService {
         id: true,
         type: true,
         totalAmount: true,
+        vatAmount: true,
+        grandTotal: true,
         amountPaid: true,
+        creditedAmount: true,
         status: true,
         issuedAt: true,
         dueDate: true,
@@ -692,8 +701,9 @@ export class AnalyticsService {
       orderBy: { issuedAt: 'asc' }
     });
 
-    // Calculate balance in JavaScript (Bill model doesn't have balance field)
-    const billsWithBalance = bills.map(bill => ({
+    // Calculate balance in JavaScript (Bill model doesn't have balance field),
+    // after taking credit notes off the bill's amounts
+    const billsWithBalance = bills.map(netOfCredits).map(bill => ({
       ...bill,
       balance: bill.totalAmount - bill.amountPaid
     }));
@@ -938,8 +948,8 @@ export class AnalyticsService {
           ...billDateFilter
         },
         // Remove billReferenceNumber - it doesn't exist on Bill model
-        select: { id: true, status: true, totalAmount: true, amountPaid: true }
-      }),
+        select: { id: true, status: true, totalAmount: true, grandTotal: true, amountPaid: true, creditedAmount: true }
+      }).then(rows => rows.map(netOfCredits)),
       this.prisma.tenant.findMany({
         where: { unit: { propertyId: { in: propertyIds } } },
         select: { id: true, unit: { select: { status: true } } }
@@ -1067,12 +1077,12 @@ export class AnalyticsService {
     const [invoices, billInvoices, tenants] = await Promise.all([
       this.prisma.invoice.findMany({
         where: invoiceWhereClause,
-        select: { id: true, vat: true, totalDue: true, status: true }
-      }),
+        select: { id: true, vat: true, totalDue: true, creditedAmount: true, status: true }
+      }).then(rows => rows.map(netOfCredits)),
       this.prisma.billInvoice.findMany({
         where: billInvoiceWhereClause,
-        select: { id: true, vatAmount: true, grandTotal: true, status: true }
-      }),
+        select: { id: true, vatAmount: true, grandTotal: true, creditedAmount: true, status: true }
+      }).then(rows => rows.map(netOfCredits)),
       this.prisma.tenant.findMany({
         where: { unit: { propertyId: { in: propertyIds } } },
         select: { id: true, vatType: true, vatRate: true, withholdingTaxRate: true }
@@ -1115,12 +1125,13 @@ export class AnalyticsService {
       whereClause.issueDate = { gte: filters.start, lt: filters.endExclusive };
     }
 
-    const rows = await this.prisma.billInvoice.findMany({
+    const rows = (await this.prisma.billInvoice.findMany({
       where: whereClause,
       select: { 
         id: true, 
         grandTotal: true, 
         amountPaid: true, 
+        creditedAmount: true, 
         balance: true, 
         status: true, 
         billType: true, 
@@ -1138,7 +1149,7 @@ export class AnalyticsService {
           } 
         } 
       } 
-    });
+    })).map(netOfCredits);
     const shaped = rows.map(row => ({ ...row, property: row.tenant?.unit?.property }));
     const billed = rows.reduce((sum, row) => sum + amount(row.grandTotal), 0);
     const paid = rows.reduce((sum, row) => sum + amount(row.amountPaid), 0);
@@ -1230,6 +1241,108 @@ export class AnalyticsService {
       trend: trend(additions, row => row.createdAt, row => row.rent, filters.grain), byProperty: propertyBreakdown(shaped, row => row.rent), statusDistribution: [], categoryDistribution: group(rows, row => row.paymentPolicy, row => row.rent) }, filters, propertyIds, { lifecycleStatusUnavailable: true, currentRecordsSnapshot: true });
   }
 
+  // ========== FINANCIAL STATEMENTS (GENERAL LEDGER) ==========
+  async getFinancialStatements(user, filters) {
+    const propertyIds = await this.resolveScope(user, filters);
+
+    // Organisation-level entries (salaries, unattributed journals) have no property, so they
+    // only belong in the unfiltered admin view
+    const includeUnattributed = user.role === 'ADMIN' && !filters.propertyId && !filters.landlordId;
+    const scopeWhere = includeUnattributed
+      ? { OR: [{ propertyId: { in: propertyIds } }, { propertyId: null }] }
+      : { propertyId: { in: propertyIds } };
+
+    const periodWhere = { ...scopeWhere };
+    if (filters.hasDateFilter && (filters.start || filters.endExclusive)) {
+      periodWhere.entryDate = {
+        ...(filters.start ? { gte: filters.start } : {}),
+        ...(filters.endExclusive ? { lt: filters.endExclusive } : {})
+      };
+    }
+    const asOfWhere = { ...scopeWhere, entryDate: { lt: filters.asOfExclusive } };
+
+    const [periodBalances, asOfBalances, periodPostings] = await Promise.all([
+      getAccountBalances(periodWhere, this.prisma),
+      getAccountBalances(asOfWhere, this.prisma),
+      this.prisma.ledgerPosting.findMany({
+        where: { journalEntry: periodWhere, account: { type: { in: ['INCOME', 'EXPENSE'] } } },
+        select: {
+          debit: true,
+          credit: true,
+          account: { select: { type: true } },
+          journalEntry: { select: { property: { select: { id: true, name: true } } } }
+        }
+      })
+    ]);
+
+    const statementLine = row => ({ accountId: row.accountId, code: row.code, name: row.name, amount: row.balance });
+    const sumBalances = rows => rounded(rows.reduce((sum, row) => sum + row.balance, 0));
+
+    // Profit & loss for the period
+    const incomeRows = periodBalances.filter(row => row.type === 'INCOME');
+    const expenseRows = periodBalances.filter(row => row.type === 'EXPENSE');
+    const totalIncome = sumBalances(incomeRows);
+    const totalExpenses = sumBalances(expenseRows);
+
+    const byProperty = Object.values(periodPostings.reduce((all, posting) => {
+      const property = posting.journalEntry.property;
+      const key = property?.id || 'UNATTRIBUTED';
+      all[key] ||= { propertyId: property?.id || null, propertyName: property?.name || 'Unattributed', income: 0, expenses: 0 };
+      if (posting.account.type === 'INCOME') all[key].income += posting.credit - posting.debit;
+      else all[key].expenses += posting.debit - posting.credit;
+      return all;
+    }, {})).map(item => ({
+      ...item,
+      income: rounded(item.income),
+      expenses: rounded(item.expenses),
+      netProfit: rounded(item.income - item.expenses)
+    })).sort((a, b) => b.income - a.income || a.propertyName.localeCompare(b.propertyName));
+
+    // Balance sheet as of the asOf date; no closing entries exist, so cumulative
+    // income less expenses is reported as retained earnings
+    const assets = asOfBalances.filter(row => row.type === 'ASSET');
+    const liabilities = asOfBalances.filter(row => row.type === 'LIABILITY');
+    const equity = asOfBalances.filter(row => row.type === 'EQUITY');
+    const retainedEarnings = rounded(
+      sumBalances(asOfBalances.filter(row => row.type === 'INCOME')) -
+      sumBalances(asOfBalances.filter(row => row.type === 'EXPENSE'))
+    );
+    const totalAssets = sumBalances(assets);
+    const totalLiabilities = sumBalances(liabilities);
+    const totalEquity = rounded(sumBalances(equity) + retainedEarnings);
+
+    return envelope({
+      profitAndLoss: {
+        dateFrom: filters.dateFrom,
+        dateTo: filters.dateTo,
+        income: incomeRows.map(statementLine),
+        expenses: expenseRows.map(statementLine),
+        totalIncome,
+        totalExpenses,
+        netProfit: rounded(totalIncome - totalExpenses),
+        byProperty
+      },
+      balanceSheet: {
+        asOf: filters.asOf,
+        assets: assets.map(statementLine),
+        liabilities: liabilities.map(statementLine),
+        equity: [...equity.map(statementLine), { accountId: null, code: null, name: 'Retained Earnings', amount: retainedEarnings }],
+        totalAssets,
+        totalLiabilities,
+        totalEquity,
+        isBalanced: Math.abs(totalAssets - (totalLiabilities + totalEquity)) < 0.01
+      },
+      trialBalance: {
+        asOf: filters.asOf,
+        ...buildTrialBalance(asOfBalances)
+      }
+    }, filters, propertyIds, {
+      source: 'GeneralLedger',
+      unattributedEntriesIncluded: includeUnattributed,
+      serviceProviderChargesFromJournalEntriesOnly: true
+    });
+  }
+
   async getOtherIncomeAnalytics(user, filters) {
     if (filters.propertyId || filters.landlordId) throw new AnalyticsAccessError('Other Income cannot be filtered by property or landlord because no reliable relationship exists');
     
@@ -0,0 +1,488 @@
+import { roundMoney } from '../utils/money.js';
+
+// ======================================================
+// BANK STATEMENT PARSERS (CSV / MT940 / CAMT.053)
+// ======================================================
+// Every parser returns the same shape:
+// { format, accountNo, statementRef, currency, openingBalance, closingBalance,
+//   periodStart, periodEnd, lines: [{ lineNumber, valueDate, bookingDate, amount,
+//   direction, description, reference, bankReference }] }
+// Line amounts are always positive; direction says which way the money moved.
+
+const MONTHS = {
+  JAN: 0, FEB: 1, MAR: 2, APR: 3, MAY: 4, JUN: 5,
+  JUL: 6, AUG: 7, SEP: 8, OCT: 9, NOV: 10, DEC: 11
+};
+
+/**
+ * Parse the date formats banks put in exports: ISO (YYYY-MM-DD), day-first
+ * numeric (DD/MM/YYYY, DD-MM-YY, DD.MM.YYYY) and DD-MMM-YYYY / DD MMM YYYY
+ */
+export const parseStatementDate = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) {
+    return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  }
+
+  match = text.match(/^(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{2}|\d{4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+    return new Date(Date.UTC(year, +match[2] - 1, +match[1]));
+  }
+
+  match = text.match(/^(\d{1,2})[\s\-]([A-Za-z]{3})[A-Za-z]*[\s\-,]+(\d{2}|\d{4})$/);
+  if (match && MONTHS[match[2].toUpperCase()] !== undefined) {
+    const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+    return new Date(Date.UTC(year, MONTHS[match[2].toUpperCase()], +match[1]));
+  }
+
+  return null;
+};
+
+/**
+ * Parse an amount such as "1,234.50", "(1,234.50)", "1234.50 CR", "KES 1,234.50-"
+ * Returns a signed number (negative for debits) or null when empty/invalid
+ */
+const parseStatementAmount = (value) => {
+  let text = String(value ?? '').trim().toUpperCase();
+  if (!text || text === '-') return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (/\bDR?$/.test(text) || text.endsWith('-')) {
+    negative = true;
+  }
+  if (text.startsWith('-')) {
+    negative = true;
+  }
+
+  const numeric = text.replace(/[^0-9.]/g, '');
+  if (!numeric || isNaN(Number(numeric))) return null;
+
+  const amount = roundMoney(numeric);
+  return negative ? -amount : amount;
+};
+
+const toLine = (lineNumber, { signedAmount, valueDate, bookingDate = null, description = null, reference = null, bankReference = null }) => ({
+  lineNumber,
+  valueDate,
+  bookingDate,
+  amount: Math.abs(signedAmount),
+  direction: signedAmount < 0 ? 'DEBIT' : 'CREDIT',
+  description: description ? description.replace(/\s+/g, ' ').trim() || null : null,
+  reference: reference ? String(reference).trim() || null : null,
+  bankReference: bankReference ? String(bankReference).trim() || null : null
+});
+
+const withPeriod = (statement) => {
+  const dates = statement.lines.map(l => l.valueDate.getTime());
+  return {
+    ...statement,
+    periodStart: statement.periodStart || (dates.length ? new Date(Math.min(...dates)) : null),
+    periodEnd: statement.periodEnd || (dates.length ? new Date(Math.max(...dates)) : null)
+  };
+};
+
+// ======================================================
+// CSV
+// ======================================================
+
+const CSV_COLUMNS = {
+  valueDate: ['value date', 'transaction date', 'txn date', 'tran date', 'date'],
+  bookingDate: ['booking date', 'posting date', 'post date'],
+  description: ['description', 'narrative', 'narration', 'details', 'transaction details', 'particulars', 'remarks'],
+  reference: ['reference', 'customer reference', 'ref', 'ref no', 'reference number', 'transaction reference', 'cheque no', 'cheque number'],
+  bankReference: ['bank reference', 'transaction id', 'document no'],
+  amount: ['amount', 'transaction amount'],
+  credit: ['credit', 'credits', 'credit amount', 'money in', 'paid in', 'deposit', 'deposits'],
+  debit: ['debit', 'debits', 'debit amount', 'money out', 'paid out', 'withdrawal', 'withdrawals'],
+  balance: ['balance', 'running balance', 'book balance']
+};
+
+const splitCsvRow = (row, delimiter) => {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+    if (quoted) {
+      if (char === '"' && row[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+const findColumn = (headers, aliases) => {
+  for (const alias of aliases) {
+    const index = headers.indexOf(alias);
+    if (index !== -1) return index;
+  }
+  return -1;
+};
+
+/**
+ * Parse a CSV export. The header row is located automatically (banks often put
+ * account details above it); amounts may be a single signed column or separate
+ * debit/credit columns.
+ */
+export const parseCsvStatement = (content) => {
+  const rows = content.split(/\r?\n/).filter(row => row.trim());
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) => (
+    (rows[0]?.split(candidate).length || 0) > (rows[0]?.split(best).length || 0) ? candidate : best
+  ), ',');
+
+  const headerIndex = rows.findIndex(row => {
+    const headers = splitCsvRow(row, delimiter).map(h => h.toLowerCase());
+    return findColumn(headers, CSV_COLUMNS.valueDate) !== -1 &&
+      (findColumn(headers, CSV_COLUMNS.amount) !== -1 ||
+        findColumn(headers, CSV_COLUMNS.credit) !== -1 ||
+        findColumn(headers, CSV_COLUMNS.debit) !== -1);
+  });
+
+  if (headerIndex === -1) {
+    throw new Error('Could not find a header row with a date column and an amount (or debit/credit) column');
+  }
+
+  const headers = splitCsvRow(rows[headerIndex], delimiter).map(h => h.toLowerCase());
+  const columns = Object.fromEntries(
+    Object.entries(CSV_COLUMNS).map(([key, aliases]) => [key, findColumn(headers, aliases)])
+  );
+  // "date" alone may be the booking date column when a value date column also exists
+  if (columns.bookingDate === columns.valueDate) columns.bookingDate = -1;
+
+  const cell = (cells, key) => (columns[key] === -1 ? '' : cells[columns[key]] ?? '');
+  const lines = [];
+  const balances = [];
+
+  for (const row of rows.slice(headerIndex + 1)) {
+    const cells = splitCsvRow(row, delimiter);
+    const valueDate = parseStatementDate(cell(cells, 'valueDate'));
+    if (!valueDate) continue; // totals / footer rows
+
+    let signedAmount;
+    if (columns.amount !== -1) {
+      signedAmount = parseStatementAmount(cell(cells, 'amount'));
+    } else {
+      const credit = Math.abs(parseStatementAmount(cell(cells, 'credit')) || 0);
+      const debit = Math.abs(parseStatementAmount(cell(cells, 'debit')) || 0);
+      signedAmount = roundMoney(credit - debit);
+    }
+    if (!signedAmount) continue;
+
+    const balance = parseStatementAmount(cell(cells, 'balance'));
+    if (balance !== null) balances.push({ balance, signedAmount });
+
+    lines.push(toLine(lines.length + 1, {
+      signedAmount,
+      valueDate,
+      bookingDate: parseStatementDate(cell(cells, 'bookingDate')),
+      description: cell(cells, 'description'),
+      reference: cell(cells, 'reference'),
+      bankReference: cell(cells, 'bankReference')
+    }));
+  }
+
+  return withPeriod({
+    format: 'CSV',
+    accountNo: null,
+    statementRef: null,
+    currency: 'KES',
+    openingBalance: balances.length ? roundMoney(balances[0].balance - balances[0].signedAmount) : null,
+    closingBalance: balances.length ? balances[balances.length - 1].balance : null,
+    periodStart: null,
+    periodEnd: null,
+    lines
+  });
+};
+
+// ======================================================
+// MT940
+// ======================================================
+
+const parseMt940Date = (yymmdd) => {
+  const match = String(yymmdd).match(/^(\d{2})(\d{2})(\d{2})$/);
+  return match ? new Date(Date.UTC(2000 + +match[1], +match[2] - 1, +match[3])) : null;
+};
+
+const parseMt940Balance = (value) => {
+  // e.g. C231031KES1234,56
+  const match = String(value || '').match(/^([CD])(\d{6})([A-Z]{3})([\d,]+)/);
+  if (!match) return null;
+  const amount = roundMoney(match[4].replace(',', '.'));
+  return {
+    amount: match[1] === 'D' ? -amount : amount,
+    date: parseMt940Date(match[2]),
+    currency: match[3]
+  };
+};
+
+/**
+ * Parse a SWIFT MT940 customer statement (one or more statements per file)
+ */
+export const parseMt940Statement = (content) => {
+  // Collect tag/value pairs, joining continuation lines onto the previous tag
+  const fields = [];
+  for (const rawLine of content.split(/\r?\n/)) {
+    const tagMatch = rawLine.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (tagMatch) {
+      fields.push({ tag: tagMatch[1], value: tagMatch[2] });
+    } else if (fields.length && rawLine.trim() && !/^[{}\-]/.test(rawLine.trim())) {
+      fields[fields.length - 1].value += `\n${rawLine}`;
+    }
+  }
+
+  if (!fields.some(f => f.tag === '61')) {
+    throw new Error('No :61: statement lines found in MT940 file');
+  }
+
+  const statement = {
+    format: 'MT940',
+    accountNo: null,
+    statementRef: null,
+    currency: 'KES',
+    openingBalance: null,
+    closingBalance: null,
+    periodStart: null,
+    periodEnd: null,
+    lines: []
+  };
+
+  for (const { tag, value } of fields) {
+    if (tag === '20' && !statement.statementRef) {
+      statement.statementRef = value.trim();
+    } else if (tag === '25' && !statement.accountNo) {
+      statement.accountNo = value.trim();
+    } else if ((tag === '60F' || tag === '60M') && statement.openingBalance === null) {
+      const balance = parseMt940Balance(value);
+      if (balance) {
+        statement.openingBalance = balance.amount;
+        statement.currency = balance.currency;
+        statement.periodStart = balance.date;
+      }
+    } else if (tag === '62F' || tag === '62M') {
+      const balance = parseMt940Balance(value);
+      if (balance) {
+        statement.closingBalance = balance.amount;
+        statement.periodEnd = balance.date;
+      }
+    } else if (tag === '61') {
+      // YYMMDD[MMDD](C|D|RC|RD)[funds code]amount N|F|S type reference[//bank ref][\nsupplementary]
+      const match = value.match(/^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?([\d,]+)([NFS][A-Z0-9]{3})([^\n]*?)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/);
+      if (!match) continue;
+
+      const [, valueDateText, bookingText, mark, , amountText, , reference, bankReference, supplementary] = match;
+      const valueDate = parseMt940Date(valueDateText);
+      let bookingDate = null;
+      if (bookingText) {
+        bookingDate = new Date(Date.UTC(valueDate.getUTCFullYear(), +bookingText.slice(0, 2) - 1, +bookingText.slice(2)));
+        // A booking date in January for a December value date belongs to the next year
+        if (bookingDate.getTime() - valueDate.getTime() < -180 * 24 * 60 * 60 * 1000) {
+          bookingDate.setUTCFullYear(bookingDate.getUTCFullYear() + 1);
+        }
+      }
+
+      // RC (reversal of credit) takes money out; RD (reversal of debit) puts it back
+      const amount = roundMoney(amountText.replace(',', '.'));
+      const isDebit = mark === 'D' || mark === 'RC';
+
+      statement.lines.push(toLine(statement.lines.length + 1, {
+        signedAmount: isDebit ? -amount : amount,
+        valueDate,
+        bookingDate,
+        reference: reference && reference !== 'NONREF' ? reference : null,
+        bankReference,
+        description: supplementary || null
+      }));
+    } else if (tag === '86' && statement.lines.length) {
+      // Information to account owner - belongs to the preceding :61:
+      const line = statement.lines[statement.lines.length - 1];
+      const info = value.replace(/\n/g, '').replace(/\?\d{2}/g, ' ').replace(/\s+/g, ' ').trim();
+      line.description = [line.description, info].filter(Boolean).join(' ') || null;
+    }
+  }
+
+  return withPeriod(statement);
+};
+
+// ======================================================
+// CAMT.053 (ISO 20022 XML)
+// ======================================================
+
+// Contents of each top-level <tag> element, honouring nested elements of the
+// same name (e.g. <Id><Othr><Id>...</Id></Othr></Id>)
+const xmlBlocks = (xml, tag) => {
+  const pattern = new RegExp(`<(/?)${tag}(?:\\s[^>]*)?>`, 'g');
+  const blocks = [];
+  let depth = 0;
+  let start = 0;
+
+  for (const match of xml.matchAll(pattern)) {
+    if (match[0].endsWith('/>')) continue;
+    if (!match[1]) {
+      if (depth === 0) start = match.index + match[0].length;
+      depth++;
+    } else if (depth > 0) {
+      depth--;
+      if (depth === 0) blocks.push(xml.slice(start, match.index));
+    }
+  }
+  return blocks;
+};
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&')
+  .trim();
+
+// Text of the first element found by walking a path of nested tags
+const xmlText = (xml, ...path) => {
+  let scope = xml;
+  for (const tag of path) {
+    const [block] = xmlBlocks(scope, tag);
+    if (block === undefined) return null;
+    scope = block;
+  }
+  return decodeXml(scope);
+};
+
+const camtAmount = (xml) => {
+  const match = xml.match(/<Amt(?:\s+Ccy="([A-Z]{3})")?[^>]*>([\d.]+)<\/Amt>/);
+  return match ? { amount: roundMoney(match[2]), currency: match[1] || null } : null;
+};
+
+const camtDate = (xml, tag) => {
+  const text = xmlText(xml, tag, 'Dt') || xmlText(xml, tag, 'DtTm');
+  return text ? parseStatementDate(text.slice(0, 10)) : null;
+};
+
+/**
+ * Parse an ISO 20022 camt.053 bank-to-customer statement
+ */
+export const parseCamt053Statement = (content) => {
+  // Namespace prefixes (e.g. <ns2:Ntry>) are irrelevant for extraction
+  const xml = content.replace(/<(\/?)[A-Za-z0-9]+:/g, '<$1');
+  const [stmt] = xmlBlocks(xml, 'Stmt');
+  if (!stmt) {
+    throw new Error('No <Stmt> element found in camt.053 file');
+  }
+
+  const statement = {
+    format: 'CAMT053',
+    accountNo: xmlText(stmt, 'Acct', 'Id', 'IBAN') || xmlText(stmt, 'Acct', 'Id', 'Othr', 'Id'),
+    statementRef: xmlText(stmt, 'Id'),
+    currency: xmlText(stmt, 'Acct', 'Ccy') || 'KES',
+    openingBalance: null,
+    closingBalance: null,
+    periodStart: null,
+    periodEnd: null,
+    lines: []
+  };
+
+  const fromDate = xmlText(stmt, 'FrToDt', 'FrDtTm');
+  const toDate = xmlText(stmt, 'FrToDt', 'ToDtTm');
+  if (fromDate) statement.periodStart = parseStatementDate(fromDate.slice(0, 10));
+  if (toDate) statement.periodEnd = parseStatementDate(toDate.slice(0, 10));
+
+  for (const balance of xmlBlocks(stmt, 'Bal')) {
+    const type = xmlText(balance, 'Tp', 'CdOrPrtry', 'Cd');
+    const amount = camtAmount(balance);
+    if (!amount) continue;
+    const signed = xmlText(balance, 'CdtDbtInd') === 'DBIT' ? -amount.amount : amount.amount;
+    if (type === 'OPBD' || type === 'PRCD') statement.openingBalance = signed;
+    if (type === 'CLBD') statement.closingBalance = signed;
+    if (amount.currency) statement.currency = amount.currency;
+  }
+
+  for (const entry of xmlBlocks(stmt, 'Ntry')) {
+    const amount = camtAmount(entry);
+    if (!amount) continue;
+
+    const isReversal = xmlText(entry, 'RvslInd') === 'true';
+    const isDebit = (xmlText(entry, 'CdtDbtInd') === 'DBIT') !== isReversal;
+    const bookingDate = camtDate(entry, 'BookgDt');
+    const valueDate = camtDate(entry, 'ValDt') || bookingDate;
+    if (!valueDate) continue;
+
+    const [details = ''] = xmlBlocks(entry, 'TxDtls');
+    const endToEndId = xmlText(details, 'Refs', 'EndToEndId');
+    const remittance = xmlBlocks(details, 'Ustrd').map(decodeXml).join(' ');
+    const counterparty = isDebit
+      ? xmlText(details, 'RltdPties', 'Cdtr', 'Nm') || xmlText(details, 'RltdPties', 'Cdtr', 'Pty', 'Nm')
+      : xmlText(details, 'RltdPties', 'Dbtr', 'Nm') || xmlText(details, 'RltdPties', 'Dbtr', 'Pty', 'Nm');
+
+    statement.lines.push(toLine(statement.lines.length + 1, {
+      signedAmount: isDebit ? -amount.amount : amount.amount,
+      valueDate,
+      bookingDate,
+      reference: endToEndId && endToEndId !== 'NOTPROVIDED' ? endToEndId : xmlText(details, 'Refs', 'InstrId'),
+      bankReference: xmlText(entry, 'AcctSvcrRef'),
+      description: [counterparty, remittance, xmlText(entry, 'AddtlNtryInf')].filter(Boolean).join(' ')
+    }));
+  }
+
+  return withPeriod(statement);
+};
+
+// ======================================================
+// ENTRY POINT
+// ======================================================
+
+/**
+ * Guess the statement format from the file name and contents
+ */
+export const detectStatementFormat = (content, fileName = '') => {
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (/<(\w+:)?BkToCstmrStmt[\s>]/.test(content) || extension === 'xml') return 'CAMT053';
+  if (/^:20:/m.test(content) && /^:61:/m.test(content)) return 'MT940';
+  if (['sta', 'mt940', '940'].includes(extension)) return 'MT940';
+  return 'CSV';
+};
+
+/**
+ * Parse an uploaded bank statement
+ * @param {Buffer} buffer - File contents
+ * @param {object} options
+ * @param {string} [options.format] - CSV, MT940 or CAMT053 (detected when omitted)
+ * @param {string} [options.fileName]
+ */
+export const parseBankStatement = (buffer, { format = null, fileName = '' } = {}) => {
+  const content = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const resolvedFormat = format || detectStatementFormat(content, fileName);
+
+  const parsers = {
+    CSV: parseCsvStatement,
+    MT940: parseMt940Statement,
+    CAMT053: parseCamt053Statement
+  };
+
+  const statement = parsers[resolvedFormat](content);
+  if (statement.lines.length === 0) {
+    throw new Error('The statement contains no transactions');
+  }
+  return statement;
+};
@@ -0,0 +1,465 @@
+import prisma from '../lib/prisma.js';
+import { generateInvoiceNumber } from '../utils/invoiceHelpers.js';
+import {
+  getPolicyMonths,
+  calculateEscalatedRent,
+  calculateTotalPaymentWithWithholding
+} from './rentCalculation.js';
+import { postInvoiceCharge } from './ledgerService.js';
+import { CURRENT_LEASE_STATUSES } from './leaseService.js';
+import { smsInvoiceIssued } from './tenantSmsService.js';
+import { httpError } from '../utils/httpError.js';
+import { roundMoney } from '../utils/money.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const VALID_PAYMENT_POLICIES = ['MONTHLY', 'QUARTERLY', 'ANNUAL'];
+
+// A RUNNING run older than this is treated as abandoned (e.g. the process died mid-run)
+const STALE_RUN_MINUTES = 60;
+
+// Attempts at a fresh invoice number when another invoice takes ours first
+const INVOICE_NUMBER_ATTEMPTS = 3;
+
+// ======================================================
+// PERIOD HELPERS
+// ======================================================
+
+const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+const addMonths = (date, months) => new Date(date.getFullYear(), date.getMonth() + months, 1);
+
+const monthIndex = (date) => date.getFullYear() * 12 + date.getMonth();
+
+const formatMonthYear = (date) => date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+const shortDate = (date) => date.toLocaleDateString('en-US', { day: 'numeric', month: 'short', year: 'numeric' });
+
+/**
+ * First day of the month to bill from a "YYYY-MM" string; defaults to next month
+ */
+export const parseBillingPeriod = (period) => {
+  if (period === undefined || period === null || period === '') {
+    return addMonths(new Date(), 1);
+  }
+
+  const match = String(period).match(/^(\d{4})-(\d{2})$/);
+  const month = match ? parseInt(match[2]) : 0;
+  if (!match || month < 1 || month > 12) {
+    throw httpError(400, 'period must be in YYYY-MM format');
+  }
+
+  return new Date(parseInt(match[1]), month - 1, 1);
+};
+
+/**
+ * Billing period a tenant's invoice for the given month would cover.
+ *
+ * Billing cycles are anchored on the month rent starts, so a QUARTERLY tenant whose
+ * rent started in February is billed in February, May, August and November.
+ * Returns null when the month does not open a new period for this tenant.
+ */
+export const getTenantBillingPeriod = (tenant, periodMonth) => {
+  const policy = VALID_PAYMENT_POLICIES.includes(tenant.paymentPolicy) ? tenant.paymentPolicy : 'MONTHLY';
+  const policyMonths = getPolicyMonths(policy);
+  const monthsSinceRentStart = monthIndex(periodMonth) - monthIndex(startOfMonth(new Date(tenant.rentStart)));
+
+  if (monthsSinceRentStart < 0 || monthsSinceRentStart % policyMonths !== 0) {
+    return null;
+  }
+
+  const periodStart = startOfMonth(periodMonth);
+  const periodEnd = new Date(addMonths(periodStart, policyMonths).getTime() - DAY_MS);
+
+  return {
+    paymentPolicy: policy,
+    periodStart,
+    periodEnd,
+    // Same label style as auto-generated invoices on payment
+    periodLabel: policy === 'MONTHLY'
+      ? formatMonthYear(periodStart)
+      : `${formatMonthYear(periodStart)} - ${formatMonthYear(periodEnd)}`,
+    // Labels manual invoices may have used for the same period
+    alternateLabels: policy === 'MONTHLY' ? [] : [`${shortDate(periodStart)} - ${shortDate(periodEnd)}`]
+  };
+};
+
+/**
+ * Invoice lines for one billing period: escalated rent as at the period start, with
+ * service charge, VAT and withholding worked out for the tenant's payment policy.
+ * totalDue is the net amount payable after withholding.
+ */
+export const calculateBillingAmounts = (tenant, period) => {
+  const { currentRent } = calculateEscalatedRent(tenant, period.periodStart);
+  const monthlyRent = roundMoney(currentRent || tenant.rent || 0);
+  const payment = calculateTotalPaymentWithWithholding(tenant, monthlyRent, period.paymentPolicy);
+
+  return {
+    monthlyRent,
+    rent: roundMoney(payment.rent.paymentByPolicy),
+    serviceCharge: roundMoney(payment.serviceCharge.paymentByPolicy),
+    vat: roundMoney(payment.total.vatTotal),
+    totalBeforeWithholding: roundMoney(payment.total.paymentByPolicy),
+    totalWithheld: roundMoney(payment.withholdingTax.totalWithheld),
+    totalDue: roundMoney(payment.withholdingTax.netPayable),
+    isWithholdingExempt: payment.withholdingTax.breakdown.isExempt
+  };
+};
+
+// ======================================================
+// PLANNING
+// ======================================================
+
+const tenantInclude = {
+  unit: { select: { id: true, unitNo: true, propertyId: true, sizeSqFt: true } },
+  serviceCharge: true,
+  leases: {
+    where: { status: { in: CURRENT_LEASE_STATUSES } },
+    orderBy: { startDate: 'desc' },
+    take: 1,
+    select: { id: true, status: true, endDate: true, terminationDate: true }
+  }
+};
+
+const findBillableTenants = (propertyId, paymentPolicy, client = prisma) =>
+  client.tenant.findMany({
+    where: {
+      status: 'ACTIVE',
+      unit: { propertyId },
+      ...(paymentPolicy && { paymentPolicy })
+    },
+    include: tenantInclude,
+    orderBy: { fullName: 'asc' }
+  });
+
+const findExistingInvoice = (tenantId, period, client = prisma) =>
+  client.invoice.findFirst({
+    where: {
+      tenantId,
+      status: { not: 'CANCELLED' },
+      OR: [
+        { billingPeriodStart: period.periodStart },
+        { paymentPeriod: { in: [period.periodLabel, ...period.alternateLabels] } }
+      ]
+    },
+    select: { id: true, invoiceNumber: true }
+  });
+
+/**
+ * Decide what a billing run would do for one tenant without writing anything
+ */
+async function planTenantInvoice(tenant, periodMonth, client = prisma) {
+  const base = {
+    tenantId: tenant.id,
+    tenantName: tenant.fullName,
+    unitNo: tenant.unit?.unitNo || null,
+    paymentPolicy: tenant.paymentPolicy || 'MONTHLY'
+  };
+
+  const period = getTenantBillingPeriod(tenant, periodMonth);
+  if (!period) {
+    return {
+      ...base,
+      outcome: 'SKIPPED',
+      reason: startOfMonth(new Date(tenant.rentStart)) > periodMonth
+        ? 'Rent has not started'
+        : `Not a billing month for this ${base.paymentPolicy.toLowerCase()} tenant`
+    };
+  }
+
+  const planned = {
+    ...base,
+    paymentPolicy: period.paymentPolicy,
+    periodStart: period.periodStart,
+    periodEnd: period.periodEnd,
+    periodLabel: period.periodLabel
+  };
+
+  const lease = tenant.leases?.[0];
+  if (lease?.terminationDate && new Date(lease.terminationDate) < period.periodStart) {
+    return { ...planned, outcome: 'SKIPPED', reason: 'Lease ends before this period' };
+  }
+  // A lease that has run its term is only billed again once it is renewed,
+  // which makes the renewal the current lease
+  if (lease && new Date(lease.endDate) < period.periodStart) {
+    return { ...planned, outcome: 'SKIPPED', reason: 'Lease expired before this period and has not been renewed' };
+  }
+
+  const existing = await findExistingInvoice(tenant.id, period, client);
+  if (existing) {
+    return {
+      ...planned,
+      outcome: 'SKIPPED',
+      reason: `Already invoiced (${existing.invoiceNumber})`,
+      invoiceId: existing.id
+    };
+  }
+
+  const amounts = calculateBillingAmounts(tenant, period);
+  if (!(amounts.totalDue > 0)) {
+    return { ...planned, outcome: 'SKIPPED', reason: 'Nothing to bill for this period', amounts };
+  }
+
+  return { ...planned, outcome: 'CREATED', amounts, period };
+}
+
+const summarize = (items) => ({
+  tenantsConsidered: items.length,
+  invoicesCreated: items.filter(item => item.outcome === 'CREATED').length,
+  skippedCount: items.filter(item => item.outcome === 'SKIPPED').length,
+  failedCount: items.filter(item => item.outcome === 'FAILED').length,
+  totalInvoiced: roundMoney(items
+    .filter(item => item.outcome === 'CREATED')
+    .reduce((sum, item) => sum + item.amounts.totalDue, 0))
+});
+
+/**
+ * Dry run: what a billing run would invoice for a property and month. Nothing is saved.
+ *
+ * @param {object} options
+ * @param {string} options.propertyId
+ * @param {Date} options.periodMonth - First day of the month being billed
+ * @param {string} [options.paymentPolicy] - Only tenants on this policy (all when omitted)
+ * @param {number} [options.dueInDays=0] - Days after the period start the invoices fall due
+ */
+export async function previewBillingRun({ propertyId, periodMonth, paymentPolicy = null, dueInDays = 0 }, client = prisma) {
+  const tenants = await findBillableTenants(propertyId, paymentPolicy, client);
+  const items = [];
+
+  for (const tenant of tenants) {
+    const { period, ...item } = await planTenantInvoice(tenant, periodMonth, client);
+    if (period) {
+      item.dueDate = new Date(period.periodStart.getTime() + dueInDays * DAY_MS);
+    }
+    items.push(item);
+  }
+
+  return {
+    propertyId,
+    paymentPolicy,
+    periodMonth,
+    dryRun: true,
+    summary: summarize(items),
+    items
+  };
+}
+
+// ======================================================
+// EXECUTION
+// ======================================================
+
+const isUniqueViolation = (error, field) =>
+  error?.code === 'P2002' && String(error.meta?.target || '').includes(field);
+
+const buildInvoiceNotes = (period, amounts) =>
+  `Billing run ${period.paymentPolicy} invoice for ${period.periodLabel}. ` +
+  `Original amount without withholding: ${amounts.totalBeforeWithholding.toFixed(2)}, ` +
+  `Withholding tax: ${amounts.totalWithheld.toFixed(2)}. ` +
+  `Monthly rent: ${amounts.monthlyRent.toFixed(2)}` +
+  (amounts.isWithholdingExempt ? ' (Tenant exempt from withholding tax)' : '');
+
+/**
+ * Create one tenant's invoice for the period and post it to the ledger
+ */
+async function createPeriodInvoice(tenant, plan, { runId, propertyId, dueDate, createdById }) {
+  const { period, amounts } = plan;
+
+  for (let attempt = 1; ; attempt++) {
+    const invoiceNumber = await generateInvoiceNumber({ propertyId });
+
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const created = await tx.invoice.create({
+          data: {
+            invoiceNumber,
+            tenantId: tenant.id,
+            issueDate: new Date(),
+            dueDate,
+            paymentPeriod: period.periodLabel,
+            billingPeriodStart: period.periodStart,
+            billingRunId: runId,
+            rent: amounts.rent,
+            serviceCharge: amounts.serviceCharge,
+            vat: amounts.vat,
+            totalDue: amounts.totalDue,
+            amountPaid: 0,
+            balance: amounts.totalDue,
+            status: 'UNPAID',
+            paymentPolicy: period.paymentPolicy,
+            notes: buildInvoiceNotes(period, amounts)
+          }
+        });
+
+        await postInvoiceCharge(tx, created, { propertyId, createdById });
+
+        return created;
+      });
+    } catch (error) {
+      // Another invoice took this number between generating and saving it
+      if (isUniqueViolation(error, 'invoiceNumber') && attempt < INVOICE_NUMBER_ATTEMPTS) continue;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Invoice every active tenant of a property for the billing period that opens in
+ * periodMonth, logging each tenant's outcome against a BillingRun record.
+ *
+ * Re-running the same property and month is safe: tenants already invoiced for the
+ * period (by a run or by hand) are skipped, and the (tenantId, billingPeriodStart)
+ * unique index stops two runs racing each other from double-billing.
+ *
+ * @param {object} options
+ * @param {string} options.propertyId
+ * @param {Date} options.periodMonth - First day of the month being billed
+ * @param {string} [options.paymentPolicy] - Only tenants on this policy (all when omitted)
+ * @param {number} [options.dueInDays=0] - Days after the period start the invoices fall due
+ * @param {string} [options.trigger='MANUAL'] - MANUAL or SCHEDULED
+ * @param {string} [options.triggeredById] - User who started a manual run
+ * @returns {Promise<object>} The completed BillingRun with its items
+ */
+export async function executeBillingRun({
+  propertyId,
+  periodMonth,
+  paymentPolicy = null,
+  dueInDays = 0,
+  trigger = 'MANUAL',
+  triggeredById = null
+}) {
+  const running = await prisma.billingRun.findFirst({
+    where: {
+      propertyId,
+      periodMonth,
+      status: 'RUNNING',
+      startedAt: { gte: new Date(Date.now() - STALE_RUN_MINUTES * 60 * 1000) }
+    },
+    select: { id: true }
+  });
+
+  if (running) {
+    throw httpError(409, 'A billing run for this property and period is already in progress');
+  }
+
+  const run = await prisma.billingRun.create({
+    data: { propertyId, paymentPolicy, periodMonth, trigger, triggeredById, status: 'RUNNING' }
+  });
+
+  const items = [];
+
+  try {
+    const tenants = await findBillableTenants(propertyId, paymentPolicy);
+
+    for (const tenant of tenants) {
+      let plan;
+      let item;
+
+      try {
+        plan = await planTenantInvoice(tenant, periodMonth);
+
+        if (plan.outcome === 'CREATED') {
+          const invoice = await createPeriodInvoice(tenant, plan, {
+            runId: run.id,
+            propertyId,
+            dueDate: new Date(plan.period.periodStart.getTime() + dueInDays * DAY_MS),
+            createdById: triggeredById
+          });
+          item = { ...plan, invoiceId: invoice.id };
+
+          await smsInvoiceIssued(tenant, invoice, triggeredById);
+        } else {
+          item = plan;
+        }
+      } catch (error) {
+        item = isUniqueViolation(error, 'billingPeriodStart')
+          ? { ...plan, outcome: 'SKIPPED', reason: 'Already invoiced for this period' }
+          : { ...(plan || {}), tenantId: tenant.id, outcome: 'FAILED', reason: error.message };
+
+        if (item.outcome === 'FAILED') {
+          console.error(`Billing run ${run.id}: tenant ${tenant.id} failed:`, error);
+        }
+      }
+
+      items.push(item);
+
+      await prisma.billingRunItem.create({
+        data: {
+          runId: run.id,
+          tenantId: tenant.id,
+          invoiceId: item.outcome === 'CREATED' ? item.invoiceId : null,
+          paymentPolicy: item.paymentPolicy || tenant.paymentPolicy || 'MONTHLY',
+          periodStart: item.periodStart || null,
+          periodLabel: item.periodLabel || null,
+          amount: item.amounts?.totalDue ?? null,
+          outcome: item.outcome,
+          reason: item.reason || null
+        }
+      });
+    }
+
+    const summary = summarize(items);
+
+    return await prisma.billingRun.update({
+      where: { id: run.id },
+      data: {
+        ...summary,
+        status: summary.failedCount > 0 ? 'COMPLETED_WITH_ERRORS' : 'COMPLETED',
+        completedAt: new Date()
+      },
+      include: { items: { orderBy: { createdAt: 'asc' } } }
+    });
+  } catch (error) {
+    console.error(`Billing run ${run.id} failed:`, error);
+
+    return await prisma.billingRun.update({
+      where: { id: run.id },
+      data: {
+        ...summarize(items),
+        status: 'FAILED',
+        errorMessage: error.message,
+        completedAt: new Date()
+      },
+      include: { items: { orderBy: { createdAt: 'asc' } } }
+    });
+  }
+}
+
+/**
+ * Scheduled billing: run every property with active tenants for the given month.
+ * A failure on one property is logged and does not stop the others.
+ *
+ * @param {Date} [periodMonth] - First day of the month to bill (defaults to next month)
+ * @returns {Promise<Array<object>>} One summary per property
+ */
+export async function runScheduledBilling(periodMonth = parseBillingPeriod()) {
+  const properties = await prisma.property.findMany({
+    where: { units: { some: { tenant: { status: 'ACTIVE' } } } },
+    select: { id: true, name: true }
+  });
+
+  const results = [];
+
+  for (const property of properties) {
+    try {
+      const run = await executeBillingRun({
+        propertyId: property.id,
+        periodMonth,
+        trigger: 'SCHEDULED'
+      });
+      results.push({
+        propertyId: property.id,
+        propertyName: property.name,
+        runId: run.id,
+        status: run.status,
+        invoicesCreated: run.invoicesCreated,
+        skippedCount: run.skippedCount,
+        failedCount: run.failedCount
+      });
+    } catch (error) {
+      console.error(`Scheduled billing failed for property ${property.name}:`, error.message);
+      results.push({ propertyId: property.id, propertyName: property.name, status: 'FAILED', error: error.message });
+    }
+  }
+
+  return results;
+}
@@ -1,4 +1,5 @@
 import { PrismaClient } from '@prisma/client';
+import { postCommissionAccrual } from './ledgerService.js';
 
 // Use a shared Prisma instance (or inject if using DI)
 const prisma = new PrismaClient();
@@ -57,7 +58,7 @@ export const processCommissionForIncome = async (tx, incomeId) => {
   const commissionAmount = income.amount * (commissionFee / 100);
 
   // Upsert commission (one per manager + property + month)
-  return await tx.managerCommission.upsert({
+  const commission = await tx.managerCommission.upsert({
     where: {
       managerId_propertyId_periodStart_periodEnd: {
         managerId: property.managerId,
@@ -82,4 +83,9 @@ export const processCommissionForIncome = async (tx, incomeId) => {
       updatedAt: new Date(),
     },
   });
+
+  // Accrue only this income's share; the row may already hold earlier accruals
+  await postCommissionAccrual(tx, commission, { amount: commissionAmount });
+
+  return commission;
 };
\ No newline at end of file
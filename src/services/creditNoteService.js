@@ -0,0 +1,277 @@
+import prisma from '../lib/prisma.js';
+import { nextNumber } from './sequenceService.js';
+import { postCreditNote } from './ledgerService.js';
+import { settlePaidDemandLetters } from './dunningService.js';
+import { enqueueJob, permanentJobError } from './jobQueue.js';
+import { renderDocumentPdf } from './templateService.js';
+import { uploadToStorage } from '../utils/storage.js';
+import { httpError } from '../utils/httpError.js';
+import { roundMoney } from '../utils/money.js';
+
+export const CREDIT_NOTE_TYPES = ['CREDIT', 'VOID'];
+
+// Allowed rounding difference when comparing a credit with the balance
+const MONEY_TOLERANCE = 0.005;
+
+const share = (part, whole) => (Number(whole) > 0 ? (Number(part) || 0) / Number(whole) : 0);
+
+// The two kinds of document a credit note can be issued against. vatShare is
+// the VAT fraction of every shilling credited; a bill invoice copies its bill's
+// VAT even when it only invoices the remaining balance, so the bill is used.
+const DOCUMENTS = {
+  INVOICE: {
+    label: 'Invoice',
+    model: 'invoice',
+    linkField: 'invoiceId',
+    vatShare: (invoice) => share(invoice.vat, invoice.totalDue)
+  },
+  BILL_INVOICE: {
+    label: 'Bill invoice',
+    model: 'billInvoice',
+    linkField: 'billInvoiceId',
+    vatShare: (billInvoice) => share(billInvoice.bill.vatAmount, billInvoice.bill.grandTotal)
+  }
+};
+
+export const creditNoteInclude = {
+  invoice: {
+    select: { id: true, invoiceNumber: true, issueDate: true, paymentPeriod: true, totalDue: true, status: true }
+  },
+  billInvoice: {
+    select: { id: true, invoiceNumber: true, issueDate: true, billType: true, grandTotal: true, status: true }
+  },
+  tenant: {
+    select: {
+      id: true,
+      fullName: true,
+      contact: true,
+      email: true,
+      KRAPin: true,
+      unit: { select: { unitNo: true, type: true, property: { select: { id: true, name: true } } } }
+    }
+  },
+  createdBy: { select: { id: true, name: true, email: true } }
+};
+
+/**
+ * Rent and bill invoice amounts net of credit notes. Credit notes carry VAT in
+ * the same proportion as the invoice, so the breakdown is scaled by what is left.
+ *
+ * @param {object} document - Invoice (totalDue, rent, serviceCharge, vat), bill invoice or bill (grandTotal, totalAmount, vatAmount)
+ * @returns {object} The document with its totals reduced by creditedAmount
+ */
+export const netOfCredits = (document) => {
+  const credited = Number(document.creditedAmount) || 0;
+  if (credited <= 0) return document;
+
+  const gross = Number(document.totalDue ?? document.grandTotal) || 0;
+  const ratio = gross > 0 ? Math.max(0, (gross - credited) / gross) : 0;
+  const scale = (value) => (value === null || value === undefined ? value : roundMoney(Number(value) * ratio));
+
+  const scaled = { ...document };
+  ['totalDue', 'rent', 'serviceCharge', 'vat', 'grandTotal', 'totalAmount', 'vatAmount']
+    .filter(field => document[field] !== undefined)
+    .forEach(field => { scaled[field] = scale(document[field]); });
+  return scaled;
+};
+
+// ======================================================
+// ISSUING
+// ======================================================
+
+/**
+ * Issue a credit note against a rent invoice or bill invoice.
+ *
+ * A CREDIT note reduces the unpaid balance by `amount`. A VOID note credits the
+ * whole balance of an invoice with no payments and cancels it; invoices with
+ * payments cannot be voided, only credited. The invoice update is guarded on
+ * the balance that was read, so two credits cannot both spend the same balance.
+ *
+ * @param {string} kind - INVOICE or BILL_INVOICE
+ * @param {string} documentId
+ * @param {object} params
+ * @param {string} params.type - CREDIT or VOID
+ * @param {number} [params.amount] - Required for CREDIT
+ * @param {string} params.reason
+ * @param {string|null} [params.createdById]
+ * @returns {Promise<object>} The credit note
+ */
+async function issueCreditNote(kind, documentId, { type, amount, reason, createdById = null }) {
+  const config = DOCUMENTS[kind];
+
+  if (!reason || !String(reason).trim()) {
+    throw httpError(400, 'A reason is required');
+  }
+
+  const creditNote = await prisma.$transaction(async (tx) => {
+    const document = await tx[config.model].findUnique({
+      where: { id: documentId },
+      include: {
+        tenant: { select: { id: true, unit: { select: { propertyId: true } } } },
+        ...(kind === 'BILL_INVOICE' && { bill: true })
+      }
+    });
+
+    if (!document) {
+      throw httpError(404, `${config.label} not found`);
+    }
+    if (document.status === 'CANCELLED') {
+      throw httpError(409, `${config.label} ${document.invoiceNumber} is already cancelled`);
+    }
+
+    const balance = roundMoney(document.balance);
+    const amountPaid = roundMoney(document.amountPaid);
+    let credit;
+
+    if (type === 'VOID') {
+      if (amountPaid > 0) {
+        throw httpError(
+          409,
+          `${config.label} ${document.invoiceNumber} has payments of Ksh ${amountPaid.toLocaleString()}; issue a credit note for the unpaid balance instead of voiding it`
+        );
+      }
+      credit = balance;
+    } else {
+      credit = roundMoney(amount);
+      if (!(credit > 0)) {
+        throw httpError(400, 'amount must be greater than zero');
+      }
+      if (credit > balance + MONEY_TOLERANCE) {
+        throw httpError(400, `Credit exceeds the unpaid balance of Ksh ${balance.toLocaleString()}`);
+      }
+    }
+
+    const newBalance = Math.max(0, roundMoney(balance - credit));
+    const now = new Date();
+    const data = {
+      creditedAmount: { increment: credit },
+      balance: newBalance
+    };
+
+    // An invoice credited down to nothing is settled if anything was paid, cancelled if not
+    if (type === 'VOID' || (newBalance <= MONEY_TOLERANCE && amountPaid <= 0)) {
+      Object.assign(data, { status: 'CANCELLED', voidedAt: now, voidReason: reason });
+      // A cancelled billing-run invoice frees its period so the next run can bill it again
+      if (kind === 'INVOICE') data.billingPeriodStart = null;
+    } else if (newBalance <= MONEY_TOLERANCE) {
+      data.status = 'PAID';
+    }
+
+    const updated = await tx[config.model].updateMany({
+      where: { id: documentId, balance: document.balance, status: { not: 'CANCELLED' } },
+      data
+    });
+    if (updated.count === 0) {
+      throw httpError(409, `${config.label} ${document.invoiceNumber} changed while the credit was being issued; try again`);
+    }
+
+    const propertyId = document.tenant?.unit?.propertyId || null;
+
+    const created = await tx.creditNote.create({
+      data: {
+        creditNoteNumber: await nextNumber('CREDIT_NOTE', { propertyId, client: tx }),
+        type: data.status === 'CANCELLED' ? 'VOID' : 'CREDIT',
+        [config.linkField]: document.id,
+        tenantId: document.tenantId,
+        propertyId,
+        amount: credit,
+        vatAmount: roundMoney(credit * config.vatShare(document)),
+        reason,
+        issueDate: now,
+        createdById
+      }
+    });
+
+    if (kind === 'BILL_INVOICE') {
+      const bill = document.bill;
+      const billCredited = roundMoney((Number(bill.creditedAmount) || 0) + credit);
+      const billSettled = roundMoney(bill.amountPaid) + billCredited >= roundMoney(bill.grandTotal) - MONEY_TOLERANCE;
+
+      await tx.bill.update({
+        where: { id: bill.id },
+        data: {
+          creditedAmount: billCredited,
+          ...(billSettled && { status: bill.amountPaid > 0 ? 'PAID' : 'CANCELLED' })
+        }
+      });
+
+      await postCreditNote(tx, created, { billInvoice: document, bill }, { createdById });
+    } else {
+      await postCreditNote(tx, created, { invoice: document }, { createdById });
+    }
+
+    await settlePaidDemandLetters(document.tenantId, tx);
+
+    return created;
+  });
+
+  // The PDF is rendered by the worker; pdfUrl is set when it finishes
+  await enqueueJob('creditNote.pdf', { creditNoteId: creditNote.id }, { createdById });
+
+  return prisma.creditNote.findUnique({ where: { id: creditNote.id }, include: creditNoteInclude });
+}
+
+/**
+ * Reduce the unpaid balance of a rent invoice
+ * @param {string} invoiceId
+ * @param {object} params - { amount, reason, createdById }
+ */
+export const creditInvoice = (invoiceId, { amount, reason, createdById }) =>
+  issueCreditNote('INVOICE', invoiceId, { type: 'CREDIT', amount, reason, createdById });
+
+/**
+ * Cancel a rent invoice with no payments, crediting its whole balance
+ * @param {string} invoiceId
+ * @param {object} params - { reason, createdById }
+ */
+export const voidInvoice = (invoiceId, { reason, createdById }) =>
+  issueCreditNote('INVOICE', invoiceId, { type: 'VOID', reason, createdById });
+
+/**
+ * Reduce the unpaid balance of a bill invoice (and of its bill)
+ * @param {string} billInvoiceId
+ * @param {object} params - { amount, reason, createdById }
+ */
+export const creditBillInvoice = (billInvoiceId, { amount, reason, createdById }) =>
+  issueCreditNote('BILL_INVOICE', billInvoiceId, { type: 'CREDIT', amount, reason, createdById });
+
+/**
+ * Cancel a bill invoice with no payments, crediting its whole balance
+ * @param {string} billInvoiceId
+ * @param {object} params - { reason, createdById }
+ */
+export const voidBillInvoice = (billInvoiceId, { reason, createdById }) =>
+  issueCreditNote('BILL_INVOICE', billInvoiceId, { type: 'VOID', reason, createdById });
+
+// ======================================================
+// DOCUMENTS
+// ======================================================
+
+/**
+ * Render a credit note to PDF with the template in force for its property
+ * @param {object} creditNote - Credit note with creditNoteInclude
+ * @returns {Promise<Buffer>}
+ */
+export const generateCreditNotePDF = (creditNote) =>
+  renderDocumentPdf('creditNote', creditNote, { propertyId: creditNote.propertyId });
+
+/**
+ * Render a credit note and store the PDF (creditNote.pdf job)
+ * @param {string} creditNoteId
+ * @returns {Promise<object>} { pdfUrl }
+ */
+export async function renderCreditNotePdf(creditNoteId) {
+  const creditNote = await prisma.creditNote.findUnique({
+    where: { id: creditNoteId },
+    include: creditNoteInclude
+  });
+  if (!creditNote) {
+    throw permanentJobError(`Credit note ${creditNoteId} not found`);
+  }
+
+  const pdfBuffer = await generateCreditNotePDF(creditNote);
+  const pdfUrl = await uploadToStorage(pdfBuffer, `${creditNote.creditNoteNumber}.pdf`, 'credit-notes');
+  await prisma.creditNote.update({ where: { id: creditNoteId }, data: { pdfUrl } });
+
+  return { pdfUrl };
+}
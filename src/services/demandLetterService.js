@@ -0,0 +1,223 @@
+import prisma from '../lib/prisma.js';
+import { uploadDocument } from '../utils/uploadHelper.js';
+import { generateFileName } from '../utils/storage.js';
+import { getOutstandingLateFees } from './lateFeeService.js';
+import { queueEmail } from './notificationService.js';
+import { demandLetterEmail } from '../utils/emailService.js';
+import { permanentJobError } from './jobQueue.js';
+import { renderDocumentPdf } from './templateService.js';
+import { nextNumber } from './sequenceService.js';
+import { roundMoney } from '../utils/money.js';
+
+// Tenant shape issueDemandLetter expects
+export const demandLetterTenantInclude = {
+  unit: {
+    include: {
+      property: {
+        include: {
+          landlord: true
+        }
+      }
+    }
+  }
+};
+
+// Relations returned with a newly issued letter
+const demandLetterDetailInclude = {
+  tenant: true,
+  property: true,
+  landlord: true,
+  unit: true,
+  invoice: true,
+  generatedBy: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      role: true
+    }
+  }
+};
+
+/**
+ * Generate the next letter number (DL-YYYY-0001 unless configured otherwise)
+ * @param {string} [propertyId] - Property of the tenant, for per-property numbering
+ */
+export async function generateLetterNumber(propertyId) {
+  return nextNumber('DEMAND_LETTER', { propertyId });
+}
+
+/**
+ * Format payment policy for display
+ */
+function formatPaymentPolicy(policy) {
+  const policies = {
+    'MONTHLY': 'Monthly',
+    'QUARTERLY': 'Quarterly',
+    'ANNUAL': 'Annually'
+  };
+  return policies[policy] || policy;
+}
+
+/**
+ * Create a DRAFT demand letter. Outstanding late fees are recorded as its
+ * penalty; renderDemandLetterPdf produces the document.
+ *
+ * @param {object} params
+ * @param {object} params.tenant - Tenant loaded with demandLetterTenantInclude (must have a unit)
+ * @param {object|null} [params.invoice] - Invoice the letter demands payment of
+ * @param {number} params.outstandingAmount
+ * @param {string} params.rentalPeriod
+ * @param {Date|string} params.dueDate
+ * @param {string} [params.demandPeriod='7 days'] - Time given to pay
+ * @param {string|null} [params.generatedById] - null when issued by the scheduler
+ * @returns {Promise<object>} The DRAFT letter
+ */
+export async function createDemandLetter({
+  tenant,
+  invoice = null,
+  outstandingAmount,
+  rentalPeriod,
+  dueDate,
+  demandPeriod = '7 days',
+  partialPayment,
+  partialPaymentDate,
+  referenceNumber,
+  notes,
+  generatedById = null
+}) {
+  const property = tenant.unit.property;
+  const landlord = property.landlord;
+  const unit = tenant.unit;
+  const amount = parseFloat(outstandingAmount);
+
+  // Unpaid late fees are demanded alongside the rent, as separate lines
+  const lateFees = await getOutstandingLateFees(tenant.id);
+  const penaltyAmount = roundMoney(lateFees.reduce((sum, fee) => sum + fee.balance, 0));
+
+  const letterNumber = await generateLetterNumber(property.id);
+
+  return prisma.demandLetter.create({
+    data: {
+      letterNumber,
+      tenantId: tenant.id,
+      propertyId: property.id,
+      landlordId: landlord.id,
+      unitId: unit.id,
+      invoiceId: invoice?.id || null,
+      generatedById,
+      issueDate: new Date(),
+      outstandingAmount: amount,
+      penaltyAmount,
+      rentalPeriod,
+      dueDate: new Date(dueDate),
+      demandPeriod,
+      partialPayment: partialPayment ? parseFloat(partialPayment) : 0,
+      partialPaymentDate: partialPaymentDate ? new Date(partialPaymentDate) : null,
+      referenceNumber: referenceNumber || letterNumber,
+      previousInvoiceRef: invoice?.invoiceNumber || null,
+      paymentPolicy: tenant.paymentPolicy,
+      landlordContact: landlord.phone || landlord.email,
+      tenantContact: tenant.contact || tenant.email,
+      status: 'DRAFT',
+      notes
+    }
+  });
+}
+
+/**
+ * Render a demand letter's PDF, store it and mark the letter GENERATED.
+ * Outstanding late fees are listed on the letter as separate penalty lines.
+ *
+ * @param {string} demandLetterId
+ * @returns {Promise<object>} The GENERATED letter
+ */
+export async function renderDemandLetterPdf(demandLetterId) {
+  const demandLetter = await prisma.demandLetter.findUnique({
+    where: { id: demandLetterId },
+    include: { tenant: true, property: true, landlord: true, unit: true }
+  });
+  if (!demandLetter) {
+    throw permanentJobError(`Demand letter ${demandLetterId} not found`);
+  }
+
+  const { tenant, property, landlord, unit, letterNumber } = demandLetter;
+  const lateFees = await getOutstandingLateFees(tenant.id);
+
+  const pdfBuffer = await renderDocumentPdf('demandLetter', {
+    letterNumber,
+    referenceNumber: demandLetter.referenceNumber,
+    issueDate: demandLetter.issueDate,
+    dueDate: demandLetter.dueDate,
+    rentalPeriod: demandLetter.rentalPeriod,
+    demandPeriod: demandLetter.demandPeriod,
+    paymentPolicy: formatPaymentPolicy(demandLetter.paymentPolicy || tenant.paymentPolicy),
+    outstandingAmount: demandLetter.outstandingAmount,
+    penaltyAmount: demandLetter.penaltyAmount,
+    partialPayment: demandLetter.partialPayment,
+    partialPaymentDate: demandLetter.partialPaymentDate,
+    penalties: lateFees.map(fee => ({ description: fee.description, amount: fee.balance })),
+    notes: demandLetter.notes,
+    rentAmount: tenant.rent,
+    property,
+    landlord,
+    tenant,
+    unit
+  }, { propertyId: demandLetter.propertyId, landlordId: demandLetter.landlordId });
+
+  const fileName = generateFileName(`demand_letter_${letterNumber}`);
+  const uploadResult = await uploadDocument(pdfBuffer, `demand-letters/${fileName}`);
+
+  return prisma.demandLetter.update({
+    where: { id: demandLetter.id },
+    data: {
+      documentUrl: uploadResult.url,
+      // A letter settled or withdrawn before its PDF was ready keeps that status
+      ...(demandLetter.status === 'DRAFT' && { status: 'GENERATED' }),
+      generatedAt: new Date()
+    },
+    include: demandLetterDetailInclude
+  });
+}
+
+/**
+ * Create a demand letter and render its PDF straight away (used by dunning,
+ * which runs in the scheduler and emails the letter next)
+ *
+ * @param {object} params - As for createDemandLetter
+ * @returns {Promise<object>} The GENERATED letter
+ */
+export async function issueDemandLetter(params) {
+  const demandLetter = await createDemandLetter(params);
+  return renderDemandLetterPdf(demandLetter.id);
+}
+
+/**
+ * Email a generated demand letter to the tenant with its PDF attached.
+ * The letter is marked SENT when the email is delivered, now or on a retry.
+ *
+ * @param {object} demandLetter - Letter with tenant and property loaded
+ * @param {object} options - { to, createdById }
+ * @returns {Promise<object>} The OutboundMessage
+ */
+export async function emailDemandLetter(demandLetter, { to, createdById = null }) {
+  return queueEmail({
+    to,
+    category: 'DEMAND_LETTER',
+    ...demandLetterEmail({
+      tenantName: demandLetter.tenant.fullName,
+      propertyName: demandLetter.property.name,
+      letterNumber: demandLetter.letterNumber,
+      totalAmountDue: roundMoney(demandLetter.outstandingAmount + demandLetter.penaltyAmount),
+      demandPeriod: demandLetter.demandPeriod || '7 days'
+    }),
+    attachments: [{ filename: `${demandLetter.letterNumber}.pdf`, path: demandLetter.documentUrl }],
+    links: {
+      tenantId: demandLetter.tenantId,
+      propertyId: demandLetter.propertyId,
+      demandLetterId: demandLetter.id,
+      invoiceId: demandLetter.invoiceId
+    },
+    createdById
+  });
+}
@@ -0,0 +1,807 @@
+import prisma from '../lib/prisma.js';
+import { nextNumber } from './sequenceService.js';
+import { postDepositTransaction } from './ledgerService.js';
+import { settlePaidDemandLetters } from './dunningService.js';
+import { calculateEscalatedRent } from './rentCalculation.js';
+import { enqueueJob, permanentJobError } from './jobQueue.js';
+import { renderDocumentPdf } from './templateService.js';
+import { uploadToStorage } from '../utils/storage.js';
+import { httpError } from '../utils/httpError.js';
+import { roundMoney } from '../utils/money.js';
+
+export const DEPOSIT_TRANSACTION_TYPES = ['RECEIPT', 'TOP_UP', 'DEDUCTION', 'INTEREST', 'REFUND'];
+export const DEPOSIT_DEDUCTION_CATEGORIES = ['RENT_ARREARS', 'BILL_ARREARS', 'DAMAGES', 'OTHER'];
+export const DEPOSIT_PAYMENT_METHODS = ['CASH', 'BANK_TRANSFER', 'MPESA', 'CHEQUE'];
+
+// Movements that add to the deposit held; the others draw it down
+const INCREASING_TYPES = ['RECEIPT', 'TOP_UP', 'INTEREST'];
+
+const OPEN_INVOICE_STATUSES = ['UNPAID', 'PARTIAL', 'OVERDUE'];
+
+// Allowed rounding difference when comparing an amount with a balance
+const MONEY_TOLERANCE = 0.005;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+export const depositTransactionInclude = {
+  tenant: {
+    select: {
+      id: true,
+      fullName: true,
+      contact: true,
+      email: true,
+      KRAPin: true,
+      unit: { select: { unitNo: true, type: true, property: { select: { id: true, name: true } } } }
+    }
+  },
+  property: { select: { id: true, name: true } },
+  invoice: { select: { id: true, invoiceNumber: true, paymentPeriod: true } },
+  billInvoice: { select: { id: true, invoiceNumber: true, billType: true } },
+  createdBy: { select: { id: true, name: true, email: true } }
+};
+
+// Tenant with what a deposit movement needs: the balance, the property the
+// deposit is held for (the current unit, or the last lease once moved out) and
+// the escalation terms for the required deposit
+const loadTenant = async (client, tenantId) => {
+  const tenant = await client.tenant.findUnique({
+    where: { id: tenantId },
+    include: {
+      unit: { select: { propertyId: true } },
+      leases: {
+        orderBy: { startDate: 'desc' },
+        take: 1,
+        select: { id: true, propertyId: true, rent: true, deposit: true, status: true }
+      }
+    }
+  });
+
+  if (!tenant) {
+    throw httpError(404, 'Tenant not found');
+  }
+
+  tenant.propertyId = tenant.unit?.propertyId || tenant.leases[0]?.propertyId || null;
+  return tenant;
+};
+
+const parseAmount = (value, field = 'amount') => {
+  const amount = roundMoney(value);
+  if (!(amount > 0)) {
+    throw httpError(400, `${field} must be greater than zero`);
+  }
+  return amount;
+};
+
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(400, `Invalid ${field}`);
+  }
+  return date;
+};
+
+const requireMethod = (method) => {
+  if (!method || !DEPOSIT_PAYMENT_METHODS.includes(method)) {
+    throw httpError(400, `method is required and must be one of: ${DEPOSIT_PAYMENT_METHODS.join(', ')}`);
+  }
+  return method;
+};
+
+/**
+ * Record one movement on the tenant's deposit: move Tenant.depositBalance, issue
+ * the receipt number and post the journal entry. The balance update is guarded
+ * on the balance that was read, so concurrent movements cannot both spend it.
+ * The tenant object is updated in place so several movements can follow in one
+ * transaction.
+ *
+ * @param {Prisma.TransactionClient} tx
+ * @param {object} tenant - From loadTenant
+ * @param {object} movement - DepositTransaction fields (type, amount, description, ...)
+ * @param {object} [options] - { settles: { invoice } | { bill }, createdById }
+ * @returns {Promise<object>} The deposit transaction
+ */
+async function recordMovement(tx, tenant, { type, amount, transactionDate, ...fields }, { settles = {}, createdById = null } = {}) {
+  const balance = roundMoney(tenant.depositBalance);
+  const balanceAfter = roundMoney(INCREASING_TYPES.includes(type) ? balance + amount : balance - amount);
+
+  if (balanceAfter < -MONEY_TOLERANCE) {
+    throw httpError(400, `Amount exceeds the deposit held of Ksh ${balance.toLocaleString()}`);
+  }
+
+  const updated = await tx.tenant.updateMany({
+    where: { id: tenant.id, depositBalance: tenant.depositBalance },
+    data: { depositBalance: Math.max(0, balanceAfter) }
+  });
+  if (updated.count === 0) {
+    throw httpError(409, 'The deposit balance changed while this was being recorded; try again');
+  }
+  tenant.depositBalance = Math.max(0, balanceAfter);
+
+  const date = transactionDate || new Date();
+  const transaction = await tx.depositTransaction.create({
+    data: {
+      receiptNumber: await nextNumber('DEPOSIT_RECEIPT', { propertyId: tenant.propertyId, date, client: tx }),
+      tenantId: tenant.id,
+      propertyId: tenant.propertyId,
+      type,
+      amount,
+      balanceAfter: tenant.depositBalance,
+      transactionDate: date,
+      createdById,
+      ...fields
+    }
+  });
+
+  await postDepositTransaction(tx, transaction, settles, { createdById });
+
+  return transaction;
+}
+
+/**
+ * Queue the receipt PDFs for deposit movements (depositTransaction.pdf jobs)
+ * @param {Array<object>} transactions
+ * @param {string|null} [createdById]
+ */
+export async function queueDepositReceipts(transactions, createdById = null) {
+  for (const transaction of transactions) {
+    await enqueueJob('depositTransaction.pdf', { depositTransactionId: transaction.id }, { createdById });
+  }
+}
+
+// Run movements for one tenant in a transaction, then queue their receipts
+async function runMovements(tenantId, createdById, record) {
+  const transactions = await prisma.$transaction(async (tx) => {
+    const tenant = await loadTenant(tx, tenantId);
+    return [].concat(await record(tx, tenant));
+  });
+
+  await queueDepositReceipts(transactions, createdById);
+
+  return prisma.depositTransaction.findMany({
+    where: { id: { in: transactions.map(t => t.id) } },
+    include: depositTransactionInclude,
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+// ======================================================
+// RECEIPTS AND TOP-UPS
+// ======================================================
+
+/**
+ * Record deposit money received from a tenant: the initial deposit (RECEIPT) or
+ * a top-up after the rent, and with it the required deposit, has escalated (TOP_UP)
+ *
+ * @param {string} tenantId
+ * @param {object} params
+ * @param {string} [params.type='RECEIPT'] - RECEIPT or TOP_UP
+ * @param {number} params.amount
+ * @param {string} params.method - CASH, BANK_TRANSFER, MPESA or CHEQUE
+ * @param {string} [params.reference]
+ * @param {string} [params.description]
+ * @param {Date|string} [params.transactionDate]
+ * @param {string|null} [params.createdById]
+ * @returns {Promise<object>} The deposit transaction
+ */
+export async function recordDepositReceipt(tenantId, { type = 'RECEIPT', amount, method, reference, description, transactionDate, createdById = null }) {
+  if (!['RECEIPT', 'TOP_UP'].includes(type)) {
+    throw httpError(400, 'type must be RECEIPT or TOP_UP');
+  }
+  const received = parseAmount(amount);
+  requireMethod(method);
+  const date = parseDate(transactionDate, 'transactionDate');
+
+  const [transaction] = await runMovements(tenantId, createdById, async (tx, tenant) => {
+    if (tenant.status === 'MOVED_OUT') {
+      throw httpError(409, 'This tenant has moved out; no further deposit can be received');
+    }
+
+    return recordMovement(tx, tenant, {
+      type,
+      amount: received,
+      method,
+      reference: reference || null,
+      description: description?.trim() || (type === 'TOP_UP' ? 'Deposit top-up' : 'Deposit received'),
+      transactionDate: date
+    }, { createdById });
+  });
+
+  return transaction;
+}
+
+// ======================================================
+// DEDUCTIONS
+// ======================================================
+
+/**
+ * Apply part of the deposit to an open rent or bill invoice, like a payment,
+ * and return the movement fields for it
+ */
+async function applyToInvoice(tx, tenant, { invoiceId, billInvoiceId, amount }) {
+  const isBill = Boolean(billInvoiceId);
+  const model = isBill ? 'billInvoice' : 'invoice';
+  const label = isBill ? 'Bill invoice' : 'Invoice';
+
+  const document = await tx[model].findUnique({
+    where: { id: isBill ? billInvoiceId : invoiceId },
+    ...(isBill && { include: { bill: true } })
+  });
+
+  if (!document || document.tenantId !== tenant.id) {
+    throw httpError(404, `${label} not found for this tenant`);
+  }
+  if (!OPEN_INVOICE_STATUSES.includes(document.status) || !(document.balance > MONEY_TOLERANCE)) {
+    throw httpError(409, `${label} ${document.invoiceNumber} has no unpaid balance`);
+  }
+
+  const balance = roundMoney(document.balance);
+  const applied = amount === undefined ? Math.min(balance, roundMoney(tenant.depositBalance)) : amount;
+  if (!(applied > 0)) {
+    throw httpError(400, 'There is no deposit held to apply');
+  }
+  if (applied > balance + MONEY_TOLERANCE) {
+    throw httpError(400, `Deduction exceeds the unpaid balance of Ksh ${balance.toLocaleString()} on ${document.invoiceNumber}`);
+  }
+
+  const newBalance = Math.max(0, roundMoney(balance - applied));
+  const status = newBalance <= MONEY_TOLERANCE
+    ? 'PAID'
+    : (document.status === 'OVERDUE' ? 'OVERDUE' : 'PARTIAL');
+
+  const updated = await tx[model].updateMany({
+    where: { id: document.id, balance: document.balance, status: { in: OPEN_INVOICE_STATUSES } },
+    data: { amountPaid: { increment: applied }, balance: newBalance, status }
+  });
+  if (updated.count === 0) {
+    throw httpError(409, `${label} ${document.invoiceNumber} changed while the deduction was being recorded; try again`);
+  }
+
+  if (isBill) {
+    const bill = document.bill;
+    const billPaid = roundMoney((Number(bill.amountPaid) || 0) + applied);
+    const billSettled = billPaid + roundMoney(bill.creditedAmount) >= roundMoney(bill.grandTotal) - MONEY_TOLERANCE;
+
+    await tx.bill.update({
+      where: { id: bill.id },
+      data: {
+        amountPaid: billPaid,
+        status: billSettled ? 'PAID' : 'PARTIAL',
+        ...(billSettled && { paidAt: new Date() })
+      }
+    });
+
+    return {
+      movement: {
+        amount: applied,
+        deductionCategory: 'BILL_ARREARS',
+        billInvoiceId: document.id,
+        description: `Bill arrears: ${document.invoiceNumber} (${document.billType})`
+      },
+      settles: { bill }
+    };
+  }
+
+  return {
+    movement: {
+      amount: applied,
+      deductionCategory: 'RENT_ARREARS',
+      invoiceId: document.id,
+      description: `Rent arrears: ${document.invoiceNumber} (${document.paymentPeriod})`
+    },
+    settles: { invoice: document }
+  };
+}
+
+/**
+ * Deduct from the deposit inside a transaction. Arrears deductions settle the
+ * invoice they name; damages and other deductions need a description.
+ */
+async function deduct(tx, tenant, { amount, category, invoiceId, billInvoiceId, description, moveOutId = null, transactionDate = null }, createdById) {
+  let movement;
+  let settles = {};
+
+  if (invoiceId || billInvoiceId) {
+    if (invoiceId && billInvoiceId) {
+      throw httpError(400, 'Deduct against either invoiceId or billInvoiceId, not both');
+    }
+    ({ movement, settles } = await applyToInvoice(tx, tenant, { invoiceId, billInvoiceId, amount }));
+    if (description?.trim()) movement.description = description.trim();
+  } else {
+    if (!['DAMAGES', 'OTHER'].includes(category)) {
+      throw httpError(400, 'category must be DAMAGES or OTHER, or give an invoiceId or billInvoiceId for arrears');
+    }
+    if (!description || !String(description).trim()) {
+      throw httpError(400, 'A description is required for damages and other deductions');
+    }
+    movement = { amount, deductionCategory: category, description: String(description).trim() };
+  }
+
+  const transaction = await recordMovement(tx, tenant, {
+    type: 'DEDUCTION',
+    ...movement,
+    moveOutId,
+    transactionDate
+  }, { settles, createdById });
+
+  if (invoiceId) {
+    await settlePaidDemandLetters(tenant.id, tx);
+  }
+
+  return transaction;
+}
+
+/**
+ * Deduct from a tenant's deposit: against an unpaid rent invoice (RENT_ARREARS),
+ * an unpaid bill invoice (BILL_ARREARS), or for damages / other charges. An
+ * arrears deduction is applied to the invoice like a payment; without an amount
+ * it takes as much of the invoice balance as the deposit covers.
+ *
+ * @param {string} tenantId
+ * @param {object} params
+ * @param {number} [params.amount] - Required for DAMAGES and OTHER
+ * @param {string} [params.category] - DAMAGES or OTHER when no invoice is given
+ * @param {string} [params.invoiceId]
+ * @param {string} [params.billInvoiceId]
+ * @param {string} [params.description]
+ * @param {Date|string} [params.transactionDate]
+ * @param {string|null} [params.createdById]
+ * @returns {Promise<object>} The deposit transaction
+ */
+export async function deductFromDeposit(tenantId, { amount, category, invoiceId, billInvoiceId, description, transactionDate, createdById = null }) {
+  const deducted = amount === undefined || amount === null || amount === '' ? undefined : parseAmount(amount);
+  if (deducted === undefined && !invoiceId && !billInvoiceId) {
+    throw httpError(400, 'amount is required');
+  }
+  const date = parseDate(transactionDate, 'transactionDate');
+
+  const [transaction] = await runMovements(tenantId, createdById, (tx, tenant) =>
+    deduct(tx, tenant, { amount: deducted, category, invoiceId, billInvoiceId, description, transactionDate: date }, createdById)
+  );
+
+  return transaction;
+}
+
+// ======================================================
+// INTEREST
+// ======================================================
+
+/**
+ * Credit interest to a tenant's deposit for a period, where the lease or the
+ * law requires deposits to earn interest. The amount is given, or worked out as
+ * simple interest on the deposit held at annualRate (default: the property's
+ * depositInterestRate) for the days in the period. A period can only be
+ * credited once per tenant.
+ *
+ * @param {string} tenantId
+ * @param {object} params
+ * @param {Date|string} params.periodStart
+ * @param {Date|string} params.periodEnd - Inclusive
+ * @param {number} [params.annualRate] - Percent per year
+ * @param {number} [params.amount] - Overrides the calculated interest
+ * @param {string} [params.description]
+ * @param {string|null} [params.createdById]
+ * @returns {Promise<object>} The deposit transaction
+ */
+export async function accrueDepositInterest(tenantId, { periodStart, periodEnd, annualRate, amount, description, createdById = null }) {
+  const start = parseDate(periodStart, 'periodStart');
+  const end = parseDate(periodEnd, 'periodEnd');
+  if (!start || !end) {
+    throw httpError(400, 'periodStart and periodEnd are required');
+  }
+  if (end < start) {
+    throw httpError(400, 'periodEnd must not be before periodStart');
+  }
+  if (end > new Date()) {
+    throw httpError(400, 'Interest can only be credited for a period that has ended');
+  }
+
+  const [transaction] = await runMovements(tenantId, createdById, async (tx, tenant) => {
+    const overlapping = await tx.depositTransaction.findFirst({
+      where: { tenantId, type: 'INTEREST', periodStart: { lte: end }, periodEnd: { gte: start } },
+      select: { receiptNumber: true, periodStart: true, periodEnd: true }
+    });
+    if (overlapping) {
+      throw httpError(
+        409,
+        `Interest for ${formatDate(overlapping.periodStart)} to ${formatDate(overlapping.periodEnd)} has already been credited (${overlapping.receiptNumber})`
+      );
+    }
+
+    let interest;
+    let rate = null;
+    if (amount !== undefined && amount !== null && amount !== '') {
+      interest = parseAmount(amount);
+    } else {
+      rate = annualRate !== undefined && annualRate !== null && annualRate !== ''
+        ? parseFloat(annualRate)
+        : (tenant.propertyId
+          ? (await tx.property.findUnique({ where: { id: tenant.propertyId }, select: { depositInterestRate: true } }))?.depositInterestRate
+          : null);
+
+      if (rate === null || rate === undefined || Number.isNaN(rate) || rate <= 0) {
+        throw httpError(400, 'No deposit interest rate: set depositInterestRate on the property or give annualRate');
+      }
+
+      const days = Math.round((end - start) / DAY_MS) + 1;
+      interest = roundMoney(tenant.depositBalance * (rate / 100) * (days / 365));
+      if (!(interest > 0)) {
+        throw httpError(409, 'No interest is due: no deposit is held');
+      }
+    }
+
+    return recordMovement(tx, tenant, {
+      type: 'INTEREST',
+      amount: interest,
+      description: description?.trim() || (rate
+        ? `Interest at ${rate}% p.a. for ${formatDate(start)} to ${formatDate(end)}`
+        : `Interest for ${formatDate(start)} to ${formatDate(end)}`),
+      periodStart: start,
+      periodEnd: end,
+      transactionDate: end
+    }, { createdById });
+  });
+
+  return transaction;
+}
+
+/**
+ * Credit deposit interest for a period to every current tenant of a property
+ * holding a deposit. Tenants already credited for the period, or with nothing
+ * due, are skipped with the reason.
+ *
+ * @param {string} propertyId
+ * @param {object} params - { periodStart, periodEnd, annualRate, createdById }
+ * @returns {Promise<{accrued: Array<object>, skipped: Array<object>}>}
+ */
+export async function accruePropertyDepositInterest(propertyId, { periodStart, periodEnd, annualRate, createdById = null }) {
+  const property = await prisma.property.findUnique({
+    where: { id: propertyId },
+    select: { depositInterestRate: true }
+  });
+  if (!property) {
+    throw httpError(404, 'Property not found');
+  }
+
+  const rate = annualRate !== undefined && annualRate !== null && annualRate !== ''
+    ? parseFloat(annualRate)
+    : property.depositInterestRate;
+  if (rate === null || Number.isNaN(rate) || rate <= 0) {
+    throw httpError(400, 'No deposit interest rate: set depositInterestRate on the property or give annualRate');
+  }
+
+  const tenants = await prisma.tenant.findMany({
+    where: { unit: { propertyId }, status: { not: 'MOVED_OUT' }, depositBalance: { gt: 0 } },
+    select: { id: true, fullName: true },
+    orderBy: { fullName: 'asc' }
+  });
+
+  const accrued = [];
+  const skipped = [];
+  for (const tenant of tenants) {
+    try {
+      accrued.push(await accrueDepositInterest(tenant.id, { periodStart, periodEnd, annualRate: rate, createdById }));
+    } catch (error) {
+      // Already credited for the period, or a balance changed under us
+      if (error.statusCode !== 409) throw error;
+      skipped.push({ tenantId: tenant.id, tenantName: tenant.fullName, reason: error.message });
+    }
+  }
+
+  return { accrued, skipped };
+}
+
+// ======================================================
+// REFUNDS
+// ======================================================
+
+/**
+ * Pay a deposit back to the tenant (inside a transaction). The amount defaults
+ * to the whole deposit held.
+ *
+ * @param {Prisma.TransactionClient} tx
+ * @param {object} tenant - From loadTenant
+ * @param {object} params - { amount, method, reference, description, moveOutId, transactionDate }
+ * @param {string|null} createdById
+ * @returns {Promise<object|null>} The deposit transaction, or null when nothing is held
+ */
+async function refund(tx, tenant, { amount, method, reference, description, moveOutId = null, transactionDate = null }, createdById) {
+  const held = roundMoney(tenant.depositBalance);
+  const refunded = amount === undefined ? held : amount;
+  if (!(refunded > 0)) return null;
+
+  return recordMovement(tx, tenant, {
+    type: 'REFUND',
+    amount: refunded,
+    method,
+    reference: reference || null,
+    description: description?.trim() || (refunded < held ? 'Part refund of deposit' : 'Deposit refunded'),
+    moveOutId,
+    transactionDate
+  }, { createdById });
+}
+
+/**
+ * Refund a tenant's deposit, in full or in part
+ *
+ * @param {string} tenantId
+ * @param {object} params
+ * @param {number} [params.amount] - Defaults to the whole deposit held
+ * @param {string} params.method - CASH, BANK_TRANSFER, MPESA or CHEQUE
+ * @param {string} [params.reference]
+ * @param {string} [params.description]
+ * @param {Date|string} [params.transactionDate]
+ * @param {string|null} [params.createdById]
+ * @returns {Promise<object>} The deposit transaction
+ */
+export async function refundDeposit(tenantId, { amount, method, reference, description, transactionDate, createdById = null }) {
+  const refunded = amount === undefined || amount === null || amount === '' ? undefined : parseAmount(amount);
+  requireMethod(method);
+  const date = parseDate(transactionDate, 'transactionDate');
+
+  const [transaction] = await runMovements(tenantId, createdById, async (tx, tenant) => {
+    const created = await refund(tx, tenant, { amount: refunded, method, reference, description, transactionDate: date }, createdById);
+    if (!created) {
+      throw httpError(409, 'No deposit is held for this tenant');
+    }
+    return created;
+  });
+
+  return transaction;
+}
+
+// ======================================================
+// MOVE-OUT
+// ======================================================
+
+/**
+ * Apply the deposit held at move-out (inside the move-out transaction): unpaid
+ * rent invoices oldest first, then unpaid bill invoices, then the itemised
+ * damages and other deductions, each as a DEDUCTION linked to the move-out,
+ * until the deposit runs out. What is left is refunded through
+ * refundDepositOnMoveOut once paid out.
+ *
+ * @param {Prisma.TransactionClient} tx
+ * @param {string} tenantId
+ * @param {object} settlement - From calculateMoveOutSettlement
+ * @param {object} options - { moveOutId, transactionDate, createdById }
+ * @returns {Promise<Array<object>>} The deduction transactions
+ */
+export async function applyDepositOnMoveOut(tx, tenantId, settlement, { moveOutId, transactionDate = null, createdById = null }) {
+  const tenant = await loadTenant(tx, tenantId);
+  const transactions = [];
+
+  const remaining = () => roundMoney(tenant.depositBalance);
+  const common = { moveOutId, transactionDate };
+
+  for (const invoice of settlement.openInvoices) {
+    if (remaining() <= MONEY_TOLERANCE) break;
+    transactions.push(await deduct(tx, tenant, { ...common, invoiceId: invoice.id }, createdById));
+  }
+
+  for (const billInvoice of settlement.openBillInvoices) {
+    if (remaining() <= MONEY_TOLERANCE) break;
+    transactions.push(await deduct(tx, tenant, { ...common, billInvoiceId: billInvoice.id }, createdById));
+  }
+
+  for (const item of settlement.deductionItems) {
+    if (remaining() <= MONEY_TOLERANCE) break;
+    transactions.push(await deduct(tx, tenant, {
+      ...common,
+      amount: Math.min(item.amount, remaining()),
+      category: item.category,
+      description: item.description
+    }, createdById));
+  }
+
+  return transactions;
+}
+
+/**
+ * Refund what is left of the deposit when a move-out refund is paid (inside a
+ * transaction)
+ *
+ * @param {Prisma.TransactionClient} tx
+ * @param {object} moveOut - TenantMoveOut record
+ * @param {object} params - { method, reference, transactionDate, createdById }
+ * @returns {Promise<object|null>} The refund transaction, or null when no deposit is left
+ */
+export async function refundDepositOnMoveOut(tx, moveOut, { method, reference, transactionDate = null, createdById = null }) {
+  const tenant = await loadTenant(tx, moveOut.tenantId);
+  tenant.propertyId = moveOut.propertyId || tenant.propertyId;
+
+  return refund(tx, tenant, {
+    method,
+    reference,
+    description: 'Deposit refunded on move-out',
+    moveOutId: moveOut.id,
+    transactionDate
+  }, createdById);
+}
+
+// ======================================================
+// BALANCES AND REPORTS
+// ======================================================
+
+/**
+ * Deposit the tenant should hold today. The deposit agreed on the lease keeps
+ * its ratio to rent, so once the rent escalates past the lease rent the
+ * required deposit rises with it (it never falls below the agreed deposit).
+ *
+ * @param {object} tenant - Tenant (rent, deposit and escalation terms)
+ * @param {object|null} [lease] - Current lease (rent, deposit)
+ * @param {Date} [asOf]
+ * @returns {number}
+ */
+export const requiredDeposit = (tenant, lease = null, asOf = new Date()) => {
+  const agreedDeposit = roundMoney(lease?.deposit ?? tenant.deposit);
+  const agreedRent = Number(lease?.rent ?? tenant.rent) || 0;
+  const { currentRent } = calculateEscalatedRent(tenant, asOf);
+
+  if (!(agreedRent > 0) || !(currentRent > agreedRent)) return agreedDeposit;
+  return roundMoney(agreedDeposit * currentRent / agreedRent);
+};
+
+// Sum movement amounts by type
+const totalsByType = (transactions) => {
+  const totals = Object.fromEntries(DEPOSIT_TRANSACTION_TYPES.map(type => [type, 0]));
+  for (const transaction of transactions) {
+    totals[transaction.type] = roundMoney(totals[transaction.type] + transaction.amount);
+  }
+  return totals;
+};
+
+/**
+ * Deposit position and movements for one tenant
+ *
+ * @param {string} tenantId
+ * @returns {Promise<object>} { tenant, agreedDeposit, requiredDeposit, depositHeld, topUpDue, totals, transactions }
+ */
+export async function getTenantDepositSummary(tenantId) {
+  const tenant = await loadTenant(prisma, tenantId);
+  const lease = tenant.leases[0] || null;
+
+  const transactions = await prisma.depositTransaction.findMany({
+    where: { tenantId },
+    include: {
+      invoice: depositTransactionInclude.invoice,
+      billInvoice: depositTransactionInclude.billInvoice,
+      createdBy: { select: { id: true, name: true } }
+    },
+    orderBy: [{ transactionDate: 'asc' }, { createdAt: 'asc' }]
+  });
+
+  const depositHeld = roundMoney(tenant.depositBalance);
+  const required = tenant.status === 'MOVED_OUT' ? 0 : requiredDeposit(tenant, lease);
+
+  return {
+    tenant: { id: tenant.id, fullName: tenant.fullName, status: tenant.status, propertyId: tenant.propertyId },
+    agreedDeposit: roundMoney(lease?.deposit ?? tenant.deposit),
+    requiredDeposit: required,
+    depositHeld,
+    topUpDue: roundMoney(Math.max(0, required - depositHeld)),
+    totals: totalsByType(transactions),
+    transactions
+  };
+}
+
+/**
+ * Deposit liability of a property: what is held for each tenant at asOf, with
+ * the movements since `from` (all time when omitted), and what current tenants
+ * are still to top up. Moved-out tenants appear while a deposit is held for
+ * them (a refund still to be paid).
+ *
+ * @param {string} propertyId
+ * @param {object} [options]
+ * @param {Date} [options.from] - Start of the movement period
+ * @param {Date} [options.asOf] - Report date (defaults to now)
+ * @returns {Promise<object>} { asOf, from, tenants, summary }
+ */
+export async function buildDepositLiabilityReport(propertyId, { from = null, asOf = new Date() } = {}) {
+  const [transactions, currentTenants] = await Promise.all([
+    prisma.depositTransaction.findMany({
+      where: { propertyId, transactionDate: { lte: asOf } },
+      select: { tenantId: true, type: true, amount: true, transactionDate: true }
+    }),
+    prisma.tenant.findMany({
+      where: { unit: { propertyId }, status: { not: 'MOVED_OUT' } },
+      select: { id: true }
+    })
+  ]);
+
+  const tenantIds = [...new Set([...currentTenants.map(t => t.id), ...transactions.map(t => t.tenantId)])];
+  const tenants = await prisma.tenant.findMany({
+    where: { id: { in: tenantIds } },
+    include: {
+      unit: { select: { unitNo: true } },
+      leases: {
+        where: { propertyId },
+        orderBy: { startDate: 'desc' },
+        take: 1,
+        select: { rent: true, deposit: true }
+      }
+    },
+    orderBy: { fullName: 'asc' }
+  });
+
+  const signed = (transaction) => (INCREASING_TYPES.includes(transaction.type) ? transaction.amount : -transaction.amount);
+
+  const rows = tenants.map(tenant => {
+    const own = transactions.filter(t => t.tenantId === tenant.id);
+    const before = from ? own.filter(t => t.transactionDate < from) : [];
+    const during = from ? own.filter(t => t.transactionDate >= from) : own;
+
+    const openingBalance = roundMoney(before.reduce((sum, t) => sum + signed(t), 0));
+    const depositHeld = roundMoney(own.reduce((sum, t) => sum + signed(t), 0));
+    const movedOut = tenant.status === 'MOVED_OUT';
+    const required = movedOut ? 0 : requiredDeposit(tenant, tenant.leases[0] || null, asOf);
+
+    return {
+      tenantId: tenant.id,
+      tenantName: tenant.fullName,
+      unitNo: tenant.unit?.unitNo || null,
+      status: tenant.status,
+      agreedDeposit: roundMoney(tenant.leases[0]?.deposit ?? tenant.deposit),
+      requiredDeposit: required,
+      openingBalance,
+      movements: totalsByType(during),
+      depositHeld,
+      topUpDue: roundMoney(Math.max(0, required - depositHeld))
+    };
+  }).filter(row => row.status !== 'MOVED_OUT' || row.depositHeld > MONEY_TOLERANCE || row.openingBalance > MONEY_TOLERANCE);
+
+  const sum = (field) => roundMoney(rows.reduce((total, row) => total + row[field], 0));
+
+  return {
+    asOf,
+    from,
+    tenants: rows,
+    summary: {
+      tenantCount: rows.length,
+      openingBalance: sum('openingBalance'),
+      movements: Object.fromEntries(DEPOSIT_TRANSACTION_TYPES.map(type => [
+        type,
+        roundMoney(rows.reduce((total, row) => total + row.movements[type], 0))
+      ])),
+      totalHeld: sum('depositHeld'),
+      totalRequired: sum('requiredDeposit'),
+      totalTopUpDue: sum('topUpDue'),
+      heldForMovedOutTenants: roundMoney(rows.filter(row => row.status === 'MOVED_OUT').reduce((total, row) => total + row.depositHeld, 0))
+    }
+  };
+}
+
+// ======================================================
+// DOCUMENTS
+// ======================================================
+
+/**
+ * Render a deposit receipt to PDF with the template in force for its property
+ * @param {object} transaction - Deposit transaction with depositTransactionInclude
+ * @returns {Promise<Buffer>}
+ */
+export const generateDepositReceiptPDF = (transaction) =>
+  renderDocumentPdf('depositReceipt', transaction, { propertyId: transaction.propertyId });
+
+/**
+ * Render a deposit receipt and store the PDF (depositTransaction.pdf job)
+ * @param {string} depositTransactionId
+ * @returns {Promise<object>} { pdfUrl }
+ */
+export async function renderDepositReceiptPdf(depositTransactionId) {
+  const transaction = await prisma.depositTransaction.findUnique({
+    where: { id: depositTransactionId },
+    include: depositTransactionInclude
+  });
+  if (!transaction) {
+    throw permanentJobError(`Deposit transaction ${depositTransactionId} not found`);
+  }
+
+  const pdfBuffer = await generateDepositReceiptPDF(transaction);
+  const pdfUrl = await uploadToStorage(pdfBuffer, `${transaction.receiptNumber}.pdf`, 'deposit-receipts');
+  await prisma.depositTransaction.update({ where: { id: depositTransactionId }, data: { pdfUrl } });
+
+  return { pdfUrl };
+}
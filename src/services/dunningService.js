@@ -0,0 +1,283 @@
+import prisma from '../lib/prisma.js';
+import { issueDemandLetter, emailDemandLetter, demandLetterTenantInclude } from './demandLetterService.js';
+import { queueEmail } from './notificationService.js';
+import { paymentReminderEmail } from '../utils/emailService.js';
+import { smsDemandLetter } from './tenantSmsService.js';
+import { httpError } from '../utils/httpError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rent invoice statuses that are still being chased
+const DUNNABLE_STATUSES = ['UNPAID', 'PARTIAL', 'OVERDUE'];
+
+// Demand letters that are closed once their invoice is paid
+export const OPEN_DEMAND_LETTER_STATUSES = ['GENERATED', 'SENT', 'ACKNOWLEDGED', 'ESCALATED'];
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Whole days an invoice is past its due date on a given day (0 on the due date)
+ */
+export const daysPastDue = (dueDate, asOf = new Date()) =>
+  Math.round((startOfDay(asOf) - startOfDay(new Date(dueDate))) / DAY_MS);
+
+/**
+ * Check the policy's steps run in order: reminder, then demand letter, then escalation
+ */
+export const validateDunningSteps = ({ reminderAfterDays, demandLetterAfterDays, escalateAfterDays }) => {
+  if (reminderAfterDays < 0) {
+    throw httpError(400, 'reminderAfterDays must be a non-negative number');
+  }
+  if (demandLetterAfterDays <= reminderAfterDays) {
+    throw httpError(400, 'demandLetterAfterDays must be later than reminderAfterDays');
+  }
+  if (escalateAfterDays <= demandLetterAfterDays) {
+    throw httpError(400, 'escalateAfterDays must be later than demandLetterAfterDays');
+  }
+};
+
+/**
+ * The dunning step due on an invoice, or null when nothing is due yet.
+ * Steps are never skipped into escalation: a demand letter has to be served
+ * first and be out for (escalateAfterDays - demandLetterAfterDays) days.
+ * The reminder is dropped when the invoice is already late enough for a letter.
+ *
+ * @param {object} policy - DunningPolicy
+ * @param {number} daysOverdue - Days past the invoice due date
+ * @param {Array<{ stage: string, createdAt: Date }>} actions - Steps already taken on the invoice
+ * @param {Date} [asOf=new Date()]
+ * @returns {'REMINDER'|'DEMAND_LETTER'|'ESCALATION'|null}
+ */
+export const nextDunningStage = (policy, daysOverdue, actions, asOf = new Date()) => {
+  const taken = new Map(actions.map(action => [action.stage, action]));
+
+  if (taken.has('ESCALATION')) {
+    return null;
+  }
+
+  const letterAction = taken.get('DEMAND_LETTER');
+  if (letterAction) {
+    const letterServedDays = policy.escalateAfterDays - policy.demandLetterAfterDays;
+    const escalateFrom = addDays(startOfDay(new Date(letterAction.createdAt)), letterServedDays);
+    return daysOverdue >= policy.escalateAfterDays && startOfDay(asOf) >= escalateFrom
+      ? 'ESCALATION'
+      : null;
+  }
+
+  if (daysOverdue >= policy.demandLetterAfterDays) {
+    return 'DEMAND_LETTER';
+  }
+
+  if (daysOverdue >= policy.reminderAfterDays && !taken.has('REMINDER')) {
+    return 'REMINDER';
+  }
+
+  return null;
+};
+
+// ======================================================
+// DUNNING STEPS
+// ======================================================
+
+// Dunning action fields for a queued email; later retries update them through messageId
+const deliveryOutcome = (message) => ({
+  messageId: message.id,
+  sentTo: message.recipient,
+  delivered: message.status === 'SENT',
+  error: message.status === 'SENT' ? null : message.lastError
+});
+
+async function sendReminder(invoice, tenant, daysOverdue) {
+  if (!tenant.email) {
+    return { delivered: false, error: 'Tenant has no email address' };
+  }
+
+  const message = await queueEmail({
+    to: tenant.email,
+    category: 'PAYMENT_REMINDER',
+    ...paymentReminderEmail({
+      tenantName: tenant.fullName,
+      propertyName: tenant.unit.property.name,
+      unitNo: tenant.unit.unitNo,
+      invoiceNumber: invoice.invoiceNumber,
+      paymentPeriod: invoice.paymentPeriod,
+      amountDue: invoice.balance,
+      dueDate: invoice.dueDate,
+      daysOverdue
+    }),
+    links: { tenantId: tenant.id, propertyId: tenant.unit.propertyId, invoiceId: invoice.id }
+  });
+
+  return deliveryOutcome(message);
+}
+
+async function serveDemandLetter(invoice, tenant, policy, daysOverdue) {
+  const demandLetter = await issueDemandLetter({
+    tenant,
+    invoice,
+    outstandingAmount: invoice.balance,
+    rentalPeriod: invoice.paymentPeriod,
+    dueDate: invoice.dueDate,
+    demandPeriod: policy.demandPeriod,
+    partialPayment: invoice.amountPaid > 0 ? invoice.amountPaid : null,
+    referenceNumber: invoice.invoiceNumber,
+    notes: `Issued automatically: invoice ${invoice.invoiceNumber} is ${daysOverdue} days overdue`
+  });
+
+  await smsDemandLetter(demandLetter);
+
+  if (!tenant.email) {
+    return { demandLetterId: demandLetter.id, delivered: false, error: 'Tenant has no email address' };
+  }
+
+  // The letter is marked SENT once its email goes out (now or on a retry);
+  // until then it stays GENERATED and can also be sent by hand
+  const message = await emailDemandLetter(demandLetter, { to: tenant.email });
+
+  return { demandLetterId: demandLetter.id, ...deliveryOutcome(message) };
+}
+
+async function escalate(letterAction) {
+  await prisma.demandLetter.update({
+    where: { id: letterAction.demandLetterId },
+    data: { status: 'ESCALATED', escalatedAt: new Date() }
+  });
+
+  return { demandLetterId: letterAction.demandLetterId, delivered: true };
+}
+
+/**
+ * Take the next due dunning step on one invoice. The step is claimed first
+ * (one per invoice and stage), so overlapping runs never act twice; if the
+ * step fails the claim is released and the next run tries again.
+ *
+ * @returns {Promise<object|null>} The recorded DunningAction, or null if nothing was due
+ */
+async function processInvoice(policy, invoice, asOf) {
+  const daysOverdue = daysPastDue(invoice.dueDate, asOf);
+  const stage = nextDunningStage(policy, daysOverdue, invoice.dunningActions, asOf);
+  if (!stage) return null;
+
+  let action;
+  try {
+    action = await prisma.dunningAction.create({
+      data: {
+        invoiceId: invoice.id,
+        tenantId: invoice.tenantId,
+        propertyId: policy.propertyId,
+        stage,
+        daysOverdue,
+        amountDue: invoice.balance
+      }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') return null;
+    throw error;
+  }
+
+  try {
+    let outcome;
+    if (stage === 'REMINDER') {
+      outcome = await sendReminder(invoice, invoice.tenant, daysOverdue);
+    } else if (stage === 'DEMAND_LETTER') {
+      outcome = await serveDemandLetter(invoice, invoice.tenant, policy, daysOverdue);
+    } else {
+      outcome = await escalate(invoice.dunningActions.find(a => a.stage === 'DEMAND_LETTER'));
+    }
+
+    return await prisma.dunningAction.update({
+      where: { id: action.id },
+      data: outcome
+    });
+  } catch (error) {
+    await prisma.dunningAction.delete({ where: { id: action.id } }).catch(() => {});
+    throw error;
+  }
+}
+
+// ======================================================
+// RUNS
+// ======================================================
+
+/**
+ * Run every active dunning policy: remind, serve demand letters and escalate
+ * overdue rent invoices according to how many days they are past due.
+ * Invoices of tenants who have moved out are left to the move-out settlement.
+ *
+ * @param {Date} [asOf=new Date()]
+ * @returns {Promise<object>} Counts per step, undelivered notices and per-invoice errors
+ */
+export async function runDunning(asOf = new Date()) {
+  const policies = await prisma.dunningPolicy.findMany({ where: { isActive: true } });
+
+  const summary = {
+    properties: policies.length,
+    reminders: 0,
+    demandLetters: 0,
+    escalations: 0,
+    undelivered: 0,
+    errors: []
+  };
+
+  for (const policy of policies) {
+    const invoices = await prisma.invoice.findMany({
+      where: {
+        status: { in: DUNNABLE_STATUSES },
+        balance: { gt: 0 },
+        dueDate: { lt: addDays(startOfDay(asOf), -policy.reminderAfterDays + 1) },
+        tenant: { unit: { propertyId: policy.propertyId } }
+      },
+      include: {
+        tenant: { include: demandLetterTenantInclude },
+        dunningActions: { select: { stage: true, createdAt: true, demandLetterId: true } }
+      },
+      orderBy: { dueDate: 'asc' }
+    });
+
+    for (const invoice of invoices) {
+      try {
+        const action = await processInvoice(policy, invoice, asOf);
+        if (!action) continue;
+
+        if (action.stage === 'REMINDER') summary.reminders++;
+        else if (action.stage === 'DEMAND_LETTER') summary.demandLetters++;
+        else summary.escalations++;
+
+        if (!action.delivered) summary.undelivered++;
+      } catch (error) {
+        console.error(`Dunning failed for invoice ${invoice.invoiceNumber}:`, error);
+        summary.errors.push({ invoiceId: invoice.id, invoiceNumber: invoice.invoiceNumber, error: error.message });
+      }
+    }
+  }
+
+  return summary;
+}
+
+// ======================================================
+// SETTLEMENT
+// ======================================================
+
+/**
+ * Mark a tenant's open demand letters SETTLED once the invoice they demand is paid
+ * or cancelled.
+ * Called after payments are allocated; safe to call inside a transaction.
+ *
+ * @param {string} tenantId
+ * @param {object} [client=prisma] - Prisma client or transaction
+ * @returns {Promise<number>} Number of letters settled
+ */
+export async function settlePaidDemandLetters(tenantId, client = prisma) {
+  const result = await client.demandLetter.updateMany({
+    where: {
+      tenantId,
+      status: { in: OPEN_DEMAND_LETTER_STATUSES },
+      invoice: { is: { status: { in: ['PAID', 'CANCELLED'] } } }
+    },
+    data: { status: 'SETTLED', settledAt: new Date() }
+  });
+
+  return result.count;
+}
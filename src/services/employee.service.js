@@ -1,18 +1,11 @@
 import prisma from '../lib/prisma.js';
-import nodemailer from 'nodemailer';
+import { createSmtpTransport } from '../utils/emailService.js';
+import { postSalaryPayment } from './ledgerService.js';
 
 class EmployeeService {
   constructor() {
-    // Configure email transporter for reminders
-    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
-      this.transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS
-        }
-      });
-    }
+    // Configure email transporter for reminders (SMTP_HOST or the Gmail account)
+    this.transporter = createSmtpTransport();
   }
 
   // Helper: Get a valid system user ID for audit logs
@@ -243,7 +236,7 @@ class EmployeeService {
 
   // Record salary payment with automatic status update
   async recordSalaryPayment(data, recordedById, userRole) {
-    let { employeeId, amount, paymentPeriod, paymentMethod, transactionRef, notes } = data;
+    let { employeeId, amount, paymentPeriod, paymentMethod, transactionRef, notes, paymentDate } = data;
 
     // Verify user has permission
     if (userRole !== 'ADMIN' && userRole !== 'MANAGER') {
@@ -308,6 +301,7 @@ class EmployeeService {
           paymentMethod,
           transactionRef,
           notes,
+          ...(paymentDate && { paymentDate: new Date(paymentDate) }),
           recordedById,
           status: 'PAID'
         },
@@ -318,6 +312,12 @@ class EmployeeService {
           }
         }
       });
+
+      // Post the salary to the general ledger in the same transaction
+      await postSalaryPayment(tx, payment, {
+        employeeName: employee.name,
+        createdById: recordedById
+      });
     }, {
       timeout: 10000,
       maxWait: 10000
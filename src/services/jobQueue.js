@@ -0,0 +1,361 @@
+import os from 'os';
+import { randomUUID } from 'crypto';
+import prisma from '../lib/prisma.js';
+import { httpError } from '../utils/httpError.js';
+
+// Attempts per job unless the caller asks for more or fewer
+export const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Backoff between attempts: 30 seconds, 1 minute, 2 minutes, ...
+const RETRY_BASE_SECONDS = 30;
+
+// RUNNING jobs whose worker has not checked in for this long belonged to a worker that died
+const JOB_TIMEOUT_MINUTES = parseInt(process.env.JOB_TIMEOUT_MINUTES) || 10;
+
+// A running job checks in several times per timeout, so a slow job is never
+// taken for a dead one and run a second time
+const HEARTBEAT_MS = (JOB_TIMEOUT_MINUTES * 60 * 1000) / 4;
+
+// Failure messages are trimmed so a stack trace cannot bloat the row
+const MAX_ERROR_LENGTH = 1000;
+
+/**
+ * An error that retrying cannot fix (e.g. the record no longer exists).
+ * A handler throwing one fails the job without further attempts.
+ */
+export function permanentJobError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Job details returned to API callers after queueing work
+ */
+export const jobSummary = (job) => ({
+  jobId: job.id,
+  type: job.type,
+  status: job.status,
+  batchId: job.batchId
+});
+
+/**
+ * Identify this process in Job.lockedBy
+ */
+export const defaultWorkerId = () => `${os.hostname()}:${process.pid}`;
+
+// ======================================================
+// HANDLERS
+// ======================================================
+// Handlers are registered by the worker process (src/jobs/documentJobs.js).
+// The API only enqueues, so it never loads Puppeteer for a job.
+
+const handlers = new Map();
+
+/**
+ * Register the function that runs jobs of a type. It receives the job payload
+ * and the job, and whatever it resolves to is stored as the job result.
+ *
+ * @param {string} type
+ * @param {(payload: object, job: object) => Promise<object|void>} handler
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+export const getRegisteredJobTypes = () => [...handlers.keys()];
+
+// ======================================================
+// ENQUEUEING
+// ======================================================
+
+/**
+ * Queue one job for the worker
+ *
+ * @param {string} type - Job type, e.g. invoice.pdf
+ * @param {object} payload - JSON input for the handler (ids, not whole records)
+ * @param {object} [options]
+ * @param {string|null} [options.createdById]
+ * @param {string|null} [options.batchId]
+ * @param {number} [options.maxAttempts]
+ * @param {Date} [options.runAt] - Earliest time to run
+ * @returns {Promise<object>} The QUEUED Job
+ */
+export async function enqueueJob(type, payload, { createdById = null, batchId = null, maxAttempts = DEFAULT_MAX_ATTEMPTS, runAt = new Date() } = {}) {
+  return prisma.job.create({
+    data: {
+      type,
+      payload,
+      createdById,
+      batchId,
+      maxAttempts,
+      runAt
+    }
+  });
+}
+
+/**
+ * Queue one job per payload under a shared batch id
+ *
+ * @param {string} type
+ * @param {Array<object>} payloads
+ * @param {object} [options] - As for enqueueJob
+ * @returns {Promise<{ batchId: string, count: number }>}
+ */
+export async function enqueueBatch(type, payloads, { createdById = null, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  const batchId = randomUUID();
+
+  const { count } = await prisma.job.createMany({
+    data: payloads.map(payload => ({
+      type,
+      payload,
+      createdById,
+      batchId,
+      maxAttempts
+    }))
+  });
+
+  return { batchId, count };
+}
+
+// ======================================================
+// WORKER SIDE
+// ======================================================
+
+/**
+ * Claim the oldest due job. The claim only succeeds while the job is still
+ * QUEUED, so two workers polling at once never run the same job.
+ *
+ * @param {string} workerId
+ * @returns {Promise<object|null>} The RUNNING job, or null when nothing is due
+ */
+export async function claimNextJob(workerId = defaultWorkerId()) {
+  // A few candidates, so losing a race for the first does not idle the worker
+  const candidates = await prisma.job.findMany({
+    where: { status: 'QUEUED', runAt: { lte: new Date() } },
+    select: { id: true },
+    orderBy: { runAt: 'asc' },
+    take: 5
+  });
+
+  for (const { id } of candidates) {
+    const { count } = await prisma.job.updateMany({
+      where: { id, status: 'QUEUED' },
+      data: {
+        status: 'RUNNING',
+        lockedBy: workerId,
+        startedAt: new Date(),
+        heartbeatAt: new Date(),
+        attempts: { increment: 1 }
+      }
+    });
+
+    if (count === 1) {
+      return prisma.job.findUnique({ where: { id } });
+    }
+  }
+
+  return null;
+}
+
+// The claim a run holds: a job requeued as stale and claimed again has moved on
+const ownedBy = (job) => ({ id: job.id, status: 'RUNNING', lockedBy: job.lockedBy, attempts: job.attempts });
+
+// Keep refreshing heartbeatAt while the handler runs. Returns the function that stops it.
+function startHeartbeat(job) {
+  const timer = setInterval(async () => {
+    try {
+      const { count } = await prisma.job.updateMany({ where: ownedBy(job), data: { heartbeatAt: new Date() } });
+      if (count === 0) clearInterval(timer);
+    } catch (error) {
+      console.error(`Job ${job.id} heartbeat failed:`, error.message);
+    }
+  }, HEARTBEAT_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+// Record a job's outcome only while this claim still holds it. A job requeued as
+// stale may have been claimed again since (attempts moves on with every claim),
+// and that run's outcome must not be overwritten.
+async function finishJob(job, data) {
+  const { count } = await prisma.job.updateMany({
+    where: ownedBy(job),
+    data
+  });
+
+  if (count === 0) {
+    console.warn(`Job ${job.id} (${job.type}) was taken over before attempt ${job.attempts} finished; outcome discarded`);
+    return null;
+  }
+
+  return prisma.job.findUnique({ where: { id: job.id } });
+}
+
+/**
+ * Run a claimed job through its handler and record the outcome. A failed job
+ * is queued again with backoff until maxAttempts, then left FAILED.
+ *
+ * @param {object} job - A RUNNING job from claimNextJob
+ * @returns {Promise<object|null>} The updated Job, or null when the job was
+ *   requeued as stale and claimed again before this run finished
+ */
+export async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const stopHeartbeat = startHeartbeat(job);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+
+    const result = await handler(job.payload, job);
+    stopHeartbeat();
+
+    return await finishJob(job, {
+      status: 'COMPLETED',
+      result: result ?? undefined,
+      error: null,
+      lockedBy: null,
+      completedAt: new Date()
+    });
+  } catch (error) {
+    stopHeartbeat();
+    const retrying = handler && error.retryable !== false && job.attempts < job.maxAttempts;
+    const delaySeconds = RETRY_BASE_SECONDS * 2 ** (job.attempts - 1);
+
+    console.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}/${job.maxAttempts}:`, error.message);
+
+    return finishJob(job, {
+      status: retrying ? 'QUEUED' : 'FAILED',
+      error: String(error.message || error).slice(0, MAX_ERROR_LENGTH),
+      lockedBy: null,
+      runAt: retrying ? new Date(Date.now() + delaySeconds * 1000) : job.runAt,
+      completedAt: retrying ? null : new Date()
+    });
+  }
+}
+
+/**
+ * Put RUNNING jobs whose worker stopped (crash, deploy) back in the queue,
+ * or fail them if they have used up their attempts. A job counts as stopped
+ * once its heartbeat is older than JOB_TIMEOUT_MINUTES, however long it has run.
+ * Run periodically by the worker.
+ *
+ * @param {Date} [asOf=new Date()]
+ * @returns {Promise<{ requeued: number, failed: number }>}
+ */
+export async function requeueStaleJobs(asOf = new Date()) {
+  const staleBefore = new Date(asOf.getTime() - JOB_TIMEOUT_MINUTES * 60 * 1000);
+  const staleWhere = {
+    status: 'RUNNING',
+    OR: [
+      { heartbeatAt: { lt: staleBefore } },
+      // Claimed before heartbeats were recorded
+      { heartbeatAt: null, startedAt: { lt: staleBefore } }
+    ]
+  };
+
+  const stale = await prisma.job.findMany({
+    where: staleWhere,
+    select: { id: true, attempts: true, maxAttempts: true }
+  });
+
+  const exhausted = stale.filter(job => job.attempts >= job.maxAttempts).map(job => job.id);
+  const retryable = stale.filter(job => job.attempts < job.maxAttempts).map(job => job.id);
+
+  const [requeued, failed] = await Promise.all([
+    prisma.job.updateMany({
+      where: { ...staleWhere, id: { in: retryable } },
+      data: { status: 'QUEUED', lockedBy: null, runAt: asOf, error: 'Worker stopped before the job finished' }
+    }),
+    prisma.job.updateMany({
+      where: { ...staleWhere, id: { in: exhausted } },
+      data: { status: 'FAILED', lockedBy: null, completedAt: asOf, error: 'Worker stopped before the job finished' }
+    })
+  ]);
+
+  return { requeued: requeued.count, failed: failed.count };
+}
+
+// ======================================================
+// STATUS AND CONTROL
+// ======================================================
+
+/**
+ * Counts per status for the jobs in a batch
+ * @param {string} batchId
+ * @param {object} [where] - Extra filter, e.g. to the caller's own jobs
+ * @returns {Promise<object|null>} null when the batch does not exist
+ */
+export async function getBatchSummary(batchId, where = {}) {
+  const groups = await prisma.job.groupBy({
+    by: ['status'],
+    where: { batchId, ...where },
+    _count: { _all: true }
+  });
+
+  if (groups.length === 0) return null;
+
+  const counts = { QUEUED: 0, RUNNING: 0, COMPLETED: 0, FAILED: 0, CANCELLED: 0 };
+  for (const group of groups) {
+    counts[group.status] = group._count._all;
+  }
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  return {
+    batchId,
+    total,
+    ...counts,
+    finished: counts.QUEUED === 0 && counts.RUNNING === 0
+  };
+}
+
+/**
+ * Queue a FAILED or CANCELLED job again with a fresh set of attempts
+ * @param {string} jobId
+ */
+export async function retryJob(jobId) {
+  const job = await prisma.job.findUnique({ where: { id: jobId } });
+  if (!job) {
+    throw httpError(404, 'Job not found');
+  }
+  if (!['FAILED', 'CANCELLED'].includes(job.status)) {
+    throw httpError(400, `Only failed or cancelled jobs can be retried (job is ${job.status})`);
+  }
+
+  return prisma.job.update({
+    where: { id: jobId },
+    data: {
+      status: 'QUEUED',
+      attempts: 0,
+      error: null,
+      runAt: new Date(),
+      startedAt: null,
+      completedAt: null
+    }
+  });
+}
+
+/**
+ * Cancel a job that has not started. Running jobs are left to finish.
+ * @param {string} jobId
+ */
+export async function cancelJob(jobId) {
+  const { count } = await prisma.job.updateMany({
+    where: { id: jobId, status: 'QUEUED' },
+    data: { status: 'CANCELLED', completedAt: new Date() }
+  });
+
+  const job = await prisma.job.findUnique({ where: { id: jobId } });
+  if (!job) {
+    throw httpError(404, 'Job not found');
+  }
+  if (count === 0) {
+    throw httpError(400, `Only queued jobs can be cancelled (job is ${job.status})`);
+  }
+
+  return job;
+}
@@ -0,0 +1,315 @@
+import prisma from '../lib/prisma.js';
+import { nextNumber } from './sequenceService.js';
+import { roundMoney } from '../utils/money.js';
+
+// ======================================================
+// PERIOD HELPERS
+// ======================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Number of (fractional) calendar months between start and endExclusive,
+ * e.g. 1 Jan - 31 Jan is exactly 1, 1 Jan - 15 Jan is 15/31
+ */
+const countPeriodMonths = (start, endExclusive) => {
+  let months = 0;
+  let cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+
+  while (cursor < endExclusive) {
+    const next = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1);
+    const from = Math.max(cursor.getTime(), start.getTime());
+    const to = Math.min(next.getTime(), endExclusive.getTime());
+    months += (to - from) / (next.getTime() - cursor.getTime());
+    cursor = next;
+  }
+
+  return months;
+};
+
+/**
+ * Contracted service provider charge attributable to the statement period
+ */
+const serviceProviderChargeForPeriod = (provider, start, endExclusive) => {
+  const days = (endExclusive.getTime() - start.getTime()) / DAY_MS;
+  const months = countPeriodMonths(start, endExclusive);
+  const occurrences = {
+    DAILY: days,
+    WEEKLY: days / 7,
+    MONTHLY: months,
+    QUARTERLY: months / 3,
+    ANNUAL: months / 12
+  }[provider.chargeFrequency] ?? months;
+
+  return roundMoney(Number(provider.chargeAmount || 0) * occurrences);
+};
+
+/**
+ * Split a tenant payment into rent, service charge and VAT in proportion to
+ * what the payment report was billing for
+ */
+const allocateCollection = (report) => {
+  const paid = Number(report.amountPaid) || 0;
+  const rent = Number(report.rent) || 0;
+  const serviceCharge = Number(report.serviceCharge) || 0;
+  const vat = Number(report.vat) || 0;
+  const due = rent + serviceCharge + vat;
+
+  if (due <= 0) {
+    return { rent: roundMoney(paid), serviceCharge: 0, vat: 0 };
+  }
+
+  const serviceChargeShare = roundMoney(paid * serviceCharge / due);
+  const vatShare = roundMoney(paid * vat / due);
+
+  return {
+    rent: roundMoney(paid - serviceChargeShare - vatShare),
+    serviceCharge: serviceChargeShare,
+    vat: vatShare
+  };
+};
+
+// ======================================================
+// STATEMENT NUMBERING
+// ======================================================
+
+export async function generateStatementNumber(client = prisma) {
+  return nextNumber('LANDLORD_STATEMENT', { client });
+}
+
+// ======================================================
+// STATEMENT BUILDER
+// ======================================================
+
+/**
+ * Build a landlord owner statement for a period.
+ *
+ * Collections are tenant payments received in the period. Deductions are the
+ * manager commissions for the period, the contracted service provider charges
+ * prorated to the period, landlord-borne maintenance costs resolved in the
+ * period (bills paid on the landlord's behalf) and any manual adjustments.
+ *
+ * @param {string} landlordId
+ * @param {object} options
+ * @param {Date} options.periodStart - First day of the period
+ * @param {Date} options.periodEnd - Last day of the period (inclusive)
+ * @param {Array<{description: string, amount: number, propertyId?: string}>} [options.adjustments]
+ * @returns {Promise<object>} Statement figures plus the per-property breakdown
+ */
+export async function buildLandlordStatement(landlordId, { periodStart, periodEnd, adjustments = [] }, client = prisma) {
+  const start = new Date(periodStart.getFullYear(), periodStart.getMonth(), periodStart.getDate());
+  const endExclusive = new Date(periodEnd.getFullYear(), periodEnd.getMonth(), periodEnd.getDate() + 1);
+
+  const landlord = await client.landlord.findUnique({
+    where: { id: landlordId },
+    include: {
+      properties: {
+        select: {
+          id: true,
+          name: true,
+          lrNumber: true,
+          accountName: true,
+          accountNo: true,
+          bank: true,
+          branch: true
+        },
+        orderBy: { name: 'asc' }
+      }
+    }
+  });
+
+  if (!landlord) {
+    throw new Error('Landlord not found');
+  }
+
+  const propertyIds = landlord.properties.map(p => p.id);
+
+  const [payments, commissions, serviceProviders, maintenanceRequests] = await Promise.all([
+    client.paymentReport.findMany({
+      where: {
+        status: { not: 'CREDIT' },
+        datePaid: { gte: start, lt: endExclusive },
+        tenant: { unit: { propertyId: { in: propertyIds } } }
+      },
+      include: {
+        tenant: {
+          select: {
+            id: true,
+            fullName: true,
+            unit: { select: { id: true, unitNo: true, type: true, propertyId: true } }
+          }
+        }
+      },
+      orderBy: { datePaid: 'asc' }
+    }),
+    client.managerCommission.findMany({
+      where: {
+        propertyId: { in: propertyIds },
+        status: { not: 'CANCELLED' },
+        periodStart: { gte: start, lt: endExclusive }
+      },
+      orderBy: { periodStart: 'asc' }
+    }),
+    client.serviceProvider.findMany({
+      where: {
+        propertyId: { in: propertyIds },
+        createdAt: { lt: endExclusive }
+      },
+      orderBy: { name: 'asc' }
+    }),
+    client.maintenanceRequest.findMany({
+      where: {
+        propertyId: { in: propertyIds },
+        costBorneBy: 'LANDLORD',
+        status: { in: ['RESOLVED', 'CLOSED'] },
+        actualCost: { gt: 0 },
+        OR: [
+          { resolvedAt: { gte: start, lt: endExclusive } },
+          { resolvedAt: null, closedAt: { gte: start, lt: endExclusive } }
+        ]
+      },
+      orderBy: { resolvedAt: 'asc' }
+    })
+  ]);
+
+  const properties = landlord.properties.map(property => {
+    // Collections per unit
+    const unitsById = {};
+    for (const payment of payments.filter(p => p.tenant?.unit?.propertyId === property.id)) {
+      const unit = payment.tenant.unit;
+      const split = allocateCollection(payment);
+      unitsById[unit.id] ||= {
+        unitId: unit.id,
+        unitNo: unit.unitNo || unit.type || 'Unit',
+        tenantName: payment.tenant.fullName,
+        rentCollected: 0,
+        serviceChargeCollected: 0,
+        vatCollected: 0,
+        totalCollected: 0,
+        payments: []
+      };
+      const row = unitsById[unit.id];
+      row.rentCollected = roundMoney(row.rentCollected + split.rent);
+      row.serviceChargeCollected = roundMoney(row.serviceChargeCollected + split.serviceCharge);
+      row.vatCollected = roundMoney(row.vatCollected + split.vat);
+      row.totalCollected = roundMoney(row.totalCollected + Number(payment.amountPaid || 0));
+      row.payments.push({
+        paymentReportId: payment.id,
+        datePaid: payment.datePaid,
+        amount: roundMoney(payment.amountPaid)
+      });
+    }
+    const units = Object.values(unitsById).sort((a, b) => String(a.unitNo).localeCompare(String(b.unitNo)));
+
+    // Deductions
+    const commissionLines = commissions
+      .filter(c => c.propertyId === property.id)
+      .map(c => ({
+        commissionId: c.id,
+        periodStart: c.periodStart,
+        periodEnd: c.periodEnd,
+        rate: c.commissionFee,
+        baseAmount: roundMoney(c.incomeAmount),
+        amount: roundMoney(c.commissionAmount)
+      }));
+
+    const serviceProviderLines = serviceProviders
+      .filter(sp => sp.propertyId === property.id)
+      .map(sp => ({
+        serviceProviderId: sp.id,
+        name: sp.name,
+        chargeAmount: sp.chargeAmount,
+        chargeFrequency: sp.chargeFrequency,
+        amount: serviceProviderChargeForPeriod(sp, start, endExclusive)
+      }))
+      .filter(line => line.amount > 0);
+
+    const billLines = maintenanceRequests
+      .filter(m => m.propertyId === property.id)
+      .map(m => ({
+        maintenanceRequestId: m.id,
+        requestNumber: m.requestNumber,
+        description: m.title,
+        date: m.resolvedAt || m.closedAt,
+        amount: roundMoney(m.actualCost)
+      }));
+
+    const adjustmentLines = adjustments
+      .filter(a => a.propertyId === property.id)
+      .map(a => ({ description: a.description, amount: roundMoney(a.amount) }));
+
+    const sum = (rows, field = 'amount') => roundMoney(rows.reduce((total, row) => total + Number(row[field] || 0), 0));
+
+    const collections = {
+      rent: sum(units, 'rentCollected'),
+      serviceCharge: sum(units, 'serviceChargeCollected'),
+      vat: sum(units, 'vatCollected'),
+      total: sum(units, 'totalCollected')
+    };
+    const deductions = {
+      commission: sum(commissionLines),
+      serviceProviders: sum(serviceProviderLines),
+      billsPaidOnBehalf: sum(billLines),
+      other: sum(adjustmentLines)
+    };
+    deductions.total = roundMoney(deductions.commission + deductions.serviceProviders + deductions.billsPaidOnBehalf + deductions.other);
+
+    return {
+      propertyId: property.id,
+      propertyName: property.name,
+      lrNumber: property.lrNumber,
+      bankDetails: property.accountNo ? {
+        bank: property.bank,
+        branch: property.branch,
+        accountName: property.accountName,
+        accountNo: property.accountNo
+      } : null,
+      units,
+      commissions: commissionLines,
+      serviceProviders: serviceProviderLines,
+      billsPaidOnBehalf: billLines,
+      adjustments: adjustmentLines,
+      collections,
+      deductions,
+      netRemittance: roundMoney(collections.total - deductions.total)
+    };
+  });
+
+  // Adjustments not tied to a specific property are applied at landlord level
+  const generalAdjustments = adjustments
+    .filter(a => !a.propertyId || !propertyIds.includes(a.propertyId))
+    .map(a => ({ description: a.description, amount: roundMoney(a.amount) }));
+
+  const total = (pick) => roundMoney(properties.reduce((sum, p) => sum + pick(p), 0));
+  const generalAdjustmentTotal = roundMoney(generalAdjustments.reduce((sum, a) => sum + a.amount, 0));
+
+  const summary = {
+    rentCollected: total(p => p.collections.rent),
+    serviceChargeCollected: total(p => p.collections.serviceCharge),
+    vatCollected: total(p => p.collections.vat),
+    grossCollections: total(p => p.collections.total),
+    commissionDeductions: total(p => p.deductions.commission),
+    serviceProviderCharges: total(p => p.deductions.serviceProviders),
+    billsPaidOnBehalf: total(p => p.deductions.billsPaidOnBehalf),
+    otherDeductions: roundMoney(total(p => p.deductions.other) + generalAdjustmentTotal)
+  };
+  summary.totalDeductions = roundMoney(
+    summary.commissionDeductions + summary.serviceProviderCharges + summary.billsPaidOnBehalf + summary.otherDeductions
+  );
+  summary.netRemittance = roundMoney(summary.grossCollections - summary.totalDeductions);
+
+  return {
+    landlord: {
+      id: landlord.id,
+      name: landlord.name,
+      email: landlord.email,
+      phone: landlord.phone,
+      address: landlord.address
+    },
+    periodStart: start,
+    periodEnd: new Date(periodEnd.getFullYear(), periodEnd.getMonth(), periodEnd.getDate()),
+    properties,
+    generalAdjustments,
+    summary
+  };
+}
@@ -0,0 +1,427 @@
+import prisma from '../lib/prisma.js';
+import { postLateFeeCharge, postLateFeePayment, postLateFeeWaiver } from './ledgerService.js';
+import { httpError } from '../utils/httpError.js';
+import { roundMoney } from '../utils/money.js';
+import { TIMEZONE, startOfDay, addDays, dateKey } from '../utils/timezone.js';
+
+// Used for overdue marking on properties without a late fee policy
+export const DEFAULT_GRACE_PERIOD_DAYS = 5;
+
+export const VALID_LATE_FEE_TYPES = ['FLAT', 'PERCENTAGE', 'DAILY_INTEREST'];
+
+// Late fees that still carry a balance
+export const OPEN_LATE_FEE_STATUSES = ['OUTSTANDING', 'PARTIAL'];
+
+// Invoice statuses flipped to OVERDUE once the grace period has passed
+const MARKABLE_STATUSES = ['UNPAID', 'PARTIAL'];
+
+// Moved-out tenants' balances are settled on the move-out, not chased with fees
+const CHARGEABLE_TENANT = { status: 'ACTIVE' };
+
+// ======================================================
+// DATE HELPERS
+// ======================================================
+
+const formatMonthYear = (date) =>
+  date.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: TIMEZONE });
+
+/**
+ * First day an invoice counts as overdue: the due date plus the grace period days
+ */
+export const firstOverdueDay = (dueDate, gracePeriodDays) =>
+  addDays(startOfDay(new Date(dueDate)), gracePeriodDays + 1);
+
+// ======================================================
+// FEE CALCULATION
+// ======================================================
+
+/**
+ * Late fee on an overdue balance before caps.
+ * FLAT is a fixed fee, PERCENTAGE a one-off share of the balance and
+ * DAILY_INTEREST simple interest on the balance for the given number of days.
+ */
+export const calculateLateFee = (policy, { balance, days = 0 }) => {
+  switch (policy.feeType) {
+    case 'FLAT':
+      return roundMoney(policy.flatAmount);
+    case 'PERCENTAGE':
+      return roundMoney((balance * (policy.percentage || 0)) / 100);
+    case 'DAILY_INTEREST':
+      return roundMoney((balance * (policy.dailyInterestRate || 0) / 100) * days);
+    default:
+      return 0;
+  }
+};
+
+/**
+ * What is left under the policy caps for one invoice, given the fees already
+ * charged on it (waived amounts excluded). Infinity when the policy has no cap.
+ */
+export const remainingFeeCap = (policy, invoiceTotal, feesToDate) => {
+  const caps = [];
+  if (policy.maxFeeAmount > 0) caps.push(policy.maxFeeAmount);
+  if (policy.maxFeePercent > 0) caps.push((invoiceTotal * policy.maxFeePercent) / 100);
+
+  if (caps.length === 0) return Infinity;
+  return Math.max(0, roundMoney(Math.min(...caps) - feesToDate));
+};
+
+// ======================================================
+// OVERDUE MARKING
+// ======================================================
+
+/**
+ * Flip unpaid and part-paid rent and bill invoices to OVERDUE once their property's
+ * grace period has passed. Invoices of tenants who have moved out are left alone;
+ * their balances are settled on the move-out.
+ *
+ * @param {Date} [asOf=new Date()]
+ * @returns {Promise<{ invoices: number, billInvoices: number }>} Number of rows marked
+ */
+export async function markOverdueInvoices(asOf = new Date()) {
+  const today = startOfDay(asOf);
+  const properties = await prisma.property.findMany({
+    select: { id: true, lateFeePolicy: { select: { gracePeriodDays: true } } }
+  });
+
+  const marked = { invoices: 0, billInvoices: 0 };
+
+  for (const property of properties) {
+    const graceDays = property.lateFeePolicy?.gracePeriodDays ?? DEFAULT_GRACE_PERIOD_DAYS;
+    const where = {
+      status: { in: MARKABLE_STATUSES },
+      balance: { gt: 0 },
+      dueDate: { lt: addDays(today, -graceDays) },
+      tenant: { ...CHARGEABLE_TENANT, unit: { propertyId: property.id } }
+    };
+
+    const [invoices, billInvoices] = await Promise.all([
+      prisma.invoice.updateMany({ where, data: { status: 'OVERDUE' } }),
+      prisma.billInvoice.updateMany({ where, data: { status: 'OVERDUE' } })
+    ]);
+
+    marked.invoices += invoices.count;
+    marked.billInvoices += billInvoices.count;
+  }
+
+  return marked;
+}
+
+// ======================================================
+// FEE ASSESSMENT
+// ======================================================
+
+const lateFeeSelect = {
+  id: true,
+  assessmentKey: true,
+  feeType: true,
+  amount: true,
+  amountPaid: true,
+  waivedAmount: true,
+  balance: true,
+  status: true,
+  accruedThrough: true
+};
+
+/**
+ * Overdue rent (and, if the policy says so, bill) invoices of the current tenants
+ * of a policy's property, as one shape: { kind, id, number, label, tenantId, total, balance, dueDate, lateFees }
+ */
+async function findOverdueItems(policy) {
+  const where = {
+    status: 'OVERDUE',
+    balance: { gt: 0 },
+    tenant: { ...CHARGEABLE_TENANT, unit: { propertyId: policy.propertyId } }
+  };
+
+  const [invoices, billInvoices] = await Promise.all([
+    prisma.invoice.findMany({
+      where,
+      select: {
+        id: true, invoiceNumber: true, paymentPeriod: true, tenantId: true,
+        totalDue: true, balance: true, dueDate: true, lateFees: { select: lateFeeSelect }
+      }
+    }),
+    policy.applyToBillInvoices
+      ? prisma.billInvoice.findMany({
+        where,
+        select: {
+          id: true, invoiceNumber: true, billType: true, tenantId: true,
+          grandTotal: true, balance: true, dueDate: true, lateFees: { select: lateFeeSelect }
+        }
+      })
+      : []
+  ]);
+
+  return [
+    ...invoices.map(inv => ({
+      kind: 'INVOICE',
+      id: inv.id,
+      number: inv.invoiceNumber,
+      label: inv.paymentPeriod,
+      tenantId: inv.tenantId,
+      total: inv.totalDue,
+      balance: inv.balance,
+      dueDate: inv.dueDate,
+      lateFees: inv.lateFees
+    })),
+    ...billInvoices.map(inv => ({
+      kind: 'BILL_INVOICE',
+      id: inv.id,
+      number: inv.invoiceNumber,
+      label: `${inv.billType} bill`,
+      tenantId: inv.tenantId,
+      total: inv.grandTotal,
+      balance: inv.balance,
+      dueDate: inv.dueDate,
+      lateFees: inv.lateFees
+    }))
+  ];
+}
+
+// Create a fee line and post it to the ledger
+async function createFee(policy, item, { assessmentKey, description, amount, rate, accruedFrom = null, accruedThrough = null, assessedDate }) {
+  return await prisma.$transaction(async (tx) => {
+    const fee = await tx.lateFee.create({
+      data: {
+        assessmentKey,
+        tenantId: item.tenantId,
+        propertyId: policy.propertyId,
+        invoiceId: item.kind === 'INVOICE' ? item.id : null,
+        billInvoiceId: item.kind === 'BILL_INVOICE' ? item.id : null,
+        feeType: policy.feeType,
+        description,
+        basisAmount: roundMoney(item.balance),
+        rate,
+        accruedFrom,
+        accruedThrough,
+        amount,
+        balance: amount,
+        assessedDate
+      }
+    });
+
+    await postLateFeeCharge(tx, fee, {
+      amount,
+      sourceKey: `LATE_FEE:${fee.id}:${dateKey(accruedThrough || assessedDate)}`,
+      entryDate: assessedDate
+    });
+
+    return fee;
+  });
+}
+
+// One-off FLAT or PERCENTAGE fee, charged once per invoice
+async function assessOneOffFee(policy, item, cap, today) {
+  const assessmentKey = `${item.kind}:${item.id}:${policy.feeType}`;
+  if (item.lateFees.some(fee => fee.assessmentKey === assessmentKey)) return null;
+
+  const amount = Math.min(calculateLateFee(policy, { balance: item.balance }), cap);
+  if (!(amount > 0)) return null;
+
+  const description = policy.feeType === 'FLAT'
+    ? `Late payment fee - ${item.number} (${item.label})`
+    : `Late payment penalty ${policy.percentage}% - ${item.number} (${item.label})`;
+
+  return await createFee(policy, item, {
+    assessmentKey,
+    description,
+    amount: roundMoney(amount),
+    rate: policy.feeType === 'PERCENTAGE' ? policy.percentage : null,
+    assessedDate: today
+  });
+}
+
+// Daily interest for one day on that day's balance, kept as one line per invoice
+// per calendar month. Each night charges only its own day: the balance on a day
+// the job did not run is not known afterwards, so such a day is not charged.
+async function accrueInterest(policy, item, cap, today) {
+  const interestFees = item.lateFees.filter(fee => fee.feeType === 'DAILY_INTEREST' && fee.accruedThrough);
+  if (interestFees.some(fee => new Date(fee.accruedThrough) >= today)) return [];
+
+  const amount = roundMoney(Math.min(calculateLateFee(policy, { balance: item.balance, days: 1 }), cap));
+  const assessmentKey = `${item.kind}:${item.id}:INTEREST:${dateKey(today).slice(0, 7)}`;
+  const existing = item.lateFees.find(fee => fee.assessmentKey === assessmentKey);
+
+  if (existing?.status === 'WAIVED') {
+    // Interest waived for the month stays waived; just move the accrual on
+    await prisma.lateFee.update({ where: { id: existing.id }, data: { accruedThrough: today } });
+    return [];
+  }
+  if (!(amount > 0)) return [];
+
+  if (existing) {
+    const fee = await prisma.$transaction(async (tx) => {
+      const updated = await tx.lateFee.update({
+        where: { id: existing.id },
+        data: {
+          amount: roundMoney(existing.amount + amount),
+          balance: roundMoney(existing.balance + amount),
+          basisAmount: roundMoney(item.balance),
+          accruedThrough: today,
+          status: existing.amountPaid > 0 ? 'PARTIAL' : 'OUTSTANDING'
+        }
+      });
+
+      await postLateFeeCharge(tx, updated, {
+        amount,
+        sourceKey: `LATE_FEE:${updated.id}:${dateKey(today)}`,
+        entryDate: today
+      });
+
+      return updated;
+    });
+    return [{ fee, amount }];
+  }
+
+  const fee = await createFee(policy, item, {
+    assessmentKey,
+    description: `Late payment interest ${policy.dailyInterestRate}% per day - ${item.number} (${formatMonthYear(today)})`,
+    amount,
+    rate: policy.dailyInterestRate,
+    accruedFrom: today,
+    accruedThrough: today,
+    assessedDate: today
+  });
+  return [{ fee, amount }];
+}
+
+/**
+ * Charge late fees on every overdue invoice of properties with an active policy.
+ * Safe to run more than once a day: one-off fees are keyed per invoice and daily
+ * interest is charged once per day.
+ *
+ * @param {Date} [asOf=new Date()]
+ * @returns {Promise<object>} Counts, total charged and any invoices that failed
+ */
+export async function assessLateFees(asOf = new Date()) {
+  const today = startOfDay(asOf);
+  const policies = await prisma.lateFeePolicy.findMany({ where: { isActive: true } });
+
+  const summary = { propertiesProcessed: 0, feesCharged: 0, totalCharged: 0, failed: [] };
+
+  for (const policy of policies) {
+    summary.propertiesProcessed++;
+    const items = await findOverdueItems(policy);
+
+    for (const item of items) {
+      if (today < firstOverdueDay(item.dueDate, policy.gracePeriodDays)) continue;
+
+      try {
+        const feesToDate = item.lateFees.reduce((sum, fee) => sum + fee.amount - fee.waivedAmount, 0);
+        const cap = remainingFeeCap(policy, item.total, feesToDate);
+        if (cap <= 0) continue;
+
+        if (policy.feeType === 'DAILY_INTEREST') {
+          const charged = await accrueInterest(policy, item, cap, today);
+          summary.feesCharged += charged.length;
+          summary.totalCharged += charged.reduce((sum, c) => sum + c.amount, 0);
+        } else {
+          const fee = await assessOneOffFee(policy, item, cap, today);
+          if (fee) {
+            summary.feesCharged++;
+            summary.totalCharged += fee.amount;
+          }
+        }
+      } catch (error) {
+        console.error(`Late fee assessment failed for ${item.number}:`, error);
+        summary.failed.push({ invoiceNumber: item.number, reason: error.message });
+      }
+    }
+  }
+
+  summary.totalCharged = roundMoney(summary.totalCharged);
+  return summary;
+}
+
+/**
+ * Nightly job: mark invoices overdue, then charge late fees on them
+ */
+export async function runOverdueAndLateFees(asOf = new Date()) {
+  const marked = await markOverdueInvoices(asOf);
+  const fees = await assessLateFees(asOf);
+  return { marked, fees };
+}
+
+// ======================================================
+// PAYMENTS, WAIVERS AND LOOKUPS
+// ======================================================
+
+/**
+ * Record money received against a late fee
+ * @param {string} feeId
+ * @param {object} payment - { amount, paidAt, recordedById }
+ */
+export async function recordLateFeePayment(feeId, { amount, paidAt = new Date(), recordedById = null }) {
+  return await prisma.$transaction(async (tx) => {
+    const fee = await tx.lateFee.findUnique({ where: { id: feeId } });
+    if (!fee) {
+      throw httpError(404, 'Late fee not found');
+    }
+    if (!OPEN_LATE_FEE_STATUSES.includes(fee.status) || fee.balance <= 0) {
+      throw httpError(400, `Late fee is ${fee.status.toLowerCase()} and has no balance to pay`);
+    }
+    if (amount > fee.balance + 0.01) {
+      throw httpError(400, `Payment (${amount}) exceeds the late fee balance (${fee.balance})`);
+    }
+
+    const applied = Math.min(roundMoney(amount), fee.balance);
+    const balance = roundMoney(fee.balance - applied);
+
+    const updated = await tx.lateFee.update({
+      where: { id: fee.id },
+      data: {
+        amountPaid: roundMoney(fee.amountPaid + applied),
+        balance,
+        status: balance <= 0.01 ? 'PAID' : 'PARTIAL'
+      }
+    });
+
+    await postLateFeePayment(tx, fee, { amount: applied, entryDate: paidAt, createdById: recordedById });
+
+    return updated;
+  });
+}
+
+/**
+ * Waive the unpaid balance of a late fee
+ * @param {string} feeId
+ * @param {object} waiver - { reason, waivedById }
+ */
+export async function waiveLateFee(feeId, { reason, waivedById = null }) {
+  return await prisma.$transaction(async (tx) => {
+    const fee = await tx.lateFee.findUnique({ where: { id: feeId } });
+    if (!fee) {
+      throw httpError(404, 'Late fee not found');
+    }
+    if (!OPEN_LATE_FEE_STATUSES.includes(fee.status) || fee.balance <= 0) {
+      throw httpError(400, `Late fee is ${fee.status.toLowerCase()} and has no balance to waive`);
+    }
+
+    const updated = await tx.lateFee.update({
+      where: { id: fee.id },
+      data: {
+        waivedAmount: roundMoney(fee.waivedAmount + fee.balance),
+        balance: 0,
+        status: 'WAIVED',
+        waivedAt: new Date(),
+        waivedById,
+        waiverReason: reason
+      }
+    });
+
+    await postLateFeeWaiver(tx, fee, { amount: fee.balance, createdById: waivedById });
+
+    return updated;
+  });
+}
+
+/**
+ * Unpaid late fees for a tenant, oldest first (for demand letters)
+ */
+export const getOutstandingLateFees = (tenantId, client = prisma) =>
+  client.lateFee.findMany({
+    where: { tenantId, status: { in: OPEN_LATE_FEE_STATUSES }, balance: { gt: 0 } },
+    select: { id: true, description: true, amount: true, balance: true, assessedDate: true },
+    orderBy: { assessedDate: 'asc' }
+  });
@@ -0,0 +1,172 @@
+import prisma from '../lib/prisma.js';
+import { roundMoney } from '../utils/money.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Invoice statuses that can still carry an unpaid balance
+const OPEN_INVOICE_STATUSES = ['UNPAID', 'PARTIAL', 'OVERDUE'];
+
+// Leases that are still running (not yet renewed, terminated or expired)
+export const CURRENT_LEASE_STATUSES = ['ACTIVE', 'NOTICE_GIVEN'];
+
+// ======================================================
+// LEASE TERM HELPERS
+// ======================================================
+
+/**
+ * Lease term in months from the free-text Tenant.leaseTerm, e.g. "12 months",
+ * "2 years" or "3" (a bare number is taken as years, as on offer letters).
+ * Returns null when the term cannot be read.
+ */
+export const parseLeaseTermMonths = (leaseTerm) => {
+  if (leaseTerm === undefined || leaseTerm === null) return null;
+
+  const termStr = leaseTerm.toString().toLowerCase();
+  const match = termStr.match(/(\d+(?:\.\d+)?)/);
+  if (!match) return null;
+
+  const num = parseFloat(match[1]);
+  if (!(num > 0)) return null;
+
+  if (termStr.includes('month')) return Math.round(num);
+  if (termStr.includes('year') || /^\s*\d+(\.\d+)?\s*$/.test(termStr)) return Math.round(num * 12);
+
+  return null;
+};
+
+export const addMonths = (date, months) => {
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + months);
+  // Clamp to the last day of the target month (31 Jan + 1 month = 28/29 Feb)
+  const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, lastDay));
+  return d;
+};
+
+export const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+/**
+ * Last day of a lease running for the given number of months from startDate
+ */
+export const leaseEndDate = (startDate, months) => addDays(addMonths(startDate, months), -1);
+
+/**
+ * Human-readable term stored back on Tenant.leaseTerm when a lease is renewed
+ */
+export const describeLeaseTerm = (months) => {
+  if (months % 12 === 0) {
+    const years = months / 12;
+    return `${years} year${years !== 1 ? 's' : ''}`;
+  }
+  return `${months} month${months !== 1 ? 's' : ''}`;
+};
+
+/**
+ * Whole months between two lease dates (start inclusive, end inclusive)
+ */
+export const monthsBetween = (startDate, endDate) => {
+  const start = new Date(startDate);
+  const endExclusive = addDays(endDate, 1);
+  return Math.max(1, Math.round(
+    (endExclusive.getFullYear() - start.getFullYear()) * 12 +
+    (endExclusive.getMonth() - start.getMonth()) +
+    (endExclusive.getDate() - start.getDate()) / 30
+  ));
+};
+
+/**
+ * Rent for a renewed lease, applying the escalation rate carried forward from the
+ * previous lease (a percentage, e.g. 5 for 5%)
+ */
+export const escalateRent = (rent, escalationRate) => {
+  if (!escalationRate) return roundMoney(rent);
+  return roundMoney(rent * (1 + escalationRate / 100));
+};
+
+/**
+ * Earliest date a lease can end after notice is given on noticeDate
+ */
+export const earliestTerminationDate = (noticeDate, noticePeriodDays) =>
+  addDays(noticeDate, Number(noticePeriodDays) || 0);
+
+// ======================================================
+// MOVE-OUT SETTLEMENT
+// ======================================================
+
+/**
+ * Normalise itemised deductions ([{ description, amount }]) submitted at move-out
+ */
+const normalizeDeductionItems = (items, category) => {
+  if (!Array.isArray(items)) return [];
+
+  return items.map(item => ({
+    category,
+    description: String(item.description || '').trim(),
+    amount: roundMoney(item.amount)
+  }));
+};
+
+/**
+ * Compute the deposit settlement for a tenant moving out.
+ *
+ * The deposit held (Tenant.depositBalance, the balance of the deposit ledger)
+ * plus any overpayment credit is set against unpaid rent
+ * invoices, unpaid bill invoices and itemised damages / other deductions.
+ * What is left is refunded; any shortfall is reported as amountDue.
+ *
+ * @param {object} tenant - Tenant record (id, depositBalance)
+ * @param {object} [deductions]
+ * @param {Array<{description: string, amount: number}>} [deductions.damages]
+ * @param {Array<{description: string, amount: number}>} [deductions.otherDeductions]
+ * @returns {Promise<object>} Settlement figures and the open invoices behind them
+ */
+export async function calculateMoveOutSettlement(tenant, { damages = [], otherDeductions = [] } = {}, client = prisma) {
+  const [invoices, billInvoices, creditRecord] = await Promise.all([
+    client.invoice.findMany({
+      where: { tenantId: tenant.id, status: { in: OPEN_INVOICE_STATUSES }, balance: { gt: 0 } },
+      select: { id: true, invoiceNumber: true, paymentPeriod: true, dueDate: true, totalDue: true, amountPaid: true, balance: true },
+      orderBy: { dueDate: 'asc' }
+    }),
+    client.billInvoice.findMany({
+      where: { tenantId: tenant.id, status: { in: OPEN_INVOICE_STATUSES }, balance: { gt: 0 } },
+      select: { id: true, invoiceNumber: true, billType: true, dueDate: true, grandTotal: true, amountPaid: true, balance: true },
+      orderBy: { dueDate: 'asc' }
+    }),
+    client.paymentReport.findFirst({
+      where: { tenantId: tenant.id, status: 'CREDIT' },
+      orderBy: { createdAt: 'desc' },
+      select: { id: true, amountPaid: true }
+    })
+  ]);
+
+  const damageItems = normalizeDeductionItems(damages, 'DAMAGES');
+  const otherItems = normalizeDeductionItems(otherDeductions, 'OTHER');
+
+  const depositHeld = roundMoney(tenant.depositBalance);
+  const creditBalance = roundMoney(Math.max(0, creditRecord?.amountPaid || 0));
+  const outstandingRent = roundMoney(invoices.reduce((sum, inv) => sum + inv.balance, 0));
+  const outstandingBills = roundMoney(billInvoices.reduce((sum, inv) => sum + inv.balance, 0));
+  const damagesTotal = roundMoney(damageItems.reduce((sum, item) => sum + item.amount, 0));
+  const otherTotal = roundMoney(otherItems.reduce((sum, item) => sum + item.amount, 0));
+
+  const totalDeductions = roundMoney(outstandingRent + outstandingBills + damagesTotal + otherTotal);
+  const available = roundMoney(depositHeld + creditBalance);
+
+  return {
+    depositHeld,
+    creditBalance,
+    creditRecordId: creditRecord?.id || null,
+    outstandingRent,
+    outstandingBills,
+    damages: damagesTotal,
+    otherDeductions: otherTotal,
+    deductionItems: [...damageItems, ...otherItems],
+    totalDeductions,
+    refundAmount: roundMoney(Math.max(0, available - totalDeductions)),
+    amountDue: roundMoney(Math.max(0, totalDeductions - available)),
+    openInvoices: invoices,
+    openBillInvoices: billInvoices
+  };
+}
@@ -0,0 +1,706 @@
+import prisma from '../lib/prisma.js';
+import { nextNumber } from './sequenceService.js';
+import { roundMoney } from '../utils/money.js';
+
+// ======================================================
+// CHART OF ACCOUNTS
+// ======================================================
+
+// Account codes the automatic postings depend on
+export const LEDGER_ACCOUNTS = {
+  CASH: '1000',
+  RENT_RECEIVABLE: '1100',
+  UTILITY_RECEIVABLE: '1110',
+  TENANT_CREDITS: '2000',
+  VAT_PAYABLE: '2100',
+  COMMISSION_PAYABLE: '2200',
+  DEPOSITS_HELD: '2300',
+  OPENING_EQUITY: '3000',
+  RENT_INCOME: '4000',
+  SERVICE_CHARGE_INCOME: '4010',
+  UTILITY_INCOME: '4100',
+  OTHER_INCOME: '4200',
+  LATE_FEE_INCOME: '4300',
+  COMMISSION_EXPENSE: '5000',
+  SALARIES_EXPENSE: '5100',
+  SERVICE_PROVIDER_EXPENSE: '5200',
+  DEPOSIT_INTEREST_EXPENSE: '5300'
+};
+
+const DEFAULT_ACCOUNTS = [
+  { code: LEDGER_ACCOUNTS.CASH, name: 'Cash and Bank', type: 'ASSET' },
+  { code: LEDGER_ACCOUNTS.RENT_RECEIVABLE, name: 'Rent Receivable', type: 'ASSET' },
+  { code: LEDGER_ACCOUNTS.UTILITY_RECEIVABLE, name: 'Utility Receivable', type: 'ASSET' },
+  { code: LEDGER_ACCOUNTS.TENANT_CREDITS, name: 'Tenant Credits and Prepayments', type: 'LIABILITY' },
+  { code: LEDGER_ACCOUNTS.VAT_PAYABLE, name: 'VAT Payable', type: 'LIABILITY' },
+  { code: LEDGER_ACCOUNTS.COMMISSION_PAYABLE, name: 'Commission Payable', type: 'LIABILITY' },
+  { code: LEDGER_ACCOUNTS.DEPOSITS_HELD, name: 'Tenant Deposits Held', type: 'LIABILITY' },
+  { code: LEDGER_ACCOUNTS.OPENING_EQUITY, name: 'Opening Balance Equity', type: 'EQUITY' },
+  { code: LEDGER_ACCOUNTS.RENT_INCOME, name: 'Rent Income', type: 'INCOME' },
+  { code: LEDGER_ACCOUNTS.SERVICE_CHARGE_INCOME, name: 'Service Charge Income', type: 'INCOME' },
+  { code: LEDGER_ACCOUNTS.UTILITY_INCOME, name: 'Utility Income', type: 'INCOME' },
+  { code: LEDGER_ACCOUNTS.OTHER_INCOME, name: 'Other Income', type: 'INCOME' },
+  { code: LEDGER_ACCOUNTS.LATE_FEE_INCOME, name: 'Late Fee and Penalty Income', type: 'INCOME' },
+  { code: LEDGER_ACCOUNTS.COMMISSION_EXPENSE, name: 'Manager Commission Expense', type: 'EXPENSE' },
+  { code: LEDGER_ACCOUNTS.SALARIES_EXPENSE, name: 'Salaries Expense', type: 'EXPENSE' },
+  { code: LEDGER_ACCOUNTS.SERVICE_PROVIDER_EXPENSE, name: 'Service Provider Expense', type: 'EXPENSE' },
+  { code: LEDGER_ACCOUNTS.DEPOSIT_INTEREST_EXPENSE, name: 'Deposit Interest Expense', type: 'EXPENSE' }
+];
+
+// Accounts whose balance increases on the debit side
+export const DEBIT_NORMAL_TYPES = ['ASSET', 'EXPENSE'];
+
+// Allowed rounding difference between total debits and total credits
+const BALANCE_TOLERANCE = 0.005;
+
+/**
+ * Create any missing system accounts (safe to call repeatedly)
+ * @param {Prisma.TransactionClient} client - Prisma client or transaction client
+ */
+export const ensureDefaultAccounts = async (client = prisma) => {
+  await client.ledgerAccount.createMany({
+    data: DEFAULT_ACCOUNTS.map(account => ({ ...account, isSystem: true })),
+    skipDuplicates: true
+  });
+};
+
+/**
+ * Resolve ledger accounts by code, creating the default chart on first use
+ * @param {Prisma.TransactionClient} client
+ * @param {string[]} codes
+ * @returns {Promise<Object<string, object>>} - Accounts keyed by code
+ */
+const getAccountsByCode = async (client, codes) => {
+  let accounts = await client.ledgerAccount.findMany({
+    where: { code: { in: codes } }
+  });
+
+  if (accounts.length < codes.length) {
+    await ensureDefaultAccounts(client);
+    accounts = await client.ledgerAccount.findMany({
+      where: { code: { in: codes } }
+    });
+  }
+
+  const byCode = Object.fromEntries(accounts.map(account => [account.code, account]));
+  const missing = codes.filter(code => !byCode[code]);
+  if (missing.length > 0) {
+    throw new Error(`Ledger account(s) not found: ${missing.join(', ')}`);
+  }
+
+  return byCode;
+};
+
+/**
+ * Generate the next journal entry number (JE-YYYYMM-000001 unless configured otherwise)
+ * @param {Prisma.TransactionClient} client
+ */
+const generateJournalEntryNumber = async (client) => nextNumber('JOURNAL_ENTRY', { client });
+
+// ======================================================
+// CORE POSTING
+// ======================================================
+
+/**
+ * Post a balanced journal entry.
+ *
+ * Lines reference accounts by `accountCode` or `accountId` and carry either a
+ * debit or a credit. Zero lines are dropped. When a `sourceKey` is given and an
+ * entry with that key already exists, the existing entry is returned instead of
+ * posting twice.
+ *
+ * @param {Prisma.TransactionClient} client - Prisma client or transaction client
+ * @param {object} entry
+ * @returns {Promise<object|null>} - The journal entry with postings, or null if every line was zero
+ */
+export const postJournalEntry = async (client, {
+  description,
+  sourceType,
+  sourceId = null,
+  sourceKey = null,
+  propertyId = null,
+  tenantId = null,
+  entryDate = new Date(),
+  createdById = null,
+  reversalOfId = null,
+  lines = []
+}) => {
+  if (sourceKey) {
+    const existing = await client.journalEntry.findUnique({
+      where: { sourceKey },
+      include: { postings: true }
+    });
+    if (existing) return existing;
+  }
+
+  const normalizedLines = lines
+    .map(line => ({
+      ...line,
+      debit: roundMoney(line.debit),
+      credit: roundMoney(line.credit)
+    }))
+    .filter(line => line.debit !== 0 || line.credit !== 0);
+
+  if (normalizedLines.length === 0) {
+    return null;
+  }
+
+  for (const line of normalizedLines) {
+    if (line.debit < 0 || line.credit < 0) {
+      throw new Error('Ledger lines cannot carry negative amounts');
+    }
+    if (line.debit > 0 && line.credit > 0) {
+      throw new Error('A ledger line must be either a debit or a credit, not both');
+    }
+  }
+
+  const totalDebit = roundMoney(normalizedLines.reduce((sum, line) => sum + line.debit, 0));
+  const totalCredit = roundMoney(normalizedLines.reduce((sum, line) => sum + line.credit, 0));
+
+  if (Math.abs(totalDebit - totalCredit) > BALANCE_TOLERANCE) {
+    throw new Error(`Unbalanced journal entry: debits ${totalDebit} != credits ${totalCredit}`);
+  }
+
+  const codes = [...new Set(normalizedLines.filter(line => !line.accountId).map(line => line.accountCode))];
+  const accountsByCode = codes.length > 0 ? await getAccountsByCode(client, codes) : {};
+
+  const entryNumber = await generateJournalEntryNumber(client);
+
+  return await client.journalEntry.create({
+    data: {
+      entryNumber,
+      entryDate,
+      description,
+      sourceType,
+      sourceId,
+      sourceKey,
+      propertyId,
+      tenantId,
+      createdById,
+      reversalOfId,
+      postings: {
+        create: normalizedLines.map(line => ({
+          accountId: line.accountId || accountsByCode[line.accountCode].id,
+          debit: line.debit,
+          credit: line.credit,
+          memo: line.memo || null
+        }))
+      }
+    },
+    include: { postings: true }
+  });
+};
+
+/**
+ * Post the mirror image of an existing entry
+ * @param {Prisma.TransactionClient} client
+ * @param {string} journalEntryId
+ * @param {object} [options]
+ */
+export const reverseJournalEntry = async (client, journalEntryId, { createdById = null, description = null } = {}) => {
+  const original = await client.journalEntry.findUnique({
+    where: { id: journalEntryId },
+    include: { postings: true, reversedBy: true }
+  });
+
+  if (!original) {
+    throw new Error('Journal entry not found');
+  }
+  if (original.reversedBy) {
+    throw new Error(`Journal entry ${original.entryNumber} has already been reversed`);
+  }
+  if (original.reversalOfId) {
+    throw new Error('A reversal entry cannot itself be reversed');
+  }
+
+  return await postJournalEntry(client, {
+    description: description || `Reversal of ${original.entryNumber}: ${original.description}`,
+    sourceType: 'REVERSAL',
+    sourceId: original.id,
+    propertyId: original.propertyId,
+    tenantId: original.tenantId,
+    createdById,
+    reversalOfId: original.id,
+    lines: original.postings.map(posting => ({
+      accountId: posting.accountId,
+      debit: posting.credit,
+      credit: posting.debit,
+      memo: posting.memo
+    }))
+  });
+};
+
+// ======================================================
+// POSTING RULES
+// ======================================================
+
+/**
+ * Rent invoice: Dr Rent Receivable / Cr Rent Income, Service Charge Income, VAT Payable.
+ * When the invoice is issued against money already received (e.g. linked to a
+ * payment report), pass `prepaidAmount` to move it from Tenant Credits onto the receivable.
+ * @param {Prisma.TransactionClient} client
+ * @param {object} invoice - Invoice record
+ * @param {object} [options] - { propertyId, prepaidAmount, createdById }
+ */
+export const postInvoiceCharge = async (client, invoice, { propertyId = null, prepaidAmount = 0, createdById = null } = {}) => {
+  const totalDue = roundMoney(invoice.totalDue);
+  const vat = Math.min(roundMoney(invoice.vat), totalDue);
+  const netIncome = roundMoney(totalDue - vat);
+
+  // Split the VAT-exclusive amount between rent and service charge in proportion
+  // to the invoice lines, so withholding or rounding adjustments still balance.
+  const rent = Number(invoice.rent) || 0;
+  const serviceCharge = Number(invoice.serviceCharge) || 0;
+  const serviceChargeIncome = rent + serviceCharge > 0
+    ? roundMoney(netIncome * (serviceCharge / (rent + serviceCharge)))
+    : 0;
+  const rentIncome = roundMoney(netIncome - serviceChargeIncome);
+  const prepaid = Math.min(roundMoney(prepaidAmount), totalDue);
+
+  return await postJournalEntry(client, {
+    description: `Invoice ${invoice.invoiceNumber} for ${invoice.paymentPeriod}`,
+    sourceType: 'INVOICE',
+    sourceId: invoice.id,
+    sourceKey: `INVOICE:${invoice.id}`,
+    propertyId,
+    tenantId: invoice.tenantId,
+    entryDate: invoice.issueDate || new Date(),
+    createdById,
+    lines: [
+      { accountCode: LEDGER_ACCOUNTS.RENT_RECEIVABLE, debit: totalDue, memo: invoice.invoiceNumber },
+      { accountCode: LEDGER_ACCOUNTS.RENT_INCOME, credit: rentIncome },
+      { accountCode: LEDGER_ACCOUNTS.SERVICE_CHARGE_INCOME, credit: serviceChargeIncome },
+      { accountCode: LEDGER_ACCOUNTS.VAT_PAYABLE, credit: vat },
+      { accountCode: LEDGER_ACCOUNTS.TENANT_CREDITS, debit: prepaid, memo: 'Prepayment applied' },
+      { accountCode: LEDGER_ACCOUNTS.RENT_RECEIVABLE, credit: prepaid, memo: 'Prepayment applied' }
+    ]
+  });
+};
+
+/**
+ * Tenant payment: Dr Cash (and Tenant Credits for credit used) / Cr Rent Receivable
+ * for the amount applied to invoices, with any excess held in Tenant Credits.
+ * @param {Prisma.TransactionClient} client
+ * @param {object} payment - { report, tenantId, propertyId, amountReceived, creditUsed, receivableApplied, createdById }
+ */
+export const postTenantPayment = async (client, {
+  report,
+  tenantId,
+  propertyId = null,
+  amountReceived,
+  creditUsed = 0,
+  receivableApplied = 0,
+  createdById = null
+}) => {
+  const cash = roundMoney(amountReceived);
+  const credit = roundMoney(creditUsed);
+  const available = roundMoney(cash + credit);
+  const applied = Math.min(roundMoney(receivableApplied), available);
+  const unapplied = roundMoney(available - applied);
+
+  return await postJournalEntry(client, {
+    description: `Payment received${report.paymentPeriod ? ` for ${new Date(report.paymentPeriod).toISOString().slice(0, 7)}` : ''}`,
+    sourceType: 'PAYMENT',
+    sourceId: report.id,
+    sourceKey: `PAYMENT:${report.id}`,
+    propertyId,
+    tenantId,
+    entryDate: report.datePaid || new Date(),
+    createdById,
+    lines: [
+      { accountCode: LEDGER_ACCOUNTS.CASH, debit: cash },
+      { accountCode: LEDGER_ACCOUNTS.TENANT_CREDITS, debit: credit, memo: 'Credit balance applied' },
+      { accountCode: LEDGER_ACCOUNTS.RENT_RECEIVABLE, credit: applied },
+      { accountCode: LEDGER_ACCOUNTS.TENANT_CREDITS, credit: unapplied, memo: 'Overpayment held as credit / prepayment' }
+    ]
+  });
+};
+
+/**
+ * Utility bill charge: Dr Utility Receivable / Cr Utility Income, VAT Payable.
+ * Posted once per bill, however many bill invoices are issued against it.
+ * @param {Prisma.TransactionClient} client
+ * @param {object} bill - Bill record
+ * @param {object} [options] - { propertyId, createdById }
+ */
+export const postBillCharge = async (client, bill, { propertyId = null, createdById = null } = {}) => {
+  const grandTotal = roundMoney(bill.grandTotal);
+  const vat = Math.min(roundMoney(bill.vatAmount), grandTotal);
+
+  return await postJournalEntry(client, {
+    description: `${bill.type} bill${bill.description ? ` - ${bill.description}` : ''}`,
+    sourceType: 'BILL',
+    sourceId: bill.id,
+    sourceKey: `BILL:${bill.id}`,
+    propertyId,
+    tenantId: bill.tenantId,
+    entryDate: bill.issuedAt || new Date(),
+    createdById,
+    lines: [
+      { accountCode: LEDGER_ACCOUNTS.UTILITY_RECEIVABLE, debit: grandTotal },
+      { accountCode: LEDGER_ACCOUNTS.UTILITY_INCOME, credit: roundMoney(grandTotal - vat) },
+      { accountCode: LEDGER_ACCOUNTS.VAT_PAYABLE, credit: vat }
+    ]
+  });
+};
+
+/**
+ * Utility bill payment: Dr Cash / Cr Utility Receivable
+ * @param {Prisma.TransactionClient} client
+ * @param {object} payment - { bill, amount, propertyId, sourceId, createdById }
+ */
+export const postBillPayment = async (client, { bill, amount, propertyId = null, sourceId = null, createdById = null }) => {
+  // Make sure the receivable exists before clearing it
+  await postBillCharge(client, bill, { propertyId, createdById });
+
+  return await postJournalEntry(client, {
+    description: `${bill.type} bill payment`,
+    sourceType: 'BILL_PAYMENT',
+    sourceId: sourceId || bill.id,
+    propertyId,
+    tenantId: bill.tenantId,
+    createdById,
+    lines: [
+      { accountCode: LEDGER_ACCOUNTS.CASH, debit: amount },
+      { accountCode: LEDGER_ACCOUNTS.UTILITY_RECEIVABLE, credit: amount }
+    ]
+  });
+};
+
+// Late fees sit in the same receivable as the invoice they were charged on
+const lateFeeReceivable = (fee) => fee.billInvoiceId
+  ? LEDGER_ACCOUNTS.UTILITY_RECEIVABLE
+  : LEDGER_ACCOUNTS.RENT_RECEIVABLE;
+
+/**
+ * Late fee / penalty interest: Dr Receivable / Cr Late Fee Income.
+ * Daily interest is charged in several postings on one fee, so each posting
+ * carries its own sourceKey.
+ * @param {Prisma.TransactionClient} client
+ * @param {object} fee - LateFee record
+ * @param {object} options - { amount, sourceKey, entryDate, createdById }
+ */
+export const postLateFeeCharge = async (client, fee, { amount, sourceKey, entryDate = new Date(), createdById = null }) => {
+  return await postJournalEntry(client, {
+    description: fee.description,
+    sourceType: 'LATE_FEE',
+    sourceId: fee.id,
+    sourceKey,
+    propertyId: fee.propertyId,
+    tenantId: fee.tenantId,
+    entryDate,
+    createdById,
+    lines: [
+      { accountCode: lateFeeReceivable(fee), debit: amount },
+      { accountCode: LEDGER_ACCOUNTS.LATE_FEE_INCOME, credit: amount }
+    ]
+  });
+};
+
+/**
+ * Late fee payment: Dr Cash / Cr Receivable
+ * @param {Prisma.TransactionClient} client
+ * @param {object} fee - LateFee record
+ * @param {object} options - { amount, entryDate, createdById }
+ */
+export const postLateFeePayment = async (client, fee, { amount, entryDate = new Date(), createdById = null }) => {
+  return await postJournalEntry(client, {
+    description: `Payment - ${fee.description}`,
+    sourceType: 'LATE_FEE_PAYMENT',
+    sourceId: fee.id,
+    propertyId: fee.propertyId,
+    tenantId: fee.tenantId,
+    entryDate,
+    createdById,
+    lines: [
+      { accountCode: LEDGER_ACCOUNTS.CASH, debit: amount },
+      { accountCode: lateFeeReceivable(fee), credit: amount }
+    ]
+  });
+};
+
+/**
+ * Late fee waiver: Dr Late Fee Income / Cr Receivable for the unpaid balance
+ * @param {Prisma.TransactionClient} client
+ * @param {object} fee - LateFee record
+ * @param {object} options - { amount, createdById }
+ */
+export const postLateFeeWaiver = async (client, fee, { amount, createdById = null }) => {
+  return await postJournalEntry(client, {
+    description: `Waived - ${fee.description}`,
+    sourceType: 'LATE_FEE',
+    sourceId: fee.id,
+    sourceKey: `LATE_FEE_WAIVER:${fee.id}`,
+    propertyId: fee.propertyId,
+    tenantId: fee.tenantId,
+    createdById,
+    lines: [
+      { accountCode: LEDGER_ACCOUNTS.LATE_FEE_INCOME, debit: amount },
+      { accountCode: lateFeeReceivable(fee), credit: amount }
+    ]
+  });
+};
+
+/**
+ * Credit note: the reverse of the charge it reduces.
+ * Rent invoice: Dr Rent Income, Service Charge Income, VAT Payable / Cr Rent Receivable.
+ * Bill invoice: Dr Utility Income, VAT Payable / Cr Utility Receivable.
+ * The original charge is posted first if it is missing, so the credit never
+ * clears a receivable that was not raised.
+ * @param {Prisma.TransactionClient} client
+ * @param {object} creditNote - CreditNote record
+ * @param {object} document - { invoice } or { billInvoice, bill }
+ * @param {object} [options] - { createdById }
+ */
+export const postCreditNote = async (client, creditNote, { invoice = null, billInvoice = null, bill = null }, { createdById = null } = {}) => {
+  const amount = roundMoney(creditNote.amount);
+  const vat = Math.min(roundMoney(creditNote.vatAmount), amount);
+  const netIncome = roundMoney(amount - vat);
+  let lines;
+
+  if (invoice) {
+    await postInvoiceCharge(client, invoice, { propertyId: creditNote.propertyId, createdById });
+
+    const rent = Number(invoice.rent) || 0;
+    const serviceCharge = Number(invoice.serviceCharge) || 0;
+    const serviceChargeIncome = rent + serviceCharge > 0
+      ? roundMoney(netIncome * (serviceCharge / (rent + serviceCharge)))
+      : 0;
+
+    lines = [
+      { accountCode: LEDGER_ACCOUNTS.RENT_INCOME, debit: roundMoney(netIncome - serviceChargeIncome) },
+      { accountCode: LEDGER_ACCOUNTS.SERVICE_CHARGE_INCOME, debit: serviceChargeIncome },
+      { accountCode: LEDGER_ACCOUNTS.VAT_PAYABLE, debit: vat },
+      { accountCode: LEDGER_ACCOUNTS.RENT_RECEIVABLE, credit: amount, memo: invoice.invoiceNumber }
+    ];
+  } else {
+    await postBillCharge(client, bill, { propertyId: creditNote.propertyId, createdById });
+
+    lines = [
+      { accountCode: LEDGER_ACCOUNTS.UTILITY_INCOME, debit: netIncome },
+      { accountCode: LEDGER_ACCOUNTS.VAT_PAYABLE, debit: vat },
+      { accountCode: LEDGER_ACCOUNTS.UTILITY_RECEIVABLE, credit: amount, memo: billInvoice.invoiceNumber }
+    ];
+  }
+
+  return await postJournalEntry(client, {
+    description: `Credit note ${creditNote.creditNoteNumber} against ${(invoice || billInvoice).invoiceNumber}: ${creditNote.reason}`,
+    sourceType: 'CREDIT_NOTE',
+    sourceId: creditNote.id,
+    sourceKey: `CREDIT_NOTE:${creditNote.id}`,
+    propertyId: creditNote.propertyId,
+    tenantId: creditNote.tenantId,
+    entryDate: creditNote.issueDate || new Date(),
+    createdById,
+    lines
+  });
+};
+
+// Account on the other side of Tenant Deposits Held for each deposit movement
+const depositContraAccount = (transaction) => {
+  switch (transaction.type) {
+    case 'INTEREST':
+      return LEDGER_ACCOUNTS.DEPOSIT_INTEREST_EXPENSE;
+    case 'DEDUCTION':
+      if (transaction.deductionCategory === 'RENT_ARREARS') return LEDGER_ACCOUNTS.RENT_RECEIVABLE;
+      if (transaction.deductionCategory === 'BILL_ARREARS') return LEDGER_ACCOUNTS.UTILITY_RECEIVABLE;
+      return LEDGER_ACCOUNTS.OTHER_INCOME;
+    default:
+      return LEDGER_ACCOUNTS.CASH;
+  }
+};
+
+/**
+ * Deposit movement.
+ * Receipt / top-up: Dr Cash / Cr Tenant Deposits Held.
+ * Interest: Dr Deposit Interest Expense / Cr Tenant Deposits Held.
+ * Deduction: Dr Tenant Deposits Held / Cr Rent or Utility Receivable (arrears)
+ * or Other Income (damages and other charges).
+ * Refund: Dr Tenant Deposits Held / Cr Cash.
+ * An arrears deduction posts the charge it settles first if it is missing.
+ * @param {Prisma.TransactionClient} client
+ * @param {object} transaction - DepositTransaction record
+ * @param {object} [settles] - { invoice } or { bill } for arrears deductions
+ * @param {object} [options] - { createdById }
+ */
+export const postDepositTransaction = async (client, transaction, { invoice = null, bill = null } = {}, { createdById = null } = {}) => {
+  if (invoice) {
+    await postInvoiceCharge(client, invoice, { propertyId: transaction.propertyId, createdById });
+  } else if (bill) {
+    await postBillCharge(client, bill, { propertyId: transaction.propertyId, createdById });
+  }
+
+  const amount = roundMoney(transaction.amount);
+  const increasesDeposit = ['RECEIPT', 'TOP_UP', 'INTEREST'].includes(transaction.type);
+  const contra = depositContraAccount(transaction);
+  const memo = invoice?.invoiceNumber || null;
+
+  return await postJournalEntry(client, {
+    description: `Deposit ${transaction.type.toLowerCase().replace('_', '-')} ${transaction.receiptNumber}: ${transaction.description}`,
+    sourceType: 'DEPOSIT',
+    sourceId: transaction.id,
+    sourceKey: `DEPOSIT:${transaction.id}`,
+    propertyId: transaction.propertyId,
+    tenantId: transaction.tenantId,
+    entryDate: transaction.transactionDate || new Date(),
+    createdById,
+    lines: increasesDeposit
+      ? [
+        { accountCode: contra, debit: amount },
+        { accountCode: LEDGER_ACCOUNTS.DEPOSITS_HELD, credit: amount }
+      ]
+      : [
+        { accountCode: LEDGER_ACCOUNTS.DEPOSITS_HELD, debit: amount },
+        { accountCode: contra, credit: amount, memo }
+      ]
+  });
+};
+
+/**
+ * Commission accrual: Dr Commission Expense / Cr Commission Payable
+ * @param {Prisma.TransactionClient} client
+ * @param {object} commission - ManagerCommission record
+ * @param {object} [options] - { amount, createdById } - amount defaults to commission.commissionAmount
+ */
+export const postCommissionAccrual = async (client, commission, { amount = null, createdById = null } = {}) => {
+  const accrued = roundMoney(amount ?? commission.commissionAmount);
+
+  return await postJournalEntry(client, {
+    description: `Manager commission accrued (${commission.commissionFee}%)`,
+    sourceType: 'COMMISSION',
+    sourceId: commission.id,
+    propertyId: commission.propertyId,
+    createdById,
+    lines: [
+      { accountCode: LEDGER_ACCOUNTS.COMMISSION_EXPENSE, debit: accrued },
+      { accountCode: LEDGER_ACCOUNTS.COMMISSION_PAYABLE, credit: accrued }
+    ]
+  });
+};
+
+/**
+ * Commission paid out: Dr Commission Payable / Cr Cash
+ * @param {Prisma.TransactionClient} client
+ * @param {object} commission - ManagerCommission record
+ * @param {object} [options] - { createdById }
+ */
+export const postCommissionPayment = async (client, commission, { createdById = null } = {}) => {
+  const amount = roundMoney(commission.commissionAmount);
+
+  return await postJournalEntry(client, {
+    description: 'Manager commission paid',
+    sourceType: 'COMMISSION_PAYMENT',
+    sourceId: commission.id,
+    sourceKey: `COMMISSION_PAYMENT:${commission.id}`,
+    propertyId: commission.propertyId,
+    entryDate: commission.paidDate || new Date(),
+    createdById,
+    lines: [
+      { accountCode: LEDGER_ACCOUNTS.COMMISSION_PAYABLE, debit: amount },
+      { accountCode: LEDGER_ACCOUNTS.CASH, credit: amount }
+    ]
+  });
+};
+
+/**
+ * Salary paid: Dr Salaries Expense / Cr Cash
+ * @param {Prisma.TransactionClient} client
+ * @param {object} payment - SalaryPayment record
+ * @param {object} [options] - { employeeName, createdById }
+ */
+export const postSalaryPayment = async (client, payment, { employeeName = null, createdById = null } = {}) => {
+  const amount = roundMoney(payment.amount);
+
+  return await postJournalEntry(client, {
+    description: `Salary for ${payment.paymentPeriod}${employeeName ? ` - ${employeeName}` : ''}`,
+    sourceType: 'SALARY_PAYMENT',
+    sourceId: payment.id,
+    sourceKey: `SALARY_PAYMENT:${payment.id}`,
+    entryDate: payment.paymentDate || new Date(),
+    createdById,
+    lines: [
+      { accountCode: LEDGER_ACCOUNTS.SALARIES_EXPENSE, debit: amount, memo: payment.transactionRef || null },
+      { accountCode: LEDGER_ACCOUNTS.CASH, credit: amount }
+    ]
+  });
+};
+
+// ======================================================
+// REPORTING
+// ======================================================
+
+/**
+ * Debit/credit totals and closing balance per account for the matching journal entries
+ * @param {object} [entryWhere] - Prisma JournalEntry filter
+ * @param {PrismaClient} [client]
+ * @returns {Promise<object[]>} - One row per account with activity, ordered by code
+ */
+export const getAccountBalances = async (entryWhere = {}, client = prisma) => {
+  const [sums, accounts] = await Promise.all([
+    client.ledgerPosting.groupBy({
+      by: ['accountId'],
+      where: Object.keys(entryWhere).length > 0 ? { journalEntry: entryWhere } : {},
+      _sum: { debit: true, credit: true }
+    }),
+    client.ledgerAccount.findMany({ orderBy: { code: 'asc' } })
+  ]);
+
+  const sumsByAccount = Object.fromEntries(sums.map(row => [row.accountId, row._sum]));
+
+  return accounts
+    .filter(account => sumsByAccount[account.id])
+    .map(account => {
+      const debit = roundMoney(sumsByAccount[account.id].debit);
+      const credit = roundMoney(sumsByAccount[account.id].credit);
+      const net = roundMoney(debit - credit);
+
+      return {
+        accountId: account.id,
+        code: account.code,
+        name: account.name,
+        type: account.type,
+        totalDebit: debit,
+        totalCredit: credit,
+        debitBalance: net > 0 ? net : 0,
+        creditBalance: net < 0 ? -net : 0,
+        balance: DEBIT_NORMAL_TYPES.includes(account.type) ? net : roundMoney(-net)
+      };
+    });
+};
+
+/**
+ * Trial balance from per-account balances
+ * @param {object[]} rows - Output of getAccountBalances
+ * @returns {{ accounts: object[], totals: { debit: number, credit: number }, isBalanced: boolean }}
+ */
+export const buildTrialBalance = (rows) => {
+  const totals = {
+    debit: roundMoney(rows.reduce((sum, row) => sum + row.debitBalance, 0)),
+    credit: roundMoney(rows.reduce((sum, row) => sum + row.creditBalance, 0))
+  };
+
+  return {
+    accounts: rows,
+    totals,
+    isBalanced: Math.abs(totals.debit - totals.credit) <= BALANCE_TOLERANCE
+  };
+};
+
+/**
+ * Trial balance: debit/credit totals and closing balance per account
+ * @param {object} [filters] - { from, to, propertyIds } - propertyIds limits to entries tagged with those properties
+ * @returns {Promise<{ accounts: object[], totals: { debit: number, credit: number }, isBalanced: boolean }>}
+ */
+export const getTrialBalance = async ({ from = null, to = null, propertyIds = null } = {}) => {
+  const entryFilter = {};
+  if (from || to) {
+    entryFilter.entryDate = {};
+    if (from) entryFilter.entryDate.gte = from;
+    if (to) entryFilter.entryDate.lte = to;
+  }
+  if (propertyIds) {
+    entryFilter.propertyId = { in: propertyIds };
+  }
+
+  return buildTrialBalance(await getAccountBalances(entryFilter));
+};
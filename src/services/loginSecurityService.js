@@ -0,0 +1,271 @@
+import prisma from '../lib/prisma.js';
+import { clientInfo } from './sessionService.js';
+import { sendEmail, newDeviceLoginEmail } from '../utils/emailService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Failed logins allowed in a row before a lock, per account and per client IP.
+// An IP gets more room since an office can share one address.
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+
+// First lockout; each further lockout in a row doubles it, up to a day
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+// Failures further apart than this start the count again, and a key that has
+// had no failures for a day starts again from the first lockout
+const FAILURE_WINDOW_MINUTES = 15;
+const LOCKOUT_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+const normalizeEmail = (email) => String(email ?? '').trim().toLowerCase();
+
+// Browser and OS families, most specific first (Edge and Opera also say Chrome,
+// Chrome also says Safari, Android also says Linux)
+const BROWSER_FAMILIES = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+const OS_FAMILIES = [
+  ['Windows', /Windows/],
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['ChromeOS', /CrOS/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+// "Chrome on Windows": what counts as the same device, so browser updates
+// (which change the version numbers in the user agent) do not look like a new one
+const deviceFamily = (userAgent) => {
+  const family = (families) => families.find(([, pattern]) => pattern.test(userAgent || ''))?.[0];
+  return `${family(BROWSER_FAMILIES) || 'Unknown browser'} on ${family(OS_FAMILIES) || 'unknown OS'}`;
+};
+
+// Distinct user agents of earlier logins compared against a new one
+const KNOWN_DEVICE_LOOKBACK = 50;
+
+// Tenant and landlord portal logins are counted apart from staff logins
+// ("tenant-portal:account:..."), so a portal lockout never blocks a staff member
+const keyPrefix = (portal) => (portal ? `${portal}-portal:` : '');
+
+const accountKey = (email, portal = null) => `${keyPrefix(portal)}account:${normalizeEmail(email)}`;
+
+const throttleKeys = (email, req, portal = null) => {
+  const { ipAddress } = clientInfo(req);
+  return [
+    { key: accountKey(email, portal), scope: 'ACCOUNT', limit: MAX_ACCOUNT_FAILURES },
+    ...(ipAddress ? [{ key: `${keyPrefix(portal)}ip:${ipAddress}`, scope: 'IP', limit: MAX_IP_FAILURES }] : [])
+  ];
+};
+
+const lockoutMinutes = (lockoutCount) =>
+  Math.min(LOCKOUT_MINUTES * 2 ** (lockoutCount - 1), MAX_LOCKOUT_MINUTES);
+
+const lockedError = (lockedUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+  return httpError(
+    429,
+    `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    { retryAfter }
+  );
+};
+
+/**
+ * Write a login or account-security event. A failed write is logged and
+ * never fails the login itself.
+ * @param {object} event - { action, user, email, req, changes }
+ */
+export async function logAuthEvent({ action, user = null, email = null, req, changes = null }) {
+  await prisma.authAuditLog.create({
+    data: {
+      action,
+      userId: user?.id || null,
+      email: normalizeEmail(email || user?.email) || null,
+      changes,
+      ...clientInfo(req)
+    }
+  }).catch(err => console.error('Auth audit log failed:', err.message));
+}
+
+/**
+ * Refuse a login while the account or the client's IP is locked
+ * @param {string} email - Or the phone number a tenant logs in with
+ * @param {object} req
+ * @param {object} [options] - { portal: 'tenant' | 'landlord' } for portal logins
+ * @throws 429 with retryAfter (seconds) when locked
+ */
+export async function assertLoginAllowed(email, req, { portal = null } = {}) {
+  const keys = throttleKeys(email, req, portal);
+  const locks = await prisma.loginThrottle.findMany({
+    where: { key: { in: keys.map(k => k.key) }, lockedUntil: { gt: new Date() } },
+    orderBy: { lockedUntil: 'desc' }
+  });
+
+  if (locks.length > 0) {
+    await logAuthEvent({
+      action: 'LOGIN_BLOCKED',
+      email,
+      req,
+      changes: { portal, lockedKeys: locks.map(lock => lock.scope), lockedUntil: locks[0].lockedUntil }
+    });
+    throw lockedError(locks[0].lockedUntil);
+  }
+}
+
+/**
+ * Count a failed login against the account and the client's IP, locking
+ * whichever reaches its limit
+ * @param {object} attempt - { email, user (if the email exists), req, reason, portal }
+ * @returns {Promise<Error|null>} The 429 to reply with if this failure caused a lock
+ */
+export async function recordLoginFailure({ email, user = null, req, reason, portal = null }) {
+  const now = new Date();
+  let lockedUntil = null;
+
+  for (const { key, scope, limit } of throttleKeys(email, req, portal)) {
+    // Old failures no longer count; a quiet day also forgets earlier lockouts
+    await prisma.loginThrottle.updateMany({
+      where: { key, lastFailedAt: { lt: new Date(now.getTime() - FAILURE_WINDOW_MINUTES * MINUTE_MS) } },
+      data: { failedCount: 0 }
+    });
+    await prisma.loginThrottle.updateMany({
+      where: { key, lastFailedAt: { lt: new Date(now.getTime() - LOCKOUT_MEMORY_MS) } },
+      data: { lockoutCount: 0 }
+    });
+
+    const throttle = await prisma.loginThrottle.upsert({
+      where: { key },
+      create: { key, scope, failedCount: 1, lastFailedAt: now },
+      update: { failedCount: { increment: 1 }, lastFailedAt: now }
+    });
+
+    if (throttle.failedCount < limit) continue;
+
+    // Guarded on the count just reached, so concurrent failures lock only once
+    const until = new Date(now.getTime() + lockoutMinutes(throttle.lockoutCount + 1) * MINUTE_MS);
+    const locked = await prisma.loginThrottle.updateMany({
+      where: { key, failedCount: throttle.failedCount },
+      data: { failedCount: 0, lockoutCount: { increment: 1 }, lockedUntil: until }
+    });
+
+    if (locked.count > 0) {
+      lockedUntil = lockedUntil && lockedUntil > until ? lockedUntil : until;
+      await logAuthEvent({
+        action: 'ACCOUNT_LOCKED',
+        user,
+        email,
+        req,
+        changes: { portal, scope, key, failedAttempts: throttle.failedCount, lockoutNumber: throttle.lockoutCount + 1, lockedUntil: until }
+      });
+    }
+  }
+
+  await logAuthEvent({ action: 'LOGIN_FAILED', user, email, req, changes: { portal, reason } });
+
+  return lockedUntil ? lockedError(lockedUntil) : null;
+}
+
+/**
+ * Record a successful login: clear the account's failed attempts and, when it
+ * comes from a browser and OS the user has not signed in from before, email them.
+ * The client IP's count is left to expire so one known password cannot reset it.
+ * Portal accounts are not staff users: their logins are logged against the
+ * login identifier, with no new-device alert.
+ * @param {object} user - A staff user, or { id, email } of a portal account
+ * @param {object} req
+ * @param {object} [changes] - Extra details for the audit log
+ * @param {object} [options] - { portal: 'tenant' | 'landlord' } for portal logins
+ */
+export async function recordLoginSuccess(user, req, changes = null, { portal = null } = {}) {
+  const { userAgent, ipAddress } = clientInfo(req);
+
+  await prisma.loginThrottle.updateMany({
+    where: { key: accountKey(user.email, portal) },
+    data: { failedCount: 0, lockoutCount: 0, lockedUntil: null }
+  });
+
+  if (portal) {
+    await logAuthEvent({
+      action: 'LOGIN_SUCCESS',
+      email: user.email,
+      req,
+      changes: { ...changes, portal, accountId: user.id, device: deviceFamily(userAgent) }
+    });
+    return;
+  }
+
+  // A user's first login has nothing to compare with
+  const device = deviceFamily(userAgent);
+  const previousLogins = await prisma.authAuditLog.findMany({
+    where: { userId: user.id, action: 'LOGIN_SUCCESS' },
+    select: { userAgent: true },
+    distinct: ['userAgent'],
+    orderBy: { createdAt: 'desc' },
+    take: KNOWN_DEVICE_LOOKBACK
+  });
+  const newDevice = previousLogins.length > 0
+    && !previousLogins.some(login => deviceFamily(login.userAgent) === device);
+
+  await logAuthEvent({ action: 'LOGIN_SUCCESS', user, req, changes: { ...changes, device, newDevice } });
+
+  if (newDevice) {
+    await logAuthEvent({ action: 'NEW_DEVICE_LOGIN', user, req, changes: { device } });
+
+    const result = await sendEmail({
+      to: user.email,
+      ...newDeviceLoginEmail({ name: user.name, device: `${device} (${userAgent || 'no user agent'})`, ipAddress, signedInAt: new Date() })
+    });
+    if (!result.success) {
+      console.error(`New device alert to ${user.email} failed: ${result.error}`);
+    }
+  }
+}
+
+/**
+ * Current lockouts, soonest to end first
+ * @returns {Promise<Array<object>>}
+ */
+export async function listLockouts() {
+  return prisma.loginThrottle.findMany({
+    where: { lockedUntil: { gt: new Date() } },
+    orderBy: { lockedUntil: 'asc' }
+  });
+}
+
+/**
+ * Lift a lockout and forget the failed attempts behind it
+ * @param {object} where - { key } or { id }
+ * @param {object} unlock - { performedBy, user, req } for the audit log
+ * @returns {Promise<object|null>} The throttle that was cleared, or null
+ */
+export async function unlockLogin(where, { performedBy, user = null, req }) {
+  const throttle = await prisma.loginThrottle.findUnique({ where });
+  if (!throttle) return null;
+
+  await prisma.loginThrottle.delete({ where: { id: throttle.id } });
+
+  await logAuthEvent({
+    action: 'ACCOUNT_UNLOCKED',
+    user,
+    email: throttle.scope === 'ACCOUNT' ? throttle.key.slice(throttle.key.indexOf('account:') + 'account:'.length) : null,
+    req,
+    changes: { key: throttle.key, scope: throttle.scope, lockedUntil: throttle.lockedUntil, performedBy }
+  });
+
+  return throttle;
+}
+
+/**
+ * Lift the lockout on a user's account
+ * @param {object} user - { id, email }
+ * @param {object} unlock - { performedBy, req }
+ * @returns {Promise<object|null>}
+ */
+export const unlockAccount = (user, { performedBy, req }) =>
+  unlockLogin({ key: accountKey(user.email) }, { performedBy, user, req });
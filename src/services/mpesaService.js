@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+
+// ======================================================
+// M-PESA DARAJA CLIENT
+// ======================================================
+// Point MPESA_BASE_URL at a local stub to exercise the STK push and URL
+// registration calls without reaching Safaricom.
+
+const getConfig = () => ({
+  baseUrl: (process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke').replace(/\/$/, ''),
+  consumerKey: process.env.MPESA_CONSUMER_KEY,
+  consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+  shortCode: process.env.MPESA_SHORTCODE,
+  passkey: process.env.MPESA_PASSKEY,
+  callbackBaseUrl: (process.env.MPESA_CALLBACK_BASE_URL || '').replace(/\/$/, ''),
+  callbackToken: process.env.MPESA_CALLBACK_TOKEN
+});
+
+let cachedToken = null;
+
+// Local development only: accept callbacks without a token when no
+// MPESA_CALLBACK_TOKEN is set. Never honoured in production.
+const unsignedCallbacksAllowed = () =>
+  process.env.MPESA_ALLOW_UNSIGNED_CALLBACKS === 'true' && process.env.NODE_ENV !== 'production';
+
+/**
+ * Verify the shared token Daraja callbacks carry in their query string.
+ * Callbacks are rejected while MPESA_CALLBACK_TOKEN is unset, unless
+ * MPESA_ALLOW_UNSIGNED_CALLBACKS is on outside production.
+ */
+export const isValidCallbackToken = (token) => {
+  const { callbackToken } = getConfig();
+  if (!callbackToken) {
+    return unsignedCallbacksAllowed();
+  }
+  if (typeof token !== 'string') {
+    return false;
+  }
+
+  const given = Buffer.from(token);
+  const expected = Buffer.from(callbackToken);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * Build a callback URL on this API, including the shared callback token
+ */
+export const buildCallbackUrl = (path) => {
+  const { callbackBaseUrl, callbackToken } = getConfig();
+  if (!callbackBaseUrl) {
+    throw new Error('MPESA_CALLBACK_BASE_URL is not configured');
+  }
+  if (!callbackToken && !unsignedCallbacksAllowed()) {
+    throw new Error('MPESA_CALLBACK_TOKEN is not configured');
+  }
+  return `${callbackBaseUrl}${path}${callbackToken ? `?token=${encodeURIComponent(callbackToken)}` : ''}`;
+};
+
+/**
+ * Parse a Daraja timestamp (YYYYMMDDHHmmss, East Africa Time)
+ */
+export const parseDarajaTimestamp = (value) => {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  if (!match) return new Date();
+  const [, year, month, day, hour, minute, second] = match;
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}+03:00`);
+};
+
+const formatDarajaTimestamp = (date = new Date()) => {
+  // Daraja expects East Africa Time (UTC+3)
+  const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+};
+
+/**
+ * Normalise a Kenyan phone number to the 2547XXXXXXXX / 2541XXXXXXXX format
+ */
+export const normalizePhoneNumber = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (/^254[71]\d{8}$/.test(digits)) return digits;
+  if (/^0[71]\d{8}$/.test(digits)) return `254${digits.slice(1)}`;
+  if (/^[71]\d{8}$/.test(digits)) return `254${digits}`;
+  return null;
+};
+
+const darajaRequest = async (path, { method = 'POST', body, token } = {}) => {
+  const { baseUrl } = getConfig();
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    ...(body ? { body: JSON.stringify(body) } : {})
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.errorMessage || data.ResponseDescription || `Daraja request failed with status ${response.status}`);
+  }
+  return data;
+};
+
+/**
+ * Get (and cache) an OAuth access token
+ */
+export const getAccessToken = async () => {
+  if (cachedToken && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.value;
+  }
+
+  const { baseUrl, consumerKey, consumerSecret } = getConfig();
+  if (!consumerKey || !consumerSecret) {
+    throw new Error('MPESA_CONSUMER_KEY and MPESA_CONSUMER_SECRET must be configured');
+  }
+
+  const credentials = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+  const response = await fetch(`${baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+    headers: { Authorization: `Basic ${credentials}` }
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.access_token) {
+    throw new Error(data.errorMessage || `Failed to obtain M-Pesa access token (status ${response.status})`);
+  }
+
+  // Refresh a minute before Daraja expires the token
+  cachedToken = {
+    value: data.access_token,
+    expiresAt: Date.now() + (Number(data.expires_in || 3599) - 60) * 1000
+  };
+  return cachedToken.value;
+};
+
+/**
+ * Register the C2B validation and confirmation URLs for the paybill
+ */
+export const registerC2BUrls = async () => {
+  const { shortCode } = getConfig();
+  if (!shortCode) {
+    throw new Error('MPESA_SHORTCODE is not configured');
+  }
+
+  const token = await getAccessToken();
+  return await darajaRequest('/mpesa/c2b/v1/registerurl', {
+    token,
+    body: {
+      ShortCode: shortCode,
+      ResponseType: 'Completed',
+      ConfirmationURL: buildCallbackUrl('/api/mpesa/c2b/confirmation'),
+      ValidationURL: buildCallbackUrl('/api/mpesa/c2b/validation')
+    }
+  });
+};
+
+/**
+ * Send an STK push prompt to the payer's phone
+ * @returns {Promise<{MerchantRequestID: string, CheckoutRequestID: string, ResponseCode: string, CustomerMessage: string}>}
+ */
+export const initiateStkPush = async ({ phoneNumber, amount, accountReference, description }) => {
+  const { shortCode, passkey } = getConfig();
+  if (!shortCode || !passkey) {
+    throw new Error('MPESA_SHORTCODE and MPESA_PASSKEY must be configured');
+  }
+
+  const timestamp = formatDarajaTimestamp();
+  const password = Buffer.from(`${shortCode}${passkey}${timestamp}`).toString('base64');
+  const token = await getAccessToken();
+
+  const data = await darajaRequest('/mpesa/stkpush/v1/processrequest', {
+    token,
+    body: {
+      BusinessShortCode: shortCode,
+      Password: password,
+      Timestamp: timestamp,
+      TransactionType: 'CustomerPayBillOnline',
+      Amount: Math.ceil(amount),
+      PartyA: phoneNumber,
+      PartyB: shortCode,
+      PhoneNumber: phoneNumber,
+      CallBackURL: buildCallbackUrl('/api/mpesa/stk/callback'),
+      AccountReference: String(accountReference).slice(0, 12),
+      TransactionDesc: String(description || 'Rent payment').slice(0, 13)
+    }
+  });
+
+  if (String(data.ResponseCode) !== '0') {
+    throw new Error(data.ResponseDescription || 'STK push request was not accepted');
+  }
+  return data;
+};
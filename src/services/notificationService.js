@@ -0,0 +1,344 @@
+import path from 'path';
+import { readFile } from 'fs/promises';
+import prisma from '../lib/prisma.js';
+import { sendEmail } from '../utils/emailService.js';
+import { sendSms, formatSmsNumber } from '../utils/smsService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Attempts per message before it is left FAILED for good
+export const MAX_SEND_ATTEMPTS = 5;
+
+// Backoff between attempts: 5, 10, 20, 40 minutes
+const RETRY_BASE_MINUTES = 5;
+
+// QUEUED messages older than this were interrupted mid-send and are picked up again
+const STALE_QUEUED_MINUTES = 10;
+
+const RETRY_BATCH_SIZE = 50;
+
+// Stored documents are referenced by their /uploads/... URL
+const resolveUploadPath = (url) => {
+  const uploadDir = process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads');
+  return path.join(uploadDir, url.replace(/^\/?uploads\//, ''));
+};
+
+/**
+ * Delivery details returned to API callers after queueing a message
+ */
+export const deliverySummary = (message) => ({
+  messageId: message.id,
+  status: message.status,
+  recipient: message.recipient,
+  attempts: message.attempts,
+  error: message.lastError
+});
+
+// ======================================================
+// QUEUEING AND DELIVERY
+// ======================================================
+
+/**
+ * Store an email and try to send it straight away. A failed first attempt is
+ * left FAILED with a retry time; the retry job picks it up from there.
+ *
+ * @param {object} params
+ * @param {string} params.to - Recipient address
+ * @param {string} params.category - MessageCategory
+ * @param {string} params.subject
+ * @param {string} params.html
+ * @param {string} [params.text]
+ * @param {Array<{ filename: string, path: string }>} [params.attachments] - Stored documents (/uploads/... URLs)
+ * @param {object} [params.links] - { tenantId, propertyId, demandLetterId, invoiceId, billInvoiceId, paymentReportId }
+ * @param {string|null} [params.createdById]
+ * @returns {Promise<object>} The OutboundMessage after the first attempt
+ */
+export async function queueEmail({ to, category, subject, html, text, attachments = [], links = {}, createdById = null }) {
+  const message = await prisma.outboundMessage.create({
+    data: {
+      channel: 'EMAIL',
+      category,
+      recipient: to,
+      subject,
+      html,
+      body: text,
+      attachments: attachments.length > 0 ? attachments : undefined,
+      ...links,
+      createdById
+    }
+  });
+
+  return deliverMessage(message.id);
+}
+
+/**
+ * Store an SMS and try to send it straight away, retried like email
+ *
+ * @param {object} params
+ * @param {string} params.to - Phone number
+ * @param {string} params.category - MessageCategory
+ * @param {string} params.text
+ * @param {object} [params.links] - As for queueEmail
+ * @param {string|null} [params.createdById]
+ * @returns {Promise<object>} The OutboundMessage after the first attempt
+ */
+export async function queueSms({ to, category, text, links = {}, createdById = null }) {
+  const message = await prisma.outboundMessage.create({
+    data: {
+      channel: 'SMS',
+      category,
+      recipient: to,
+      body: text,
+      ...links,
+      createdById
+    }
+  });
+
+  return deliverMessage(message.id);
+}
+
+/**
+ * Text a tenant unless they have opted out of SMS or have no usable phone number
+ * @param {object} tenant - Needs id, contact and smsOptOut
+ * @returns {Promise<object|null>} The OutboundMessage, or null when nothing was sent
+ */
+export async function queueTenantSms(tenant, { category, text, links = {}, createdById = null }) {
+  if (tenant.smsOptOut || !formatSmsNumber(tenant.contact)) {
+    return null;
+  }
+
+  return queueSms({
+    to: tenant.contact,
+    category,
+    text,
+    links: { tenantId: tenant.id, ...links },
+    createdById
+  });
+}
+
+/**
+ * Opt every tenant with this phone number out of SMS (e.g. after a STOP reply)
+ * @returns {Promise<number>} Number of tenants opted out
+ */
+export async function optOutPhoneNumber(phone) {
+  const number = formatSmsNumber(phone);
+  if (!number) return 0;
+
+  // Contacts are stored as typed (07..., 2547..., +2547...), so match on the subscriber digits
+  const tenants = await prisma.tenant.findMany({
+    where: { smsOptOut: false, contact: { contains: number.slice(4) } },
+    select: { id: true, contact: true }
+  });
+
+  const matching = tenants.filter(tenant => formatSmsNumber(tenant.contact) === number);
+  if (matching.length === 0) return 0;
+
+  await prisma.tenant.updateMany({
+    where: { id: { in: matching.map(tenant => tenant.id) } },
+    data: { smsOptOut: true, smsOptOutAt: new Date() }
+  });
+
+  console.log(`SMS opt-out recorded for ${number} (${matching.length} tenant(s))`);
+  return matching.length;
+}
+
+// Hand a stored message to its channel's gateway
+async function sendStoredMessage(message) {
+  if (message.channel === 'SMS') {
+    return sendSms({ to: message.recipient, message: message.body });
+  }
+
+  const attachments = [];
+  for (const attachment of message.attachments || []) {
+    attachments.push({
+      filename: attachment.filename,
+      content: await readFile(resolveUploadPath(attachment.path))
+    });
+  }
+
+  return sendEmail({
+    to: message.recipient,
+    subject: message.subject,
+    html: message.html,
+    text: message.body,
+    attachments
+  });
+}
+
+/**
+ * Attempt delivery of one stored message
+ * @param {string} messageId
+ * @returns {Promise<object>} The updated OutboundMessage
+ */
+export async function deliverMessage(messageId) {
+  const message = await prisma.outboundMessage.findUnique({ where: { id: messageId } });
+  if (!message) {
+    throw httpError(404, 'Message not found');
+  }
+  if (message.status === 'SENT') {
+    return message;
+  }
+
+  const attempts = message.attempts + 1;
+  let result;
+  try {
+    result = await sendStoredMessage(message);
+  } catch (error) {
+    result = { success: false, provider: null, error: `Attachment unavailable: ${error.message}` };
+  }
+
+  if (!result.success) {
+    const retrying = attempts < MAX_SEND_ATTEMPTS;
+    const delayMinutes = RETRY_BASE_MINUTES * 2 ** (attempts - 1);
+
+    console.error(`${message.channel} ${message.id} to ${message.recipient} failed (attempt ${attempts}): ${result.error}`);
+
+    return prisma.outboundMessage.update({
+      where: { id: message.id },
+      data: {
+        status: 'FAILED',
+        attempts,
+        provider: result.provider,
+        lastError: result.error,
+        nextAttemptAt: retrying ? new Date(Date.now() + delayMinutes * 60 * 1000) : null
+      }
+    });
+  }
+
+  const sent = await prisma.outboundMessage.update({
+    where: { id: message.id },
+    data: {
+      status: 'SENT',
+      attempts,
+      provider: result.provider,
+      providerMessageId: result.id || null,
+      lastError: null,
+      nextAttemptAt: null,
+      sentAt: new Date()
+    }
+  });
+
+  await onMessageSent(sent);
+  return sent;
+}
+
+// Record the delivery on whatever the message was about
+async function onMessageSent(message) {
+  // Only the email carries the letter itself; an SMS is a notice of it
+  if (message.demandLetterId && message.channel === 'EMAIL') {
+    await prisma.demandLetter.updateMany({
+      where: { id: message.demandLetterId, status: { in: ['DRAFT', 'GENERATED'] } },
+      data: { status: 'SENT', sentAt: message.sentAt, sentTo: message.recipient }
+    });
+  }
+
+  await prisma.dunningAction.updateMany({
+    where: { messageId: message.id },
+    data: { delivered: true, error: null }
+  });
+}
+
+/**
+ * Send again a message that failed or bounced (e.g. after the tenant's address was fixed)
+ * @param {string} messageId
+ * @param {object} [options] - { to } to override the recipient
+ */
+export async function resendMessage(messageId, { to } = {}) {
+  const message = await prisma.outboundMessage.findUnique({ where: { id: messageId } });
+  if (!message) {
+    throw httpError(404, 'Message not found');
+  }
+  if (!['FAILED', 'BOUNCED'].includes(message.status)) {
+    throw httpError(400, `Only failed or bounced messages can be resent (message is ${message.status})`);
+  }
+
+  await prisma.outboundMessage.update({
+    where: { id: messageId },
+    data: {
+      status: 'QUEUED',
+      attempts: 0,
+      nextAttemptAt: null,
+      bouncedAt: null,
+      ...(to && { recipient: to })
+    }
+  });
+
+  return deliverMessage(messageId);
+}
+
+/**
+ * Retry failed messages whose backoff has passed, and messages left QUEUED by
+ * an interrupted send. Run by the scheduler.
+ *
+ * @param {Date} [asOf=new Date()]
+ * @returns {Promise<{ attempted: number, sent: number, failed: number }>}
+ */
+export async function retryFailedMessages(asOf = new Date()) {
+  const staleBefore = new Date(asOf.getTime() - STALE_QUEUED_MINUTES * 60 * 1000);
+
+  const due = await prisma.outboundMessage.findMany({
+    where: {
+      OR: [
+        { status: 'FAILED', nextAttemptAt: { lte: asOf } },
+        { status: 'QUEUED', createdAt: { lt: staleBefore } }
+      ]
+    },
+    select: { id: true },
+    orderBy: { createdAt: 'asc' },
+    take: RETRY_BATCH_SIZE
+  });
+
+  const summary = { attempted: due.length, sent: 0, failed: 0 };
+
+  for (const { id } of due) {
+    try {
+      const message = await deliverMessage(id);
+      if (message.status === 'SENT') summary.sent++;
+      else summary.failed++;
+    } catch (error) {
+      console.error(`Retry of message ${id} failed:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+// ======================================================
+// PROVIDER EVENTS
+// ======================================================
+
+/**
+ * Mark a sent message BOUNCED from a provider bounce or failed delivery report
+ * @param {string} providerMessageId
+ * @param {string} reason
+ * @returns {Promise<object|null>} The message, or null if it is not one of ours
+ */
+export async function recordBounce(providerMessageId, reason) {
+  const message = await prisma.outboundMessage.findFirst({ where: { providerMessageId } });
+  if (!message) return null;
+
+  const bounced = await prisma.outboundMessage.update({
+    where: { id: message.id },
+    data: {
+      status: 'BOUNCED',
+      bouncedAt: new Date(),
+      nextAttemptAt: null,
+      lastError: reason
+    }
+  });
+
+  // A bounced letter was never served; it goes back to GENERATED for sending again
+  if (message.demandLetterId && message.channel === 'EMAIL') {
+    await prisma.demandLetter.updateMany({
+      where: { id: message.demandLetterId, status: 'SENT' },
+      data: { status: 'GENERATED', sentAt: null, sentTo: null }
+    });
+  }
+
+  await prisma.dunningAction.updateMany({
+    where: { messageId: message.id },
+    data: { delivered: false, error: `Bounced: ${reason}` }
+  });
+
+  return bounced;
+}
@@ -127,7 +127,10 @@ class PermissionService {
         view: 'VIEW_LANDLORDS',
         create: 'CREATE_LANDLORD',
         edit: 'EDIT_LANDLORD',
-        delete: 'DELETE_LANDLORD'
+        delete: 'DELETE_LANDLORD',
+        viewStatements: 'VIEW_LANDLORD_STATEMENTS',
+        generateStatements: 'GENERATE_LANDLORD_STATEMENTS',
+        markRemittancePaid: 'MARK_REMITTANCE_PAID'
       },
       // Service provider permissions
       serviceProvider: {
@@ -151,6 +154,24 @@ class PermissionService {
         process: 'PROCESS_COMMISSIONS',
         approve: 'APPROVE_COMMISSIONS'
       },
+      // Ledger permissions
+      ledger: {
+        view: 'VIEW_LEDGER',
+        post: 'POST_JOURNAL_ENTRIES',
+        reverse: 'REVERSE_JOURNAL_ENTRIES',
+        manageAccounts: 'MANAGE_LEDGER_ACCOUNTS'
+      },
+      // M-Pesa permissions
+      mpesa: {
+        view: 'VIEW_MPESA_TRANSACTIONS',
+        assign: 'ASSIGN_MPESA_TRANSACTIONS',
+        stkPush: 'INITIATE_STK_PUSH'
+      },
+      // Bank reconciliation permissions
+      reconciliation: {
+        view: 'VIEW_BANK_RECONCILIATION',
+        manage: 'MANAGE_BANK_RECONCILIATION'
+      },
       // User management permissions
       user: {
         view: 'VIEW_ALL_USERS',
@@ -237,6 +258,13 @@ class PermissionService {
     return this.checkPermission(userId, 'maintenance', operation, propertyId);
   }
 
+  // ======================================================
+  // LEDGER PERMISSION CHECK (GLOBAL - NOT PROPERTY SCOPED)
+  // ======================================================
+  async checkLedgerPermission(userId, operation) {
+    return this.checkPermission(userId, 'ledger', operation);
+  }
+
   // ======================================================
   // REPORT PERMISSION CHECK
   // ======================================================
@@ -591,6 +619,13 @@ class PermissionService {
           }
         }))?.tenant?.unit?.propertyId;
 
+      // MaintenanceRequest -> Property (direct)
+      case 'MaintenanceRequest':
+        return (await prisma.maintenanceRequest.findUnique({
+          where: { id: recordId },
+          select: { propertyId: true }
+        }))?.propertyId;
+
       // ToDo -> User -> (no direct property, but users have managed properties)
       case 'ToDo':
         return null;
@@ -0,0 +1,407 @@
+import prisma from '../lib/prisma.js';
+import { roundMoney } from '../utils/money.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far a book entry's date may be from the bank value date and still be proposed
+const DATE_WINDOW_DAYS = 5;
+
+// Proposals below this score are not made automatically (still listed as candidates)
+const MIN_PROPOSAL_CONFIDENCE = 0.5;
+
+export const MATCH_DIRECTIONS = {
+  PAYMENT_REPORT: 'CREDIT',
+  OTHER_INCOME: 'CREDIT',
+  SALARY_PAYMENT: 'DEBIT'
+};
+
+// ======================================================
+// TEXT HELPERS
+// ======================================================
+
+const lineText = (line) => [line.description, line.reference, line.bankReference]
+  .filter(Boolean)
+  .join(' ')
+  .toUpperCase();
+
+// Alphanumeric words long enough to be a reference (used to look up transactionRef)
+const referenceTokens = (line) => [...new Set(
+  lineText(line).split(/[^A-Z0-9\-\/]+/).filter(token => token.length >= 4)
+)].slice(0, 25);
+
+const containsWord = (text, value) => {
+  const needle = String(value || '').trim().toUpperCase();
+  return needle.length >= 2 && new RegExp(`(^|[^A-Z0-9])${needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([^A-Z0-9]|$)`).test(text);
+};
+
+// True when every part of a person's name (ignoring initials) appears in the text
+const containsName = (text, name) => {
+  const parts = String(name || '').toUpperCase().split(/\s+/).filter(p => p.length > 2);
+  return parts.length > 0 && parts.filter(p => containsWord(text, p)).length >= Math.min(2, parts.length);
+};
+
+const dateWindow = (date) => ({
+  gte: new Date(date.getTime() - DATE_WINDOW_DAYS * DAY_MS),
+  lte: new Date(date.getTime() + (DATE_WINDOW_DAYS + 1) * DAY_MS)
+});
+
+const amountsEqual = (a, b) => Math.abs(Number(a) - Number(b)) < 0.01;
+
+// ======================================================
+// MATCH BOOKKEEPING
+// ======================================================
+
+const ENTITY_FIELDS = {
+  PAYMENT_REPORT: 'paymentReportId',
+  OTHER_INCOME: 'otherIncomeId',
+  SALARY_PAYMENT: 'salaryPaymentId'
+};
+
+export const entityField = (matchType) => ENTITY_FIELDS[matchType];
+
+/**
+ * Amount of each book entry already tied to bank lines by confirmed matches
+ * @returns {Promise<Map<string, number>>} keyed by entity id
+ */
+export const getConfirmedAmounts = async (matchType, ids, client = prisma) => {
+  const field = ENTITY_FIELDS[matchType];
+  if (!ids.length) return new Map();
+
+  const rows = await client.bankReconciliationMatch.groupBy({
+    by: [field],
+    where: { status: 'CONFIRMED', [field]: { in: ids } },
+    _sum: { amount: true }
+  });
+
+  return new Map(rows.map(row => [row[field], row._sum.amount || 0]));
+};
+
+/**
+ * Recompute a line's matched amount and status from its confirmed matches
+ */
+export const refreshLineStatus = async (client, lineId, { reconciledById = null } = {}) => {
+  const line = await client.bankStatementLine.findUnique({
+    where: { id: lineId },
+    include: { matches: true }
+  });
+
+  const confirmed = line.matches.filter(m => m.status === 'CONFIRMED');
+  const matchedAmount = roundMoney(confirmed.reduce((sum, m) => sum + m.amount, 0));
+
+  let status;
+  if (line.status === 'IGNORED' && confirmed.length === 0) {
+    status = 'IGNORED';
+  } else if (confirmed.length && matchedAmount >= line.amount - 0.01) {
+    status = 'MATCHED';
+  } else if (confirmed.length) {
+    status = 'PARTIALLY_MATCHED';
+  } else if (line.matches.some(m => m.status === 'PROPOSED')) {
+    status = 'PROPOSED';
+  } else {
+    status = 'UNMATCHED';
+  }
+
+  return client.bankStatementLine.update({
+    where: { id: lineId },
+    data: {
+      matchedAmount,
+      status,
+      ...(status === 'MATCHED' && {
+        reconciledById: reconciledById || line.reconciledById,
+        reconciledAt: line.reconciledAt || new Date()
+      }),
+      ...(!['MATCHED', 'IGNORED'].includes(status) && { reconciledById: null, reconciledAt: null })
+    }
+  });
+};
+
+// ======================================================
+// CANDIDATE SEARCH
+// ======================================================
+
+/**
+ * Find book entries that could explain a bank line, best first.
+ *
+ * Credits are compared with tenant payments for the statement's property and
+ * with other income (by transactionRef / invoice number); debits with salary
+ * payments (by transactionRef). Amount and date proximity are used when no
+ * reference matches.
+ *
+ * @param {object} line - BankStatementLine
+ * @param {object} options
+ * @param {string} options.propertyId - Property the statement belongs to
+ * @param {object} [options.user] - Restricts other income / salaries to the user's own records unless ADMIN
+ * @returns {Promise<Array<{matchType, id, amount, available, confidence, reason, entry}>>}
+ */
+export const findMatchCandidates = async (line, { propertyId, user = null }, client = prisma) => {
+  const text = lineText(line);
+  const tokens = referenceTokens(line);
+  const window = dateWindow(line.valueDate);
+  const ownRecordsOnly = user && user.role !== 'ADMIN';
+  const candidates = [];
+
+  const refFilter = tokens.length
+    ? tokens.map(token => ({ transactionRef: { equals: token, mode: 'insensitive' } }))
+    : [];
+
+  if (line.direction === 'CREDIT') {
+    const [payments, otherIncomes] = await Promise.all([
+      client.paymentReport.findMany({
+        where: {
+          status: { not: 'CREDIT' },
+          tenant: { unit: { propertyId } },
+          OR: [
+            { amountPaid: { gte: line.amount - 0.01, lte: line.amount + 0.01 }, datePaid: window },
+            // Split candidates - smaller payments on the same days naming the tenant are checked below
+            { amountPaid: { lt: line.amount }, datePaid: window }
+          ]
+        },
+        include: {
+          tenant: {
+            select: { id: true, fullName: true, KRAPin: true, unit: { select: { unitNo: true } } }
+          },
+          invoices: { select: { invoiceNumber: true } }
+        },
+        take: 200
+      }),
+      client.otherIncome.findMany({
+        where: {
+          ...(ownRecordsOnly && { managerId: user.id }),
+          OR: [
+            ...refFilter,
+            { invoiceNumber: { in: tokens } },
+            { totalAmount: { gte: line.amount - 0.01, lte: line.amount + 0.01 }, status: { not: 'CANCELLED' } }
+          ]
+        },
+        take: 50
+      })
+    ]);
+
+    for (const payment of payments) {
+      const exactAmount = amountsEqual(payment.amountPaid, line.amount);
+      const namesTenant = containsName(text, payment.tenant.fullName) ||
+        containsWord(text, payment.tenant.KRAPin) ||
+        containsWord(text, payment.tenant.unit?.unitNo) ||
+        payment.invoices.some(inv => containsWord(text, inv.invoiceNumber));
+      const notedReference = tokens.some(token => (payment.notes || '').toUpperCase().includes(token));
+
+      if (!exactAmount && !namesTenant && !notedReference) continue;
+
+      let confidence = exactAmount ? 0.6 : 0.3;
+      const reasons = [exactAmount ? 'Same amount within date window' : 'Part of the amount within date window'];
+      if (namesTenant) {
+        confidence += 0.3;
+        reasons.push('narrative names the tenant, unit or invoice');
+      }
+      if (notedReference) {
+        confidence += 0.1;
+        reasons.push('bank reference appears in payment notes');
+      }
+
+      candidates.push({
+        matchType: 'PAYMENT_REPORT',
+        id: payment.id,
+        amount: payment.amountPaid,
+        date: payment.datePaid,
+        confidence: Math.min(roundMoney(confidence), 1),
+        reason: reasons.join('; '),
+        entry: {
+          tenantId: payment.tenant.id,
+          tenantName: payment.tenant.fullName,
+          unitNo: payment.tenant.unit?.unitNo || null,
+          paymentPeriod: payment.paymentPeriod,
+          status: payment.status
+        }
+      });
+    }
+
+    for (const income of otherIncomes) {
+      const refMatch = income.transactionRef && tokens.includes(income.transactionRef.toUpperCase());
+      const invoiceMatch = containsWord(text, income.invoiceNumber);
+      const exactAmount = amountsEqual(income.totalAmount, line.amount);
+      const dateNear = (income.paidDate || income.issueDate) &&
+        Math.abs((income.paidDate || income.issueDate).getTime() - line.valueDate.getTime()) <= DATE_WINDOW_DAYS * DAY_MS;
+
+      if (!refMatch && !invoiceMatch && !(exactAmount && dateNear)) continue;
+
+      let confidence = refMatch ? 0.9 : invoiceMatch ? 0.8 : 0.5;
+      if (exactAmount && (refMatch || invoiceMatch)) confidence += 0.1;
+
+      candidates.push({
+        matchType: 'OTHER_INCOME',
+        id: income.id,
+        amount: income.totalAmount,
+        date: income.paidDate || income.issueDate,
+        confidence: Math.min(roundMoney(confidence), 1),
+        reason: refMatch ? 'Transaction reference matches' : invoiceMatch ? 'Narrative quotes the invoice number' : 'Same amount within date window',
+        entry: {
+          invoiceNumber: income.invoiceNumber,
+          clientName: income.clientName,
+          title: income.title,
+          status: income.status
+        }
+      });
+    }
+  } else {
+    const salaries = await client.salaryPayment.findMany({
+      where: {
+        ...(ownRecordsOnly && { employee: { createdById: user.id } }),
+        OR: [
+          ...refFilter,
+          { amount: { gte: line.amount - 0.01, lte: line.amount + 0.01 }, paymentDate: window }
+        ]
+      },
+      include: { employee: { select: { id: true, name: true } } },
+      take: 50
+    });
+
+    for (const salary of salaries) {
+      const refMatch = salary.transactionRef && tokens.includes(salary.transactionRef.toUpperCase());
+      const namesEmployee = containsName(text, salary.employee.name);
+      let confidence = refMatch ? 0.9 : 0.6;
+      if (!refMatch && namesEmployee) confidence += 0.2;
+      if (amountsEqual(salary.amount, line.amount) && refMatch) confidence += 0.1;
+
+      candidates.push({
+        matchType: 'SALARY_PAYMENT',
+        id: salary.id,
+        amount: salary.amount,
+        date: salary.paymentDate,
+        confidence: Math.min(roundMoney(confidence), 1),
+        reason: refMatch ? 'Transaction reference matches' : `Same amount within date window${namesEmployee ? '; narrative names the employee' : ''}`,
+        entry: {
+          employeeId: salary.employee.id,
+          employeeName: salary.employee.name,
+          paymentPeriod: salary.paymentPeriod
+        }
+      });
+    }
+  }
+
+  // Leave out entries already fully reconciled against other bank lines
+  const available = [];
+  for (const matchType of Object.keys(ENTITY_FIELDS)) {
+    const ofType = candidates.filter(c => c.matchType === matchType);
+    const confirmed = await getConfirmedAmounts(matchType, ofType.map(c => c.id), client);
+    for (const candidate of ofType) {
+      const remaining = roundMoney(candidate.amount - (confirmed.get(candidate.id) || 0));
+      if (remaining >= 0.01) available.push({ ...candidate, available: remaining });
+    }
+  }
+
+  return available.sort((a, b) => b.confidence - a.confidence ||
+    Math.abs(a.date - line.valueDate) - Math.abs(b.date - line.valueDate));
+};
+
+// ======================================================
+// AUTO-MATCHING
+// ======================================================
+
+/**
+ * Replace the proposed matches on every open line of a statement. Each book
+ * entry is proposed for at most one line, highest confidence first.
+ * @returns {Promise<{linesChecked: number, proposed: number}>}
+ */
+export const proposeMatches = async (statementId, { user = null } = {}) => {
+  const statement = await prisma.bankStatement.findUnique({
+    where: { id: statementId },
+    include: {
+      lines: {
+        where: { status: { in: ['UNMATCHED', 'PROPOSED'] } },
+        orderBy: { lineNumber: 'asc' }
+      }
+    }
+  });
+
+  if (!statement) {
+    throw new Error('Bank statement not found');
+  }
+
+  const lineIds = statement.lines.map(l => l.id);
+  await prisma.bankReconciliationMatch.deleteMany({
+    where: { lineId: { in: lineIds }, status: 'PROPOSED' }
+  });
+
+  // Best candidate per line, then resolve contention greedily by confidence
+  const options = [];
+  for (const line of statement.lines) {
+    const candidates = await findMatchCandidates(line, { propertyId: statement.propertyId, user });
+    for (const candidate of candidates) {
+      if (candidate.confidence >= MIN_PROPOSAL_CONFIDENCE && amountsEqual(candidate.available, line.amount)) {
+        options.push({ line, candidate });
+      }
+    }
+  }
+  options.sort((a, b) => b.candidate.confidence - a.candidate.confidence);
+
+  const usedLines = new Set();
+  const usedEntries = new Set();
+  const proposals = [];
+  for (const { line, candidate } of options) {
+    const key = `${candidate.matchType}:${candidate.id}`;
+    if (usedLines.has(line.id) || usedEntries.has(key)) continue;
+    usedLines.add(line.id);
+    usedEntries.add(key);
+    proposals.push({
+      lineId: line.id,
+      matchType: candidate.matchType,
+      [ENTITY_FIELDS[candidate.matchType]]: candidate.id,
+      amount: line.amount,
+      status: 'PROPOSED',
+      confidence: candidate.confidence,
+      reason: candidate.reason,
+      createdById: user?.id || null
+    });
+  }
+
+  await prisma.$transaction(async (tx) => {
+    if (proposals.length) {
+      await tx.bankReconciliationMatch.createMany({ data: proposals });
+    }
+    for (const lineId of lineIds) {
+      await refreshLineStatus(tx, lineId);
+    }
+  });
+
+  return { linesChecked: lineIds.length, proposed: proposals.length };
+};
+
+/**
+ * Statement totals by reconciliation status
+ */
+export const summarizeStatement = (lines) => {
+  const summary = {
+    lines: lines.length,
+    credits: 0,
+    debits: 0,
+    matched: 0,
+    partiallyMatched: 0,
+    proposed: 0,
+    unmatched: 0,
+    ignored: 0,
+    reconciledAmount: 0,
+    unreconciledAmount: 0
+  };
+
+  for (const line of lines) {
+    summary[line.direction === 'CREDIT' ? 'credits' : 'debits'] += line.amount;
+    const key = {
+      MATCHED: 'matched',
+      PARTIALLY_MATCHED: 'partiallyMatched',
+      PROPOSED: 'proposed',
+      UNMATCHED: 'unmatched',
+      IGNORED: 'ignored'
+    }[line.status];
+    summary[key]++;
+
+    if (line.status !== 'IGNORED') {
+      summary.reconciledAmount += line.matchedAmount;
+      summary.unreconciledAmount += line.amount - line.matchedAmount;
+    }
+  }
+
+  for (const key of ['credits', 'debits', 'reconciledAmount', 'unreconciledAmount']) {
+    summary[key] = roundMoney(summary[key]);
+  }
+  return summary;
+};
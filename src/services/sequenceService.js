@@ -0,0 +1,567 @@
+import prisma from '../lib/prisma.js';
+import { httpError } from '../utils/httpError.js';
+import { zonedParts, zonedMidnight } from '../utils/timezone.js';
+
+// ======================================================
+// DOCUMENT TYPES
+// ======================================================
+
+// Where each numbered document keeps its number, and the numbering used
+// until an admin configures a different pattern
+export const SEQUENCE_DOCUMENT_TYPES = {
+  INVOICE: {
+    name: 'Rent invoice',
+    model: 'invoice',
+    field: 'invoiceNumber',
+    pattern: 'INV-{YYYY}{MM}-{SEQ:6}',
+    resetPolicy: 'MONTHLY',
+    perProperty: true
+  },
+  BILL_INVOICE: {
+    name: 'Utility bill invoice',
+    model: 'billInvoice',
+    field: 'invoiceNumber',
+    pattern: 'BILL-INV-{YYYY}{MM}-{SEQ:6}',
+    resetPolicy: 'MONTHLY',
+    perProperty: true
+  },
+  OTHER_INCOME_INVOICE: {
+    name: 'Other income invoice',
+    model: 'otherIncome',
+    field: 'invoiceNumber',
+    pattern: 'OINV-{YYYY}{MM}-{SEQ:6}',
+    resetPolicy: 'MONTHLY',
+    perProperty: false
+  },
+  COMMISSION_INVOICE: {
+    name: 'Commission invoice',
+    model: 'commissionInvoice',
+    field: 'invoiceNumber',
+    pattern: 'COM-INV-{YYYY}{MM}-{SEQ:6}',
+    resetPolicy: 'MONTHLY',
+    perProperty: true
+  },
+  LANDLORD_STATEMENT: {
+    name: 'Landlord statement',
+    model: 'landlordStatement',
+    field: 'statementNumber',
+    pattern: 'LST-{YYYY}{MM}-{SEQ:6}',
+    resetPolicy: 'MONTHLY',
+    perProperty: false
+  },
+  DEMAND_LETTER: {
+    name: 'Demand letter',
+    model: 'demandLetter',
+    field: 'letterNumber',
+    pattern: 'DL-{YYYY}-{SEQ:4}',
+    resetPolicy: 'YEARLY',
+    perProperty: true
+  },
+  JOURNAL_ENTRY: {
+    name: 'Journal entry',
+    model: 'journalEntry',
+    field: 'entryNumber',
+    pattern: 'JE-{YYYY}{MM}-{SEQ:6}',
+    resetPolicy: 'MONTHLY',
+    perProperty: false
+  },
+  CREDIT_NOTE: {
+    name: 'Credit note',
+    model: 'creditNote',
+    field: 'creditNoteNumber',
+    pattern: 'CN-{YYYY}{MM}-{SEQ:6}',
+    resetPolicy: 'MONTHLY',
+    perProperty: true
+  },
+  DEPOSIT_RECEIPT: {
+    name: 'Deposit receipt',
+    model: 'depositTransaction',
+    field: 'receiptNumber',
+    pattern: 'DEP-{YYYY}{MM}-{SEQ:6}',
+    resetPolicy: 'MONTHLY',
+    perProperty: true
+  }
+};
+
+export const SEQUENCE_RESET_POLICIES = ['NEVER', 'YEARLY', 'FISCAL_YEAR', 'MONTHLY'];
+
+// Date tokens a pattern needs for its reset policy, and the ones it may use.
+// Anything that changes within a period would let two periods share a counter
+// value while looking different, so only tokens constant in the period are allowed.
+const RESET_TOKENS = {
+  NEVER: { required: [], allowed: [] },
+  YEARLY: { required: [['YYYY', 'YY']], allowed: ['YYYY', 'YY'] },
+  FISCAL_YEAR: { required: [['FY']], allowed: ['FY'] },
+  MONTHLY: { required: [['YYYY', 'YY'], ['MM']], allowed: ['YYYY', 'YY', 'MM', 'FY'] }
+};
+
+const TOKEN_PATTERN = /\{(YYYY|YY|MM|FY|SEQ)(?::(\d+))?\}/g;
+
+// Numbers reported per period by the gap report; the count is always complete
+const MAX_LISTED_GAPS = 500;
+
+const requireDocumentType = (documentType) => {
+  const type = SEQUENCE_DOCUMENT_TYPES[documentType];
+  if (!type) {
+    throw httpError(400, `Unknown document type. Must be one of: ${Object.keys(SEQUENCE_DOCUMENT_TYPES).join(', ')}`);
+  }
+  return type;
+};
+
+const scopeKeyFor = (propertyId) => (propertyId ? `property:${propertyId}` : 'GLOBAL');
+
+// ======================================================
+// PATTERNS
+// ======================================================
+
+// Years and months are Nairobi calendar ones, so a document issued just after
+// midnight on the 1st is numbered in the new month on any server
+
+// The fiscal year a date falls in, named after the calendar year it starts in
+const fiscalYearOf = (date, fiscalYearStartMonth = 1) => {
+  const { year, month } = zonedParts(date);
+  return month + 1 >= fiscalYearStartMonth ? year : year - 1;
+};
+
+const dateTokens = (date, fiscalYearStartMonth) => {
+  const { year, month } = zonedParts(date);
+  return {
+    YYYY: String(year),
+    YY: String(year).slice(-2),
+    MM: String(month + 1).padStart(2, '0'),
+    FY: String(fiscalYearOf(date, fiscalYearStartMonth))
+  };
+};
+
+/**
+ * Check a pattern against its reset policy
+ *
+ * @param {string} pattern - e.g. INV-{YYYY}{MM}-{SEQ:6}
+ * @param {string} resetPolicy - NEVER, YEARLY, FISCAL_YEAR or MONTHLY
+ * @throws {Error} with statusCode 400 describing the first problem found
+ */
+export function validatePattern(pattern, resetPolicy) {
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    throw httpError(400, 'pattern is required');
+  }
+  if (!SEQUENCE_RESET_POLICIES.includes(resetPolicy)) {
+    throw httpError(400, `Invalid resetPolicy. Must be one of: ${SEQUENCE_RESET_POLICIES.join(', ')}`);
+  }
+  if (pattern.length > 60) {
+    throw httpError(400, 'pattern must be at most 60 characters');
+  }
+  if (/[{}]/.test(pattern.replace(TOKEN_PATTERN, ''))) {
+    throw httpError(400, 'pattern may only use the tokens {YYYY}, {YY}, {MM}, {FY} and {SEQ} or {SEQ:n}');
+  }
+
+  const tokens = [...pattern.matchAll(TOKEN_PATTERN)];
+  const seqTokens = tokens.filter(([, name]) => name === 'SEQ');
+  if (seqTokens.length !== 1) {
+    throw httpError(400, 'pattern must contain {SEQ} (or {SEQ:n} for n-digit padding) exactly once');
+  }
+  const width = seqTokens[0][2] ? parseInt(seqTokens[0][2], 10) : 1;
+  if (width < 1 || width > 12) {
+    throw httpError(400, '{SEQ:n} padding must be between 1 and 12 digits');
+  }
+  if (tokens.some(([, name, digits]) => name !== 'SEQ' && digits)) {
+    throw httpError(400, 'Only {SEQ} takes a width');
+  }
+
+  const used = tokens.map(([, name]) => name).filter(name => name !== 'SEQ');
+  const { required, allowed } = RESET_TOKENS[resetPolicy];
+
+  const notAllowed = used.filter(name => !allowed.includes(name));
+  if (notAllowed.length > 0) {
+    throw httpError(400, `{${notAllowed[0]}} changes within a ${resetPolicy} period and cannot be used with that reset policy`);
+  }
+  const missing = required.find(options => !options.some(name => used.includes(name)));
+  if (missing) {
+    throw httpError(400, `A ${resetPolicy} sequence must include {${missing.join('} or {')}} so each period's numbers are distinct`);
+  }
+}
+
+/**
+ * Format a sequence value with a pattern
+ *
+ * @param {string} pattern
+ * @param {object} options
+ * @param {number} options.value - Counter value for {SEQ}
+ * @param {Date} [options.date] - Date the date tokens are taken from
+ * @param {number} [options.fiscalYearStartMonth] - 1-12, for {FY}
+ * @returns {string}
+ */
+export function formatNumber(pattern, { value, date = new Date(), fiscalYearStartMonth = 1 }) {
+  const values = dateTokens(date, fiscalYearStartMonth);
+  return pattern.replace(TOKEN_PATTERN, (match, name, width) =>
+    name === 'SEQ' ? String(value).padStart(parseInt(width || '1', 10), '0') : values[name]
+  );
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The fixed text around {SEQ} for a period, and a matcher that pulls the value
+// back out of a number issued in that period
+const periodMatcher = (config, date) => {
+  const [before, after] = config.pattern.split(/\{SEQ(?::\d+)?\}/);
+  const fill = (text) => formatNumber(text, { value: 0, date, fiscalYearStartMonth: config.fiscalYearStartMonth });
+  const prefix = fill(before);
+  const suffix = fill(after);
+
+  return {
+    prefix,
+    suffix,
+    regex: new RegExp(`^${escapeRegExp(prefix)}(\\d+)${escapeRegExp(suffix)}$`)
+  };
+};
+
+// Matches every number a pattern can produce, whatever the date or value
+const patternRegex = (pattern) => {
+  const source = pattern
+    .split(TOKEN_PATTERN)
+    .map((part, index) => {
+      // split() interleaves text, token name and token width
+      if (index % 3 === 0) return escapeRegExp(part);
+      if (index % 3 === 2) return '';
+      if (part === 'SEQ') return '\\d+';
+      return part === 'YY' || part === 'MM' ? '\\d{2}' : '\\d{4}';
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+};
+
+// Whether two scopes of a document type could issue the same number. Checked
+// with sample numbers from each pattern, which covers prefixes and digit runs.
+const patternsOverlap = (a, b) => {
+  const samples = (pattern) => [1, 42, 123456789].flatMap(value => [
+    formatNumber(pattern, { value, date: zonedMidnight(2026, 0, 1) }),
+    formatNumber(pattern, { value, date: zonedMidnight(2031, 11, 1) })
+  ]);
+  return samples(a).some(number => patternRegex(b).test(number)) ||
+    samples(b).some(number => patternRegex(a).test(number));
+};
+
+// ======================================================
+// PERIODS
+// ======================================================
+
+const periodKeyFor = (config, date) => {
+  const { year, month } = zonedParts(date);
+  switch (config.resetPolicy) {
+    case 'NEVER':
+      return 'ALL';
+    case 'YEARLY':
+      return String(year);
+    case 'FISCAL_YEAR':
+      return `FY${fiscalYearOf(date, config.fiscalYearStartMonth)}`;
+    default:
+      return `${year}${String(month + 1).padStart(2, '0')}`;
+  }
+};
+
+// A date inside the period, or null when the key does not belong to the
+// config's reset policy (the policy was changed after the counter was used)
+const periodDate = (config, period) => {
+  let date = null;
+  if (period === 'ALL') {
+    date = new Date();
+  } else if (/^\d{4}$/.test(period)) {
+    date = zonedMidnight(Number(period), 0, 1);
+  } else if (/^FY\d{4}$/.test(period)) {
+    date = zonedMidnight(Number(period.slice(2)), config.fiscalYearStartMonth - 1, 1);
+  } else if (/^\d{6}$/.test(period)) {
+    date = zonedMidnight(Number(period.slice(0, 4)), Number(period.slice(4)) - 1, 1);
+  }
+  return date && periodKeyFor(config, date) === period ? date : null;
+};
+
+// ======================================================
+// CONFIGURATION
+// ======================================================
+
+/**
+ * The numbering in force for a document type: the property's own sequence,
+ * else the global one, else the built-in default
+ *
+ * @param {string} documentType
+ * @param {object} [options]
+ * @param {string} [options.propertyId]
+ * @param {Prisma.TransactionClient} [options.client]
+ * @returns {Promise<object>} { documentType, scopeKey, propertyId, pattern, resetPolicy, fiscalYearStartMonth, source }
+ */
+export async function resolveSequence(documentType, { propertyId = null, client = prisma } = {}) {
+  const type = requireDocumentType(documentType);
+  const scopeKeys = type.perProperty && propertyId ? [scopeKeyFor(propertyId), 'GLOBAL'] : ['GLOBAL'];
+
+  const sequences = await client.numberSequence.findMany({
+    where: { documentType, scopeKey: { in: scopeKeys } }
+  });
+  const sequence = scopeKeys
+    .map(scopeKey => sequences.find(row => row.scopeKey === scopeKey))
+    .find(Boolean);
+
+  if (sequence) {
+    return {
+      documentType,
+      scopeKey: sequence.scopeKey,
+      propertyId: sequence.propertyId,
+      pattern: sequence.pattern,
+      resetPolicy: sequence.resetPolicy,
+      fiscalYearStartMonth: sequence.fiscalYearStartMonth,
+      source: sequence.propertyId ? 'PROPERTY' : 'GLOBAL'
+    };
+  }
+
+  return {
+    documentType,
+    scopeKey: 'GLOBAL',
+    propertyId: null,
+    pattern: type.pattern,
+    resetPolicy: type.resetPolicy,
+    fiscalYearStartMonth: 1,
+    source: 'DEFAULT'
+  };
+}
+
+/**
+ * Create or replace the numbering of a document type, globally or for one property.
+ * Counters are kept, so numbering carries on from the last value issued in the period.
+ *
+ * @param {object} params
+ * @param {string} params.documentType
+ * @param {string} [params.propertyId] - Omit for the global sequence
+ * @param {string} params.pattern
+ * @param {string} [params.resetPolicy]
+ * @param {number} [params.fiscalYearStartMonth]
+ * @returns {Promise<object>} The saved NumberSequence
+ */
+export async function saveSequence({ documentType, propertyId = null, pattern, resetPolicy, fiscalYearStartMonth }) {
+  const type = requireDocumentType(documentType);
+  const policy = resetPolicy || type.resetPolicy;
+  const startMonth = fiscalYearStartMonth === undefined || fiscalYearStartMonth === null
+    ? 1
+    : parseInt(fiscalYearStartMonth, 10);
+
+  validatePattern(pattern, policy);
+
+  if (!Number.isInteger(startMonth) || startMonth < 1 || startMonth > 12) {
+    throw httpError(400, 'fiscalYearStartMonth must be a month number from 1 to 12');
+  }
+
+  if (propertyId) {
+    if (!type.perProperty) {
+      throw httpError(400, `${type.name} numbers cannot be set per property`);
+    }
+    const property = await prisma.property.findUnique({ where: { id: propertyId }, select: { id: true } });
+    if (!property) {
+      throw httpError(404, 'Property not found');
+    }
+  }
+
+  const scopeKey = scopeKeyFor(propertyId);
+
+  // Every scope draws from its own counter, so patterns must differ in their fixed text
+  const others = await prisma.numberSequence.findMany({
+    where: { documentType, scopeKey: { not: scopeKey } },
+    select: { scopeKey: true, pattern: true }
+  });
+  if (scopeKey !== 'GLOBAL' && !others.some(other => other.scopeKey === 'GLOBAL')) {
+    others.push({ scopeKey: 'GLOBAL', pattern: type.pattern });
+  }
+
+  const clash = others.find(other => patternsOverlap(other.pattern, pattern));
+  if (clash) {
+    throw httpError(
+      409,
+      `Pattern could produce the same numbers as the ${clash.scopeKey === 'GLOBAL' ? 'global' : clash.scopeKey} sequence (${clash.pattern}); give it a different prefix`
+    );
+  }
+
+  const data = { pattern, resetPolicy: policy, fiscalYearStartMonth: startMonth };
+
+  return prisma.numberSequence.upsert({
+    where: { documentType_scopeKey: { documentType, scopeKey } },
+    create: { documentType, scopeKey, propertyId, ...data },
+    update: data,
+    include: { property: { select: { id: true, name: true } } }
+  });
+}
+
+/**
+ * Remove a configured sequence; its scope falls back to the next sequence up
+ *
+ * @param {string} id
+ * @returns {Promise<object>} The removed NumberSequence
+ */
+export async function deleteSequence(id) {
+  const sequence = await prisma.numberSequence.findUnique({ where: { id } });
+  if (!sequence) {
+    throw httpError(404, 'Number sequence not found');
+  }
+
+  return prisma.numberSequence.delete({ where: { id } });
+}
+
+// ======================================================
+// ISSUING NUMBERS
+// ======================================================
+
+// Counter values of the documents already numbered in a period
+const issuedValues = async (client, config, date) => {
+  const { model, field } = SEQUENCE_DOCUMENT_TYPES[config.documentType];
+  const { prefix, suffix, regex } = periodMatcher(config, date);
+
+  const rows = await client[model].findMany({
+    where: { [field]: { startsWith: prefix, endsWith: suffix } },
+    select: { [field]: true }
+  });
+
+  return rows
+    .map(row => regex.exec(row[field]))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10));
+};
+
+// Value a new counter starts after: the highest number already issued in its
+// period, so numbering carries on from documents created before it existed
+const seedValue = async (client, config, date) => {
+  const values = await issuedValues(client, config, date);
+  return values.reduce((max, value) => Math.max(max, value), 0);
+};
+
+/**
+ * Issue the next number of a document type.
+ *
+ * The counter is bumped with a single upsert (INSERT ... ON CONFLICT DO UPDATE
+ * SET "lastValue" = "lastValue" + 1), so concurrent requests always get
+ * different values. Pass the transaction client when the document is created
+ * in a transaction: the counter row stays locked until it commits and a
+ * rollback gives the number back. Outside a transaction a number is used up
+ * even when saving the document fails; the gap report lists those.
+ *
+ * @param {string} documentType - A key of SEQUENCE_DOCUMENT_TYPES
+ * @param {object} [options]
+ * @param {string} [options.propertyId] - Property the document belongs to, for per-property numbering
+ * @param {Date} [options.date] - Document date the period and date tokens come from (default now)
+ * @param {Prisma.TransactionClient} [options.client]
+ * @returns {Promise<string>}
+ */
+export async function nextNumber(documentType, { propertyId = null, date = new Date(), client = prisma } = {}) {
+  const config = await resolveSequence(documentType, { propertyId, client });
+  const key = { documentType, scopeKey: config.scopeKey, period: periodKeyFor(config, date) };
+
+  const existing = await client.sequenceCounter.findUnique({
+    where: { documentType_scopeKey_period: key },
+    select: { id: true }
+  });
+  const seed = existing ? 0 : await seedValue(client, config, date);
+
+  const counter = await client.sequenceCounter.upsert({
+    where: { documentType_scopeKey_period: key },
+    create: { ...key, lastValue: seed + 1 },
+    update: { lastValue: { increment: 1 } },
+    select: { lastValue: true }
+  });
+
+  return formatNumber(config.pattern, {
+    value: counter.lastValue,
+    date,
+    fiscalYearStartMonth: config.fiscalYearStartMonth
+  });
+}
+
+/**
+ * The number the next document would get, without using it up
+ *
+ * @param {string} documentType
+ * @param {object} [options]
+ * @param {string} [options.propertyId]
+ * @param {Date} [options.date]
+ * @returns {Promise<object>} { number, period, sequence }
+ */
+export async function peekNextNumber(documentType, { propertyId = null, date = new Date() } = {}) {
+  const config = await resolveSequence(documentType, { propertyId });
+  const period = periodKeyFor(config, date);
+
+  const counter = await prisma.sequenceCounter.findUnique({
+    where: { documentType_scopeKey_period: { documentType, scopeKey: config.scopeKey, period } },
+    select: { lastValue: true }
+  });
+  const lastValue = counter ? counter.lastValue : await seedValue(prisma, config, date);
+
+  return {
+    number: formatNumber(config.pattern, {
+      value: lastValue + 1,
+      date,
+      fiscalYearStartMonth: config.fiscalYearStartMonth
+    }),
+    period,
+    sequence: config
+  };
+}
+
+// ======================================================
+// AUDIT
+// ======================================================
+
+/**
+ * Numbers skipped in a sequence, period by period.
+ *
+ * Each counter period is compared with the documents that carry its numbers:
+ * values from 1 to the counter's last value with no document are gaps, and
+ * documents numbered past the counter were numbered outside it. Documents are
+ * matched with the sequence's current pattern, so periods numbered under an
+ * earlier reset policy are listed as not comparable.
+ *
+ * @param {string} documentType
+ * @param {object} [options]
+ * @param {string} [options.propertyId] - Report the sequence this property's documents use
+ * @param {string} [options.period] - Only this period key (e.g. 202603, 2026, FY2026, ALL)
+ * @returns {Promise<object>}
+ */
+export async function getSequenceGaps(documentType, { propertyId = null, period = null } = {}) {
+  const config = await resolveSequence(documentType, { propertyId });
+
+  const counters = await prisma.sequenceCounter.findMany({
+    where: { documentType, scopeKey: config.scopeKey, ...(period && { period }) },
+    orderBy: { period: 'asc' }
+  });
+
+  const periods = [];
+  for (const counter of counters) {
+    const date = periodDate(config, counter.period);
+    if (!date) {
+      periods.push({ period: counter.period, lastValue: counter.lastValue, comparable: false });
+      continue;
+    }
+
+    const issued = new Set(await issuedValues(prisma, config, date));
+    const format = (value) => formatNumber(config.pattern, {
+      value,
+      date,
+      fiscalYearStartMonth: config.fiscalYearStartMonth
+    });
+
+    const missing = [];
+    for (let value = 1; value <= counter.lastValue; value++) {
+      if (!issued.has(value)) missing.push(value);
+    }
+    const outsideCounter = [...issued].filter(value => value > counter.lastValue).sort((a, b) => a - b);
+
+    periods.push({
+      period: counter.period,
+      comparable: true,
+      lastValue: counter.lastValue,
+      lastNumber: counter.lastValue > 0 ? format(counter.lastValue) : null,
+      issuedCount: issued.size,
+      missingCount: missing.length,
+      missing: missing.slice(0, MAX_LISTED_GAPS).map(format),
+      outsideCounter: outsideCounter.map(format)
+    });
+  }
+
+  return {
+    sequence: config,
+    totalMissing: periods.reduce((sum, entry) => sum + (entry.missingCount || 0), 0),
+    periods
+  };
+}
@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import prisma from '../lib/prisma.js';
+import generateToken, { ACCESS_TOKEN_EXPIRES } from '../utils/generateToken.js';
+import { httpError } from '../utils/httpError.js';
+
+// Refresh tokens stop working this long after login, however often they are rotated
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Browsers send long user agents; keep enough to tell devices apart
+const MAX_USER_AGENT_LENGTH = 255;
+
+// Only SHA-256 hashes of refresh tokens are stored
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Device details recorded with sessions and login events
+export const clientInfo = (req) => ({
+  userAgent: req?.get?.('user-agent')?.slice(0, MAX_USER_AGENT_LENGTH) || null,
+  ipAddress: req?.ip || null
+});
+
+// Session fields that are safe to show to the user (never the token hashes)
+export const sessionSelect = {
+  id: true,
+  userAgent: true,
+  ipAddress: true,
+  createdAt: true,
+  lastUsedAt: true,
+  expiresAt: true
+};
+
+const issueTokens = (user, session, refreshToken) => ({
+  token: generateToken(user.id, user.role, session.id),
+  expiresIn: ACCESS_TOKEN_EXPIRES,
+  refreshToken,
+  refreshTokenExpiresAt: session.expiresAt,
+  sessionId: session.id
+});
+
+/**
+ * Start a session for a user who has just authenticated
+ * @param {object} user - { id, role }
+ * @param {object} [req] - Request, for the device's user agent and IP address
+ * @returns {Promise<object>} { token, expiresIn, refreshToken, refreshTokenExpiresAt, sessionId }
+ */
+export async function createSession(user, req) {
+  const refreshToken = newRefreshToken();
+
+  const session = await prisma.userSession.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      ...clientInfo(req),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * DAY_MS)
+    }
+  });
+
+  return issueTokens(user, session, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ *
+ * The old refresh token stops working. If it is presented again the token has
+ * been copied, so the whole session is revoked. The rotation is guarded on the
+ * token that was read, so two refreshes with the same token cannot both succeed.
+ *
+ * @param {string} refreshToken
+ * @param {object} [req]
+ * @returns {Promise<object>} Same shape as createSession
+ */
+export async function refreshSession(refreshToken, req) {
+  if (!refreshToken) {
+    throw httpError(400, 'refreshToken is required');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await prisma.userSession.findUnique({
+    where: { refreshTokenHash: tokenHash },
+    include: {
+      user: { select: { id: true, role: true, isApproved: true, canManagerLogin: true, passwordChangedAt: true } }
+    }
+  });
+
+  if (!session) {
+    const replayed = await prisma.userSession.findUnique({
+      where: { previousTokenHash: tokenHash },
+      select: { id: true, revokedAt: true }
+    });
+    if (replayed && !replayed.revokedAt) {
+      await revokeSession(replayed.id, 'REFRESH_TOKEN_REUSED');
+    }
+    throw httpError(401, 'Invalid refresh token');
+  }
+
+  const now = new Date();
+  if (session.revokedAt || session.expiresAt <= now) {
+    throw httpError(401, 'Session expired, please log in again');
+  }
+
+  const { user } = session;
+  if (!user.canManagerLogin) {
+    await revokeSession(session.id, 'ACCOUNT_DISABLED');
+    throw httpError(401, 'Your account has been disabled. Please contact your manager or admin.');
+  }
+  if (user.role === 'MANAGER' && !user.isApproved) {
+    throw httpError(403, 'Your account is pending admin approval.');
+  }
+  if (user.passwordChangedAt && user.passwordChangedAt > session.createdAt) {
+    await revokeSession(session.id, 'PASSWORD_CHANGED');
+    throw httpError(401, 'Session expired, please log in again');
+  }
+
+  const nextToken = newRefreshToken();
+  const rotated = await prisma.userSession.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: tokenHash,
+      lastUsedAt: now,
+      ...clientInfo(req)
+    }
+  });
+  if (rotated.count === 0) {
+    throw httpError(401, 'Invalid refresh token');
+  }
+
+  return issueTokens(user, session, nextToken);
+}
+
+/**
+ * Revoke one session. Its access tokens stop working on their next request.
+ * @param {string} sessionId
+ * @param {string} [reason]
+ * @param {object} [options] - { userId } to only revoke the user's own session
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+export async function revokeSession(sessionId, reason = 'LOGOUT', { userId = null } = {}) {
+  const result = await prisma.userSession.updateMany({
+    where: { id: sessionId, revokedAt: null, ...(userId && { userId }) },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.count > 0;
+}
+
+/**
+ * Revoke every active session of a user (log out everywhere)
+ * @param {string} userId
+ * @param {string} [reason]
+ * @param {object} [options] - { exceptSessionId } to keep the caller's own session
+ * @returns {Promise<number>} Sessions revoked
+ */
+export async function revokeUserSessions(userId, reason = 'LOGOUT_ALL', { exceptSessionId = null } = {}) {
+  const result = await prisma.userSession.updateMany({
+    where: { userId, revokedAt: null, ...(exceptSessionId && { id: { not: exceptSessionId } }) },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.count;
+}
+
+/**
+ * A user's signed-in devices
+ * @param {string} userId
+ * @returns {Promise<Array<object>>} Active sessions, most recently used first
+ */
+export async function listActiveSessions(userId) {
+  return prisma.userSession.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: sessionSelect,
+    orderBy: { lastUsedAt: 'desc' }
+  });
+}
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import { httpError } from '../utils/httpError.js';
+
+// Links for opening a document in a new tab, where no Authorization header can
+// be sent. A link is good for one path (and its query) for a few minutes and
+// names who asked for it, so no bearer token ever lands in a URL.
+const SIGNED_URL_EXPIRES_SECONDS = parseInt(process.env.SIGNED_URL_EXPIRES_SECONDS) || 300;
+
+const SIGNATURE_PARAMS = ['expires', 'sub', 'signature'];
+
+// Any origin will do: only the path and query are signed
+const URL_BASE = 'http://localhost';
+
+// API downloads staff can get links for. Each route still checks the user's
+// permissions when the link is opened.
+export const STAFF_DOWNLOAD_ROUTES = [
+  /^\/api\/invoices\/[^/]+\/download$/,
+  /^\/api\/bill-invoices\/[^/]+\/download$/,
+  /^\/api\/credit-notes\/[^/]+\/download$/,
+  /^\/api\/payments\/[^/]+\/receipt$/,
+  /^\/api\/deposits\/transactions\/[^/]+\/download$/,
+  /^\/api\/demand-letters\/[^/]+\/download$/,
+  /^\/api\/offer-letters\/[^/]+\/download$/,
+  /^\/api\/activations\/[^/]+\/download$/,
+  /^\/api\/daily-reports\/[^/]+\/download$/,
+  /^\/api\/commissions\/[^/]+\/commission-invoice\/download$/,
+  /^\/api\/other-income\/[^/]+\/download$/,
+  /^\/api\/other-income\/attachments\/[^/]+\/(download|preview)$/,
+  /^\/api\/tenants\/attachments\/[^/]+\/(download|preview)$/,
+  /^\/api\/tenants\/[^/]+\/statement\/pdf$/,
+  /^\/api\/service-providers\/attachments\/[^/]+\/(download|preview)$/,
+  /^\/api\/landlords\/[^/]+\/statements\/[^/]+\/pdf$/,
+  // Stored files, which are no longer served without a signature
+  /^\/uploads\/(?!.*\.\.)[^?#]+$/
+];
+
+export const TENANT_PORTAL_DOWNLOAD_ROUTES = [
+  /^\/api\/tenant-portal\/payments\/[^/]+\/receipt$/,
+  /^\/api\/tenant-portal\/statement\/pdf$/,
+  /^\/api\/tenant-portal\/documents\/[^/]+\/download$/
+];
+
+export const LANDLORD_PORTAL_DOWNLOAD_ROUTES = [
+  /^\/api\/landlord-portal\/commission-invoices\/[^/]+\/download$/,
+  /^\/api\/landlord-portal\/statements\/[^/]+\/pdf$/
+];
+
+const signingKey = () => process.env.SIGNED_URL_SECRET || process.env.JWT_SECRET;
+
+// Path plus the query without the signature parameters, in a fixed order
+const canonicalize = (url) => {
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !SIGNATURE_PARAMS.includes(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  return query ? `${url.pathname}?${query}` : url.pathname;
+};
+
+const sign = (resource, expires, subject) => crypto
+  .createHmac('sha256', signingKey())
+  .update(`GET\n${resource}\n${expires}\n${subject}`)
+  .digest('hex');
+
+/**
+ * Sign a download link
+ * @param {string} path - Path and optional query, e.g. /api/invoices/:id/download
+ * @param {string} subject - Who the link is for, e.g. user:<userId>:<sessionId>
+ * @param {Array<RegExp>} allowedRoutes - Paths this caller may get links for
+ * @returns {object} { url, expiresAt }
+ * @throws 400 for a path outside allowedRoutes
+ */
+export function createSignedUrl(path, subject, allowedRoutes) {
+  if (!path || typeof path !== 'string' || !path.startsWith('/')) {
+    throw httpError(400, 'path must be a path such as /api/invoices/<id>/download');
+  }
+
+  const url = new URL(path, URL_BASE);
+  if (!allowedRoutes.some(route => route.test(url.pathname))) {
+    throw httpError(400, 'Links can only be created for document downloads');
+  }
+
+  const resource = canonicalize(url);
+  const expires = Math.floor(Date.now() / 1000) + SIGNED_URL_EXPIRES_SECONDS;
+  const separator = resource.includes('?') ? '&' : '?';
+  const signatureParams = new URLSearchParams({ expires: String(expires), sub: subject, signature: sign(resource, expires, subject) });
+
+  return {
+    url: `${resource}${separator}${signatureParams.toString()}`,
+    expiresAt: new Date(expires * 1000)
+  };
+}
+
+/**
+ * Check the signature on a request opened from a signed link
+ * @param {object} req
+ * @returns {object|null} { subject, issuedAt } for a valid, unexpired link; otherwise null
+ */
+export function verifySignedRequest(req) {
+  const { expires, sub, signature } = req.query || {};
+  if (req.method !== 'GET' || !expires || !sub || !signature) return null;
+
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || expiresAt * 1000 < Date.now()) return null;
+
+  const expected = sign(canonicalize(new URL(req.originalUrl, URL_BASE)), expiresAt, String(sub));
+  const given = Buffer.from(String(signature));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+    return null;
+  }
+
+  return {
+    subject: String(sub),
+    issuedAt: new Date((expiresAt - SIGNED_URL_EXPIRES_SECONDS) * 1000)
+  };
+}
+
+/**
+ * Whether a request carries signed-link parameters at all (valid or not)
+ * @param {object} req
+ * @returns {boolean}
+ */
+export const hasSignedUrlParams = (req) => Boolean(req.query && req.query.signature);
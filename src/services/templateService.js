@@ -0,0 +1,315 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import prisma from '../lib/prisma.js';
+import { generatePDF } from '../utils/pdfGenerator.js';
+import { renderTemplate, TemplateSyntaxError } from '../utils/templateEngine.js';
+import { getDocumentDefinition, getDefaultTemplateBody } from '../template/documentTemplates.js';
+import { httpError } from '../utils/httpError.js';
+
+const LETTERHEAD_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'letterHeads', 'letterhead.png');
+
+// Company details every template can use as {{ company.* }}
+const COMPANY = {
+  name: 'Interpark Enterprises Limited',
+  phone: '0110 060 088',
+  email: 'info@interparkenterprises.co.ke',
+  website: 'www.interparkenterprises.co.ke'
+};
+
+export const TEMPLATE_SCOPES = ['GLOBAL', 'PROPERTY', 'LANDLORD'];
+
+// DocumentTemplate.scopeKey: one active version per key and scopeKey
+const scopeKeyFor = (scope, { propertyId, landlordId } = {}) => {
+  if (scope === 'PROPERTY') return `property:${propertyId}`;
+  if (scope === 'LANDLORD') return `landlord:${landlordId}`;
+  return 'GLOBAL';
+};
+
+let letterheadDataUri;
+
+// The letterhead as a data URI for {{{ letterhead }}}, or '' when the image is missing
+const getLetterhead = () => {
+  if (letterheadDataUri === undefined) {
+    try {
+      letterheadDataUri = `data:image/png;base64,${fs.readFileSync(LETTERHEAD_PATH).toString('base64')}`;
+    } catch (error) {
+      console.warn(`Letterhead not found at ${LETTERHEAD_PATH}, documents use a text header`);
+      letterheadDataUri = '';
+    }
+  }
+  return letterheadDataUri;
+};
+
+const requireDefinition = (key) => {
+  const definition = getDocumentDefinition(key);
+  if (!definition) {
+    throw httpError(400, `Unknown document template: ${key}`);
+  }
+  return definition;
+};
+
+/**
+ * The values a template is rendered with: the document's own context plus
+ * company, letterhead and generatedAt
+ *
+ * @param {object} definition - From getDocumentDefinition
+ * @param {object} data - Document input
+ * @returns {object}
+ */
+export const buildTemplateContext = (definition, data) => ({
+  company: COMPANY,
+  letterhead: getLetterhead(),
+  generatedAt: new Date(),
+  ...definition.buildContext(data)
+});
+
+// ======================================================
+// RESOLUTION AND RENDERING
+// ======================================================
+
+/**
+ * Find the template a document is rendered with. The active property version
+ * wins over the landlord's, which wins over the global one; without any the
+ * built-in default is used.
+ *
+ * @param {string} key - Document type, e.g. receipt
+ * @param {object} [scope]
+ * @param {string|null} [scope.propertyId]
+ * @param {string|null} [scope.landlordId] - Looked up from the property when omitted
+ * @returns {Promise<{ body: string, source: string, template: object|null }>}
+ *   source is PROPERTY, LANDLORD, GLOBAL or DEFAULT
+ */
+export async function resolveTemplate(key, { propertyId = null, landlordId = null } = {}) {
+  requireDefinition(key);
+
+  if (propertyId && !landlordId) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { landlordId: true }
+    });
+    landlordId = property?.landlordId || null;
+  }
+
+  const candidates = [
+    propertyId && scopeKeyFor('PROPERTY', { propertyId }),
+    landlordId && scopeKeyFor('LANDLORD', { landlordId }),
+    'GLOBAL'
+  ].filter(Boolean);
+
+  const active = await prisma.documentTemplate.findMany({
+    where: { key, scopeKey: { in: candidates }, isActive: true }
+  });
+
+  for (const scopeKey of candidates) {
+    const template = active.find(t => t.scopeKey === scopeKey);
+    if (template) {
+      return { body: template.body, source: template.scope, template };
+    }
+  }
+
+  return { body: getDefaultTemplateBody(key), source: 'DEFAULT', template: null };
+}
+
+/**
+ * Render a document to HTML with the template that applies to it
+ *
+ * @param {string} key - Document type
+ * @param {object} data - Document input (see the definition's sampleData)
+ * @param {object} [scope] - { propertyId, landlordId } for overrides
+ * @returns {Promise<string>}
+ */
+export async function renderDocumentHtml(key, data, scope = {}) {
+  const definition = requireDefinition(key);
+  const { body } = await resolveTemplate(key, scope);
+  return renderTemplate(body, buildTemplateContext(definition, data));
+}
+
+/**
+ * Render a document to a PDF buffer with the template that applies to it
+ *
+ * @param {string} key - Document type
+ * @param {object} data - Document input
+ * @param {object} [scope] - { propertyId, landlordId } for overrides
+ * @returns {Promise<Buffer>}
+ */
+export async function renderDocumentPdf(key, data, scope = {}) {
+  const definition = requireDefinition(key);
+  const html = await renderDocumentHtml(key, data, scope);
+  return generatePDF(html, definition.pdfOptions);
+}
+
+// Render a template body against sample data; syntax errors become 400s
+const renderChecked = (definition, body, data) => {
+  try {
+    return renderTemplate(body, buildTemplateContext(definition, data));
+  } catch (error) {
+    if (error instanceof TemplateSyntaxError) {
+      throw httpError(400, `Template error: ${error.message}`);
+    }
+    throw httpError(400, `Template could not be rendered with the sample data: ${error.message}`);
+  }
+};
+
+// ======================================================
+// VERSIONS
+// ======================================================
+
+/**
+ * Save a new version of a template. The body must render against the
+ * document's sample data. New versions are inactive unless activate is set.
+ *
+ * @param {object} params
+ * @param {string} params.key
+ * @param {string} [params.scope=GLOBAL] - GLOBAL, PROPERTY or LANDLORD
+ * @param {string} [params.propertyId] - Required for PROPERTY
+ * @param {string} [params.landlordId] - Required for LANDLORD
+ * @param {string} params.body
+ * @param {string} [params.notes] - What changed
+ * @param {boolean} [params.activate=false]
+ * @param {string|null} [params.createdById]
+ * @returns {Promise<object>} The new DocumentTemplate
+ */
+export async function createTemplateVersion({ key, scope = 'GLOBAL', propertyId, landlordId, body, notes, activate = false, createdById = null }) {
+  const definition = requireDefinition(key);
+
+  if (!TEMPLATE_SCOPES.includes(scope)) {
+    throw httpError(400, `Invalid scope. Must be one of: ${TEMPLATE_SCOPES.join(', ')}`);
+  }
+  if (typeof body !== 'string' || !body.trim()) {
+    throw httpError(400, 'Template body is required');
+  }
+
+  if (scope === 'PROPERTY') {
+    if (!propertyId) throw httpError(400, 'propertyId is required for a property template');
+    const property = await prisma.property.findUnique({ where: { id: propertyId }, select: { id: true } });
+    if (!property) throw httpError(404, 'Property not found');
+  }
+  if (scope === 'LANDLORD') {
+    if (!landlordId) throw httpError(400, 'landlordId is required for a landlord template');
+    const landlord = await prisma.landlord.findUnique({ where: { id: landlordId }, select: { id: true } });
+    if (!landlord) throw httpError(404, 'Landlord not found');
+  }
+
+  renderChecked(definition, body, definition.sampleData);
+
+  const scopeKey = scopeKeyFor(scope, { propertyId, landlordId });
+  const latest = await prisma.documentTemplate.findFirst({
+    where: { key, scopeKey },
+    orderBy: { version: 'desc' },
+    select: { version: true }
+  });
+
+  let template;
+  try {
+    template = await prisma.documentTemplate.create({
+      data: {
+        key,
+        scope,
+        scopeKey,
+        propertyId: scope === 'PROPERTY' ? propertyId : null,
+        landlordId: scope === 'LANDLORD' ? landlordId : null,
+        version: (latest?.version || 0) + 1,
+        body,
+        notes: notes || null,
+        createdById
+      }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw httpError(409, 'Another version of this template was saved at the same time, please try again');
+    }
+    throw error;
+  }
+
+  return activate ? activateTemplateVersion(template.id) : template;
+}
+
+/**
+ * Make a version the one used for its key and scope; the previously active
+ * version is switched off
+ *
+ * @param {string} id - DocumentTemplate id
+ * @returns {Promise<object>}
+ */
+export async function activateTemplateVersion(id) {
+  const template = await prisma.documentTemplate.findUnique({ where: { id } });
+  if (!template) {
+    throw httpError(404, 'Template not found');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await tx.documentTemplate.updateMany({
+      where: { key: template.key, scopeKey: template.scopeKey, isActive: true, id: { not: id } },
+      data: { isActive: false }
+    });
+
+    return tx.documentTemplate.update({
+      where: { id },
+      data: { isActive: true, activatedAt: new Date() }
+    });
+  });
+}
+
+/**
+ * Switch a version off. Documents in its scope fall back to the next
+ * template up (landlord, global, then built-in).
+ *
+ * @param {string} id - DocumentTemplate id
+ * @returns {Promise<object>}
+ */
+export async function deactivateTemplateVersion(id) {
+  const { count } = await prisma.documentTemplate.updateMany({
+    where: { id, isActive: true },
+    data: { isActive: false }
+  });
+
+  const template = await prisma.documentTemplate.findUnique({ where: { id } });
+  if (!template) {
+    throw httpError(404, 'Template not found');
+  }
+  if (count === 0) {
+    throw httpError(400, 'Template version is not active');
+  }
+
+  return template;
+}
+
+// ======================================================
+// PREVIEW
+// ======================================================
+
+/**
+ * Render a template against sample data without storing anything. Uses, in
+ * order: the given body, a saved version, or the template that currently
+ * applies to the scope. Fields in data replace the sample values.
+ *
+ * @param {object} params
+ * @param {string} params.key
+ * @param {string} [params.body] - Unsaved template text
+ * @param {string} [params.templateId] - A saved version
+ * @param {string} [params.propertyId]
+ * @param {string} [params.landlordId]
+ * @param {object} [params.data] - Overrides for the sample data
+ * @returns {Promise<{ html: string, source: string, pdfOptions: object }>}
+ */
+export async function previewTemplate({ key, body, templateId, propertyId, landlordId, data = {} }) {
+  const definition = requireDefinition(key);
+  let source = 'DRAFT';
+
+  if (typeof body !== 'string') {
+    if (templateId) {
+      const template = await prisma.documentTemplate.findUnique({ where: { id: templateId } });
+      if (!template || template.key !== key) {
+        throw httpError(404, 'Template not found');
+      }
+      body = template.body;
+      source = template.scope;
+    } else {
+      ({ body, source } = await resolveTemplate(key, { propertyId, landlordId }));
+    }
+  }
+
+  const html = renderChecked(definition, body, { ...definition.sampleData, ...data });
+  return { html, source, pdfOptions: definition.pdfOptions };
+}
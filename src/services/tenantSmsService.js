@@ -0,0 +1,186 @@
+import prisma from '../lib/prisma.js';
+import { queueTenantSms, queueSms } from './notificationService.js';
+import { calculateNextPaymentDue } from './paymentScheduling.js';
+import { invoiceSms, receiptSms, paymentDueSms, demandLetterSms } from '../utils/smsService.js';
+import { roundMoney } from '../utils/money.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tenants are texted this many days before rent falls due unless overridden
+const DUE_REMINDER_DAYS = parseInt(process.env.SMS_DUE_REMINDER_DAYS) || 3;
+
+// Invoices whose balance is still owed
+const OUTSTANDING_INVOICE_STATUSES = ['UNPAID', 'PARTIAL', 'OVERDUE'];
+
+// ======================================================
+// EVENT NOTICES
+// ======================================================
+// These run after the invoice or payment is saved. An SMS that fails is
+// stored for retry and never fails the operation that triggered it.
+
+/**
+ * Text a tenant that an invoice has been issued
+ * @param {object} tenant - Tenant row (contact, smsOptOut)
+ * @param {object} invoice
+ * @param {string|null} [createdById]
+ * @returns {Promise<object|null>} The OutboundMessage, or null when nothing was sent
+ */
+export async function smsInvoiceIssued(tenant, invoice, createdById = null) {
+  try {
+    return await queueTenantSms(tenant, {
+      category: 'INVOICE',
+      text: invoiceSms({
+        tenantName: tenant.fullName,
+        invoiceNumber: invoice.invoiceNumber,
+        paymentPeriod: invoice.paymentPeriod,
+        amountDue: invoice.balance,
+        dueDate: invoice.dueDate
+      }),
+      links: { propertyId: tenant.unit?.propertyId, invoiceId: invoice.id },
+      createdById
+    });
+  } catch (error) {
+    console.error(`Invoice SMS for ${invoice.invoiceNumber} failed:`, error);
+    return null;
+  }
+}
+
+/**
+ * Text a tenant that their payment was received, with what is still owed
+ * @param {object} tenant - Tenant row (contact, smsOptOut)
+ * @param {object} paymentReport
+ * @param {object} [options] - { receiptNumber, createdById }
+ * @returns {Promise<object|null>}
+ */
+export async function smsPaymentReceived(tenant, paymentReport, { receiptNumber = null, createdById = null } = {}) {
+  try {
+    const outstanding = await prisma.invoice.aggregate({
+      where: { tenantId: tenant.id, status: { in: OUTSTANDING_INVOICE_STATUSES } },
+      _sum: { balance: true }
+    });
+
+    return await queueTenantSms(tenant, {
+      category: 'RECEIPT',
+      text: receiptSms({
+        tenantName: tenant.fullName,
+        amountPaid: paymentReport.amountPaid,
+        datePaid: paymentReport.datePaid,
+        receiptNumber,
+        balance: roundMoney(outstanding._sum.balance)
+      }),
+      links: { propertyId: tenant.unit?.propertyId, paymentReportId: paymentReport.id },
+      createdById
+    });
+  } catch (error) {
+    console.error(`Payment SMS for payment ${paymentReport.id} failed:`, error);
+    return null;
+  }
+}
+
+/**
+ * Text a tenant that a demand letter has been issued. An explicit number
+ * (given by staff when sending the letter) is used even if the tenant opted out.
+ *
+ * @param {object} demandLetter - Letter with tenant loaded
+ * @param {object} [options] - { to, createdById }
+ * @returns {Promise<object|null>}
+ */
+export async function smsDemandLetter(demandLetter, { to = null, createdById = null } = {}) {
+  const message = {
+    category: 'DEMAND_LETTER',
+    text: demandLetterSms({
+      tenantName: demandLetter.tenant.fullName,
+      letterNumber: demandLetter.letterNumber,
+      totalAmountDue: roundMoney(demandLetter.outstandingAmount + demandLetter.penaltyAmount),
+      demandPeriod: demandLetter.demandPeriod || '7 days'
+    }),
+    links: {
+      tenantId: demandLetter.tenantId,
+      propertyId: demandLetter.propertyId,
+      demandLetterId: demandLetter.id,
+      invoiceId: demandLetter.invoiceId
+    },
+    createdById
+  };
+
+  try {
+    return to
+      ? await queueSms({ to, ...message })
+      : await queueTenantSms(demandLetter.tenant, message);
+  } catch (error) {
+    console.error(`Demand letter SMS for ${demandLetter.letterNumber} failed:`, error);
+    return null;
+  }
+}
+
+// ======================================================
+// UPCOMING RENT REMINDERS
+// ======================================================
+
+/**
+ * Text active tenants whose next rent payment (per calculateNextPaymentDue)
+ * falls due within SMS_DUE_REMINDER_DAYS. Each due date is reminded once.
+ * Run daily by the scheduler.
+ *
+ * @returns {Promise<{ checked: number, sent: number, failed: number, skipped: number }>}
+ */
+export async function sendUpcomingDueReminders() {
+  const tenants = await prisma.tenant.findMany({
+    where: { status: 'ACTIVE', smsOptOut: false, unitId: { not: null } },
+    include: {
+      unit: { select: { unitNo: true, propertyId: true } },
+      serviceCharge: true,
+      paymentReports: true,
+      invoices: true
+    }
+  });
+
+  const summary = { checked: tenants.length, sent: 0, failed: 0, skipped: 0 };
+
+  for (const tenant of tenants) {
+    try {
+      const next = calculateNextPaymentDue(tenant, tenant.paymentReports);
+      const daysUntilDue = next.timeRemaining.days;
+      const amountDue = roundMoney(next.remainingBalanceForNextPeriod || next.totalDuePerPeriod);
+
+      // Late payers are chased by dunning, not reminded
+      if (next.isOverdue || next.isInGracePeriod) continue;
+      if (daysUntilDue < 0 || daysUntilDue > DUE_REMINDER_DAYS || amountDue <= 0) continue;
+
+      // Already reminded about this due date
+      const reminded = await prisma.outboundMessage.findFirst({
+        where: {
+          tenantId: tenant.id,
+          channel: 'SMS',
+          category: 'PAYMENT_DUE',
+          createdAt: { gte: new Date(new Date(next.nextDueDate).getTime() - (DUE_REMINDER_DAYS + 1) * DAY_MS) }
+        },
+        select: { id: true }
+      });
+      if (reminded) {
+        summary.skipped++;
+        continue;
+      }
+
+      const message = await queueTenantSms(tenant, {
+        category: 'PAYMENT_DUE',
+        text: paymentDueSms({
+          tenantName: tenant.fullName,
+          amountDue,
+          dueDate: next.nextDueDate,
+          unitNo: tenant.unit?.unitNo
+        }),
+        links: { propertyId: tenant.unit?.propertyId }
+      });
+
+      if (!message) summary.skipped++;
+      else if (message.status === 'SENT') summary.sent++;
+      else summary.failed++;
+    } catch (error) {
+      console.error(`Rent due reminder for tenant ${tenant.id} failed:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
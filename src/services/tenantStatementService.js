@@ -0,0 +1,393 @@
+import prisma from '../lib/prisma.js';
+import { LEDGER_ACCOUNTS } from './ledgerService.js';
+import { roundMoney } from '../utils/money.js';
+
+// Payment reports that record money received. CREDIT holds the running credit
+// balance and PREPAID marks future periods covered by an overpayment - neither is cash.
+const CASH_PAYMENT_STATUSES = ['PAID', 'PARTIAL', 'UNPAID'];
+
+// Same-day ordering: charges first, then money received and credits, then notices
+const ENTRY_ORDER = {
+  RENT_INVOICE: 0,
+  BILL_INVOICE: 1,
+  LATE_FEE: 2,
+  PAYMENT: 3,
+  BILL_PAYMENT: 4,
+  LATE_FEE_PAYMENT: 5,
+  LATE_FEE_WAIVER: 6,
+  DEPOSIT_DEDUCTION: 7,
+  CREDIT_NOTE: 8,
+  PREPAYMENT: 9,
+  DEMAND_LETTER: 10
+};
+
+const CREDIT_APPLIED_PATTERN = /Applied Ksh ([\d,]+(?:\.\d+)?) from credit balance/;
+
+/**
+ * Cash actually received on a payment report. Payments recorded since the general
+ * ledger was introduced have an exact cash posting; older ones include any credit
+ * balance applied in amountPaid, which the payment notes record.
+ */
+const cashReceived = (report, ledgerCash) => {
+  if (ledgerCash !== undefined) return ledgerCash;
+
+  const match = report.notes && report.notes.match(CREDIT_APPLIED_PATTERN);
+  const creditApplied = match ? parseFloat(match[1].replace(/,/g, '')) : 0;
+  return Math.max(0, roundMoney(report.amountPaid - creditApplied));
+};
+
+/**
+ * Cash received per journal entry of the given source type for a tenant
+ */
+const getLedgerCashBySource = async (client, tenantId, sourceType) => {
+  const entries = await client.journalEntry.findMany({
+    where: { tenantId, sourceType, sourceId: { not: null }, reversedBy: { is: null } },
+    select: {
+      sourceId: true,
+      entryDate: true,
+      postings: {
+        where: { account: { code: LEDGER_ACCOUNTS.CASH } },
+        select: { debit: true }
+      }
+    },
+    orderBy: { entryDate: 'asc' }
+  });
+
+  return entries.map(entry => ({
+    sourceId: entry.sourceId,
+    entryDate: entry.entryDate,
+    amount: roundMoney(entry.postings.reduce((sum, p) => sum + p.debit, 0))
+  }));
+};
+
+/**
+ * Build a chronological account statement (running ledger) for a tenant.
+ *
+ * Charges are rent and bill invoices (cancelled ones excluded) on their issue date,
+ * plus late fees as their own lines; credits are payments received, waived fees,
+ * arrears paid from the deposit on the deduction date and credit notes on their
+ * issue date (a voided invoice drops out with its credit notes). Overpayments show as a negative (credit) balance,
+ * while prepaid periods and demand letters are listed as zero-amount notices.
+ *
+ * @param {string} tenantId
+ * @param {object} [options]
+ * @param {Date} [options.from] - First day of the statement (defaults to the first entry)
+ * @param {Date} [options.to] - Last day of the statement, inclusive (defaults to today)
+ * @returns {Promise<object|null>} Tenant details, opening/closing balances and entries, or null if not found
+ */
+export async function buildTenantStatement(tenantId, { from = null, to = null } = {}, client = prisma) {
+  const tenant = await client.tenant.findUnique({
+    where: { id: tenantId },
+    include: {
+      unit: {
+        select: {
+          unitNo: true,
+          property: { select: { id: true, name: true, address: true } }
+        }
+      }
+    }
+  });
+
+  if (!tenant) return null;
+
+  const start = from ? new Date(from.getFullYear(), from.getMonth(), from.getDate()) : null;
+  const endDay = to || new Date();
+  const endExclusive = new Date(endDay.getFullYear(), endDay.getMonth(), endDay.getDate() + 1);
+
+  const [invoices, billInvoices, paymentReports, demandLetters, lateFees, creditNotes, depositDeductions, paymentLedger, billPaymentLedger, lateFeePaymentLedger, creditRecord] = await Promise.all([
+    client.invoice.findMany({
+      where: { tenantId, status: { not: 'CANCELLED' }, issueDate: { lt: endExclusive } },
+      select: { id: true, invoiceNumber: true, issueDate: true, dueDate: true, paymentPeriod: true, totalDue: true }
+    }),
+    client.billInvoice.findMany({
+      where: { tenantId, status: { not: 'CANCELLED' }, issueDate: { lt: endExclusive } },
+      select: {
+        id: true,
+        invoiceNumber: true,
+        issueDate: true,
+        dueDate: true,
+        billType: true,
+        billReferenceNumber: true,
+        grandTotal: true,
+        amountPaid: true,
+        updatedAt: true
+      }
+    }),
+    client.paymentReport.findMany({
+      where: { tenantId, status: { in: [...CASH_PAYMENT_STATUSES, 'PREPAID'] }, datePaid: { lt: endExclusive } },
+      select: { id: true, status: true, datePaid: true, paymentPeriod: true, amountPaid: true, totalDue: true, notes: true }
+    }),
+    client.demandLetter.findMany({
+      where: { tenantId, status: { not: 'DRAFT' }, issueDate: { lt: endExclusive } },
+      select: { id: true, letterNumber: true, issueDate: true, outstandingAmount: true, rentalPeriod: true, status: true }
+    }),
+    client.lateFee.findMany({
+      where: { tenantId, assessedDate: { lt: endExclusive } },
+      select: { id: true, description: true, assessedDate: true, amount: true, waivedAmount: true, waivedAt: true, waiverReason: true }
+    }),
+    client.creditNote.findMany({
+      where: {
+        tenantId,
+        issueDate: { lt: endExclusive },
+        OR: [
+          { invoice: { status: { not: 'CANCELLED' } } },
+          { billInvoice: { status: { not: 'CANCELLED' } } }
+        ]
+      },
+      select: {
+        id: true,
+        creditNoteNumber: true,
+        issueDate: true,
+        amount: true,
+        reason: true,
+        invoice: { select: { invoiceNumber: true } },
+        billInvoice: { select: { invoiceNumber: true } }
+      }
+    }),
+    // Only arrears deductions settle the tenant's account; damages are charged to the deposit alone
+    client.depositTransaction.findMany({
+      where: {
+        tenantId,
+        type: 'DEDUCTION',
+        OR: [
+          { invoice: { status: { not: 'CANCELLED' } } },
+          { billInvoice: { status: { not: 'CANCELLED' } } }
+        ]
+      },
+      select: {
+        id: true,
+        receiptNumber: true,
+        transactionDate: true,
+        amount: true,
+        description: true,
+        invoiceId: true,
+        billInvoiceId: true
+      }
+    }),
+    getLedgerCashBySource(client, tenantId, 'PAYMENT'),
+    getLedgerCashBySource(client, tenantId, 'BILL_PAYMENT'),
+    getLedgerCashBySource(client, tenantId, 'LATE_FEE_PAYMENT'),
+    client.paymentReport.findFirst({
+      where: { tenantId, status: 'CREDIT' },
+      orderBy: { createdAt: 'desc' },
+      select: { amountPaid: true }
+    })
+  ]);
+
+  const ledgerCashByPayment = new Map(paymentLedger.map(entry => [entry.sourceId, entry.amount]));
+
+  const entries = [];
+
+  for (const invoice of invoices) {
+    entries.push({
+      date: invoice.issueDate,
+      type: 'RENT_INVOICE',
+      reference: invoice.invoiceNumber,
+      description: `Rent invoice - ${invoice.paymentPeriod}`,
+      dueDate: invoice.dueDate,
+      debit: roundMoney(invoice.totalDue),
+      credit: 0,
+      sourceId: invoice.id
+    });
+  }
+
+  for (const billInvoice of billInvoices) {
+    entries.push({
+      date: billInvoice.issueDate,
+      type: 'BILL_INVOICE',
+      reference: billInvoice.invoiceNumber,
+      description: `${billInvoice.billType} bill - ${billInvoice.billReferenceNumber}`,
+      dueDate: billInvoice.dueDate,
+      debit: roundMoney(billInvoice.grandTotal),
+      credit: 0,
+      sourceId: billInvoice.id
+    });
+
+    // Bill payments are tracked on the bill invoice; dated ledger postings exist
+    // for payments since the ledger was introduced, deposit deductions are listed
+    // on their own below and the rest is shown as one line
+    const ledgerPayments = billPaymentLedger.filter(entry => entry.sourceId === billInvoice.id);
+    const fromDeposit = depositDeductions
+      .filter(deduction => deduction.billInvoiceId === billInvoice.id)
+      .reduce((sum, deduction) => sum + deduction.amount, 0);
+    for (const payment of ledgerPayments) {
+      entries.push({
+        date: payment.entryDate,
+        type: 'BILL_PAYMENT',
+        reference: billInvoice.invoiceNumber,
+        description: `Payment - ${billInvoice.billType} bill`,
+        debit: 0,
+        credit: payment.amount,
+        sourceId: billInvoice.id
+      });
+    }
+
+    const undated = roundMoney(billInvoice.amountPaid - fromDeposit - ledgerPayments.reduce((sum, p) => sum + p.amount, 0));
+    if (undated > 0.01) {
+      entries.push({
+        date: billInvoice.updatedAt,
+        type: 'BILL_PAYMENT',
+        reference: billInvoice.invoiceNumber,
+        description: `Payment - ${billInvoice.billType} bill`,
+        debit: 0,
+        credit: undated,
+        sourceId: billInvoice.id
+      });
+    }
+  }
+
+  // Late fees are separate charges; their payments and waivers are credited against them
+  for (const fee of lateFees) {
+    entries.push({
+      date: fee.assessedDate,
+      type: 'LATE_FEE',
+      reference: null,
+      description: fee.description,
+      debit: roundMoney(fee.amount),
+      credit: 0,
+      sourceId: fee.id
+    });
+
+    if (fee.waivedAmount > 0 && fee.waivedAt && fee.waivedAt < endExclusive) {
+      entries.push({
+        date: fee.waivedAt,
+        type: 'LATE_FEE_WAIVER',
+        reference: null,
+        description: `Waived - ${fee.description}${fee.waiverReason ? ` (${fee.waiverReason})` : ''}`,
+        debit: 0,
+        credit: roundMoney(fee.waivedAmount),
+        sourceId: fee.id
+      });
+    }
+  }
+
+  for (const payment of lateFeePaymentLedger) {
+    if (payment.entryDate >= endExclusive) continue;
+    const fee = lateFees.find(f => f.id === payment.sourceId);
+    entries.push({
+      date: payment.entryDate,
+      type: 'LATE_FEE_PAYMENT',
+      reference: null,
+      description: `Payment - ${fee ? fee.description : 'late fee'}`,
+      debit: 0,
+      credit: payment.amount,
+      sourceId: payment.sourceId
+    });
+  }
+
+  for (const report of paymentReports) {
+    if (report.status === 'PREPAID') {
+      entries.push({
+        date: report.datePaid,
+        type: 'PREPAYMENT',
+        reference: null,
+        description: `Period ${new Date(report.paymentPeriod).toISOString().slice(0, 7)} prepaid from overpayment (${roundMoney(report.totalDue).toFixed(2)})`,
+        debit: 0,
+        credit: 0,
+        sourceId: report.id
+      });
+      continue;
+    }
+
+    const cash = cashReceived(report, ledgerCashByPayment.get(report.id));
+    if (cash <= 0) continue;
+
+    entries.push({
+      date: report.datePaid,
+      type: 'PAYMENT',
+      reference: null,
+      description: report.notes ? `Payment received - ${report.notes}` : 'Payment received',
+      debit: 0,
+      credit: cash,
+      sourceId: report.id
+    });
+  }
+
+  // Arrears paid from the deposit raise the invoice's amountPaid without a payment report
+  for (const deduction of depositDeductions) {
+    if (deduction.transactionDate >= endExclusive) continue;
+    entries.push({
+      date: deduction.transactionDate,
+      type: 'DEPOSIT_DEDUCTION',
+      reference: deduction.receiptNumber,
+      description: `Paid from deposit - ${deduction.description}`,
+      debit: 0,
+      credit: roundMoney(deduction.amount),
+      sourceId: deduction.id
+    });
+  }
+
+  for (const creditNote of creditNotes) {
+    const invoiceNumber = (creditNote.invoice || creditNote.billInvoice).invoiceNumber;
+    entries.push({
+      date: creditNote.issueDate,
+      type: 'CREDIT_NOTE',
+      reference: creditNote.creditNoteNumber,
+      description: `Credit note on ${invoiceNumber} - ${creditNote.reason}`,
+      debit: 0,
+      credit: roundMoney(creditNote.amount),
+      sourceId: creditNote.id
+    });
+  }
+
+  for (const letter of demandLetters) {
+    entries.push({
+      date: letter.issueDate,
+      type: 'DEMAND_LETTER',
+      reference: letter.letterNumber,
+      description: `Demand letter issued for ${letter.rentalPeriod} (outstanding ${roundMoney(letter.outstandingAmount).toFixed(2)})`,
+      debit: 0,
+      credit: 0,
+      sourceId: letter.id
+    });
+  }
+
+  entries.sort((a, b) =>
+    new Date(a.date) - new Date(b.date) || ENTRY_ORDER[a.type] - ENTRY_ORDER[b.type]
+  );
+
+  // Everything before the statement start rolls into the opening balance
+  let openingBalance = 0;
+  const periodEntries = [];
+  for (const entry of entries) {
+    if (start && new Date(entry.date) < start) {
+      openingBalance += entry.debit - entry.credit;
+    } else {
+      periodEntries.push(entry);
+    }
+  }
+  openingBalance = roundMoney(openingBalance);
+
+  let balance = openingBalance;
+  let totalDebits = 0;
+  let totalCredits = 0;
+  for (const entry of periodEntries) {
+    balance = roundMoney(balance + entry.debit - entry.credit);
+    totalDebits += entry.debit;
+    totalCredits += entry.credit;
+    entry.balance = balance;
+  }
+
+  return {
+    tenant: {
+      id: tenant.id,
+      fullName: tenant.fullName,
+      email: tenant.email,
+      contact: tenant.contact,
+      KRAPin: tenant.KRAPin,
+      unitNo: tenant.unit?.unitNo || null,
+      property: tenant.unit?.property || null
+    },
+    period: {
+      from: start || (periodEntries[0] ? periodEntries[0].date : null),
+      to: new Date(endExclusive.getTime() - 1)
+    },
+    openingBalance,
+    totalDebits: roundMoney(totalDebits),
+    totalCredits: roundMoney(totalCredits),
+    closingBalance: balance,
+    // Positive closing balance is owed by the tenant, negative is held in their favour
+    creditBalance: roundMoney(creditRecord?.amountPaid || 0),
+    entries: periodEntries
+  };
+}
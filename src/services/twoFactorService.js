@@ -0,0 +1,232 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../lib/prisma.js';
+import { generateTotpSecret, verifyTotp, totpAuthUrl } from '../utils/totp.js';
+import { httpError } from '../utils/httpError.js';
+
+// Roles that must enrol before they can use RBAC and deletion endpoints.
+// Every role can enrol voluntarily.
+const requiredRoles = () => (process.env.TWO_FACTOR_REQUIRED_ROLES ?? 'ADMIN,MANAGER')
+  .split(',')
+  .map(role => role.trim().toUpperCase())
+  .filter(Boolean);
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Interpark Enterprises';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// The password step of a login is good for this long before the code must be entered
+const CHALLENGE_EXPIRES = '5m';
+const CHALLENGE_AUDIENCE = 'two-factor-login';
+
+// TOTP secrets have to be readable to check codes, so they are encrypted
+// (AES-256-GCM) rather than hashed
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes are shown once as xxxx-xxxx; only hashes are kept
+const normalizeRecoveryCode = (code) => String(code ?? '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const newRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+/**
+ * Whether a role has to use two-factor authentication (TWO_FACTOR_REQUIRED_ROLES)
+ * @param {string} role
+ * @returns {boolean}
+ */
+export const isTwoFactorRequired = (role) => requiredRoles().includes(role);
+
+/**
+ * Two-factor state of a user, for the profile and settings screens
+ * @param {object} user - User with the twoFactor* fields
+ * @returns {object} { enabled, enabledAt, required, recoveryCodesRemaining }
+ */
+export const twoFactorStatus = (user) => ({
+  enabled: user.twoFactorEnabled,
+  enabledAt: user.twoFactorEnabledAt,
+  required: isTwoFactorRequired(user.role),
+  recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0
+});
+
+/**
+ * Start enrolment: store a new secret and return it for the authenticator app.
+ * Nothing changes for the user until a code from it is confirmed with enableTwoFactor.
+ * @param {object} user
+ * @returns {Promise<object>} { secret, otpauthUrl }
+ */
+export async function beginTwoFactorSetup(user) {
+  if (user.twoFactorEnabled) {
+    throw httpError(409, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = generateTotpSecret();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorSecret: encryptSecret(secret), twoFactorLastUsedStep: null }
+  });
+
+  return { secret, otpauthUrl: totpAuthUrl(secret, user.email, ISSUER) };
+}
+
+/**
+ * Finish enrolment with a code from the authenticator app
+ * @param {object} user
+ * @param {string} code
+ * @returns {Promise<string[]>} Recovery codes, shown to the user once
+ */
+export async function enableTwoFactor(user, code) {
+  if (user.twoFactorEnabled) {
+    throw httpError(409, 'Two-factor authentication is already enabled');
+  }
+  if (!user.twoFactorSecret) {
+    throw httpError(400, 'Start two-factor setup first');
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+  if (step === null) {
+    throw httpError(400, 'Invalid authentication code');
+  }
+
+  const recoveryCodes = newRecoveryCodes();
+
+  const updated = await prisma.user.updateMany({
+    where: { id: user.id, twoFactorEnabled: false, twoFactorSecret: user.twoFactorSecret },
+    data: {
+      twoFactorEnabled: true,
+      twoFactorEnabledAt: new Date(),
+      twoFactorLastUsedStep: step,
+      twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode)
+    }
+  });
+  if (updated.count === 0) {
+    throw httpError(409, 'Two-factor setup changed, please start again');
+  }
+
+  return recoveryCodes;
+}
+
+/**
+ * Check a second factor: a code from the authenticator app or an unused
+ * recovery code. Each code works once.
+ * @param {object} user - User with the twoFactor* fields
+ * @param {object} factor - { code } or { recoveryCode }
+ * @returns {Promise<object>} { method: 'TOTP' | 'RECOVERY_CODE', recoveryCodesRemaining }
+ */
+export async function verifyTwoFactor(user, { code, recoveryCode } = {}) {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+    throw httpError(400, 'Two-factor authentication is not enabled');
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashRecoveryCode(recoveryCode);
+    const remaining = user.twoFactorRecoveryCodes.filter(hash => hash !== codeHash);
+
+    // Guarded on the codes that were read, so a code cannot be spent twice
+    const used = remaining.length < user.twoFactorRecoveryCodes.length && await prisma.user.updateMany({
+      where: { id: user.id, twoFactorRecoveryCodes: { equals: user.twoFactorRecoveryCodes } },
+      data: { twoFactorRecoveryCodes: remaining }
+    });
+    if (!used || used.count === 0) {
+      throw httpError(401, 'Invalid recovery code');
+    }
+
+    return { method: 'RECOVERY_CODE', recoveryCodesRemaining: remaining.length };
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code, {
+    afterStep: user.twoFactorLastUsedStep
+  });
+
+  const used = step !== null && await prisma.user.updateMany({
+    where: { id: user.id, twoFactorLastUsedStep: user.twoFactorLastUsedStep },
+    data: { twoFactorLastUsedStep: step }
+  });
+  if (!used || used.count === 0) {
+    throw httpError(401, 'Invalid authentication code');
+  }
+
+  return { method: 'TOTP', recoveryCodesRemaining: user.twoFactorRecoveryCodes.length };
+}
+
+/**
+ * Replace the recovery codes; the old ones stop working
+ * @param {string} userId
+ * @returns {Promise<string[]>} New recovery codes, shown to the user once
+ */
+export async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = newRecoveryCodes();
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) }
+  });
+
+  return recoveryCodes;
+}
+
+/**
+ * Turn two-factor authentication off and forget the secret and recovery codes
+ * @param {string} userId
+ */
+export async function disableTwoFactor(userId) {
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorEnabledAt: null,
+      twoFactorLastUsedStep: null,
+      twoFactorRecoveryCodes: []
+    }
+  });
+}
+
+/**
+ * Short-lived token proving the password step of a login succeeded. It is
+ * signed for the 'two-factor-login' audience, and protect refuses any token
+ * with an audience, so it cannot be used as an access token.
+ * @param {string} userId
+ * @returns {string}
+ */
+export const createLoginChallenge = (userId) => jwt.sign(
+  { userId },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_EXPIRES, audience: CHALLENGE_AUDIENCE }
+);
+
+/**
+ * @param {string} challengeToken
+ * @returns {string} The user the challenge was issued to
+ */
+export function verifyLoginChallenge(challengeToken) {
+  if (!challengeToken) {
+    throw httpError(400, 'challengeToken is required');
+  }
+
+  try {
+    return jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE }).userId;
+  } catch (error) {
+    throw httpError(401, 'Login expired, please enter your password again');
+  }
+}
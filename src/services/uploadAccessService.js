@@ -0,0 +1,204 @@
+import prisma from '../lib/prisma.js';
+import permissionService from './permissionService.js';
+
+// ======================================================
+// OWNERS OF STORED FILES
+// ======================================================
+
+// A tenant's property: their unit, or the last lease once they have moved out
+const tenantPropertySelect = {
+  select: {
+    unit: { select: { propertyId: true } },
+    leases: { orderBy: { startDate: 'desc' }, take: 1, select: { propertyId: true } }
+  }
+};
+const tenantPropertyId = (tenant) => tenant?.unit?.propertyId || tenant?.leases?.[0]?.propertyId || null;
+
+// Every record that keeps an /uploads/... URL, the properties it belongs to and
+// the permission a USER needs to open it. Older rows may hold the URL with the
+// host in front, so URLs are matched on their ending.
+const UPLOAD_OWNERS = [
+  {
+    model: 'invoice',
+    field: 'pdfUrl',
+    select: { tenant: tenantPropertySelect },
+    propertyIds: (invoice) => [tenantPropertyId(invoice.tenant)],
+    resource: 'invoice'
+  },
+  {
+    model: 'billInvoice',
+    field: 'pdfUrl',
+    select: { tenant: tenantPropertySelect },
+    propertyIds: (billInvoice) => [tenantPropertyId(billInvoice.tenant)],
+    resource: 'billInvoice'
+  },
+  {
+    model: 'creditNote',
+    field: 'pdfUrl',
+    select: { propertyId: true, billInvoiceId: true },
+    propertyIds: (creditNote) => [creditNote.propertyId],
+    resource: (creditNote) => (creditNote.billInvoiceId ? 'billInvoice' : 'invoice')
+  },
+  {
+    model: 'paymentReport',
+    field: 'receiptUrl',
+    select: { tenant: tenantPropertySelect },
+    propertyIds: (payment) => [tenantPropertyId(payment.tenant)],
+    resource: 'paymentReport'
+  },
+  {
+    model: 'depositTransaction',
+    field: 'pdfUrl',
+    select: { propertyId: true, tenant: tenantPropertySelect },
+    propertyIds: (transaction) => [transaction.propertyId || tenantPropertyId(transaction.tenant)],
+    resource: 'tenant'
+  },
+  {
+    model: 'demandLetter',
+    field: 'documentUrl',
+    select: { propertyId: true },
+    propertyIds: (letter) => [letter.propertyId],
+    resource: 'demandLetter'
+  },
+  {
+    model: 'offerLetter',
+    field: 'documentUrl',
+    select: { propertyId: true },
+    propertyIds: (letter) => [letter.propertyId],
+    resource: 'offerLetter'
+  },
+  {
+    model: 'activationRequest',
+    field: 'documentUrl',
+    select: { propertyId: true },
+    propertyIds: (activation) => [activation.propertyId],
+    resource: 'activationRequest'
+  },
+  {
+    model: 'commissionInvoice',
+    field: 'pdfUrl',
+    select: { commission: { select: { propertyId: true } } },
+    propertyIds: (invoice) => [invoice.commission?.propertyId],
+    resource: 'commission'
+  },
+  {
+    model: 'landlordStatement',
+    field: 'pdfUrl',
+    select: { landlord: { select: { properties: { select: { id: true } } } } },
+    propertyIds: (statement) => statement.landlord?.properties.map(p => p.id) || [],
+    resource: 'landlord',
+    operation: 'viewStatements'
+  },
+  {
+    model: 'attachment',
+    field: 'url',
+    select: { tenant: tenantPropertySelect },
+    propertyIds: (attachment) => [tenantPropertyId(attachment.tenant)],
+    resource: 'tenant'
+  },
+  {
+    model: 'maintenanceRequestPhoto',
+    field: 'fileUrl',
+    select: { maintenanceRequest: { select: { propertyId: true } } },
+    propertyIds: (photo) => [photo.maintenanceRequest?.propertyId],
+    resource: 'maintenance'
+  },
+  {
+    model: 'serviceProviderAttachment',
+    field: 'fileUrl',
+    select: { serviceProvider: { select: { propertyId: true } } },
+    propertyIds: (attachment) => [attachment.serviceProvider?.propertyId],
+    resource: 'serviceProvider'
+  },
+  {
+    model: 'property',
+    field: 'image',
+    select: { id: true },
+    propertyIds: (property) => [property.id],
+    resource: 'property'
+  },
+  // Other income is not tied to a property; its routes are for managers and admins
+  {
+    model: 'otherIncome',
+    field: 'pdfUrl',
+    select: { id: true },
+    roles: ['ADMIN', 'MANAGER']
+  },
+  {
+    model: 'otherIncomeAttachment',
+    field: 'fileUrl',
+    select: { id: true },
+    roles: ['ADMIN', 'MANAGER']
+  }
+];
+
+// Daily report PDFs are listed in the report's attachments JSON
+const findDailyReportOwner = async (fileUrl) => {
+  const report = await prisma.dailyReport.findFirst({
+    where: { attachments: { array_contains: [{ fileUrl }] } },
+    select: { propertyId: true }
+  });
+
+  return report && { propertyIds: [report.propertyId], resource: 'report', operation: 'view' };
+};
+
+/**
+ * Find the record a stored file belongs to
+ * @param {string} fileUrl - /uploads/... path, URL-decoded
+ * @returns {Promise<object|null>} { propertyIds, resource, operation } or { roles }, or null for a file no record refers to
+ */
+export async function findUploadOwner(fileUrl) {
+  const owners = await Promise.all(UPLOAD_OWNERS.map(async (owner) => {
+    const record = await prisma[owner.model].findFirst({
+      where: { [owner.field]: { endsWith: fileUrl } },
+      select: owner.select
+    });
+    if (!record) return null;
+    if (owner.roles) return { roles: owner.roles };
+
+    return {
+      propertyIds: owner.propertyIds(record),
+      resource: typeof owner.resource === 'function' ? owner.resource(record) : owner.resource,
+      operation: owner.operation || 'view'
+    };
+  }));
+
+  return owners.find(Boolean) || await findDailyReportOwner(fileUrl);
+}
+
+// ======================================================
+// ACCESS CHECK
+// ======================================================
+
+/**
+ * Whether a staff user may open a stored file: admins may open any file,
+ * others need access to every property of the record it belongs to and, for
+ * USER accounts, the view permission for that kind of record. Files no record
+ * refers to are for admins only.
+ *
+ * @param {object} user - { id, role }
+ * @param {string} fileUrl - /uploads/... path, URL-decoded
+ * @returns {Promise<boolean>}
+ */
+export async function canAccessUpload(user, fileUrl) {
+  if (user.role === 'ADMIN') return true;
+
+  const owner = await findUploadOwner(fileUrl);
+  if (!owner) return false;
+  if (owner.roles) return owner.roles.includes(user.role);
+
+  const propertyIds = owner.propertyIds.filter(Boolean);
+  if (propertyIds.length === 0) return false;
+
+  const accessiblePropertyIds = await permissionService.getAccessiblePropertyIds(user.id, user.role);
+  if (!propertyIds.every(id => accessiblePropertyIds.includes(id))) return false;
+
+  if (user.role !== 'USER') return true;
+
+  for (const propertyId of propertyIds) {
+    if (!(await permissionService.checkPermission(user.id, owner.resource, owner.operation, propertyId))) {
+      return false;
+    }
+  }
+  return true;
+}
@@ -0,0 +1,75 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import commercialOffer from './documents/commercialOffer.js';
+import residentialOffer from './documents/residentialOffer.js';
+import demandLetter from './documents/demandLetter.js';
+import receipt from './documents/receipt.js';
+import invoice from './documents/invoice.js';
+import balanceInvoice from './documents/balanceInvoice.js';
+import billInvoice from './documents/billInvoice.js';
+import otherIncomeInvoice from './documents/otherIncomeInvoice.js';
+import activation from './documents/activation.js';
+import commissionInvoice from './documents/commissionInvoice.js';
+import landlordStatement from './documents/landlordStatement.js';
+import tenantStatement from './documents/tenantStatement.js';
+import dailyReport from './documents/dailyReport.js';
+import creditNote from './documents/creditNote.js';
+import depositReceipt from './documents/depositReceipt.js';
+
+const DOCUMENTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'documents');
+
+// ======================================================
+// DOCUMENT TYPES
+// ======================================================
+// Every generated document. Each definition (src/template/documents/<key>.js)
+// describes the data it is rendered with; its built-in wording lives next to it
+// in <key>.html and is used until an admin activates a DocumentTemplate version.
+//
+// Definition shape:
+//   key          - DocumentTemplate.key
+//   name         - Label for the admin screens
+//   description  - When the document is produced
+//   pdfOptions   - Puppeteer PDF options (margins etc.)
+//   sampleData   - Example input, used to validate and preview templates
+//   buildContext - (data) => values the placeholders can use
+
+export const DOCUMENT_TEMPLATES = [
+  commercialOffer,
+  residentialOffer,
+  demandLetter,
+  receipt,
+  invoice,
+  balanceInvoice,
+  billInvoice,
+  otherIncomeInvoice,
+  activation,
+  commissionInvoice,
+  landlordStatement,
+  tenantStatement,
+  dailyReport,
+  creditNote,
+  depositReceipt
+];
+
+const definitionsByKey = new Map(DOCUMENT_TEMPLATES.map(definition => [definition.key, definition]));
+
+const defaultBodies = new Map();
+
+/**
+ * @param {string} key
+ * @returns {object|null} The document definition, or null for an unknown key
+ */
+export const getDocumentDefinition = (key) => definitionsByKey.get(key) || null;
+
+/**
+ * The built-in template for a document type (read once, then cached)
+ * @param {string} key
+ * @returns {string}
+ */
+export function getDefaultTemplateBody(key) {
+  if (!defaultBodies.has(key)) {
+    defaultBodies.set(key, fs.readFileSync(path.join(DOCUMENTS_DIR, `${key}.html`), 'utf8'));
+  }
+  return defaultBodies.get(key);
+}
@@ -0,0 +1,74 @@
+// Activation / promotion space request form (activation.controller)
+const VAT_RATE = 0.16;
+
+// License fee totals the way the form has always shown them: 0 days bills as
+// one day, INCLUSIVE fees have the VAT extracted, EXCLUSIVE fees have it added
+const calculateCosts = (activation) => {
+  const licenseFeePerDay = Number(activation.licenseFeePerDay || activation.proposedBudget || 0);
+  const numberOfDays = Number(activation.numberOfDays || 0) || 1;
+  const vatType = activation.vatType || 'EXCLUSIVE';
+  const gross = licenseFeePerDay * numberOfDays;
+
+  if (vatType === 'INCLUSIVE') {
+    const subTotal = gross / (1 + VAT_RATE);
+    return { licenseFeePerDay, numberOfDays, vatType, subTotal, vatAmount: gross - subTotal, totalAmount: gross };
+  }
+  if (vatType === 'NOT_APPLICABLE') {
+    return { licenseFeePerDay, numberOfDays, vatType, subTotal: gross, vatAmount: 0, totalAmount: gross };
+  }
+  return { licenseFeePerDay, numberOfDays, vatType, subTotal: gross, vatAmount: gross * VAT_RATE, totalAmount: gross * (1 + VAT_RATE) };
+};
+
+export default {
+  key: 'activation',
+  name: 'Activation form',
+  description: 'Activation request form with client, banking, event and license fee details',
+  pdfOptions: {
+    margin: { top: '1cm', right: '1cm', bottom: '1cm', left: '1cm' }
+  },
+  sampleData: {
+    requestNumber: 'ACT-2026-0012',
+    companyName: 'Bright Beverages Ltd',
+    postalAddress: '30211',
+    telephone: '020 555 0100',
+    contactPerson: 'Peter Otieno',
+    designation: 'Brand Manager',
+    email: 'peter@brightbev.example',
+    mobileNo: '0733 222 111',
+    bankName: 'KCB Bank',
+    bankBranch: 'Moi Avenue',
+    accountName: 'Bright Beverages Ltd',
+    accountNumber: '1100223344',
+    swiftCode: 'KCBLKENX',
+    paybillNumber: '522522',
+    mpesaAccount: 'BRIGHTBEV',
+    startDate: '2026-04-10',
+    endDate: '2026-04-12',
+    setupTime: '07:00',
+    tearDownTime: '19:00',
+    activationType: 'Product sampling',
+    description: 'Sampling stand at the main entrance',
+    soundSystem: true,
+    licenseFeePerDay: 5000,
+    numberOfDays: 3,
+    vatType: 'EXCLUSIVE',
+    status: 'APPROVED',
+    paymentStatus: 'PENDING',
+    createdAt: '2026-04-01',
+    approvedAt: '2026-04-03',
+    manager: { name: 'Grace Njeri', role: 'MANAGER' }
+  },
+  buildContext: (activation) => {
+    const postal = activation.postalAddress ? String(activation.postalAddress).trim() : '';
+
+    return {
+      ...activation,
+      postalAddress: /^\d+$/.test(postal) ? `P.O Box ${postal}` : postal,
+      costs: calculateCosts(activation),
+      signatureDate: activation.signatureDate || activation.createdAt,
+      approvalDate: activation.approvedAt || activation.updatedAt,
+      managerDesignation: activation.managerDesignation || activation.manager?.role,
+      paid: activation.paymentStatus === 'PAID' || activation.status === 'APPROVED'
+    };
+  }
+};
@@ -0,0 +1,31 @@
+// Invoice for the balance left after a partial payment (invoice.controller)
+export default {
+  key: 'balanceInvoice',
+  name: 'Balance invoice',
+  description: 'Re-bills the outstanding balance of a partially paid period',
+  pdfOptions: {
+    margin: { top: '1.5cm', right: '1.8cm', bottom: '2.5cm', left: '1.8cm' }
+  },
+  sampleData: {
+    invoiceNumber: 'INV-2026-0157',
+    issueDate: '2026-03-12',
+    dueDate: '2026-04-11',
+    paymentPeriod: 'March 2026',
+    paymentPolicy: 'MONTHLY',
+    balance: 23800,
+    notes: 'Balance invoice for March 2026',
+    tenant: {
+      fullName: 'Acme Traders Ltd',
+      contact: '0722 000 111',
+      KRAPin: 'P051234567X',
+      unit: { type: 'Shop G-04', property: { name: 'Texas Plaza' } }
+    },
+    paymentReport: { totalDue: 63800, amountPaid: 40000, arrears: 23800 }
+  },
+  buildContext: (invoice) => ({
+    ...invoice,
+    tenant: invoice.tenant || {},
+    property: invoice.tenant?.unit?.property || {},
+    paymentReport: invoice.paymentReport || {}
+  })
+};
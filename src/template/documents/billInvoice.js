@@ -0,0 +1,75 @@
+// Utility bill (water, electricity) invoice from meter readings (billinvoice.controller)
+export default {
+  key: 'billInvoice',
+  name: 'Utility bill invoice',
+  description: 'Metered utility invoice with readings, consumption charge, VAT and payment instructions',
+  pdfOptions: {
+    margin: { top: '1cm', right: '1.4cm', bottom: '2cm', left: '1.4cm' }
+  },
+  sampleData: {
+    invoiceNumber: 'BINV-2026-0031',
+    issueDate: '2026-03-01',
+    dueDate: '2026-03-10',
+    billReferenceNumber: 'KPLC-778812',
+    billReferenceDate: '2026-02-28',
+    billType: 'ELECTRICITY',
+    description: 'Electricity consumption for February 2026',
+    previousReading: 10250,
+    currentReading: 10730,
+    units: 480,
+    chargePerUnit: 25,
+    totalAmount: 12000,
+    vatRate: 16,
+    vatAmount: 1920,
+    grandTotal: 13920,
+    amountPaid: 0,
+    balance: 13920,
+    status: 'UNPAID',
+    notes: '',
+    tenant: {
+      fullName: 'Acme Traders Ltd',
+      contact: '0722 000 111',
+      KRAPin: 'P051234567X',
+      unit: {
+        unitNo: 'G-04',
+        property: {
+          name: 'Texas Plaza',
+          accountName: 'Texas Plaza Collections',
+          accountNo: '0123456789',
+          bank: 'Equity Bank',
+          branch: 'Kenyatta Avenue',
+          branchCode: '068'
+        }
+      }
+    }
+  },
+  // data is the bill invoice, with description taken from its bill
+  buildContext: (billInvoice) => {
+    const amount = (value) => Number(value) || 0;
+    const property = billInvoice.tenant?.unit?.property || {};
+    const vatRate = amount(billInvoice.vatRate);
+    const vatAmount = amount(billInvoice.vatAmount);
+
+    return {
+      ...billInvoice,
+      tenant: billInvoice.tenant || {},
+      property,
+      description: billInvoice.description || billInvoice.bill?.description || null,
+      status: billInvoice.status || 'UNPAID',
+      previousReading: amount(billInvoice.previousReading),
+      currentReading: amount(billInvoice.currentReading),
+      units: amount(billInvoice.units),
+      chargePerUnit: amount(billInvoice.chargePerUnit),
+      totalAmount: amount(billInvoice.totalAmount),
+      vatRate,
+      vatAmount,
+      grandTotal: amount(billInvoice.grandTotal),
+      amountPaid: amount(billInvoice.amountPaid),
+      balance: amount(billInvoice.balance),
+      meterUnit: billInvoice.billType === 'ELECTRICITY' ? 'kWh' : 'm³',
+      showVat: vatAmount > 0 && vatRate > 0,
+      awaitingPayment: ['UNPAID', 'PARTIAL', 'OVERDUE'].includes(billInvoice.status || 'UNPAID'),
+      hasBankDetails: Boolean(property.accountName || property.accountNo || property.bank)
+    };
+  }
+};
@@ -0,0 +1,86 @@
+// Letter of offer for commercial, industrial and institutional space (offerLetter.controller)
+const PAYMENT_POLICY_TEXT = { MONTHLY: 'monthly', QUARTERLY: 'quarterly', ANNUALLY: 'annually' };
+
+const addressLines = (poBox, address) => [poBox && `P. O. Box ${poBox}`, address].filter(Boolean);
+
+const nameOrDefault = (name, fallback) => (name && String(name).trim() ? name : fallback);
+
+export default {
+  key: 'commercialOffer',
+  name: 'Commercial offer letter',
+  description: 'Letter of offer to lease commercial space, with rent, service charge, deposit and acceptance terms',
+  pdfOptions: {},
+  sampleData: {
+    date: '2026-03-02',
+    propertyName: 'Texas Plaza',
+    propertyAddress: 'Kenyatta Avenue, Nairobi',
+    propertyLRNumber: '209/1234',
+    landlordName: 'Jane Wanjiku',
+    landlordPOBox: '11086-00100',
+    landlordIDNumber: '12345678',
+    landlordBankAccount: '0123456789',
+    landlordAccountName: 'Jane Wanjiku',
+    landlordBankName: 'Equity Bank',
+    landlordBankBranch: 'Kenyatta Avenue',
+    landlordBankBranchCode: '068',
+    leadCompanyName: 'Acme Traders Ltd',
+    leadName: 'John Kamau',
+    leadPOBox: '4455-00100',
+    leadAddress: 'Nairobi',
+    leadPINNumber: 'P051234567X',
+    leadPhone: '0722 000 111',
+    leadEmail: 'accounts@acme.example',
+    floor: 'Ground',
+    areaSqFt: 1200,
+    rentPerSqFt: 100,
+    serviceChargePerSqFt: 15,
+    leaseTerm: 'Six (6) years',
+    leaseStartDate: '2026-04-01',
+    fitOutPeriod: true,
+    fitOutPeriodMonths: 2,
+    escalationRate: 5,
+    userPurpose: 'Retail shop',
+    paymentPolicy: 'QUARTERLY'
+  },
+  buildContext: (data) => {
+    const areaSqFt = Number(data.areaSqFt || 0);
+    const vatRate = data.vatRate ?? 16;
+    const securityDepositMonths = data.securityDepositMonths ?? 3;
+    const totalRent = data.totalRent || Number(data.rentPerSqFt || 0) * areaSqFt;
+    const totalServiceCharge = data.totalServiceCharge || Number(data.serviceChargePerSqFt || 0) * areaSqFt;
+    const monthlyCharges = totalRent + totalServiceCharge;
+    const securityDeposit = data.securityDepositAmount || monthlyCharges * securityDepositMonths;
+    const advancePayment = monthlyCharges * securityDepositMonths;
+    const vatAmount = advancePayment * (vatRate / 100);
+    const bankDetails = data.bankDetails || {};
+    const fitOutMonths = data.fitOutPeriodMonths || (typeof data.fitOutPeriod === 'number' ? data.fitOutPeriod : null);
+
+    return {
+      ...data,
+      vatRate,
+      securityDepositMonths,
+      serviceChargeEscalation: data.serviceChargeEscalation ?? '5',
+      totalRent,
+      totalServiceCharge,
+      securityDeposit,
+      advancePayment,
+      vatAmount,
+      totalInitialPayment: securityDeposit + advancePayment + vatAmount,
+      paymentPolicyText: PAYMENT_POLICY_TEXT[data.paymentPolicy] || 'quarterly',
+      escalationText: data.escalationFrequency === 'BI_ANNUALLY' ? 'Six (6)' : 'Twelve (12)',
+      fitOutDisplay: fitOutMonths ? `${fitOutMonths} months` : 'Not Specified',
+      tenantCompanyName: nameOrDefault(data.leadCompanyName || data.leadName, 'Tenant Company Limited'),
+      tenantContactName: nameOrDefault(data.leadName, 'Tenant'),
+      tenantAddressLines: addressLines(data.leadPOBox, data.leadAddress),
+      landlordAddressLines: addressLines(data.landlordPOBox, data.propertyAddress),
+      bank: {
+        accountNumber: bankDetails.accountNumber || data.landlordBankAccount || 'Not Provided',
+        accountName: bankDetails.accountName || data.landlordAccountName || 'Not Provided',
+        name: bankDetails.bankName || data.landlordBankName || 'Not Provided',
+        branch: bankDetails.branch || data.landlordBankBranch || 'Not Provided',
+        branchCode: bankDetails.branchCode || data.landlordBankBranchCode || 'Not Provided',
+        swiftCode: bankDetails.swiftCode || data.landlordSwiftCode
+      }
+    };
+  }
+};
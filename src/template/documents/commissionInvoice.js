@@ -0,0 +1,50 @@
+// Management commission billed to the landlord on a collection (commission.controller)
+export default {
+  key: 'commissionInvoice',
+  name: 'Commission invoice',
+  description: 'Invoice to the landlord for management commission on a collection',
+  pdfOptions: {},
+  sampleData: {
+    propertyName: 'Texas Plaza',
+    lrNumber: '209/1234',
+    invoiceDateText: '31/03/2026',
+    invoiceNumber: 'CI-2026-0007',
+    refText: 'Rent collection for March 2026',
+    landlordName: 'Jane Wanjiku',
+    landlordAddress: 'P.O. Box 11086-00100 Nairobi',
+    description: 'Management commission on rent collected for March 2026',
+    collectionAmount: 500000,     // VAT-exclusive base for commission calculation
+    originalIncomeAmount: 580000, // Total payment received (including VAT if applicable)
+    vatType: 'INCLUSIVE',         // Tenant's VAT type: INCLUSIVE, EXCLUSIVE or NOT_APPLICABLE
+    vatRate: 16,                  // Tenant's VAT rate
+    commissionRate: 0.085,        // Decimal (0.085 = 8.5%)
+    commissionAmount: 42500,
+    vatAmount: 0,                 // VAT on the commission itself
+    totalAmount: 42500,
+    bankName: 'Equity Bank',
+    accountName: 'Interpark Enterprises Limited',
+    accountNumber: '0123456789',
+    branch: 'Kenyatta Avenue',
+    bankCode: '68',
+    swiftCode: 'EQBLKENA',
+    currency: 'KES'
+  },
+  buildContext: (data) => {
+    const collectionAmount = Number(data.collectionAmount || 0);
+    const originalAmount = Number(data.originalIncomeAmount || collectionAmount);
+    const commissionAmount = Number(data.commissionAmount || 0);
+    const vatAmount = Number(data.vatAmount || 0);
+
+    return {
+      ...data,
+      collectionAmount,
+      originalAmount,
+      commissionAmount,
+      vatAmount,
+      totalAmount: Number(data.totalAmount || 0),
+      extractedVat: originalAmount - collectionAmount,
+      commissionRatePercent: (Number(data.commissionRate || 0) * 100).toFixed(1),
+      vatOnCommissionPercent: commissionAmount ? (vatAmount / commissionAmount * 100).toFixed(1) : '0.0'
+    };
+  }
+};
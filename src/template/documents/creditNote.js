@@ -0,0 +1,55 @@
+// Credit note against a rent or bill invoice (creditNoteService)
+export default {
+  key: 'creditNote',
+  name: 'Credit note',
+  description: 'Credit reducing or cancelling a rent invoice or utility bill invoice',
+  pdfOptions: {
+    margin: { top: '1.5cm', right: '1.8cm', bottom: '2.5cm', left: '1.8cm' }
+  },
+  sampleData: {
+    creditNoteNumber: 'CN-202603-000004',
+    type: 'CREDIT',
+    issueDate: '2026-03-12',
+    amount: 11600,
+    vatAmount: 1600,
+    reason: 'Rent abatement for 6 days of lift outage',
+    invoice: {
+      invoiceNumber: 'INV-202603-000142',
+      issueDate: '2026-03-01',
+      paymentPeriod: 'March 2026',
+      totalDue: 63800
+    },
+    tenant: {
+      fullName: 'Acme Traders Ltd',
+      contact: '0722 000 111',
+      KRAPin: 'P051234567X',
+      unit: { unitNo: 'G-04', type: 'Shop', property: { name: 'Texas Plaza' } }
+    },
+    createdBy: { name: 'Grace Njeri' }
+  },
+  // data is the credit note with its invoice or billInvoice and tenant
+  buildContext: (creditNote) => {
+    const tenant = creditNote.tenant || {};
+    const original = creditNote.invoice || creditNote.billInvoice || {};
+    const amount = Number(creditNote.amount) || 0;
+    const vatAmount = Number(creditNote.vatAmount) || 0;
+
+    return {
+      ...creditNote,
+      tenant,
+      property: tenant.unit?.property || {},
+      isVoid: creditNote.type === 'VOID',
+      original: {
+        number: original.invoiceNumber,
+        issueDate: original.issueDate,
+        description: creditNote.invoice
+          ? `rent invoice${original.paymentPeriod ? ` for ${original.paymentPeriod}` : ''}`
+          : `${(original.billType || 'utility').toLowerCase()} bill invoice`,
+        total: Number(original.totalDue ?? original.grandTotal) || 0
+      },
+      netAmount: amount - vatAmount,
+      vatAmount,
+      showVat: vatAmount > 0
+    };
+  }
+};
@@ -0,0 +1,73 @@
+// Property manager's daily operations report (dailyReport.controller)
+
+const parseJSON = (value) => {
+  if (!value || typeof value !== 'string') return value || null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+// Table rows as lists of cell values, in the column order of the first row
+const toRows = (value) => {
+  const items = parseJSON(value);
+  if (!Array.isArray(items) || items.length === 0) return [];
+  const columns = Object.keys(items[0]);
+  return items.map(item => columns.map(column => item[column] ?? ''));
+};
+
+const CLEANED_AREAS = [
+  { key: 'commonAreas', label: 'Common Areas' },
+  { key: 'toilets', label: 'Toilets' },
+  { key: 'parking', label: 'Parking' },
+  { key: 'externalAreas', label: 'External Areas' },
+  { key: 'other', label: 'Other: ' }
+];
+
+export default {
+  key: 'dailyReport',
+  name: 'Daily operations report',
+  description: "Property manager's daily report on security, cleaning, maintenance, complaints and occupancy",
+  pdfOptions: {},
+  sampleData: {
+    id: 'c0a8012e-5f1b-4c1e-9a77-3b2d1f0e9a11',
+    status: 'SUBMITTED',
+    reportDate: '2026-03-05',
+    timeSubmitted: '2026-03-05T17:45:00',
+    createdAt: '2026-03-05T17:45:00',
+    preparedBy: 'Peter Otieno',
+    property: { name: 'Texas Plaza', address: 'Kenyatta Avenue, Nairobi', landlord: { name: 'Jane Wanjiku' } },
+    securityProvider: 'SecureGuard Ltd - 4 guards',
+    shiftCoverage: 'Day and night',
+    securityIncidents: '',
+    cleaningContractor: 'Sparkle Cleaners',
+    areasCleaned: { commonAreas: true, toilets: true, parking: false, externalAreas: true },
+    cleanlinessStandard: 'Good',
+    preventiveTasks: [{ task: 'Generator service', area: 'Basement', status: 'Completed' }],
+    repairs: [{ issue: 'Leaking tap', area: 'Unit G-04', contractor: 'In-house plumber', status: 'Ongoing', cost: 1500 }],
+    tenantComplaints: [],
+    landlordStatus: 'Completed',
+    newEnquiries: 3,
+    enquirySource: 'Walk-in',
+    siteVisits: 2,
+    occupancyLevel: 92,
+    waterStatus: 'Normal',
+    electricityStatus: 'Normal'
+  },
+  buildContext: (report) => {
+    const areas = parseJSON(report.areasCleaned) || {};
+
+    return {
+      ...report,
+      areasCleaned: CLEANED_AREAS.map(area => ({
+        label: area.key === 'other' ? `${area.label}${areas.otherSpecify || ''}` : area.label,
+        checked: Boolean(areas[area.key])
+      })),
+      preventiveTasks: toRows(report.preventiveTasks),
+      repairs: toRows(report.repairs),
+      tenantComplaints: toRows(report.tenantComplaints),
+      landlordStatusClass: report.landlordStatus ? report.landlordStatus.toLowerCase().replace(' ', '-') : ''
+    };
+  }
+};
@@ -0,0 +1,35 @@
+// Demand for unpaid rent, served by staff or the dunning job (demandLetterService)
+export default {
+  key: 'demandLetter',
+  name: 'Demand letter',
+  description: 'Formal demand for an outstanding rent balance, with any unpaid late fees listed as penalties',
+  pdfOptions: {
+    margin: { top: '2.5cm', right: '2.5cm', bottom: '2.5cm', left: '2.5cm' }
+  },
+  sampleData: {
+    letterNumber: 'DL-2026-0001',
+    referenceNumber: 'REF-DL-2026-0001',
+    issueDate: '2026-03-10',
+    dueDate: '2026-03-05',
+    rentalPeriod: 'March 2026',
+    demandPeriod: '7 days',
+    paymentPolicy: 'Monthly',
+    outstandingAmount: 45000,
+    penaltyAmount: 2250,
+    partialPayment: 5000,
+    partialPaymentDate: '2026-03-07',
+    penalties: [
+      { description: 'Late fee on INV-2026-0142', amount: 2250 }
+    ],
+    notes: '',
+    property: { name: 'Texas Plaza', address: 'Kenyatta Avenue, Nairobi', lrNumber: '209/1234' },
+    landlord: { name: 'Jane Wanjiku', address: '11086-00100 Nairobi', phone: '0712 345 678', email: 'landlord@example.com' },
+    tenant: { fullName: 'Acme Traders Ltd', POBox: '4455-00100', contact: '0722 000 111', email: 'accounts@acme.example' },
+    unit: { unitNo: 'G-04' }
+  },
+  buildContext: (data) => ({
+    ...data,
+    penalties: data.penalties || [],
+    totalAmountDue: (Number(data.outstandingAmount) || 0) + (Number(data.penaltyAmount) || 0)
+  })
+};
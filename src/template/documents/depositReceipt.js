@@ -0,0 +1,72 @@
+// Receipt for a movement on a tenant's deposit (depositService)
+const TITLES = {
+  RECEIPT: 'Deposit Receipt',
+  TOP_UP: 'Deposit Top-up Receipt',
+  DEDUCTION: 'Deposit Deduction Advice',
+  INTEREST: 'Deposit Interest Advice',
+  REFUND: 'Deposit Refund Voucher'
+};
+
+const PARTY_HEADINGS = {
+  RECEIPT: 'RECEIVED FROM:',
+  TOP_UP: 'RECEIVED FROM:',
+  REFUND: 'PAID TO:'
+};
+
+const METHOD_LABELS = {
+  CASH: 'Cash',
+  BANK_TRANSFER: 'Bank Transfer',
+  MPESA: 'M-Pesa',
+  CHEQUE: 'Cheque'
+};
+
+export default {
+  key: 'depositReceipt',
+  name: 'Deposit receipt',
+  description: 'Receipt or advice for a deposit receipt, top-up, deduction, interest credit or refund',
+  pdfOptions: {
+    margin: { top: '1.5cm', right: '1.8cm', bottom: '2.5cm', left: '1.8cm' }
+  },
+  sampleData: {
+    receiptNumber: 'DEP-202603-000007',
+    type: 'TOP_UP',
+    amount: 12760,
+    balanceAfter: 140360,
+    description: 'Deposit top-up after the March 2026 rent escalation',
+    method: 'BANK_TRANSFER',
+    reference: 'FT26071XK9',
+    transactionDate: '2026-03-05',
+    tenant: {
+      fullName: 'Acme Traders Ltd',
+      contact: '0722 000 111',
+      KRAPin: 'P051234567X',
+      unit: { unitNo: 'G-04', type: 'Shop', property: { name: 'Texas Plaza' } }
+    },
+    property: { name: 'Texas Plaza' },
+    createdBy: { name: 'Grace Njeri' }
+  },
+  // data is the deposit transaction with its tenant, property and invoice
+  buildContext: (transaction) => {
+    const tenant = transaction.tenant || {};
+    const amount = Number(transaction.amount) || 0;
+    const balanceAfter = Number(transaction.balanceAfter) || 0;
+    const increases = ['RECEIPT', 'TOP_UP', 'INTEREST'].includes(transaction.type);
+    const settled = transaction.invoice || transaction.billInvoice || null;
+
+    return {
+      ...transaction,
+      tenant,
+      property: transaction.property || tenant.unit?.property || {},
+      title: TITLES[transaction.type] || 'Deposit Receipt',
+      partyHeading: PARTY_HEADINGS[transaction.type] || 'TENANT:',
+      methodLabel: METHOD_LABELS[transaction.method] || null,
+      settledNumber: settled?.invoiceNumber || null,
+      period: transaction.periodStart && transaction.periodEnd
+        ? { start: transaction.periodStart, end: transaction.periodEnd }
+        : null,
+      balanceBefore: increases ? balanceAfter - amount : balanceAfter + amount,
+      amountLabel: increases ? 'Added to deposit' : 'Taken from deposit',
+      balanceAfter
+    };
+  }
+};
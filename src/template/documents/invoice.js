@@ -0,0 +1,41 @@
+// Pro forma rent and service charge invoice (invoice.controller)
+export default {
+  key: 'invoice',
+  name: 'Pro forma invoice',
+  description: 'Rent and service charge invoice for a billing period',
+  pdfOptions: {
+    margin: { top: '1.5cm', right: '1.8cm', bottom: '2.5cm', left: '1.8cm' }
+  },
+  sampleData: {
+    invoiceNumber: 'INV-2026-0142',
+    issueDate: '2026-03-01',
+    dueDate: '2026-03-05',
+    paymentPeriod: 'March 2026',
+    paymentPolicy: 'MONTHLY',
+    rent: 50000,
+    serviceCharge: 5000,
+    vat: 8800,
+    totalDue: 63800,
+    tenant: {
+      fullName: 'Acme Traders Ltd',
+      contact: '0722 000 111',
+      KRAPin: 'P051234567X',
+      vatRate: 16,
+      vatType: 'EXCLUSIVE',
+      unit: { type: 'Shop G-04', property: { name: 'Texas Plaza' } }
+    }
+  },
+  buildContext: (invoice) => {
+    const tenant = invoice.tenant || {};
+    const showVat = tenant.vatRate > 0 && tenant.vatType !== 'NOT_APPLICABLE';
+
+    return {
+      ...invoice,
+      tenant,
+      property: tenant.unit?.property || {},
+      subtotal: Number(invoice.rent || 0) + Number(invoice.serviceCharge || 0),
+      showVat,
+      showVatAmount: invoice.vat > 0 && tenant.vatType !== 'NOT_APPLICABLE'
+    };
+  }
+};
@@ -0,0 +1,51 @@
+// Owner statement: collections less deductions per property (landlordStatement.controller)
+export default {
+  key: 'landlordStatement',
+  name: 'Landlord statement',
+  description: 'Periodic owner statement of collections, deductions and net remittance',
+  pdfOptions: {},
+  sampleData: {
+    statementNumber: 'LST-202603-000004',
+    periodStart: '2026-03-01',
+    periodEnd: '2026-03-31',
+    generatedAt: '2026-04-02',
+    remittanceStatus: 'PAID',
+    remittedAt: '2026-04-05',
+    remittanceReference: 'EQ-TRF-88213',
+    landlord: { name: 'Jane Wanjiku', address: 'P.O. Box 11086-00100 Nairobi' },
+    details: {
+      properties: [
+        {
+          propertyName: 'Texas Plaza',
+          lrNumber: '209/1234',
+          units: [
+            { unitNo: 'G-04', tenantName: 'Acme Traders Ltd', rentCollected: 50000, serviceChargeCollected: 5000, vatCollected: 8800, totalCollected: 63800 }
+          ],
+          collections: { rent: 50000, serviceCharge: 5000, vat: 8800, total: 63800 },
+          commissions: [{ periodStart: '2026-03-01', periodEnd: '2026-03-31', amount: 4250 }],
+          serviceProviders: [{ name: 'Sparkle Cleaners', chargeFrequency: 'MONTHLY', amount: 6000 }],
+          billsPaidOnBehalf: [{ description: 'Borehole pump repair', requestNumber: 'MR-2026-0031', amount: 12000 }],
+          adjustments: [],
+          deductions: { total: 22250 },
+          netRemittance: 41550
+        }
+      ],
+      generalAdjustments: [],
+      summary: {
+        rentCollected: 50000,
+        serviceChargeCollected: 5000,
+        vatCollected: 8800,
+        grossCollections: 63800,
+        commissionDeductions: 4250,
+        serviceProviderCharges: 6000,
+        billsPaidOnBehalf: 12000,
+        otherDeductions: 0,
+        netRemittance: 41550
+      }
+    }
+  },
+  buildContext: (data) => ({
+    ...data,
+    generatedAt: data.generatedAt || new Date()
+  })
+};
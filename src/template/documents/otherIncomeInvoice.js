@@ -0,0 +1,35 @@
+// Invoice for consultancy, valuation and other non-rent income (otherIncome.controller)
+export default {
+  key: 'otherIncomeInvoice',
+  name: 'Other income invoice',
+  description: 'Invoice to a client for consultancy, valuation, sales or other non-rent services',
+  pdfOptions: {
+    margin: { top: '1.8cm', right: '1.8cm', bottom: '1.8cm', left: '1.8cm' }
+  },
+  sampleData: {
+    invoiceNumber: 'OI-2026-0009',
+    issueDate: '2026-03-03',
+    dueDate: '2026-04-02',
+    title: 'Consultancy Services - Valuation',
+    description: 'Market valuation of L.R. No. 209/1234',
+    clientName: 'Peter Mwangi',
+    clientCompany: 'Highland Holdings Ltd',
+    clientAddress: 'P.O. Box 7788-00100 Nairobi',
+    clientEmail: 'peter@highland.example',
+    clientPhone: '0701 555 444',
+    amount: 100000,
+    vatType: 'EXCLUSIVE',
+    vatRate: 16,
+    vatAmount: 16000,
+    totalAmount: 116000,
+    bankName: 'Equity Bank',
+    accountName: 'Interpark Enterprises Limited',
+    accountNumber: '0123456789',
+    branch: 'Kenyatta Avenue',
+    manager: { name: 'Grace Njeri' }
+  },
+  buildContext: (income) => ({
+    ...income,
+    vatApplies: income.vatType !== 'NOT_APPLICABLE'
+  })
+};
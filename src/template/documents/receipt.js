@@ -0,0 +1,39 @@
+// Receipt for a tenant payment (paymentReport.controller)
+export default {
+  key: 'receipt',
+  name: 'Payment receipt',
+  description: 'Official receipt for a rent payment, with its allocation to invoices',
+  pdfOptions: {},
+  sampleData: {
+    receiptNumber: 'RCP-2026-0042',
+    paymentDate: '2026-03-05',
+    tenantName: 'Acme Traders Ltd',
+    tenantContact: '0722 000 111',
+    propertyName: 'Texas Plaza',
+    unitType: 'Shop',
+    unitNo: 'G-04',
+    paymentPeriod: 'March 2026',
+    paymentPolicy: 'MONTHLY',
+    paymentMethod: 'Bank Transfer',
+    monthlyEquivalent: 63800,
+    amountPaid: 63800,
+    totalAllocated: 63800,
+    overpaymentAmount: 0,
+    creditUsed: 0,
+    invoicesPaid: [
+      { invoiceNumber: 'INV-2026-0142', monthlyAmount: 63800, paymentApplied: 63800, newBalance: 0, newStatus: 'PAID' }
+    ],
+    notes: ''
+  },
+  buildContext: (data) => ({
+    ...data,
+    paymentMethod: data.paymentMethod || 'Bank Transfer',
+    monthlyEquivalent: data.monthlyEquivalent || data.amountPaid,
+    totalReceived: data.totalAllocated || data.amountPaid,
+    invoicesPaid: (data.invoicesPaid || []).map(invoice => ({
+      ...invoice,
+      monthlyAmount: invoice.monthlyAmount || invoice.previousBalance,
+      paymentApplied: invoice.paymentApplied || invoice.amountPaid || 0
+    }))
+  })
+};
@@ -0,0 +1,97 @@
+// Residential tenancy agreement, Form LRA 62 (offerLetter.controller)
+const NUMBER_WORDS = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve'];
+const BEDROOMS = { 0: 'Studio', 1: 'One bedroom', 2: 'Two bedrooms', 3: 'Three bedrooms', 4: 'Four bedrooms', 5: 'Five bedrooms', 6: 'Six bedrooms' };
+const BATHROOMS = { 1: 'one bathroom', 2: 'two bathrooms', 3: 'three bathrooms', 4: 'four bathrooms', 5: 'five bathrooms' };
+const ESCALATION_TEXT = { ANNUALLY: 'annually', BI_ANNUALLY: 'every two years', MONTHLY: 'monthly', QUARTERLY: 'quarterly' };
+
+// Day, month name and year of a date; missing or invalid dates fall back to today
+const dateParts = (value) => {
+  let date = value ? new Date(value) : new Date();
+  if (isNaN(date.getTime())) date = new Date();
+  return {
+    day: date.getDate(),
+    month: date.toLocaleString('en-GB', { month: 'long' }),
+    year: date.getFullYear()
+  };
+};
+
+// "Two (2) years", "Six (6) months"; bare numbers are years
+const leaseTermText = (leaseTerm) => {
+  if (!leaseTerm) return 'One (1) year';
+  const term = leaseTerm.toString().toLowerCase();
+  const unit = term.includes('month') ? 'month' : 'year';
+  const match = term.match(/(\d+)/);
+  if (!match) return `${leaseTerm} years`;
+  const num = parseInt(match[1]);
+  return `${NUMBER_WORDS[num] || num} (${num}) ${unit}${num !== 1 ? 's' : ''}`;
+};
+
+const roomText = (count, names, noun) => {
+  if (!count && count !== 0) return '';
+  const num = parseInt(count);
+  return names[num] || `${num} ${noun}${num !== 1 ? 's' : ''}`;
+};
+
+export default {
+  key: 'residentialOffer',
+  name: 'Residential tenancy agreement',
+  description: 'Residential offer letter and tenancy agreement with rent, deposits and house rules',
+  pdfOptions: {},
+  sampleData: {
+    date: '2026-03-02',
+    offerNumber: 'OL-2026-0021',
+    propertyName: 'Sunrise Apartments',
+    propertyAddress: 'Ngong Road, Nairobi',
+    propertyLRNumber: '330/455',
+    landlordName: 'Jane Wanjiku',
+    landlordPOBox: '11086-00100',
+    landlordAddress: 'Nairobi',
+    landlordIDNumber: '12345678',
+    landlordBankName: 'Equity Bank',
+    landlordAccountName: 'Jane Wanjiku',
+    landlordBankAccount: '0123456789',
+    landlordBankBranch: 'Kenyatta Avenue',
+    landlordBankBranchCode: '068',
+    leadName: 'Mary Achieng',
+    leadPOBox: '2020-00200',
+    leadAddress: 'Nairobi',
+    leadIDNumber: '23456789',
+    leadPhone: '0711 222 333',
+    leadEmail: 'mary@example.com',
+    houseNumber: 'B-12',
+    bedrooms: 2,
+    bathrooms: 1,
+    floorNumber: '3rd',
+    rentAmount: 35000,
+    deposit: 35000,
+    serviceCharge: 150,
+    leaseTerm: '1 year',
+    leaseStartDate: '2026-04-01',
+    rentStartDate: '2026-04-01',
+    escalationRate: 5,
+    escalationFrequency: 'ANNUALLY'
+  },
+  buildContext: (data) => {
+    const bedrooms = roomText(data.bedrooms, BEDROOMS, 'bedroom');
+    const bathrooms = roomText(data.bathrooms, BATHROOMS, 'bathroom');
+    const propertyParts = [data.propertyAddress, data.propertyName, data.propertyLRNumber && `LR No: ${data.propertyLRNumber}`];
+
+    return {
+      ...data,
+      agreementDate: dateParts(data.date),
+      startDate: dateParts(data.leaseStartDate || data.date),
+      rentStartDateParts: dateParts(data.rentStartDate || data.date),
+      totalDeposit: data.deposit || data.rentAmount || 0,
+      leaseTermText: leaseTermText(data.leaseTerm),
+      houseTypeDisplay: bedrooms ? `${[bedrooms, bathrooms].filter(Boolean).join(', ')} Apartment` : 'Apartment',
+      premisesDescription: [bedrooms, bathrooms].filter(Boolean).join(' and ') || 'residential accommodation',
+      escalationText: data.escalationFrequency
+        ? ESCALATION_TEXT[data.escalationFrequency] || data.escalationFrequency.toLowerCase()
+        : 'annually',
+      floorDisplay: data.floorNumber ? data.floorNumber.toString().replace(/\s*floor$/i, '').trim() : '',
+      propertyLocation: propertyParts.filter(Boolean).join(', '),
+      landlordAddressText: [data.landlordPOBox, data.landlordAddress].filter(Boolean).join(', '),
+      tenantAddressText: [data.leadPOBox, data.leadAddress].filter(Boolean).join(', ')
+    };
+  }
+};
@@ -0,0 +1,28 @@
+// Tenant account statement: running ledger with opening and closing balance (tenant.controller)
+export default {
+  key: 'tenantStatement',
+  name: 'Tenant statement',
+  description: 'Running account of charges and payments for a tenant over a period',
+  pdfOptions: {},
+  sampleData: {
+    tenant: {
+      fullName: 'Acme Traders Ltd',
+      unitNo: 'G-04',
+      KRAPin: 'P051234567X',
+      property: { name: 'Texas Plaza' }
+    },
+    period: { from: '2026-01-01', to: '2026-03-31' },
+    openingBalance: 0,
+    totalDebits: 127600,
+    totalCredits: 130000,
+    closingBalance: -2400,
+    entries: [
+      { date: '2026-01-01', reference: 'INV-2026-0011', description: 'Rent Q1 2026', debit: 127600, credit: 0, balance: 127600 },
+      { date: '2026-01-05', reference: 'RCP-2026-0042', description: 'Payment - MPESA', debit: 0, credit: 130000, balance: -2400 }
+    ]
+  },
+  buildContext: (data) => ({
+    ...data,
+    entries: data.entries || []
+  })
+};
@@ -1,25 +1,6 @@
-import prisma from '../lib/prisma.js';
+import { nextNumber } from '../services/sequenceService.js';
 
-export async function generateCommissionInvoiceNumber() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-
-  const prefix = `COM-INV-${year}${month}-`;
-
-  const last = await prisma.commissionInvoice.findFirst({
-    where: {
-      invoiceNumber: { startsWith: prefix }
-    },
-    orderBy: { invoiceNumber: 'desc' }
-  });
-
-  let sequence = 1;
-  if (last) {
-    const lastSequence = parseInt(last.invoiceNumber.split('-').pop(), 10);
-    sequence = Number.isFinite(lastSequence) ? lastSequence + 1 : 1;
-  }
-
-  const sequenceStr = String(sequence).padStart(6, '0');
-  return `${prefix}${sequenceStr}`;
-}
\ No newline at end of file
+// COM-INV-YYYYMM-000001 unless configured otherwise (see sequenceService)
+export async function generateCommissionInvoiceNumber({ propertyId, client } = {}) {
+  return nextNumber('COMMISSION_INVOICE', { propertyId, client });
+}
@@ -1,8 +1,34 @@
 // utils/emailService.js
+import crypto from 'crypto';
 import { Resend } from 'resend';
+import nodemailer from 'nodemailer';
+import { escapeHtml } from './templateEngine.js';
 
-// Initialize Resend
-const resend = new Resend(process.env.RESEND_API_KEY);
+// Initialize Resend (the client refuses an empty key; senders fall back to console logs without one)
+const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+
+// Sender address from EMAIL_FROM, with the system display name
+function resolveFromAddress() {
+  let fromEmail = process.env.EMAIL_FROM;
+  
+  // If EMAIL_FROM is just a domain (no @), add noreply@ prefix
+  if (fromEmail && !fromEmail.includes('@')) {
+    fromEmail = `noreply@${fromEmail}`;
+  }
+  
+  // If still no valid format, use Resend's test email
+  if (!fromEmail || !fromEmail.includes('@')) {
+    fromEmail = 'onboarding@resend.dev';
+    console.log('📧 Using Resend test email as fallback');
+  }
+  
+  // Add display name if not present
+  if (!fromEmail.includes('<') && !fromEmail.startsWith('"')) {
+    fromEmail = `"Interpark Property System" <${fromEmail}>`;
+  }
+  
+  return fromEmail;
+}
 
 export function generateSecurePassword() {
   const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789!@#$%';
@@ -31,24 +57,7 @@ export async function sendWelcomeEmail({ email, name, temporaryPassword, role, l
     return { success: false, error: 'Missing API key' };
   }
   
-  // Format the FROM email properly
-  let fromEmail = process.env.EMAIL_FROM;
-  
-  // If EMAIL_FROM is just a domain (no @), add noreply@ prefix
-  if (fromEmail && !fromEmail.includes('@')) {
-    fromEmail = `noreply@${fromEmail}`;
-  }
-  
-  // If still no valid format, use Resend's test email
-  if (!fromEmail || !fromEmail.includes('@')) {
-    fromEmail = 'onboarding@resend.dev';
-    console.log('📧 Using Resend test email as fallback');
-  }
-  
-  // Add display name if not present
-  if (!fromEmail.includes('<') && !fromEmail.startsWith('"')) {
-    fromEmail = `"Interpark Property System" <${fromEmail}>`;
-  }
+  const fromEmail = resolveFromAddress();
   
   try {
     console.log(`📧 Sending via Resend from: ${fromEmail}`);
@@ -144,4 +153,276 @@ If you didn't request this, please ignore this email.
     console.log(`======================================`);
     return { success: false, error: error.message };
   }
-}
\ No newline at end of file
+}
+
+// ======================================================
+// OUTBOUND TRANSPORT
+// ======================================================
+
+/**
+ * Nodemailer transport from SMTP_HOST (e.g. a local Mailpit/MailHog on port 1025
+ * for testing) or, failing that, the Gmail account in EMAIL_USER / EMAIL_PASS.
+ * Returns null when neither is configured.
+ */
+export function createSmtpTransport() {
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+    return nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      }
+    });
+  }
+
+  return null;
+}
+
+let smtpTransport;
+
+// EMAIL_TRANSPORT picks the transport; otherwise Resend when it has a key, then SMTP
+function resolveTransport() {
+  const configured = (process.env.EMAIL_TRANSPORT || '').toLowerCase();
+  if (configured === 'resend' || configured === 'smtp') return configured;
+  if (resend) return 'resend';
+  if (process.env.SMTP_HOST || (process.env.EMAIL_USER && process.env.EMAIL_PASS)) return 'smtp';
+  return null;
+}
+
+/**
+ * Send one email through the configured transport.
+ * @param {object} message - { to, subject, html, text, attachments: [{ filename, content: Buffer }] }
+ * @returns {Promise<{ success: boolean, provider: string|null, id?: string, error?: string }>}
+ */
+export async function sendEmail({ to, subject, html, text, attachments = [] }) {
+  const transport = resolveTransport();
+
+  try {
+    if (transport === 'resend') {
+      if (!resend) {
+        return { success: false, provider: 'RESEND', error: 'Missing API key' };
+      }
+
+      const { data, error } = await resend.emails.send({
+        from: resolveFromAddress(),
+        to,
+        subject,
+        html,
+        text,
+        ...(attachments.length > 0 && { attachments })
+      });
+
+      if (error) {
+        return { success: false, provider: 'RESEND', error: error.message };
+      }
+      return { success: true, provider: 'RESEND', id: data?.id };
+    }
+
+    if (transport === 'smtp') {
+      smtpTransport = smtpTransport || createSmtpTransport();
+      if (!smtpTransport) {
+        return { success: false, provider: 'SMTP', error: 'SMTP is not configured' };
+      }
+
+      const info = await smtpTransport.sendMail({
+        from: resolveFromAddress(),
+        to,
+        subject,
+        html,
+        text,
+        attachments
+      });
+      return { success: true, provider: 'SMTP', id: info.messageId };
+    }
+
+    console.log(`=== EMAIL (NO TRANSPORT CONFIGURED) ===`);
+    console.log(`To: ${to}`);
+    console.log(`Subject: ${subject}`);
+    console.log(`Attachments: ${attachments.map(a => a.filename).join(', ') || 'none'}`);
+    console.log(`=======================================`);
+    return { success: false, provider: null, error: 'No email transport configured (set RESEND_API_KEY or SMTP_HOST)' };
+  } catch (error) {
+    return { success: false, provider: transport.toUpperCase(), error: error.message };
+  }
+}
+
+// Webhook signatures older than this are rejected (replay protection)
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Check the signature on a Resend webhook (Svix scheme) against RESEND_WEBHOOK_SECRET
+ * @param {string} payload - Raw request body
+ * @param {object} headers - Request headers
+ * @returns {boolean}
+ */
+export function verifyResendWebhook(payload, headers) {
+  const secret = process.env.RESEND_WEBHOOK_SECRET;
+  const id = headers['svix-id'] || headers['webhook-id'];
+  const timestamp = headers['svix-timestamp'] || headers['webhook-timestamp'];
+  const signatures = headers['svix-signature'] || headers['webhook-signature'];
+
+  if (!secret || !payload || !id || !timestamp || !signatures) {
+    return false;
+  }
+
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > WEBHOOK_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+  const expected = crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${payload}`).digest('base64');
+
+  // Header holds space-separated "v1,<signature>" entries
+  return signatures.split(' ').some((entry) => {
+    const signature = entry.split(',')[1];
+    return signature
+      && signature.length === expected.length
+      && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  });
+}
+
+// ======================================================
+// TENANT MESSAGES
+// Each builder returns { subject, html, text }
+// ======================================================
+
+const formatKes = (amount) =>
+  `KES ${Number(amount || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatLongDate = (date) =>
+  new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+// Shared layout for tenant emails: a heading, paragraphs and an optional highlighted box
+function tenantEmail({ subject, heading, color = '#4F46E5', tenantName, paragraphs, highlight }) {
+  const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: ${color};">${heading}</h2>
+        <p>Dear ${tenantName},</p>
+        ${paragraphs.map(p => `<p>${p}</p>`).join('\n        ')}
+        ${highlight ? `
+        <div style="background-color: #F3F4F6; padding: 15px; border-left: 4px solid ${color}; margin: 20px 0; border-radius: 4px;">
+          <p style="margin: 0;">${highlight}</p>
+        </div>` : ''}
+        <p style="font-size: 12px; color: #9CA3AF;">This is an automated message, please do not reply.</p>
+      </div>
+    `;
+
+  const strip = (value) => value
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+  const text = [
+    heading,
+    '',
+    `Dear ${tenantName},`,
+    '',
+    ...paragraphs.map(strip),
+    ...(highlight ? ['', strip(highlight)] : [])
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+export function paymentReminderEmail({ tenantName, propertyName, unitNo, invoiceNumber, paymentPeriod, amountDue, dueDate, daysOverdue }) {
+  return tenantEmail({
+    subject: `Payment Reminder - Invoice ${invoiceNumber}`,
+    heading: 'Payment Reminder',
+    color: '#ffa000',
+    tenantName,
+    paragraphs: [
+      `Our records show that invoice <strong>${invoiceNumber}</strong> for ${paymentPeriod} at ${propertyName}${unitNo ? `, unit ${unitNo}` : ''} is ${daysOverdue} day(s) past its due date of ${formatLongDate(dueDate)}.`,
+      'Please settle the balance at your earliest convenience. If you have already paid, kindly disregard this reminder.'
+    ],
+    highlight: `Outstanding balance: <strong>${formatKes(amountDue)}</strong>`
+  });
+}
+
+export function demandLetterEmail({ tenantName, propertyName, letterNumber, totalAmountDue, demandPeriod }) {
+  return tenantEmail({
+    subject: `Demand for Payment - ${letterNumber}`,
+    heading: 'Demand for Payment',
+    color: '#c62828',
+    tenantName,
+    paragraphs: [
+      `Please find attached demand letter <strong>${letterNumber}</strong> regarding rent arrears at ${propertyName}.`,
+      'Failure to pay within this period may result in the matter being referred for legal action without further notice.'
+    ],
+    highlight: `Total amount due: <strong>${formatKes(totalAmountDue)}</strong>, payable within ${demandPeriod}.`
+  });
+}
+
+export function invoiceEmail({ tenantName, propertyName, invoiceNumber, description, amountDue, dueDate }) {
+  return tenantEmail({
+    subject: `Invoice ${invoiceNumber} - ${propertyName}`,
+    heading: `Invoice ${invoiceNumber}`,
+    tenantName,
+    paragraphs: [
+      `Please find attached invoice <strong>${invoiceNumber}</strong> for ${description} at ${propertyName}.`
+    ],
+    highlight: `Amount due: <strong>${formatKes(amountDue)}</strong>, due on ${formatLongDate(dueDate)}.`
+  });
+}
+
+export function receiptEmail({ tenantName, propertyName, amountPaid, datePaid, paymentPeriod }) {
+  return tenantEmail({
+    subject: `Payment Receipt - ${propertyName}`,
+    heading: 'Payment Receipt',
+    color: '#2e7d32',
+    tenantName,
+    paragraphs: [
+      `Thank you for your payment${paymentPeriod ? ` for ${paymentPeriod}` : ''} at ${propertyName}. Your receipt is attached.`
+    ],
+    highlight: `Amount received: <strong>${formatKes(amountPaid)}</strong> on ${formatLongDate(datePaid)}.`
+  });
+}
+
+// ======================================================
+// ACCOUNT MESSAGES
+// ======================================================
+
+export function passwordResetEmail({ name, resetUrl, expiresInMinutes }) {
+  // Same layout as the tenant messages, addressed to the staff user
+  return tenantEmail({
+    subject: 'Reset your Interpark Property System password',
+    heading: 'Password Reset',
+    tenantName: name,
+    paragraphs: [
+      'We received a request to reset the password for your account.',
+      `Use this link to choose a new password: <a href="${resetUrl}">${resetUrl}</a>`,
+      `The link can be used once and expires in ${expiresInMinutes} minutes. If you did not ask for a reset, you can ignore this email; your password has not changed.`
+    ]
+  });
+}
+
+export function newDeviceLoginEmail({ name, device, ipAddress, signedInAt }) {
+  const when = new Date(signedInAt).toLocaleString('en-GB', {
+    day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'Africa/Nairobi'
+  });
+
+  return tenantEmail({
+    subject: 'New sign-in to your Interpark Property System account',
+    heading: 'New Sign-in',
+    color: '#ffa000',
+    tenantName: name,
+    paragraphs: [
+      'Your account was just signed in to from a device we have not seen before.',
+      'If this was you, there is nothing to do. If not, change your password straight away and sign out of all devices from your account settings.'
+    ],
+    // Device and IP come from the client, so they must not carry markup into the email
+    highlight: `Time: ${when} (EAT) | Device: ${escapeHtml(device || 'Unknown')} | IP address: ${escapeHtml(ipAddress || 'Unknown')}`
+  });
+}
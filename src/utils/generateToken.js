@@ -1,11 +1,25 @@
 import jwt from 'jsonwebtoken';
 
-const generateToken = (userId, role) => {
+// Staff access tokens are short-lived; clients renew them with the session's
+// refresh token (POST /api/auth/refresh)
+export const ACCESS_TOKEN_EXPIRES = process.env.ACCESS_TOKEN_EXPIRES || '15m';
+
+const generateToken = (userId, role, sessionId) => {
+  return jwt.sign(
+    { userId, role, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES }
+  );
+};
+
+// Portal tokens (tenant/landlord self-service) carry an audience so they can
+// never be used against staff routes and vice versa
+export const generatePortalToken = (accountId, portal) => {
   return jwt.sign(
-    { userId, role },
+    { accountId, portal },
     process.env.JWT_SECRET,
-    { expiresIn: '30d' }
+    { expiresIn: '7d', audience: `${portal}-portal` }
   );
 };
 
-export default generateToken;
\ No newline at end of file
+export default generateToken;
@@ -0,0 +1,12 @@
+/**
+ * Error carrying the HTTP status a controller should respond with
+ * @param {number} statusCode
+ * @param {string} message
+ * @param {object} [details] - Extra fields to set on the error, e.g. { data } or { retryAfter }
+ * @returns {Error}
+ */
+export function httpError(statusCode, message, details = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return Object.assign(error, details);
+}
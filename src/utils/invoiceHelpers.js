@@ -1,82 +1,17 @@
-import prisma from '../lib/prisma.js';
+import { nextNumber } from '../services/sequenceService.js';
 
-export async function generateInvoiceNumber() {
-  const year = new Date().getFullYear();
-  const month = String(new Date().getMonth() + 1).padStart(2, '0');
-  
-  // Find the last invoice for this year-month
-  const lastInvoice = await prisma.invoice.findFirst({
-    where: {
-      invoiceNumber: {
-        startsWith: `INV-${year}${month}-`
-      }
-    },
-    orderBy: {
-      invoiceNumber: 'desc'
-    }
-  });
+// Numbers come from the configurable sequences (INV-YYYYMM-000001 by default).
+// Pass the property for per-property numbering and the transaction client when
+// the invoice is created inside a transaction.
 
-  let sequence = 1;
-  if (lastInvoice) {
-    const lastSequence = parseInt(lastInvoice.invoiceNumber.split('-')[2]);
-    sequence = lastSequence + 1;
-  }
-
-  const sequenceStr = String(sequence).padStart(6, '0');
-  return `INV-${year}${month}-${sequenceStr}`;
+export async function generateInvoiceNumber({ propertyId, client } = {}) {
+  return nextNumber('INVOICE', { propertyId, client });
 }
 
-export async function generateBillInvoiceNumber() {
-  const year = new Date().getFullYear();
-  const month = String(new Date().getMonth() + 1).padStart(2, '0');
-  
-  // Find the last bill invoice for this year-month
-  const lastInvoice = await prisma.billInvoice.findFirst({
-    where: {
-      invoiceNumber: {
-        startsWith: `BILL-INV-${year}${month}-`
-      }
-    },
-    orderBy: {
-      invoiceNumber: 'desc'
-    }
-  });
-
-  let sequence = 1;
-  if (lastInvoice) {
-    const parts = lastInvoice.invoiceNumber.split('-');
-    const lastSequence = parseInt(parts[parts.length - 1]);
-    sequence = lastSequence + 1;
-  }
-
-  const sequenceStr = String(sequence).padStart(6, '0');
-  return `BILL-INV-${year}${month}-${sequenceStr}`;
+export async function generateBillInvoiceNumber({ propertyId, client } = {}) {
+  return nextNumber('BILL_INVOICE', { propertyId, client });
 }
 
-// NEW: Generate Other Income Invoice Number
-export async function generateOtherIncomeInvoiceNumber() {
-  const year = new Date().getFullYear();
-  const month = String(new Date().getMonth() + 1).padStart(2, '0');
-  
-  // Find the last other income invoice for this year-month
-  const lastInvoice = await prisma.otherIncome.findFirst({
-    where: {
-      invoiceNumber: {
-        startsWith: `OINV-${year}${month}-`
-      }
-    },
-    orderBy: {
-      invoiceNumber: 'desc'
-    }
-  });
-
-  let sequence = 1;
-  if (lastInvoice) {
-    const parts = lastInvoice.invoiceNumber.split('-');
-    const lastSequence = parseInt(parts[parts.length - 1]);
-    sequence = lastSequence + 1;
-  }
-
-  const sequenceStr = String(sequence).padStart(6, '0');
-  return `OINV-${year}${month}-${sequenceStr}`;
-}
\ No newline at end of file
+export async function generateOtherIncomeInvoiceNumber({ client } = {}) {
+  return nextNumber('OTHER_INCOME_INVOICE', { client });
+}
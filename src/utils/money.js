@@ -0,0 +1,6 @@
+/**
+ * Round an amount to cents. Blank or non-numeric values count as 0.
+ * @param {number|string} value
+ * @returns {number}
+ */
+export const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
@@ -23,11 +23,28 @@ const getBrowser = async () => {
   return browserInstance;
 };
 
-export const generatePDF = async (htmlContent, options = {}) => {
+/**
+ * Render HTML to a PDF buffer
+ * @param {string} htmlContent
+ * @param {object} [options] - page.pdf options
+ * @param {object} [render] - { isolated: true } for HTML a user wrote: scripts
+ *   are off and nothing but data: URIs is fetched, so the browser (which runs
+ *   without a sandbox) cannot be pointed at internal addresses or local files
+ */
+export const generatePDF = async (htmlContent, options = {}, { isolated = false } = {}) => {
   let page;
   try {
     const browser = await getBrowser();
     page = await browser.newPage();
+
+    if (isolated) {
+      await page.setJavaScriptEnabled(false);
+      await page.setRequestInterception(true);
+      page.on('request', (request) => {
+        if (request.url().startsWith('data:')) request.continue();
+        else request.abort('blockedbyclient');
+      });
+    }
     
     await page.setContent(htmlContent, {
       waitUntil: 'load',
@@ -0,0 +1,196 @@
+// utils/smsService.js
+import crypto from 'crypto';
+import { normalizePhoneNumber } from '../services/mpesaService.js';
+
+// ======================================================
+// SMS GATEWAYS
+// ======================================================
+// SMS_PROVIDER picks the gateway: "africastalking" (default when AT_API_KEY is
+// set) or "fake", which keeps messages in memory for tests and local runs.
+// Point SMS_BASE_URL at a local stub to exercise the HTTP API without sending.
+
+const getConfig = () => ({
+  provider: (process.env.SMS_PROVIDER || (process.env.AT_API_KEY ? 'africastalking' : '')).toLowerCase(),
+  baseUrl: (process.env.SMS_BASE_URL || 'https://api.africastalking.com').replace(/\/$/, ''),
+  username: process.env.AT_USERNAME,
+  apiKey: process.env.AT_API_KEY,
+  senderId: process.env.AT_SENDER_ID,
+  callbackToken: process.env.SMS_CALLBACK_TOKEN
+});
+
+/**
+ * Verify the shared token gateway callbacks carry in their query string.
+ * Every callback is rejected while SMS_CALLBACK_TOKEN is unset.
+ */
+export const isValidSmsCallbackToken = (token) => {
+  const { callbackToken } = getConfig();
+  if (!callbackToken || typeof token !== 'string') {
+    return false;
+  }
+
+  const given = Buffer.from(token);
+  const expected = Buffer.from(callbackToken);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Africa's Talking per-recipient status codes that mean the message was accepted
+const AT_ACCEPTED_STATUS_CODES = [100, 101, 102];
+
+const africasTalkingProvider = {
+  name: 'AFRICASTALKING',
+
+  async send({ to, message }) {
+    const { baseUrl, username, apiKey, senderId } = getConfig();
+    if (!username || !apiKey) {
+      return { success: false, error: 'AT_USERNAME and AT_API_KEY are not configured' };
+    }
+
+    const response = await fetch(`${baseUrl}/version1/messaging`, {
+      method: 'POST',
+      headers: {
+        apiKey,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({
+        username,
+        to,
+        message,
+        ...(senderId && { from: senderId })
+      })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      return { success: false, error: data.SMSMessageData?.Message || `SMS gateway returned status ${response.status}` };
+    }
+
+    const recipient = data.SMSMessageData?.Recipients?.[0];
+    if (!recipient || !AT_ACCEPTED_STATUS_CODES.includes(recipient.statusCode)) {
+      return { success: false, error: recipient?.status || data.SMSMessageData?.Message || 'Message was not accepted' };
+    }
+
+    return { success: true, id: recipient.messageId };
+  }
+};
+
+// Messages "sent" through the fake gateway, newest last
+const fakeOutbox = [];
+
+const fakeProvider = {
+  name: 'FAKE',
+
+  async send({ to, message }) {
+    const id = `fake-${Date.now()}-${fakeOutbox.length + 1}`;
+    fakeOutbox.push({ id, to, message, sentAt: new Date() });
+    return { success: true, id };
+  }
+};
+
+const providers = {
+  africastalking: africasTalkingProvider,
+  fake: fakeProvider
+};
+
+/**
+ * Add or replace an SMS gateway. A provider is { name, send({ to, message }) }
+ * where send resolves to { success, id?, error? }.
+ */
+export function registerSmsProvider(key, provider) {
+  providers[key.toLowerCase()] = provider;
+}
+
+/**
+ * Messages accepted by the fake gateway (SMS_PROVIDER=fake)
+ */
+export const getFakeSmsOutbox = () => [...fakeOutbox];
+
+export const clearFakeSmsOutbox = () => {
+  fakeOutbox.length = 0;
+};
+
+/**
+ * Format a Kenyan phone number for the gateway (+2547XXXXXXXX), or null if it is not one
+ */
+export const formatSmsNumber = (phone) => {
+  const normalized = normalizePhoneNumber(phone);
+  return normalized ? `+${normalized}` : null;
+};
+
+/**
+ * Send one SMS through the configured gateway.
+ * @param {object} message - { to, message }
+ * @returns {Promise<{ success: boolean, provider: string|null, id?: string, error?: string }>}
+ */
+export async function sendSms({ to, message }) {
+  const provider = providers[getConfig().provider];
+
+  if (!provider) {
+    console.log(`=== SMS (NO GATEWAY CONFIGURED) ===`);
+    console.log(`To: ${to}`);
+    console.log(`Message: ${message}`);
+    console.log(`===================================`);
+    return { success: false, provider: null, error: 'No SMS gateway configured (set AT_API_KEY or SMS_PROVIDER)' };
+  }
+
+  const number = formatSmsNumber(to);
+  if (!number) {
+    return { success: false, provider: provider.name, error: `Invalid phone number: ${to}` };
+  }
+
+  try {
+    const result = await provider.send({ to: number, message });
+    return { ...result, provider: provider.name };
+  } catch (error) {
+    return { success: false, provider: provider.name, error: error.message };
+  }
+}
+
+// ======================================================
+// TENANT MESSAGES
+// ======================================================
+// Kept to one or two SMS segments; the sender ID identifies the company.
+
+const formatAmount = (value) => Number(value || 0).toLocaleString('en-KE', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+const firstName = (fullName) => String(fullName || '').trim().split(/\s+/)[0] || 'Tenant';
+
+const OPT_OUT_FOOTER = 'Reply STOP to opt out.';
+
+/**
+ * Invoice issued
+ */
+export const invoiceSms = ({ tenantName, invoiceNumber, paymentPeriod, amountDue, dueDate }) =>
+  `Dear ${firstName(tenantName)}, invoice ${invoiceNumber} for ${paymentPeriod} of KES ${formatAmount(amountDue)} ` +
+  `is due on ${formatDate(dueDate)}. ${OPT_OUT_FOOTER}`;
+
+/**
+ * Payment received
+ */
+export const receiptSms = ({ tenantName, amountPaid, datePaid, receiptNumber, balance }) =>
+  `Dear ${firstName(tenantName)}, we have received your payment of KES ${formatAmount(amountPaid)} on ${formatDate(datePaid)}` +
+  `${receiptNumber ? ` (receipt ${receiptNumber})` : ''}.` +
+  `${balance > 0 ? ` Outstanding balance: KES ${formatAmount(balance)}.` : ''} Thank you. ${OPT_OUT_FOOTER}`;
+
+/**
+ * Rent falling due soon
+ */
+export const paymentDueSms = ({ tenantName, amountDue, dueDate, unitNo }) =>
+  `Dear ${firstName(tenantName)}, your rent of KES ${formatAmount(amountDue)}${unitNo ? ` for unit ${unitNo}` : ''} ` +
+  `is due on ${formatDate(dueDate)}. Please pay on time to avoid penalties. ${OPT_OUT_FOOTER}`;
+
+/**
+ * Demand letter served
+ */
+export const demandLetterSms = ({ tenantName, letterNumber, totalAmountDue, demandPeriod }) =>
+  `Dear ${firstName(tenantName)}, demand letter ${letterNumber} has been issued for unpaid rent of KES ${formatAmount(totalAmountDue)}. ` +
+  `Please pay within ${demandPeriod} to avoid further action. ${OPT_OUT_FOOTER}`;
@@ -0,0 +1,531 @@
+// ======================================================
+// DOCUMENT TEMPLATE ENGINE
+// ======================================================
+// The placeholder language used by document templates (offer letters,
+// receipts, invoices, ...). Templates are HTML with tags:
+//
+//   {{ tenant.name }}                 value, HTML-escaped
+//   {{{ letterhead }}}                value inserted as-is (trusted HTML, data URIs)
+//   {{ rent | money }}                filters, with arguments: {{ date | date:"long" }}
+//   {{#if expr}} .. {{else if expr}} .. {{else}} .. {{/if}}
+//   {{#unless expr}} .. {{/unless}}
+//   {{#each items}} {{ this.name }} {{ @number }} .. {{else}} (empty) {{/each}}
+//   {{#with summary}} {{ total }} {{/with}}
+//   {{@next clause}}                  next number of a named counter (clause numbering)
+//   {{! comment }}
+//
+// Names are looked up in the innermost block first, then outwards, so inside
+// {{#each}} both item fields and top-level fields are available.
+
+const MAX_CACHED_TEMPLATES = 100;
+
+export class TemplateSyntaxError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'TemplateSyntaxError';
+    this.line = line;
+  }
+}
+
+/**
+ * Wraps HTML produced by a filter (e.g. nl2br) so it is not escaped again
+ */
+export class SafeString {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+export const escapeHtml = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Kenyan shilling amounts as used on every document: 1,234.50
+ */
+export const formatMoney = (value, decimals = 2) =>
+  Number(value || 0).toLocaleString('en-KE', {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  });
+
+// ======================================================
+// FILTERS
+// ======================================================
+
+const toDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const DATE_FORMATS = {
+  numeric: { day: '2-digit', month: '2-digit', year: 'numeric' },     // 05/03/2026
+  short: { day: '2-digit', month: 'short', year: 'numeric' },         // 05 Mar 2026
+  medium: { day: 'numeric', month: 'short', year: 'numeric' },        // 5 Mar 2026
+  long: { day: 'numeric', month: 'long', year: 'numeric' },           // 5 March 2026
+  full: { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' },
+  monthYear: { month: 'long', year: 'numeric' },                      // March 2026
+  us: { month: 'short', day: 'numeric', year: 'numeric' },            // Mar 5, 2026
+  usLong: { month: 'long', day: 'numeric', year: 'numeric' },         // March 5, 2026
+  usFull: { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }, // Thursday, March 5, 2026
+  weekday: { weekday: 'long' },
+  time: { hour: '2-digit', minute: '2-digit' },                       // 14:30
+  usTime: { hour: '2-digit', minute: '2-digit' }                      // 02:30 PM
+};
+
+const formatDate = (value, format = 'short') => {
+  const date = toDate(value);
+  if (!date) return '';
+  if (format === 'iso') return date.toISOString().split('T')[0];
+  if (format === 'dateTime') {
+    return `${date.toLocaleDateString('en-GB', DATE_FORMATS.short)} ${date.toLocaleTimeString('en-GB', DATE_FORMATS.time)}`;
+  }
+  const options = DATE_FORMATS[format] || DATE_FORMATS.short;
+  const locale = format.startsWith('us') ? 'en-US' : 'en-GB';
+  return format === 'time' || format === 'usTime'
+    ? date.toLocaleTimeString(locale, options)
+    : date.toLocaleDateString(locale, options);
+};
+
+const ordinal = (value) => {
+  const n = parseInt(value);
+  if (isNaN(n)) return value ?? '';
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+};
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+const SCALES = [[1e9, 'Billion'], [1e6, 'Million'], [1e3, 'Thousand'], [100, 'Hundred']];
+
+const numberToWords = (value) => {
+  const n = Math.floor(Math.abs(Number(value) || 0));
+  if (n === 0) return 'Zero';
+  if (n < 20) return ONES[n];
+  if (n < 100) return [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(' ');
+
+  for (const [size, name] of SCALES) {
+    if (n >= size) {
+      const rest = n % size;
+      return `${numberToWords(Math.floor(n / size))} ${name}${rest ? ` ${numberToWords(rest)}` : ''}`;
+    }
+  }
+  return String(n);
+};
+
+const isBlank = (value) =>
+  value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+const FILTERS = {
+  upper: (value) => String(value ?? '').toUpperCase(),
+  lower: (value) => String(value ?? '').toLowerCase(),
+  capitalize: (value) => {
+    const text = String(value ?? '');
+    return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+  },
+  title: (value) => String(value ?? '').toLowerCase().replace(/(^|[\s_-])(\w)/g, (match, sep, ch) => `${sep === '_' ? ' ' : sep}${ch.toUpperCase()}`),
+  trim: (value) => String(value ?? '').trim(),
+  default: (value, fallback = '') => (isBlank(value) ? fallback : value),
+
+  money: (value, decimals = 2) => formatMoney(value, decimals),
+  amount: (value) => formatMoney(Math.round(Number(value || 0)), 0),
+  // Negative balances in brackets, as on statements
+  accounting: (value) => {
+    const n = Number(value || 0);
+    return n < 0 ? `(${formatMoney(Math.abs(n))})` : formatMoney(n);
+  },
+  number: (value, decimals) =>
+    decimals === undefined
+      ? Number(value || 0).toLocaleString('en-KE')
+      : formatMoney(value, decimals),
+  fixed: (value, decimals = 2) => Number(value || 0).toFixed(decimals),
+  abs: (value) => Math.abs(Number(value || 0)),
+  ordinal,
+  words: numberToWords,
+
+  date: formatDate,
+
+  nl2br: (value) => new SafeString(escapeHtml(value).replace(/\r?\n/g, '<br>')),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.filter(v => !isBlank(v)).join(separator) : value ?? ''),
+  plural: (value, singular, pluralForm) => (Number(value) === 1 ? singular : pluralForm ?? `${singular}s`),
+
+  eq: (value, other) => value === other || (value !== null && value !== undefined && String(value) === String(other)),
+  ne: (value, other) => !FILTERS.eq(value, other),
+  gt: (value, other) => Number(value) > Number(other),
+  gte: (value, other) => Number(value) >= Number(other),
+  lt: (value, other) => Number(value) < Number(other),
+  lte: (value, other) => Number(value) <= Number(other),
+  not: (value) => !isTruthy(value),
+  and: (value, ...others) => [value, ...others].every(isTruthy),
+  or: (value, ...others) => [value, ...others].some(isTruthy)
+};
+
+export const FILTER_NAMES = Object.keys(FILTERS);
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+// ======================================================
+// EXPRESSIONS
+// ======================================================
+
+const PATH_PATTERN = /^(this|@?[A-Za-z_$][\w$]*)(\.[A-Za-z_$][\w$]*|\.\d+)*$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// Split on a separator outside quoted strings
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+      current += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+    } else if (ch === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+
+  if (quote) return null;
+  parts.push(current);
+  return parts;
+}
+
+function parseOperand(text, line) {
+  const source = text.trim();
+
+  if (/^(["']).*\1$/s.test(source) && source.length >= 2) {
+    return { literal: source.slice(1, -1) };
+  }
+  if (NUMBER_PATTERN.test(source)) return { literal: Number(source) };
+  if (source === 'true') return { literal: true };
+  if (source === 'false') return { literal: false };
+  if (source === 'null') return { literal: null };
+
+  if (!PATH_PATTERN.test(source)) {
+    throw new TemplateSyntaxError(`Invalid expression "${source}"`, line);
+  }
+  return { path: source.split('.') };
+}
+
+function parseExpression(text, line) {
+  const parts = splitOutsideQuotes(text, '|');
+  if (!parts || !parts[0].trim()) {
+    throw new TemplateSyntaxError(`Invalid expression "${text.trim()}"`, line);
+  }
+
+  const filters = parts.slice(1).map(part => {
+    const [name, ...args] = splitOutsideQuotes(part, ':') || [];
+    const filterName = (name || '').trim();
+    if (!FILTERS[filterName]) {
+      throw new TemplateSyntaxError(`Unknown filter "${filterName}"`, line);
+    }
+    return { name: filterName, args: args.map(arg => parseOperand(arg, line)) };
+  });
+
+  return { operand: parseOperand(parts[0], line), filters };
+}
+
+// ======================================================
+// PARSING
+// ======================================================
+
+// Split the source into text and tag tokens, keeping line numbers for errors
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+
+  const advance = (text) => {
+    line += (text.match(/\n/g) || []).length;
+  };
+
+  while (index < source.length) {
+    const open = source.indexOf('{{', index);
+    if (open === -1) {
+      tokens.push({ type: 'text', value: source.slice(index) });
+      break;
+    }
+
+    if (open > index) {
+      const text = source.slice(index, open);
+      tokens.push({ type: 'text', value: text });
+      advance(text);
+    }
+
+    const raw = source.startsWith('{{{', open);
+    const closer = raw ? '}}}' : '}}';
+    const close = source.indexOf(closer, open + closer.length);
+    if (close === -1) {
+      throw new TemplateSyntaxError(`Unclosed tag "${source.slice(open, open + 20)}"`, line);
+    }
+
+    const inner = source.slice(open + closer.length, close);
+    tokens.push({ type: raw ? 'raw' : 'tag', value: inner.trim(), line });
+    advance(inner);
+    index = close + closer.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Compile a template into a tree. Throws TemplateSyntaxError on bad syntax.
+ *
+ * @param {string} source
+ * @returns {Array<object>} Nodes for render()
+ */
+export function parseTemplate(source) {
+  const root = { type: 'root', body: [] };
+  const stack = [root];
+  // Blocks collect nodes into `target`, which switches on {{else}}
+  let target = root.body;
+
+  const current = () => stack[stack.length - 1];
+
+  for (const token of tokenize(String(source ?? ''))) {
+    if (token.type === 'text') {
+      target.push({ type: 'text', value: token.value });
+      continue;
+    }
+
+    const { value, line } = token;
+
+    if (token.type === 'raw') {
+      target.push({ type: 'output', expr: parseExpression(value, line), raw: true });
+      continue;
+    }
+
+    if (value.startsWith('!')) continue;
+
+    if (value.startsWith('#')) {
+      const [, keyword, rest = ''] = value.match(/^#(\w+)\s*([\s\S]*)$/) || [];
+      if (!['if', 'unless', 'each', 'with'].includes(keyword)) {
+        throw new TemplateSyntaxError(`Unknown block "{{${value}}}"`, line);
+      }
+      if (!rest.trim()) {
+        throw new TemplateSyntaxError(`{{#${keyword}}} needs an expression`, line);
+      }
+
+      const node = keyword === 'if' || keyword === 'unless'
+        ? { type: 'if', negate: keyword === 'unless', branches: [{ expr: parseExpression(rest, line), body: [] }], otherwise: null }
+        : { type: keyword, expr: parseExpression(rest, line), body: [], otherwise: null };
+
+      node.keyword = keyword;
+      node.line = line;
+      target.push(node);
+      stack.push(node);
+      target = node.type === 'if' ? node.branches[0].body : node.body;
+      continue;
+    }
+
+    if (value === 'else' || value.startsWith('else ')) {
+      const block = current();
+      if (block === root) {
+        throw new TemplateSyntaxError('{{else}} outside a block', line);
+      }
+      if (block.otherwise) {
+        throw new TemplateSyntaxError(`Duplicate {{else}} in {{#${block.keyword}}}`, line);
+      }
+
+      const condition = value.slice(4).trim();
+      if (condition) {
+        const [, expression] = condition.match(/^if\s+([\s\S]+)$/) || [];
+        if (block.type !== 'if' || block.negate || !expression) {
+          throw new TemplateSyntaxError(`Invalid "{{${value}}}"`, line);
+        }
+        const branch = { expr: parseExpression(expression, line), body: [] };
+        block.branches.push(branch);
+        target = branch.body;
+      } else {
+        block.otherwise = [];
+        target = block.otherwise;
+      }
+      continue;
+    }
+
+    if (value.startsWith('/')) {
+      const keyword = value.slice(1).trim();
+      const block = current();
+      if (block === root || block.keyword !== keyword) {
+        throw new TemplateSyntaxError(
+          block === root ? `Unexpected {{/${keyword}}}` : `Expected {{/${block.keyword}}} but found {{/${keyword}}}`,
+          line
+        );
+      }
+      stack.pop();
+      const parent = current();
+      target = parent === root ? root.body : blockTarget(parent);
+      continue;
+    }
+
+    if (value.startsWith('@next')) {
+      const name = value.slice(5).trim();
+      if (!/^[A-Za-z_][\w]*$/.test(name)) {
+        throw new TemplateSyntaxError('{{@next}} needs a counter name, e.g. {{@next clause}}', line);
+      }
+      target.push({ type: 'counter', name });
+      continue;
+    }
+
+    target.push({ type: 'output', expr: parseExpression(value, line), raw: false });
+  }
+
+  if (stack.length > 1) {
+    const open = current();
+    throw new TemplateSyntaxError(`Unclosed {{#${open.keyword}}}`, open.line);
+  }
+
+  return root.body;
+}
+
+// The list new nodes go into for an open block
+function blockTarget(block) {
+  if (block.otherwise) return block.otherwise;
+  if (block.type === 'if') return block.branches[block.branches.length - 1].body;
+  return block.body;
+}
+
+// ======================================================
+// RENDERING
+// ======================================================
+
+function lookup(path, scopes) {
+  const [head, ...rest] = path;
+  let value;
+
+  if (head.startsWith('@')) {
+    const local = head.slice(1);
+    const scope = [...scopes].reverse().find(s => s.locals && local in s.locals);
+    value = scope ? scope.locals[local] : undefined;
+  } else if (head === 'this') {
+    value = scopes[scopes.length - 1].data;
+  } else {
+    const scope = [...scopes].reverse().find(s => s.data !== null && typeof s.data === 'object' && head in s.data);
+    value = scope ? scope.data[head] : undefined;
+  }
+
+  for (const key of rest) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function evaluate(expr, scopes) {
+  const resolve = (operand) => ('literal' in operand ? operand.literal : lookup(operand.path, scopes));
+
+  return expr.filters.reduce(
+    (value, filter) => FILTERS[filter.name](value, ...filter.args.map(resolve)),
+    resolve(expr.operand)
+  );
+}
+
+function stringify(value, raw) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeString) return value.value;
+  if (value instanceof Date) return formatDate(value, 'iso');
+  if (Array.isArray(value)) value = value.join(', ');
+  return raw ? String(value) : escapeHtml(value);
+}
+
+function renderNodes(nodes, scopes, state) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+
+      case 'output':
+        output += stringify(evaluate(node.expr, scopes), node.raw);
+        break;
+
+      case 'counter': {
+        const next = (state.counters.get(node.name) || 0) + 1;
+        state.counters.set(node.name, next);
+        output += next;
+        break;
+      }
+
+      case 'if': {
+        const branch = node.branches.find(b => isTruthy(evaluate(b.expr, scopes)) !== node.negate);
+        const body = branch ? branch.body : node.otherwise;
+        if (body) output += renderNodes(body, scopes, state);
+        break;
+      }
+
+      case 'each': {
+        const value = evaluate(node.expr, scopes);
+        const items = Array.isArray(value) ? value : [];
+        if (items.length === 0) {
+          if (node.otherwise) output += renderNodes(node.otherwise, scopes, state);
+          break;
+        }
+        items.forEach((item, index) => {
+          const locals = { index, number: index + 1, first: index === 0, last: index === items.length - 1 };
+          output += renderNodes(node.body, [...scopes, { data: item, locals }], state);
+        });
+        break;
+      }
+
+      case 'with': {
+        const value = evaluate(node.expr, scopes);
+        if (isTruthy(value)) {
+          output += renderNodes(node.body, [...scopes, { data: value }], state);
+        } else if (node.otherwise) {
+          output += renderNodes(node.otherwise, scopes, state);
+        }
+        break;
+      }
+    }
+  }
+
+  return output;
+}
+
+const compiled = new Map();
+
+/**
+ * Compile (or fetch from cache) and render a template
+ *
+ * @param {string} source - Template text
+ * @param {object} context - Values the placeholders refer to
+ * @returns {string} Rendered HTML
+ */
+export function renderTemplate(source, context = {}) {
+  let nodes = compiled.get(source);
+
+  if (!nodes) {
+    nodes = parseTemplate(source);
+    // Oldest compiled template goes first once the cache is full
+    if (compiled.size >= MAX_CACHED_TEMPLATES) {
+      compiled.delete(compiled.keys().next().value);
+    }
+    compiled.set(source, nodes);
+  }
+
+  return renderNodes(nodes, [{ data: context }], { counters: new Map() });
+}
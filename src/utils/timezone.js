@@ -0,0 +1,62 @@
+// Calendar days, months and years follow the business's timezone, whatever the server's own is
+export const TIMEZONE = 'Africa/Nairobi';
+
+const zonedFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric', month: 'numeric', day: 'numeric',
+  hour: 'numeric', minute: 'numeric', second: 'numeric'
+});
+
+/**
+ * Wall-clock date and time in TIMEZONE
+ * @param {Date} date
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} month is 0-based, as in Date
+ */
+export const zonedParts = (date) => {
+  const parts = Object.fromEntries(zonedFormat.formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+  return { ...parts, month: parts.month - 1 };
+};
+
+/**
+ * The instant a calendar day starts in TIMEZONE. Month is 0-based and the
+ * day may overflow the month, as with Date.UTC.
+ * @returns {Date}
+ */
+export const zonedMidnight = (year, month, day) => {
+  const wallClock = Date.UTC(year, month, day);
+  const { year: y, month: m, day: d, hour, minute, second } = zonedParts(new Date(wallClock));
+  const offset = Date.UTC(y, m, d, hour, minute, second) - wallClock;
+  return new Date(wallClock - offset);
+};
+
+/**
+ * Start of the TIMEZONE calendar day a date falls on
+ * @param {Date} date
+ * @returns {Date}
+ */
+export const startOfDay = (date) => {
+  const { year, month, day } = zonedParts(date);
+  return zonedMidnight(year, month, day);
+};
+
+/**
+ * Start of the TIMEZONE calendar day a number of days after a date
+ * @param {Date} date
+ * @param {number} days
+ * @returns {Date}
+ */
+export const addDays = (date, days) => {
+  const { year, month, day } = zonedParts(date);
+  return zonedMidnight(year, month, day + days);
+};
+
+/**
+ * TIMEZONE calendar day of a date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+export const dateKey = (date) => {
+  const { year, month, day } = zonedParts(date);
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};